@@ -0,0 +1,57 @@
+-- Migration: Multiple accounts
+-- Created: 2026-10-19
+-- Description: Turns `accounts` into a real subsystem — chequing, savings and credit-card
+--              accounts that can be archived — and lets recurring payments and imports
+--              choose which account their transactions land in.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Account type and archiving
+-- ============================================================================
+
+ALTER TABLE accounts
+ADD COLUMN IF NOT EXISTS type TEXT NOT NULL DEFAULT 'chequing'
+  CHECK (type IN ('chequing', 'savings', 'credit_card'));
+
+ALTER TABLE accounts
+ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE DEFAULT NULL;
+
+COMMENT ON COLUMN accounts.type IS
+  'chequing, savings or credit_card. Only affects how the account is labelled and grouped.';
+
+COMMENT ON COLUMN accounts.archived_at IS
+  'Set when the account is archived. Archived accounts keep their transactions and balance
+   but are no longer offered when adding, importing or scheduling transactions.';
+
+-- ============================================================================
+-- STEP 2: Which account recurring payments and imports write to
+-- ============================================================================
+
+ALTER TABLE recurring_payments
+ADD COLUMN IF NOT EXISTS account_id UUID REFERENCES accounts(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN recurring_payments.account_id IS
+  'Account auto-added transactions are recorded in. NULL = the default (first active) account.';
+
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS import_account_id UUID REFERENCES accounts(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN user_settings.import_account_id IS
+  'Account used by CSV import, Google Sheets auto-sync and the webhook.
+   NULL = the default (first active) account.';
+
+-- ============================================================================
+-- STEP 3: Index for per-account transaction lists and running balances
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_transactions_account_date
+ON transactions (account_id, date DESC);
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT column_name, data_type FROM information_schema.columns
+-- WHERE table_name = 'accounts' AND column_name IN ('type', 'archived_at');
+-- SELECT column_name FROM information_schema.columns
+-- WHERE (table_name = 'recurring_payments' AND column_name = 'account_id')
+--    OR (table_name = 'user_settings' AND column_name = 'import_account_id');
@@ -0,0 +1,90 @@
+-- Migration: Transfers between accounts
+-- Created: 2026-10-19
+-- Description: Adds a `transfer` transaction type. A transfer is stored as a linked pair:
+--              an 'out' row on the source account and an 'in' row on the destination,
+--              sharing one transfer_id. It moves both balances but is neither income nor
+--              expense, so it never counts towards spending or budgets.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Allow the new type and link the two halves
+-- ============================================================================
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_type_check;
+ALTER TABLE transactions
+ADD CONSTRAINT transactions_type_check CHECK (type IN ('income', 'expense', 'transfer'));
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS transfer_id UUID DEFAULT NULL;
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS transfer_direction TEXT DEFAULT NULL
+  CHECK (transfer_direction IN ('out', 'in'));
+
+-- Transfer rows always carry both, other rows never do.
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_transfer_fields_check;
+ALTER TABLE transactions
+ADD CONSTRAINT transactions_transfer_fields_check CHECK (
+  (type = 'transfer') = (transfer_id IS NOT NULL AND transfer_direction IS NOT NULL)
+);
+
+COMMENT ON COLUMN transactions.transfer_id IS
+  'Shared by the two rows of one transfer. Both halves are edited, deleted and restored together.';
+
+COMMENT ON COLUMN transactions.transfer_direction IS
+  'out = money leaving this account, in = money arriving. NULL for income/expense.';
+
+CREATE INDEX IF NOT EXISTS idx_transactions_transfer_id
+ON transactions (transfer_id)
+WHERE transfer_id IS NOT NULL;
+
+-- ============================================================================
+-- STEP 2: Balance triggers understand transfers
+-- ============================================================================
+-- update_spent is unchanged: it only ever looks at type = 'expense'.
+
+-- How much a row moves its account's balance.
+CREATE OR REPLACE FUNCTION transaction_balance_delta(tx_type TEXT, tx_amount DECIMAL, tx_direction TEXT)
+RETURNS DECIMAL AS $$
+  SELECT CASE
+    WHEN tx_type = 'income' OR (tx_type = 'transfer' AND tx_direction = 'in') THEN tx_amount
+    ELSE -tx_amount
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION update_balance()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE accounts
+  SET balance = balance + transaction_balance_delta(NEW.type, NEW.amount, NEW.transfer_direction)
+  WHERE id = NEW.account_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION calc_running_balance()
+RETURNS TRIGGER AS $$
+DECLARE
+  prev_balance DECIMAL(12, 2);
+BEGIN
+  SELECT balance INTO prev_balance
+  FROM transactions
+  WHERE account_id = NEW.account_id AND date < NEW.date
+  ORDER BY date DESC, created_at DESC LIMIT 1;
+
+  IF prev_balance IS NULL THEN
+    SELECT balance INTO prev_balance FROM accounts WHERE id = NEW.account_id;
+    prev_balance := prev_balance - transaction_balance_delta(NEW.type, NEW.amount, NEW.transfer_direction);
+  END IF;
+
+  NEW.balance := prev_balance + transaction_balance_delta(NEW.type, NEW.amount, NEW.transfer_direction);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT conname, pg_get_constraintdef(oid) FROM pg_constraint
+-- WHERE conrelid = 'transactions'::regclass AND conname LIKE 'transactions_t%_check';
+-- SELECT transaction_balance_delta('transfer', 100, 'out');  -- -100
@@ -0,0 +1,48 @@
+-- Migration: Split transactions
+-- Created: 2026-10-19
+-- Description: Lets one transaction be split across several categories — a Costco receipt
+--              that is part groceries, part household, part pharmacy. The lines live in
+--              transaction_splits and always add up to the transaction's amount.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Create transaction_splits table
+-- ============================================================================
+-- A transaction with no split rows belongs wholly to transactions.category_id. Once split,
+-- its lines replace that category wherever spending is totalled (budget, reports, alerts,
+-- recommendations); category_id is kept pointing at the largest line for plain lists.
+
+CREATE TABLE IF NOT EXISTS transaction_splits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================================================
+-- STEP 2: Create indexes for efficient querying
+-- ============================================================================
+
+-- Lines are always loaded through their transaction
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction
+ON transaction_splits (transaction_id);
+
+-- ============================================================================
+-- STEP 3: Enable Row Level Security
+-- ============================================================================
+
+ALTER TABLE transaction_splits ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "own_data" ON transaction_splits;
+CREATE POLICY "own_data" ON transaction_splits FOR ALL USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- Run this to find split transactions whose lines no longer add up:
+-- SELECT t.id, t.amount, SUM(s.amount) AS split_total
+-- FROM transactions t JOIN transaction_splits s ON s.transaction_id = t.id
+-- GROUP BY t.id, t.amount
+-- HAVING SUM(s.amount) <> t.amount;
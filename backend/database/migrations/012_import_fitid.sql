@@ -0,0 +1,31 @@
+-- Migration: OFX/QFX transaction ids
+-- Created: 2026-10-19
+-- Description: Stores the bank's own transaction id (OFX FITID) on imported rows, so
+--              re-importing an overlapping OFX/QFX statement skips exactly the rows that
+--              are already there instead of guessing from date, description and amount.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Add fitid column
+-- ============================================================================
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS fitid TEXT DEFAULT NULL;
+
+COMMENT ON COLUMN transactions.fitid IS
+  'FITID from an imported OFX/QFX statement. Unique per account; NULL for CSV, QIF, sheet and manual rows.';
+
+-- ============================================================================
+-- STEP 2: One row per bank transaction id per account
+-- ============================================================================
+-- FITIDs are only unique within the account they came from.
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_account_fitid
+ON transactions (account_id, fitid)
+WHERE fitid IS NOT NULL;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT column_name, data_type FROM information_schema.columns
+-- WHERE table_name = 'transactions' AND column_name = 'fitid';
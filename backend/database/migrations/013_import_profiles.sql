@@ -0,0 +1,38 @@
+-- Migration: Saved CSV column mappings per bank
+-- Created: 2026-10-19
+-- Description: Stores the column mapping a user set up for a bank's CSV export (which
+--              column is the date, its day/month order, debit/credit columns, sign
+--              convention) under a name, keyed by the file's header row so the next
+--              export from the same bank is recognised and mapped automatically.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Create import_profiles table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS import_profiles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,                   -- e.g. 'RBC Chequing'
+    header_fingerprint TEXT NOT NULL,     -- Normalized header row, see headerFingerprint()
+    mapping JSONB NOT NULL,               -- See guessColumnMapping() in importUtils.js
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- One profile per CSV layout
+    CONSTRAINT unique_import_profile_fingerprint UNIQUE (user_id, header_fingerprint)
+);
+
+-- ============================================================================
+-- STEP 2: Enable Row Level Security
+-- ============================================================================
+
+ALTER TABLE import_profiles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "own_data" ON import_profiles;
+CREATE POLICY "own_data" ON import_profiles FOR ALL USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT name, header_fingerprint, mapping FROM import_profiles;
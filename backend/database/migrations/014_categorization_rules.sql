@@ -0,0 +1,53 @@
+-- Migration: Categorization rules
+-- Created: 2026-10-19
+-- Description: Replaces "first substring match wins" merchant mappings with ordered rules.
+--              A rule matches on description (text or regex), amount range, bank/source,
+--              type and day of month, and can set the category, rename the payee, add
+--              tags or turn the row into a transfer. Merchant mappings keep working as
+--              the lowest-priority rules. Also adds transactions.tags for the tag action.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Create categorization_rules table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS categorization_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,                   -- e.g. 'Rent on the 1st'
+    priority INTEGER NOT NULL DEFAULT 0,  -- Higher runs first
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    conditions JSONB NOT NULL DEFAULT '{}'::jsonb,  -- See frontend/src/lib/rulesEngine.js
+    actions JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_categorization_rules_user_priority
+ON categorization_rules (user_id, priority DESC);
+
+-- ============================================================================
+-- STEP 2: Enable Row Level Security
+-- ============================================================================
+
+ALTER TABLE categorization_rules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "own_data" ON categorization_rules;
+CREATE POLICY "own_data" ON categorization_rules FOR ALL USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- STEP 3: Add tags column to transactions
+-- ============================================================================
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN transactions.tags IS
+  'Free-form labels, e.g. from a categorization rule''s "add tags" action.';
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT name, priority, enabled, conditions, actions FROM categorization_rules ORDER BY priority DESC;
+-- SELECT column_name, data_type FROM information_schema.columns
+-- WHERE table_name = 'transactions' AND column_name = 'tags';
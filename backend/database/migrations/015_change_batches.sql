@@ -0,0 +1,39 @@
+-- Migration: Undoable change batches
+-- Created: 2026-10-19
+-- Description: Records bulk edits to existing transactions (applying a merchant mapping,
+--              "Re-categorize All") with every row's old and new values, so the whole
+--              edit can be undone in one step. Batches from a mapping also keep the
+--              mapping as it was before, so undo restores it too.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Create change_batches table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS change_batches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    source TEXT NOT NULL,                 -- What made the change, e.g. 'mapping', 'recategorize'
+    label TEXT NOT NULL,                  -- Shown next to the Undo button
+    changes JSONB NOT NULL DEFAULT '[]'::jsonb,  -- [{ id, before: {...}, after: {...} }]
+    mapping_before JSONB,                 -- { transaction_description, category_name } before the batch
+    reverted_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_change_batches_user_created
+ON change_batches (user_id, created_at DESC);
+
+-- ============================================================================
+-- STEP 2: Enable Row Level Security
+-- ============================================================================
+
+ALTER TABLE change_batches ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "own_data" ON change_batches;
+CREATE POLICY "own_data" ON change_batches FOR ALL USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT label, jsonb_array_length(changes) AS rows, reverted_at FROM change_batches ORDER BY created_at DESC;
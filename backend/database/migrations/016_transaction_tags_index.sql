@@ -0,0 +1,19 @@
+-- Migration: Tag lookups
+-- Created: 2026-10-19
+-- Description: Indexes transactions.tags (added in 014) so the Transactions tag filter and
+--              the Reports tag breakdown can find tagged rows without scanning every
+--              transaction. Tag values themselves need no schema change.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Index tags
+-- ============================================================================
+
+-- GIN supports the array operators PostgREST uses: cs (@>) for one tag, ov (&&) for any
+CREATE INDEX IF NOT EXISTS idx_transactions_tags
+ON transactions USING GIN (tags);
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT tag, COUNT(*) FROM transactions, unnest(tags) AS tag GROUP BY tag ORDER BY 2 DESC;
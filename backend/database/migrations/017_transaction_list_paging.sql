@@ -0,0 +1,89 @@
+-- Migration: Paged transaction list
+-- Created: 2026-10-19
+-- Description: Supports the Transactions page loading one page at a time instead of every
+--              row. Adds an index for its newest-first keyset order, a trigram index for
+--              description search, and two functions: transaction_totals() (count, income
+--              and expenses of the whole filtered set, using the same filters as the list)
+--              and transaction_filter_options() (banks and tags for the filter dropdowns).
+--              Both run as the caller, so row level security still applies.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Indexes
+-- ============================================================================
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Matches the list order: date, created_at, id, newest first
+CREATE INDEX IF NOT EXISTS idx_transactions_user_list_order
+ON transactions (user_id, date DESC, created_at DESC, id DESC)
+WHERE deleted_at IS NULL;
+
+-- Substring search on descriptions (ILIKE '%term%')
+CREATE INDEX IF NOT EXISTS idx_transactions_description_trgm
+ON transactions USING GIN (description gin_trgm_ops);
+
+-- ============================================================================
+-- STEP 2: Totals for a filtered list
+-- ============================================================================
+-- Every parameter is optional. p_search holds terms that must each appear in the
+-- description or the category name, like the page's search box and description filter.
+
+CREATE OR REPLACE FUNCTION transaction_totals(
+    p_start DATE DEFAULT NULL,
+    p_end DATE DEFAULT NULL,
+    p_min DECIMAL DEFAULT NULL,
+    p_max DECIMAL DEFAULT NULL,
+    p_type TEXT DEFAULT NULL,
+    p_account UUID DEFAULT NULL,
+    p_bank TEXT DEFAULT NULL,
+    p_tag TEXT DEFAULT NULL,
+    p_search TEXT[] DEFAULT '{}'
+)
+RETURNS TABLE (transaction_count BIGINT, income DECIMAL, expenses DECIMAL) AS $$
+  SELECT
+    COUNT(*),
+    COALESCE(SUM(t.amount) FILTER (WHERE t.type = 'income'), 0),
+    COALESCE(SUM(t.amount) FILTER (WHERE t.type = 'expense'), 0)
+  FROM transactions t
+  LEFT JOIN categories c ON c.id = t.category_id
+  WHERE t.user_id = auth.uid()
+    AND t.deleted_at IS NULL
+    AND (p_start IS NULL OR t.date >= p_start)
+    AND (p_end IS NULL OR t.date <= p_end)
+    AND (p_min IS NULL OR t.amount >= p_min)
+    AND (p_max IS NULL OR t.amount <= p_max)
+    AND (p_type IS NULL OR t.type = p_type)
+    AND (p_account IS NULL OR t.account_id = p_account)
+    AND (p_bank IS NULL OR t.provider = p_bank)
+    AND (p_tag IS NULL OR p_tag = ANY (t.tags))
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_search, '{}')) AS term
+      WHERE NOT (t.description ILIKE '%' || term || '%' OR COALESCE(c.name, '') ILIKE '%' || term || '%')
+    );
+$$ LANGUAGE sql STABLE SECURITY INVOKER SET search_path = public;
+
+-- ============================================================================
+-- STEP 3: Filter dropdown options
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION transaction_filter_options()
+RETURNS TABLE (banks TEXT[], tags TEXT[]) AS $$
+  SELECT
+    ARRAY(
+      SELECT DISTINCT provider FROM transactions
+      WHERE user_id = auth.uid() AND deleted_at IS NULL AND provider IS NOT NULL
+      ORDER BY provider
+    ),
+    ARRAY(
+      SELECT DISTINCT tag FROM transactions, unnest(tags) AS tag
+      WHERE user_id = auth.uid() AND deleted_at IS NULL
+      ORDER BY tag
+    );
+$$ LANGUAGE sql STABLE SECURITY INVOKER SET search_path = public;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT * FROM transaction_totals(p_start => '2026-01-01', p_search => ARRAY['coffee']);
+-- SELECT * FROM transaction_filter_options();
@@ -0,0 +1,121 @@
+-- Migration: Search expressions on Transactions
+-- Created: 2026-10-19
+-- Description: The Transactions search box takes expressions such as
+--              category:Groceries amount:>50 -tag:reimbursed "tim hortons". The list sends
+--              them as query conditions; this replaces transaction_totals() with a version
+--              that applies the same conditions, so the count and totals still cover exactly
+--              the rows listed.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Replace transaction_totals()
+-- ============================================================================
+-- The new parameters all default to "no condition", so callers of the old version keep
+-- working. The old signature is dropped first; otherwise both would exist side by side.
+--   p_exclude_search        terms in neither the description nor the category name
+--   p_descriptions          terms the description must contain (desc:), and
+--   p_exclude_descriptions  must not
+--   p_categories            one of these categories (NULL = any, empty = none), and
+--   p_exclude_categories    none of these
+--   p_accounts, p_exclude_accounts    the same for accounts
+--   p_tags                  lowercase tags the row must each have (any case), and
+--   p_exclude_tags          must not have
+--   p_banks                 terms the bank must contain, and
+--   p_exclude_banks         must not
+--   p_types                 types the row must be, and
+--   p_exclude_types         must not be
+
+DROP FUNCTION IF EXISTS transaction_totals(DATE, DATE, DECIMAL, DECIMAL, TEXT, UUID, TEXT, TEXT, TEXT[]);
+
+CREATE OR REPLACE FUNCTION transaction_totals(
+    p_start DATE DEFAULT NULL,
+    p_end DATE DEFAULT NULL,
+    p_min DECIMAL DEFAULT NULL,
+    p_max DECIMAL DEFAULT NULL,
+    p_type TEXT DEFAULT NULL,
+    p_account UUID DEFAULT NULL,
+    p_bank TEXT DEFAULT NULL,
+    p_tag TEXT DEFAULT NULL,
+    p_search TEXT[] DEFAULT '{}',
+    p_exclude_search TEXT[] DEFAULT '{}',
+    p_descriptions TEXT[] DEFAULT '{}',
+    p_exclude_descriptions TEXT[] DEFAULT '{}',
+    p_categories UUID[] DEFAULT NULL,
+    p_exclude_categories UUID[] DEFAULT '{}',
+    p_accounts UUID[] DEFAULT NULL,
+    p_exclude_accounts UUID[] DEFAULT '{}',
+    p_tags TEXT[] DEFAULT '{}',
+    p_exclude_tags TEXT[] DEFAULT '{}',
+    p_banks TEXT[] DEFAULT '{}',
+    p_exclude_banks TEXT[] DEFAULT '{}',
+    p_types TEXT[] DEFAULT '{}',
+    p_exclude_types TEXT[] DEFAULT '{}'
+)
+RETURNS TABLE (transaction_count BIGINT, income DECIMAL, expenses DECIMAL) AS $$
+  SELECT
+    COUNT(*),
+    COALESCE(SUM(t.amount) FILTER (WHERE t.type = 'income'), 0),
+    COALESCE(SUM(t.amount) FILTER (WHERE t.type = 'expense'), 0)
+  FROM transactions t
+  LEFT JOIN categories c ON c.id = t.category_id
+  WHERE t.user_id = auth.uid()
+    AND t.deleted_at IS NULL
+    AND (p_start IS NULL OR t.date >= p_start)
+    AND (p_end IS NULL OR t.date <= p_end)
+    AND (p_min IS NULL OR t.amount >= p_min)
+    AND (p_max IS NULL OR t.amount <= p_max)
+    AND (p_type IS NULL OR t.type = p_type)
+    AND (p_account IS NULL OR t.account_id = p_account)
+    AND (p_bank IS NULL OR t.provider = p_bank)
+    AND (p_tag IS NULL OR p_tag = ANY (t.tags))
+    -- Words and phrases
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_search, '{}')) AS term
+      WHERE NOT (t.description ILIKE '%' || term || '%' OR COALESCE(c.name, '') ILIKE '%' || term || '%')
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_exclude_search, '{}')) AS term
+      WHERE t.description ILIKE '%' || term || '%' OR COALESCE(c.name, '') ILIKE '%' || term || '%'
+    )
+    -- desc:
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_descriptions, '{}')) AS term
+      WHERE t.description NOT ILIKE '%' || term || '%'
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_exclude_descriptions, '{}')) AS term
+      WHERE t.description ILIKE '%' || term || '%'
+    )
+    -- category: and account:
+    AND (p_categories IS NULL OR t.category_id = ANY (p_categories))
+    AND (t.category_id IS NULL OR NOT (t.category_id = ANY (COALESCE(p_exclude_categories, '{}'))))
+    AND (p_accounts IS NULL OR t.account_id = ANY (p_accounts))
+    AND (t.account_id IS NULL OR NOT (t.account_id = ANY (COALESCE(p_exclude_accounts, '{}'))))
+    -- tag:
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_tags, '{}')) AS wanted
+      WHERE NOT EXISTS (SELECT 1 FROM unnest(t.tags) AS tag WHERE lower(tag) = wanted)
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(t.tags) AS tag
+      WHERE lower(tag) = ANY (COALESCE(p_exclude_tags, '{}'))
+    )
+    -- bank:
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_banks, '{}')) AS term
+      WHERE COALESCE(t.provider, '') NOT ILIKE '%' || term || '%'
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_exclude_banks, '{}')) AS term
+      WHERE COALESCE(t.provider, '') ILIKE '%' || term || '%'
+    )
+    -- type:
+    AND t.type = ALL (COALESCE(p_types, '{}'))
+    AND NOT (t.type = ANY (COALESCE(p_exclude_types, '{}')));
+$$ LANGUAGE sql STABLE SECURITY INVOKER SET search_path = public;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT * FROM transaction_totals(p_search => ARRAY['coffee'], p_exclude_tags => ARRAY['reimbursed']);
+-- SELECT * FROM transaction_totals(p_types => ARRAY['expense'], p_banks => ARRAY['rbc'], p_min => 50.01);
@@ -0,0 +1,37 @@
+-- Migration: Saved views
+-- Created: 2026-10-19
+-- Description: Named sets of Transactions filters ("Amazon this year", "Unreviewed
+--              imports"). A view stores the page's query string, the same one its URL
+--              carries, so opening a view is opening that link. Pinned views show as
+--              buttons at the top of the page.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Create saved_views table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS saved_views (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    page TEXT NOT NULL DEFAULT 'transactions',  -- Page the view belongs to
+    name TEXT NOT NULL,                         -- e.g. 'Amazon this year'
+    query TEXT NOT NULL DEFAULT '',             -- e.g. 'q=desc%3Aamazon&period=all'
+    pinned BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, page, name)
+);
+
+-- ============================================================================
+-- STEP 2: Enable Row Level Security
+-- ============================================================================
+
+ALTER TABLE saved_views ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "own_data" ON saved_views;
+CREATE POLICY "own_data" ON saved_views FOR ALL USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT name, query, pinned FROM saved_views WHERE page = 'transactions' ORDER BY name;
@@ -0,0 +1,192 @@
+-- Migration: Ledger recompute
+-- Created: 2026-10-19
+-- Description: Keeps account balances and each transaction's running balance right through
+--              every change, not only inserts. update_balance and calc_running_balance only
+--              ran on INSERT, so editing an amount, trashing, restoring, permanently
+--              deleting or adding a back-dated row left accounts.balance and every later
+--              transactions.balance wrong. Balances are now recomputed from the account's
+--              opening balance: after each statement, for each account it touched, from the
+--              earliest date it touched. recompute_balances() repairs the caller's accounts
+--              on demand (Accounts page, "Recompute balances").
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Opening balance
+-- ============================================================================
+-- The balance before any transaction. Existing accounts get it by taking back everything
+-- update_balance ever added, trashed rows included since trashing never took them out.
+-- Amount edits made before this migration were never applied to accounts.balance, so
+-- their difference stays in the opening balance. The recompute at the end then drops
+-- trashed rows from the balance; nothing else moves.
+
+ALTER TABLE accounts
+ADD COLUMN IF NOT EXISTS opening_balance DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN accounts.opening_balance IS
+  'Balance before the account''s first transaction. balance = opening_balance plus every
+   active (not trashed) transaction, kept by the ledger triggers.';
+
+UPDATE accounts a
+SET opening_balance = a.balance - COALESCE((
+  SELECT SUM(transaction_balance_delta(t.type, t.amount, t.transfer_direction))
+  FROM transactions t
+  WHERE t.account_id = a.id
+), 0);
+
+-- ============================================================================
+-- STEP 2: Recompute one account's ledger
+-- ============================================================================
+-- Rows run in date order, then created_at and id, the order the Transactions list uses.
+-- Trashed rows are out of the ledger: they carry no running balance.
+
+CREATE OR REPLACE FUNCTION recompute_ledger(p_account_id UUID, p_from DATE DEFAULT NULL)
+RETURNS VOID AS $$
+DECLARE
+  start_balance DECIMAL(12, 2);
+BEGIN
+  SELECT opening_balance INTO start_balance FROM accounts WHERE id = p_account_id;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  -- Rows before p_from are unchanged; start from where they leave the account
+  IF p_from IS NOT NULL THEN
+    start_balance := start_balance + COALESCE((
+      SELECT SUM(transaction_balance_delta(type, amount, transfer_direction))
+      FROM transactions
+      WHERE account_id = p_account_id AND deleted_at IS NULL AND date < p_from
+    ), 0);
+  END IF;
+
+  UPDATE transactions t
+  SET balance = ledger.running
+  FROM (
+    SELECT id, start_balance + SUM(transaction_balance_delta(type, amount, transfer_direction))
+      OVER (ORDER BY date, created_at, id ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW) AS running
+    FROM transactions
+    WHERE account_id = p_account_id AND deleted_at IS NULL AND (p_from IS NULL OR date >= p_from)
+  ) ledger
+  WHERE t.id = ledger.id AND t.balance IS DISTINCT FROM ledger.running;
+
+  UPDATE transactions
+  SET balance = NULL
+  WHERE account_id = p_account_id AND deleted_at IS NOT NULL AND balance IS NOT NULL;
+
+  UPDATE accounts
+  SET balance = opening_balance + COALESCE((
+    SELECT SUM(transaction_balance_delta(type, amount, transfer_direction))
+    FROM transactions
+    WHERE account_id = p_account_id AND deleted_at IS NULL
+  ), 0)
+  WHERE id = p_account_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- STEP 3: Recompute after every change
+-- ============================================================================
+-- One run per statement, so an import or bulk edit recomputes each account once. An
+-- update only counts when it changes what the ledger reads; the ledger's own balance
+-- writes don't, which also keeps this from re-triggering itself.
+
+CREATE OR REPLACE FUNCTION sync_ledger()
+RETURNS TRIGGER AS $$
+DECLARE
+  touched RECORD;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    FOR touched IN
+      SELECT account_id, MIN(date) AS from_date FROM new_rows GROUP BY account_id
+    LOOP
+      PERFORM recompute_ledger(touched.account_id, touched.from_date);
+    END LOOP;
+  ELSIF TG_OP = 'DELETE' THEN
+    FOR touched IN
+      SELECT account_id, MIN(date) AS from_date FROM old_rows GROUP BY account_id
+    LOOP
+      PERFORM recompute_ledger(touched.account_id, touched.from_date);
+    END LOOP;
+  ELSE
+    FOR touched IN
+      SELECT side.account_id, MIN(side.date) AS from_date
+      FROM (
+        SELECT o.account_id, o.date, n.account_id AS new_account_id, n.date AS new_date
+        FROM old_rows o
+        JOIN new_rows n ON n.id = o.id
+        WHERE (o.account_id, o.date, o.created_at, o.type, o.amount, o.transfer_direction, o.deleted_at IS NULL)
+          IS DISTINCT FROM
+              (n.account_id, n.date, n.created_at, n.type, n.amount, n.transfer_direction, n.deleted_at IS NULL)
+      ) moved
+      CROSS JOIN LATERAL (
+        VALUES (moved.account_id, moved.date), (moved.new_account_id, moved.new_date)
+      ) AS side(account_id, date)
+      GROUP BY side.account_id
+    LOOP
+      PERFORM recompute_ledger(touched.account_id, touched.from_date);
+    END LOOP;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS auto_update_balance ON transactions;
+DROP TRIGGER IF EXISTS auto_calc_balance ON transactions;
+DROP FUNCTION IF EXISTS update_balance();
+DROP FUNCTION IF EXISTS calc_running_balance();
+
+DROP TRIGGER IF EXISTS sync_ledger_insert ON transactions;
+CREATE TRIGGER sync_ledger_insert
+AFTER INSERT ON transactions
+REFERENCING NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_ledger();
+
+DROP TRIGGER IF EXISTS sync_ledger_update ON transactions;
+CREATE TRIGGER sync_ledger_update
+AFTER UPDATE ON transactions
+REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_ledger();
+
+DROP TRIGGER IF EXISTS sync_ledger_delete ON transactions;
+CREATE TRIGGER sync_ledger_delete
+AFTER DELETE ON transactions
+REFERENCING OLD TABLE AS old_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_ledger();
+
+-- ============================================================================
+-- STEP 4: Repair on demand
+-- ============================================================================
+-- Recomputes the caller's accounts (or just one) from scratch and reports each balance
+-- before and after. Runs as the caller, so row level security still applies.
+
+CREATE OR REPLACE FUNCTION recompute_balances(p_account_id UUID DEFAULT NULL)
+RETURNS TABLE (account_id UUID, account_name TEXT, old_balance DECIMAL, new_balance DECIMAL) AS $$
+DECLARE
+  acc RECORD;
+BEGIN
+  FOR acc IN
+    SELECT a.id, a.name, a.balance FROM accounts a
+    WHERE a.user_id = auth.uid() AND (p_account_id IS NULL OR a.id = p_account_id)
+    ORDER BY a.created_at
+  LOOP
+    PERFORM recompute_ledger(acc.id);
+    account_id := acc.id;
+    account_name := acc.name;
+    old_balance := acc.balance;
+    SELECT a.balance INTO new_balance FROM accounts a WHERE a.id = acc.id;
+    RETURN NEXT;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- Bring every existing ledger in line once
+SELECT recompute_ledger(id) FROM accounts;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT tgname FROM pg_trigger WHERE tgrelid = 'transactions'::regclass AND tgname LIKE 'sync_ledger%';
+-- SELECT * FROM recompute_balances();  -- old_balance = new_balance everywhere once in sync
+-- SELECT a.name, a.balance,
+--        a.opening_balance + COALESCE(SUM(transaction_balance_delta(t.type, t.amount, t.transfer_direction)), 0) AS expected
+-- FROM accounts a LEFT JOIN transactions t ON t.account_id = a.id AND t.deleted_at IS NULL
+-- GROUP BY a.id;
@@ -0,0 +1,212 @@
+-- Migration: Budget spent sync
+-- Created: 2026-10-19
+-- Description: Keeps budget_categories.spent equal to the month's expenses in its category
+--              through every change. update_spent only added on INSERT, so recategorizing,
+--              editing an amount or date, trashing, restoring, deleting, splitting, or
+--              creating the budget after its transactions were imported left spent stale.
+--              Spent is now recomputed for each month a statement touches, and filled in
+--              when a budget line is created. reconcile_budget_spent() lets the Budget page
+--              check a month and correct it.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: What a budget line has spent
+-- ============================================================================
+-- Expenses in the category that month, not in the trash. A split transaction counts by
+-- its lines, each towards its own category, like the Budget page (lib/splits.js).
+
+CREATE OR REPLACE FUNCTION budget_category_spent(p_user_id UUID, p_category_id UUID, p_month DATE)
+RETURNS DECIMAL AS $$
+  SELECT COALESCE(SUM(line.amount), 0)
+  FROM transactions t
+  CROSS JOIN LATERAL (
+    SELECT s.category_id, s.amount FROM transaction_splits s WHERE s.transaction_id = t.id
+    UNION ALL
+    SELECT t.category_id, t.amount
+    WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+  ) line
+  WHERE t.user_id = p_user_id
+    AND t.type = 'expense'
+    AND t.deleted_at IS NULL
+    AND t.date >= date_trunc('month', p_month)::date
+    AND t.date < (date_trunc('month', p_month) + INTERVAL '1 month')::date
+    AND line.category_id = p_category_id;
+$$ LANGUAGE sql STABLE;
+
+-- Bring every line of a user's budget for that month up to date
+CREATE OR REPLACE FUNCTION recompute_budget_spent(p_user_id UUID, p_month DATE)
+RETURNS VOID AS $$
+  UPDATE budget_categories bc
+  SET spent = actual.spent
+  FROM (
+    SELECT line.id, budget_category_spent(p_user_id, line.category_id, b.month) AS spent
+    FROM budget_categories line
+    JOIN budgets b ON b.id = line.budget_id
+    WHERE b.user_id = p_user_id
+      AND date_trunc('month', b.month) = date_trunc('month', p_month)
+  ) actual
+  WHERE bc.id = actual.id AND bc.spent IS DISTINCT FROM actual.spent;
+$$ LANGUAGE sql;
+
+-- ============================================================================
+-- STEP 2: Recompute after every change
+-- ============================================================================
+-- One run per statement and month. An update only counts when it changes what spent
+-- reads, so balance writes from the ledger pass straight through.
+
+CREATE OR REPLACE FUNCTION sync_budget_spent()
+RETURNS TRIGGER AS $$
+DECLARE
+  touched RECORD;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    FOR touched IN
+      SELECT DISTINCT user_id, date_trunc('month', date)::date AS month
+      FROM new_rows WHERE type = 'expense'
+    LOOP
+      PERFORM recompute_budget_spent(touched.user_id, touched.month);
+    END LOOP;
+  ELSIF TG_OP = 'DELETE' THEN
+    FOR touched IN
+      SELECT DISTINCT user_id, date_trunc('month', date)::date AS month
+      FROM old_rows WHERE type = 'expense'
+    LOOP
+      PERFORM recompute_budget_spent(touched.user_id, touched.month);
+    END LOOP;
+  ELSE
+    FOR touched IN
+      SELECT DISTINCT side.user_id, date_trunc('month', side.date)::date AS month
+      FROM (
+        SELECT o.user_id, o.date, o.type, n.date AS new_date, n.type AS new_type
+        FROM old_rows o
+        JOIN new_rows n ON n.id = o.id
+        WHERE (o.category_id, o.amount, o.date, o.type, o.deleted_at IS NULL)
+          IS DISTINCT FROM
+              (n.category_id, n.amount, n.date, n.type, n.deleted_at IS NULL)
+      ) changed
+      CROSS JOIN LATERAL (
+        VALUES (changed.user_id, changed.date, changed.type), (changed.user_id, changed.new_date, changed.new_type)
+      ) AS side(user_id, date, type)
+      WHERE side.type = 'expense'
+    LOOP
+      PERFORM recompute_budget_spent(touched.user_id, touched.month);
+    END LOOP;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Split lines change which categories a transaction counts towards
+CREATE OR REPLACE FUNCTION sync_budget_spent_from_splits()
+RETURNS TRIGGER AS $$
+DECLARE
+  split_ids UUID[];
+  touched RECORD;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    SELECT array_agg(transaction_id) INTO split_ids FROM new_rows;
+  ELSIF TG_OP = 'DELETE' THEN
+    SELECT array_agg(transaction_id) INTO split_ids FROM old_rows;
+  ELSE
+    SELECT array_agg(transaction_id) INTO split_ids
+    FROM (SELECT transaction_id FROM old_rows UNION SELECT transaction_id FROM new_rows) lines;
+  END IF;
+
+  FOR touched IN
+    SELECT DISTINCT t.user_id, date_trunc('month', t.date)::date AS month
+    FROM transactions t
+    WHERE t.type = 'expense' AND t.id = ANY(split_ids)
+  LOOP
+    PERFORM recompute_budget_spent(touched.user_id, touched.month);
+  END LOOP;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- A budget line created after its transactions starts with what they already spent
+CREATE OR REPLACE FUNCTION fill_budget_spent()
+RETURNS TRIGGER AS $$
+BEGIN
+  SELECT budget_category_spent(b.user_id, NEW.category_id, b.month) INTO NEW.spent
+  FROM budgets b WHERE b.id = NEW.budget_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS auto_update_spent ON transactions;
+DROP FUNCTION IF EXISTS update_spent();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_insert ON transactions;
+CREATE TRIGGER sync_budget_spent_insert
+AFTER INSERT ON transactions
+REFERENCING NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_update ON transactions;
+CREATE TRIGGER sync_budget_spent_update
+AFTER UPDATE ON transactions
+REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_delete ON transactions;
+CREATE TRIGGER sync_budget_spent_delete
+AFTER DELETE ON transactions
+REFERENCING OLD TABLE AS old_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_splits_insert ON transaction_splits;
+CREATE TRIGGER sync_budget_spent_splits_insert
+AFTER INSERT ON transaction_splits
+REFERENCING NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent_from_splits();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_splits_update ON transaction_splits;
+CREATE TRIGGER sync_budget_spent_splits_update
+AFTER UPDATE ON transaction_splits
+REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent_from_splits();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_splits_delete ON transaction_splits;
+CREATE TRIGGER sync_budget_spent_splits_delete
+AFTER DELETE ON transaction_splits
+REFERENCING OLD TABLE AS old_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent_from_splits();
+
+DROP TRIGGER IF EXISTS fill_budget_spent ON budget_categories;
+CREATE TRIGGER fill_budget_spent
+BEFORE INSERT OR UPDATE OF budget_id, category_id ON budget_categories
+FOR EACH ROW EXECUTE FUNCTION fill_budget_spent();
+
+-- ============================================================================
+-- STEP 3: Reconciliation
+-- ============================================================================
+-- Every budget line of the caller's month with its stored and actual spent; with p_fix,
+-- stored values are then corrected. Runs as the caller, so row level security applies.
+
+CREATE OR REPLACE FUNCTION reconcile_budget_spent(p_month DATE, p_fix BOOLEAN DEFAULT false)
+RETURNS TABLE (category_id UUID, category_name TEXT, stored_spent DECIMAL, actual_spent DECIMAL) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT bc.category_id, c.name, COALESCE(bc.spent, 0), budget_category_spent(b.user_id, bc.category_id, b.month)
+  FROM budget_categories bc
+  JOIN budgets b ON b.id = bc.budget_id
+  JOIN categories c ON c.id = bc.category_id
+  WHERE b.user_id = auth.uid()
+    AND date_trunc('month', b.month) = date_trunc('month', p_month)
+  ORDER BY c.name;
+
+  IF p_fix THEN
+    PERFORM recompute_budget_spent(auth.uid(), p_month);
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- Correct every existing budget once
+SELECT recompute_budget_spent(user_id, month) FROM budgets;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT tgname FROM pg_trigger WHERE tgname LIKE 'sync_budget_spent%' OR tgname = 'fill_budget_spent';
+-- SELECT * FROM reconcile_budget_spent(date_trunc('month', CURRENT_DATE)::date)
+-- WHERE stored_spent <> actual_spent;  -- no rows once in sync
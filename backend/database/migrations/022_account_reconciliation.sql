@@ -0,0 +1,156 @@
+-- Migration: Account reconciliation
+-- Created: 2026-10-19
+-- Description: Confirms an account matches the bank. Each transaction is uncleared, cleared
+--              (the bank shows it) or reconciled (part of a finished reconciliation). The
+--              user enters a statement's end date and closing balance and ticks off cleared
+--              transactions; once the cleared balance equals the statement, finishing
+--              records a reconciliation and locks the cleared rows as reconciled. A
+--              reconciled row's balance fields can't change unless the same write takes it
+--              off its reconciliation.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Create reconciliations table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS reconciliations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    statement_date DATE NOT NULL,                  -- Statement end date
+    statement_balance DECIMAL(12, 2) NOT NULL,     -- Closing balance on the statement
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliations_account_date
+ON reconciliations (account_id, statement_date DESC);
+
+-- ============================================================================
+-- STEP 2: Cleared status on transactions
+-- ============================================================================
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS cleared_status TEXT NOT NULL DEFAULT 'uncleared'
+  CHECK (cleared_status IN ('uncleared', 'cleared', 'reconciled'));
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS reconciliation_id UUID REFERENCES reconciliations(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN transactions.cleared_status IS
+  'uncleared, cleared (seen on the bank statement) or reconciled (locked by a finished
+   reconciliation; changing it takes it back to cleared, after the app asks). Each half of
+   a transfer has its own.';
+
+-- ============================================================================
+-- STEP 3: Enable Row Level Security
+-- ============================================================================
+
+ALTER TABLE reconciliations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "own_data" ON reconciliations;
+CREATE POLICY "own_data" ON reconciliations FOR ALL USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- STEP 4: Finish a reconciliation
+-- ============================================================================
+-- The cleared balance is the opening balance plus every reconciled row and every cleared
+-- row up to the statement date, trash excluded. It must equal the statement's closing
+-- balance; then the reconciliation is recorded and those cleared rows become reconciled.
+-- Runs as the caller, so row level security still applies.
+
+-- Where the account stood at its last reconciliation: the opening balance plus every
+-- reconciled row, the same sum finish_reconciliation() starts from. NULL if the account
+-- isn't the caller's. The reconcile dialog reads it rather than summing the rows itself.
+CREATE OR REPLACE FUNCTION reconciled_balance(p_account_id UUID)
+RETURNS DECIMAL AS $$
+    SELECT a.opening_balance + COALESCE(SUM(transaction_balance_delta(t.type, t.amount, t.transfer_direction)), 0)
+    FROM accounts a
+    LEFT JOIN transactions t
+      ON t.account_id = a.id
+     AND t.deleted_at IS NULL
+     AND t.cleared_status = 'reconciled'
+    WHERE a.id = p_account_id AND a.user_id = auth.uid()
+    GROUP BY a.id;
+$$ LANGUAGE sql STABLE SECURITY INVOKER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION finish_reconciliation(
+    p_account_id UUID,
+    p_statement_date DATE,
+    p_statement_balance DECIMAL
+)
+RETURNS UUID AS $$
+DECLARE
+    cleared_balance DECIMAL(12, 2);
+    new_id UUID;
+BEGIN
+    SELECT a.opening_balance + COALESCE(SUM(transaction_balance_delta(t.type, t.amount, t.transfer_direction)), 0)
+    INTO cleared_balance
+    FROM accounts a
+    LEFT JOIN transactions t
+      ON t.account_id = a.id
+     AND t.deleted_at IS NULL
+     AND (t.cleared_status = 'reconciled' OR (t.cleared_status = 'cleared' AND t.date <= p_statement_date))
+    WHERE a.id = p_account_id AND a.user_id = auth.uid()
+    GROUP BY a.id;
+
+    IF cleared_balance IS NULL THEN
+        RAISE EXCEPTION 'Account not found';
+    END IF;
+    IF cleared_balance <> p_statement_balance THEN
+        RAISE EXCEPTION 'Cleared balance % does not match the statement balance %', cleared_balance, p_statement_balance;
+    END IF;
+
+    INSERT INTO reconciliations (user_id, account_id, statement_date, statement_balance)
+    VALUES (auth.uid(), p_account_id, p_statement_date, p_statement_balance)
+    RETURNING id INTO new_id;
+
+    UPDATE transactions
+    SET cleared_status = 'reconciled', reconciliation_id = new_id
+    WHERE account_id = p_account_id
+      AND deleted_at IS NULL
+      AND cleared_status = 'cleared'
+      AND date <= p_statement_date;
+
+    RETURN new_id;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- ============================================================================
+-- STEP 5: Lock reconciled rows
+-- ============================================================================
+-- What a reconciled row puts in its account's balance (account, date, type, amount,
+-- direction, trash) can't change while it stays reconciled. Once the user confirms the
+-- change (lib/reconciliation.js reconciledEditWarning), the same write takes the row out of
+-- its reconciliation: cleared_status goes back to 'cleared', or 'uncleared' when it moves
+-- to another account. Rows already in the trash don't keep the lock.
+
+UPDATE transactions
+SET cleared_status = 'cleared'
+WHERE cleared_status = 'reconciled' AND deleted_at IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION guard_reconciled_transaction()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.cleared_status = 'reconciled'
+       AND (OLD.account_id, OLD.date, OLD.type, OLD.amount, OLD.transfer_direction, OLD.deleted_at IS NULL)
+           IS DISTINCT FROM
+           (NEW.account_id, NEW.date, NEW.type, NEW.amount, NEW.transfer_direction, NEW.deleted_at IS NULL) THEN
+        RAISE EXCEPTION 'Transaction % is reconciled; confirm the change to take it off its statement', OLD.id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS guard_reconciled_transaction ON transactions;
+CREATE TRIGGER guard_reconciled_transaction
+BEFORE UPDATE ON transactions
+FOR EACH ROW WHEN (OLD.cleared_status = 'reconciled')
+EXECUTE FUNCTION guard_reconciled_transaction();
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT cleared_status, COUNT(*) FROM transactions GROUP BY cleared_status;
+-- SELECT r.statement_date, r.statement_balance, COUNT(t.id) AS rows
+-- FROM reconciliations r LEFT JOIN transactions t ON t.reconciliation_id = r.id
+-- GROUP BY r.id ORDER BY r.statement_date DESC;
@@ -0,0 +1,547 @@
+-- Migration: Multi-currency accounts
+-- Created: 2026-10-19
+-- Description: Accounts can be held in different currencies (a USD account alongside CAD
+--              ones). Each account has a currency, and a transaction is in the currency it
+--              was paid in: its account's unless it says otherwise. The amount and currency
+--              a transaction was first recorded with are kept alongside. An account's
+--              balance converts rows in other currencies into its own; assets and
+--              liabilities have a currency too. Totals, budgets and net worth
+--              are converted to the user's base currency with exchange rates the user keeps
+--              (entered by hand or imported from CSV): the latest rate on or before the
+--              amount's date, else the earliest after it. Amounts with no rate count 1:1.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Base currency and exchange rates
+-- ============================================================================
+
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS base_currency TEXT NOT NULL DEFAULT 'USD';
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    rate_date DATE NOT NULL,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate DECIMAL(18, 8) NOT NULL CHECK (rate > 0),   -- One from_currency buys this much to_currency
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, from_currency, to_currency, rate_date),
+    CHECK (from_currency <> to_currency)
+);
+
+ALTER TABLE exchange_rates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "own_data" ON exchange_rates;
+CREATE POLICY "own_data" ON exchange_rates FOR ALL USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- STEP 2: Conversion
+-- ============================================================================
+-- The same rule as lib/currency.js findRate(). A pair is usable either way round.
+
+CREATE OR REPLACE FUNCTION base_currency(p_user_id UUID)
+RETURNS TEXT AS $$
+  SELECT COALESCE((SELECT base_currency FROM user_settings WHERE user_id = p_user_id), 'USD');
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION exchange_rate(p_user_id UUID, p_from TEXT, p_to TEXT, p_date DATE)
+RETURNS DECIMAL AS $$
+  SELECT CASE WHEN p_from = p_to THEN 1 ELSE (
+    SELECT pair.rate
+    FROM (
+      SELECT rate_date, rate FROM exchange_rates
+      WHERE user_id = p_user_id AND from_currency = p_from AND to_currency = p_to
+      UNION ALL
+      SELECT rate_date, 1 / rate FROM exchange_rates
+      WHERE user_id = p_user_id AND from_currency = p_to AND to_currency = p_from
+    ) pair
+    ORDER BY pair.rate_date > p_date, abs(pair.rate_date - p_date)
+    LIMIT 1
+  ) END;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION convert_amount(p_user_id UUID, p_amount DECIMAL, p_from TEXT, p_to TEXT, p_date DATE)
+RETURNS DECIMAL AS $$
+  SELECT ROUND(p_amount * COALESCE(exchange_rate(p_user_id, p_from, p_to, p_date), 1), 2);
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION to_base_amount(p_user_id UUID, p_amount DECIMAL, p_currency TEXT, p_date DATE)
+RETURNS DECIMAL AS $$
+  SELECT convert_amount(p_user_id, p_amount, p_currency, base_currency(p_user_id), p_date);
+$$ LANGUAGE sql STABLE;
+
+-- ============================================================================
+-- STEP 3: Currency on accounts, assets, liabilities and transactions
+-- ============================================================================
+-- Existing rows are in the base currency (USD unless changed). New ones default to it.
+
+CREATE OR REPLACE FUNCTION fill_currency()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.currency IS NULL THEN
+        NEW.currency := base_currency(NEW.user_id);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS currency TEXT;
+UPDATE accounts SET currency = base_currency(user_id) WHERE currency IS NULL;
+ALTER TABLE accounts ALTER COLUMN currency SET NOT NULL;
+
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS currency TEXT;
+UPDATE assets SET currency = base_currency(user_id) WHERE currency IS NULL;
+ALTER TABLE assets ALTER COLUMN currency SET NOT NULL;
+
+ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS currency TEXT;
+UPDATE liabilities SET currency = base_currency(user_id) WHERE currency IS NULL;
+ALTER TABLE liabilities ALTER COLUMN currency SET NOT NULL;
+
+DROP TRIGGER IF EXISTS fill_account_currency ON accounts;
+CREATE TRIGGER fill_account_currency
+BEFORE INSERT ON accounts
+FOR EACH ROW EXECUTE FUNCTION fill_currency();
+
+DROP TRIGGER IF EXISTS fill_asset_currency ON assets;
+CREATE TRIGGER fill_asset_currency
+BEFORE INSERT ON assets
+FOR EACH ROW EXECUTE FUNCTION fill_currency();
+
+DROP TRIGGER IF EXISTS fill_liability_currency ON liabilities;
+CREATE TRIGGER fill_liability_currency
+BEFORE INSERT ON liabilities
+FOR EACH ROW EXECUTE FUNCTION fill_currency();
+
+-- A transaction is in the currency it was paid in, its account's when none is given. It
+-- keeps that currency when it moves account. original_amount and original_currency are
+-- what it was first recorded with, and don't change after.
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS currency TEXT;
+UPDATE transactions t SET currency = a.currency FROM accounts a WHERE a.id = t.account_id AND t.currency IS NULL;
+ALTER TABLE transactions ALTER COLUMN currency SET NOT NULL;
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS original_amount DECIMAL(12, 2);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS original_currency TEXT;
+UPDATE transactions SET original_amount = amount, original_currency = currency WHERE original_amount IS NULL;
+ALTER TABLE transactions ALTER COLUMN original_amount SET NOT NULL;
+ALTER TABLE transactions ALTER COLUMN original_currency SET NOT NULL;
+
+CREATE OR REPLACE FUNCTION fill_transaction_currency()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.currency IS NULL THEN
+        SELECT currency INTO NEW.currency FROM accounts WHERE id = NEW.account_id;
+        NEW.currency := COALESCE(NEW.currency, base_currency(NEW.user_id));
+    END IF;
+    IF TG_OP = 'INSERT' THEN
+        NEW.original_amount := COALESCE(NEW.original_amount, NEW.amount);
+        NEW.original_currency := COALESCE(NEW.original_currency, NEW.currency);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS fill_transaction_currency ON transactions;
+CREATE TRIGGER fill_transaction_currency
+BEFORE INSERT OR UPDATE OF currency ON transactions
+FOR EACH ROW EXECUTE FUNCTION fill_transaction_currency();
+
+-- ============================================================================
+-- STEP 4: Balances in the account's currency
+-- ============================================================================
+-- Replaces recompute_ledger() and sync_ledger() from 020. Rows in another currency move
+-- the balance by their amount converted at the rate of their date, so the ledger is
+-- recomputed when a row's currency, an account's currency or the user's rates change.
+-- Amounts stay as recorded: changing an account's currency doesn't relabel them.
+
+CREATE OR REPLACE FUNCTION recompute_ledger(p_account_id UUID, p_from DATE DEFAULT NULL)
+RETURNS VOID AS $$
+DECLARE
+    start_balance DECIMAL(12, 2);
+    account_currency TEXT;
+BEGIN
+    SELECT opening_balance, currency INTO start_balance, account_currency FROM accounts WHERE id = p_account_id;
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    -- Rows before p_from are unchanged; start from where they leave the account
+    IF p_from IS NOT NULL THEN
+        start_balance := start_balance + COALESCE((
+            SELECT SUM(transaction_balance_delta(type, convert_amount(user_id, amount, currency, account_currency, date), transfer_direction))
+            FROM transactions
+            WHERE account_id = p_account_id AND deleted_at IS NULL AND date < p_from
+        ), 0);
+    END IF;
+
+    UPDATE transactions t
+    SET balance = ledger.running
+    FROM (
+        SELECT id, start_balance + SUM(transaction_balance_delta(type, convert_amount(user_id, amount, currency, account_currency, date), transfer_direction))
+            OVER (ORDER BY date, created_at, id ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW) AS running
+        FROM transactions
+        WHERE account_id = p_account_id AND deleted_at IS NULL AND (p_from IS NULL OR date >= p_from)
+    ) ledger
+    WHERE t.id = ledger.id AND t.balance IS DISTINCT FROM ledger.running;
+
+    UPDATE transactions
+    SET balance = NULL
+    WHERE account_id = p_account_id AND deleted_at IS NOT NULL AND balance IS NOT NULL;
+
+    UPDATE accounts
+    SET balance = opening_balance + COALESCE((
+        SELECT SUM(transaction_balance_delta(type, convert_amount(user_id, amount, currency, account_currency, date), transfer_direction))
+        FROM transactions
+        WHERE account_id = p_account_id AND deleted_at IS NULL
+    ), 0)
+    WHERE id = p_account_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION sync_ledger()
+RETURNS TRIGGER AS $$
+DECLARE
+    touched RECORD;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        FOR touched IN
+            SELECT account_id, MIN(date) AS from_date FROM new_rows GROUP BY account_id
+        LOOP
+            PERFORM recompute_ledger(touched.account_id, touched.from_date);
+        END LOOP;
+    ELSIF TG_OP = 'DELETE' THEN
+        FOR touched IN
+            SELECT account_id, MIN(date) AS from_date FROM old_rows GROUP BY account_id
+        LOOP
+            PERFORM recompute_ledger(touched.account_id, touched.from_date);
+        END LOOP;
+    ELSE
+        FOR touched IN
+            SELECT side.account_id, MIN(side.date) AS from_date
+            FROM (
+                SELECT o.account_id, o.date, n.account_id AS new_account_id, n.date AS new_date
+                FROM old_rows o
+                JOIN new_rows n ON n.id = o.id
+                WHERE (o.account_id, o.date, o.created_at, o.type, o.amount, o.currency, o.transfer_direction, o.deleted_at IS NULL)
+                    IS DISTINCT FROM
+                      (n.account_id, n.date, n.created_at, n.type, n.amount, n.currency, n.transfer_direction, n.deleted_at IS NULL)
+            ) moved
+            CROSS JOIN LATERAL (
+                VALUES (moved.account_id, moved.date), (moved.new_account_id, moved.new_date)
+            ) AS side(account_id, date)
+            GROUP BY side.account_id
+        LOOP
+            PERFORM recompute_ledger(touched.account_id, touched.from_date);
+        END LOOP;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Changing an account's currency converts its balance, not its transactions
+CREATE OR REPLACE FUNCTION sync_account_currency()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM recompute_ledger(NEW.id);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_account_currency ON accounts;
+CREATE TRIGGER sync_account_currency
+AFTER UPDATE OF currency ON accounts
+FOR EACH ROW WHEN (OLD.currency IS DISTINCT FROM NEW.currency)
+EXECUTE FUNCTION sync_account_currency();
+
+-- New, edited or deleted rates move the balances of the user's accounts holding rows in
+-- another currency. The same function serves all three statements.
+CREATE OR REPLACE FUNCTION sync_ledger_from_rates()
+RETURNS TRIGGER AS $$
+DECLARE
+    acc RECORD;
+BEGIN
+    FOR acc IN
+        SELECT DISTINCT a.id
+        FROM accounts a
+        JOIN transactions t ON t.account_id = a.id AND t.currency <> a.currency
+        WHERE a.user_id IN (SELECT user_id FROM changed_rows)
+    LOOP
+        PERFORM recompute_ledger(acc.id);
+    END LOOP;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_ledger_rates_insert ON exchange_rates;
+CREATE TRIGGER sync_ledger_rates_insert
+AFTER INSERT ON exchange_rates
+REFERENCING NEW TABLE AS changed_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_ledger_from_rates();
+
+DROP TRIGGER IF EXISTS sync_ledger_rates_update ON exchange_rates;
+CREATE TRIGGER sync_ledger_rates_update
+AFTER UPDATE ON exchange_rates
+REFERENCING NEW TABLE AS changed_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_ledger_from_rates();
+
+DROP TRIGGER IF EXISTS sync_ledger_rates_delete ON exchange_rates;
+CREATE TRIGGER sync_ledger_rates_delete
+AFTER DELETE ON exchange_rates
+REFERENCING OLD TABLE AS changed_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_ledger_from_rates();
+
+-- Replaces reconciled_balance() from 022: reconciled rows convert like the ledger
+CREATE OR REPLACE FUNCTION reconciled_balance(p_account_id UUID)
+RETURNS DECIMAL AS $$
+    SELECT a.opening_balance + COALESCE(SUM(transaction_balance_delta(t.type, convert_amount(t.user_id, t.amount, t.currency, a.currency, t.date), t.transfer_direction)), 0)
+    FROM accounts a
+    LEFT JOIN transactions t
+      ON t.account_id = a.id
+     AND t.deleted_at IS NULL
+     AND t.cleared_status = 'reconciled'
+    WHERE a.id = p_account_id AND a.user_id = auth.uid()
+    GROUP BY a.id;
+$$ LANGUAGE sql STABLE SECURITY INVOKER SET search_path = public;
+
+-- Replaces finish_reconciliation() from 022: the cleared balance converts like the ledger
+CREATE OR REPLACE FUNCTION finish_reconciliation(
+    p_account_id UUID,
+    p_statement_date DATE,
+    p_statement_balance DECIMAL
+)
+RETURNS UUID AS $$
+DECLARE
+    cleared_balance DECIMAL(12, 2);
+    new_id UUID;
+BEGIN
+    SELECT a.opening_balance + COALESCE(SUM(transaction_balance_delta(t.type, convert_amount(t.user_id, t.amount, t.currency, a.currency, t.date), t.transfer_direction)), 0)
+    INTO cleared_balance
+    FROM accounts a
+    LEFT JOIN transactions t
+      ON t.account_id = a.id
+     AND t.deleted_at IS NULL
+     AND (t.cleared_status = 'reconciled' OR (t.cleared_status = 'cleared' AND t.date <= p_statement_date))
+    WHERE a.id = p_account_id AND a.user_id = auth.uid()
+    GROUP BY a.id;
+
+    IF cleared_balance IS NULL THEN
+        RAISE EXCEPTION 'Account not found';
+    END IF;
+    IF cleared_balance <> p_statement_balance THEN
+        RAISE EXCEPTION 'Cleared balance % does not match the statement balance %', cleared_balance, p_statement_balance;
+    END IF;
+
+    INSERT INTO reconciliations (user_id, account_id, statement_date, statement_balance)
+    VALUES (auth.uid(), p_account_id, p_statement_date, p_statement_balance)
+    RETURNING id INTO new_id;
+
+    UPDATE transactions
+    SET cleared_status = 'reconciled', reconciliation_id = new_id
+    WHERE account_id = p_account_id
+      AND deleted_at IS NULL
+      AND cleared_status = 'cleared'
+      AND date <= p_statement_date;
+
+    RETURN new_id;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- Replaces guard_reconciled_transaction() from 022: a reconciled row's currency is locked too
+CREATE OR REPLACE FUNCTION guard_reconciled_transaction()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.cleared_status = 'reconciled'
+       AND (OLD.account_id, OLD.date, OLD.type, OLD.amount, OLD.currency, OLD.transfer_direction, OLD.deleted_at IS NULL)
+           IS DISTINCT FROM
+           (NEW.account_id, NEW.date, NEW.type, NEW.amount, NEW.currency, NEW.transfer_direction, NEW.deleted_at IS NULL) THEN
+        RAISE EXCEPTION 'Transaction % is reconciled; confirm the change to take it off its statement', OLD.id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- STEP 5: Budget spent in the base currency
+-- ============================================================================
+-- Replaces budget_category_spent() from 021 with one that converts each line. Spent is
+-- recomputed for a user's budgets when their rates, base currency or an account's currency
+-- change.
+
+CREATE OR REPLACE FUNCTION budget_category_spent(p_user_id UUID, p_category_id UUID, p_month DATE)
+RETURNS DECIMAL AS $$
+  SELECT COALESCE(SUM(to_base_amount(p_user_id, line.amount, t.currency, t.date)), 0)
+  FROM transactions t
+  CROSS JOIN LATERAL (
+    SELECT s.category_id, s.amount FROM transaction_splits s WHERE s.transaction_id = t.id
+    UNION ALL
+    SELECT t.category_id, t.amount
+    WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+  ) line
+  WHERE t.user_id = p_user_id
+    AND t.type = 'expense'
+    AND t.deleted_at IS NULL
+    AND t.date >= date_trunc('month', p_month)::date
+    AND t.date < (date_trunc('month', p_month) + INTERVAL '1 month')::date
+    AND line.category_id = p_category_id;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION recompute_user_budgets(p_user_id UUID)
+RETURNS VOID AS $$
+  SELECT recompute_budget_spent(p_user_id, month) FROM budgets WHERE user_id = p_user_id;
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION sync_budget_spent_from_rates()
+RETURNS TRIGGER AS $$
+DECLARE
+    touched RECORD;
+BEGIN
+    IF TG_TABLE_NAME <> 'exchange_rates' THEN
+        PERFORM recompute_user_budgets(NEW.user_id);
+        RETURN NULL;
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        FOR touched IN SELECT DISTINCT user_id FROM new_rows LOOP
+            PERFORM recompute_user_budgets(touched.user_id);
+        END LOOP;
+    ELSE
+        FOR touched IN SELECT DISTINCT user_id FROM old_rows LOOP
+            PERFORM recompute_user_budgets(touched.user_id);
+        END LOOP;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_budget_spent_rates_insert ON exchange_rates;
+CREATE TRIGGER sync_budget_spent_rates_insert
+AFTER INSERT ON exchange_rates
+REFERENCING NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent_from_rates();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_rates_update ON exchange_rates;
+CREATE TRIGGER sync_budget_spent_rates_update
+AFTER UPDATE ON exchange_rates
+REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent_from_rates();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_rates_delete ON exchange_rates;
+CREATE TRIGGER sync_budget_spent_rates_delete
+AFTER DELETE ON exchange_rates
+REFERENCING OLD TABLE AS old_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent_from_rates();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_base_currency ON user_settings;
+CREATE TRIGGER sync_budget_spent_base_currency
+AFTER UPDATE OF base_currency ON user_settings
+FOR EACH ROW WHEN (OLD.base_currency IS DISTINCT FROM NEW.base_currency)
+EXECUTE FUNCTION sync_budget_spent_from_rates();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_account_currency ON accounts;
+CREATE TRIGGER sync_budget_spent_account_currency
+AFTER UPDATE OF currency ON accounts
+FOR EACH ROW WHEN (OLD.currency IS DISTINCT FROM NEW.currency)
+EXECUTE FUNCTION sync_budget_spent_from_rates();
+
+-- ============================================================================
+-- STEP 6: Transactions totals in the base currency
+-- ============================================================================
+-- Same filters as 018; income and expenses are converted. Amount filters still compare
+-- the amount as listed, in the row's own currency.
+
+CREATE OR REPLACE FUNCTION transaction_totals(
+    p_start DATE DEFAULT NULL,
+    p_end DATE DEFAULT NULL,
+    p_min DECIMAL DEFAULT NULL,
+    p_max DECIMAL DEFAULT NULL,
+    p_type TEXT DEFAULT NULL,
+    p_account UUID DEFAULT NULL,
+    p_bank TEXT DEFAULT NULL,
+    p_tag TEXT DEFAULT NULL,
+    p_search TEXT[] DEFAULT '{}',
+    p_exclude_search TEXT[] DEFAULT '{}',
+    p_descriptions TEXT[] DEFAULT '{}',
+    p_exclude_descriptions TEXT[] DEFAULT '{}',
+    p_categories UUID[] DEFAULT NULL,
+    p_exclude_categories UUID[] DEFAULT '{}',
+    p_accounts UUID[] DEFAULT NULL,
+    p_exclude_accounts UUID[] DEFAULT '{}',
+    p_tags TEXT[] DEFAULT '{}',
+    p_exclude_tags TEXT[] DEFAULT '{}',
+    p_banks TEXT[] DEFAULT '{}',
+    p_exclude_banks TEXT[] DEFAULT '{}',
+    p_types TEXT[] DEFAULT '{}',
+    p_exclude_types TEXT[] DEFAULT '{}'
+)
+RETURNS TABLE (transaction_count BIGINT, income DECIMAL, expenses DECIMAL) AS $$
+  SELECT
+    COUNT(*),
+    COALESCE(SUM(to_base_amount(t.user_id, t.amount, t.currency, t.date)) FILTER (WHERE t.type = 'income'), 0),
+    COALESCE(SUM(to_base_amount(t.user_id, t.amount, t.currency, t.date)) FILTER (WHERE t.type = 'expense'), 0)
+  FROM transactions t
+  LEFT JOIN categories c ON c.id = t.category_id
+  WHERE t.user_id = auth.uid()
+    AND t.deleted_at IS NULL
+    AND (p_start IS NULL OR t.date >= p_start)
+    AND (p_end IS NULL OR t.date <= p_end)
+    AND (p_min IS NULL OR t.amount >= p_min)
+    AND (p_max IS NULL OR t.amount <= p_max)
+    AND (p_type IS NULL OR t.type = p_type)
+    AND (p_account IS NULL OR t.account_id = p_account)
+    AND (p_bank IS NULL OR t.provider = p_bank)
+    AND (p_tag IS NULL OR p_tag = ANY (t.tags))
+    -- Words and phrases
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_search, '{}')) AS term
+      WHERE NOT (t.description ILIKE '%' || term || '%' OR COALESCE(c.name, '') ILIKE '%' || term || '%')
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_exclude_search, '{}')) AS term
+      WHERE t.description ILIKE '%' || term || '%' OR COALESCE(c.name, '') ILIKE '%' || term || '%'
+    )
+    -- desc:
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_descriptions, '{}')) AS term
+      WHERE t.description NOT ILIKE '%' || term || '%'
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_exclude_descriptions, '{}')) AS term
+      WHERE t.description ILIKE '%' || term || '%'
+    )
+    -- category: and account:
+    AND (p_categories IS NULL OR t.category_id = ANY (p_categories))
+    AND (t.category_id IS NULL OR NOT (t.category_id = ANY (COALESCE(p_exclude_categories, '{}'))))
+    AND (p_accounts IS NULL OR t.account_id = ANY (p_accounts))
+    AND (t.account_id IS NULL OR NOT (t.account_id = ANY (COALESCE(p_exclude_accounts, '{}'))))
+    -- tag:
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_tags, '{}')) AS wanted
+      WHERE NOT EXISTS (SELECT 1 FROM unnest(t.tags) AS tag WHERE lower(tag) = wanted)
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(t.tags) AS tag
+      WHERE lower(tag) = ANY (COALESCE(p_exclude_tags, '{}'))
+    )
+    -- bank:
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_banks, '{}')) AS term
+      WHERE COALESCE(t.provider, '') NOT ILIKE '%' || term || '%'
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_exclude_banks, '{}')) AS term
+      WHERE COALESCE(t.provider, '') ILIKE '%' || term || '%'
+    )
+    -- type:
+    AND t.type = ALL (COALESCE(p_types, '{}'))
+    AND NOT (t.type = ANY (COALESCE(p_exclude_types, '{}')));
+$$ LANGUAGE sql STABLE SECURITY INVOKER SET search_path = public;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT currency, COUNT(*) FROM accounts GROUP BY currency;
+-- SELECT COUNT(*) FROM transactions t JOIN accounts a ON a.id = t.account_id
+-- WHERE t.currency <> a.currency;  -- rows paid in another currency than their account's
+-- SELECT exchange_rate(auth.uid(), 'USD', 'CAD', CURRENT_DATE);
+-- SELECT * FROM reconcile_budget_spent(date_trunc('month', CURRENT_DATE)::date)
+-- WHERE stored_spent <> actual_spent;  -- no rows once in sync
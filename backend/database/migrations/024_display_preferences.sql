@@ -0,0 +1,34 @@
+-- Migration: Locale and format preferences
+-- Created: 2026-10-19
+-- Description: How the app shows numbers and dates, and how it reads ambiguous dates in
+--              imports. Number locale (1,234.56 or 1 234,56), date display format, first
+--              day of the week, and whether an imported 03/04/2026 is March 4 or 3 April.
+--              The display currency is user_settings.base_currency (migration 023).
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Preference columns
+-- ============================================================================
+-- The defaults are what the app did before: en-US numbers, "Oct 19, 2026", weeks from
+-- Monday on the Dashboard, and MM/DD for imported dates that could be either.
+
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS number_locale TEXT NOT NULL DEFAULT 'en-US';
+
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS date_format TEXT NOT NULL DEFAULT 'MMM D, YYYY'
+    CHECK (date_format IN ('MMM D, YYYY', 'D MMM YYYY', 'MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'));
+
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS week_start SMALLINT NOT NULL DEFAULT 1
+    CHECK (week_start BETWEEN 0 AND 6);   -- 0 = Sunday, 1 = Monday, as in JavaScript getDay()
+
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS import_date_order TEXT NOT NULL DEFAULT 'MDY'
+    CHECK (import_date_order IN ('MDY', 'DMY'));
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT user_id, base_currency, number_locale, date_format, week_start, import_date_order
+-- FROM user_settings;
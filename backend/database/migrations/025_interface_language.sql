@@ -0,0 +1,21 @@
+-- Migration: Interface language
+-- Created: 2026-10-19
+-- Description: The language the app is shown in - English or French. Pages, dialogs,
+--              notifications and the budget recommendation messages follow it.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Language column
+-- ============================================================================
+-- English unless changed in Settings. Amounts and dates keep following number_locale and
+-- date_format (migration 024); picking a language in the app also moves number_locale to
+-- match unless it is already in that language.
+
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS language TEXT NOT NULL DEFAULT 'en'
+    CHECK (language IN ('en', 'fr'));
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT user_id, language, number_locale, date_format FROM user_settings;
@@ -0,0 +1,239 @@
+-- Migration: Refunds
+-- Created: 2026-10-19
+-- Description: Adds a `refund` transaction type. A refund is money back for a purchase: it
+--              sits in an expense category, optionally linked to the purchase through
+--              refund_of, and adds to its account's balance. It is not income - it takes
+--              back spending, so budget spent and the Transactions totals count a
+--              category's expenses less its refunds.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Allow the new type and link refunds to purchases
+-- ============================================================================
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_type_check;
+ALTER TABLE transactions
+ADD CONSTRAINT transactions_type_check CHECK (type IN ('income', 'expense', 'transfer', 'refund'));
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS refund_of UUID REFERENCES transactions(id) ON DELETE SET NULL;
+
+-- Only refunds point at a purchase
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_refund_of_check;
+ALTER TABLE transactions
+ADD CONSTRAINT transactions_refund_of_check CHECK (refund_of IS NULL OR type = 'refund');
+
+COMMENT ON COLUMN transactions.refund_of IS
+  'The expense this refund returns money for, when known. Cleared if that expense is deleted
+   for good; the refund keeps its category and still counts against it.';
+
+CREATE INDEX IF NOT EXISTS idx_transactions_refund_of
+ON transactions (refund_of)
+WHERE refund_of IS NOT NULL;
+
+-- ============================================================================
+-- STEP 2: Refunds add to the balance
+-- ============================================================================
+-- The ledger (020) reads every row through this, so running balances follow.
+
+CREATE OR REPLACE FUNCTION transaction_balance_delta(tx_type TEXT, tx_amount DECIMAL, tx_direction TEXT)
+RETURNS DECIMAL AS $$
+  SELECT CASE
+    WHEN tx_type IN ('income', 'refund') OR (tx_type = 'transfer' AND tx_direction = 'in') THEN tx_amount
+    ELSE -tx_amount
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- ============================================================================
+-- STEP 3: Refunds take back budget spent
+-- ============================================================================
+-- Replaces budget_category_spent() from 023: the month's expenses in the category less its
+-- refunds. The sync triggers from 021 now also recompute the months refunds touch.
+
+CREATE OR REPLACE FUNCTION budget_category_spent(p_user_id UUID, p_category_id UUID, p_month DATE)
+RETURNS DECIMAL AS $$
+  SELECT COALESCE(SUM(to_base_amount(
+    p_user_id, CASE WHEN t.type = 'refund' THEN -line.amount ELSE line.amount END, t.currency, t.date
+  )), 0)
+  FROM transactions t
+  CROSS JOIN LATERAL (
+    SELECT s.category_id, s.amount FROM transaction_splits s WHERE s.transaction_id = t.id
+    UNION ALL
+    SELECT t.category_id, t.amount
+    WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+  ) line
+  WHERE t.user_id = p_user_id
+    AND t.type IN ('expense', 'refund')
+    AND t.deleted_at IS NULL
+    AND t.date >= date_trunc('month', p_month)::date
+    AND t.date < (date_trunc('month', p_month) + INTERVAL '1 month')::date
+    AND line.category_id = p_category_id;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION sync_budget_spent()
+RETURNS TRIGGER AS $$
+DECLARE
+  touched RECORD;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    FOR touched IN
+      SELECT DISTINCT user_id, date_trunc('month', date)::date AS month
+      FROM new_rows WHERE type IN ('expense', 'refund')
+    LOOP
+      PERFORM recompute_budget_spent(touched.user_id, touched.month);
+    END LOOP;
+  ELSIF TG_OP = 'DELETE' THEN
+    FOR touched IN
+      SELECT DISTINCT user_id, date_trunc('month', date)::date AS month
+      FROM old_rows WHERE type IN ('expense', 'refund')
+    LOOP
+      PERFORM recompute_budget_spent(touched.user_id, touched.month);
+    END LOOP;
+  ELSE
+    FOR touched IN
+      SELECT DISTINCT side.user_id, date_trunc('month', side.date)::date AS month
+      FROM (
+        SELECT o.user_id, o.date, o.type, n.date AS new_date, n.type AS new_type
+        FROM old_rows o
+        JOIN new_rows n ON n.id = o.id
+        WHERE (o.category_id, o.amount, o.date, o.type, o.deleted_at IS NULL)
+          IS DISTINCT FROM
+              (n.category_id, n.amount, n.date, n.type, n.deleted_at IS NULL)
+      ) changed
+      CROSS JOIN LATERAL (
+        VALUES (changed.user_id, changed.date, changed.type), (changed.user_id, changed.new_date, changed.new_type)
+      ) AS side(user_id, date, type)
+      WHERE side.type IN ('expense', 'refund')
+    LOOP
+      PERFORM recompute_budget_spent(touched.user_id, touched.month);
+    END LOOP;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION sync_budget_spent_from_splits()
+RETURNS TRIGGER AS $$
+DECLARE
+  split_ids UUID[];
+  touched RECORD;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    SELECT array_agg(transaction_id) INTO split_ids FROM new_rows;
+  ELSIF TG_OP = 'DELETE' THEN
+    SELECT array_agg(transaction_id) INTO split_ids FROM old_rows;
+  ELSE
+    SELECT array_agg(transaction_id) INTO split_ids
+    FROM (SELECT transaction_id FROM old_rows UNION SELECT transaction_id FROM new_rows) lines;
+  END IF;
+
+  FOR touched IN
+    SELECT DISTINCT t.user_id, date_trunc('month', t.date)::date AS month
+    FROM transactions t
+    WHERE t.type IN ('expense', 'refund') AND t.id = ANY(split_ids)
+  LOOP
+    PERFORM recompute_budget_spent(touched.user_id, touched.month);
+  END LOOP;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- STEP 4: Transactions totals
+-- ============================================================================
+-- Same filters as 023; expenses are net of refunds, and refunds are not income.
+
+CREATE OR REPLACE FUNCTION transaction_totals(
+    p_start DATE DEFAULT NULL,
+    p_end DATE DEFAULT NULL,
+    p_min DECIMAL DEFAULT NULL,
+    p_max DECIMAL DEFAULT NULL,
+    p_type TEXT DEFAULT NULL,
+    p_account UUID DEFAULT NULL,
+    p_bank TEXT DEFAULT NULL,
+    p_tag TEXT DEFAULT NULL,
+    p_search TEXT[] DEFAULT '{}',
+    p_exclude_search TEXT[] DEFAULT '{}',
+    p_descriptions TEXT[] DEFAULT '{}',
+    p_exclude_descriptions TEXT[] DEFAULT '{}',
+    p_categories UUID[] DEFAULT NULL,
+    p_exclude_categories UUID[] DEFAULT '{}',
+    p_accounts UUID[] DEFAULT NULL,
+    p_exclude_accounts UUID[] DEFAULT '{}',
+    p_tags TEXT[] DEFAULT '{}',
+    p_exclude_tags TEXT[] DEFAULT '{}',
+    p_banks TEXT[] DEFAULT '{}',
+    p_exclude_banks TEXT[] DEFAULT '{}',
+    p_types TEXT[] DEFAULT '{}',
+    p_exclude_types TEXT[] DEFAULT '{}'
+)
+RETURNS TABLE (transaction_count BIGINT, income DECIMAL, expenses DECIMAL) AS $$
+  SELECT
+    COUNT(*),
+    COALESCE(SUM(to_base_amount(t.user_id, t.amount, t.currency, t.date)) FILTER (WHERE t.type = 'income'), 0),
+    COALESCE(SUM(to_base_amount(t.user_id, t.amount, t.currency, t.date)) FILTER (WHERE t.type = 'expense'), 0)
+      - COALESCE(SUM(to_base_amount(t.user_id, t.amount, t.currency, t.date)) FILTER (WHERE t.type = 'refund'), 0)
+  FROM transactions t
+  LEFT JOIN categories c ON c.id = t.category_id
+  WHERE t.user_id = auth.uid()
+    AND t.deleted_at IS NULL
+    AND (p_start IS NULL OR t.date >= p_start)
+    AND (p_end IS NULL OR t.date <= p_end)
+    AND (p_min IS NULL OR t.amount >= p_min)
+    AND (p_max IS NULL OR t.amount <= p_max)
+    AND (p_type IS NULL OR t.type = p_type)
+    AND (p_account IS NULL OR t.account_id = p_account)
+    AND (p_bank IS NULL OR t.provider = p_bank)
+    AND (p_tag IS NULL OR p_tag = ANY (t.tags))
+    -- Words and phrases
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_search, '{}')) AS term
+      WHERE NOT (t.description ILIKE '%' || term || '%' OR COALESCE(c.name, '') ILIKE '%' || term || '%')
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_exclude_search, '{}')) AS term
+      WHERE t.description ILIKE '%' || term || '%' OR COALESCE(c.name, '') ILIKE '%' || term || '%'
+    )
+    -- desc:
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_descriptions, '{}')) AS term
+      WHERE t.description NOT ILIKE '%' || term || '%'
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_exclude_descriptions, '{}')) AS term
+      WHERE t.description ILIKE '%' || term || '%'
+    )
+    -- category: and account:
+    AND (p_categories IS NULL OR t.category_id = ANY (p_categories))
+    AND (t.category_id IS NULL OR NOT (t.category_id = ANY (COALESCE(p_exclude_categories, '{}'))))
+    AND (p_accounts IS NULL OR t.account_id = ANY (p_accounts))
+    AND (t.account_id IS NULL OR NOT (t.account_id = ANY (COALESCE(p_exclude_accounts, '{}'))))
+    -- tag:
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_tags, '{}')) AS wanted
+      WHERE NOT EXISTS (SELECT 1 FROM unnest(t.tags) AS tag WHERE lower(tag) = wanted)
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(t.tags) AS tag
+      WHERE lower(tag) = ANY (COALESCE(p_exclude_tags, '{}'))
+    )
+    -- bank:
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_banks, '{}')) AS term
+      WHERE COALESCE(t.provider, '') NOT ILIKE '%' || term || '%'
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_exclude_banks, '{}')) AS term
+      WHERE COALESCE(t.provider, '') ILIKE '%' || term || '%'
+    )
+    -- type:
+    AND t.type = ALL (COALESCE(p_types, '{}'))
+    AND NOT (t.type = ANY (COALESCE(p_exclude_types, '{}')));
+$$ LANGUAGE sql STABLE SECURITY INVOKER SET search_path = public;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT r.date, r.description, r.amount, p.description AS purchase, p.amount AS purchase_amount
+-- FROM transactions r LEFT JOIN transactions p ON p.id = r.refund_of
+-- WHERE r.type = 'refund' ORDER BY r.date DESC;
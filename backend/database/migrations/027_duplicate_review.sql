@@ -0,0 +1,54 @@
+-- Migration: Duplicate review queue
+-- Created: 2026-10-19
+-- Description: Imports hold back rows that look like a transaction already recorded - the
+--              same purchase a day or two apart, or worded a little differently, coming in
+--              from a CSV and from the Google Sheet. Each one waits here next to that
+--              transaction until the user merges it, keeps both or discards it. The decision
+--              stays under the row's signature (date|description|amount), so the same row
+--              arriving again follows it without asking.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Create duplicate_reviews table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS duplicate_reviews (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    signature TEXT NOT NULL,                       -- date|DESCRIPTION|amount of the incoming row
+    incoming JSONB NOT NULL,                       -- The row as the import would have inserted it
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL, -- The one it resembles; NULL once that is deleted
+    source TEXT NOT NULL DEFAULT 'import' CHECK (source IN ('import', 'sync', 'webhook')),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'merged', 'kept', 'discarded')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (user_id, signature)
+);
+
+-- A review outlives the transaction it resembles (trash purge, import rollback): its incoming
+-- row can still be kept or discarded. Re-pointed here for tables created with ON DELETE CASCADE.
+ALTER TABLE duplicate_reviews DROP CONSTRAINT IF EXISTS duplicate_reviews_transaction_id_fkey;
+ALTER TABLE duplicate_reviews
+ADD CONSTRAINT duplicate_reviews_transaction_id_fkey
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL;
+
+COMMENT ON TABLE duplicate_reviews IS
+  'Suspected duplicate import rows and what the user decided: merged into the transaction,
+   kept as a second transaction, or discarded. Pending ones are listed on the Import page.';
+
+CREATE INDEX IF NOT EXISTS idx_duplicate_reviews_user_status
+ON duplicate_reviews (user_id, status, created_at);
+
+-- ============================================================================
+-- STEP 2: Enable Row Level Security
+-- ============================================================================
+
+ALTER TABLE duplicate_reviews ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "own_data" ON duplicate_reviews;
+CREATE POLICY "own_data" ON duplicate_reviews FOR ALL USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT status, source, COUNT(*) FROM duplicate_reviews GROUP BY status, source;
@@ -0,0 +1,105 @@
+-- Migration: Import batches
+-- Created: 2026-10-19
+-- Description: Records every import - a CSV, OFX/QFX or QIF file, a Google Sheet fetched on
+--              the Import page, an auto-sync or a webhook call - as a batch: where it came
+--              from, how many rows were read, imported, skipped as duplicates, held for
+--              duplicate review or rejected, and why. The transactions it inserted point at
+--              it, so the Import History tab can list them and roll the whole batch back.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Create import_batches table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS import_batches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    account_id UUID REFERENCES accounts(id) ON DELETE SET NULL,  -- Account imported into
+    source TEXT NOT NULL CHECK (source IN ('csv', 'ofx', 'qif', 'sheet', 'sync', 'webhook')),
+    source_name TEXT,                              -- File name or sheet tab
+    row_count INTEGER NOT NULL DEFAULT 0,          -- Rows read
+    imported_count INTEGER NOT NULL DEFAULT 0,     -- Transactions inserted (a transfer is two)
+    duplicate_count INTEGER NOT NULL DEFAULT 0,    -- Skipped as already recorded
+    held_count INTEGER NOT NULL DEFAULT 0,         -- Waiting in the duplicate review queue
+    error_count INTEGER NOT NULL DEFAULT 0,        -- Rows that couldn't be read
+    errors JSONB NOT NULL DEFAULT '[]'::jsonb,     -- Their messages (the first 100), or why it failed
+    status TEXT NOT NULL DEFAULT 'completed' CHECK (status IN ('completed', 'failed', 'rolled_back')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    rolled_back_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_batches_user_created
+ON import_batches (user_id, created_at DESC);
+
+-- ============================================================================
+-- STEP 2: Link transactions to their batch
+-- ============================================================================
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS import_batch_id UUID REFERENCES import_batches(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN transactions.import_batch_id IS
+  'The import that inserted this row (both halves of an imported transfer); NULL for rows
+   entered by hand, generated from a recurring payment, or imported before migration 028.';
+
+CREATE INDEX IF NOT EXISTS idx_transactions_import_batch
+ON transactions (import_batch_id)
+WHERE import_batch_id IS NOT NULL;
+
+-- The duplicate reviews (migration 027) an import queued, so they go with it on rollback
+ALTER TABLE duplicate_reviews
+ADD COLUMN IF NOT EXISTS import_batch_id UUID REFERENCES import_batches(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_duplicate_reviews_import_batch
+ON duplicate_reviews (import_batch_id)
+WHERE import_batch_id IS NOT NULL;
+
+-- ============================================================================
+-- STEP 3: Enable Row Level Security
+-- ============================================================================
+
+ALTER TABLE import_batches ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "own_data" ON import_batches;
+CREATE POLICY "own_data" ON import_batches FOR ALL USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- STEP 4: Roll a batch back
+-- ============================================================================
+-- Deletes every transaction the batch inserted, edited since or not, and the duplicate
+-- reviews it left pending (their rows came from the same import; a redo queues them again),
+-- and marks the batch rolled back - in one transaction, so it is all or nothing. The rows are
+-- deleted, not trashed: the duplicate check on import also sees the trash, and rolling back
+-- is how a wrong import gets redone. Balances and budget spent follow through their
+-- triggers. Runs as the caller, so row level security still applies.
+
+CREATE OR REPLACE FUNCTION rollback_import_batch(p_batch_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    removed INTEGER;
+BEGIN
+    UPDATE import_batches
+    SET status = 'rolled_back', rolled_back_at = NOW()
+    WHERE id = p_batch_id AND user_id = auth.uid() AND status = 'completed';
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Import batch not found or already rolled back';
+    END IF;
+
+    DELETE FROM transactions
+    WHERE import_batch_id = p_batch_id AND user_id = auth.uid();
+    GET DIAGNOSTICS removed = ROW_COUNT;
+
+    DELETE FROM duplicate_reviews
+    WHERE import_batch_id = p_batch_id AND user_id = auth.uid() AND status = 'pending';
+
+    RETURN removed;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT b.created_at, b.source, b.source_name, b.status, b.imported_count, COUNT(t.id) AS rows
+-- FROM import_batches b LEFT JOIN transactions t ON t.import_batch_id = b.id
+-- GROUP BY b.id ORDER BY b.created_at DESC;
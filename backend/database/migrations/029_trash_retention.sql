@@ -0,0 +1,85 @@
+-- Migration: Trash retention
+-- Created: 2026-10-19
+-- Description: How long trashed transactions are kept before a daily job deletes them for
+--              good, and a log of every purge - scheduled or "Empty trash".
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Retention setting
+-- ============================================================================
+-- Days a transaction stays in the trash (deleted_at, migration 004). NULL keeps it until the
+-- trash is emptied, as before.
+
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS trash_retention_days INTEGER
+    CHECK (trash_retention_days IS NULL OR trash_retention_days BETWEEN 1 AND 3650);
+
+-- ============================================================================
+-- STEP 2: Purge log
+-- ============================================================================
+-- One row per purge that deleted something: 'retention' by purge_expired_trash(), with the
+-- retention then in force and the cutoff it used, or 'emptied' from the Transactions page.
+
+CREATE TABLE IF NOT EXISTS trash_purges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL CHECK (reason IN ('retention', 'emptied')),
+    purged_count INTEGER NOT NULL,
+    retention_days INTEGER,
+    cutoff TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trash_purges_user_created
+ON trash_purges (user_id, created_at DESC);
+
+ALTER TABLE trash_purges ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "own_data" ON trash_purges;
+CREATE POLICY "own_data" ON trash_purges FOR ALL USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- STEP 3: Purge function
+-- ============================================================================
+-- Deletes every transaction trashed longer ago than its owner's retention and logs each
+-- user's purge. Run daily by the purge-trash Netlify function with the service role key;
+-- called by a signed-in user, RLS limits it to their own trash.
+
+CREATE OR REPLACE FUNCTION purge_expired_trash()
+RETURNS INTEGER AS $$
+DECLARE
+    setting RECORD;
+    purge_cutoff TIMESTAMP WITH TIME ZONE;
+    purged INTEGER;
+    total INTEGER := 0;
+BEGIN
+    FOR setting IN
+        SELECT user_id, trash_retention_days
+        FROM user_settings
+        WHERE trash_retention_days IS NOT NULL
+    LOOP
+        purge_cutoff := NOW() - make_interval(days => setting.trash_retention_days);
+
+        DELETE FROM transactions
+        WHERE user_id = setting.user_id
+          AND deleted_at IS NOT NULL
+          AND deleted_at < purge_cutoff;
+        GET DIAGNOSTICS purged = ROW_COUNT;
+
+        IF purged > 0 THEN
+            INSERT INTO trash_purges (user_id, reason, purged_count, retention_days, cutoff)
+            VALUES (setting.user_id, 'retention', purged, setting.trash_retention_days, purge_cutoff);
+            total := total + purged;
+        END IF;
+    END LOOP;
+
+    RETURN total;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT user_id, trash_retention_days FROM user_settings;
+-- SELECT purge_expired_trash();
+-- SELECT * FROM trash_purges ORDER BY created_at DESC;
@@ -0,0 +1,31 @@
+-- Migration: Budget rollover
+-- Created: 2026-10-19
+-- Description: Per-category rollover, so what a budgeted category didn't spend (or overspent)
+--              in a month carries into the next one, envelope style. The Budget page, the
+--              Dashboard and the budget recommendations show available = limit + carried.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Rollover settings on expense categories
+-- ============================================================================
+-- rollover:
+--   'none'            - each month starts from its limit (the default, as before)
+--   'surplus'         - what's left at the end of a month is added to the next
+--   'surplus_deficit' - what's left is added and what's overspent is taken off the next
+--   'capped'          - what's left is added, up to rollover_cap
+-- The carried balance is worked out from the budget_categories lines of the months before
+-- (limit_amount and spent) by frontend/src/lib/budgetRollover.js; a month without a budget
+-- line for the category starts over from zero.
+
+ALTER TABLE categories
+ADD COLUMN IF NOT EXISTS rollover TEXT NOT NULL DEFAULT 'none'
+    CHECK (rollover IN ('none', 'surplus', 'surplus_deficit', 'capped'));
+
+ALTER TABLE categories
+ADD COLUMN IF NOT EXISTS rollover_cap DECIMAL(12, 2)
+    CHECK (rollover_cap IS NULL OR rollover_cap >= 0);
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT name, rollover, rollover_cap FROM categories WHERE rollover <> 'none';
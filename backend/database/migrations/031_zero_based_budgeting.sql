@@ -0,0 +1,32 @@
+-- Migration: Zero-based budgeting
+-- Created: 2026-10-19
+-- Description: A zero-based mode for the Budget page, where the month's income - received
+--              and still expected from income recurring payments - is a "to be assigned" pool
+--              that category limits and savings are assigned from.
+-- Run this in Supabase SQL Editor
+
+-- ============================================================================
+-- STEP 1: Budget mode
+-- ============================================================================
+-- 'limits' sets limits on their own (the default, as before); 'zero_based' ties them to
+-- the month's income.
+
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS budget_mode TEXT NOT NULL DEFAULT 'limits'
+    CHECK (budget_mode IN ('limits', 'zero_based'));
+
+-- ============================================================================
+-- STEP 2: Savings assigned each month
+-- ============================================================================
+-- The part of the month's income assigned to savings rather than a category. Not part of
+-- budgets.total, which stays the sum of the category limits.
+
+ALTER TABLE budgets
+ADD COLUMN IF NOT EXISTS savings_amount DECIMAL(12, 2) NOT NULL DEFAULT 0
+    CHECK (savings_amount >= 0);
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT user_id, budget_mode FROM user_settings;
+-- SELECT month, total, savings_amount FROM budgets ORDER BY month DESC;
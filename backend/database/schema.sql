@@ -2,6 +2,7 @@
 -- Copy and paste this ENTIRE file into Supabase SQL editor and run once
 
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
 
 -- Tables
 CREATE TABLE profiles (
@@ -15,15 +16,50 @@ CREATE TABLE accounts (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
   name TEXT NOT NULL,
-  balance DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  type TEXT NOT NULL DEFAULT 'chequing' CHECK (type IN ('chequing', 'savings', 'credit_card')),
+  balance DECIMAL(12, 2) NOT NULL DEFAULT 0,            -- opening_balance plus active transactions
+  opening_balance DECIMAL(12, 2) NOT NULL DEFAULT 0,    -- Balance before the first transaction
+  currency TEXT NOT NULL,                               -- Set to the base currency when not given
+  archived_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,    -- Archived accounts are hidden from pickers
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- A bank statement an account was reconciled against
+CREATE TABLE reconciliations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  statement_date DATE NOT NULL,                         -- Statement end date
+  statement_balance DECIMAL(12, 2) NOT NULL,            -- Closing balance on the statement
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One import (file, sheet fetch, auto-sync or webhook call) and what came of its rows
+CREATE TABLE import_batches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  account_id UUID REFERENCES accounts(id) ON DELETE SET NULL,
+  source TEXT NOT NULL CHECK (source IN ('csv', 'ofx', 'qif', 'sheet', 'sync', 'webhook')),
+  source_name TEXT,                                    -- File name or sheet tab
+  row_count INTEGER NOT NULL DEFAULT 0,
+  imported_count INTEGER NOT NULL DEFAULT 0,
+  duplicate_count INTEGER NOT NULL DEFAULT 0,
+  held_count INTEGER NOT NULL DEFAULT 0,               -- Waiting in the duplicate review queue
+  error_count INTEGER NOT NULL DEFAULT 0,
+  errors JSONB NOT NULL DEFAULT '[]'::jsonb,           -- Unreadable rows (the first 100), or why it failed
+  status TEXT NOT NULL DEFAULT 'completed' CHECK (status IN ('completed', 'failed', 'rolled_back')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  rolled_back_at TIMESTAMP WITH TIME ZONE
+);
+
 CREATE TABLE categories (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
   name TEXT NOT NULL,
   type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+  rollover TEXT NOT NULL DEFAULT 'none'                -- What a month's budget carries into the next
+    CHECK (rollover IN ('none', 'surplus', 'surplus_deficit', 'capped')),
+  rollover_cap DECIMAL(12, 2) CHECK (rollover_cap IS NULL OR rollover_cap >= 0),  -- Most carried, for 'capped'
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -32,14 +68,31 @@ CREATE TABLE transactions (
   user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
   account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
   category_id UUID REFERENCES categories(id),
-  type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+  type TEXT NOT NULL CONSTRAINT transactions_type_check CHECK (type IN ('income', 'expense', 'transfer', 'refund')),
   amount DECIMAL(12, 2) NOT NULL,
+  currency TEXT NOT NULL,                               -- Paid in; the account's unless given
+  original_amount DECIMAL(12, 2) NOT NULL,              -- Amount as first recorded
+  original_currency TEXT NOT NULL,                      -- Currency as first recorded
+  transfer_id UUID,                                     -- Shared by both rows of a transfer
+  transfer_direction TEXT CHECK (transfer_direction IN ('out', 'in')),
+  refund_of UUID REFERENCES transactions(id) ON DELETE SET NULL,  -- Purchase a refund returns money for
   provider TEXT,
   description TEXT,
   date DATE NOT NULL DEFAULT CURRENT_DATE,
   balance DECIMAL(12, 2),
   recurring_payment_id UUID,                            -- Set when generated from a recurring payment
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  fitid TEXT,                                           -- Bank's transaction id from an OFX/QFX import
+  tags TEXT[] NOT NULL DEFAULT '{}',                    -- Free-form labels
+  deleted_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,     -- Set while in the trash
+  cleared_status TEXT NOT NULL DEFAULT 'uncleared'      -- Matched against the bank statement
+    CHECK (cleared_status IN ('uncleared', 'cleared', 'reconciled')),
+  reconciliation_id UUID REFERENCES reconciliations(id) ON DELETE SET NULL,
+  import_batch_id UUID REFERENCES import_batches(id) ON DELETE SET NULL,  -- Import that inserted it
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT transactions_transfer_fields_check CHECK (
+    (type = 'transfer') = (transfer_id IS NOT NULL AND transfer_direction IS NOT NULL)
+  ),
+  CONSTRAINT transactions_refund_of_check CHECK (refund_of IS NULL OR type = 'refund')
 );
 
 CREATE TABLE budgets (
@@ -47,6 +100,7 @@ CREATE TABLE budgets (
   user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
   month DATE NOT NULL,
   total DECIMAL(12, 2) NOT NULL,
+  savings_amount DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (savings_amount >= 0),  -- Assigned to savings (zero-based)
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -65,6 +119,18 @@ CREATE TABLE user_settings (
   user_id UUID UNIQUE NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
   google_sheet_url TEXT,
   google_sheet_name TEXT DEFAULT 'Expenses',
+  import_account_id UUID REFERENCES accounts(id) ON DELETE SET NULL,  -- Account imports write to
+  base_currency TEXT NOT NULL DEFAULT 'USD',           -- Totals, budgets and net worth are in this
+  number_locale TEXT NOT NULL DEFAULT 'en-US',         -- How numbers and amounts are written
+  date_format TEXT NOT NULL DEFAULT 'MMM D, YYYY'
+    CHECK (date_format IN ('MMM D, YYYY', 'D MMM YYYY', 'MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD')),
+  week_start SMALLINT NOT NULL DEFAULT 1 CHECK (week_start BETWEEN 0 AND 6),  -- 0 = Sunday
+  import_date_order TEXT NOT NULL DEFAULT 'MDY' CHECK (import_date_order IN ('MDY', 'DMY')),  -- Ambiguous imported dates
+  language TEXT NOT NULL DEFAULT 'en' CHECK (language IN ('en', 'fr')),  -- Interface language
+  trash_retention_days INTEGER                         -- Days trashed transactions are kept; NULL = until emptied
+    CHECK (trash_retention_days IS NULL OR trash_retention_days BETWEEN 1 AND 3650),
+  budget_mode TEXT NOT NULL DEFAULT 'limits'           -- 'zero_based' assigns the month's income
+    CHECK (budget_mode IN ('limits', 'zero_based')),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -95,6 +161,107 @@ CREATE TABLE recurring_payments (
   auto_add BOOLEAN DEFAULT false,                        -- Create the transaction automatically when due
   auto_add_from DATE,                                    -- Occurrences before this date are never generated
   match_description TEXT,                                -- How the payment reads on the bank statement
+  account_id UUID REFERENCES accounts(id) ON DELETE SET NULL, -- Account auto-added transactions go to
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Category lines of a split transaction; they add up to the transaction's amount
+CREATE TABLE transaction_splits (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+  amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Saved CSV column mappings, recognised by the file's header row
+CREATE TABLE import_profiles (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  header_fingerprint TEXT NOT NULL,
+  mapping JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(user_id, header_fingerprint)
+);
+
+-- Ordered categorization rules (see frontend/src/lib/rulesEngine.js); higher priority runs first
+CREATE TABLE categorization_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 0,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  conditions JSONB NOT NULL DEFAULT '{}'::jsonb,
+  actions JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Bulk edits to transactions with each row's old and new values, so they can be undone
+CREATE TABLE change_batches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  source TEXT NOT NULL,
+  label TEXT NOT NULL,
+  changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+  mapping_before JSONB,
+  reverted_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Named sets of page filters; query is the page's URL query string
+CREATE TABLE saved_views (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  page TEXT NOT NULL DEFAULT 'transactions',
+  name TEXT NOT NULL,
+  query TEXT NOT NULL DEFAULT '',
+  pinned BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(user_id, page, name)
+);
+
+-- Exchange rates the user keeps, entered by hand or imported from CSV
+CREATE TABLE exchange_rates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  rate_date DATE NOT NULL,
+  from_currency TEXT NOT NULL,
+  to_currency TEXT NOT NULL,
+  rate DECIMAL(18, 8) NOT NULL CHECK (rate > 0),       -- One from_currency buys this much to_currency
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, from_currency, to_currency, rate_date),
+  CHECK (from_currency <> to_currency)
+);
+
+-- Import rows held back as likely duplicates of a transaction, and what the user decided;
+-- signature is the row's date|DESCRIPTION|amount, so a decision covers it arriving again
+CREATE TABLE duplicate_reviews (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  signature TEXT NOT NULL,
+  incoming JSONB NOT NULL,                             -- The row as the import would have inserted it
+  transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,  -- Kept when that one is purged or rolled back
+  source TEXT NOT NULL DEFAULT 'import' CHECK (source IN ('import', 'sync', 'webhook')),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'merged', 'kept', 'discarded')),
+  import_batch_id UUID REFERENCES import_batches(id) ON DELETE SET NULL,  -- Import that queued it
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (user_id, signature)
+);
+
+-- Trashed transactions deleted for good: by the daily retention purge or "Empty trash"
+CREATE TABLE trash_purges (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL CHECK (reason IN ('retention', 'emptied')),
+  purged_count INTEGER NOT NULL,
+  retention_days INTEGER,                              -- Retention in force, for 'retention'
+  cutoff TIMESTAMP WITH TIME ZONE,                     -- Trashed before this was purged
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -109,6 +276,75 @@ FOREIGN KEY (recurring_payment_id) REFERENCES recurring_payments(id) ON DELETE S
 CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_recurring_occurrence
 ON transactions (recurring_payment_id, date);
 
+-- Both halves of a transfer are looked up together.
+CREATE INDEX IF NOT EXISTS idx_transactions_transfer_id
+ON transactions (transfer_id)
+WHERE transfer_id IS NOT NULL;
+
+-- Refunds already recorded against a purchase.
+CREATE INDEX IF NOT EXISTS idx_transactions_refund_of
+ON transactions (refund_of)
+WHERE refund_of IS NOT NULL;
+
+-- Rows an import inserted, for its history and rollback.
+CREATE INDEX IF NOT EXISTS idx_transactions_import_batch
+ON transactions (import_batch_id)
+WHERE import_batch_id IS NOT NULL;
+
+-- An OFX/QFX transaction id is imported at most once per account.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_account_fitid
+ON transactions (account_id, fitid)
+WHERE fitid IS NOT NULL;
+
+-- Per-account transaction lists and running balances.
+CREATE INDEX IF NOT EXISTS idx_transactions_account_date
+ON transactions (account_id, date DESC);
+
+-- Tag filter and tag breakdown look rows up by tag.
+CREATE INDEX IF NOT EXISTS idx_transactions_tags
+ON transactions USING GIN (tags);
+
+-- The Transactions list pages newest first by (date, created_at, id).
+CREATE INDEX IF NOT EXISTS idx_transactions_user_list_order
+ON transactions (user_id, date DESC, created_at DESC, id DESC)
+WHERE deleted_at IS NULL;
+
+-- Description search is a substring match (ILIKE '%term%').
+CREATE INDEX IF NOT EXISTS idx_transactions_description_trgm
+ON transactions USING GIN (description gin_trgm_ops);
+
+-- Split lines are always loaded through their transaction.
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction
+ON transaction_splits (transaction_id);
+
+-- Rules are always read in priority order.
+CREATE INDEX IF NOT EXISTS idx_categorization_rules_user_priority
+ON categorization_rules (user_id, priority DESC);
+
+-- Recent batches are listed newest first.
+CREATE INDEX IF NOT EXISTS idx_change_batches_user_created
+ON change_batches (user_id, created_at DESC);
+
+-- Reconciliations are listed per account, latest statement first.
+CREATE INDEX IF NOT EXISTS idx_reconciliations_account_date
+ON reconciliations (account_id, statement_date DESC);
+
+-- Import history is listed newest first.
+CREATE INDEX IF NOT EXISTS idx_import_batches_user_created
+ON import_batches (user_id, created_at DESC);
+
+-- The purge log is listed newest first.
+CREATE INDEX IF NOT EXISTS idx_trash_purges_user_created
+ON trash_purges (user_id, created_at DESC);
+
+-- Pending duplicate reviews are listed oldest first.
+CREATE INDEX IF NOT EXISTS idx_duplicate_reviews_user_status
+ON duplicate_reviews (user_id, status, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_duplicate_reviews_import_batch
+ON duplicate_reviews (import_batch_id)
+WHERE import_batch_id IS NOT NULL;
+
 -- Security
 ALTER TABLE profiles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE accounts ENABLE ROW LEVEL SECURITY;
@@ -119,6 +355,16 @@ ALTER TABLE budget_categories ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_settings ENABLE ROW LEVEL SECURITY;
 ALTER TABLE merchant_mappings ENABLE ROW LEVEL SECURITY;
 ALTER TABLE recurring_payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE transaction_splits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE import_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE categorization_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE change_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE saved_views ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reconciliations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE exchange_rates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE duplicate_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE import_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE trash_purges ENABLE ROW LEVEL SECURITY;
 
 CREATE POLICY "own_data" ON profiles FOR ALL USING (auth.uid() = id);
 CREATE POLICY "own_data" ON accounts FOR ALL USING (auth.uid() = user_id);
@@ -131,64 +377,769 @@ CREATE POLICY "own_data" ON budget_categories FOR ALL USING (
 CREATE POLICY "own_data" ON user_settings FOR ALL USING (auth.uid() = user_id);
 CREATE POLICY "own_data" ON merchant_mappings FOR ALL USING (auth.uid() = user_id);
 CREATE POLICY "own_data" ON recurring_payments FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "own_data" ON transaction_splits FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "own_data" ON import_profiles FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "own_data" ON categorization_rules FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "own_data" ON change_batches FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "own_data" ON saved_views FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "own_data" ON reconciliations FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "own_data" ON exchange_rates FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "own_data" ON duplicate_reviews FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "own_data" ON import_batches FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "own_data" ON trash_purges FOR ALL USING (auth.uid() = user_id);
 
 -- Functions (only if they don't exist)
-CREATE OR REPLACE FUNCTION update_balance()
-RETURNS TRIGGER AS $$
+
+-- How much a row moves its account's balance. Transfers move money out of one account
+-- and into another; they are neither income nor expense. Refunds add, like income.
+CREATE OR REPLACE FUNCTION transaction_balance_delta(tx_type TEXT, tx_amount DECIMAL, tx_direction TEXT)
+RETURNS DECIMAL AS $$
+  SELECT CASE
+    WHEN tx_type IN ('income', 'refund') OR (tx_type = 'transfer' AND tx_direction = 'in') THEN tx_amount
+    ELSE -tx_amount
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Recompute one account's running balances, from p_from on (all of them when NULL), and
+-- its balance. Rows run in date, created_at, id order; trashed rows carry no balance.
+-- Rows in another currency count converted into the account's, at the rate of their date.
+CREATE OR REPLACE FUNCTION recompute_ledger(p_account_id UUID, p_from DATE DEFAULT NULL)
+RETURNS VOID AS $$
+DECLARE
+  start_balance DECIMAL(12, 2);
+  account_currency TEXT;
 BEGIN
+  SELECT opening_balance, currency INTO start_balance, account_currency FROM accounts WHERE id = p_account_id;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  -- Rows before p_from are unchanged; start from where they leave the account
+  IF p_from IS NOT NULL THEN
+    start_balance := start_balance + COALESCE((
+      SELECT SUM(transaction_balance_delta(type, convert_amount(user_id, amount, currency, account_currency, date), transfer_direction))
+      FROM transactions
+      WHERE account_id = p_account_id AND deleted_at IS NULL AND date < p_from
+    ), 0);
+  END IF;
+
+  UPDATE transactions t
+  SET balance = ledger.running
+  FROM (
+    SELECT id, start_balance + SUM(transaction_balance_delta(type, convert_amount(user_id, amount, currency, account_currency, date), transfer_direction))
+      OVER (ORDER BY date, created_at, id ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW) AS running
+    FROM transactions
+    WHERE account_id = p_account_id AND deleted_at IS NULL AND (p_from IS NULL OR date >= p_from)
+  ) ledger
+  WHERE t.id = ledger.id AND t.balance IS DISTINCT FROM ledger.running;
+
+  UPDATE transactions
+  SET balance = NULL
+  WHERE account_id = p_account_id AND deleted_at IS NOT NULL AND balance IS NOT NULL;
+
   UPDATE accounts
-  SET balance = balance + CASE WHEN NEW.type = 'income' THEN NEW.amount ELSE -NEW.amount END
-  WHERE id = NEW.account_id;
+  SET balance = opening_balance + COALESCE((
+    SELECT SUM(transaction_balance_delta(type, convert_amount(user_id, amount, currency, account_currency, date), transfer_direction))
+    FROM transactions
+    WHERE account_id = p_account_id AND deleted_at IS NULL
+  ), 0)
+  WHERE id = p_account_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- After each insert, update or delete statement: recompute each account it touched, from
+-- the earliest date touched. Updates that don't change what the ledger reads are ignored,
+-- so the ledger's own balance writes don't re-trigger it.
+CREATE OR REPLACE FUNCTION sync_ledger()
+RETURNS TRIGGER AS $$
+DECLARE
+  touched RECORD;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    FOR touched IN
+      SELECT account_id, MIN(date) AS from_date FROM new_rows GROUP BY account_id
+    LOOP
+      PERFORM recompute_ledger(touched.account_id, touched.from_date);
+    END LOOP;
+  ELSIF TG_OP = 'DELETE' THEN
+    FOR touched IN
+      SELECT account_id, MIN(date) AS from_date FROM old_rows GROUP BY account_id
+    LOOP
+      PERFORM recompute_ledger(touched.account_id, touched.from_date);
+    END LOOP;
+  ELSE
+    FOR touched IN
+      SELECT side.account_id, MIN(side.date) AS from_date
+      FROM (
+        SELECT o.account_id, o.date, n.account_id AS new_account_id, n.date AS new_date
+        FROM old_rows o
+        JOIN new_rows n ON n.id = o.id
+        WHERE (o.account_id, o.date, o.created_at, o.type, o.amount, o.currency, o.transfer_direction, o.deleted_at IS NULL)
+          IS DISTINCT FROM
+              (n.account_id, n.date, n.created_at, n.type, n.amount, n.currency, n.transfer_direction, n.deleted_at IS NULL)
+      ) moved
+      CROSS JOIN LATERAL (
+        VALUES (moved.account_id, moved.date), (moved.new_account_id, moved.new_date)
+      ) AS side(account_id, date)
+      GROUP BY side.account_id
+    LOOP
+      PERFORM recompute_ledger(touched.account_id, touched.from_date);
+    END LOOP;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Repair: recompute the caller's accounts (or one) and report each balance before and after.
+CREATE OR REPLACE FUNCTION recompute_balances(p_account_id UUID DEFAULT NULL)
+RETURNS TABLE (account_id UUID, account_name TEXT, old_balance DECIMAL, new_balance DECIMAL) AS $$
+DECLARE
+  acc RECORD;
+BEGIN
+  FOR acc IN
+    SELECT a.id, a.name, a.balance FROM accounts a
+    WHERE a.user_id = auth.uid() AND (p_account_id IS NULL OR a.id = p_account_id)
+    ORDER BY a.created_at
+  LOOP
+    PERFORM recompute_ledger(acc.id);
+    account_id := acc.id;
+    account_name := acc.name;
+    old_balance := acc.balance;
+    SELECT a.balance INTO new_balance FROM accounts a WHERE a.id = acc.id;
+    RETURN NEXT;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- The user's base currency: totals, budgets and net worth are converted to it.
+CREATE OR REPLACE FUNCTION base_currency(p_user_id UUID)
+RETURNS TEXT AS $$
+  SELECT COALESCE((SELECT base_currency FROM user_settings WHERE user_id = p_user_id), 'USD');
+$$ LANGUAGE sql STABLE;
+
+-- The user's rate from one currency to another on a date: the latest on or before it, else
+-- the earliest after it, with either direction of a pair usable. NULL if there is none.
+CREATE OR REPLACE FUNCTION exchange_rate(p_user_id UUID, p_from TEXT, p_to TEXT, p_date DATE)
+RETURNS DECIMAL AS $$
+  SELECT CASE WHEN p_from = p_to THEN 1 ELSE (
+    SELECT pair.rate
+    FROM (
+      SELECT rate_date, rate FROM exchange_rates
+      WHERE user_id = p_user_id AND from_currency = p_from AND to_currency = p_to
+      UNION ALL
+      SELECT rate_date, 1 / rate FROM exchange_rates
+      WHERE user_id = p_user_id AND from_currency = p_to AND to_currency = p_from
+    ) pair
+    ORDER BY pair.rate_date > p_date, abs(pair.rate_date - p_date)
+    LIMIT 1
+  ) END;
+$$ LANGUAGE sql STABLE;
+
+-- An amount in another currency; amounts with no rate count 1:1.
+CREATE OR REPLACE FUNCTION convert_amount(p_user_id UUID, p_amount DECIMAL, p_from TEXT, p_to TEXT, p_date DATE)
+RETURNS DECIMAL AS $$
+  SELECT ROUND(p_amount * COALESCE(exchange_rate(p_user_id, p_from, p_to, p_date), 1), 2);
+$$ LANGUAGE sql STABLE;
+
+-- An amount in the base currency.
+CREATE OR REPLACE FUNCTION to_base_amount(p_user_id UUID, p_amount DECIMAL, p_currency TEXT, p_date DATE)
+RETURNS DECIMAL AS $$
+  SELECT convert_amount(p_user_id, p_amount, p_currency, base_currency(p_user_id), p_date);
+$$ LANGUAGE sql STABLE;
+
+-- New accounts default to the base currency.
+CREATE OR REPLACE FUNCTION fill_currency()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.currency IS NULL THEN
+    NEW.currency := base_currency(NEW.user_id);
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- A transaction is in its account's currency unless it says otherwise, and keeps the
+-- amount and currency it was first recorded with.
+CREATE OR REPLACE FUNCTION fill_transaction_currency()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.currency IS NULL THEN
+    SELECT currency INTO NEW.currency FROM accounts WHERE id = NEW.account_id;
+    NEW.currency := COALESCE(NEW.currency, base_currency(NEW.user_id));
+  END IF;
+  IF TG_OP = 'INSERT' THEN
+    NEW.original_amount := COALESCE(NEW.original_amount, NEW.amount);
+    NEW.original_currency := COALESCE(NEW.original_currency, NEW.currency);
+  END IF;
   RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
-CREATE OR REPLACE FUNCTION calc_running_balance()
+-- Changing an account's currency converts its balance, not its transactions.
+CREATE OR REPLACE FUNCTION sync_account_currency()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM recompute_ledger(NEW.id);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rates moved: recompute the user's accounts that hold rows in another currency.
+CREATE OR REPLACE FUNCTION sync_ledger_from_rates()
+RETURNS TRIGGER AS $$
+DECLARE
+  acc RECORD;
+BEGIN
+  FOR acc IN
+    SELECT DISTINCT a.id
+    FROM accounts a
+    JOIN transactions t ON t.account_id = a.id AND t.currency <> a.currency
+    WHERE a.user_id IN (SELECT user_id FROM changed_rows)
+  LOOP
+    PERFORM recompute_ledger(acc.id);
+  END LOOP;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- What a budget line has spent: the month's expenses in its category less its refunds, not
+-- in the trash, with split transactions counted by their lines, in the base currency.
+CREATE OR REPLACE FUNCTION budget_category_spent(p_user_id UUID, p_category_id UUID, p_month DATE)
+RETURNS DECIMAL AS $$
+  SELECT COALESCE(SUM(to_base_amount(
+    p_user_id, CASE WHEN t.type = 'refund' THEN -line.amount ELSE line.amount END, t.currency, t.date
+  )), 0)
+  FROM transactions t
+  CROSS JOIN LATERAL (
+    SELECT s.category_id, s.amount FROM transaction_splits s WHERE s.transaction_id = t.id
+    UNION ALL
+    SELECT t.category_id, t.amount
+    WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+  ) line
+  WHERE t.user_id = p_user_id
+    AND t.type IN ('expense', 'refund')
+    AND t.deleted_at IS NULL
+    AND t.date >= date_trunc('month', p_month)::date
+    AND t.date < (date_trunc('month', p_month) + INTERVAL '1 month')::date
+    AND line.category_id = p_category_id;
+$$ LANGUAGE sql STABLE;
+
+-- Bring every line of a user's budget for that month up to date.
+CREATE OR REPLACE FUNCTION recompute_budget_spent(p_user_id UUID, p_month DATE)
+RETURNS VOID AS $$
+  UPDATE budget_categories bc
+  SET spent = actual.spent
+  FROM (
+    SELECT line.id, budget_category_spent(p_user_id, line.category_id, b.month) AS spent
+    FROM budget_categories line
+    JOIN budgets b ON b.id = line.budget_id
+    WHERE b.user_id = p_user_id
+      AND date_trunc('month', b.month) = date_trunc('month', p_month)
+  ) actual
+  WHERE bc.id = actual.id AND bc.spent IS DISTINCT FROM actual.spent;
+$$ LANGUAGE sql;
+
+-- After each insert, update or delete statement on transactions: recompute each month it
+-- touched. Updates that don't change what spent reads are ignored.
+CREATE OR REPLACE FUNCTION sync_budget_spent()
 RETURNS TRIGGER AS $$
 DECLARE
-  prev_balance DECIMAL(12, 2);
+  touched RECORD;
 BEGIN
-  SELECT balance INTO prev_balance
-  FROM transactions
-  WHERE account_id = NEW.account_id AND date < NEW.date
-  ORDER BY date DESC, created_at DESC LIMIT 1;
+  IF TG_OP = 'INSERT' THEN
+    FOR touched IN
+      SELECT DISTINCT user_id, date_trunc('month', date)::date AS month
+      FROM new_rows WHERE type IN ('expense', 'refund')
+    LOOP
+      PERFORM recompute_budget_spent(touched.user_id, touched.month);
+    END LOOP;
+  ELSIF TG_OP = 'DELETE' THEN
+    FOR touched IN
+      SELECT DISTINCT user_id, date_trunc('month', date)::date AS month
+      FROM old_rows WHERE type IN ('expense', 'refund')
+    LOOP
+      PERFORM recompute_budget_spent(touched.user_id, touched.month);
+    END LOOP;
+  ELSE
+    FOR touched IN
+      SELECT DISTINCT side.user_id, date_trunc('month', side.date)::date AS month
+      FROM (
+        SELECT o.user_id, o.date, o.type, n.date AS new_date, n.type AS new_type
+        FROM old_rows o
+        JOIN new_rows n ON n.id = o.id
+        WHERE (o.category_id, o.amount, o.date, o.type, o.deleted_at IS NULL)
+          IS DISTINCT FROM
+              (n.category_id, n.amount, n.date, n.type, n.deleted_at IS NULL)
+      ) changed
+      CROSS JOIN LATERAL (
+        VALUES (changed.user_id, changed.date, changed.type), (changed.user_id, changed.new_date, changed.new_type)
+      ) AS side(user_id, date, type)
+      WHERE side.type IN ('expense', 'refund')
+    LOOP
+      PERFORM recompute_budget_spent(touched.user_id, touched.month);
+    END LOOP;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
 
-  IF prev_balance IS NULL THEN
-    SELECT balance INTO prev_balance FROM accounts WHERE id = NEW.account_id;
-    prev_balance := prev_balance - CASE WHEN NEW.type = 'income' THEN NEW.amount ELSE -NEW.amount END;
+-- Split lines change which categories a transaction counts towards.
+CREATE OR REPLACE FUNCTION sync_budget_spent_from_splits()
+RETURNS TRIGGER AS $$
+DECLARE
+  split_ids UUID[];
+  touched RECORD;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    SELECT array_agg(transaction_id) INTO split_ids FROM new_rows;
+  ELSIF TG_OP = 'DELETE' THEN
+    SELECT array_agg(transaction_id) INTO split_ids FROM old_rows;
+  ELSE
+    SELECT array_agg(transaction_id) INTO split_ids
+    FROM (SELECT transaction_id FROM old_rows UNION SELECT transaction_id FROM new_rows) lines;
   END IF;
 
-  NEW.balance := prev_balance + CASE WHEN NEW.type = 'income' THEN NEW.amount ELSE -NEW.amount END;
+  FOR touched IN
+    SELECT DISTINCT t.user_id, date_trunc('month', t.date)::date AS month
+    FROM transactions t
+    WHERE t.type IN ('expense', 'refund') AND t.id = ANY(split_ids)
+  LOOP
+    PERFORM recompute_budget_spent(touched.user_id, touched.month);
+  END LOOP;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- A budget line created after its transactions starts with what they already spent.
+CREATE OR REPLACE FUNCTION fill_budget_spent()
+RETURNS TRIGGER AS $$
+BEGIN
+  SELECT budget_category_spent(b.user_id, NEW.category_id, b.month) INTO NEW.spent
+  FROM budgets b WHERE b.id = NEW.budget_id;
   RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
-CREATE OR REPLACE FUNCTION update_spent()
+-- Every budget of a user, after their rates, base currency or an account's currency change.
+CREATE OR REPLACE FUNCTION recompute_user_budgets(p_user_id UUID)
+RETURNS VOID AS $$
+  SELECT recompute_budget_spent(p_user_id, month) FROM budgets WHERE user_id = p_user_id;
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION sync_budget_spent_from_rates()
+RETURNS TRIGGER AS $$
+DECLARE
+  touched RECORD;
+BEGIN
+  IF TG_TABLE_NAME <> 'exchange_rates' THEN
+    PERFORM recompute_user_budgets(NEW.user_id);
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    FOR touched IN SELECT DISTINCT user_id FROM new_rows LOOP
+      PERFORM recompute_user_budgets(touched.user_id);
+    END LOOP;
+  ELSE
+    FOR touched IN SELECT DISTINCT user_id FROM old_rows LOOP
+      PERFORM recompute_user_budgets(touched.user_id);
+    END LOOP;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Reconciliation: the caller's budget lines for a month with stored and actual spent;
+-- with p_fix, stored values are then corrected.
+CREATE OR REPLACE FUNCTION reconcile_budget_spent(p_month DATE, p_fix BOOLEAN DEFAULT false)
+RETURNS TABLE (category_id UUID, category_name TEXT, stored_spent DECIMAL, actual_spent DECIMAL) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT bc.category_id, c.name, COALESCE(bc.spent, 0), budget_category_spent(b.user_id, bc.category_id, b.month)
+  FROM budget_categories bc
+  JOIN budgets b ON b.id = bc.budget_id
+  JOIN categories c ON c.id = bc.category_id
+  WHERE b.user_id = auth.uid()
+    AND date_trunc('month', b.month) = date_trunc('month', p_month)
+  ORDER BY c.name;
+
+  IF p_fix THEN
+    PERFORM recompute_budget_spent(auth.uid(), p_month);
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- The opening balance plus every reconciled row, converted into the account's currency:
+-- where the account stood at its last reconciliation (NULL if not the caller's account)
+CREATE OR REPLACE FUNCTION reconciled_balance(p_account_id UUID)
+RETURNS DECIMAL AS $$
+  SELECT a.opening_balance + COALESCE(SUM(transaction_balance_delta(t.type, convert_amount(t.user_id, t.amount, t.currency, a.currency, t.date), t.transfer_direction)), 0)
+  FROM accounts a
+  LEFT JOIN transactions t
+    ON t.account_id = a.id
+   AND t.deleted_at IS NULL
+   AND t.cleared_status = 'reconciled'
+  WHERE a.id = p_account_id AND a.user_id = auth.uid()
+  GROUP BY a.id;
+$$ LANGUAGE sql STABLE SECURITY INVOKER SET search_path = public;
+
+-- Finish a reconciliation: the cleared balance (opening balance, reconciled rows, cleared
+-- rows up to the statement date, converted into the account's currency) must equal the
+-- statement's; then the cleared rows lock.
+CREATE OR REPLACE FUNCTION finish_reconciliation(
+  p_account_id UUID,
+  p_statement_date DATE,
+  p_statement_balance DECIMAL
+)
+RETURNS UUID AS $$
+DECLARE
+  cleared_balance DECIMAL(12, 2);
+  new_id UUID;
+BEGIN
+  SELECT a.opening_balance + COALESCE(SUM(transaction_balance_delta(t.type, convert_amount(t.user_id, t.amount, t.currency, a.currency, t.date), t.transfer_direction)), 0)
+  INTO cleared_balance
+  FROM accounts a
+  LEFT JOIN transactions t
+    ON t.account_id = a.id
+   AND t.deleted_at IS NULL
+   AND (t.cleared_status = 'reconciled' OR (t.cleared_status = 'cleared' AND t.date <= p_statement_date))
+  WHERE a.id = p_account_id AND a.user_id = auth.uid()
+  GROUP BY a.id;
+
+  IF cleared_balance IS NULL THEN
+    RAISE EXCEPTION 'Account not found';
+  END IF;
+  IF cleared_balance <> p_statement_balance THEN
+    RAISE EXCEPTION 'Cleared balance % does not match the statement balance %', cleared_balance, p_statement_balance;
+  END IF;
+
+  INSERT INTO reconciliations (user_id, account_id, statement_date, statement_balance)
+  VALUES (auth.uid(), p_account_id, p_statement_date, p_statement_balance)
+  RETURNING id INTO new_id;
+
+  UPDATE transactions
+  SET cleared_status = 'reconciled', reconciliation_id = new_id
+  WHERE account_id = p_account_id
+    AND deleted_at IS NULL
+    AND cleared_status = 'cleared'
+    AND date <= p_statement_date;
+
+  RETURN new_id;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- A reconciled row's balance fields can't change while it stays reconciled: the write that
+-- changes them must also take it off its reconciliation (cleared_status).
+CREATE OR REPLACE FUNCTION guard_reconciled_transaction()
 RETURNS TRIGGER AS $$
 BEGIN
-  IF NEW.type = 'expense' THEN
-    UPDATE budget_categories SET spent = spent + NEW.amount
-    WHERE category_id = NEW.category_id
-    AND budget_id IN (SELECT id FROM budgets WHERE user_id = NEW.user_id AND month = date_trunc('month', NEW.date)::date);
+  IF NEW.cleared_status = 'reconciled'
+     AND (OLD.account_id, OLD.date, OLD.type, OLD.amount, OLD.currency, OLD.transfer_direction, OLD.deleted_at IS NULL)
+         IS DISTINCT FROM
+         (NEW.account_id, NEW.date, NEW.type, NEW.amount, NEW.currency, NEW.transfer_direction, NEW.deleted_at IS NULL) THEN
+    RAISE EXCEPTION 'Transaction % is reconciled; confirm the change to take it off its statement', OLD.id;
   END IF;
   RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
+-- Roll an import back: delete every transaction it inserted (not to the trash, so the
+-- same rows can be imported again) and the duplicate reviews it left pending, and mark it
+-- rolled back, all or nothing.
+CREATE OR REPLACE FUNCTION rollback_import_batch(p_batch_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  removed INTEGER;
+BEGIN
+  UPDATE import_batches
+  SET status = 'rolled_back', rolled_back_at = NOW()
+  WHERE id = p_batch_id AND user_id = auth.uid() AND status = 'completed';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Import batch not found or already rolled back';
+  END IF;
+
+  DELETE FROM transactions
+  WHERE import_batch_id = p_batch_id AND user_id = auth.uid();
+  GET DIAGNOSTICS removed = ROW_COUNT;
+
+  DELETE FROM duplicate_reviews
+  WHERE import_batch_id = p_batch_id AND user_id = auth.uid() AND status = 'pending';
+
+  RETURN removed;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- Delete transactions trashed longer ago than their owner's trash_retention_days, logging
+-- each user's purge. Run daily by the purge-trash Netlify function (service role); called
+-- by a signed-in user, RLS limits it to their own trash.
+CREATE OR REPLACE FUNCTION purge_expired_trash()
+RETURNS INTEGER AS $$
+DECLARE
+  setting RECORD;
+  purge_cutoff TIMESTAMP WITH TIME ZONE;
+  purged INTEGER;
+  total INTEGER := 0;
+BEGIN
+  FOR setting IN
+    SELECT user_id, trash_retention_days
+    FROM user_settings
+    WHERE trash_retention_days IS NOT NULL
+  LOOP
+    purge_cutoff := NOW() - make_interval(days => setting.trash_retention_days);
+
+    DELETE FROM transactions
+    WHERE user_id = setting.user_id
+      AND deleted_at IS NOT NULL
+      AND deleted_at < purge_cutoff;
+    GET DIAGNOSTICS purged = ROW_COUNT;
+
+    IF purged > 0 THEN
+      INSERT INTO trash_purges (user_id, reason, purged_count, retention_days, cutoff)
+      VALUES (setting.user_id, 'retention', purged, setting.trash_retention_days, purge_cutoff);
+      total := total + purged;
+    END IF;
+  END LOOP;
+
+  RETURN total;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- Count, income and expenses (in the base currency, net of refunds) of a filtered Transactions list, with
+-- the same filters the page sends as query conditions, including those from a search
+-- expression. Runs as the caller, so RLS applies.
+CREATE OR REPLACE FUNCTION transaction_totals(
+  p_start DATE DEFAULT NULL,
+  p_end DATE DEFAULT NULL,
+  p_min DECIMAL DEFAULT NULL,
+  p_max DECIMAL DEFAULT NULL,
+  p_type TEXT DEFAULT NULL,
+  p_account UUID DEFAULT NULL,
+  p_bank TEXT DEFAULT NULL,
+  p_tag TEXT DEFAULT NULL,
+  p_search TEXT[] DEFAULT '{}',
+  p_exclude_search TEXT[] DEFAULT '{}',
+  p_descriptions TEXT[] DEFAULT '{}',
+  p_exclude_descriptions TEXT[] DEFAULT '{}',
+  p_categories UUID[] DEFAULT NULL,
+  p_exclude_categories UUID[] DEFAULT '{}',
+  p_accounts UUID[] DEFAULT NULL,
+  p_exclude_accounts UUID[] DEFAULT '{}',
+  p_tags TEXT[] DEFAULT '{}',
+  p_exclude_tags TEXT[] DEFAULT '{}',
+  p_banks TEXT[] DEFAULT '{}',
+  p_exclude_banks TEXT[] DEFAULT '{}',
+  p_types TEXT[] DEFAULT '{}',
+  p_exclude_types TEXT[] DEFAULT '{}'
+)
+RETURNS TABLE (transaction_count BIGINT, income DECIMAL, expenses DECIMAL) AS $$
+  SELECT
+    COUNT(*),
+    COALESCE(SUM(to_base_amount(t.user_id, t.amount, t.currency, t.date)) FILTER (WHERE t.type = 'income'), 0),
+    COALESCE(SUM(to_base_amount(t.user_id, t.amount, t.currency, t.date)) FILTER (WHERE t.type = 'expense'), 0)
+      - COALESCE(SUM(to_base_amount(t.user_id, t.amount, t.currency, t.date)) FILTER (WHERE t.type = 'refund'), 0)
+  FROM transactions t
+  LEFT JOIN categories c ON c.id = t.category_id
+  WHERE t.user_id = auth.uid()
+    AND t.deleted_at IS NULL
+    AND (p_start IS NULL OR t.date >= p_start)
+    AND (p_end IS NULL OR t.date <= p_end)
+    AND (p_min IS NULL OR t.amount >= p_min)
+    AND (p_max IS NULL OR t.amount <= p_max)
+    AND (p_type IS NULL OR t.type = p_type)
+    AND (p_account IS NULL OR t.account_id = p_account)
+    AND (p_bank IS NULL OR t.provider = p_bank)
+    AND (p_tag IS NULL OR p_tag = ANY (t.tags))
+    -- Words and phrases
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_search, '{}')) AS term
+      WHERE NOT (t.description ILIKE '%' || term || '%' OR COALESCE(c.name, '') ILIKE '%' || term || '%')
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_exclude_search, '{}')) AS term
+      WHERE t.description ILIKE '%' || term || '%' OR COALESCE(c.name, '') ILIKE '%' || term || '%'
+    )
+    -- desc:
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_descriptions, '{}')) AS term
+      WHERE t.description NOT ILIKE '%' || term || '%'
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_exclude_descriptions, '{}')) AS term
+      WHERE t.description ILIKE '%' || term || '%'
+    )
+    -- category: and account:
+    AND (p_categories IS NULL OR t.category_id = ANY (p_categories))
+    AND (t.category_id IS NULL OR NOT (t.category_id = ANY (COALESCE(p_exclude_categories, '{}'))))
+    AND (p_accounts IS NULL OR t.account_id = ANY (p_accounts))
+    AND (t.account_id IS NULL OR NOT (t.account_id = ANY (COALESCE(p_exclude_accounts, '{}'))))
+    -- tag:
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_tags, '{}')) AS wanted
+      WHERE NOT EXISTS (SELECT 1 FROM unnest(t.tags) AS tag WHERE lower(tag) = wanted)
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(t.tags) AS tag
+      WHERE lower(tag) = ANY (COALESCE(p_exclude_tags, '{}'))
+    )
+    -- bank:
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_banks, '{}')) AS term
+      WHERE COALESCE(t.provider, '') NOT ILIKE '%' || term || '%'
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(COALESCE(p_exclude_banks, '{}')) AS term
+      WHERE COALESCE(t.provider, '') ILIKE '%' || term || '%'
+    )
+    -- type:
+    AND t.type = ALL (COALESCE(p_types, '{}'))
+    AND NOT (t.type = ANY (COALESCE(p_exclude_types, '{}')));
+$$ LANGUAGE sql STABLE SECURITY INVOKER SET search_path = public;
+
+-- Banks and tags in use, for the Transactions filter dropdowns.
+CREATE OR REPLACE FUNCTION transaction_filter_options()
+RETURNS TABLE (banks TEXT[], tags TEXT[]) AS $$
+  SELECT
+    ARRAY(
+      SELECT DISTINCT provider FROM transactions
+      WHERE user_id = auth.uid() AND deleted_at IS NULL AND provider IS NOT NULL
+      ORDER BY provider
+    ),
+    ARRAY(
+      SELECT DISTINCT tag FROM transactions, unnest(tags) AS tag
+      WHERE user_id = auth.uid() AND deleted_at IS NULL
+      ORDER BY tag
+    );
+$$ LANGUAGE sql STABLE SECURITY INVOKER SET search_path = public;
+
 -- Triggers (drop first if they exist, then create)
-DROP TRIGGER IF EXISTS auto_update_balance ON transactions;
-CREATE TRIGGER auto_update_balance
+DROP TRIGGER IF EXISTS fill_account_currency ON accounts;
+CREATE TRIGGER fill_account_currency
+BEFORE INSERT ON accounts
+FOR EACH ROW EXECUTE FUNCTION fill_currency();
+
+DROP TRIGGER IF EXISTS sync_account_currency ON accounts;
+CREATE TRIGGER sync_account_currency
+AFTER UPDATE OF currency ON accounts
+FOR EACH ROW WHEN (OLD.currency IS DISTINCT FROM NEW.currency)
+EXECUTE FUNCTION sync_account_currency();
+
+DROP TRIGGER IF EXISTS fill_transaction_currency ON transactions;
+CREATE TRIGGER fill_transaction_currency
+BEFORE INSERT OR UPDATE OF currency ON transactions
+FOR EACH ROW EXECUTE FUNCTION fill_transaction_currency();
+
+DROP TRIGGER IF EXISTS guard_reconciled_transaction ON transactions;
+CREATE TRIGGER guard_reconciled_transaction
+BEFORE UPDATE ON transactions
+FOR EACH ROW WHEN (OLD.cleared_status = 'reconciled')
+EXECUTE FUNCTION guard_reconciled_transaction();
+
+DROP TRIGGER IF EXISTS sync_ledger_insert ON transactions;
+CREATE TRIGGER sync_ledger_insert
 AFTER INSERT ON transactions
-FOR EACH ROW EXECUTE FUNCTION update_balance();
+REFERENCING NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_ledger();
 
-DROP TRIGGER IF EXISTS auto_calc_balance ON transactions;
-CREATE TRIGGER auto_calc_balance
-BEFORE INSERT ON transactions
-FOR EACH ROW EXECUTE FUNCTION calc_running_balance();
+DROP TRIGGER IF EXISTS sync_ledger_update ON transactions;
+CREATE TRIGGER sync_ledger_update
+AFTER UPDATE ON transactions
+REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_ledger();
 
-DROP TRIGGER IF EXISTS auto_update_spent ON transactions;
-CREATE TRIGGER auto_update_spent
+DROP TRIGGER IF EXISTS sync_ledger_delete ON transactions;
+CREATE TRIGGER sync_ledger_delete
+AFTER DELETE ON transactions
+REFERENCING OLD TABLE AS old_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_ledger();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_insert ON transactions;
+CREATE TRIGGER sync_budget_spent_insert
 AFTER INSERT ON transactions
-FOR EACH ROW EXECUTE FUNCTION update_spent();
+REFERENCING NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_update ON transactions;
+CREATE TRIGGER sync_budget_spent_update
+AFTER UPDATE ON transactions
+REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_delete ON transactions;
+CREATE TRIGGER sync_budget_spent_delete
+AFTER DELETE ON transactions
+REFERENCING OLD TABLE AS old_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_splits_insert ON transaction_splits;
+CREATE TRIGGER sync_budget_spent_splits_insert
+AFTER INSERT ON transaction_splits
+REFERENCING NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent_from_splits();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_splits_update ON transaction_splits;
+CREATE TRIGGER sync_budget_spent_splits_update
+AFTER UPDATE ON transaction_splits
+REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent_from_splits();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_splits_delete ON transaction_splits;
+CREATE TRIGGER sync_budget_spent_splits_delete
+AFTER DELETE ON transaction_splits
+REFERENCING OLD TABLE AS old_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent_from_splits();
+
+DROP TRIGGER IF EXISTS fill_budget_spent ON budget_categories;
+CREATE TRIGGER fill_budget_spent
+BEFORE INSERT OR UPDATE OF budget_id, category_id ON budget_categories
+FOR EACH ROW EXECUTE FUNCTION fill_budget_spent();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_rates_insert ON exchange_rates;
+CREATE TRIGGER sync_budget_spent_rates_insert
+AFTER INSERT ON exchange_rates
+REFERENCING NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent_from_rates();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_rates_update ON exchange_rates;
+CREATE TRIGGER sync_budget_spent_rates_update
+AFTER UPDATE ON exchange_rates
+REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent_from_rates();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_rates_delete ON exchange_rates;
+CREATE TRIGGER sync_budget_spent_rates_delete
+AFTER DELETE ON exchange_rates
+REFERENCING OLD TABLE AS old_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_budget_spent_from_rates();
+
+DROP TRIGGER IF EXISTS sync_ledger_rates_insert ON exchange_rates;
+CREATE TRIGGER sync_ledger_rates_insert
+AFTER INSERT ON exchange_rates
+REFERENCING NEW TABLE AS changed_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_ledger_from_rates();
+
+DROP TRIGGER IF EXISTS sync_ledger_rates_update ON exchange_rates;
+CREATE TRIGGER sync_ledger_rates_update
+AFTER UPDATE ON exchange_rates
+REFERENCING NEW TABLE AS changed_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_ledger_from_rates();
+
+DROP TRIGGER IF EXISTS sync_ledger_rates_delete ON exchange_rates;
+CREATE TRIGGER sync_ledger_rates_delete
+AFTER DELETE ON exchange_rates
+REFERENCING OLD TABLE AS changed_rows
+FOR EACH STATEMENT EXECUTE FUNCTION sync_ledger_from_rates();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_base_currency ON user_settings;
+CREATE TRIGGER sync_budget_spent_base_currency
+AFTER UPDATE OF base_currency ON user_settings
+FOR EACH ROW WHEN (OLD.base_currency IS DISTINCT FROM NEW.base_currency)
+EXECUTE FUNCTION sync_budget_spent_from_rates();
+
+DROP TRIGGER IF EXISTS sync_budget_spent_account_currency ON accounts;
+CREATE TRIGGER sync_budget_spent_account_currency
+AFTER UPDATE OF currency ON accounts
+FOR EACH ROW WHEN (OLD.currency IS DISTINCT FROM NEW.currency)
+EXECUTE FUNCTION sync_budget_spent_from_rates();
 
 -- Done! You now have 6 tables with automatic calculations
@@ -14,6 +14,7 @@ import ForgotPassword from './pages/ForgotPassword'
 import ResetPassword from './pages/ResetPassword'
 import Dashboard from './pages/Dashboard'
 import ImportTransactions from './pages/ImportTransactions'
+import ImportHistory from './pages/ImportHistory'
 import CategoryManager from './pages/CategoryManager'
 import Transactions from './pages/Transactions'
 import AddTransaction from './pages/AddTransaction'
@@ -22,6 +23,7 @@ import RecurringPayments from './pages/RecurringPayments'
 import Reports from './pages/Reports'
 import AssetsLiabilities from './pages/AssetsLiabilities'
 import Settings from './pages/Settings'
+import Accounts from './pages/Accounts'
 import SettingsTabs from './components/SettingsTabs'
 
 function App() {
@@ -69,6 +71,15 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/accounts"
+          element={
+            <ProtectedRoute>
+              <SettingsTabs />
+              <Accounts />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/import"
           element={
@@ -78,6 +89,15 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/import-history"
+          element={
+            <ProtectedRoute>
+              <SettingsTabs />
+              <ImportHistory />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/categories"
           element={
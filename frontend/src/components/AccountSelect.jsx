@@ -0,0 +1,218 @@
+import { useState, useRef, useEffect } from 'react';
+import {
+  Box,
+  VStack,
+  HStack,
+  Text,
+} from '@chakra-ui/react';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { ACCOUNT_TYPES } from '../lib/accounts';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { useI18n } from '../contexts/I18nContext';
+
+/**
+ * AccountSelect - A custom dropdown for choosing an account
+ * Same look and keyboard handling as CategorySelect, but works with account rows
+ *
+ * Props:
+ * - value: Selected account id ('' when none / all)
+ * - onChange: Callback when an account is selected (receives account id)
+ * - accounts: Array of { id, name, type, balance, currency }
+ * - allLabel: When set, adds a first option with value '' (e.g. "All accounts")
+ * - placeholder: Placeholder text when nothing selected
+ * - h: Trigger height, to match the surrounding inputs
+ */
+export default function AccountSelect({
+  value,
+  onChange,
+  accounts = [],
+  allLabel = null,
+  placeholder,
+  h = '48px',
+}) {
+  const colors = useDarkModeColors();
+  const { formatCurrency } = useCurrency();
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlightedIndex, setHighlightedIndex] = useState(-1);
+  const containerRef = useRef(null);
+
+  const options = allLabel
+    ? [{ id: '', name: allLabel }, ...accounts]
+    : accounts;
+  const selected = options.find(a => a.id === value);
+
+  // Handle click outside to close dropdown
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleSelect = (account) => {
+    onChange(account.id);
+    setIsOpen(false);
+    setHighlightedIndex(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isOpen) {
+      if (e.key === 'Enter' || e.key === ' ' || e.key === 'ArrowDown') {
+        e.preventDefault();
+        setIsOpen(true);
+        setHighlightedIndex(options.findIndex(a => a.id === value));
+      }
+      return;
+    }
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setHighlightedIndex(prev => (prev < options.length - 1 ? prev + 1 : prev));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setHighlightedIndex(prev => (prev > 0 ? prev - 1 : prev));
+        break;
+      case 'Enter':
+        e.preventDefault();
+        if (highlightedIndex >= 0) {
+          handleSelect(options[highlightedIndex]);
+        }
+        break;
+      case 'Escape':
+        e.preventDefault();
+        setIsOpen(false);
+        setHighlightedIndex(-1);
+        break;
+    }
+  };
+
+  return (
+    <Box ref={containerRef} position="relative" w="100%">
+      {/* Trigger button */}
+      <Box
+        onClick={() => setIsOpen(!isOpen)}
+        onKeyDown={handleKeyDown}
+        tabIndex={0}
+        role="combobox"
+        aria-expanded={isOpen}
+        aria-haspopup="listbox"
+        aria-label={t('common.account')}
+        cursor="pointer"
+        px={3}
+        h={h}
+        display="flex"
+        alignItems="center"
+        justifyContent="space-between"
+        borderRadius="8px"
+        borderWidth="1px"
+        borderColor={isOpen ? 'blue.500' : colors.borderColor}
+        bg={colors.cardBg}
+        _hover={{ borderColor: 'blue.400' }}
+        _focus={{ borderColor: 'blue.500', boxShadow: '0 0 0 1px #3B82F6', outline: 'none' }}
+        transition="all 0.2s"
+      >
+        <Text
+          color={selected ? colors.textPrimary : colors.textMuted}
+          fontSize="sm"
+          noOfLines={1}
+        >
+          {selected
+            ? `${ACCOUNT_TYPES[selected.type]?.icon ? ACCOUNT_TYPES[selected.type].icon + ' ' : ''}${selected.name}`
+            : placeholder ?? t('accounts.selectPlaceholder')}
+        </Text>
+        <Box
+          as="span"
+          transform={isOpen ? 'rotate(180deg)' : 'rotate(0deg)'}
+          transition="transform 0.2s"
+          color={colors.textSecondary}
+          fontSize="xs"
+        >
+          ▼
+        </Box>
+      </Box>
+
+      {/* Dropdown */}
+      {isOpen && (
+        <Box
+          position="absolute"
+          top="100%"
+          left={0}
+          right={0}
+          zIndex={1000}
+          mt={1}
+          bg={colors.cardBg}
+          borderWidth="1px"
+          borderColor={colors.borderColor}
+          borderRadius="12px"
+          boxShadow="lg"
+          maxH={{ base: '280px', md: '320px' }}
+          overflowY="auto"
+          overflowX="hidden"
+        >
+          <VStack gap={0} align="stretch" p={1} role="listbox">
+            {options.map((account, index) => {
+              const isHighlighted = index === highlightedIndex;
+              const isSelected = account.id === value;
+
+              return (
+                <HStack
+                  key={account.id || 'all'}
+                  px={3}
+                  py={2.5}
+                  cursor="pointer"
+                  bg={isHighlighted || isSelected ? colors.rowStripedBg : 'transparent'}
+                  _hover={{ bg: colors.rowStripedBg }}
+                  borderRadius="8px"
+                  onClick={() => handleSelect(account)}
+                  justify="space-between"
+                  transition="background 0.1s"
+                  role="option"
+                  aria-selected={isSelected}
+                >
+                  <HStack gap={2} minW={0}>
+                    {ACCOUNT_TYPES[account.type] && (
+                      <Text fontSize="sm">{ACCOUNT_TYPES[account.type].icon}</Text>
+                    )}
+                    <Text
+                      color={colors.textPrimary}
+                      fontSize="sm"
+                      fontWeight={isSelected ? '600' : '400'}
+                      noOfLines={1}
+                    >
+                      {account.name}
+                    </Text>
+                  </HStack>
+                  <HStack gap={2} flexShrink={0}>
+                    {account.balance !== undefined && (
+                      <Text fontSize="xs" color={Number(account.balance) < 0 ? 'red.500' : colors.textMuted}>
+                        {formatCurrency(account.balance, account.currency)}
+                      </Text>
+                    )}
+                    {isSelected && (
+                      <Text color="blue.500" fontSize="sm">✓</Text>
+                    )}
+                  </HStack>
+                </HStack>
+              );
+            })}
+          </VStack>
+
+          {options.length === 0 && (
+            <Box px={3} py={4}>
+              <Text fontSize="sm" color={colors.textMuted} textAlign="center">
+                {t('accounts.noAccounts')}
+              </Text>
+            </Box>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -12,6 +12,8 @@ import {
 } from '@chakra-ui/react';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
 import { useAuth } from '../contexts/AuthContext';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { useI18n } from '../contexts/I18nContext';
 
 // Icons using inline SVG
 const ChevronIcon = ({ isOpen, size = 20 }) => (
@@ -73,11 +75,11 @@ const SavingsIcon = () => (
   </svg>
 );
 
-// Priority configuration
+// Priority configuration (labels are message keys)
 const PRIORITY_CONFIG = {
-  high: { label: 'High', emoji: '🔴', order: 1 },
-  medium: { label: 'Medium', emoji: '🟡', order: 2 },
-  low: { label: 'Low', emoji: '🟢', order: 3 },
+  high: { label: 'recommendations.highPriority', emoji: '🔴', order: 1 },
+  medium: { label: 'recommendations.mediumPriority', emoji: '🟡', order: 2 },
+  low: { label: 'recommendations.lowPriority', emoji: '🟢', order: 3 },
 };
 
 // Type configuration
@@ -101,6 +103,7 @@ const getPriorityStyles = (priority, colors) => {
 
 // Compact Recommendation Card
 const RecommendationCard = ({ rec, colors, onApply, onDismiss, isApplying, formatCurrency, isSelected, onToggleSelect }) => {
+  const { t } = useI18n();
   const priorityStyles = getPriorityStyles(rec.priority, colors);
   const typeConfig = TYPE_CONFIG[rec.type] || { emoji: '💡', label: 'Suggestion' };
 
@@ -191,25 +194,25 @@ const RecommendationCard = ({ rec, colors, onApply, onDismiss, isApplying, forma
         flexWrap="wrap"
       >
         <Box flex="1" minW="60px">
-          <Text color={colors.textMuted}>Current</Text>
+          <Text color={colors.textMuted}>{t('recommendations.current')}</Text>
           <Text fontWeight="600" color={rec.currentBudget === 0 ? colors.textMuted : colors.textPrimary}>
-            {rec.currentBudget === 0 ? 'None' : formatCurrency(rec.currentBudget)}
+            {rec.currentBudget === 0 ? t('recommendations.none') : formatCurrency(rec.currentBudget)}
           </Text>
         </Box>
         <Box flex="1" minW="60px">
-          <Text color={colors.textMuted}>Next Month</Text>
+          <Text color={colors.textMuted}>{t('recommendations.nextMonth')}</Text>
           <Text fontWeight="600" color={rec.nextMonthBudget === null ? colors.textMuted : colors.info}>
-            {rec.nextMonthBudget === null ? 'Not set' : formatCurrency(rec.nextMonthBudget)}
+            {rec.nextMonthBudget === null ? t('recommendations.notSet') : formatCurrency(rec.nextMonthBudget)}
           </Text>
         </Box>
         <Box flex="1" minW="60px">
-          <Text color={colors.textMuted}>Avg Spent</Text>
+          <Text color={colors.textMuted}>{t('recommendations.avgSpent')}</Text>
           <Text fontWeight="600" color={colors.textPrimary}>
             {formatCurrency(rec.avgSpending)}
           </Text>
         </Box>
         <Box flex="1" minW="60px">
-          <Text color={colors.textMuted}>Suggested</Text>
+          <Text color={colors.textMuted}>{t('recommendations.suggested')}</Text>
           <Text fontWeight="700" color={colors.success}>
             {formatCurrency(rec.suggestedBudget)}
           </Text>
@@ -233,7 +236,7 @@ const RecommendationCard = ({ rec, colors, onApply, onDismiss, isApplying, forma
           fontSize="xs"
           _hover={{ bg: colors.successBg, color: colors.success }}
         >
-          Apply
+          {t('common.apply')}
         </Button>
       </Flex>
     </Box>
@@ -242,6 +245,7 @@ const RecommendationCard = ({ rec, colors, onApply, onDismiss, isApplying, forma
 
 // Compact Savings Card - Shows remaining budget available to save (grid-friendly)
 const SavingsCard = ({ opp, colors, onDismiss, formatCurrency, isSelected, onToggleSelect }) => {
+  const { t } = useI18n();
   const percentLeft = opp.currentBudget > 0
     ? Math.round((opp.availableToSave / opp.currentBudget) * 100)
     : 0;
@@ -320,18 +324,18 @@ const SavingsCard = ({ opp, colors, onDismiss, formatCurrency, isSelected, onTog
           fontWeight="600"
           flexShrink={0}
         >
-          {percentLeft}% left
+          {t('recommendations.percentLeft', { percent: percentLeft })}
         </Box>
       </Flex>
 
       {/* Compact Stats Row */}
       <Flex gap={2} fontSize="2xs" mb={2}>
         <Box flex="1" textAlign="center">
-          <Text color={colors.textMuted}>Budget</Text>
+          <Text color={colors.textMuted}>{t('recommendations.budget')}</Text>
           <Text fontWeight="600" color={colors.textPrimary}>{formatCurrency(opp.currentBudget)}</Text>
         </Box>
         <Box flex="1" textAlign="center">
-          <Text color={colors.textMuted}>Spent</Text>
+          <Text color={colors.textMuted}>{t('recommendations.spent')}</Text>
           <Text fontWeight="600" color={colors.textPrimary}>{formatCurrency(opp.spent)}</Text>
         </Box>
       </Flex>
@@ -345,7 +349,7 @@ const SavingsCard = ({ opp, colors, onDismiss, formatCurrency, isSelected, onTog
         border={isSelected ? '1px solid' : 'none'}
         borderColor={colors.successBorder}
       >
-        <Text fontSize="2xs" color={colors.success} fontWeight="500">Available to save</Text>
+        <Text fontSize="2xs" color={colors.success} fontWeight="500">{t('recommendations.availableToSave')}</Text>
         <Text fontSize="sm" fontWeight="700" color={colors.success}>{formatCurrency(opp.availableToSave)}</Text>
       </Box>
     </Box>
@@ -422,6 +426,7 @@ const CollapsibleSection = ({
 
 // Priority Group within Section
 const PriorityGroup = ({ priority, items, colors, renderItem }) => {
+  const { t } = useI18n();
   const config = PRIORITY_CONFIG[priority];
   if (!items || items.length === 0) return null;
 
@@ -429,7 +434,7 @@ const PriorityGroup = ({ priority, items, colors, renderItem }) => {
     <Box mb={3}>
       <HStack gap={1} mb={2}>
         <Text fontSize="xs" color={colors.textMuted}>
-          {config.emoji} {config.label} Priority
+          {config.emoji} {t(config.label)}
         </Text>
         <Text fontSize="xs" color={colors.textMuted}>
           ({items.length})
@@ -450,6 +455,8 @@ export default function BudgetRecommendations({
 }) {
   const colors = useDarkModeColors();
   const { session } = useAuth();
+  const { formatCurrency: formatMoney } = useCurrency();
+  const { t } = useI18n();
 
   // State
   const [isMainOpen, setIsMainOpen] = useState(false); // Collapsed by default
@@ -520,7 +527,7 @@ export default function BudgetRecommendations({
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to fetch recommendations');
+        throw new Error(errorData.error || t('recommendations.fetchFailed'));
       }
 
       const result = await response.json();
@@ -609,12 +616,7 @@ export default function BudgetRecommendations({
   };
 
   const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    }).format(amount);
+    return formatMoney(amount, undefined, { minimumFractionDigits: 0, maximumFractionDigits: 0 });
   };
 
   // Toggle savings card selection
@@ -712,11 +714,11 @@ export default function BudgetRecommendations({
           </Box>
           <Box>
             <Text fontWeight="600" fontSize="sm" color={colors.textPrimary} whiteSpace="nowrap">
-              Suggestions
+              {t('recommendations.title')}
             </Text>
             <Text fontSize="xs" color={colors.textMuted}>
-              {(loading || loadingDismissed) ? 'Analyzing...' : error ? 'Error loading' :
-                totalVisible === 0 ? 'All good!' : `${totalVisible} suggestion${totalVisible !== 1 ? 's' : ''}`}
+              {(loading || loadingDismissed) ? t('recommendations.analyzing') : error ? t('recommendations.errorLoading') :
+                totalVisible === 0 ? t('recommendations.allGood') : t('recommendations.count', { count: totalVisible })}
             </Text>
           </Box>
         </HStack>
@@ -726,7 +728,7 @@ export default function BudgetRecommendations({
           <HStack gap={5} fontSize="xs" ml={4}>
             {visibleOverspending > 0 && (
               <VStack gap={0} align="center">
-                <Text color={colors.textMuted} fontSize="2xs" whiteSpace="nowrap">Over budget</Text>
+                <Text color={colors.textMuted} fontSize="2xs" whiteSpace="nowrap">{t('recommendations.overBudget')}</Text>
                 <Text fontWeight="700" color={colors.danger} fontSize="sm">
                   {formatCurrency(visibleOverspending)}
                 </Text>
@@ -734,7 +736,7 @@ export default function BudgetRecommendations({
             )}
             {visibleSavingsTotal > 0 && (
               <VStack gap={0} align="center">
-                <Text color={colors.textMuted} fontSize="2xs" whiteSpace="nowrap">Can save</Text>
+                <Text color={colors.textMuted} fontSize="2xs" whiteSpace="nowrap">{t('recommendations.canSave')}</Text>
                 <Text fontWeight="700" color={colors.success} fontSize="sm">
                   {formatCurrency(visibleSavingsTotal)}
                 </Text>
@@ -792,7 +794,7 @@ export default function BudgetRecommendations({
                 <VStack gap={2}>
                   <Spinner size="md" color="orange.500" />
                   <Text fontSize="xs" color={colors.textMuted}>
-                    Analyzing 6 months of data...
+                    {t('recommendations.analyzingMonths')}
                   </Text>
                 </VStack>
               </Flex>
@@ -808,7 +810,7 @@ export default function BudgetRecommendations({
                 >
                   <HStack gap={1}>
                     <RefreshIcon />
-                    <Text>Retry</Text>
+                    <Text>{t('recommendations.retry')}</Text>
                   </HStack>
                 </Button>
               </Flex>
@@ -826,10 +828,10 @@ export default function BudgetRecommendations({
                   </svg>
                 </Box>
                 <Text fontWeight="600" fontSize="sm" color={colors.textPrimary}>
-                  Budget looks great!
+                  {t('recommendations.looksGreat')}
                 </Text>
                 <Text fontSize="xs" color={colors.textMuted}>
-                  {data?.summary?.categoriesAnalyzed || 0} categories analyzed
+                  {t('recommendations.analyzed', { count: data?.summary?.categoriesAnalyzed || 0 })}
                 </Text>
                 <Button
                   size="xs"
@@ -840,7 +842,7 @@ export default function BudgetRecommendations({
                 >
                   <HStack gap={1}>
                     <RefreshIcon />
-                    <Text>Refresh</Text>
+                    <Text>{t('recommendations.refresh')}</Text>
                   </HStack>
                 </Button>
               </Flex>
@@ -849,14 +851,14 @@ export default function BudgetRecommendations({
                 {/* Adjust Budget Section */}
                 {visibleRecommendations.length > 0 && (
                   <CollapsibleSection
-                    title="Adjust Budget"
+                    title={t('recommendations.adjustBudget')}
                     icon={AdjustIcon}
                     count={visibleRecommendations.length}
                     isOpen={isAdjustOpen}
                     onToggle={() => setIsAdjustOpen(!isAdjustOpen)}
                     colors={colors}
                     accentColor={hasHighPriority ? colors.danger : colors.warning}
-                    description="Apply to next month's budget"
+                    description={t('recommendations.adjustHint')}
                   >
                     {/* Selection Summary Bar */}
                     {selectedRecommendations.size > 0 && (
@@ -872,11 +874,11 @@ export default function BudgetRecommendations({
                       >
                         <HStack gap={3}>
                           <Text fontSize="sm" fontWeight="600" color={colors.warning}>
-                            {selectedRecommendations.size} selected
+                            {t('recommendations.selected', { count: selectedRecommendations.size })}
                           </Text>
                           <Box w="1px" h="16px" bg={colors.warningBorder} />
                           <HStack gap={1}>
-                            <Text fontSize="sm" color={colors.textSecondary}>Adjustment:</Text>
+                            <Text fontSize="sm" color={colors.textSecondary}>{t('recommendations.adjustment')}</Text>
                             <Text fontSize="lg" fontWeight="700" color={
                               visibleRecommendations
                                 .filter(rec => selectedRecommendations.has(rec.categoryId))
@@ -900,7 +902,7 @@ export default function BudgetRecommendations({
                           onClick={handleClearRecommendationSelection}
                           _hover={{ color: colors.textSecondary }}
                         >
-                          Clear
+                          {t('recommendations.clear')}
                         </Button>
                       </Flex>
                     )}
@@ -980,7 +982,7 @@ export default function BudgetRecommendations({
                           px={2}
                           h="24px"
                         >
-                          Apply all for next month
+                          {t('recommendations.applyAll')}
                         </Button>
                       </Flex>
                     )}
@@ -990,14 +992,14 @@ export default function BudgetRecommendations({
                 {/* Potential Savings Section */}
                 {visibleSavings.length > 0 && (
                   <CollapsibleSection
-                    title="Potential Savings"
+                    title={t('recommendations.potentialSavings')}
                     icon={SavingsIcon}
                     count={visibleSavings.length}
                     isOpen={isSavingsOpen}
                     onToggle={() => setIsSavingsOpen(!isSavingsOpen)}
                     colors={colors}
                     accentColor={colors.success}
-                    description="Discretionary categories (no recurring) with money left to save"
+                    description={t('recommendations.savingsHint')}
                   >
                     {/* Selection Summary Bar */}
                     {selectedSavings.size > 0 && (
@@ -1013,11 +1015,11 @@ export default function BudgetRecommendations({
                       >
                         <HStack gap={3}>
                           <Text fontSize="sm" fontWeight="600" color={colors.success}>
-                            {selectedSavings.size} selected
+                            {t('recommendations.selected', { count: selectedSavings.size })}
                           </Text>
                           <Box w="1px" h="16px" bg={colors.successBorder} />
                           <HStack gap={1}>
-                            <Text fontSize="sm" color={colors.textSecondary}>Total:</Text>
+                            <Text fontSize="sm" color={colors.textSecondary}>{t('recommendations.total')}</Text>
                             <Text fontSize="lg" fontWeight="700" color={colors.success}>
                               {formatCurrency(
                                 visibleSavings
@@ -1034,7 +1036,7 @@ export default function BudgetRecommendations({
                           onClick={handleClearSelection}
                           _hover={{ color: colors.textSecondary }}
                         >
-                          Clear
+                          {t('recommendations.clear')}
                         </Button>
                       </Flex>
                     )}
@@ -1068,7 +1070,7 @@ export default function BudgetRecommendations({
                   >
                     <HStack gap={1}>
                       <RefreshIcon />
-                      <Text>Refresh Analysis</Text>
+                      <Text>{t('recommendations.refreshAnalysis')}</Text>
                     </HStack>
                   </Button>
                 </Flex>
@@ -0,0 +1,159 @@
+import { useState } from 'react';
+import { Box, Button, Flex, HStack, Input, Text } from '@chakra-ui/react';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useI18n } from '../contexts/I18nContext';
+
+/**
+ * BulkActionBar - Actions for the transactions ticked on the Transactions page
+ * Category, date and account edits pick a value, then apply; tags open the tag dialog.
+ * In the trash the only action is restore.
+ *
+ * Props:
+ * - count: Number of selected transactions
+ * - total: Number of transactions in the current view, for "Select all"
+ * - mode: 'active' | 'trash'
+ * - categories: Array of { id, name, type }
+ * - accounts: Array of { id, name, archived_at } (account moves only offered with 2+)
+ * - busy: True while an edit is being saved
+ * - onApply: Called with (action, value), action one of 'category' | 'date' | 'account' |
+ *   'delete' | 'restore'
+ * - onTag: Opens the tag dialog for the selection
+ * - onSelectAll: Selects every transaction in the current view
+ * - onClear: Clears the selection
+ */
+export default function BulkActionBar({ count, total, mode, categories, accounts, busy, onApply, onTag, onSelectAll, onClear }) {
+  const colors = useDarkModeColors();
+  const { t } = useI18n();
+  const [action, setAction] = useState('');
+  const [value, setValue] = useState('');
+
+  if (count === 0) return null;
+
+  const choose = (next) => {
+    setAction(action === next ? '' : next);
+    setValue('');
+  };
+
+  const apply = () => {
+    onApply(action, value);
+    setAction('');
+    setValue('');
+  };
+
+  const selectStyles = {
+    bg: colors.cardBg,
+    borderWidth: '1px',
+    borderColor: colors.borderColor,
+    color: colors.textPrimary,
+    borderRadius: '6px',
+    px: 2,
+    py: 1,
+    fontSize: 'sm',
+    outline: 'none',
+    cursor: 'pointer',
+  };
+  const optionStyle = { background: 'var(--chakra-colors-gray-800)' };
+
+  return (
+    <Box
+      p={3}
+      bg={colors.cardBg}
+      borderRadius="md"
+      borderWidth="1px"
+      borderColor="blue.500"
+      position="sticky"
+      top={2}
+      zIndex={20}
+      w="100%"
+    >
+      <Flex gap={2} align="center" wrap="wrap">
+        <Text fontWeight="600" fontSize="sm" color={colors.textPrimary} mr={2}>
+          {t('bulkBar.selected', { count })}
+        </Text>
+
+        {mode === 'trash' ? (
+          <Button size="sm" colorPalette="green" onClick={() => onApply('restore')} loading={busy}>
+            {t('bulkBar.restore', { count })}
+          </Button>
+        ) : (
+          <>
+            <Button size="sm" variant={action === 'category' ? 'solid' : 'outline'} onClick={() => choose('category')} disabled={busy}>
+              {t('common.category')}
+            </Button>
+            <Button size="sm" variant="outline" onClick={onTag} disabled={busy}>
+              {t('common.tags')}
+            </Button>
+            <Button size="sm" variant={action === 'date' ? 'solid' : 'outline'} onClick={() => choose('date')} disabled={busy}>
+              {t('common.date')}
+            </Button>
+            {accounts.length > 1 && (
+              <Button size="sm" variant={action === 'account' ? 'solid' : 'outline'} onClick={() => choose('account')} disabled={busy}>
+                {t('common.account')}
+              </Button>
+            )}
+            <Button size="sm" variant="outline" colorPalette="red" onClick={() => onApply('delete')} disabled={busy}>
+              {t('bulkBar.delete', { count })}
+            </Button>
+          </>
+        )}
+
+        {count < total && (
+          <Button size="sm" variant="ghost" colorPalette="blue" onClick={onSelectAll} disabled={busy}>
+            {t('bulkBar.selectAll', { total })}
+          </Button>
+        )}
+        <Button size="sm" variant="ghost" onClick={onClear} disabled={busy}>
+          {t('bulkBar.clear')}
+        </Button>
+      </Flex>
+
+      {action && (
+        <HStack gap={2} mt={3} wrap="wrap">
+          {action === 'category' && (
+            <Box as="select" value={value} onChange={(e) => setValue(e.target.value)} aria-label={t('bulkBar.newCategory')} {...selectStyles}>
+              <option value="" style={optionStyle}>{t('bulkBar.chooseCategory')}</option>
+              {['expense', 'income'].map(type => (
+                <optgroup key={type} label={type === 'expense' ? t('common.expense') : t('common.income')}>
+                  {categories.filter(c => c.type === type).map(c => (
+                    <option key={c.id} value={c.id} style={optionStyle}>{c.name}</option>
+                  ))}
+                </optgroup>
+              ))}
+            </Box>
+          )}
+          {action === 'date' && (
+            <Input
+              type="date"
+              size="sm"
+              w="170px"
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              aria-label={t('bulkBar.newDate')}
+              bg={colors.cardBg}
+              borderColor={colors.borderColor}
+              color={colors.textPrimary}
+            />
+          )}
+          {action === 'account' && (
+            <Box as="select" value={value} onChange={(e) => setValue(e.target.value)} aria-label={t('bulkBar.moveToAccount')} {...selectStyles}>
+              <option value="" style={optionStyle}>{t('bulkBar.chooseAccount')}</option>
+              {accounts.filter(a => !a.archived_at).map(a => (
+                <option key={a.id} value={a.id} style={optionStyle}>{a.name}</option>
+              ))}
+            </Box>
+          )}
+          <Button size="sm" colorPalette="blue" onClick={apply} disabled={!value} loading={busy}>
+            {t('bulkBar.applyTo', { count })}
+          </Button>
+          <Text fontSize="xs" color={colors.textMuted}>
+            {action === 'category'
+              ? t('bulkBar.categoryHint')
+              : action === 'account'
+                ? t('bulkBar.accountHint')
+                : t('bulkBar.dateHint')}
+          </Text>
+        </HStack>
+      )}
+    </Box>
+  );
+}
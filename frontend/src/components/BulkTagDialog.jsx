@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Flex,
+  HStack,
+  Text,
+  VStack,
+  Dialog,
+  Portal,
+  CloseButton,
+} from '@chakra-ui/react';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useI18n } from '../contexts/I18nContext';
+import TagInput from './TagInput';
+
+/**
+ * BulkTagDialog - Add or remove tags on many transactions at once
+ *
+ * Props:
+ * - open: Whether the dialog is shown
+ * - count: How many transactions the edit applies to
+ * - scope: 'shown' (everything in the current view) or 'selected' (the ticked rows)
+ * - knownTags: Existing tags to offer
+ * - applying: True while the edit is being saved
+ * - onApply: Called with { add, remove } arrays of tags
+ * - onClose: Called when the dialog is dismissed
+ */
+export default function BulkTagDialog({ open, count, scope = 'shown', knownTags, applying, onApply, onClose }) {
+  const colors = useDarkModeColors();
+  const { t } = useI18n();
+  const [mode, setMode] = useState('add'); // 'add' | 'remove'
+  const [tags, setTags] = useState([]);
+
+  useEffect(() => {
+    if (open) {
+      setMode('add');
+      setTags([]);
+    }
+  }, [open]);
+
+
+  return (
+    <Dialog.Root open={open} onOpenChange={(e) => !e.open && !applying && onClose()}>
+      <Portal>
+        <Dialog.Backdrop bg="blackAlpha.600" />
+        <Dialog.Positioner>
+          <Dialog.Content maxW="460px" w="95%" borderRadius="16px" overflow="hidden" bg={colors.cardBg}>
+            <Dialog.Header bg="linear-gradient(135deg, #3B82F6 0%, #2563EB 100%)" color="white" p={5}>
+              <Flex justify="space-between" align="center">
+                <Box>
+                  <Dialog.Title fontSize="lg" fontWeight="700" color="white">
+                    {t('tags.dialogTitle')}
+                  </Dialog.Title>
+                  <Text fontSize="sm" color="whiteAlpha.800">
+                    {t(scope === 'selected' ? 'tags.appliesToSelected' : 'tags.appliesToShown', { count })}
+                  </Text>
+                </Box>
+                <Dialog.CloseTrigger asChild>
+                  <CloseButton color="white" _hover={{ bg: 'whiteAlpha.200' }} borderRadius="full" />
+                </Dialog.CloseTrigger>
+              </Flex>
+            </Dialog.Header>
+
+            <Dialog.Body p={6}>
+              <VStack align="stretch" gap={4}>
+                <HStack gap={2}>
+                  <Button
+                    flex={1}
+                    size="sm"
+                    variant={mode === 'add' ? 'solid' : 'outline'}
+                    colorPalette="blue"
+                    onClick={() => setMode('add')}
+                  >
+                    {t('tags.addTags')}
+                  </Button>
+                  <Button
+                    flex={1}
+                    size="sm"
+                    variant={mode === 'remove' ? 'solid' : 'outline'}
+                    colorPalette="red"
+                    onClick={() => setMode('remove')}
+                  >
+                    {t('tags.removeTags')}
+                  </Button>
+                </HStack>
+                <TagInput
+                  value={tags}
+                  onChange={setTags}
+                  suggestions={knownTags}
+                  size="md"
+                  placeholder={mode === 'add' ? t('tags.addExample') : t('tags.tagToRemove')}
+                />
+                <Text fontSize="xs" color={colors.textMuted}>
+                  {t('tags.undoHint')}
+                </Text>
+              </VStack>
+            </Dialog.Body>
+
+            <Dialog.Footer p={4} borderTopWidth="1px" borderColor={colors.borderColor}>
+              <HStack gap={3} justify="flex-end" w="100%">
+                <Button variant="outline" onClick={onClose} disabled={applying}>
+                  {t('common.cancel')}
+                </Button>
+                <Button
+                  colorPalette={mode === 'add' ? 'blue' : 'red'}
+                  onClick={() => onApply(mode === 'add' ? { add: tags } : { remove: tags })}
+                  disabled={tags.length === 0 || count === 0}
+                  loading={applying}
+                  loadingText={t('common.saving')}
+                >
+                  {t(mode === 'add' ? 'tags.addTo' : 'tags.removeFrom', { count })}
+                </Button>
+              </HStack>
+            </Dialog.Footer>
+          </Dialog.Content>
+        </Dialog.Positioner>
+      </Portal>
+    </Dialog.Root>
+  );
+}
@@ -8,6 +8,7 @@ import {
   Badge,
 } from '@chakra-ui/react';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useI18n } from '../contexts/I18nContext';
 
 /**
  * CategoryAutocomplete - Shows existing categories that match what you're typing
@@ -25,11 +26,12 @@ export default function CategoryAutocomplete({
   value,
   onChange,
   categories = [],
-  placeholder = "Category name",
+  placeholder,
   onKeyPress,
   ...inputProps
 }) {
   const colors = useDarkModeColors();
+  const { t } = useI18n();
   const [isOpen, setIsOpen] = useState(false);
   const [filteredCategories, setFilteredCategories] = useState([]);
   const [highlightedIndex, setHighlightedIndex] = useState(-1);
@@ -147,7 +149,7 @@ export default function CategoryAutocomplete({
         onFocus={handleFocus}
         onKeyDown={handleKeyDown}
         onKeyPress={handleKeyPress}
-        placeholder={placeholder}
+        placeholder={placeholder ?? t('pickers.categoryName')}
         autoComplete="off"
         {...inputProps}
       />
@@ -173,7 +175,7 @@ export default function CategoryAutocomplete({
           {/* Header showing this is existing categories */}
           <Box px={3} py={2} borderBottomWidth="1px" borderColor={colors.borderSubtle}>
             <Text fontSize="xs" color={colors.textMuted} fontWeight="medium">
-              Existing categories matching "{value}"
+              {t('pickers.existingMatching', { value })}
             </Text>
           </Box>
 
@@ -220,7 +222,7 @@ export default function CategoryAutocomplete({
                         py={0.5}
                         borderRadius="full"
                       >
-                        exists
+                        {t('pickers.exists')}
                       </Badge>
                     )}
                   </HStack>
@@ -233,7 +235,7 @@ export default function CategoryAutocomplete({
           {exactMatch && (
             <Box px={3} py={2} borderTopWidth="1px" borderColor={colors.borderSubtle} bg={colors.warningBg}>
               <Text fontSize="xs" color={colors.warning} textAlign="center">
-                This category already exists
+                {t('pickers.alreadyExists')}
               </Text>
             </Box>
           )}
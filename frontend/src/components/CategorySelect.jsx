@@ -6,6 +6,7 @@ import {
   Text,
 } from '@chakra-ui/react';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useI18n } from '../contexts/I18nContext';
 
 /**
  * CategorySelect - A custom dropdown for selecting categories
@@ -21,9 +22,10 @@ export default function CategorySelect({
   value,
   onChange,
   categories = [],
-  placeholder = "Select a category...",
+  placeholder,
 }) {
   const colors = useDarkModeColors();
+  const { t } = useI18n();
   const [isOpen, setIsOpen] = useState(false);
   const [highlightedIndex, setHighlightedIndex] = useState(-1);
   const containerRef = useRef(null);
@@ -128,7 +130,7 @@ export default function CategorySelect({
           fontSize="md"
           noOfLines={1}
         >
-          {value || placeholder}
+          {value || placeholder || t('pickers.selectCategory')}
         </Text>
         <Box
           as="span"
@@ -196,7 +198,7 @@ export default function CategorySelect({
           {categories.length === 0 && (
             <Box px={3} py={4}>
               <Text fontSize="sm" color={colors.textMuted} textAlign="center">
-                No categories available
+                {t('pickers.noCategories')}
               </Text>
             </Box>
           )}
@@ -0,0 +1,223 @@
+import {
+  Box,
+  Button,
+  Flex,
+  Heading,
+  HStack,
+  Input,
+  SimpleGrid,
+  Text,
+  VStack,
+  Table,
+} from '@chakra-ui/react';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { applyColumnMapping } from '../lib/importUtils';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { useI18n } from '../contexts/I18nContext';
+
+// 'auto' is labelled in the panel, with the order it falls back to
+const DATE_FORMATS = [
+  { value: 'auto' },
+  { value: 'MDY', label: 'MM/DD/YYYY' },
+  { value: 'DMY', label: 'DD/MM/YYYY' },
+  { value: 'YMD', label: 'YYYY-MM-DD' },
+];
+
+// Labels are message keys (lib/i18n.js)
+const SIGN_CONVENTIONS = [
+  { value: 'negative_expense', label: 'columnMapping.negativeExpense' },
+  { value: 'negative_income', label: 'columnMapping.negativeIncome' },
+  { value: 'type', label: 'columnMapping.typeColumn' },
+];
+
+const PREVIEW_ROWS = 5;
+
+/**
+ * ColumnMappingPanel - Tell the importer which CSV column holds what
+ * Shows the mapping controls and a live preview of the first rows read with it.
+ *
+ * Props:
+ * - table: { headers, rows } from readCSVTable
+ * - mapping: Current column mapping (see guessColumnMapping in importUtils)
+ * - onChange: Callback with the updated mapping
+ * - profileName: Name to save the mapping under ('' = don't save)
+ * - onProfileNameChange: Callback when the profile name is edited
+ * - onApply: Continue to the import preview with this mapping
+ * - onCancel: Discard the file
+ * - currency: The import account's currency, for the preview amounts
+ */
+export default function ColumnMappingPanel({
+  table,
+  mapping,
+  onChange,
+  profileName,
+  onProfileNameChange,
+  onApply,
+  onCancel,
+  currency,
+}) {
+  const colors = useDarkModeColors();
+  const { preferences, formatDate } = usePreferences();
+  const { formatCurrency } = useCurrency();
+  const { t } = useI18n();
+  const dateOrder = preferences.importDateOrder;
+
+  const set = (field) => (e) => onChange({ ...mapping, [field]: e.target.value });
+
+  let preview = [];
+  let previewError = '';
+  try {
+    preview = applyColumnMapping({ ...table, rows: table.rows.slice(0, PREVIEW_ROWS) }, mapping, { dateOrder });
+  } catch (err) {
+    previewError = err.message;
+  }
+
+  const selectStyles = {
+    as: 'select',
+    w: '100%',
+    bg: colors.cardBg,
+    borderWidth: '1px',
+    borderColor: colors.borderColor,
+    color: colors.textPrimary,
+    borderRadius: '6px',
+    px: 3,
+    py: 2,
+    fontSize: 'sm',
+    outline: 'none',
+    cursor: 'pointer',
+    _hover: { borderColor: 'blue.400' },
+    _focus: { borderColor: 'blue.500', boxShadow: '0 0 0 1px var(--chakra-colors-blue-500)' },
+  };
+
+  const columnField = (label, field, optional = false) => (
+    <Box key={field}>
+      <Text fontSize="sm" fontWeight="medium" mb={1} color={colors.textPrimary}>{label}</Text>
+      <Box {...selectStyles} value={mapping[field] || ''} onChange={set(field)} aria-label={label}>
+        <option value="">{optional ? t('columnMapping.none') : t('columnMapping.selectColumn')}</option>
+        {table.headers.map(h => <option key={h} value={h}>{h}</option>)}
+      </Box>
+    </Box>
+  );
+
+  return (
+    <Box p={6} borderWidth="1px" borderColor="blue.300" borderRadius="lg" bg={colors.cardBg}>
+      <Heading size="md" mb={1} color={colors.textPrimary}>
+        {t('columnMapping.title')}
+      </Heading>
+      <Text color={colors.textSecondary} fontSize="sm" mb={5}>
+        {t('columnMapping.intro')}
+      </Text>
+
+      <VStack align="stretch" gap={4}>
+        <SimpleGrid columns={{ base: 1, md: 2 }} gap={4}>
+          {columnField(t('common.date'), 'date')}
+          <Box>
+            <Text fontSize="sm" fontWeight="medium" mb={1} color={colors.textPrimary}>{t('columnMapping.dateFormat')}</Text>
+            <Box {...selectStyles} value={mapping.dateFormat} onChange={set('dateFormat')} aria-label={t('columnMapping.dateFormat')}>
+              {DATE_FORMATS.map(f => (
+                <option key={f.value} value={f.value}>
+                  {f.value === 'auto' ? t('columnMapping.detect', { order: dateOrder === 'DMY' ? 'DD/MM' : 'MM/DD' }) : f.label}
+                </option>
+              ))}
+            </Box>
+          </Box>
+          {columnField(t('common.description'), 'description')}
+          {columnField(t('columnMapping.fallbackDescription'), 'fallbackDescription', true)}
+        </SimpleGrid>
+
+        <Box>
+          <Text fontSize="sm" fontWeight="medium" mb={2} color={colors.textPrimary}>{t('columnMapping.amounts')}</Text>
+          <HStack gap={2}>
+            {[
+              { value: 'single', label: t('columnMapping.singleColumn') },
+              { value: 'split', label: t('columnMapping.splitColumns') },
+            ].map(option => (
+              <Button
+                key={option.value}
+                size="sm"
+                variant={mapping.amountMode === option.value ? 'solid' : 'outline'}
+                colorPalette="blue"
+                onClick={() => onChange({ ...mapping, amountMode: option.value })}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </HStack>
+        </Box>
+
+        {mapping.amountMode === 'split' ? (
+          <SimpleGrid columns={{ base: 1, md: 2 }} gap={4}>
+            {columnField(t('columnMapping.debit'), 'debit')}
+            {columnField(t('columnMapping.credit'), 'credit')}
+          </SimpleGrid>
+        ) : (
+          <SimpleGrid columns={{ base: 1, md: 2 }} gap={4}>
+            {columnField(t('common.amount'), 'amount')}
+            <Box>
+              <Text fontSize="sm" fontWeight="medium" mb={1} color={colors.textPrimary}>{t('columnMapping.signConvention')}</Text>
+              <Box {...selectStyles} value={mapping.sign} onChange={set('sign')} aria-label={t('columnMapping.signConvention')}>
+                {SIGN_CONVENTIONS.map(c => <option key={c.value} value={c.value}>{t(c.label)}</option>)}
+              </Box>
+            </Box>
+          </SimpleGrid>
+        )}
+
+        <SimpleGrid columns={{ base: 1, md: 2 }} gap={4}>
+          {columnField(t('columnMapping.bank'), 'bank', true)}
+          {columnField(t('columnMapping.typeField'), 'type', true)}
+        </SimpleGrid>
+
+        {/* Live preview of the first rows */}
+        <Box>
+          <Text fontSize="sm" fontWeight="medium" mb={2} color={colors.textPrimary}>
+            {t('columnMapping.preview', { count: Math.min(PREVIEW_ROWS, table.rows.length) })}
+          </Text>
+          {previewError ? (
+            <Box p={3} bg={colors.dangerBg} borderRadius="md">
+              <Text color="red.600" fontSize="sm">{previewError}</Text>
+            </Box>
+          ) : preview.length === 0 ? (
+            <Text fontSize="sm" color={colors.textMuted}>{t('columnMapping.noRows')}</Text>
+          ) : (
+            <Box overflowX="auto">
+              <Table.Root size="sm">
+                <Table.Body>
+                  {preview.map((tx, idx) => (
+                    <Table.Row key={idx}>
+                      <Table.Cell color={colors.textSecondary}>{formatDate(tx.date)}</Table.Cell>
+                      <Table.Cell color={colors.textPrimary}>{tx.description}</Table.Cell>
+                      <Table.Cell textAlign="right" fontWeight="600" color={tx.type === 'income' ? 'green.600' : 'red.600'}>
+                        {tx.type === 'income' ? '+' : '-'}{formatCurrency(tx.amount, currency)}
+                      </Table.Cell>
+                    </Table.Row>
+                  ))}
+                </Table.Body>
+              </Table.Root>
+            </Box>
+          )}
+        </Box>
+
+        <Box>
+          <Text fontSize="sm" fontWeight="medium" mb={1} color={colors.textPrimary}>{t('columnMapping.saveProfile')}</Text>
+          <Input
+            value={profileName}
+            onChange={(e) => onProfileNameChange(e.target.value)}
+            placeholder={t('columnMapping.profilePlaceholder')}
+            maxW="360px"
+            size="sm"
+          />
+        </Box>
+
+        <Flex gap={3} justify="flex-end">
+          <Button variant="outline" onClick={onCancel}>
+            {t('common.cancel')}
+          </Button>
+          <Button colorPalette="blue" onClick={onApply} disabled={!!previewError}>
+            {profileName.trim() ? t('columnMapping.saveAndContinue') : t('columnMapping.continue')}
+          </Button>
+        </Flex>
+      </VStack>
+    </Box>
+  );
+}
@@ -0,0 +1,222 @@
+import { useState, useRef } from 'react';
+import {
+  Box,
+  Button,
+  Heading,
+  HStack,
+  IconButton,
+  Input,
+  Table,
+  Text,
+  VStack,
+} from '@chakra-ui/react';
+import { LuTrash2 } from 'react-icons/lu';
+import { supabase } from '../lib/supabaseClient';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
+import { readFileText } from '../lib/importUtils';
+import {
+  CURRENCIES,
+  saveExchangeRates,
+  deleteExchangeRate,
+  parseExchangeRatesCSV,
+} from '../lib/currency';
+
+const emptyRate = { rate_date: '', from_currency: '', to_currency: '', rate: '' };
+
+// One button per currency, like the account type picker
+export function CurrencyPicker({ value, onChange }) {
+  return (
+    <HStack gap={2} wrap="wrap">
+      {Object.entries(CURRENCIES).map(([code, name]) => (
+        <Button
+          key={code}
+          size="xs"
+          type="button"
+          variant={value === code ? 'solid' : 'outline'}
+          colorPalette="blue"
+          onClick={() => onChange(code)}
+          title={name}
+        >
+          {code}
+        </Button>
+      ))}
+    </HStack>
+  );
+}
+
+/**
+ * CurrencySettings - Exchange rates (Settings page)
+ * The base currency is picked with the other display preferences (PreferencesSettings).
+ * Rates are added one at a time or imported from a CSV with date, from, to and rate
+ * columns; a rate for an existing pair and date replaces it.
+ *
+ * Props:
+ * - userId: Whose settings to edit
+ */
+export default function CurrencySettings({ userId }) {
+  const colors = useDarkModeColors();
+  const { rates, reload } = useCurrency();
+  const { formatDate } = usePreferences();
+  const { t } = useI18n();
+  const [newRate, setNewRate] = useState(emptyRate);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const fileRef = useRef(null);
+
+  const run = async (action, success) => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      await action();
+      await reload();
+      if (success) setMessage(success);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddRate = () => {
+    const rate = {
+      rate_date: newRate.rate_date,
+      from_currency: newRate.from_currency.trim().toUpperCase(),
+      to_currency: newRate.to_currency.trim().toUpperCase(),
+      rate: parseFloat(newRate.rate),
+    };
+    if (!rate.rate_date || !/^[A-Z]{3}$/.test(rate.from_currency) || !/^[A-Z]{3}$/.test(rate.to_currency)
+      || rate.from_currency === rate.to_currency || !(rate.rate > 0)) {
+      setError(t('currency.invalidRate'));
+      return;
+    }
+    run(async () => {
+      await saveExchangeRates(supabase, userId, [rate]);
+      setNewRate({ ...emptyRate, rate_date: rate.rate_date, from_currency: rate.from_currency, to_currency: rate.to_currency });
+    }, t('currency.rateSaved'));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    run(async () => {
+      const { rates: imported, errors } = parseExchangeRatesCSV(await readFileText(file));
+      await saveExchangeRates(supabase, userId, imported);
+      if (errors.length) {
+        throw new Error(t('currency.importSkipped', {
+          imported: imported.length,
+          skipped: errors.length,
+          errors: `${errors.slice(0, 3).join('; ')}${errors.length > 3 ? '…' : ''}`,
+        }));
+      }
+    }, t('currency.ratesImported'));
+  };
+
+  return (
+    <Box p={6} borderWidth="1px" borderColor={colors.borderColor} borderRadius="lg" bg={colors.cardBg}>
+      <Heading size="lg" mb={4} color={colors.textPrimary}>
+        {t('currency.title')}
+      </Heading>
+      <VStack align="stretch" gap={5}>
+        <Box>
+          <Text fontWeight="600" mb={1} fontSize="sm" color={colors.textSecondary}>{t('currency.exchangeRates')}</Text>
+          <Text fontSize="xs" color={colors.textMuted} mb={2}>
+            {t('currency.exchangeRatesHint')}
+          </Text>
+
+          <HStack gap={2} wrap="wrap" mb={3}>
+            <Input
+              type="date"
+              size="sm"
+              w="150px"
+              value={newRate.rate_date}
+              onChange={(e) => setNewRate({ ...newRate, rate_date: e.target.value })}
+              aria-label={t('currency.rateDate')}
+            />
+            <Input
+              size="sm"
+              w="70px"
+              placeholder="USD"
+              maxLength={3}
+              value={newRate.from_currency}
+              onChange={(e) => setNewRate({ ...newRate, from_currency: e.target.value })}
+              aria-label={t('currency.fromCurrency')}
+            />
+            <Text fontSize="sm" color={colors.textMuted}>→</Text>
+            <Input
+              size="sm"
+              w="70px"
+              placeholder="CAD"
+              maxLength={3}
+              value={newRate.to_currency}
+              onChange={(e) => setNewRate({ ...newRate, to_currency: e.target.value })}
+              aria-label={t('currency.toCurrency')}
+            />
+            <Input
+              type="number"
+              step="0.0001"
+              size="sm"
+              w="110px"
+              placeholder="1.3700"
+              value={newRate.rate}
+              onChange={(e) => setNewRate({ ...newRate, rate: e.target.value })}
+              aria-label={t('currency.rate')}
+            />
+            <Button size="sm" colorPalette="blue" onClick={handleAddRate} loading={saving}>
+              {t('currency.addRate')}
+            </Button>
+            <Button size="sm" variant="outline" onClick={() => fileRef.current?.click()} disabled={saving}>
+              {t('currency.importCsv')}
+            </Button>
+            <input ref={fileRef} type="file" accept=".csv" onChange={handleImport} style={{ display: 'none' }} />
+          </HStack>
+
+          {rates.length === 0 ? (
+            <Text fontSize="sm" color={colors.textMuted}>{t('currency.noRates')}</Text>
+          ) : (
+            <Box overflowX="auto" maxH="320px" overflowY="auto">
+              <Table.Root size="sm">
+                <Table.Header>
+                  <Table.Row>
+                    <Table.ColumnHeader>{t('common.date')}</Table.ColumnHeader>
+                    <Table.ColumnHeader>{t('currency.pair')}</Table.ColumnHeader>
+                    <Table.ColumnHeader textAlign="right">{t('currency.rate')}</Table.ColumnHeader>
+                    <Table.ColumnHeader w="40px" />
+                  </Table.Row>
+                </Table.Header>
+                <Table.Body>
+                  {rates.map(rate => (
+                    <Table.Row key={rate.id}>
+                      <Table.Cell color={colors.textSecondary}>{formatDate(rate.rate_date)}</Table.Cell>
+                      <Table.Cell color={colors.textPrimary}>{rate.from_currency} → {rate.to_currency}</Table.Cell>
+                      <Table.Cell textAlign="right" color={colors.textPrimary}>{Number(rate.rate)}</Table.Cell>
+                      <Table.Cell>
+                        <IconButton
+                          size="xs"
+                          variant="ghost"
+                          colorPalette="red"
+                          aria-label={t('currency.deleteRate', { from: rate.from_currency, to: rate.to_currency, date: rate.rate_date })}
+                          onClick={() => run(() => deleteExchangeRate(supabase, userId, rate.id))}
+                        >
+                          <LuTrash2 />
+                        </IconButton>
+                      </Table.Cell>
+                    </Table.Row>
+                  ))}
+                </Table.Body>
+              </Table.Root>
+            </Box>
+          )}
+        </Box>
+
+        {message && <Text fontSize="sm" color={colors.success}>{message}</Text>}
+        {error && <Text fontSize="sm" color={colors.danger}>{error}</Text>}
+      </VStack>
+    </Box>
+  );
+}
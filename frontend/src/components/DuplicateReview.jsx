@@ -0,0 +1,134 @@
+import { useState, useEffect } from 'react';
+import {
+  Badge,
+  Box,
+  Button,
+  Heading,
+  HStack,
+  SimpleGrid,
+  Text,
+  VStack,
+} from '@chakra-ui/react';
+import { supabase } from '../lib/supabaseClient';
+import { useAuth } from '../contexts/AuthContext';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
+import { loadDuplicateReviews, resolveDuplicate } from '../lib/duplicates';
+
+/**
+ * DuplicateReview - Import rows held back as likely duplicates, each next to the transaction
+ * it resembles, to merge, keep as a second transaction or discard. Renders nothing while the
+ * queue is empty.
+ *
+ * Props:
+ * - refreshKey: Changes when an import may have queued more rows
+ */
+export default function DuplicateReview({ refreshKey }) {
+  const { user } = useAuth();
+  const colors = useDarkModeColors();
+  const { formatCurrency } = useCurrency();
+  const { formatDate } = usePreferences();
+  const { t } = useI18n();
+  const [reviews, setReviews] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (user) loadReviews();
+  }, [user, refreshKey]);
+
+  const loadReviews = async () => {
+    try {
+      setReviews(await loadDuplicateReviews(supabase, user.id));
+    } catch (err) {
+      console.error('Error loading duplicate reviews:', err);
+    }
+  };
+
+  const handleResolve = async (review, decision) => {
+    setBusyId(review.id);
+    setError('');
+    try {
+      await resolveDuplicate(supabase, review, decision);
+      setReviews(prev => prev.filter(r => r.id !== review.id));
+    } catch (err) {
+      setError(t('duplicates.resolveFailed', { error: err.message }));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (reviews.length === 0) return null;
+
+  const side = (label, tx, extra) => (
+    <Box p={3} borderWidth="1px" borderColor={colors.borderColor} borderRadius="md">
+      <Text fontSize="xs" color={colors.textMuted} mb={1}>{label}</Text>
+      <Text fontWeight="medium" color={colors.textPrimary}>{tx.description}</Text>
+      <Text fontSize="sm" color={colors.textSecondary}>
+        {formatDate(tx.date)} · {formatCurrency(tx.amount, tx.currency)}
+        {extra && ` · ${extra}`}
+      </Text>
+    </Box>
+  );
+
+  return (
+    <Box p={6} borderWidth="1px" borderColor={colors.warningBorder} borderRadius="lg" bg={colors.cardBg}>
+      <HStack justify="space-between" mb={1}>
+        <Heading size="lg" color={colors.textPrimary}>{t('duplicates.title')}</Heading>
+        <Badge colorPalette="orange">{reviews.length}</Badge>
+      </HStack>
+      <Text fontSize="sm" color={colors.textSecondary} mb={4}>{t('duplicates.subtitle')}</Text>
+
+      {error && <Text color={colors.danger} fontSize="sm" mb={3}>{error}</Text>}
+
+      <VStack align="stretch" gap={4}>
+        {reviews.map(review => {
+          const existing = review.transactions;
+          // An import row only gets its account's currency when inserted; it is almost always
+          // the recorded transaction's
+          const incoming = { ...review.incoming, currency: existing?.currency };
+          return (
+            <Box key={review.id} pb={4} borderBottomWidth="1px" borderColor={colors.borderColor}>
+              <SimpleGrid columns={{ base: 1, md: 2 }} gap={3}>
+                {existing && side(t('duplicates.recorded'), existing, existing.categories?.name)}
+                {side(t('duplicates.incoming', { source: t(`duplicates.source.${review.source}`) }), incoming)}
+              </SimpleGrid>
+              <HStack mt={3} gap={2} wrap="wrap">
+                <Button
+                  size="sm"
+                  colorPalette="blue"
+                  onClick={() => handleResolve(review, 'merged')}
+                  disabled={busyId === review.id || !existing}
+                  title={t('duplicates.mergeTitle')}
+                >
+                  {t('duplicates.merge')}
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => handleResolve(review, 'kept')}
+                  disabled={busyId === review.id}
+                  title={t('duplicates.keepTitle')}
+                >
+                  {t('duplicates.keepBoth')}
+                </Button>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  colorPalette="red"
+                  onClick={() => handleResolve(review, 'discarded')}
+                  disabled={busyId === review.id}
+                  title={t('duplicates.discardTitle')}
+                >
+                  {t('duplicates.discard')}
+                </Button>
+              </HStack>
+            </Box>
+          );
+        })}
+      </VStack>
+    </Box>
+  );
+}
@@ -1,10 +1,12 @@
 import { Box, Flex, Text } from '@chakra-ui/react'
 import { useColorModeValue } from './ui/color-mode'
+import { useI18n } from '../contexts/I18nContext'
 
 function Footer() {
   const bgColor = useColorModeValue('#18181B', '#09090B')
   const borderColor = useColorModeValue('#27272A', '#18181B')
   const mutedColor = useColorModeValue('#A1A1AA', '#71717A')
+  const { t } = useI18n()
 
   return (
     <Box as="footer" bg={bgColor} borderTop="1px solid" borderColor={borderColor} color="white" w="100%">
@@ -24,12 +26,12 @@ function Footer() {
             BudgetWise
           </Text>
           <Text color={mutedColor} fontSize="sm" ml={2}>
-            A simple, effective budget tracking tool.
+            {t('footer.tagline')}
           </Text>
         </Flex>
 
         <Text color={mutedColor} fontSize="sm">
-          &copy; 2025 BudgetWise. All rights reserved.
+          {t('footer.rights')}
         </Text>
       </Flex>
     </Box>
@@ -11,6 +11,7 @@ import {
   Heading,
 } from '@chakra-ui/react'
 import { useAuth } from '../contexts/AuthContext'
+import { useI18n } from '../contexts/I18nContext'
 import { ColorModeButton, useColorModeValue } from './ui/color-mode'
 
 function Header() {
@@ -18,6 +19,7 @@ function Header() {
   const location = useLocation()
   const navigate = useNavigate()
   const { user, signOut } = useAuth()
+  const { t } = useI18n()
 
   // Dark mode colors
   const headerBg = useColorModeValue('rgba(255, 255, 255, 0.9)', 'rgba(24, 24, 27, 0.95)')
@@ -34,7 +36,7 @@ function Header() {
   const hamburgerColor = useColorModeValue('#52525B', '#A1A1AA')
 
   // Routes grouped under the Settings tab — it stays highlighted on all of them
-  const SETTINGS_PATHS = ['/settings', '/import', '/categories']
+  const SETTINGS_PATHS = ['/settings', '/accounts', '/import', '/import-history', '/categories']
 
   const isActive = (path) => {
     return location.pathname === path
@@ -125,13 +127,13 @@ function Header() {
         <HStack as="nav" gap={1} display={{ base: 'none', lg: 'flex' }} flexShrink={1} overflow="hidden">
           {user && (
             <>
-              <NavLink to="/dashboard">Dashboard</NavLink>
-              <NavLink to="/budget">Budget</NavLink>
-              <NavLink to="/recurring">Recurring</NavLink>
-              <NavLink to="/reports">Report</NavLink>
-              <NavLink to="/assets-liabilities">Assets</NavLink>
-              <NavLink to="/transactions">Transactions</NavLink>
-              <NavLink to="/settings" match={SETTINGS_PATHS}>Settings</NavLink>
+              <NavLink to="/dashboard">{t('nav.dashboard')}</NavLink>
+              <NavLink to="/budget">{t('nav.budget')}</NavLink>
+              <NavLink to="/recurring">{t('nav.recurring')}</NavLink>
+              <NavLink to="/reports">{t('nav.reports')}</NavLink>
+              <NavLink to="/assets-liabilities">{t('nav.assets')}</NavLink>
+              <NavLink to="/transactions">{t('nav.transactions')}</NavLink>
+              <NavLink to="/settings" match={SETTINGS_PATHS}>{t('nav.settings')}</NavLink>
             </>
           )}
         </HStack>
@@ -155,7 +157,7 @@ function Header() {
               }}
               transition="all 0.2s"
             >
-              Sign In
+              {t('nav.signIn')}
             </Button>
           )}
           {user && (
@@ -171,7 +173,7 @@ function Header() {
               _hover={{ bg: signOutHoverBg, borderColor: signOutBorder }}
               transition="all 0.15s"
             >
-              Sign Out
+              {t('nav.signOut')}
             </Button>
           )}
         </HStack>
@@ -182,7 +184,7 @@ function Header() {
           <IconButton
             onClick={onToggle}
             variant="ghost"
-            aria-label="Toggle navigation"
+            aria-label={t('nav.toggleNavigation')}
             size="sm"
             borderRadius="8px"
             _hover={{ bg: navHoverBg }}
@@ -244,32 +246,32 @@ function Header() {
                   _hover={{ opacity: 0.9 }}
                   onClick={onToggle}
                 >
-                  Sign In
+                  {t('nav.signIn')}
                 </Button>
               </Box>
             )}
             {user && (
               <>
                 <MobileNavLink to="/dashboard" active={isActive('/dashboard')} onClick={onToggle} colors={{ navColor, navActiveColor, navActiveBg, navHoverBg }}>
-                  Dashboard
+                  {t('nav.dashboard')}
                 </MobileNavLink>
                 <MobileNavLink to="/budget" active={isActive('/budget')} onClick={onToggle} colors={{ navColor, navActiveColor, navActiveBg, navHoverBg }}>
-                  Budget
+                  {t('nav.budget')}
                 </MobileNavLink>
                 <MobileNavLink to="/recurring" active={isActive('/recurring')} onClick={onToggle} colors={{ navColor, navActiveColor, navActiveBg, navHoverBg }}>
-                  Recurring
+                  {t('nav.recurring')}
                 </MobileNavLink>
                 <MobileNavLink to="/reports" active={isActive('/reports')} onClick={onToggle} colors={{ navColor, navActiveColor, navActiveBg, navHoverBg }}>
-                  Report
+                  {t('nav.reports')}
                 </MobileNavLink>
                 <MobileNavLink to="/assets-liabilities" active={isActive('/assets-liabilities')} onClick={onToggle} colors={{ navColor, navActiveColor, navActiveBg, navHoverBg }}>
-                  Assets & Liabilities
+                  {t('nav.assetsLiabilities')}
                 </MobileNavLink>
                 <MobileNavLink to="/transactions" active={isActive('/transactions')} onClick={onToggle} colors={{ navColor, navActiveColor, navActiveBg, navHoverBg }}>
-                  Transactions
+                  {t('nav.transactions')}
                 </MobileNavLink>
                 <MobileNavLink to="/settings" active={SETTINGS_PATHS.includes(location.pathname)} onClick={onToggle} colors={{ navColor, navActiveColor, navActiveBg, navHoverBg }}>
-                  Settings
+                  {t('nav.settings')}
                 </MobileNavLink>
                 <Box pt={3} borderTop="1px solid" borderColor={borderColor} mt={2}>
                   <Button
@@ -285,7 +287,7 @@ function Header() {
                     borderRadius="10px"
                     _hover={{ bg: navHoverBg }}
                   >
-                    Sign Out
+                    {t('nav.signOut')}
                   </Button>
                 </Box>
               </>
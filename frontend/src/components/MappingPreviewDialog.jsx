@@ -0,0 +1,197 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Flex,
+  HStack,
+  Text,
+  VStack,
+  Badge,
+  Table,
+  Dialog,
+  Portal,
+  CloseButton,
+} from '@chakra-ui/react';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
+
+/**
+ * MappingPreviewDialog - Dry run of a merchant mapping before it touches any transaction
+ * Lists every existing transaction the pattern matches, its current and new category, and
+ * other mappings or rules that also match it. Rows where another pattern wins on import
+ * start unticked.
+ *
+ * Props:
+ * - preview: { pattern, category, previousCategory, rows, skippedSplits } or null when closed
+ *   (rows come from previewMapping in lib/rulesEngine)
+ * - categories: Array of { id, name } to name current categories
+ * - applying: True while the batch is being saved
+ * - onApply: Called with the ids of the ticked rows (none for "Save Mapping Only"); saves the
+ *   mapping and recategorizes them as one undoable batch
+ * - onClose: Called when the dialog is dismissed
+ */
+export default function MappingPreviewDialog({ preview, categories, applying, onApply, onClose }) {
+  const colors = useDarkModeColors();
+  const { formatDate } = usePreferences();
+  const { formatCurrency } = useCurrency();
+  const { t } = useI18n();
+  const [selected, setSelected] = useState(new Set());
+
+  useEffect(() => {
+    if (!preview) return;
+    setSelected(new Set(
+      preview.rows
+        .filter(r => r.changes && r.winner.id === preview.category.id)
+        .map(r => r.transaction.id)
+    ));
+  }, [preview]);
+
+  if (!preview) return null;
+
+  const { pattern, category, previousCategory, rows, skippedSplits } = preview;
+  const changing = rows.filter(r => r.changes);
+  const conflicts = rows.filter(r => r.matches.length > 0);
+  const categoryName = (id) => categories.find(c => c.id === id)?.name || t('common.uncategorized');
+
+  const toggle = (id) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(selected.size === changing.length ? new Set() : new Set(changing.map(r => r.transaction.id)));
+  };
+
+  return (
+    <Dialog.Root open={!!preview} onOpenChange={(e) => !e.open && !applying && onClose()}>
+      <Portal>
+        <Dialog.Backdrop bg="blackAlpha.600" />
+        <Dialog.Positioner>
+          <Dialog.Content maxW="760px" w="95%" borderRadius="16px" overflow="hidden" bg={colors.cardBg}>
+            <Dialog.Header bg="linear-gradient(135deg, #3B82F6 0%, #2563EB 100%)" color="white" p={5}>
+              <Flex justify="space-between" align="center">
+                <Box>
+                  <Dialog.Title fontSize="lg" fontWeight="700" color="white">
+                    {t('mappingPreview.title', { pattern, category: category.name })}
+                  </Dialog.Title>
+                  <Text fontSize="sm" color="whiteAlpha.800">
+                    {previousCategory ? t('mappingPreview.movesFrom', { category: previousCategory }) : ''}
+                    {t('mappingPreview.nothingYet')}
+                  </Text>
+                </Box>
+                <Dialog.CloseTrigger asChild>
+                  <CloseButton color="white" _hover={{ bg: 'whiteAlpha.200' }} borderRadius="full" />
+                </Dialog.CloseTrigger>
+              </Flex>
+            </Dialog.Header>
+
+            <Dialog.Body p={6} maxH="60vh" overflowY="auto">
+              <VStack align="stretch" gap={4}>
+                <HStack gap={2} wrap="wrap">
+                  <Badge colorPalette="blue">{t('mappingPreview.matching', { count: rows.length })}</Badge>
+                  <Badge colorPalette="orange">{t('mappingPreview.wouldChange', { count: changing.length })}</Badge>
+                  {conflicts.length > 0 && <Badge colorPalette="red">{t('mappingPreview.conflicts', { count: conflicts.length })}</Badge>}
+                  {skippedSplits > 0 && <Badge colorPalette="gray">{t('mappingPreview.splitsSkipped', { count: skippedSplits })}</Badge>}
+                </HStack>
+
+                {rows.length === 0 ? (
+                  <Text fontSize="sm" color={colors.textMuted}>
+                    {t('mappingPreview.none', { type: t(`common.${category.type}`).toLowerCase(), pattern })}
+                  </Text>
+                ) : (
+                  <Box overflowX="auto">
+                    <Table.Root size="sm">
+                      <Table.Header>
+                        <Table.Row>
+                          <Table.ColumnHeader w="32px">
+                            <input
+                              type="checkbox"
+                              checked={changing.length > 0 && selected.size === changing.length}
+                              onChange={toggleAll}
+                              disabled={changing.length === 0}
+                              aria-label={t('mappingPreview.selectAll')}
+                              style={{ width: '16px', height: '16px', accentColor: '#3B82F6', cursor: 'pointer' }}
+                            />
+                          </Table.ColumnHeader>
+                          <Table.ColumnHeader>{t('common.date')}</Table.ColumnHeader>
+                          <Table.ColumnHeader>{t('common.description')}</Table.ColumnHeader>
+                          <Table.ColumnHeader>{t('common.category')}</Table.ColumnHeader>
+                          <Table.ColumnHeader textAlign="right">{t('common.amount')}</Table.ColumnHeader>
+                        </Table.Row>
+                      </Table.Header>
+                      <Table.Body>
+                        {rows.map(({ transaction, matches, winner, changes }) => (
+                          <Table.Row key={transaction.id} opacity={changes ? 1 : 0.6}>
+                            <Table.Cell>
+                              <input
+                                type="checkbox"
+                                checked={selected.has(transaction.id)}
+                                onChange={() => toggle(transaction.id)}
+                                disabled={!changes}
+                                aria-label={t('mappingPreview.recategorize', { description: transaction.description })}
+                                style={{ width: '16px', height: '16px', accentColor: '#3B82F6', cursor: 'pointer' }}
+                              />
+                            </Table.Cell>
+                            <Table.Cell color={colors.textSecondary} whiteSpace="nowrap">{formatDate(transaction.date)}</Table.Cell>
+                            <Table.Cell color={colors.textPrimary}>
+                              {transaction.description}
+                              {matches.map(m => (
+                                <Text key={`${m.name}-${m.category.id}`} fontSize="xs" color={winner.id === m.category.id ? 'red.500' : colors.textMuted}>
+                                  {t('mappingPreview.alsoMatches', { name: m.name, category: m.category.name })}
+                                  {winner.id === m.category.id ? t('mappingPreview.winsOnImport') : ''}
+                                </Text>
+                              ))}
+                            </Table.Cell>
+                            <Table.Cell fontSize="sm" whiteSpace="nowrap">
+                              {changes ? (
+                                <Text color={colors.textPrimary}>
+                                  {categoryName(transaction.category_id)} → <strong>{category.name}</strong>
+                                </Text>
+                              ) : (
+                                <Text color={colors.textMuted}>{t('mappingPreview.already', { category: category.name })}</Text>
+                              )}
+                            </Table.Cell>
+                            <Table.Cell textAlign="right" fontWeight="600" color={colors.textPrimary}>
+                              {formatCurrency(transaction.amount, transaction.currency)}
+                            </Table.Cell>
+                          </Table.Row>
+                        ))}
+                      </Table.Body>
+                    </Table.Root>
+                  </Box>
+                )}
+              </VStack>
+            </Dialog.Body>
+
+            <Dialog.Footer p={4} borderTopWidth="1px" borderColor={colors.borderColor}>
+              <HStack gap={3} justify="space-between" w="100%" wrap="wrap">
+                <Text fontSize="xs" color={colors.textMuted}>
+                  {t('mappingPreview.undoHint')}
+                </Text>
+                <HStack gap={3}>
+                  <Button variant="outline" onClick={() => onApply([])} disabled={applying}>
+                    {t('mappingPreview.saveOnly')}
+                  </Button>
+                  <Button
+                    colorPalette="blue"
+                    onClick={() => onApply([...selected])}
+                    loading={applying}
+                    loadingText={t('mappingPreview.applying')}
+                  >
+                    {t('mappingPreview.apply', { count: selected.size })}
+                  </Button>
+                </HStack>
+              </HStack>
+            </Dialog.Footer>
+          </Dialog.Content>
+        </Dialog.Positioner>
+      </Portal>
+    </Dialog.Root>
+  );
+}
@@ -8,6 +8,7 @@ import {
   Badge,
 } from '@chakra-ui/react';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useI18n } from '../contexts/I18nContext';
 
 /**
  * MerchantAutocomplete - A searchable dropdown for selecting merchants
@@ -28,12 +29,13 @@ export default function MerchantAutocomplete({
   onSelect,
   merchants = [],
   merchantCategoryMap = {},
-  placeholder = "Search merchants...",
+  placeholder,
   size = "lg",
   onKeyPress,
   ...inputProps
 }) {
   const colors = useDarkModeColors();
+  const { t } = useI18n();
   const [isOpen, setIsOpen] = useState(false);
   const [filteredMerchants, setFilteredMerchants] = useState([]);
   const [highlightedIndex, setHighlightedIndex] = useState(-1);
@@ -150,7 +152,7 @@ export default function MerchantAutocomplete({
         onFocus={handleFocus}
         onKeyDown={handleKeyDown}
         onKeyPress={handleKeyPress}
-        placeholder={placeholder}
+        placeholder={placeholder ?? t('pickers.searchMerchants')}
         size={size}
         autoComplete="off"
         {...inputProps}
@@ -223,7 +225,7 @@ export default function MerchantAutocomplete({
           {filteredMerchants.length >= 50 && (
             <Box px={3} py={2} borderTopWidth="1px" borderColor={colors.borderSubtle}>
               <Text fontSize="xs" color={colors.textMuted} textAlign="center">
-                Showing first 50 results. Type more to narrow down.
+                {t('pickers.firstResults', { count: 50 })}
               </Text>
             </Box>
           )}
@@ -248,10 +250,10 @@ export default function MerchantAutocomplete({
           p={4}
         >
           <Text fontSize="sm" color={colors.textMuted} textAlign="center">
-            No existing merchants match "{value}"
+            {t('pickers.noMerchants', { value })}
           </Text>
           <Text fontSize="xs" color={colors.textSecondary} textAlign="center" mt={1}>
-            This will create a new merchant mapping
+            {t('pickers.newMerchant')}
           </Text>
         </Box>
       )}
@@ -0,0 +1,26 @@
+import { Link as RouterLink } from 'react-router-dom';
+import { Box, Link, Text } from '@chakra-ui/react';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { useI18n } from '../contexts/I18nContext';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+
+/**
+ * MissingRatesNotice - Says when amounts in another currency had no exchange rate
+ * They are counted one-to-one in the base currency until a rate is added in Settings.
+ */
+export default function MissingRatesNotice() {
+  const { baseCurrency, missingRates } = useCurrency();
+  const colors = useDarkModeColors();
+  const { t } = useI18n();
+  if (missingRates.size === 0) return null;
+
+  const pairs = [...missingRates].map(currency => `${currency} → ${baseCurrency}`).join(', ');
+  return (
+    <Box p={3} bg={colors.warningBg} borderColor={colors.warningBorder} borderWidth="1px" borderRadius="md">
+      <Text fontSize="sm" color={colors.warning}>
+        {t('currency.missingRates', { pairs })}{' '}
+        <Link as={RouterLink} to="/settings" textDecoration="underline">{t('currency.addRatesLink')}</Link>
+      </Text>
+    </Box>
+  );
+}
@@ -0,0 +1,161 @@
+import { useState } from 'react';
+import { Box, Button, Heading, HStack, Text, VStack } from '@chakra-ui/react';
+import { supabase } from '../lib/supabaseClient';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
+import { CurrencyPicker } from './CurrencySettings';
+import { saveBaseCurrency, formatMoney } from '../lib/currency';
+import { LANGUAGES, translate } from '../lib/i18n';
+import {
+  NUMBER_LOCALES,
+  DATE_FORMATS,
+  WEEK_STARTS,
+  IMPORT_DATE_ORDERS,
+  formatDate,
+  savePreferences,
+} from '../lib/preferences';
+
+// Shown under each date format button
+const SAMPLE_DATE = '2026-10-19';
+
+/**
+ * PreferencesSettings - Language, display currency, number and date formats (Settings page)
+ * Each choice is saved as soon as it's made and applies across the app.
+ *
+ * Props:
+ * - userId: Whose settings to edit
+ */
+export default function PreferencesSettings({ userId }) {
+  const colors = useDarkModeColors();
+  const { baseCurrency, reload: reloadCurrency } = useCurrency();
+  const { preferences, reload } = usePreferences();
+  const { t } = useI18n();
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const run = async (action, reloadAfter, success) => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      await action();
+      await reloadAfter();
+      setMessage(success);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCurrency = (currency) => {
+    if (currency === baseCurrency) return;
+    run(() => saveBaseCurrency(supabase, userId, currency), reloadCurrency, t('preferences.currencySaved', { currency }));
+  };
+
+  const handleChange = (key, value) => {
+    if (preferences[key] === value) return;
+    run(() => savePreferences(supabase, userId, { [key]: value }), reload, t('preferences.saved'));
+  };
+
+  // Numbers follow the language too, unless they're already in it (en-CA stays for English)
+  const handleLanguage = (language) => {
+    if (preferences.language === language) return;
+    const changes = { language };
+    if (!preferences.numberLocale.startsWith(language)) {
+      changes.numberLocale = LANGUAGES[language].numberLocale;
+    }
+    run(() => savePreferences(supabase, userId, changes), reload, translate(language, 'preferences.languageSaved'));
+  };
+
+  // A labelled row of choice buttons, like the currency picker
+  const choiceRow = (label, hint, options, selected, onSelect) => (
+    <Box>
+      <Text fontWeight="600" mb={1} fontSize="sm" color={colors.textSecondary}>{label}</Text>
+      {hint && <Text fontSize="xs" color={colors.textMuted} mb={2}>{hint}</Text>}
+      <HStack gap={2} wrap="wrap">
+        {options.map(option => (
+          <Button
+            key={option.value}
+            size="xs"
+            type="button"
+            variant={selected === option.value ? 'solid' : 'outline'}
+            colorPalette="blue"
+            onClick={() => onSelect(option.value)}
+            disabled={saving}
+            title={option.title}
+          >
+            {option.label}
+          </Button>
+        ))}
+      </HStack>
+    </Box>
+  );
+
+  return (
+    <Box p={6} borderWidth="1px" borderColor={colors.borderColor} borderRadius="lg" bg={colors.cardBg}>
+      <Heading size="lg" mb={4} color={colors.textPrimary}>
+        {t('preferences.title')}
+      </Heading>
+      <VStack align="stretch" gap={5}>
+        {choiceRow(
+          t('preferences.language'),
+          t('preferences.languageHint'),
+          Object.entries(LANGUAGES).map(([value, { name }]) => ({ value, label: name })),
+          preferences.language,
+          handleLanguage
+        )}
+
+        <Box>
+          <Text fontWeight="600" mb={1} fontSize="sm" color={colors.textSecondary}>{t('preferences.displayCurrency')}</Text>
+          <Text fontSize="xs" color={colors.textMuted} mb={2}>
+            {t('preferences.displayCurrencyHint')}
+          </Text>
+          <CurrencyPicker value={baseCurrency} onChange={handleCurrency} />
+        </Box>
+
+        {choiceRow(
+          t('preferences.numberFormat'),
+          t('preferences.numberFormatHint', { sample: formatMoney(1234.56, baseCurrency, { locale: preferences.numberLocale }) }),
+          Object.entries(NUMBER_LOCALES).map(([value, name]) => ({ value, label: name })),
+          preferences.numberLocale,
+          (value) => handleChange('numberLocale', value)
+        )}
+
+        {choiceRow(
+          t('preferences.dateFormat'),
+          null,
+          Object.keys(DATE_FORMATS).map(value => ({
+            value,
+            label: formatDate(SAMPLE_DATE, { ...preferences, dateFormat: value }),
+            title: value,
+          })),
+          preferences.dateFormat,
+          (value) => handleChange('dateFormat', value)
+        )}
+
+        {choiceRow(
+          t('preferences.weekStart'),
+          t('preferences.weekStartHint'),
+          Object.entries(WEEK_STARTS).map(([value, key]) => ({ value: Number(value), label: t(key) })),
+          preferences.weekStart,
+          (value) => handleChange('weekStart', value)
+        )}
+
+        {choiceRow(
+          t('preferences.importedDates'),
+          t('preferences.importedDatesHint'),
+          Object.entries(IMPORT_DATE_ORDERS).map(([value, key]) => ({ value, label: t(key) })),
+          preferences.importDateOrder,
+          (value) => handleChange('importDateOrder', value)
+        )}
+
+        {message && <Text fontSize="sm" color={colors.success}>{message}</Text>}
+        {error && <Text fontSize="sm" color={colors.danger}>{error}</Text>}
+      </VStack>
+    </Box>
+  );
+}
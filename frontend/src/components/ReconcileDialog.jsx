@@ -0,0 +1,295 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Flex,
+  HStack,
+  Input,
+  Spinner,
+  Table,
+  Text,
+  VStack,
+  Dialog,
+  Portal,
+  CloseButton,
+} from '@chakra-ui/react';
+import { supabase } from '../lib/supabaseClient';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { balanceDelta } from '../lib/transfers';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
+import {
+  loadUnreconciled,
+  loadReconciledState,
+  reconcileDifference,
+  setCleared,
+  finishReconciliation,
+} from '../lib/reconciliation';
+
+const todayKey = () => new Date().toLocaleDateString('en-CA');
+
+/**
+ * ReconcileDialog - Match an account against a bank statement
+ * The user enters the statement's end date and closing balance and ticks off the
+ * transactions it shows; ticks are saved as they're made, so a reconciliation can be left
+ * and resumed. Finish is offered once the difference is zero.
+ *
+ * Props:
+ * - account: The account to reconcile ({ id, name, opening_balance, currency }), or null when closed
+ * - userId: The account's owner
+ * - onClose: Close the dialog
+ * - onFinished: Called after a reconciliation is recorded
+ */
+export default function ReconcileDialog({ account, userId, onClose, onFinished }) {
+  const colors = useDarkModeColors();
+  const { formatCurrency: formatMoney, rates } = useCurrency();
+  const { formatDate } = usePreferences();
+  const { t } = useI18n();
+  const [statementDate, setStatementDate] = useState(todayKey());
+  const [statementBalance, setStatementBalance] = useState('');
+  const [rows, setRows] = useState([]);
+  const [reconciled, setReconciled] = useState({ reconciledBalance: 0, last: null });
+  const [loading, setLoading] = useState(false);
+  const [finishing, setFinishing] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!account) return;
+    setStatementDate(todayKey());
+    setStatementBalance('');
+    setError('');
+    loadReconciledState(supabase, userId, account)
+      .then(setReconciled)
+      .catch(err => setError(t('reconcile.loadLastFailed', { error: err.message })));
+  }, [account?.id]);
+
+  useEffect(() => {
+    if (account && statementDate) loadRows();
+  }, [account?.id, statementDate]);
+
+  const loadRows = async () => {
+    setLoading(true);
+    try {
+      setRows(await loadUnreconciled(supabase, userId, account, statementDate, rates));
+    } catch (err) {
+      setError(t('reconcile.loadFailed', { error: err.message }));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Ticks are saved straight away and put back if the save fails
+  const toggleCleared = async (ids, cleared) => {
+    const status = cleared ? 'cleared' : 'uncleared';
+    const previous = rows;
+    setRows(prev => prev.map(row => (ids.includes(row.id) ? { ...row, cleared_status: status } : row)));
+    try {
+      await setCleared(supabase, userId, ids, cleared);
+    } catch (err) {
+      setRows(previous);
+      setError(t('reconcile.updateFailed', { error: err.message }));
+    }
+  };
+
+  const handleFinish = async () => {
+    setFinishing(true);
+    setError('');
+    try {
+      await finishReconciliation(supabase, { accountId: account.id, statementDate, statementBalance });
+      onFinished(t('reconcile.finished', { name: account.name, balance: formatCurrency(statementBalance), date: statementDate }));
+    } catch (err) {
+      setError(t('reconcile.finishFailed', { error: err.message }));
+    } finally {
+      setFinishing(false);
+    }
+  };
+
+  // Statements are in the account's own currency
+  const formatCurrency = (amount) => formatMoney(amount, account?.currency);
+
+  const clearedRows = rows.filter(row => row.cleared_status === 'cleared');
+  const clearedBalance = clearedRows.reduce((sum, row) => sum + balanceDelta(row), reconciled.reconciledBalance);
+  const hasBalance = statementBalance !== '' && !isNaN(parseFloat(statementBalance));
+  const difference = hasBalance ? reconcileDifference(statementBalance, reconciled.reconciledBalance, clearedRows) : null;
+  const allCleared = rows.length > 0 && clearedRows.length === rows.length;
+
+  // Reconciled rows that were edited, trashed or moved since leave the last statement behind
+  const { last } = reconciled;
+  const drifted = last && reconcileDifference(last.statement_balance, reconciled.reconciledBalance, []) !== 0;
+
+  return (
+    <Dialog.Root open={!!account} onOpenChange={(e) => !e.open && !finishing && onClose()}>
+      <Portal>
+        <Dialog.Backdrop bg="blackAlpha.600" />
+        <Dialog.Positioner>
+          <Dialog.Content maxW="640px" w="95%" maxH="90vh" borderRadius="16px" overflow="hidden" bg={colors.cardBg}>
+            <Dialog.Header bg="linear-gradient(135deg, #18181B 0%, #2563EB 100%)" color="white" p={5}>
+              <Flex justify="space-between" align="center">
+                <Box>
+                  <Dialog.Title fontSize="lg" fontWeight="700" color="white">
+                    {t('reconcile.title', { name: account?.name })}
+                  </Dialog.Title>
+                  <Text fontSize="sm" color="whiteAlpha.800">
+                    {last
+                      ? t('reconcile.lastReconciled', { balance: formatCurrency(last.statement_balance), date: formatDate(last.statement_date) })
+                      : t('reconcile.never')}
+                  </Text>
+                </Box>
+                <Dialog.CloseTrigger asChild>
+                  <CloseButton color="white" _hover={{ bg: 'whiteAlpha.200' }} borderRadius="full" />
+                </Dialog.CloseTrigger>
+              </Flex>
+            </Dialog.Header>
+
+            <Dialog.Body p={6} overflowY="auto">
+              <VStack align="stretch" gap={4}>
+                {drifted && (
+                  <Box p={3} bg={colors.warningBg} borderColor={colors.warningBorder} borderWidth="1px" borderRadius="md">
+                    <Text fontSize="sm" color={colors.warning}>
+                      {t('reconcile.drifted', {
+                        now: formatCurrency(reconciled.reconciledBalance),
+                        then: formatCurrency(last.statement_balance),
+                      })}
+                    </Text>
+                  </Box>
+                )}
+
+                <HStack gap={3} align="flex-end">
+                  <Box flex={1}>
+                    <Text fontSize="sm" fontWeight="medium" mb={1} color={colors.textPrimary}>{t('reconcile.statementDate')}</Text>
+                    <Input
+                      type="date"
+                      value={statementDate}
+                      onChange={(e) => setStatementDate(e.target.value)}
+                      aria-label={t('reconcile.statementDate')}
+                      bg={colors.inputBg}
+                      borderColor={colors.borderColor}
+                      color={colors.textPrimary}
+                    />
+                  </Box>
+                  <Box flex={1}>
+                    <Text fontSize="sm" fontWeight="medium" mb={1} color={colors.textPrimary}>{t('reconcile.closingBalance')}</Text>
+                    <Input
+                      type="number"
+                      step="0.01"
+                      placeholder="0.00"
+                      value={statementBalance}
+                      onChange={(e) => setStatementBalance(e.target.value)}
+                      aria-label={t('reconcile.closingBalanceLabel')}
+                      bg={colors.inputBg}
+                      borderColor={colors.borderColor}
+                      color={colors.textPrimary}
+                    />
+                  </Box>
+                </HStack>
+
+                {loading ? (
+                  <Flex justify="center" py={6}><Spinner /></Flex>
+                ) : rows.length === 0 ? (
+                  <Text fontSize="sm" color={colors.textMuted}>
+                    {t('reconcile.nothingToReconcile', { date: statementDate })}
+                  </Text>
+                ) : (
+                  <Box overflowX="auto">
+                    <Table.Root size="sm">
+                      <Table.Header>
+                        <Table.Row>
+                          <Table.ColumnHeader w="32px">
+                            <input
+                              type="checkbox"
+                              checked={allCleared}
+                              onChange={() => toggleCleared(rows.map(row => row.id), !allCleared)}
+                              aria-label={t('reconcile.markAll')}
+                              style={{ width: '16px', height: '16px', accentColor: '#3B82F6', cursor: 'pointer' }}
+                            />
+                          </Table.ColumnHeader>
+                          <Table.ColumnHeader>{t('common.date')}</Table.ColumnHeader>
+                          <Table.ColumnHeader>{t('common.description')}</Table.ColumnHeader>
+                          <Table.ColumnHeader textAlign="right">{t('common.amount')}</Table.ColumnHeader>
+                        </Table.Row>
+                      </Table.Header>
+                      <Table.Body>
+                        {rows.map(row => {
+                          const delta = balanceDelta(row);
+                          return (
+                            <Table.Row key={row.id}>
+                              <Table.Cell>
+                                <input
+                                  type="checkbox"
+                                  checked={row.cleared_status === 'cleared'}
+                                  onChange={() => toggleCleared([row.id], row.cleared_status !== 'cleared')}
+                                  aria-label={t('reconcile.clearedRow', { description: row.description })}
+                                  style={{ width: '16px', height: '16px', accentColor: '#3B82F6', cursor: 'pointer' }}
+                                />
+                              </Table.Cell>
+                              <Table.Cell color={colors.textSecondary} whiteSpace="nowrap">{formatDate(row.date)}</Table.Cell>
+                              <Table.Cell color={colors.textPrimary}>{row.description}</Table.Cell>
+                              <Table.Cell textAlign="right" whiteSpace="nowrap" color={delta < 0 ? colors.danger : colors.success}>
+                                {formatCurrency(delta)}
+                                {row.originalCurrency && (
+                                  <Text fontSize="xs" color={colors.textMuted}>{formatMoney(row.originalAmount, row.originalCurrency)}</Text>
+                                )}
+                              </Table.Cell>
+                            </Table.Row>
+                          );
+                        })}
+                      </Table.Body>
+                    </Table.Root>
+                  </Box>
+                )}
+
+                {/* Totals */}
+                <VStack align="stretch" gap={1} p={3} borderRadius="md" bg={colors.rowStripedBg}>
+                  <Flex justify="space-between">
+                    <Text fontSize="sm" color={colors.textSecondary}>{t('reconcile.reconciledBalance')}</Text>
+                    <Text fontSize="sm" color={colors.textPrimary}>{formatCurrency(reconciled.reconciledBalance)}</Text>
+                  </Flex>
+                  <Flex justify="space-between">
+                    <Text fontSize="sm" color={colors.textSecondary}>{t('reconcile.clearedBalance', { count: clearedRows.length })}</Text>
+                    <Text fontSize="sm" color={colors.textPrimary}>{formatCurrency(clearedBalance)}</Text>
+                  </Flex>
+                  <Flex justify="space-between">
+                    <Text fontSize="sm" color={colors.textSecondary}>{t('reconcile.statementBalance')}</Text>
+                    <Text fontSize="sm" color={colors.textPrimary}>{hasBalance ? formatCurrency(statementBalance) : '—'}</Text>
+                  </Flex>
+                  <Flex justify="space-between">
+                    <Text fontSize="sm" fontWeight="700" color={colors.textPrimary}>{t('reconcile.difference')}</Text>
+                    <Text
+                      fontSize="sm"
+                      fontWeight="700"
+                      color={difference === null ? colors.textMuted : difference === 0 ? colors.success : colors.danger}
+                      data-testid="reconcile-difference"
+                    >
+                      {difference === null ? '—' : formatCurrency(difference)}
+                    </Text>
+                  </Flex>
+                </VStack>
+
+                {error && <Text fontSize="sm" color="red.500">{error}</Text>}
+              </VStack>
+            </Dialog.Body>
+
+            <Dialog.Footer p={4} borderTopWidth="1px" borderColor={colors.borderColor}>
+              <HStack gap={3} justify="flex-end" w="100%">
+                <Button variant="outline" onClick={onClose} disabled={finishing}>
+                  {t('common.close')}
+                </Button>
+                <Button
+                  colorPalette="blue"
+                  onClick={handleFinish}
+                  disabled={difference !== 0}
+                  loading={finishing}
+                  loadingText={t('reconcile.finishing')}
+                  title={difference === 0 ? t('reconcile.finishHint') : t('reconcile.finishBlocked')}
+                >
+                  {t('reconcile.finish')}
+                </Button>
+              </HStack>
+            </Dialog.Footer>
+          </Dialog.Content>
+        </Dialog.Positioner>
+      </Portal>
+    </Dialog.Root>
+  );
+}
@@ -0,0 +1,464 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Flex,
+  Heading,
+  HStack,
+  Input,
+  SimpleGrid,
+  Text,
+  VStack,
+  Badge,
+  IconButton,
+  Switch,
+  Dialog,
+  Portal,
+  CloseButton,
+} from '@chakra-ui/react';
+import { LuArrowUp, LuArrowDown, LuPencil, LuTrash2 } from 'react-icons/lu';
+import { useAuth } from '../contexts/AuthContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
+import { supabase } from '../lib/supabaseClient';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { loadAccounts } from '../lib/accounts';
+import { validateRule } from '../lib/rulesEngine';
+import SearchQueryInput from './SearchQueryInput';
+
+const EMPTY_FORM = {
+  name: '',
+  description_contains: '',
+  description_regex: '',
+  amount_min: '',
+  amount_max: '',
+  bank: '',
+  type: '',
+  day_min: '',
+  day_max: '',
+  query: '',
+  category_id: '',
+  rename_to: '',
+  tags: '',
+  transfer_account_id: '',
+};
+
+const CONDITION_FIELDS = [
+  'description_contains', 'description_regex', 'amount_min', 'amount_max', 'bank', 'type', 'day_min', 'day_max', 'query',
+];
+const NUMBER_FIELDS = ['amount_min', 'amount_max', 'day_min', 'day_max'];
+
+// Form strings -> stored rule (empty fields are left out)
+const formToRule = (form) => {
+  const conditions = {};
+  CONDITION_FIELDS.forEach(field => {
+    const value = String(form[field]).trim();
+    if (value) conditions[field] = NUMBER_FIELDS.includes(field) ? Number(value) : value;
+  });
+
+  const actions = {};
+  if (form.category_id) actions.category_id = form.category_id;
+  if (form.rename_to.trim()) actions.rename_to = form.rename_to.trim();
+  const tags = [...new Set(form.tags.split(',').map(t => t.trim()).filter(Boolean))];
+  if (tags.length > 0) actions.tags = tags;
+  if (form.transfer_account_id) actions.transfer_account_id = form.transfer_account_id;
+
+  return { name: form.name.trim(), conditions, actions };
+};
+
+const ruleToForm = (rule) => ({
+  ...EMPTY_FORM,
+  name: rule.name,
+  ...Object.fromEntries(Object.entries(rule.conditions || {}).map(([k, v]) => [k, String(v)])),
+  category_id: rule.actions?.category_id || '',
+  rename_to: rule.actions?.rename_to || '',
+  tags: (rule.actions?.tags || []).join(', '),
+  transfer_account_id: rule.actions?.transfer_account_id || '',
+});
+
+/**
+ * RulesManager - Create, order and switch categorization rules
+ * Rules run top to bottom (highest priority first), before any merchant mapping.
+ *
+ * Props:
+ * - categories: Array of { id, name, type } for the "set category" action
+ */
+export default function RulesManager({ categories }) {
+  const { user } = useAuth();
+  const colors = useDarkModeColors();
+  const { formatNumber } = usePreferences();
+  const { t } = useI18n();
+  const [rules, setRules] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editingRule, setEditingRule] = useState(null); // {} for a new rule
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (user) loadRules();
+  }, [user]);
+
+  const loadRules = async () => {
+    try {
+      setLoading(true);
+      const [{ data, error: rulesError }, userAccounts] = await Promise.all([
+        supabase
+          .from('categorization_rules')
+          .select('id, name, priority, enabled, conditions, actions')
+          .eq('user_id', user.id)
+          .order('priority', { ascending: false }),
+        loadAccounts(supabase, user.id),
+      ]);
+
+      if (rulesError) throw rulesError;
+      setRules(data || []);
+      setAccounts(userAccounts);
+    } catch (err) {
+      setError(t('rules.loadFailed', { error: err.message }));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openEditor = (rule) => {
+    setError('');
+    setEditingRule(rule);
+    setForm(rule.id ? ruleToForm(rule) : EMPTY_FORM);
+  };
+
+  const draft = formToRule(form);
+  const problem = editingRule ? validateRule(draft, categories, t) : '';
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      if (editingRule.id) {
+        const { error: updateError } = await supabase
+          .from('categorization_rules')
+          .update({ ...draft, updated_at: new Date().toISOString() })
+          .eq('id', editingRule.id)
+          .eq('user_id', user.id);
+        if (updateError) throw updateError;
+      } else {
+        // New rules go on top
+        const topPriority = rules.length > 0 ? Math.max(...rules.map(r => r.priority)) + 1 : 0;
+        const { error: insertError } = await supabase
+          .from('categorization_rules')
+          .insert({ ...draft, user_id: user.id, priority: topPriority });
+        if (insertError) throw insertError;
+      }
+      setEditingRule(null);
+      await loadRules();
+    } catch (err) {
+      setError(t('rules.saveFailed', { error: err.message }));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule, enabled) => {
+    setRules(prev => prev.map(r => (r.id === rule.id ? { ...r, enabled } : r)));
+    const { error: updateError } = await supabase
+      .from('categorization_rules')
+      .update({ enabled, updated_at: new Date().toISOString() })
+      .eq('id', rule.id)
+      .eq('user_id', user.id);
+    if (updateError) {
+      setError(t('rules.updateFailed', { error: updateError.message }));
+      loadRules();
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(t('rules.confirmDelete', { name: rule.name }))) return;
+    const { error: deleteError } = await supabase
+      .from('categorization_rules')
+      .delete()
+      .eq('id', rule.id)
+      .eq('user_id', user.id);
+    if (deleteError) {
+      setError(t('rules.deleteFailed', { error: deleteError.message }));
+      return;
+    }
+    setRules(prev => prev.filter(r => r.id !== rule.id));
+  };
+
+  // Swap with the neighbour, then renumber so priorities follow the list order
+  const handleMove = async (index, direction) => {
+    const reordered = [...rules];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(index + direction, 0, moved);
+    const renumbered = reordered.map((r, i) => ({ ...r, priority: reordered.length - 1 - i }));
+    const changed = renumbered.filter(r => rules.find(old => old.id === r.id).priority !== r.priority);
+
+    setRules(renumbered);
+    try {
+      for (const rule of changed) {
+        const { error: updateError } = await supabase
+          .from('categorization_rules')
+          .update({ priority: rule.priority })
+          .eq('id', rule.id)
+          .eq('user_id', user.id);
+        if (updateError) throw updateError;
+      }
+    } catch (err) {
+      setError(t('rules.reorderFailed', { error: err.message }));
+      loadRules();
+    }
+  };
+
+  // One-line "if ... then ..." summary for the list
+  const describeRule = (rule) => {
+    const c = rule.conditions || {};
+    const a = rule.actions || {};
+    const when = [];
+    if (c.description_contains) when.push(t('rules.whenContains', { text: c.description_contains }));
+    if (c.description_regex) when.push(t('rules.whenRegex', { pattern: c.description_regex }));
+    if (c.amount_min !== undefined && c.amount_max !== undefined) when.push(t('rules.whenAmountBetween', { min: formatNumber(c.amount_min), max: formatNumber(c.amount_max) }));
+    else if (c.amount_min !== undefined) when.push(t('rules.whenAmountMin', { min: formatNumber(c.amount_min) }));
+    else if (c.amount_max !== undefined) when.push(t('rules.whenAmountMax', { max: formatNumber(c.amount_max) }));
+    if (c.bank) when.push(t('rules.whenBank', { bank: c.bank }));
+    if (c.type) when.push(t(c.type === 'income' ? 'rules.whenIncome' : 'rules.whenExpense'));
+    if (c.day_min !== undefined || c.day_max !== undefined) when.push(t('rules.whenDays', { from: c.day_min ?? 1, to: c.day_max ?? 31 }));
+    if (c.query) when.push(t('rules.whenQuery', { query: c.query }));
+
+    const then = [];
+    if (a.category_id) then.push(t('rules.thenCategory', { name: categories.find(cat => cat.id === a.category_id)?.name || t('rules.deletedCategory') }));
+    if (a.rename_to) then.push(t('rules.thenRename', { name: a.rename_to }));
+    if (a.tags?.length) then.push(t('rules.thenTags', { tags: a.tags.join(', ') }));
+    if (a.transfer_account_id) then.push(t('rules.thenTransfer', { name: accounts.find(acc => acc.id === a.transfer_account_id)?.name || t('rules.archivedAccount') }));
+
+    return t('rules.summary', { when: when.join(t('rules.and')), then: then.join(', ') });
+  };
+
+  const set = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const selectStyles = {
+    as: 'select',
+    w: '100%',
+    bg: colors.cardBg,
+    borderWidth: '1px',
+    borderColor: colors.borderColor,
+    color: colors.textPrimary,
+    borderRadius: '6px',
+    px: 3,
+    py: 2,
+    fontSize: 'sm',
+    outline: 'none',
+    cursor: 'pointer',
+    _hover: { borderColor: 'blue.400' },
+    _focus: { borderColor: 'blue.500', boxShadow: '0 0 0 1px var(--chakra-colors-blue-500)' },
+  };
+
+  const textField = (label, field, props = {}) => (
+    <Box key={field}>
+      <Text fontSize="sm" fontWeight="medium" mb={1} color={colors.textPrimary}>{label}</Text>
+      <Input
+        value={form[field]}
+        onChange={set(field)}
+        aria-label={label}
+        size="sm"
+        bg={colors.inputBg}
+        borderColor={colors.borderColor}
+        color={colors.textPrimary}
+        {...props}
+      />
+    </Box>
+  );
+
+  const categoryOptions = categories.filter(c => !form.type || c.type === form.type);
+
+  return (
+    <Box p={6} borderRadius="lg" borderWidth="1px" borderColor="blue.200" bg={colors.cardBg}>
+      <Flex justify="space-between" align="center" mb={2} gap={3} wrap="wrap">
+        <Heading size="md" color={colors.textPrimary}>{t('rules.title')}</Heading>
+        <Button colorPalette="blue" size="sm" onClick={() => openEditor({})}>
+          {t('rules.newRule')}
+        </Button>
+      </Flex>
+      <Text fontSize="sm" color={colors.textSecondary} mb={4}>
+        {t('rules.intro')}
+      </Text>
+
+      {error && (
+        <Box p={3} mb={4} bg={colors.dangerBg} borderRadius="md">
+          <Text color="red.600" fontSize="sm">{error}</Text>
+        </Box>
+      )}
+
+      {loading ? (
+        <Text fontSize="sm" color={colors.textMuted}>{t('rules.loading')}</Text>
+      ) : rules.length === 0 ? (
+        <Text fontSize="sm" color={colors.textMuted}>
+          {t('rules.empty')}
+        </Text>
+      ) : (
+        <VStack align="stretch" gap={2}>
+          {rules.map((rule, index) => (
+            <HStack
+              key={rule.id}
+              p={3}
+              gap={3}
+              borderRadius="md"
+              borderWidth="1px"
+              borderColor={colors.borderColor}
+              opacity={rule.enabled ? 1 : 0.6}
+            >
+              <Switch.Root
+                checked={rule.enabled}
+                onCheckedChange={(e) => handleToggle(rule, e.checked)}
+                aria-label={t('rules.enable', { name: rule.name })}
+              >
+                <Switch.HiddenInput />
+                <Switch.Control>
+                  <Switch.Thumb />
+                </Switch.Control>
+              </Switch.Root>
+              <Box flex={1} minW={0}>
+                <HStack gap={2}>
+                  <Text fontWeight="600" color={colors.textPrimary}>{rule.name}</Text>
+                  {!rule.enabled && <Badge size="sm" colorPalette="gray">{t('rules.off')}</Badge>}
+                </HStack>
+                <Text fontSize="xs" color={colors.textMuted}>{describeRule(rule)}</Text>
+              </Box>
+              <HStack gap={0}>
+                <IconButton size="xs" variant="ghost" aria-label={t('rules.moveUp')} onClick={() => handleMove(index, -1)} disabled={index === 0}>
+                  <LuArrowUp />
+                </IconButton>
+                <IconButton size="xs" variant="ghost" aria-label={t('rules.moveDown')} onClick={() => handleMove(index, 1)} disabled={index === rules.length - 1}>
+                  <LuArrowDown />
+                </IconButton>
+                <IconButton size="xs" variant="ghost" aria-label={t('rules.editRule')} onClick={() => openEditor(rule)}>
+                  <LuPencil />
+                </IconButton>
+                <IconButton size="xs" variant="ghost" colorPalette="red" aria-label={t('rules.deleteRule')} onClick={() => handleDelete(rule)}>
+                  <LuTrash2 />
+                </IconButton>
+              </HStack>
+            </HStack>
+          ))}
+        </VStack>
+      )}
+
+      {/* Create / edit dialog */}
+      <Dialog.Root open={!!editingRule} onOpenChange={(e) => !e.open && !saving && setEditingRule(null)}>
+        <Portal>
+          <Dialog.Backdrop bg="blackAlpha.600" />
+          <Dialog.Positioner>
+            <Dialog.Content maxW="600px" w="90%" borderRadius="16px" overflow="hidden" bg={colors.cardBg}>
+              <Dialog.Header bg="linear-gradient(135deg, #3B82F6 0%, #2563EB 100%)" color="white" p={5}>
+                <Flex justify="space-between" align="center">
+                  <Dialog.Title fontSize="lg" fontWeight="700" color="white">
+                    {editingRule?.id ? t('rules.editTitle') : t('rules.newTitle')}
+                  </Dialog.Title>
+                  <Dialog.CloseTrigger asChild>
+                    <CloseButton color="white" _hover={{ bg: 'whiteAlpha.200' }} borderRadius="full" />
+                  </Dialog.CloseTrigger>
+                </Flex>
+              </Dialog.Header>
+
+              <Dialog.Body p={6} maxH="70vh" overflowY="auto">
+                <VStack align="stretch" gap={5}>
+                  {textField(t('rules.ruleName'), 'name', { placeholder: t('rules.ruleNamePlaceholder') })}
+
+                  <Box>
+                    <Text fontWeight="600" mb={2} color={colors.textPrimary}>{t('rules.whenAll')}</Text>
+                    <SimpleGrid columns={{ base: 1, md: 2 }} gap={3}>
+                      {textField(t('rules.descriptionContains'), 'description_contains', { placeholder: 'NETFLIX' })}
+                      {textField(t('rules.descriptionRegex'), 'description_regex', { placeholder: '^(UBER|LYFT)' })}
+                      {textField(t('rules.amountFrom'), 'amount_min', { type: 'number', min: '0', step: '0.01' })}
+                      {textField(t('rules.amountTo'), 'amount_max', { type: 'number', min: '0', step: '0.01' })}
+                      {textField(t('rules.bankContains'), 'bank', { placeholder: 'RBC' })}
+                      <Box>
+                        <Text fontSize="sm" fontWeight="medium" mb={1} color={colors.textPrimary}>{t('common.type')}</Text>
+                        <Box {...selectStyles} value={form.type} onChange={set('type')} aria-label={t('common.type')}>
+                          <option value="">{t('rules.incomeOrExpense')}</option>
+                          <option value="expense">{t('common.expense')}</option>
+                          <option value="income">{t('common.income')}</option>
+                        </Box>
+                      </Box>
+                      {textField(t('rules.dayFrom'), 'day_min', { type: 'number', min: '1', max: '31' })}
+                      {textField(t('rules.dayTo'), 'day_max', { type: 'number', min: '1', max: '31' })}
+                    </SimpleGrid>
+                    <Box mt={3}>
+                      <Text fontSize="sm" fontWeight="medium" mb={1} color={colors.textPrimary}>{t('rules.matchesSearch')}</Text>
+                      <SearchQueryInput
+                        value={form.query}
+                        onChange={(query) => setForm(prev => ({ ...prev, query }))}
+                        sources={{ categories: categories.map(c => c.name), accounts: accounts.map(a => a.name) }}
+                        placeholder='e.g. bank:RBC -desc:"e-transfer" amount:>100'
+                        aria-label={t('rules.matchesSearch')}
+                        size="sm"
+                        bg={colors.inputBg}
+                        borderColor={colors.borderColor}
+                        color={colors.textPrimary}
+                      />
+                      <Text fontSize="xs" color={colors.textMuted} mt={1}>
+                        {t('rules.searchHint')}
+                      </Text>
+                    </Box>
+                  </Box>
+
+                  <Box>
+                    <Text fontWeight="600" mb={2} color={colors.textPrimary}>{t('rules.then')}</Text>
+                    <SimpleGrid columns={{ base: 1, md: 2 }} gap={3}>
+                      <Box>
+                        <Text fontSize="sm" fontWeight="medium" mb={1} color={colors.textPrimary}>{t('rules.setCategory')}</Text>
+                        <Box {...selectStyles} value={form.category_id} onChange={set('category_id')} aria-label={t('rules.setCategory')}>
+                          <option value="">{t('rules.leaveAsIs')}</option>
+                          {categoryOptions.map(cat => (
+                            <option key={cat.id} value={cat.id}>
+                              {cat.name}{form.type ? '' : ` (${t(`common.${cat.type}`)})`}
+                            </option>
+                          ))}
+                        </Box>
+                      </Box>
+                      {textField(t('rules.renameTo'), 'rename_to', { placeholder: 'Netflix' })}
+                      {textField(t('rules.addTags'), 'tags', { placeholder: t('rules.addTagsPlaceholder') })}
+                      <Box>
+                        <Text fontSize="sm" fontWeight="medium" mb={1} color={colors.textPrimary}>{t('rules.transferWith')}</Text>
+                        <Box {...selectStyles} value={form.transfer_account_id} onChange={set('transfer_account_id')} aria-label={t('rules.transferWith')}>
+                          <option value="">{t('rules.notTransfer')}</option>
+                          {accounts.map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
+                        </Box>
+                      </Box>
+                    </SimpleGrid>
+                  </Box>
+
+                  {error && (
+                    <Box p={3} bg={colors.dangerBg} borderRadius="md">
+                      <Text color="red.600" fontSize="sm">{error}</Text>
+                    </Box>
+                  )}
+                </VStack>
+              </Dialog.Body>
+
+              <Dialog.Footer p={4} borderTopWidth="1px" borderColor={colors.borderColor}>
+                <HStack gap={3} justify="space-between" w="100%">
+                  <Text fontSize="sm" color="red.500">{problem}</Text>
+                  <HStack gap={3}>
+                    <Button variant="outline" onClick={() => setEditingRule(null)} disabled={saving}>
+                      {t('common.cancel')}
+                    </Button>
+                    <Button
+                      colorPalette="blue"
+                      onClick={handleSave}
+                      loading={saving}
+                      loadingText={t('common.saving')}
+                      disabled={!!problem}
+                    >
+                      {t('rules.saveRule')}
+                    </Button>
+                  </HStack>
+                </HStack>
+              </Dialog.Footer>
+            </Dialog.Content>
+          </Dialog.Positioner>
+        </Portal>
+      </Dialog.Root>
+    </Box>
+  );
+}
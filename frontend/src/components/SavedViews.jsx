@@ -0,0 +1,262 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Button,
+  Flex,
+  HStack,
+  IconButton,
+  Input,
+  Text,
+  VStack,
+  Dialog,
+  Portal,
+  CloseButton,
+} from '@chakra-ui/react';
+import { LuBookmark, LuBookmarkPlus, LuChevronDown, LuPin, LuPinOff, LuTrash2 } from 'react-icons/lu';
+import { supabase } from '../lib/supabaseClient';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useI18n } from '../contexts/I18nContext';
+import { loadSavedViews, saveView, setViewPinned, deleteView, sameFilters } from '../lib/transactionViews';
+
+/**
+ * SavedViews - Named sets of Transactions filters
+ * Pinned views are buttons; the Views menu lists every view, pins and deletes them, and
+ * saves the current filters as a new one.
+ *
+ * Props:
+ * - userId: Whose views to show
+ * - currentQuery: The page's current filter query string (see lib/transactionViews.js)
+ * - onOpen: Called with a view's query string to show it
+ */
+export default function SavedViews({ userId, currentQuery, onOpen }) {
+  const colors = useDarkModeColors();
+  const { t } = useI18n();
+  const [views, setViews] = useState([]);
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [showSaveDialog, setShowSaveDialog] = useState(false);
+  const [name, setName] = useState('');
+  const [pinned, setPinned] = useState(true);
+  const [error, setError] = useState('');
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (userId) loadViews();
+  }, [userId]);
+
+  // Handle click outside to close the menu
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) setMenuOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const loadViews = async () => {
+    try {
+      setViews(await loadSavedViews(supabase, userId));
+    } catch (err) {
+      console.error('Error loading saved views:', err);
+    }
+  };
+
+  const openSaveDialog = () => {
+    setMenuOpen(false);
+    setName('');
+    setPinned(true);
+    setError('');
+    setShowSaveDialog(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await saveView(supabase, userId, { name, query: currentQuery, pinned });
+      setShowSaveDialog(false);
+      await loadViews();
+    } catch (err) {
+      setError(t('views.saveFailed', { error: err.message }));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePin = async (view) => {
+    setViews(prev => prev.map(v => (v.id === view.id ? { ...v, pinned: !view.pinned } : v)));
+    try {
+      await setViewPinned(supabase, userId, view.id, !view.pinned);
+    } catch (err) {
+      console.error('Error pinning view:', err);
+      loadViews();
+    }
+  };
+
+  const handleDelete = async (view) => {
+    if (!window.confirm(t('views.deleteConfirm', { name: view.name }))) return;
+    try {
+      await deleteView(supabase, userId, view.id);
+      setViews(prev => prev.filter(v => v.id !== view.id));
+    } catch (err) {
+      console.error('Error deleting view:', err);
+    }
+  };
+
+  const isCurrent = (view) => sameFilters(view.query, currentQuery);
+  const replacing = views.some(v => v.name.toLowerCase() === name.trim().toLowerCase());
+
+  return (
+    <Flex gap={2} align="center" wrap="wrap" w="100%">
+      {views.filter(v => v.pinned).map(view => (
+        <Button
+          key={view.id}
+          size="xs"
+          variant={isCurrent(view) ? 'solid' : 'outline'}
+          colorPalette={isCurrent(view) ? 'blue' : undefined}
+          onClick={() => onOpen(view.query)}
+          borderRadius="full"
+        >
+          <LuBookmark /> {view.name}
+        </Button>
+      ))}
+
+      <Box ref={menuRef} position="relative">
+        <Button size="xs" variant="ghost" onClick={() => setMenuOpen(!menuOpen)} aria-expanded={menuOpen}>
+          {t('views.views')} <LuChevronDown />
+        </Button>
+        {menuOpen && (
+          <Box
+            position="absolute"
+            top="100%"
+            left={0}
+            mt={1}
+            minW="260px"
+            bg={colors.cardBg}
+            borderWidth="1px"
+            borderColor={colors.borderColor}
+            borderRadius="12px"
+            boxShadow="lg"
+            zIndex={1000}
+            p={1}
+          >
+            <VStack gap={0} align="stretch">
+              {views.length === 0 && (
+                <Text fontSize="sm" color={colors.textMuted} px={3} py={2}>
+                  {t('views.empty')}
+                </Text>
+              )}
+              {views.map(view => (
+                <HStack key={view.id} px={2} py={1} borderRadius="8px" _hover={{ bg: colors.rowStripedBg }} gap={1}>
+                  <Text
+                    flex={1}
+                    fontSize="sm"
+                    color={colors.textPrimary}
+                    fontWeight={isCurrent(view) ? '600' : '400'}
+                    cursor="pointer"
+                    noOfLines={1}
+                    onClick={() => { onOpen(view.query); setMenuOpen(false); }}
+                  >
+                    {view.name}
+                  </Text>
+                  <IconButton
+                    size="xs"
+                    variant="ghost"
+                    aria-label={t(view.pinned ? 'views.unpin' : 'views.pin', { name: view.name })}
+                    title={t(view.pinned ? 'views.unpinHint' : 'views.pinHint')}
+                    onClick={() => handlePin(view)}
+                  >
+                    {view.pinned ? <LuPinOff /> : <LuPin />}
+                  </IconButton>
+                  <IconButton
+                    size="xs"
+                    variant="ghost"
+                    colorPalette="red"
+                    aria-label={t('views.delete', { name: view.name })}
+                    onClick={() => handleDelete(view)}
+                  >
+                    <LuTrash2 />
+                  </IconButton>
+                </HStack>
+              ))}
+              <Box h="1px" bg={colors.borderColor} my={1} />
+              <Button size="sm" variant="ghost" justifyContent="flex-start" onClick={openSaveDialog}>
+                <LuBookmarkPlus /> {t('views.saveCurrent')}
+              </Button>
+            </VStack>
+          </Box>
+        )}
+      </Box>
+
+      <Dialog.Root open={showSaveDialog} onOpenChange={(e) => !e.open && !saving && setShowSaveDialog(false)}>
+        <Portal>
+          <Dialog.Backdrop bg="blackAlpha.600" />
+          <Dialog.Positioner>
+            <Dialog.Content maxW="420px" w="95%" borderRadius="16px" overflow="hidden" bg={colors.cardBg}>
+              <Dialog.Header bg="linear-gradient(135deg, #3B82F6 0%, #2563EB 100%)" color="white" p={5}>
+                <Flex justify="space-between" align="center">
+                  <Box>
+                    <Dialog.Title fontSize="lg" fontWeight="700" color="white">
+                      {t('views.saveTitle')}
+                    </Dialog.Title>
+                    <Text fontSize="sm" color="whiteAlpha.800">
+                      {t('views.saveSubtitle')}
+                    </Text>
+                  </Box>
+                  <Dialog.CloseTrigger asChild>
+                    <CloseButton color="white" _hover={{ bg: 'whiteAlpha.200' }} borderRadius="full" />
+                  </Dialog.CloseTrigger>
+                </Flex>
+              </Dialog.Header>
+
+              <Dialog.Body p={6}>
+                <VStack align="stretch" gap={4}>
+                  <Box>
+                    <Text fontSize="sm" fontWeight="medium" mb={1} color={colors.textPrimary}>{t('common.name')}</Text>
+                    <Input
+                      value={name}
+                      onChange={(e) => setName(e.target.value)}
+                      onKeyDown={(e) => { if (e.key === 'Enter' && name.trim()) handleSave(); }}
+                      placeholder={t('views.namePlaceholder')}
+                      aria-label={t('views.nameLabel')}
+                      bg={colors.inputBg}
+                      borderColor={colors.borderColor}
+                      color={colors.textPrimary}
+                      autoFocus
+                    />
+                    {replacing && (
+                      <Text fontSize="xs" color={colors.textMuted} mt={1}>
+                        {t('views.replaces')}
+                      </Text>
+                    )}
+                  </Box>
+                  <HStack as="label" gap={2} cursor="pointer">
+                    <input
+                      type="checkbox"
+                      checked={pinned}
+                      onChange={(e) => setPinned(e.target.checked)}
+                      style={{ accentColor: '#3B82F6' }}
+                    />
+                    <Text fontSize="sm" color={colors.textPrimary}>{t('views.pinToPage')}</Text>
+                  </HStack>
+                  {error && <Text fontSize="sm" color="red.500">{error}</Text>}
+                </VStack>
+              </Dialog.Body>
+
+              <Dialog.Footer p={4} borderTopWidth="1px" borderColor={colors.borderColor}>
+                <HStack gap={3} justify="flex-end" w="100%">
+                  <Button variant="outline" onClick={() => setShowSaveDialog(false)} disabled={saving}>
+                    {t('common.cancel')}
+                  </Button>
+                  <Button colorPalette="blue" onClick={handleSave} disabled={!name.trim()} loading={saving} loadingText={t('common.saving')}>
+                    {t('views.saveTitle')}
+                  </Button>
+                </HStack>
+              </Dialog.Footer>
+            </Dialog.Content>
+          </Dialog.Positioner>
+        </Portal>
+      </Dialog.Root>
+    </Flex>
+  );
+}
@@ -0,0 +1,168 @@
+import { useState, useRef, useEffect } from 'react';
+import {
+  Box,
+  Input,
+  VStack,
+  HStack,
+  Text,
+} from '@chakra-ui/react';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useI18n } from '../contexts/I18nContext';
+import { completeQuery } from '../lib/searchQuery';
+
+/**
+ * SearchQueryInput - Search box that understands search expressions
+ * (category:Groceries amount:>50 -tag:reimbursed "tim hortons", see lib/searchQuery.js),
+ * suggesting field names as you type and then values for the field.
+ *
+ * Props:
+ * - value: Current expression
+ * - onChange: Called with the new expression
+ * - sources: { categories, tags, banks, accounts } as arrays of names, for value suggestions
+ * - placeholder: Input placeholder text
+ * - ...inputProps: Additional props passed to Input
+ */
+export default function SearchQueryInput({ value, onChange, sources = {}, placeholder, ...inputProps }) {
+  const colors = useDarkModeColors();
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const [caret, setCaret] = useState(0);
+  const [highlightedIndex, setHighlightedIndex] = useState(-1);
+  const inputRef = useRef(null);
+  const dropdownRef = useRef(null);
+
+  const completion = completeQuery(value, caret, sources);
+  const items = completion.items;
+
+  useEffect(() => {
+    setHighlightedIndex(-1);
+  }, [value, caret]);
+
+  // Handle click outside to close dropdown
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (
+        dropdownRef.current &&
+        !dropdownRef.current.contains(event.target) &&
+        inputRef.current &&
+        !inputRef.current.contains(event.target)
+      ) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const trackCaret = (e) => setCaret(e.target.selectionStart ?? e.target.value.length);
+
+  const handleInputChange = (e) => {
+    onChange(e.target.value);
+    trackCaret(e);
+    setIsOpen(true);
+  };
+
+  const handleSelect = (item) => {
+    const next = value.slice(0, completion.from) + item.insert + value.slice(completion.to);
+    const position = completion.from + item.insert.length;
+    onChange(next);
+    setCaret(position);
+    // Keep typing where the suggestion ended; a field name stays open for its values
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(position, position);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isOpen || items.length === 0) return;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setHighlightedIndex(prev => (prev < items.length - 1 ? prev + 1 : prev));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setHighlightedIndex(prev => (prev > 0 ? prev - 1 : prev));
+        break;
+      case 'Enter':
+      case 'Tab':
+        if (highlightedIndex >= 0) {
+          e.preventDefault();
+          handleSelect(items[highlightedIndex]);
+        }
+        break;
+      case 'Escape':
+        setIsOpen(false);
+        break;
+    }
+  };
+
+  return (
+    <Box position="relative" w="100%">
+      <Input
+        ref={inputRef}
+        value={value}
+        onChange={handleInputChange}
+        onFocus={(e) => { trackCaret(e); setIsOpen(true); }}
+        onClick={trackCaret}
+        onKeyUp={(e) => { if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'Home' || e.key === 'End') trackCaret(e); }}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder ?? t('search.placeholder')}
+        autoComplete="off"
+        spellCheck={false}
+        aria-label={t('search.label')}
+        {...inputProps}
+      />
+
+      {isOpen && items.length > 0 && (
+        <Box
+          ref={dropdownRef}
+          position="absolute"
+          top="100%"
+          left={0}
+          right={0}
+          zIndex={1000}
+          mt={1}
+          bg={colors.cardBg}
+          borderWidth="1px"
+          borderColor={colors.borderColor}
+          borderRadius="12px"
+          boxShadow="lg"
+          maxH="280px"
+          overflowY="auto"
+          overflowX="hidden"
+        >
+          <VStack gap={0} align="stretch" p={1} role="listbox" aria-label={t('search.suggestionsLabel')}>
+            {items.map((item, index) => (
+              <HStack
+                key={item.insert}
+                role="option"
+                aria-selected={index === highlightedIndex}
+                px={3}
+                py={2}
+                cursor="pointer"
+                bg={index === highlightedIndex ? colors.rowStripedBg : 'transparent'}
+                _hover={{ bg: colors.rowStripedBg }}
+                borderRadius="8px"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => handleSelect(item)}
+                justify="space-between"
+                transition="background 0.1s"
+              >
+                <Text color={colors.textPrimary} fontSize="sm" fontFamily="mono" noOfLines={1} flex={1}>
+                  {item.label}
+                </Text>
+                <Text color={colors.textMuted} fontSize="xs" ml={2} flexShrink={0}>
+                  {t(item.hint)}
+                </Text>
+              </HStack>
+            ))}
+          </VStack>
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -1,17 +1,20 @@
 import { Link as RouterLink, useLocation } from 'react-router-dom';
 import { Box, Flex, HStack } from '@chakra-ui/react';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useI18n } from '../contexts/I18nContext';
 
 const TABS = [
-  { label: 'Preferences', to: '/settings' },
-  { label: 'Import', to: '/import' },
-  { label: 'Categories', to: '/categories' },
+  { label: 'nav.preferences', to: '/settings' },
+  { label: 'nav.accounts', to: '/accounts' },
+  { label: 'nav.import', to: '/import' },
+  { label: 'nav.importHistory', to: '/import-history' },
+  { label: 'nav.categories', to: '/categories' },
 ];
 
 /**
  * Tab bar shared by the pages grouped under Settings.
  *
- * Each tab keeps its own route, so existing /import and /categories links (and
+ * Each tab keeps its own route, so existing /import, /categories and /accounts links (and
  * browser history) still work — the tabs are navigation, not local state.
  * Rendered above each page's own PageContainer, so it matches their horizontal
  * rhythm manually.
@@ -19,6 +22,7 @@ const TABS = [
 export default function SettingsTabs() {
   const location = useLocation();
   const colors = useDarkModeColors();
+  const { t } = useI18n();
 
   return (
     <Box w="100%" bg={colors.pageBg} pt={{ base: 6, md: 8 }}>
@@ -52,7 +56,7 @@ export default function SettingsTabs() {
                   _hover={{ bg: isActive ? undefined : colors.rowStripedBg }}
                   transition="all 0.15s"
                 >
-                  {tab.label}
+                  {t(tab.label)}
                 </Box>
               );
             })}
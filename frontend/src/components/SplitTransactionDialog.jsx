@@ -0,0 +1,239 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Flex,
+  HStack,
+  Input,
+  Text,
+  VStack,
+  Dialog,
+  Portal,
+  CloseButton,
+} from '@chakra-ui/react';
+import { LuTrash2 } from 'react-icons/lu';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { useI18n } from '../contexts/I18nContext';
+import { validateSplitLines } from '../lib/splits';
+
+/**
+ * SplitTransactionDialog - Divide one transaction across several categories
+ * The lines must add up to the transaction's amount before they can be saved.
+ *
+ * Props:
+ * - transaction: Row being split ({ description, amount, type, category_id, splits }), or null when closed
+ * - categories: Array of { id, name, type }; only those matching the transaction's type are offered
+ * - onSave: Called with [{ category_id, amount }] lines; may throw to keep the dialog open
+ * - onUnsplit: Called to put the whole amount back into one category (only offered for split rows)
+ * - onClose: Called when the dialog is dismissed
+ */
+export default function SplitTransactionDialog({ transaction, categories, onSave, onUnsplit, onClose }) {
+  const colors = useDarkModeColors();
+  const { formatCurrency } = useCurrency();
+  const { t } = useI18n();
+  const [lines, setLines] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // Start from the existing lines, or the current category holding everything plus an empty line
+  useEffect(() => {
+    if (!transaction) return;
+    setError('');
+    setLines(transaction.splits?.length
+      ? transaction.splits.map(s => ({ category_id: s.category_id || '', amount: String(s.amount) }))
+      : [
+        { category_id: transaction.category_id || '', amount: String(transaction.amount) },
+        { category_id: '', amount: '' },
+      ]);
+  }, [transaction]);
+
+  if (!transaction) return null;
+
+  const options = categories.filter(c => c.type === transaction.type);
+  const allocated = lines.reduce((sum, l) => sum + (Number(l.amount) || 0), 0);
+  const remaining = Number(transaction.amount) - allocated;
+  const problem = validateSplitLines(lines, transaction.amount, (n) => formatCurrency(n, transaction.currency));
+
+  const updateLine = (index, field, value) => {
+    setLines(prev => prev.map((l, i) => (i === index ? { ...l, [field]: value } : l)));
+  };
+
+  // New lines start with whatever is left to allocate
+  const addLine = () => {
+    setLines(prev => [...prev, { category_id: '', amount: remaining > 0 ? remaining.toFixed(2) : '' }]);
+  };
+
+  const removeLine = (index) => {
+    setLines(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const run = async (action) => {
+    setSaving(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const selectStyles = {
+    bg: colors.cardBg,
+    borderWidth: '1px',
+    borderColor: colors.borderColor,
+    color: colors.textPrimary,
+    borderRadius: '6px',
+    px: 3,
+    h: '40px',
+    fontSize: 'sm',
+    outline: 'none',
+    cursor: 'pointer',
+    _hover: { borderColor: 'blue.400' },
+    _focus: { borderColor: 'blue.500', boxShadow: '0 0 0 1px var(--chakra-colors-blue-500)' },
+  };
+
+  return (
+    <Dialog.Root open={!!transaction} onOpenChange={(e) => !e.open && !saving && onClose()}>
+      <Portal>
+        <Dialog.Backdrop bg="blackAlpha.600" />
+        <Dialog.Positioner>
+          <Dialog.Content
+            maxW="480px"
+            w="90%"
+            borderRadius="16px"
+            overflow="hidden"
+            bg={colors.cardBg}
+          >
+            <Dialog.Header
+              bg="linear-gradient(135deg, #3B82F6 0%, #2563EB 100%)"
+              color="white"
+              p={5}
+            >
+              <Flex justify="space-between" align="center">
+                <Box>
+                  <Dialog.Title fontSize="lg" fontWeight="700" color="white">
+                    {t('splits.title')}
+                  </Dialog.Title>
+                  <Text fontSize="sm" color="whiteAlpha.800" noOfLines={1}>
+                    {transaction.description || t('common.noDescription')} · {formatCurrency(transaction.amount, transaction.currency)}
+                  </Text>
+                </Box>
+                <Dialog.CloseTrigger asChild>
+                  <CloseButton
+                    color="white"
+                    _hover={{ bg: 'whiteAlpha.200' }}
+                    borderRadius="full"
+                  />
+                </Dialog.CloseTrigger>
+              </Flex>
+            </Dialog.Header>
+
+            <Dialog.Body p={6}>
+              <VStack gap={3} align="stretch">
+                {lines.map((line, index) => (
+                  <HStack key={index} gap={2}>
+                    <Box
+                      as="select"
+                      value={line.category_id}
+                      onChange={(e) => updateLine(index, 'category_id', e.target.value)}
+                      aria-label={t('splits.categoryForLine', { line: index + 1 })}
+                      flex={1}
+                      minW={0}
+                      {...selectStyles}
+                    >
+                      <option value="">{t('splits.selectCategory')}</option>
+                      {options.map(cat => (
+                        <option key={cat.id} value={cat.id}>{cat.name}</option>
+                      ))}
+                    </Box>
+                    <Input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={line.amount}
+                      onChange={(e) => updateLine(index, 'amount', e.target.value)}
+                      aria-label={t('splits.amountForLine', { line: index + 1 })}
+                      placeholder="0.00"
+                      w="110px"
+                      h="40px"
+                      textAlign="right"
+                      bg={colors.inputBg}
+                      borderColor={colors.borderColor}
+                      color={colors.textPrimary}
+                    />
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      color={colors.textMuted}
+                      _hover={{ color: 'red.500' }}
+                      onClick={() => removeLine(index)}
+                      disabled={lines.length <= 2}
+                      aria-label={t('splits.removeLine')}
+                      title={t('splits.removeLine')}
+                    >
+                      <LuTrash2 />
+                    </Button>
+                  </HStack>
+                ))}
+
+                <Button size="sm" variant="outline" alignSelf="flex-start" onClick={addLine}>
+                  {t('splits.addLine')}
+                </Button>
+
+                <Flex justify="space-between" pt={2} borderTopWidth="1px" borderColor={colors.borderColor}>
+                  <Text fontSize="sm" color={colors.textSecondary}>{t('splits.leftLabel')}</Text>
+                  <Text
+                    fontSize="sm"
+                    fontWeight="600"
+                    color={Math.abs(remaining) < 0.005 ? 'green.500' : 'red.500'}
+                  >
+                    {formatCurrency(remaining, transaction.currency)}
+                  </Text>
+                </Flex>
+
+                {error && (
+                  <Box p={3} bg={colors.dangerBg} borderRadius="md">
+                    <Text color="red.600" fontSize="sm">{error}</Text>
+                  </Box>
+                )}
+              </VStack>
+            </Dialog.Body>
+
+            <Dialog.Footer p={4} borderTopWidth="1px" borderColor={colors.borderColor}>
+              <HStack gap={3} justify="space-between" w="100%">
+                {transaction.splits?.length ? (
+                  <Button
+                    variant="ghost"
+                    colorPalette="red"
+                    onClick={() => run(onUnsplit)}
+                    disabled={saving}
+                  >
+                    {t('splits.removeSplit')}
+                  </Button>
+                ) : <Box />}
+                <HStack gap={3}>
+                  <Button variant="outline" onClick={onClose} disabled={saving}>
+                    {t('common.cancel')}
+                  </Button>
+                  <Button
+                    colorPalette="blue"
+                    onClick={() => run(() => onSave(lines))}
+                    loading={saving}
+                    loadingText={t('common.saving')}
+                    disabled={!!problem}
+                    title={problem || undefined}
+                  >
+                    {t('splits.save')}
+                  </Button>
+                </HStack>
+              </HStack>
+            </Dialog.Footer>
+          </Dialog.Content>
+        </Dialog.Positioner>
+      </Portal>
+    </Dialog.Root>
+  );
+}
@@ -0,0 +1,42 @@
+import { HStack, Button, Text } from '@chakra-ui/react';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useI18n } from '../contexts/I18nContext';
+
+/**
+ * SuggestionChips - Learned category suggestions as one-click chips
+ * Each chip shows the category and the model's confidence ("Food 82%").
+ *
+ * Props:
+ * - suggestions: Array of { categoryId, name, confidence } from suggestCategories
+ * - onPick: Called with the chosen suggestion
+ * - label: Text before the chips (default "Suggested:")
+ */
+export default function SuggestionChips({ suggestions, onPick, label }) {
+  const colors = useDarkModeColors();
+  const { t } = useI18n();
+
+  if (!suggestions?.length) return null;
+
+  return (
+    <HStack gap={1} wrap="wrap" mt={1}>
+      <Text fontSize="xs" color={colors.textMuted}>{label ?? t('suggestions.label')}</Text>
+      {suggestions.map(s => (
+        <Button
+          key={s.categoryId}
+          size="2xs"
+          variant="outline"
+          colorPalette="purple"
+          borderRadius="full"
+          px={2}
+          onClick={(e) => {
+            e.stopPropagation();
+            onPick(s);
+          }}
+          title={t('suggestions.setCategory', { name: s.name })}
+        >
+          {s.name} {Math.round(s.confidence * 100)}%
+        </Button>
+      ))}
+    </HStack>
+  );
+}
@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Flex,
+  Heading,
+  HStack,
+  Input,
+  Spinner,
+  Table,
+  Text,
+} from '@chakra-ui/react';
+import { supabase } from '../lib/supabaseClient';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { useI18n } from '../contexts/I18nContext';
+import { summarizeByTag } from '../lib/tags';
+import { SPENDING_TYPES } from '../lib/refunds';
+
+/**
+ * TagBreakdown - Income, expense and net totals per tag over a date range
+ * A transaction with several tags counts toward each of them, so the rows don't add up to
+ * the report's totals.
+ *
+ * Props:
+ * - userId: Whose transactions to total
+ * - defaultStart / defaultEnd: Initial range as YYYY-MM-DD (the report's year)
+ */
+export default function TagBreakdown({ userId, defaultStart, defaultEnd }) {
+  const colors = useDarkModeColors();
+  const { formatCurrency, convertTransactions } = useCurrency();
+  const { t } = useI18n();
+  const [startDate, setStartDate] = useState(defaultStart);
+  const [endDate, setEndDate] = useState(defaultEnd);
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Follow the report's year selector
+  useEffect(() => {
+    setStartDate(defaultStart);
+    setEndDate(defaultEnd);
+  }, [defaultStart, defaultEnd]);
+
+  useEffect(() => {
+    if (userId) loadTagTotals();
+  }, [userId, startDate, endDate, convertTransactions]);
+
+  const loadTagTotals = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      let query = supabase
+        .from('transactions')
+        .select('amount, currency, date, type, tags')
+        .eq('user_id', userId)
+        .in('type', ['income', ...SPENDING_TYPES])
+        .is('deleted_at', null)
+        .not('tags', 'eq', '{}');
+
+      if (startDate) query = query.gte('date', startDate);
+      if (endDate) query = query.lte('date', endDate);
+
+      const { data, error: loadError } = await query;
+      if (loadError) throw loadError;
+      setRows(summarizeByTag(convertTransactions(data)));
+    } catch (err) {
+      setError(err.message);
+      console.error('Error loading tag totals:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const dateInputProps = {
+    type: 'date',
+    size: 'sm',
+    w: '150px',
+    bg: colors.cardBg,
+    borderColor: colors.borderColor,
+    color: colors.textPrimary,
+  };
+
+  return (
+    <Box
+      borderRadius={{ base: '12px', md: '20px' }}
+      overflow="hidden"
+      bg={colors.cardBg}
+      boxShadow="0 1px 3px rgba(0,0,0,0.05)"
+      border="1px solid" borderColor={colors.borderSubtle}
+    >
+      <Flex
+        p={{ base: 3, md: 5 }}
+        borderBottomWidth="1px"
+        borderColor={colors.borderSubtle}
+        justify="space-between"
+        align="center"
+        wrap="wrap"
+        gap={3}
+      >
+        <Box>
+          <Heading size={{ base: 'sm', md: 'md' }} color={colors.textPrimary}>{t('tags.breakdownTitle')}</Heading>
+          <Text fontSize={{ base: 'xs', md: 'sm' }} color={colors.textSecondary}>
+            {t('tags.breakdownSubtitle')}
+          </Text>
+        </Box>
+        <HStack gap={2}>
+          <Input {...dateInputProps} value={startDate} onChange={(e) => setStartDate(e.target.value)} aria-label={t('tags.breakdownFrom')} />
+          <Text fontSize="sm" color={colors.textMuted}>{t('tags.to')}</Text>
+          <Input {...dateInputProps} value={endDate} onChange={(e) => setEndDate(e.target.value)} aria-label={t('tags.breakdownTo')} />
+        </HStack>
+      </Flex>
+
+      {loading ? (
+        <Flex p={6} justify="center"><Spinner /></Flex>
+      ) : error ? (
+        <Text p={5} fontSize="sm" color={colors.danger}>{error}</Text>
+      ) : rows.length === 0 ? (
+        <Text p={5} fontSize="sm" color={colors.textMuted}>
+          {t('tags.breakdownEmpty')}
+        </Text>
+      ) : (
+        <Table.Root size="sm" w="100%">
+          <Table.Header>
+            <Table.Row bg={colors.rowStripedBg}>
+              <Table.ColumnHeader px={{ base: 2, md: 5 }} color={colors.textSecondary}>{t('tags.tag')}</Table.ColumnHeader>
+              <Table.ColumnHeader px={{ base: 1, md: 5 }} textAlign="right" color={colors.textSecondary}>{t('nav.transactions')}</Table.ColumnHeader>
+              <Table.ColumnHeader px={{ base: 1, md: 5 }} textAlign="right" color={colors.textSecondary}>{t('common.income')}</Table.ColumnHeader>
+              <Table.ColumnHeader px={{ base: 1, md: 5 }} textAlign="right" color={colors.textSecondary}>{t('common.expenses')}</Table.ColumnHeader>
+              <Table.ColumnHeader px={{ base: 1, md: 5 }} textAlign="right" color={colors.textSecondary}>{t('tags.net')}</Table.ColumnHeader>
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {rows.map(row => (
+              <Table.Row key={row.tag} _hover={{ bg: colors.rowStripedBg }}>
+                <Table.Cell px={{ base: 2, md: 5 }} fontWeight="600" color={colors.textPrimary}>{row.tag}</Table.Cell>
+                <Table.Cell px={{ base: 1, md: 5 }} textAlign="right" color={colors.textSecondary}>{row.count}</Table.Cell>
+                <Table.Cell px={{ base: 1, md: 5 }} textAlign="right" color="green.600">{formatCurrency(row.income)}</Table.Cell>
+                <Table.Cell px={{ base: 1, md: 5 }} textAlign="right" color="red.600">{formatCurrency(row.expenses)}</Table.Cell>
+                <Table.Cell px={{ base: 1, md: 5 }} textAlign="right" fontWeight="600" color={row.net >= 0 ? 'green.600' : 'red.600'}>
+                  {formatCurrency(row.net)}
+                </Table.Cell>
+              </Table.Row>
+            ))}
+          </Table.Body>
+        </Table.Root>
+      )}
+    </Box>
+  );
+}
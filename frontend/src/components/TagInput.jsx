@@ -0,0 +1,81 @@
+import { useState, useId } from 'react';
+import { Box, HStack, Input, Badge } from '@chakra-ui/react';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useI18n } from '../contexts/I18nContext';
+import { mergeTags, removeTags } from '../lib/tags';
+
+/**
+ * TagInput - Free-form tags as removable chips
+ * Enter or comma adds the typed tag; Backspace on an empty input removes the last one.
+ * Tags already in use are offered as you type.
+ *
+ * Props:
+ * - value: Array of tags
+ * - onChange: Called with the new array
+ * - suggestions: Existing tags to offer (from loadTags)
+ * - placeholder: Input placeholder text
+ * - size: Input size (sm, md, lg)
+ */
+export default function TagInput({ value = [], onChange, suggestions = [], placeholder, size = 'lg' }) {
+  const colors = useDarkModeColors();
+  const { t } = useI18n();
+  const listId = useId();
+  const [draft, setDraft] = useState('');
+
+  const commit = () => {
+    if (!draft.trim()) return;
+    onChange(mergeTags(value, draft.split(',')));
+    setDraft('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      commit();
+    } else if (e.key === 'Backspace' && !draft && value.length) {
+      onChange(value.slice(0, -1));
+    }
+  };
+
+  return (
+    <Box>
+      {value.length > 0 && (
+        <HStack gap={1} wrap="wrap" mb={2}>
+          {value.map(tag => (
+            <Badge key={tag} colorPalette="purple" variant="subtle" px={2} py={1} borderRadius="full">
+              {tag}
+              <Box
+                as="button"
+                type="button"
+                ml={1}
+                onClick={() => onChange(removeTags(value, [tag]))}
+                aria-label={t('tags.remove', { tag })}
+                cursor="pointer"
+              >
+                ×
+              </Box>
+            </Badge>
+          ))}
+        </HStack>
+      )}
+      <Input
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={commit}
+        placeholder={placeholder ?? t('tags.addPlaceholder')}
+        list={listId}
+        aria-label={t('common.tags')}
+        size={size}
+        bg={colors.cardBg}
+        borderColor={colors.borderColor}
+        color={colors.textPrimary}
+      />
+      <datalist id={listId}>
+        {suggestions
+          .filter(tag => !value.some(t => t.toLowerCase() === tag.toLowerCase()))
+          .map(tag => <option key={tag} value={tag} />)}
+      </datalist>
+    </Box>
+  );
+}
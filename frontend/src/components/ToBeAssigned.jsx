@@ -0,0 +1,100 @@
+import { Box, Flex, HStack, Input, Text, VStack } from '@chakra-ui/react';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useI18n } from '../contexts/I18nContext';
+import { assignmentStatus } from '../lib/zeroBased';
+
+/**
+ * ToBeAssigned - The zero-based budget's income pool on the Budget Setup tab: what the month
+ * brings in, what the category limits and savings take from it, and what's left to assign.
+ * Follows the limits as they are typed.
+ *
+ * Props:
+ * - received: Income received this month, in the base currency
+ * - expected: { amount, payments } still due from income recurring payments (lib/zeroBased.js)
+ * - assigned: Sum of the category limits being edited
+ * - savings: Amount assigned to savings, as typed
+ * - onSavingsChange: Called with the new savings input value
+ * - formatCurrency: Formats an amount in the base currency
+ */
+export default function ToBeAssigned({ received, expected, assigned, savings, onSavingsChange, formatCurrency }) {
+  const colors = useDarkModeColors();
+  const { t } = useI18n();
+  const income = received + expected.amount;
+  const { toAssign, status } = assignmentStatus(income, assigned + Number(savings || 0));
+
+  const tone = {
+    assigned: { color: colors.success, bg: colors.successBg, border: colors.successBorder },
+    unassigned: { color: colors.warning, bg: colors.warningBg, border: colors.warningBorder },
+    over: { color: colors.danger, bg: colors.dangerBg, border: colors.dangerBorder },
+  }[status];
+
+  const row = (label, amount, hint) => (
+    <Flex justify="space-between" align="baseline" gap={3}>
+      <Box minW={0}>
+        <Text fontSize="sm" color={colors.textSecondary}>{label}</Text>
+        {hint && <Text fontSize="xs" color={colors.textMuted}>{hint}</Text>}
+      </Box>
+      <Text fontSize="sm" fontWeight="600" color={colors.textPrimary} flexShrink={0}>{amount}</Text>
+    </Flex>
+  );
+
+  return (
+    <Box
+      p={5}
+      bg={colors.cardBg}
+      borderWidth="1px"
+      borderColor={colors.borderColor}
+      borderRadius="20px"
+      data-testid="to-be-assigned"
+    >
+      <Flex justify="space-between" align="center" mb={4} gap={3}>
+        <Text fontSize="xs" fontWeight="600" textTransform="uppercase" letterSpacing="0.1em" color={colors.textMuted}>
+          {t('zeroBased.toBeAssigned')}
+        </Text>
+        <Text fontSize="2xl" fontWeight="800" color={tone.color}>
+          {formatCurrency(toAssign)}
+        </Text>
+      </Flex>
+
+      <VStack align="stretch" gap={2}>
+        {row(t('zeroBased.received'), formatCurrency(received))}
+        {row(
+          t('zeroBased.expected'),
+          formatCurrency(expected.amount),
+          expected.payments.length > 0
+            ? expected.payments.map(p => (p.occurrences > 1 ? `${p.name} ×${p.occurrences}` : p.name)).join(', ')
+            : null
+        )}
+        <Box borderTopWidth="1px" borderColor={colors.borderSubtle} />
+        {row(t('zeroBased.assignedCategories'), `− ${formatCurrency(assigned)}`)}
+        <Flex justify="space-between" align="center" gap={3}>
+          <Text fontSize="sm" color={colors.textSecondary}>{t('zeroBased.savings')}</Text>
+          <HStack gap={1}>
+            <Text fontSize="sm" color={colors.textMuted}>−</Text>
+            <Input
+              type="number"
+              min="0"
+              step="0.01"
+              value={savings}
+              onChange={(e) => onSavingsChange(e.target.value)}
+              aria-label={t('zeroBased.savings')}
+              placeholder="0"
+              size="sm"
+              w="120px"
+              textAlign="right"
+              borderRadius="8px"
+            />
+          </HStack>
+        </Flex>
+      </VStack>
+
+      <Box mt={4} p={3} bg={tone.bg} borderWidth="1px" borderColor={tone.border} borderRadius="md">
+        <Text fontSize="sm" fontWeight="500" color={tone.color}>
+          {status === 'assigned' && t('zeroBased.allAssigned')}
+          {status === 'unassigned' && t('zeroBased.leftToAssign', { amount: formatCurrency(toAssign) })}
+          {status === 'over' && t('zeroBased.overAssigned', { amount: formatCurrency(-toAssign) })}
+        </Text>
+      </Box>
+    </Box>
+  );
+}
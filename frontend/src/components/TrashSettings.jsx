@@ -0,0 +1,107 @@
+import { useState, useEffect } from 'react';
+import { Box, Button, Heading, HStack, Text, VStack } from '@chakra-ui/react';
+import { supabase } from '../lib/supabaseClient';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
+import { savePreferences } from '../lib/preferences';
+import { TRASH_RETENTION_OPTIONS, loadTrashPurges } from '../lib/trash';
+
+/**
+ * TrashSettings - How long trashed transactions are kept before the daily purge deletes
+ * them, and the latest purges (Settings page). The choice is saved as soon as it's made.
+ *
+ * Props:
+ * - userId: Whose settings to edit
+ */
+export default function TrashSettings({ userId }) {
+  const colors = useDarkModeColors();
+  const { preferences, reload, formatDateTime } = usePreferences();
+  const { t } = useI18n();
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [purges, setPurges] = useState([]);
+
+  useEffect(() => {
+    if (userId) loadPurges();
+  }, [userId]);
+
+  const loadPurges = async () => {
+    try {
+      setPurges(await loadTrashPurges(supabase, userId));
+    } catch (err) {
+      console.error('Error loading trash purges:', err);
+    }
+  };
+
+  const handleRetention = async (days) => {
+    if (preferences.trashRetentionDays === days) return;
+    setSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      await savePreferences(supabase, userId, { trashRetentionDays: days });
+      await reload();
+      setMessage(t('trash.saved'));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box p={6} borderWidth="1px" borderColor={colors.borderColor} borderRadius="lg" bg={colors.cardBg}>
+      <Heading size="lg" mb={4} color={colors.textPrimary}>
+        {t('trash.title')}
+      </Heading>
+      <VStack align="stretch" gap={5}>
+        <Box>
+          <Text fontWeight="600" mb={1} fontSize="sm" color={colors.textSecondary}>{t('trash.retention')}</Text>
+          <Text fontSize="xs" color={colors.textMuted} mb={2}>{t('trash.retentionHint')}</Text>
+          <HStack gap={2} wrap="wrap">
+            {TRASH_RETENTION_OPTIONS.map(days => (
+              <Button
+                key={days ?? 'never'}
+                size="xs"
+                type="button"
+                variant={preferences.trashRetentionDays === days ? 'solid' : 'outline'}
+                colorPalette="blue"
+                onClick={() => handleRetention(days)}
+                disabled={saving}
+              >
+                {days ? t('trash.days', { count: days }) : t('trash.keep')}
+              </Button>
+            ))}
+          </HStack>
+        </Box>
+
+        {message && <Text fontSize="sm" color={colors.success}>{message}</Text>}
+        {error && <Text fontSize="sm" color={colors.danger}>{error}</Text>}
+
+        <Box>
+          <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>{t('trash.log')}</Text>
+          {purges.length === 0 ? (
+            <Text fontSize="sm" color={colors.textMuted}>{t('trash.noPurges')}</Text>
+          ) : (
+            <VStack align="stretch" gap={1}>
+              {purges.map(purge => (
+                <HStack key={purge.id} justify="space-between" fontSize="sm" gap={3}>
+                  <Text color={colors.textPrimary}>
+                    {purge.reason === 'retention'
+                      ? t('trash.purgedRetention', { days: purge.retention_days })
+                      : t('trash.purgedEmptied')}
+                  </Text>
+                  <Text color={colors.textMuted} flexShrink={0}>
+                    {t('common.transactions', { count: purge.purged_count })} · {formatDateTime(purge.created_at)}
+                  </Text>
+                </HStack>
+              ))}
+            </VStack>
+          )}
+        </Box>
+      </VStack>
+    </Box>
+  );
+}
@@ -3,7 +3,16 @@ import { useAuth } from './AuthContext';
 import { supabase } from '../lib/supabaseClient';
 import { fetchTransactionsFromGoogleSheets, validateTransactions, extractSheetId } from '../lib/importUtils';
 import { filterOutRecurringDuplicates } from '../lib/recurringAutoAdd';
+import { loadCompiledRules, categorizeWithRules } from '../lib/rulesEngine';
+import { toTransferRows } from '../lib/transfers';
+import { suggestRefunds } from '../lib/refunds';
+import { holdSuspectedDuplicates } from '../lib/duplicates';
+import { createImportBatch, failImportBatch, withImportBatch } from '../lib/importBatches';
+import { getImportAccountId } from '../lib/accounts';
 import { showNotification, checkBudgetAndNotify, getNotificationPermission } from '../lib/notifications';
+import { t } from '../lib/i18n';
+import { useCurrency } from './CurrencyContext';
+import { usePreferences } from './PreferencesContext';
 
 const AutoSyncContext = createContext();
 
@@ -13,6 +22,8 @@ export function useAutoSync() {
 
 export function AutoSyncProvider({ children }) {
   const { user } = useAuth();
+  const { formatCurrency } = useCurrency();
+  const { preferences } = usePreferences();
   const [isEnabled, setIsEnabled] = useState(false);
   const [isSyncing, setIsSyncing] = useState(false);
   const [lastSyncTime, setLastSyncTime] = useState(null);
@@ -98,18 +109,15 @@ export function AutoSyncProvider({ children }) {
           setLastSyncTime(new Date());
           setLastSyncResult({
             success: true,
-            message: 'New transaction received via webhook',
+            message: t('sync.webhookReceived'),
             imported: 1,
           });
 
           // Send notification
           if (getNotificationPermission() === 'granted') {
-            const formattedAmount = new Intl.NumberFormat('en-US', {
-              style: 'currency',
-              currency: 'USD',
-            }).format(newTransaction.amount);
+            const formattedAmount = formatCurrency(newTransaction.amount, newTransaction.currency);
 
-            showNotification('New Transaction', {
+            showNotification(t('sync.newTransaction'), {
               body: `${newTransaction.description} - ${formattedAmount}`,
               tag: 'realtime-' + newTransaction.id,
             });
@@ -140,7 +148,7 @@ export function AutoSyncProvider({ children }) {
         channelRef.current = null;
       }
     };
-  }, [user, realtimeEnabled]);
+  }, [user, realtimeEnabled, formatCurrency]);
 
   const loadSettings = async () => {
     try {
@@ -178,21 +186,24 @@ export function AutoSyncProvider({ children }) {
       // Extract sheet ID
       const sheetId = extractSheetId(sheetSettings.google_sheet_url);
       if (!sheetId) {
-        throw new Error('Invalid Google Sheet URL');
+        throw new Error(t('sync.invalidSheetUrl'));
       }
 
       // Fetch transactions from Google Sheets
       const rawTransactions = await fetchTransactionsFromGoogleSheets(
         sheetId,
-        sheetSettings.google_sheet_name || 'Expenses'
+        sheetSettings.google_sheet_name || 'Expenses',
+        { dateOrder: preferences.importDateOrder }
       );
 
       // Validate transactions
       const validation = validateTransactions(rawTransactions);
-      const newTransactions = validation.valid;
+      // Categorize first: rules may rename rows, and duplicates are matched on the stored name
+      // Refunds (negative expenses) are linked to the purchase they most likely return
+      const newTransactions = await suggestRefunds(supabase, user.id, await categorizeTransactions(validation.valid));
 
       if (newTransactions.length === 0) {
-        setLastSyncResult({ success: true, message: 'No transactions found in sheet', imported: 0 });
+        setLastSyncResult({ success: true, message: t('sync.noneInSheet'), imported: 0 });
         setLastSyncTime(new Date());
         return;
       }
@@ -217,26 +228,24 @@ export function AutoSyncProvider({ children }) {
       );
 
       // Filter out duplicates
-      const notAlreadyImported = newTransactions.filter(t => {
-        const signature = `${t.date}|${normalizeDesc(t.description)}|${normalizeAmount(t.amount)}`;
-        return !existingSet.has(signature);
-      });
+      const notAlreadyImported = newTransactions.filter(t =>
+        ![t.description, t.originalDescription].some(desc =>
+          desc && existingSet.has(`${t.date}|${normalizeDesc(desc)}|${normalizeAmount(t.amount)}`)
+        )
+      );
 
       // Also drop rows the bank is reporting for a recurring payment that already
       // recorded itself via auto-add (matched on its "bank description").
       const uniqueTransactions = await filterOutRecurringDuplicates(supabase, user.id, notAlreadyImported);
 
       if (uniqueTransactions.length === 0) {
-        setLastSyncResult({ success: true, message: 'All transactions already imported', imported: 0 });
+        setLastSyncResult({ success: true, message: t('sync.allImported'), imported: 0 });
         setLastSyncTime(new Date());
         return;
       }
 
-      // Categorize transactions
-      const categorizedTransactions = await categorizeTransactions(uniqueTransactions);
-
-      // Get or create default account
-      let accountId = await getOrCreateAccount();
+      // Account chosen on the Import page, or the default one
+      const accountId = await getImportAccountId(supabase, user.id);
 
       // Get category IDs - fetch both expense and income categories
       const { data: categories, error: catError } = await supabase
@@ -265,7 +274,7 @@ export function AutoSyncProvider({ children }) {
         defaultIncomeCategoryId = defaultIncomeCategory.id;
       } else {
         // Check if we have any income transactions that need an income category
-        const hasIncomeTransactions = categorizedTransactions.some(t => t.type === 'income');
+        const hasIncomeTransactions = uniqueTransactions.some(t => t.type === 'income');
         if (hasIncomeTransactions) {
           // Create a default "Other Income" category
           const { data: newCategory, error: createCatError } = await supabase
@@ -287,7 +296,7 @@ export function AutoSyncProvider({ children }) {
       }
 
       // Insert transactions
-      const transactionsToInsert = categorizedTransactions.map(t => {
+      const transactionsToInsert = uniqueTransactions.flatMap(t => {
         const isIncome = t.type === 'income';
         let categoryId;
 
@@ -299,45 +308,84 @@ export function AutoSyncProvider({ children }) {
             categoryId = defaultIncomeCategoryId;
           }
         } else {
-          // For expense transactions, use expense category map with merchant matching
+          // For expense transactions and refunds, use expense category map with merchant matching
           categoryId = expenseCategoryMap[t.category] || expenseCategoryMap['Unexpected'];
         }
 
-        return {
+        const row = {
           user_id: user.id,
           account_id: accountId,
           category_id: categoryId,
-          type: isIncome ? 'income' : 'expense',
+          type: isIncome ? 'income' : t.type === 'refund' ? 'refund' : 'expense',
+          refund_of: t.refundOf || null,
           amount: t.amount,
           provider: t.bank || null, // Store bank name in provider field
           description: t.description,
           date: t.date,
+          tags: t.tags || [],
         };
+
+        // Rows a rule marked as a transfer become an out/in pair with the rule's account
+        return t.transferAccountId && t.transferAccountId !== accountId
+          ? toTransferRows(row, t.transferAccountId)
+          : [row];
       });
 
+      // Rows that look like a transaction already recorded wait for review on the Import page;
+      // ones the user already merged or discarded stay out
+      const { rows: rowsToInsert, held, settled, queued } = await holdSuspectedDuplicates(
+        supabase, user.id, transactionsToInsert, 'sync'
+      );
+
+      // Syncs that brought nothing new aren't recorded in Import History
+      const batch = rowsToInsert.length > 0 || held > 0
+        ? await createImportBatch(supabase, user.id, {
+            source: 'sync',
+            sourceName: sheetSettings.google_sheet_name || 'Expenses',
+            accountId,
+            rowCount: rawTransactions.length,
+            importedCount: rowsToInsert.length,
+            duplicateCount: newTransactions.length - uniqueTransactions.length + settled,
+            heldCount: held,
+            queued,
+            errors: validation.invalid.map(tx => t('import.rowError', { row: tx.index + 1, errors: tx.errors.join(', ') })),
+          })
+        : null;
+
+      if (rowsToInsert.length === 0) {
+        setLastSyncResult({
+          success: true,
+          message: held > 0 ? t('sync.heldForReview', { count: held }) : t('sync.allImported'),
+          imported: 0,
+        });
+        return;
+      }
+
       const { data: insertedTransactions, error: insertError } = await supabase
         .from('transactions')
-        .insert(transactionsToInsert)
+        .insert(withImportBatch(rowsToInsert, batch.id))
         .select();
 
-      if (insertError) throw insertError;
+      if (insertError) {
+        await failImportBatch(supabase, batch, insertError.message);
+        throw insertError;
+      }
 
       // Send notification for new transactions
       if (insertedTransactions.length > 0 && getNotificationPermission() === 'granted') {
+        // Everything goes to the import account, so the rows share its currency
         const totalAmount = insertedTransactions.reduce((sum, t) => sum + Number(t.amount), 0);
-        const formattedTotal = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(totalAmount);
+        const formattedTotal = formatCurrency(totalAmount, insertedTransactions[0].currency);
 
-        showNotification('New Transactions Imported', {
-          body: `${insertedTransactions.length} transaction${insertedTransactions.length !== 1 ? 's' : ''} imported (${formattedTotal} total)`,
+        showNotification(t('sync.importedTitle'), {
+          body: t('sync.importedBody', { count: insertedTransactions.length, total: formattedTotal }),
           tag: 'sync-' + Date.now()
         });
 
         // Check budget limits for each imported transaction
         for (const transaction of insertedTransactions) {
-          if (transaction.category_id) {
+          // A refund only brings spending down
+          if (transaction.category_id && transaction.type !== 'refund') {
             await checkBudgetAndNotify(supabase, user.id, transaction.category_id, transaction.amount);
           }
         }
@@ -345,7 +393,10 @@ export function AutoSyncProvider({ children }) {
 
       setLastSyncResult({
         success: true,
-        message: `Imported ${insertedTransactions.length} new transaction${insertedTransactions.length !== 1 ? 's' : ''}`,
+        message: [
+          t('sync.imported', { count: insertedTransactions.length }),
+          held > 0 && t('sync.heldForReview', { count: held }),
+        ].filter(Boolean).join(' · '),
         imported: insertedTransactions.length,
       });
 
@@ -361,104 +412,18 @@ export function AutoSyncProvider({ children }) {
       setIsSyncing(false);
       setLastSyncTime(new Date());
     }
-  }, [user, sheetSettings]);
+  }, [user, sheetSettings, formatCurrency, preferences.importDateOrder]);
 
+  // Run the user's categorization rules (merchant mappings last); without them every row
+  // still imports, with the default categories
   const categorizeTransactions = async (transactions) => {
-    // Fetch merchant mappings
-    const { data: mappings, error } = await supabase
-      .from('merchant_mappings')
-      .select('transaction_description, category_name')
-      .eq('user_id', user.id);
-
-    if (error) {
-      console.error('Error fetching mappings:', error);
-      return transactions.map(t => ({ ...t, category: t.type === 'income' ? null : 'Unexpected' }));
-    }
-
-    // Fetch all categories to know which are income vs expense
-    const { data: categories, error: catError } = await supabase
-      .from('categories')
-      .select('name, type')
-      .eq('user_id', user.id);
-
-    if (catError) {
-      console.error('Error fetching categories:', catError);
-      return transactions.map(t => ({ ...t, category: t.type === 'income' ? null : 'Unexpected' }));
-    }
-
-    // Build separate sets for expense and income category names
-    const incomeCategoryNames = new Set(
-      categories.filter(c => c.type === 'income').map(c => c.name)
-    );
-    const expenseCategoryNames = new Set(
-      categories.filter(c => c.type === 'expense').map(c => c.name)
-    );
-
-    // Build separate lookup arrays for expense and income mappings, sorted by length (longest first)
-    const expenseMappings = [];
-    const incomeMappings = [];
-
-    (mappings || []).forEach(m => {
-      const mapping = {
-        pattern: m.transaction_description.toUpperCase(),
-        category: m.category_name
-      };
-
-      if (incomeCategoryNames.has(m.category_name)) {
-        incomeMappings.push(mapping);
-      } else if (expenseCategoryNames.has(m.category_name)) {
-        expenseMappings.push(mapping);
-      }
-    });
-
-    // Sort by pattern length (longest/most specific first)
-    expenseMappings.sort((a, b) => b.pattern.length - a.pattern.length);
-    incomeMappings.sort((a, b) => b.pattern.length - a.pattern.length);
-
-    // Categorize each transaction
-    return transactions.map(t => {
-      const normalizedDesc = t.description.toUpperCase().trim().replace(/\s+/g, ' ');
-      const isIncome = t.type === 'income';
-      const mappingsToUse = isIncome ? incomeMappings : expenseMappings;
-      let category = isIncome ? null : 'Unexpected'; // null for income = use default income category later
-
-      // Check mappings in order (longest/most specific first)
-      for (const mapping of mappingsToUse) {
-        if (normalizedDesc.includes(mapping.pattern)) {
-          category = mapping.category;
-          break;
-        }
-      }
-
-      return { ...t, category };
-    });
-  };
-
-  const getOrCreateAccount = async () => {
-    let { data: accounts, error: accountError } = await supabase
-      .from('accounts')
-      .select('id')
-      .eq('user_id', user.id)
-      .limit(1);
-
-    if (accountError) throw accountError;
-
-    if (!accounts || accounts.length === 0) {
-      const { data: newAccount, error: createError } = await supabase
-        .from('accounts')
-        .insert({
-          user_id: user.id,
-          name: 'Main Account',
-          balance: 0,
-        })
-        .select()
-        .single();
-
-      if (createError) throw createError;
-      return newAccount.id;
+    try {
+      const compiledRules = await loadCompiledRules(supabase, user.id);
+      return categorizeWithRules(transactions, compiledRules);
+    } catch (error) {
+      console.error('Error loading categorization rules:', error);
+      return categorizeWithRules(transactions, []);
     }
-
-    return accounts[0].id;
   };
 
   const toggleAutoSync = async (enabled) => {
@@ -0,0 +1,70 @@
+import { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { usePreferences } from './PreferencesContext';
+import { supabase } from '../lib/supabaseClient';
+import {
+  DEFAULT_CURRENCY,
+  formatMoney,
+  createConverter,
+  convertTransactions,
+  loadCurrencySettings,
+} from '../lib/currency';
+
+const CurrencyContext = createContext();
+
+export function useCurrency() {
+  return useContext(CurrencyContext);
+}
+
+/**
+ * The signed-in user's base currency and exchange rates, shared by every page that totals
+ * money. See lib/currency.js for how amounts are converted.
+ */
+export function CurrencyProvider({ children }) {
+  const { user } = useAuth();
+  const { preferences } = usePreferences();
+  const locale = preferences.numberLocale;
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_CURRENCY);
+  const [rates, setRates] = useState([]);
+
+  const reload = useCallback(async () => {
+    if (!user) return;
+    try {
+      const settings = await loadCurrencySettings(supabase, user.id);
+      setBaseCurrency(settings.baseCurrency);
+      setRates(settings.rates);
+    } catch (err) {
+      console.error('Error loading currency settings:', err);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (user) {
+      reload();
+    } else {
+      setBaseCurrency(DEFAULT_CURRENCY);
+      setRates([]);
+    }
+  }, [user, reload]);
+
+  const value = useMemo(() => {
+    const converter = createConverter(baseCurrency, rates);
+    return {
+      baseCurrency,
+      rates,
+      reload,
+      toBase: converter.toBase,
+      convertTransactions: (rows) => convertTransactions(converter, rows),
+      // Currencies met so far with no rate to the base currency; they count 1:1
+      missingRates: converter.missing,
+      // In the user's number locale (lib/preferences.js)
+      formatCurrency: (amount, currency, options) => formatMoney(amount, currency || baseCurrency, { locale, ...options }),
+    };
+  }, [baseCurrency, rates, reload, locale]);
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+}
@@ -0,0 +1,32 @@
+import { createContext, useContext, useMemo } from 'react';
+import { usePreferences } from './PreferencesContext';
+import { setLanguage, translate } from '../lib/i18n';
+
+const I18nContext = createContext();
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
+
+/**
+ * The interface language from the user's preferences, and `t` bound to it. See lib/i18n.js.
+ */
+export function I18nProvider({ children }) {
+  const { preferences } = usePreferences();
+  const language = preferences.language;
+
+  const value = useMemo(() => {
+    // Before the children render, so modules calling lib/i18n's t() agree with them
+    setLanguage(language);
+    return {
+      language,
+      t: (key, values) => translate(language, key, values),
+    };
+  }, [language]);
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+}
@@ -0,0 +1,70 @@
+import { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { supabase } from '../lib/supabaseClient';
+import {
+  DEFAULT_PREFERENCES,
+  formatDate,
+  formatMonth,
+  formatDateTime,
+  formatNumber,
+  weekdayNames,
+  monthNames,
+  startOfWeek,
+  dayOfWeekIndex,
+  loadPreferences,
+} from '../lib/preferences';
+import { storedLanguage } from '../lib/i18n';
+
+const PreferencesContext = createContext();
+
+export function usePreferences() {
+  return useContext(PreferencesContext);
+}
+
+// Until the user's settings load (or when signed out), keep the language this device last used
+const initialPreferences = () => ({ ...DEFAULT_PREFERENCES, language: storedLanguage() });
+
+/**
+ * The signed-in user's interface language, number locale, date format, first day of the
+ * week and import date order, with formatters bound to them. See lib/preferences.js.
+ */
+export function PreferencesProvider({ children }) {
+  const { user } = useAuth();
+  const [preferences, setPreferences] = useState(initialPreferences);
+
+  const reload = useCallback(async () => {
+    if (!user) return;
+    try {
+      setPreferences(await loadPreferences(supabase, user.id));
+    } catch (err) {
+      console.error('Error loading preferences:', err);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (user) {
+      reload();
+    } else {
+      setPreferences(initialPreferences());
+    }
+  }, [user, reload]);
+
+  const value = useMemo(() => ({
+    preferences,
+    reload,
+    formatDate: (date, options) => formatDate(date, preferences, options),
+    formatMonth: (date, options) => formatMonth(date, preferences, options),
+    formatDateTime: (date) => formatDateTime(date, preferences),
+    formatNumber: (number, options) => formatNumber(number, preferences, options),
+    weekdayNames: (style) => weekdayNames(preferences, style),
+    monthNames: (style) => monthNames(preferences, style),
+    startOfWeek: (date) => startOfWeek(date, preferences.weekStart),
+    dayOfWeekIndex: (day) => dayOfWeekIndex(day, preferences.weekStart),
+  }), [preferences, reload]);
+
+  return (
+    <PreferencesContext.Provider value={value}>
+      {children}
+    </PreferencesContext.Provider>
+  );
+}
@@ -0,0 +1,100 @@
+/**
+ * Accounts: chequing, savings and credit-card accounts that transactions belong to.
+ *
+ * Balances are kept by the database: after every insert, edit, trash, restore or delete,
+ * `sync_ledger` recomputes accounts.balance (opening_balance plus active transactions) and
+ * each transactions.balance (the running balance) — so nothing here sums transactions.
+ * These helpers decide *which* account a new transaction goes to, and run the repair.
+ */
+
+import { t } from './i18n';
+
+// Labels are message keys (lib/i18n.js)
+export const ACCOUNT_TYPES = {
+  chequing: { label: 'accounts.chequing', icon: '🏦' },
+  savings: { label: 'accounts.savings', icon: '🐷' },
+  credit_card: { label: 'accounts.creditCard', icon: '💳' },
+};
+
+export const DEFAULT_ACCOUNT_NAME = 'Main Account';
+
+export const formatAccountType = (type) => (ACCOUNT_TYPES[type] ? t(ACCOUNT_TYPES[type].label) : type);
+
+/**
+ * Load the user's accounts, oldest first. The first active account is the default one,
+ * so the order matters.
+ *
+ * @param {Object} options - { includeArchived }: also return archived accounts
+ * @returns {Promise<Array>} { id, name, type, currency, balance, opening_balance, archived_at, created_at }
+ */
+export async function loadAccounts(supabase, userId, { includeArchived = false } = {}) {
+  let query = supabase
+    .from('accounts')
+    .select('id, name, type, currency, balance, opening_balance, archived_at, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (!includeArchived) {
+    query = query.is('archived_at', null);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Resolve the account a new transaction should be recorded in.
+ *
+ * `preferredId` wins if it still exists and isn't archived — a recurring payment or import
+ * setting can outlive the account it points at. Otherwise the first active account is used,
+ * and a "Main Account" is created for users who have none yet.
+ *
+ * @param {string|null} preferredId - Account chosen by the user, if any
+ * @returns {Promise<string>} Account id
+ */
+export async function getOrCreateAccountId(supabase, userId, preferredId = null) {
+  const accounts = await loadAccounts(supabase, userId);
+
+  if (preferredId && accounts.some(a => a.id === preferredId)) return preferredId;
+  if (accounts.length) return accounts[0].id;
+
+  const { data: newAccount, error } = await supabase
+    .from('accounts')
+    .insert({ user_id: userId, name: DEFAULT_ACCOUNT_NAME, type: 'chequing', balance: 0 })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return newAccount.id;
+}
+
+/**
+ * Recompute balances from scratch — the repair for ledgers that drifted before the ledger
+ * triggers existed, or were edited by hand.
+ *
+ * @param {string|null} accountId - One account, or null for all of the user's accounts
+ * @returns {Promise<Array>} { account_id, account_name, old_balance, new_balance } per account
+ */
+export async function recomputeBalances(supabase, accountId = null) {
+  const { data, error } = await supabase.rpc('recompute_balances', { p_account_id: accountId });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * The account imports write to: the one saved in user_settings.import_account_id, falling
+ * back to the default account. Shared by manual import and Google Sheets auto-sync.
+ *
+ * @returns {Promise<string>} Account id
+ */
+export async function getImportAccountId(supabase, userId) {
+  const { data: settings, error } = await supabase
+    .from('user_settings')
+    .select('import_account_id')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return getOrCreateAccountId(supabase, userId, settings?.import_account_id || null);
+}
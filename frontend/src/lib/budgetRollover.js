@@ -0,0 +1,116 @@
+/**
+ * Budget rollover: what a budgeted category didn't spend in a month carrying into the next,
+ * envelope style, so a quiet March on Clothing leaves more for April.
+ *
+ * Each expense category has a rollover setting (categories.rollover and rollover_cap,
+ * migration 030). A month's carried balance is worked out from the budget lines of the
+ * months before it, oldest first: each line's limit plus what came into it, less what it
+ * spent (budget_categories.spent, in the base currency), then the setting decides how much
+ * of that goes on. A month with no budget line for the category breaks the chain.
+ *
+ * The Budget page, the Dashboard and the budget-recommendations function show
+ * available = limit + carried.
+ */
+
+// What each setting carries, in the order the Budget page offers them
+export const ROLLOVER_MODES = ['none', 'surplus', 'surplus_deficit', 'capped'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * How much of what's left at the end of a month carries into the next: nothing, the surplus
+ * only, surplus or deficit, or the surplus up to the category's cap.
+ *
+ * @param {number} left - Available less spent; negative when overspent
+ * @param {Object} category - { rollover, rollover_cap }
+ */
+export function carryForward(left, category) {
+  switch (category?.rollover) {
+    case 'surplus':
+      return Math.max(0, left);
+    case 'surplus_deficit':
+      return left;
+    case 'capped':
+      return Math.min(Math.max(0, left), Number(category.rollover_cap || 0));
+    default:
+      return 0;
+  }
+}
+
+const monthIndex = (date) => {
+  const [year, month] = String(date).split('-').map(Number);
+  return year * 12 + month - 1;
+};
+
+/**
+ * The balance each rolling category brings into `month`.
+ *
+ * @param {Array} lines - Budget lines before `month`: { month, category_id, limit_amount, spent }
+ * @param {Array} categories - { id, rollover, rollover_cap }; others carry nothing
+ * @param {string} month - 'YYYY-MM'
+ * @returns {Object} { [categoryId]: carried }, only for categories carrying something
+ */
+export function carriedBalances(lines, categories, month) {
+  const target = monthIndex(month);
+  const carried = {};
+
+  (categories || []).filter(cat => cat.rollover && cat.rollover !== 'none').forEach(cat => {
+    const history = (lines || [])
+      .filter(line => line.category_id === cat.id && monthIndex(line.month) < target)
+      .sort((a, b) => monthIndex(a.month) - monthIndex(b.month));
+
+    let balance = 0;
+    let previous = null;
+    history.forEach(line => {
+      const index = monthIndex(line.month);
+      if (previous !== null && index !== previous + 1) balance = 0;
+      balance = carryForward(Number(line.limit_amount || 0) + balance - Number(line.spent || 0), cat);
+      previous = index;
+    });
+
+    if (previous === target - 1 && round(balance) !== 0) carried[cat.id] = round(balance);
+  });
+
+  return carried;
+}
+
+/**
+ * How much of what's available has gone, for progress bars. With nothing available it is
+ * measured against the month's own limit, so a category starting in deficit shows over.
+ */
+export function percentUsed(spent, available, limit) {
+  if (available > 0) return (spent / available) * 100;
+  if (limit > 0) return ((limit - (available - spent)) / limit) * 100;
+  return spent > 0 ? 100 : 0;
+}
+
+/**
+ * Load the user's rollover settings and past budget lines, and work out what each category
+ * brings into `month` ('YYYY-MM').
+ *
+ * @returns {Promise<Object>} { [categoryId]: carried }
+ */
+export async function loadCarriedBalances(supabase, userId, month) {
+  const { data: categories, error: catError } = await supabase
+    .from('categories')
+    .select('id, rollover, rollover_cap')
+    .eq('user_id', userId)
+    .neq('rollover', 'none');
+
+  if (catError) throw catError;
+  if (!categories?.length) return {};
+
+  const { data: budgets, error: budgetError } = await supabase
+    .from('budgets')
+    .select('month, budget_categories (category_id, limit_amount, spent)')
+    .eq('user_id', userId)
+    .lt('month', `${month}-01`)
+    .order('month', { ascending: true });
+
+  if (budgetError) throw budgetError;
+
+  const lines = (budgets || []).flatMap(budget =>
+    (budget.budget_categories || []).map(line => ({ ...line, month: budget.month }))
+  );
+  return carriedBalances(lines, categories, month);
+}
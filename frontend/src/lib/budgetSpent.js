@@ -0,0 +1,33 @@
+/**
+ * Budget spent: how much each budgeted category has spent in a month.
+ *
+ * budget_categories.spent is kept by the database (see migrations/021_budget_spent_sync.sql):
+ * the month's expenses in the category, not in the trash, with split transactions counted
+ * by their lines — the same sum the Budget page makes from the transactions it loads.
+ * Every insert, edit, recategorization, trash, restore and delete recomputes the months it
+ * touches, and a budget line created after its transactions starts with their total.
+ */
+
+// Amounts are compared in cents so stored and summed values don't differ by float noise
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Check a month's stored spent against its transactions, optionally correcting it.
+ *
+ * @param {string} month - 'YYYY-MM'
+ * @param {Object} options - { fix }: store the actual values where they differ
+ * @returns {Promise<Object>} { checked, mismatched: [{ category_id, category_name, stored_spent, actual_spent }] }
+ */
+export async function reconcileBudgetSpent(supabase, month, { fix = false } = {}) {
+  const { data, error } = await supabase.rpc('reconcile_budget_spent', {
+    p_month: `${month}-01`,
+    p_fix: fix,
+  });
+  if (error) throw error;
+
+  const lines = data || [];
+  return {
+    checked: lines.length,
+    mismatched: lines.filter(line => toCents(line.stored_spent) !== toCents(line.actual_spent)),
+  };
+}
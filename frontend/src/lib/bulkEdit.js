@@ -0,0 +1,95 @@
+/**
+ * Bulk edits from the Transactions page's multi-select: the change lists that
+ * applyChangeBatch() stores and applies, so every bulk edit can be undone in one step.
+ *
+ * The two halves of a transfer always move together: deleting, restoring or re-dating one
+ * selected half takes its pair along. Transfers have no category and stay on their own
+ * accounts, so category and account edits skip them; split rows keep their lines' categories.
+ *
+ * Re-dating or trashing a reconciled row takes it back to cleared in the same change, and a
+ * row moved to another account starts uncleared there: the database refuses to change a
+ * reconciled row otherwise (migrations/022_account_reconciliation.sql).
+ */
+
+import { t } from './i18n';
+import { categoryTypeOf } from './refunds';
+
+/**
+ * The selected rows plus the other half of any selected transfer.
+ *
+ * @param {Array} rows - Selected rows
+ * @param {Array} allRows - Every row in the same list (active or trash) to find pairs in
+ */
+export function withTransferPairs(rows, allRows) {
+  const transferIds = new Set(rows.filter(t => t.transfer_id).map(t => t.transfer_id));
+  const ids = new Set(rows.map(t => t.id));
+  return [...rows, ...allRows.filter(t => !ids.has(t.id) && transferIds.has(t.transfer_id))];
+}
+
+const change = (row, before, after) => ({ id: row.id, before, after });
+
+// A change to a row's balance fields, taking it off its reconciliation if it has one
+const unlocking = (row, before, after) => (row.clearedStatus === 'reconciled'
+  ? change(row, { ...before, cleared_status: 'reconciled' }, { ...after, cleared_status: 'cleared' })
+  : change(row, before, after));
+
+/**
+ * Build the change list for one bulk edit.
+ *
+ * @param {Array} rows - Selected rows
+ * @param {string} action - 'category' | 'date' | 'account' | 'delete' | 'restore'
+ * @param {string} value - Category id, YYYY-MM-DD date or account id (unused for delete/restore)
+ * @param {Object} context - { allRows, categories }
+ * @returns {Object} { changes: [{ id, before, after }], skipped } where skipped counts selected
+ *   rows the edit can't apply to
+ */
+export function bulkChanges(rows, action, value, { allRows = [], categories = [] } = {}) {
+  switch (action) {
+    case 'category': {
+      const category = categories.find(c => c.id === value);
+      if (!category) throw new Error(t('bulk.chooseCategory'));
+      const eligible = rows.filter(t => categoryTypeOf(t.type) === category.type && !t.splits?.length);
+      return {
+        changes: eligible
+          .filter(t => t.category_id !== value)
+          .map(t => change(t, { category_id: t.category_id }, { category_id: value })),
+        skipped: rows.length - eligible.length,
+      };
+    }
+    case 'date': {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) throw new Error(t('bulk.chooseDate'));
+      return {
+        changes: withTransferPairs(rows, allRows)
+          .filter(t => t.date !== value)
+          .map(t => unlocking(t, { date: t.date }, { date: value })),
+        skipped: 0,
+      };
+    }
+    case 'account': {
+      if (!value) throw new Error(t('bulk.chooseAccount'));
+      const eligible = rows.filter(t => t.type !== 'transfer');
+      return {
+        changes: eligible
+          .filter(t => t.account_id !== value)
+          .map(t => (t.clearedStatus && t.clearedStatus !== 'uncleared'
+            ? change(t, { account_id: t.account_id, cleared_status: t.clearedStatus }, { account_id: value, cleared_status: 'uncleared' })
+            : change(t, { account_id: t.account_id }, { account_id: value }))),
+        skipped: rows.length - eligible.length,
+      };
+    }
+    case 'delete': {
+      const deletedAt = new Date().toISOString();
+      return {
+        changes: withTransferPairs(rows, allRows).map(t => unlocking(t, { deleted_at: null }, { deleted_at: deletedAt })),
+        skipped: 0,
+      };
+    }
+    case 'restore':
+      return {
+        changes: withTransferPairs(rows, allRows).map(t => change(t, { deleted_at: t.deletedAt }, { deleted_at: null })),
+        skipped: 0,
+      };
+    default:
+      throw new Error(`Unknown bulk action: ${action}`);
+  }
+}
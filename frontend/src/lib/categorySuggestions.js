@@ -0,0 +1,190 @@
+/**
+ * Learned category suggestions: a small naive Bayes model trained in the browser on the
+ * user's own categorized transactions. Nothing leaves the device.
+ *
+ * Each transaction is reduced to features — the words of its description, an amount
+ * bucket and the day of the week — and the model scores every category of the same type
+ * by how often those features appeared in it. Scores are turned into confidences that add
+ * up to 1 across the user's categories.
+ *
+ * Rows in the fallback category ('Unexpected') are left out of training: they are where
+ * imports land when nothing matched, not a choice the user made.
+ */
+
+export const FALLBACK_CATEGORY = 'Unexpected';
+
+// Import rows with no matching rule take the top suggestion at or above this confidence;
+// below it they keep the fallback and are flagged for review
+export const AUTO_APPLY_CONFIDENCE = 0.6;
+
+// Suggestions below this confidence aren't worth showing
+const MIN_CONFIDENCE = 0.1;
+
+// Most recent categorized rows to learn from, read a page at a time: the API returns at
+// most 1000 rows per request
+const TRAINING_LIMIT = 5000;
+const TRAINING_PAGE_SIZE = 1000;
+
+const AMOUNT_BUCKETS = [10, 25, 50, 100, 250, 500, 1000];
+
+/**
+ * Split a description into the words worth learning from: letters-first tokens of two or
+ * more characters. Card numbers, reference ids and dates are dropped.
+ */
+export function tokenize(description) {
+  return [...new Set(
+    String(description || '')
+      .toUpperCase()
+      .split(/[^A-Z0-9]+/)
+      .filter(word => word.length >= 2 && /^[A-Z]/.test(word))
+  )];
+}
+
+const amountBucket = (amount) => {
+  const value = Math.abs(Number(amount)) || 0;
+  const index = AMOUNT_BUCKETS.findIndex(limit => value < limit);
+  return index === -1 ? AMOUNT_BUCKETS.length : index;
+};
+
+const dayOfWeek = (date) => {
+  const [year, month, day] = String(date || '').split('-').map(Number);
+  return year && month && day ? new Date(year, month - 1, day).getDay() : null;
+};
+
+const featuresOf = (transaction) => {
+  const features = tokenize(transaction.description).map(word => `w:${word}`);
+  features.push(`a:${amountBucket(transaction.amount)}`);
+  const weekday = dayOfWeek(transaction.date);
+  if (weekday !== null) features.push(`d:${weekday}`);
+  return features;
+};
+
+/**
+ * Train on categorized transactions.
+ *
+ * @param {Array} examples - { description, amount, date, type, category_id }
+ * @param {Array} categories - { id, name, type }; only these are learned, minus the fallback
+ * @returns {Object} Model for suggestCategories(), one per transaction type
+ */
+export function trainModel(examples, categories) {
+  const learnable = new Map(
+    categories
+      .filter(c => c.name !== FALLBACK_CATEGORY)
+      .map(c => [c.id, c])
+  );
+  const model = {};
+
+  for (const example of examples) {
+    const category = learnable.get(example.category_id);
+    if (!category || category.type !== example.type) continue;
+
+    const byType = model[example.type] || (model[example.type] = { classes: new Map(), vocabulary: new Set(), total: 0 });
+    if (!byType.classes.has(category.id)) {
+      byType.classes.set(category.id, { name: category.name, examples: 0, featureTotal: 0, counts: new Map() });
+    }
+
+    const cls = byType.classes.get(category.id);
+    cls.examples += 1;
+    byType.total += 1;
+    for (const feature of featuresOf(example)) {
+      cls.counts.set(feature, (cls.counts.get(feature) || 0) + 1);
+      cls.featureTotal += 1;
+      byType.vocabulary.add(feature);
+    }
+  }
+
+  return model;
+}
+
+/**
+ * Top categories for one transaction, best first.
+ *
+ * Nothing is suggested when none of the description's words has been seen before — amount
+ * and weekday alone would just echo the most common category.
+ *
+ * @returns {Array} [{ categoryId, name, confidence }] with confidence between 0 and 1
+ */
+export function suggestCategories(model, transaction, limit = 3) {
+  const byType = model?.[transaction.type];
+  if (!byType || byType.classes.size === 0) return [];
+
+  const features = featuresOf(transaction);
+  if (!features.some(f => f.startsWith('w:') && byType.vocabulary.has(f))) return [];
+
+  const vocabularySize = byType.vocabulary.size;
+  const scores = [...byType.classes.entries()].map(([categoryId, cls]) => {
+    // Log prior plus Laplace-smoothed log likelihood of each feature
+    let score = Math.log(cls.examples / byType.total);
+    for (const feature of features) {
+      score += Math.log(((cls.counts.get(feature) || 0) + 1) / (cls.featureTotal + vocabularySize));
+    }
+    return { categoryId, name: cls.name, score };
+  });
+
+  // Softmax, shifted by the best score to stay within floating point range
+  const best = Math.max(...scores.map(s => s.score));
+  const weights = scores.map(s => Math.exp(s.score - best));
+  const sum = weights.reduce((a, b) => a + b, 0);
+
+  return scores
+    .map((s, i) => ({ categoryId: s.categoryId, name: s.name, confidence: weights[i] / sum }))
+    .filter(s => s.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+}
+
+// Up to TRAINING_LIMIT categorized income and expense rows, newest first
+async function loadTrainingRows(supabase, userId) {
+  const rows = [];
+  for (let from = 0; from < TRAINING_LIMIT; from += TRAINING_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('description, amount, date, type, category_id, transaction_splits(id)')
+      .eq('user_id', userId)
+      .in('type', ['income', 'expense'])
+      .not('category_id', 'is', null)
+      .is('deleted_at', null)
+      .order('date', { ascending: false })
+      .order('id', { ascending: true })
+      .range(from, Math.min(from + TRAINING_PAGE_SIZE, TRAINING_LIMIT) - 1);
+
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < TRAINING_PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+/**
+ * Train a model on the user's most recent categorized income and expenses. Split rows are
+ * skipped, since their category is only the largest line.
+ */
+export async function loadSuggestionModel(supabase, userId) {
+  const [categoriesResult, trainingRows] = await Promise.all([
+    supabase.from('categories').select('id, name, type').eq('user_id', userId),
+    loadTrainingRows(supabase, userId),
+  ]);
+
+  if (categoriesResult.error) throw categoriesResult.error;
+
+  const examples = trainingRows.filter(t => !t.transaction_splits?.length);
+  return trainModel(examples, categoriesResult.data || []);
+}
+
+/**
+ * Fill in import rows that no rule or merchant mapping categorized (categorySource
+ * 'default'): attach their suggestions, and take the top one when it is confident enough.
+ * Rows that stay on the fallback keep categorySource 'default' so the preview can flag them.
+ */
+export function applySuggestions(rows, model) {
+  return rows.map(row => {
+    if (row.categorySource !== 'default' || row.transferAccountId) return row;
+
+    const suggestions = suggestCategories(model, row);
+    const top = suggestions[0];
+    if (top && top.confidence >= AUTO_APPLY_CONFIDENCE) {
+      return { ...row, suggestions, category: top.name, categorySource: 'suggestion', confidence: top.confidence };
+    }
+    return { ...row, suggestions };
+  });
+}
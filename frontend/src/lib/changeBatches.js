@@ -0,0 +1,132 @@
+/**
+ * Change batches: bulk edits to existing transactions that can be undone in one step.
+ *
+ * Before touching any row, the batch is stored in `change_batches` with each row's old and
+ * new values ({ id, before, after }), plus the merchant mapping as it was if the batch came
+ * from saving one. Undo puts the old values back — except on rows whose category has been
+ * changed again since, which are left as the user last set them.
+ */
+
+const BATCH_SIZE = 100;
+
+// Rows with identical new values are updated together
+const groupBy = (changes, keyOf) => {
+  const groups = new Map();
+  changes.forEach(change => {
+    const key = keyOf(change);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(change);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * Record a batch and apply it.
+ *
+ * @param {Object} batch - { source, label, changes: [{ id, before, after }], mappingBefore }
+ *   mappingBefore: { transaction_description, category_name } as it was (category_name null
+ *   when the mapping is new), for batches that came with a mapping change
+ * @returns {Promise<Object>} The stored batch row
+ */
+export async function applyChangeBatch(supabase, userId, { source, label, changes, mappingBefore = null }) {
+  const { data: batch, error: batchError } = await supabase
+    .from('change_batches')
+    .insert({
+      user_id: userId,
+      source,
+      label,
+      changes,
+      mapping_before: mappingBefore,
+    })
+    .select()
+    .single();
+
+  if (batchError) throw batchError;
+
+  for (const group of groupBy(changes, c => JSON.stringify(c.after))) {
+    for (let i = 0; i < group.length; i += BATCH_SIZE) {
+      const { error: updateError } = await supabase
+        .from('transactions')
+        .update(group[0].after)
+        .in('id', group.slice(i, i + BATCH_SIZE).map(c => c.id))
+        .eq('user_id', userId);
+
+      if (updateError) throw updateError;
+    }
+  }
+
+  return batch;
+}
+
+/**
+ * Most recent batches that can still be undone, newest first.
+ */
+export async function loadRecentBatches(supabase, userId, limit = 5) {
+  const { data, error } = await supabase
+    .from('change_batches')
+    .select('id, source, label, changes, mapping_before, created_at')
+    .eq('user_id', userId)
+    .is('reverted_at', null)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Undo a batch: restore each row's old values and the merchant mapping, then mark the
+ * batch reverted.
+ *
+ * @returns {Promise<number>} How many rows were restored
+ */
+export async function revertChangeBatch(supabase, userId, batch) {
+  let restored = 0;
+
+  const sameUndo = (c) => JSON.stringify([c.before, c.after.category_id ?? null]);
+  for (const group of groupBy(batch.changes || [], sameUndo)) {
+    const { before, after } = group[0];
+    for (let i = 0; i < group.length; i += BATCH_SIZE) {
+      let query = supabase
+        .from('transactions')
+        .update(before)
+        .in('id', group.slice(i, i + BATCH_SIZE).map(c => c.id))
+        .eq('user_id', userId);
+
+      // Leave rows that were recategorized again after this batch
+      if (after.category_id !== undefined) query = query.eq('category_id', after.category_id);
+
+      const { data, error } = await query.select('id');
+      if (error) throw error;
+      restored += data?.length || 0;
+    }
+  }
+
+  const mapping = batch.mapping_before;
+  if (mapping) {
+    const { error: mappingError } = mapping.category_name
+      ? await supabase
+          .from('merchant_mappings')
+          .upsert({
+            user_id: userId,
+            transaction_description: mapping.transaction_description,
+            category_name: mapping.category_name,
+          }, { onConflict: 'user_id,transaction_description' })
+      : await supabase
+          .from('merchant_mappings')
+          .delete()
+          .eq('user_id', userId)
+          .eq('transaction_description', mapping.transaction_description);
+
+    if (mappingError) throw mappingError;
+  }
+
+  const { error: revertError } = await supabase
+    .from('change_batches')
+    .update({ reverted_at: new Date().toISOString() })
+    .eq('id', batch.id)
+    .eq('user_id', userId);
+
+  if (revertError) throw revertError;
+  return restored;
+}
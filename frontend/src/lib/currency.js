@@ -0,0 +1,201 @@
+/**
+ * Currencies: accounts held in different currencies, totalled in one base currency.
+ *
+ * Every account has a currency and its transactions are in it, as on its statement (see
+ * migrations/023_multi_currency.sql). Totals, budgets and net worth are converted to the
+ * user's base currency (user_settings.base_currency) with their own exchange rates: the
+ * latest rate on or before the amount's date, else the earliest after it. A pair is usable
+ * either way round. The database converts with the same rule in exchange_rate().
+ */
+
+import { readCSVTable } from './importUtils';
+import { t } from './i18n';
+
+export const DEFAULT_CURRENCY = 'USD';
+
+export const CURRENCIES = {
+  CAD: 'Canadian dollar',
+  USD: 'US dollar',
+  EUR: 'Euro',
+  GBP: 'British pound',
+  MXN: 'Mexican peso',
+  JPY: 'Japanese yen',
+  CHF: 'Swiss franc',
+  AUD: 'Australian dollar',
+};
+
+/**
+ * The symbol a locale writes for a currency: "$", "CA$", "€".
+ */
+export function currencySymbol(currency = DEFAULT_CURRENCY, locale = 'en-US') {
+  return new Intl.NumberFormat(locale, { style: 'currency', currency })
+    .formatToParts(0)
+    .find(part => part.type === 'currency')?.value || currency;
+}
+
+/**
+ * Format an amount in its currency: "$1,234.56", "CA$1,234.56", "1 234,56 $ US".
+ *
+ * @param {Object} options - Intl.NumberFormat options, plus `locale` (the user's number locale)
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY, { locale = 'en-US', ...options } = {}) {
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: 2,
+    ...options,
+  }).format(amount || 0);
+}
+
+/**
+ * The rate that turns one unit of `from` into `to` on a date, or null if there is none.
+ *
+ * @param {Array} rates - { rate_date, from_currency, to_currency, rate }
+ * @param {string} date - YYYY-MM-DD; today if omitted
+ */
+export function findRate(rates, from, to, date) {
+  if (from === to) return 1;
+  const day = date || new Date().toLocaleDateString('en-CA');
+
+  let best = null;
+  for (const r of rates) {
+    const rate = r.from_currency === from && r.to_currency === to
+      ? Number(r.rate)
+      : r.from_currency === to && r.to_currency === from ? 1 / Number(r.rate) : null;
+    if (rate === null) continue;
+
+    // Rates on or before the day beat any after it; then the closest wins
+    const before = r.rate_date <= day;
+    if (!best
+      || (before && !best.before)
+      || (before === best.before && (before ? r.rate_date > best.date : r.rate_date < best.date))) {
+      best = { rate, before, date: r.rate_date };
+    }
+  }
+  return best ? best.rate : null;
+}
+
+/**
+ * A converter to the base currency. Amounts with no usable rate count one-to-one and
+ * their currency is reported in `missing`, so the page can say so.
+ *
+ * @returns {Object} { baseCurrency, toBase(amount, currency, date), missing: Set }
+ */
+export function createConverter(baseCurrency, rates) {
+  const missing = new Set();
+  const toBase = (amount, currency, date) => {
+    const rate = findRate(rates, currency || baseCurrency, baseCurrency, date);
+    if (rate === null) {
+      missing.add(currency);
+      return Number(amount);
+    }
+    return Math.round(Number(amount) * rate * 100) / 100;
+  };
+  return { baseCurrency, toBase, missing };
+}
+
+/**
+ * Transaction rows with their amounts (and split lines) in the base currency, ready for
+ * the pages' existing sums. Converted rows keep what was spent as originalAmount and
+ * originalCurrency, for display.
+ *
+ * @param {Array} rows - Transactions with { amount, currency, date } and optional transaction_splits
+ */
+export function convertTransactions(converter, rows) {
+  return (rows || []).map(row => {
+    if (!row.currency || row.currency === converter.baseCurrency) return row;
+    const convert = (amount) => converter.toBase(amount, row.currency, row.date);
+    return {
+      ...row,
+      amount: convert(row.amount),
+      originalAmount: Number(row.amount),
+      originalCurrency: row.currency,
+      ...(row.transaction_splits && {
+        transaction_splits: row.transaction_splits.map(line => ({
+          ...line,
+          amount: convert(line.amount),
+          originalAmount: Number(line.amount),
+        })),
+      }),
+    };
+  });
+}
+
+/**
+ * Load the user's base currency and exchange rates (newest first).
+ *
+ * @returns {Promise<Object>} { baseCurrency, rates }
+ */
+export async function loadCurrencySettings(supabase, userId) {
+  const [{ data: settings, error: settingsError }, { data: rates, error: ratesError }] = await Promise.all([
+    supabase.from('user_settings').select('base_currency').eq('user_id', userId).maybeSingle(),
+    supabase
+      .from('exchange_rates')
+      .select('id, rate_date, from_currency, to_currency, rate')
+      .eq('user_id', userId)
+      .order('rate_date', { ascending: false }),
+  ]);
+
+  if (settingsError) throw settingsError;
+  if (ratesError) throw ratesError;
+  return { baseCurrency: settings?.base_currency || DEFAULT_CURRENCY, rates: rates || [] };
+}
+
+export async function saveBaseCurrency(supabase, userId, currency) {
+  const { error } = await supabase
+    .from('user_settings')
+    .upsert({ user_id: userId, base_currency: currency, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+  if (error) throw error;
+}
+
+/**
+ * Save rates, replacing any for the same pair and date.
+ *
+ * @param {Array} rates - { rate_date, from_currency, to_currency, rate }
+ */
+export async function saveExchangeRates(supabase, userId, rates) {
+  if (rates.length === 0) return;
+  const { error } = await supabase
+    .from('exchange_rates')
+    .upsert(rates.map(r => ({ ...r, user_id: userId })), { onConflict: 'user_id,from_currency,to_currency,rate_date' });
+  if (error) throw error;
+}
+
+export async function deleteExchangeRate(supabase, userId, id) {
+  const { error } = await supabase.from('exchange_rates').delete().eq('user_id', userId).eq('id', id);
+  if (error) throw error;
+}
+
+/**
+ * Read exchange rates from CSV. A header row names the columns date, from, to and rate in
+ * any order (e.g. "date,from,to,rate" / "2026-10-01,USD,CAD,1.3712").
+ *
+ * @returns {Object} { rates, errors: ['Row 3: ...'] }
+ */
+export function parseExchangeRatesCSV(csvText) {
+  const { headers, rows } = readCSVTable(csvText);
+  const column = (name) => headers.findIndex(h => h.trim().toLowerCase() === name);
+  const cols = { date: column('date'), from: column('from'), to: column('to'), rate: column('rate') };
+  const absent = Object.keys(cols).filter(key => cols[key] === -1);
+  if (absent.length) throw new Error(t('currency.csvMissingColumns', { columns: absent.join(', ') }));
+
+  const rates = [];
+  const errors = [];
+  rows.forEach((cells, i) => {
+    const date = (cells[cols.date] || '').trim();
+    const from = (cells[cols.from] || '').trim().toUpperCase();
+    const to = (cells[cols.to] || '').trim().toUpperCase();
+    const rate = parseFloat(cells[cols.rate]);
+    const problem = !/^\d{4}-\d{2}-\d{2}$/.test(date) ? 'csvBadDate'
+      : !/^[A-Z]{3}$/.test(from) || !/^[A-Z]{3}$/.test(to) ? 'csvBadCurrency'
+        : from === to ? 'csvSameCurrency'
+          : !(rate > 0) ? 'csvBadRate'
+            : null;
+    if (problem) {
+      errors.push(t('currency.csvRow', { row: i + 2, problem: t(`currency.${problem}`) }));
+    } else {
+      rates.push({ rate_date: date, from_currency: from, to_currency: to, rate });
+    }
+  });
+  return { rates, errors };
+}
@@ -0,0 +1,253 @@
+/**
+ * Fuzzy duplicates: the same bank transaction arriving twice by different paths — a CSV
+ * upload and the Google Sheet, say — a day apart or worded a little differently, which the
+ * exact date|description|amount check on import lets through.
+ *
+ * Every import path (ImportTransactions.jsx, AutoSyncContext.jsx, the google-sheets-webhook
+ * function) passes its insert-ready rows through holdSuspectedDuplicates() after that exact
+ * check. A row that looks like a transaction already recorded isn't inserted; it is queued
+ * in duplicate_reviews (migration 027) next to that transaction, and the user merges it,
+ * keeps both or discards it from the Import page. The decision stays under the row's
+ * signature, so the same row arriving again (a sheet sync reads every row each time) is
+ * settled without asking.
+ */
+
+import { tokenize } from './categorySuggestions.js';
+
+// How far apart two postings of one purchase can be
+export const DUPLICATE_DATE_WINDOW_DAYS = 3;
+
+// How far apart their amounts can be, as a share of the larger (tips, rounding, FX)
+export const DUPLICATE_AMOUNT_TOLERANCE = 0.01;
+
+// How alike their descriptions must be (shared words, see descriptionSimilarity)
+export const DUPLICATE_MIN_SIMILARITY = 0.5;
+
+// Types a duplicate can be; transfers are pairs and aren't checked
+const CHECKED_TYPES = ['income', 'expense', 'refund'];
+
+// Signatures per decisions query, to keep the request URL short
+const SIGNATURE_BATCH_SIZE = 100;
+
+// Rows per page of recorded transactions; PostgREST caps a response at 1000
+const EXISTING_PAGE_SIZE = 1000;
+
+const normalizeDesc = (desc) => (desc || '').toUpperCase().trim().replace(/\s+/g, ' ');
+const normalizeAmount = (amt) => Math.abs(Number(amt)).toFixed(2);
+
+const ymd = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+const shiftDate = (date, days) => {
+  const d = new Date(`${date}T00:00:00`);
+  d.setDate(d.getDate() + days);
+  return ymd(d);
+};
+
+const daysApart = (a, b) => Math.abs(Math.round((new Date(`${a}T00:00:00`) - new Date(`${b}T00:00:00`)) / 86400000));
+
+/**
+ * The key an incoming row's review decision is kept under: the same date|description|amount
+ * the exact duplicate check compares.
+ */
+export const importSignature = (row) => `${row.date}|${normalizeDesc(row.description)}|${normalizeAmount(row.amount)}`;
+
+/**
+ * How alike two descriptions are, 0 to 1: the share of their words they have in common
+ * (Dice coefficient), ignoring card numbers, reference ids and dates.
+ * "AMAZON MKTP CA*2K4" and "Amazon Mktp CA" score 1; "SQ *BLUE BOTTLE" and "BLUE BOTTLE COFFEE" 0.67.
+ */
+export function descriptionSimilarity(a, b) {
+  const wordsA = tokenize(a);
+  const wordsB = new Set(tokenize(b));
+  if (wordsA.length === 0 || wordsB.size === 0) return normalizeDesc(a) === normalizeDesc(b) ? 1 : 0;
+  const shared = wordsA.filter(word => wordsB.has(word)).length;
+  return (2 * shared) / (wordsA.length + wordsB.size);
+}
+
+/**
+ * How likely `existing` is the transaction `row` already records, or null if it can't be:
+ * a different type, too many days apart, amounts too different or descriptions too unlike.
+ * An exact amount counts most, then the wording, then fewer days apart.
+ */
+export function duplicateScore(row, existing) {
+  if (row.type !== existing.type) return null;
+
+  const days = daysApart(row.date, existing.date);
+  if (days > DUPLICATE_DATE_WINDOW_DAYS) return null;
+
+  const amount = Math.abs(Number(row.amount));
+  const other = Math.abs(Number(existing.amount));
+  const difference = Math.abs(amount - other);
+  if (difference > Math.max(0.01, DUPLICATE_AMOUNT_TOLERANCE * Math.max(amount, other))) return null;
+
+  const similarity = descriptionSimilarity(row.description, existing.description);
+  if (similarity < DUPLICATE_MIN_SIMILARITY) return null;
+
+  return (difference < 0.005 ? 1 : 0) + similarity - days / (DUPLICATE_DATE_WINDOW_DAYS + 1) / 2;
+}
+
+/**
+ * The transaction `row` most likely duplicates, or null.
+ */
+export function findDuplicate(row, existingTransactions) {
+  let best = null;
+  for (const existing of existingTransactions || []) {
+    const score = duplicateScore(row, existing);
+    if (score !== null && (!best || score > best.score)) best = { ...existing, score };
+  }
+  return best;
+}
+
+// Every recorded transaction a row dated between first and last could duplicate, paged past
+// the response cap so a long window or a busy account doesn't cut the comparison short
+async function loadWindowRows(supabase, userId, first, last) {
+  const rows = [];
+  for (let from = 0; ; from += EXISTING_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('id, type, amount, description, date')
+      .eq('user_id', userId)
+      .in('type', CHECKED_TYPES)
+      .is('deleted_at', null)
+      .gte('date', shiftDate(first, -DUPLICATE_DATE_WINDOW_DAYS))
+      .lte('date', shiftDate(last, DUPLICATE_DATE_WINDOW_DAYS))
+      .order('date', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + EXISTING_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < EXISTING_PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Hold back rows that look like transactions already recorded, before an import inserts them.
+ *
+ * Rows with a decision on file follow it: kept rows go through, merged and discarded ones
+ * (and ones still waiting for review) don't. Any other row resembling a recorded transaction
+ * is queued for review in duplicate_reviews instead of inserted.
+ *
+ * @param {Array} rows - Insert-ready transactions rows (user_id, account_id, type, amount, ...)
+ * @param {string} source - 'import' (Import page), 'sync' (auto-sync) or 'webhook', shown in the queue
+ * @returns {Promise<{rows: Array, held: number, settled: number, queued: Array}>} The rows to
+ *   insert, how many are waiting for review, how many an earlier merge or discard dropped, and
+ *   the signatures this call queued (for createImportBatch to link to the batch)
+ */
+export async function holdSuspectedDuplicates(supabase, userId, rows, source) {
+  const checked = rows.filter(row => CHECKED_TYPES.includes(row.type));
+  if (checked.length === 0) return { rows, held: 0, settled: 0, queued: [] };
+
+  const dates = checked.map(row => row.date).sort();
+  // Only the decisions on this import's rows: all of them could pass the 1000-row response cap
+  const signatures = [...new Set(checked.map(importSignature))];
+  const signatureBatches = [];
+  for (let i = 0; i < signatures.length; i += SIGNATURE_BATCH_SIZE) {
+    signatureBatches.push(signatures.slice(i, i + SIGNATURE_BATCH_SIZE));
+  }
+
+  const [existing, ...reviewsResults] = await Promise.all([
+    loadWindowRows(supabase, userId, dates[0], dates[dates.length - 1]),
+    ...signatureBatches.map(batch => supabase
+      .from('duplicate_reviews')
+      .select('signature, status')
+      .eq('user_id', userId)
+      .in('signature', batch)),
+  ]);
+
+  const reviewsError = reviewsResults.find(result => result.error);
+  if (reviewsError) throw reviewsError.error;
+
+  const decisions = new Map(reviewsResults.flatMap(result => result.data || []).map(review => [review.signature, review.status]));
+  const toInsert = [];
+  const queued = [];
+  let waiting = 0;
+  let settled = 0;
+
+  rows.forEach(row => {
+    if (!CHECKED_TYPES.includes(row.type)) {
+      toInsert.push(row);
+      return;
+    }
+
+    const signature = importSignature(row);
+    const decision = decisions.get(signature);
+    if (decision) {
+      if (decision === 'kept') toInsert.push(row);
+      else if (decision === 'pending') waiting++;
+      else settled++;
+      return;
+    }
+
+    const match = findDuplicate(row, existing);
+    if (!match) {
+      toInsert.push(row);
+      return;
+    }
+
+    decisions.set(signature, 'pending'); // The same row twice in one import is queued once
+    queued.push({ user_id: userId, signature, incoming: row, transaction_id: match.id, source });
+  });
+
+  if (queued.length > 0) {
+    const { error } = await supabase
+      .from('duplicate_reviews')
+      .upsert(queued, { onConflict: 'user_id,signature', ignoreDuplicates: true });
+    if (error) throw error;
+  }
+
+  return { rows: toInsert, held: queued.length + waiting, settled, queued: queued.map(review => review.signature) };
+}
+
+/**
+ * Suspected duplicates waiting for a decision, oldest first, each with the transaction it
+ * resembles.
+ */
+export async function loadDuplicateReviews(supabase, userId) {
+  const { data, error } = await supabase
+    .from('duplicate_reviews')
+    .select('id, incoming, source, created_at, transactions(id, date, description, amount, currency, type, provider, fitid, account_id, tags, categories(name))')
+    .eq('user_id', userId)
+    .eq('status', 'pending')
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Settle a suspected duplicate:
+ * - 'merged': it is the recorded transaction. That one stays as it is, taking only what it
+ *   lacks from the incoming row: the bank's id (same account only), the bank name and tags.
+ * - 'kept': they are two transactions; the incoming row is inserted.
+ * - 'discarded': the incoming row is dropped.
+ *
+ * @param {Object} review - As from loadDuplicateReviews()
+ * @param {string} decision - 'merged' | 'kept' | 'discarded'
+ */
+export async function resolveDuplicate(supabase, review, decision) {
+  const existing = review.transactions;
+  const incoming = review.incoming;
+
+  if (decision === 'merged' && existing) {
+    const updates = {
+      provider: existing.provider || incoming.provider || null,
+      tags: [...new Set([...(existing.tags || []), ...(incoming.tags || [])])],
+    };
+    if (!existing.fitid && incoming.fitid && incoming.account_id === existing.account_id) {
+      updates.fitid = incoming.fitid;
+    }
+    const { error } = await supabase.from('transactions').update(updates).eq('id', existing.id);
+    if (error) throw error;
+  }
+
+  if (decision === 'kept') {
+    const { error } = await supabase.from('transactions').insert(incoming);
+    if (error) throw error;
+  }
+
+  const { error } = await supabase
+    .from('duplicate_reviews')
+    .update({ status: decision, resolved_at: new Date().toISOString() })
+    .eq('id', review.id);
+  if (error) throw error;
+}
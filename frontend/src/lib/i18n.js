@@ -0,0 +1,86 @@
+/**
+ * Interface language: English and French message catalogs (src/locales), looked up by key.
+ *
+ *   t('budget.title')                          -> "Budget"
+ *   t('import.saved', { count: 3 })            -> "3 transactions saved"
+ *
+ * A message may hold {name} placeholders, filled from the values passed in. A message that
+ * depends on a count is an object of plural forms ({ one, other }) picked with
+ * Intl.PluralRules, so French "0 transaction" and English "0 transactions" both come out right.
+ * A key missing from the French catalog falls back to English, and a key missing from both
+ * shows as itself.
+ *
+ * The language is a preference (user_settings.language, migration 025) applied by
+ * contexts/I18nContext.jsx. Components read `t` from useI18n() so they re-render when it
+ * changes; plain modules (notifications, import errors) use the `t` exported here, which
+ * follows the same language. The last language used is remembered on the device, so the
+ * sign-in pages open in it too.
+ */
+import en from '../locales/en.js';
+import fr from '../locales/fr.js';
+
+export const LANGUAGES = {
+  en: { name: 'English', numberLocale: 'en-US' },
+  fr: { name: 'Français', numberLocale: 'fr-CA' },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const CATALOGS = { en, fr };
+const STORAGE_KEY = 'language';
+
+/**
+ * The language this device last used, else the browser's if we have it.
+ */
+export function storedLanguage() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (LANGUAGES[saved]) return saved;
+  } catch {
+    // Storage can be off (private mode); the browser language still works
+  }
+  const browser = (typeof navigator !== 'undefined' && navigator.language) || '';
+  return LANGUAGES[browser.slice(0, 2)] ? browser.slice(0, 2) : DEFAULT_LANGUAGE;
+}
+
+let currentLanguage = storedLanguage();
+
+export function getLanguage() {
+  return currentLanguage;
+}
+
+export function setLanguage(language) {
+  currentLanguage = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+  if (typeof document !== 'undefined') document.documentElement.lang = currentLanguage;
+  try {
+    localStorage.setItem(STORAGE_KEY, currentLanguage);
+  } catch {
+    // Not remembered on this device, which only matters before sign-in
+  }
+}
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+/**
+ * The message for `key` in `language`, with its placeholders filled.
+ */
+export function translate(language, key, values = {}) {
+  let message = lookup(CATALOGS[language], key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(language).select(Number(values.count) || 0);
+    message = message[form] ?? message.other;
+  }
+
+  return String(message).replace(/\{(\w+)\}/g, (match, name) => (
+    values[name] !== undefined && values[name] !== null ? String(values[name]) : match
+  ));
+}
+
+/**
+ * Translate in the current language, for code outside React components.
+ */
+export function t(key, values) {
+  return translate(currentLanguage, key, values);
+}
@@ -0,0 +1,133 @@
+/**
+ * Import batches: one record per import — a statement file, a Google Sheet fetched on the
+ * Import page, an auto-sync or a webhook call — with where it came from and what became of
+ * its rows (imported, skipped as duplicates, held for duplicate review, unreadable).
+ *
+ * Every import path records its batch just before inserting and stamps the rows it inserts
+ * with import_batch_id, so Settings → Import History can list them and roll the whole batch
+ * back with rollback_import_batch() (migration 028), which deletes them in one transaction.
+ * The duplicate reviews a batch queued are linked to it too, and go with it.
+ */
+
+// How many unreadable rows a batch keeps the messages of
+const MAX_ERRORS = 100;
+
+// Signatures per duplicate_reviews update, to keep the request URL short
+const SIGNATURE_BATCH_SIZE = 100;
+
+/**
+ * The batch source for an uploaded statement file, from its name.
+ */
+export function sourceOfFile(fileName) {
+  const name = String(fileName || '').toLowerCase();
+  if (name.endsWith('.csv')) return 'csv';
+  if (name.endsWith('.qif')) return 'qif';
+  return 'ofx';
+}
+
+/**
+ * Record an import about to insert its rows.
+ *
+ * @param {Object} batch - { source, sourceName, accountId, rowCount, importedCount,
+ *   duplicateCount, heldCount, errors, queued } where errors are the unreadable rows' messages
+ *   and queued the signatures holdSuspectedDuplicates() queued for review
+ * @returns {Promise<Object>} The stored batch row
+ */
+export async function createImportBatch(supabase, userId, batch) {
+  const errors = batch.errors || [];
+  const { data, error } = await supabase
+    .from('import_batches')
+    .insert({
+      user_id: userId,
+      account_id: batch.accountId || null,
+      source: batch.source,
+      source_name: batch.sourceName || null,
+      row_count: batch.rowCount || 0,
+      imported_count: batch.importedCount || 0,
+      duplicate_count: batch.duplicateCount || 0,
+      held_count: batch.heldCount || 0,
+      error_count: errors.length,
+      errors: errors.slice(0, MAX_ERRORS),
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  // The reviews this import queued belong to it: rolling it back removes them
+  const queued = batch.queued || [];
+  for (let i = 0; i < queued.length; i += SIGNATURE_BATCH_SIZE) {
+    const { error: linkError } = await supabase
+      .from('duplicate_reviews')
+      .update({ import_batch_id: data.id })
+      .eq('user_id', userId)
+      .eq('status', 'pending')
+      .is('import_batch_id', null)
+      .in('signature', queued.slice(i, i + SIGNATURE_BATCH_SIZE));
+    if (linkError) throw linkError;
+  }
+
+  return data;
+}
+
+/**
+ * Mark a batch whose insert failed, keeping why. Nothing of it was imported.
+ */
+export async function failImportBatch(supabase, batch, message) {
+  const { error } = await supabase
+    .from('import_batches')
+    .update({
+      status: 'failed',
+      imported_count: 0,
+      errors: [...(batch.errors || []), message].slice(-MAX_ERRORS),
+    })
+    .eq('id', batch.id);
+
+  if (error) console.error('Error recording failed import:', error);
+}
+
+/**
+ * Stamp insert-ready rows with the batch they come from.
+ */
+export const withImportBatch = (rows, batchId) => rows.map(row => ({ ...row, import_batch_id: batchId }));
+
+/**
+ * The user's imports, newest first.
+ */
+export async function loadImportBatches(supabase, userId, limit = 50) {
+  const { data, error } = await supabase
+    .from('import_batches')
+    .select('*, accounts(name)')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * The transactions a batch inserted that still exist, in date order.
+ */
+export async function loadBatchTransactions(supabase, batchId) {
+  const { data, error } = await supabase
+    .from('transactions')
+    .select('id, date, description, amount, currency, type, transfer_direction, deleted_at, categories(name)')
+    .eq('import_batch_id', batchId)
+    .order('date', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Roll a batch back: delete every transaction it inserted and the duplicate reviews it left
+ * pending, all or nothing.
+ *
+ * @returns {Promise<number>} How many transactions were deleted
+ */
+export async function rollbackImportBatch(supabase, batchId) {
+  const { data, error } = await supabase.rpc('rollback_import_batch', { p_batch_id: batchId });
+  if (error) throw error;
+  return data || 0;
+}
@@ -1,5 +1,7 @@
 // Import utility functions for transactions
 
+import { t } from './i18n';
+
 /**
  * Extract Sheet ID from a Google Sheets URL
  */
@@ -20,7 +22,7 @@ export function extractSheetId(input) {
 /**
  * Fetch transactions from Google Sheets using the public CSV export
  */
-export async function fetchTransactionsFromGoogleSheets(sheetId, sheetName = 'Expenses') {
+export async function fetchTransactionsFromGoogleSheets(sheetId, sheetName = 'Expenses', options = {}) {
   try {
     // Google Sheets public CSV URL
     const url = `https://docs.google.com/spreadsheets/d/${sheetId}/gviz/tq?tqx=out:csv&sheet=${encodeURIComponent(sheetName)}`;
@@ -32,66 +34,194 @@ export async function fetchTransactionsFromGoogleSheets(sheetId, sheetName = 'Ex
     }
 
     const csvText = await response.text();
-    return parseCSVText(csvText);
+    return parseCSVText(csvText, options);
   } catch (error) {
     if (error.message.includes('Failed to fetch')) {
-      throw new Error('Could not access Google Sheet. Make sure it is set to "Anyone with the link can view".');
+      throw new Error(t('importErrors.sheetAccess'));
     }
     throw error;
   }
 }
 
 /**
- * Parse CSV text into transaction objects
+ * Parse CSV text into transaction objects, guessing which column is which
+ *
+ * @param {Object} options - { dateOrder: 'MDY' | 'DMY' } for dates the file leaves ambiguous
  */
-function parseCSVText(csvText) {
-  const lines = csvText.split('\n').filter(line => line.trim());
+function parseCSVText(csvText, options = {}) {
+  const table = readCSVTable(csvText);
+  return applyColumnMapping(table, guessColumnMapping(table.headers, table.rows), options);
+}
+
+/**
+ * Split CSV text into its header row and data rows
+ */
+export function readCSVTable(csvText) {
+  const lines = csvText.replace(/^\uFEFF/, '').split('\n').filter(line => line.trim());
 
   if (lines.length < 2) {
-    throw new Error('CSV file appears to be empty or has no data rows');
+    throw new Error(t('importErrors.emptyCsv'));
   }
 
-  // Parse header
-  const headers = parseCSVLine(lines[0]).map(h => h.toLowerCase().trim());
+  return {
+    headers: parseCSVLine(lines[0]),
+    rows: lines.slice(1).map(parseCSVLine),
+  };
+}
 
-  // Find column indices
-  const dateIdx = headers.findIndex(h => h.includes('date'));
-  // Find both sub-description and description columns
-  const subDescIdx = headers.findIndex(h => h.includes('sub-description') || h.includes('sub_description'));
-  const descIdx = headers.findIndex(h => h === 'description' || h.includes('merchant') || h.includes('name'));
-  const amountIdx = headers.findIndex(h => h.includes('amount') || h.includes('debit') || h.includes('withdrawal'));
-  // Find bank column (optional)
-  const bankIdx = headers.findIndex(h => h === 'bank' || h.includes('bank') || h.includes('institution') || h.includes('source'));
-  // Find type column (optional) - for distinguishing income vs expense
-  const typeIdx = headers.findIndex(h => h === 'type' || h.includes('type'));
+/**
+ * Identify a bank's CSV layout by its header row, so a saved column mapping can be
+ * picked up again on the next import from the same bank
+ */
+export function headerFingerprint(headers) {
+  return headers.map(h => h.toLowerCase().trim().replace(/\s+/g, ' ')).join('|');
+}
 
-  // Need at least one description column
-  const hasDescColumn = subDescIdx !== -1 || descIdx !== -1;
-  if (dateIdx === -1 || !hasDescColumn || amountIdx === -1) {
-    throw new Error('CSV must have columns for date, description, and amount');
+/**
+ * Column mapping: which header holds what, and how to read it
+ * {
+ *   date, dateFormat: 'auto' | 'MDY' | 'DMY' | 'YMD',
+ *   description, fallbackDescription,   // fallback is used when description is empty
+ *   amountMode: 'single' | 'split',     // one amount column, or separate debit/credit columns
+ *   amount, sign: 'type' | 'negative_expense' | 'negative_income',
+ *   debit, credit,
+ *   bank, type,                         // optional
+ * }
+ * Columns are stored by header name; '' means "not in this file".
+ */
+export function guessColumnMapping(headers, rows = []) {
+  const lower = headers.map(h => h.toLowerCase().trim());
+  const find = (test) => {
+    const idx = lower.findIndex(test);
+    return idx === -1 ? '' : headers[idx];
+  };
+
+  const date = find(h => h.includes('date'));
+  // Prefer sub-description, fall back to description if empty
+  const subDescription = find(h => h.includes('sub-description') || h.includes('sub_description'));
+  const description = find(h => h === 'description' || h.includes('merchant') || h.includes('name'));
+  const amount = find(h => h.includes('amount'));
+  const debit = find(h => h.includes('debit') || h.includes('withdrawal'));
+  const credit = find(h => h.includes('credit') || h.includes('deposit'));
+  const bank = find(h => h === 'bank' || h.includes('bank') || h.includes('institution') || h.includes('source'));
+  const type = find(h => h === 'type' || h.includes('type'));
+
+  const amountMode = !amount && debit && credit ? 'split' : 'single';
+  const amountColumn = amount || debit;
+
+  // Without a type column, a mix of negative and positive amounts means the sign carries it
+  const amountIdx = headers.indexOf(amountColumn);
+  const amounts = rows.map(r => parseSignedAmount(r[amountIdx])).filter(a => !isNaN(a));
+  const signed = amounts.some(a => a < 0) && amounts.some(a => a > 0);
+
+  return {
+    date,
+    dateFormat: detectDateFormat(rows.map(r => r[headers.indexOf(date)])),
+    description: subDescription || description,
+    fallbackDescription: subDescription ? description : '',
+    amountMode,
+    amount: amountMode === 'single' ? amountColumn : '',
+    sign: !type && signed ? 'negative_expense' : 'type',
+    debit: amountMode === 'split' ? debit : '',
+    credit: amountMode === 'split' ? credit : '',
+    bank,
+    type,
+  };
+}
+
+/**
+ * Work out the day/month order from sample dates. Returns 'auto' when nothing in the
+ * sample settles it (every day is 12 or less), which reads ambiguous dates in the user's
+ * import date order (MM/DD unless changed in Settings).
+ */
+export function detectDateFormat(values) {
+  const parts = values
+    .map(v => (v || '').replace(/"/g, '').trim().split(/[./-]/))
+    .filter(p => p.length === 3 && p.every(n => /^\d+$/.test(n)));
+
+  if (parts.length === 0) return 'auto';
+  if (parts.every(p => p[0].length === 4)) return 'YMD';
+  if (parts.some(p => Number(p[0]) > 12)) return 'DMY';
+  if (parts.some(p => Number(p[1]) > 12)) return 'MDY';
+  return 'auto';
+}
+
+/**
+ * Turn CSV rows into transaction objects using an explicit column mapping
+ *
+ * @param {Object} options - { dateOrder: 'MDY' | 'DMY' } for ambiguous dates under an 'auto' mapping
+ */
+export function applyColumnMapping({ headers, rows }, mapping, { dateOrder } = {}) {
+  const column = (name) => (name ? headers.indexOf(name) : -1);
+  const idx = {
+    date: column(mapping.date),
+    description: column(mapping.description),
+    fallbackDescription: column(mapping.fallbackDescription),
+    amount: column(mapping.amount),
+    debit: column(mapping.debit),
+    credit: column(mapping.credit),
+    bank: column(mapping.bank),
+    type: column(mapping.type),
+  };
+  const isSplit = mapping.amountMode === 'split';
+
+  const hasDescColumn = idx.description !== -1 || idx.fallbackDescription !== -1;
+  const hasAmountColumn = isSplit ? idx.debit !== -1 || idx.credit !== -1 : idx.amount !== -1;
+  if (idx.date === -1 || !hasDescColumn || !hasAmountColumn) {
+    throw new Error(t('importErrors.csvColumns'));
   }
 
-  // Parse data rows
   const transactions = [];
-  for (let i = 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-    const maxIdx = Math.max(dateIdx, subDescIdx, descIdx, amountIdx, bankIdx, typeIdx);
-    if (values.length <= maxIdx) continue;
-
-    const date = parseDate(values[dateIdx]);
-    // Prefer sub-description, fall back to description if empty
-    const subDesc = subDescIdx !== -1 ? values[subDescIdx]?.trim() : '';
-    const desc = descIdx !== -1 ? values[descIdx]?.trim() : '';
-    const description = subDesc || desc || '';
-    const amount = parseAmount(values[amountIdx]);
-    const bank = bankIdx !== -1 ? values[bankIdx]?.trim() : '';
-    // Parse type column - default to 'expense' if not specified
-    const typeValue = typeIdx !== -1 ? values[typeIdx]?.trim().toLowerCase() : '';
-    const type = typeValue === 'income' ? 'income' : 'expense';
+  const expenseSigns = []; // Sign of each type-column expense, by its row in `transactions`
+  rows.forEach(values => {
+    const value = (i) => (i !== -1 ? (values[i] || '').trim() : '');
+
+    const date = parseDateWithFormat(value(idx.date), mapping.dateFormat, dateOrder);
+    const description = value(idx.description) || value(idx.fallbackDescription);
+    let amount;
+    let type;
+
+    if (isSplit) {
+      // Money in the credit column is income; everything else is spending
+      const credit = parseSignedAmount(value(idx.credit));
+      const debit = parseSignedAmount(value(idx.debit));
+      if (!isNaN(credit) && credit !== 0) {
+        amount = Math.abs(credit);
+        type = 'income';
+      } else {
+        amount = Math.abs(debit);
+        type = 'expense';
+      }
+    } else {
+      const signedAmount = parseSignedAmount(value(idx.amount));
+      amount = Math.abs(signedAmount); // We track expenses as positive amounts
+      if (mapping.sign === 'negative_expense') {
+        type = signedAmount < 0 ? 'expense' : 'income';
+      } else if (mapping.sign === 'negative_income') {
+        type = signedAmount < 0 ? 'income' : 'expense';
+      } else {
+        // Type column - default to 'expense' if not specified
+        const typed = value(idx.type).toLowerCase();
+        type = typed === 'income' || typed === 'refund' ? typed : 'expense';
+      }
+    }
 
     if (date && description && !isNaN(amount) && amount > 0) {
-      transactions.push({ date, description, amount, bank, type });
+      if (!isSplit && mapping.sign === 'type' && type === 'expense') {
+        expenseSigns[transactions.length] = Math.sign(parseSignedAmount(value(idx.amount)));
+      }
+      transactions.push({ date, description, amount, bank: value(idx.bank), type });
     }
+  });
+
+  // A type column often calls a return an expense too, just with the other sign: most
+  // expenses share one sign, and those with the other are refunds
+  const signs = expenseSigns.filter(Boolean);
+  const usual = Math.sign(signs.reduce((sum, sign) => sum + sign, 0));
+  if (usual !== 0) {
+    expenseSigns.forEach((sign, i) => {
+      if (sign === -usual) transactions[i].type = 'refund';
+    });
   }
 
   return transactions;
@@ -124,9 +254,10 @@ function parseCSVLine(line) {
 
 /**
  * Parse date string into YYYY-MM-DD format
- * Supports: DD.MM.YYYY, DD/MM/YYYY, MM/DD/YYYY, YYYY-MM-DD, and other standard formats
+ * Supports: DD.MM.YYYY, DD/MM/YYYY, MM/DD/YYYY, YYYY-MM-DD, and other standard formats.
+ * A slash date that could be either (03/04/2026) is read in dateOrder.
  */
-function parseDate(dateStr) {
+function parseDate(dateStr, dateOrder = 'MDY') {
   if (!dateStr) return null;
 
   // Remove quotes
@@ -150,8 +281,8 @@ function parseDate(dateStr) {
     const fullYear = year.length === 2 ? `20${year}` : year;
 
     // Determine if it's DD/MM/YYYY or MM/DD/YYYY
-    // If first number > 12, it must be day (European format)
-    // Otherwise assume MM/DD/YYYY (American format)
+    // If first number > 12, it must be day (European format), and the other way round;
+    // otherwise follow the user's import date order
     const firstNum = parseInt(first);
     const secondNum = parseInt(second);
 
@@ -161,8 +292,9 @@ function parseDate(dateStr) {
     } else if (secondNum > 12) {
       // Must be MM/DD/YYYY (American)
       return `${fullYear}-${first.padStart(2, '0')}-${second.padStart(2, '0')}`;
+    } else if (dateOrder === 'DMY') {
+      return `${fullYear}-${second.padStart(2, '0')}-${first.padStart(2, '0')}`;
     } else {
-      // Ambiguous - assume MM/DD/YYYY (American) for compatibility
       return `${fullYear}-${first.padStart(2, '0')}-${second.padStart(2, '0')}`;
     }
   }
@@ -182,9 +314,31 @@ function parseDate(dateStr) {
 }
 
 /**
- * Parse amount string into number
+ * Parse a date in a known day/month order ('MDY', 'DMY' or 'YMD'). 'auto' and anything
+ * that isn't three numbers go through parseDate's guessing.
+ */
+function parseDateWithFormat(dateStr, format = 'auto', dateOrder) {
+  if (!dateStr) return null;
+
+  const parts = dateStr.replace(/"/g, '').trim().split(/[./-]/);
+  if (format === 'auto' || parts.length !== 3 || !parts.every(p => /^\d+$/.test(p))) {
+    return parseDate(dateStr, dateOrder);
+  }
+
+  const order = { MDY: [2, 0, 1], DMY: [2, 1, 0], YMD: [0, 1, 2] }[format];
+  if (!order) return parseDate(dateStr, dateOrder);
+
+  const [year, month, day] = order.map(i => parts[i]);
+  const fullYear = year.length === 2 ? `20${year}` : year;
+  if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return null;
+
+  return `${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+/**
+ * Parse amount string into a signed number
  */
-function parseAmount(amountStr) {
+function parseSignedAmount(amountStr) {
   if (!amountStr) return NaN;
 
   // Remove quotes, currency symbols, commas
@@ -194,35 +348,202 @@ function parseAmount(amountStr) {
     .replace(/[()]/g, '-')  // Treat (100) as -100
     .trim();
 
-  const amount = parseFloat(cleaned);
-  return Math.abs(amount); // Return absolute value since we track expenses as positive
+  return parseFloat(cleaned);
+}
+
+/**
+ * Decode the few character entities OFX files use in text fields
+ */
+function decodeOFXText(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
 }
 
 /**
- * Parse a CSV file
+ * Read one field from an OFX block. Works for both OFX 1.x (SGML, no closing tags)
+ * and OFX 2.x (XML) since the value always runs up to the next tag or line break.
  */
-export function parseCSVFile(file) {
+function getOFXField(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeOFXText(match[1]) : '';
+}
+
+/**
+ * An OFX amount as a number. OFX allows a comma as the decimal separator (-45,67). Whichever
+ * of comma and dot comes last is the decimal separator; the other groups thousands
+ * (1.234,56 and 1,234.56 both read 1234.56).
+ */
+function parseOFXAmount(raw) {
+  const value = raw.trim();
+  const decimal = value.lastIndexOf(',') > value.lastIndexOf('.') ? ',' : '.';
+  const thousands = decimal === ',' ? '.' : ',';
+  return parseFloat(value.split(thousands).join('').replace(decimal, '.'));
+}
+
+/**
+ * Parse OFX/QFX text into transaction objects
+ * Each <STMTTRN> becomes one transaction; its FITID (the bank's own transaction id)
+ * is kept so re-importing an overlapping statement can skip exact duplicates.
+ */
+export function parseOFXText(ofxText) {
+  if (!/<OFX>/i.test(ofxText)) {
+    throw new Error(t('importErrors.notOfx'));
+  }
+
+  // Financial institution name, when the bank includes it
+  const bank = getOFXField(ofxText, 'ORG');
+
+  const blocks = ofxText.split(/<STMTTRN>/i).slice(1);
+  if (blocks.length === 0) {
+    throw new Error(t('importErrors.noOfxTransactions'));
+  }
+
+  const transactions = [];
+  blocks.forEach(raw => {
+    const block = raw.split(/<\/STMTTRN>/i)[0];
+
+    // DTPOSTED is YYYYMMDD, optionally followed by time and timezone
+    const posted = getOFXField(block, 'DTPOSTED').match(/^(\d{4})(\d{2})(\d{2})/);
+    const date = posted ? `${posted[1]}-${posted[2]}-${posted[3]}` : null;
+    const signedAmount = parseOFXAmount(getOFXField(block, 'TRNAMT'));
+    const name = getOFXField(block, 'NAME') || getOFXField(block, 'PAYEE');
+    const memo = getOFXField(block, 'MEMO');
+    const fitid = getOFXField(block, 'FITID');
+
+    if (date && (name || memo) && !isNaN(signedAmount) && signedAmount !== 0) {
+      transactions.push({
+        date,
+        description: name || memo,
+        amount: Math.abs(signedAmount),
+        bank,
+        // Money coming in is positive in OFX, whatever the account type
+        type: signedAmount > 0 ? 'income' : 'expense',
+        fitid: fitid || null,
+      });
+    }
+  });
+
+  return transactions;
+}
+
+/**
+ * A QIF date as YYYY-MM-DD, or null when it doesn't read as a real date. QIF writes years
+ * from 2000 on after an apostrophe, often space-padded: 1/5'24, 12/31' 4.
+ */
+function parseQIFDate(raw, dateOrder) {
+  const match = raw.trim().match(/^(\d{1,2})\s*\/\s*(\d{1,2})\s*['/]\s*(\d{4}|\d{1,2})$/);
+  let dateStr = raw.trim();
+  if (match) {
+    const [, first, second, year] = match;
+    dateStr = `${first}/${second}/${year.length === 4 ? year : `20${year.padStart(2, '0')}`}`;
+  }
+
+  const date = parseDate(dateStr, dateOrder);
+  const parts = date?.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!parts) return null;
+  const [year, month, day] = parts.slice(1).map(Number);
+  const check = new Date(year, month - 1, day);
+  return check.getFullYear() === year && check.getMonth() === month - 1 && check.getDate() === day ? date : null;
+}
+
+/**
+ * Parse QIF text into transaction objects
+ * QIF records are one field per line (D date, T amount, P payee, M memo) ending in "^".
+ * QIF has no transaction ids, so these rows are deduplicated like CSV rows.
+ */
+export function parseQIFText(qifText, { dateOrder } = {}) {
+  const lines = qifText.split(/\r?\n/);
+  if (!lines.some(line => line.trim().startsWith('!Type:'))) {
+    throw new Error(t('importErrors.notQif'));
+  }
+
+  const transactions = [];
+  let record = {};
+
+  const finishRecord = () => {
+    // Records whose date doesn't parse are skipped, like those missing an amount
+    const date = record.D ? parseQIFDate(record.D, dateOrder) : null;
+    const signedAmount = parseFloat((record.T || record.U || '').replace(/[$,]/g, ''));
+    const description = record.P || record.M || '';
+
+    if (date && description && !isNaN(signedAmount) && signedAmount !== 0) {
+      transactions.push({
+        date,
+        description,
+        amount: Math.abs(signedAmount),
+        bank: '',
+        type: signedAmount > 0 ? 'income' : 'expense',
+      });
+    }
+    record = {};
+  };
+
+  lines.forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('!')) return;
+    if (line === '^') {
+      finishRecord();
+      return;
+    }
+    // Split lines (S/E/$) belong to the bank's own categories; the record total is what we import
+    const code = line[0];
+    if (!record[code]) record[code] = line.slice(1).trim();
+  });
+  if (Object.keys(record).length > 0) finishRecord();
+
+  return transactions;
+}
+
+// File extensions ImportTransactions accepts, and how each is parsed
+const STATEMENT_PARSERS = {
+  csv: parseCSVText,
+  ofx: parseOFXText,
+  qfx: parseOFXText, // Quicken's OFX
+  qif: parseQIFText,
+};
+
+export const STATEMENT_FILE_ACCEPT = Object.keys(STATEMENT_PARSERS).map(ext => `.${ext}`).join(',');
+
+/**
+ * Read a File as text
+ */
+export function readFileText(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
 
     reader.onload = (event) => {
-      try {
-        const csvText = event.target.result;
-        const transactions = parseCSVText(csvText);
-        resolve(transactions);
-      } catch (error) {
-        reject(error);
-      }
+      resolve(event.target.result);
     };
 
     reader.onerror = () => {
-      reject(new Error('Failed to read file'));
+      reject(new Error(t('importErrors.readFailed')));
     };
 
     reader.readAsText(file);
   });
 }
 
+/**
+ * Parse a bank statement file (CSV, OFX, QFX or QIF), picking the parser by extension
+ *
+ * @param {Object} options - { dateOrder: 'MDY' | 'DMY' } for ambiguous CSV and QIF dates
+ */
+export async function parseStatementFile(file, options = {}) {
+  const extension = file.name.split('.').pop().toLowerCase();
+  const parser = STATEMENT_PARSERS[extension];
+
+  if (!parser) {
+    throw new Error(t('importErrors.unsupportedFile'));
+  }
+
+  return parser(await readFileText(file), options);
+}
+
 /**
  * Validate transactions and separate valid from invalid
  */
@@ -233,9 +554,9 @@ export function validateTransactions(transactions) {
   transactions.forEach((tx, index) => {
     const errors = [];
 
-    if (!tx.date) errors.push('Missing date');
-    if (!tx.description) errors.push('Missing description');
-    if (isNaN(tx.amount) || tx.amount <= 0) errors.push('Invalid amount');
+    if (!tx.date) errors.push(t('importErrors.missingDate'));
+    if (!tx.description) errors.push(t('importErrors.missingDescription'));
+    if (isNaN(tx.amount) || tx.amount <= 0) errors.push(t('importErrors.invalidAmount'));
 
     if (errors.length === 0) {
       valid.push(tx);
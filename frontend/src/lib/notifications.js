@@ -3,6 +3,12 @@
  * Handles browser notifications for budget alerts and transactions
  */
 
+import { SPLITS_SELECT, expandSplits } from './splits';
+import { SPENDING_TYPES, spendingAmount } from './refunds';
+import { formatMoney, createConverter, convertTransactions, loadCurrencySettings } from './currency';
+import { loadPreferences } from './preferences';
+import { t } from './i18n';
+
 // Check if notifications are supported
 export const isNotificationSupported = () => {
   return 'Notification' in window;
@@ -81,48 +87,40 @@ export const showNotification = async (title, options = {}) => {
   }
 };
 
-// Notification for new transaction
-export const notifyNewTransaction = (transaction, categoryName) => {
-  const { amount, type, description } = transaction;
-  const formattedAmount = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD'
-  }).format(amount);
+// Notification for new transaction (in its own currency, if given, written for the user's locale)
+export const notifyNewTransaction = (transaction, categoryName, locale) => {
+  const { amount, currency, type, description } = transaction;
+  const formattedAmount = formatMoney(amount, currency, { locale });
 
-  const title = type === 'expense' ? 'New Expense Added' : 'New Income Added';
+  const title = type === 'expense' ? t('notifications.newExpense')
+    : type === 'refund' ? t('notifications.newRefund')
+    : t('notifications.newIncome');
   const icon = type === 'expense' ? '💸' : '💰';
 
   showNotification(title, {
-    body: `${icon} ${formattedAmount} - ${categoryName}\n${description || 'No description'}`,
+    body: `${icon} ${formattedAmount} - ${categoryName}\n${description || t('common.noDescription')}`,
     tag: 'transaction-' + Date.now()
   });
 };
 
-// Notification for budget limit approaching
-export const notifyBudgetLimit = (categoryName, spent, limit, percentUsed) => {
-  const formattedSpent = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD'
-  }).format(spent);
-
-  const formattedLimit = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD'
-  }).format(limit);
+// Notification for budget limit approaching (budgets are in the base currency)
+export const notifyBudgetLimit = (categoryName, spent, limit, percentUsed, currency, locale) => {
+  const formattedSpent = formatMoney(spent, currency, { locale });
+  const formattedLimit = formatMoney(limit, currency, { locale });
 
   let title, body, urgency;
 
   if (percentUsed >= 100) {
-    title = '🚨 Budget Exceeded!';
+    title = t('notifications.budgetExceeded');
     body = `${categoryName}: ${formattedSpent} / ${formattedLimit} (${Math.round(percentUsed)}%)`;
     urgency = 'critical';
   } else if (percentUsed >= 90) {
-    title = '⚠️ Budget Almost Reached!';
+    title = t('notifications.budgetAlmost');
     body = `${categoryName}: ${formattedSpent} / ${formattedLimit} (${Math.round(percentUsed)}%)`;
     urgency = 'high';
   } else if (percentUsed >= 80) {
-    title = '📊 Budget Alert';
-    body = `${categoryName} is at ${Math.round(percentUsed)}% of limit\n${formattedSpent} / ${formattedLimit}`;
+    title = t('notifications.budgetAlert');
+    body = `${t('notifications.budgetAtPercent', { category: categoryName, percent: Math.round(percentUsed) })}\n${formattedSpent} / ${formattedLimit}`;
     urgency = 'medium';
   } else {
     // Don't notify if under 80%
@@ -177,21 +175,26 @@ export const checkBudgetAndNotify = async (supabase, userId, categoryId, newTran
 
     const limit = categoryBudget.limit_amount;
 
-    // Get total spent in this category this month
+    // Get total spent in this category this month, in the base currency. The whole month is
+    // loaded because a split transaction counts here by its line, whatever its own category_id says.
+    const { baseCurrency, rates } = await loadCurrencySettings(supabase, userId);
     const { data: transactions } = await supabase
       .from('transactions')
-      .select('amount')
+      .select(`type, category_id, amount, currency, date, ${SPLITS_SELECT}`)
       .eq('user_id', userId)
-      .eq('category_id', categoryId)
-      .eq('type', 'expense')
+      .in('type', SPENDING_TYPES)
+      .is('deleted_at', null)
       .gte('date', startDate)
       .lte('date', endDate);
 
-    const totalSpent = (transactions || []).reduce((sum, t) => sum + Number(t.amount), 0);
+    const totalSpent = expandSplits(convertTransactions(createConverter(baseCurrency, rates), transactions))
+      .filter(t => t.category_id === categoryId)
+      .reduce((sum, t) => sum + spendingAmount(t), 0);
     const percentUsed = (totalSpent / limit) * 100;
 
     // Notify if approaching or exceeding limit
-    notifyBudgetLimit(category.name, totalSpent, limit, percentUsed);
+    const { numberLocale } = await loadPreferences(supabase, userId);
+    notifyBudgetLimit(category.name, totalSpent, limit, percentUsed, baseCurrency, numberLocale);
 
   } catch (error) {
     console.error('Error checking budget:', error);
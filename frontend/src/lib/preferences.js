@@ -0,0 +1,180 @@
+/**
+ * Display preferences: the interface language (lib/i18n.js), how numbers and dates are
+ * written, which day a week starts on, and how ambiguous dates in imports are read. Also
+ * how long the trash keeps transactions (lib/trash.js) and whether the Budget page is
+ * zero-based (lib/zeroBased.js).
+ *
+ * Stored on user_settings (see migrations 024, 025, 029 and 031) and shared through
+ * contexts/PreferencesContext.jsx. The display currency is the base currency, kept with the
+ * exchange rates in lib/currency.js. The defaults are what the app did before.
+ */
+
+export const DEFAULT_PREFERENCES = {
+  language: 'en',
+  numberLocale: 'en-US',
+  dateFormat: 'MMM D, YYYY',
+  weekStart: 1,
+  importDateOrder: 'MDY',
+  trashRetentionDays: null,
+  budgetMode: 'limits',
+};
+
+export const NUMBER_LOCALES = {
+  'en-US': 'English (US)',
+  'en-CA': 'English (Canada)',
+  'fr-CA': 'Français (Canada)',
+  'en-GB': 'English (UK)',
+  'fr-FR': 'Français (France)',
+  'de-DE': 'Deutsch',
+  'es-MX': 'Español (México)',
+};
+
+// Each date format, and the same without the year for labels like "Oct 19"
+export const DATE_FORMATS = {
+  'MMM D, YYYY': 'MMM D',
+  'D MMM YYYY': 'D MMM',
+  'MM/DD/YYYY': 'MM/DD',
+  'DD/MM/YYYY': 'DD/MM',
+  'YYYY-MM-DD': 'MM-DD',
+};
+
+// Day numbers as in Date.getDay(), with their message keys (lib/i18n.js)
+export const WEEK_STARTS = { 0: 'preferences.sunday', 1: 'preferences.monday', 6: 'preferences.saturday' };
+
+// How an imported 03/04/2026 is read when nothing else in the file settles it
+export const IMPORT_DATE_ORDERS = {
+  MDY: 'preferences.monthFirst',
+  DMY: 'preferences.dayFirst',
+};
+
+const COLUMNS = {
+  language: 'language',
+  numberLocale: 'number_locale',
+  dateFormat: 'date_format',
+  weekStart: 'week_start',
+  importDateOrder: 'import_date_order',
+  trashRetentionDays: 'trash_retention_days',
+  budgetMode: 'budget_mode',
+};
+
+// A Date, a 'YYYY-MM-DD' day (read as local, not UTC midnight) or a timestamp
+const toDate = (value) => {
+  if (value instanceof Date) return value;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  return new Date(value);
+};
+
+/**
+ * Write a date in the chosen format: "Oct 19, 2026", "19/10/2026", "2026-10-19".
+ *
+ * @param {Object} options - { year: false to leave it out, weekday: 'short' | 'long' to lead with it }
+ */
+export function formatDate(value, preferences = DEFAULT_PREFERENCES, { year = true, weekday } = {}) {
+  if (!value) return '';
+  const date = toDate(value);
+  if (isNaN(date.getTime())) return '';
+
+  const pad = (n) => String(n).padStart(2, '0');
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    MMM: new Intl.DateTimeFormat(preferences.numberLocale, { month: 'short' }).format(date),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    D: String(date.getDate()),
+  };
+  const pattern = year ? preferences.dateFormat : DATE_FORMATS[preferences.dateFormat];
+  const text = (pattern || preferences.dateFormat).replace(/YYYY|MMM|MM|DD|D/g, token => tokens[token]);
+  if (!weekday) return text;
+  return `${new Intl.DateTimeFormat(preferences.numberLocale, { weekday }).format(date)}, ${text}`;
+}
+
+/**
+ * A month heading in the user's language: "October 2026", "octobre 2026".
+ */
+export function formatMonth(value, preferences = DEFAULT_PREFERENCES, { year = true } = {}) {
+  return new Intl.DateTimeFormat(preferences.numberLocale, {
+    month: 'long',
+    year: year ? 'numeric' : undefined,
+  }).format(toDate(value));
+}
+
+/**
+ * A moment: the date in the chosen format and the time, e.g. "Oct 19, 2026 3:42 PM".
+ */
+export function formatDateTime(value, preferences = DEFAULT_PREFERENCES) {
+  const date = toDate(value);
+  const time = new Intl.DateTimeFormat(preferences.numberLocale, { hour: 'numeric', minute: '2-digit' }).format(date);
+  return `${formatDate(date, preferences)} ${time}`;
+}
+
+export function formatNumber(value, preferences = DEFAULT_PREFERENCES, options = {}) {
+  return new Intl.NumberFormat(preferences.numberLocale, options).format(value || 0);
+}
+
+/**
+ * The seven day names, starting on the user's first day of the week.
+ *
+ * @param {string} style - 'short' (Mon), 'narrow' (M) or 'long' (Monday)
+ */
+export function weekdayNames(preferences = DEFAULT_PREFERENCES, style = 'short') {
+  const format = new Intl.DateTimeFormat(preferences.numberLocale, { weekday: style });
+  // 2026-01-04 is a Sunday
+  return Array.from({ length: 7 }, (_, i) => format.format(new Date(2026, 0, 4 + ((preferences.weekStart + i) % 7))));
+}
+
+/**
+ * The twelve month names, January first.
+ *
+ * @param {string} style - 'long' (January) or 'short' (Jan)
+ */
+export function monthNames(preferences = DEFAULT_PREFERENCES, style = 'long') {
+  const format = new Intl.DateTimeFormat(preferences.numberLocale, { month: style });
+  return Array.from({ length: 12 }, (_, i) => format.format(new Date(2026, i, 1)));
+}
+
+/**
+ * Midnight on the first day of the week holding `date`.
+ */
+export function startOfWeek(date, weekStart = DEFAULT_PREFERENCES.weekStart) {
+  const start = new Date(date);
+  start.setDate(start.getDate() - ((start.getDay() - weekStart + 7) % 7));
+  start.setHours(0, 0, 0, 0);
+  return start;
+}
+
+/**
+ * Where `day` (0 = Sunday, as Date.getDay()) falls in a week starting on weekStart.
+ */
+export function dayOfWeekIndex(day, weekStart = DEFAULT_PREFERENCES.weekStart) {
+  return (day - weekStart + 7) % 7;
+}
+
+export async function loadPreferences(supabase, userId) {
+  const { data, error } = await supabase
+    .from('user_settings')
+    .select(Object.values(COLUMNS).join(', '))
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  const preferences = { ...DEFAULT_PREFERENCES };
+  Object.entries(COLUMNS).forEach(([key, column]) => {
+    if (data?.[column] !== undefined && data[column] !== null) preferences[key] = data[column];
+  });
+  return preferences;
+}
+
+/**
+ * Save some preferences, e.g. { dateFormat: 'DD/MM/YYYY' }.
+ */
+export async function savePreferences(supabase, userId, changes) {
+  const row = { user_id: userId, updated_at: new Date().toISOString() };
+  Object.entries(changes).forEach(([key, value]) => {
+    row[COLUMNS[key]] = value;
+  });
+  const { error } = await supabase.from('user_settings').upsert(row, { onConflict: 'user_id' });
+  if (error) throw error;
+}
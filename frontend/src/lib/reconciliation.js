@@ -0,0 +1,139 @@
+/**
+ * Account reconciliation: confirming an account matches the bank statement.
+ *
+ * Every transaction is uncleared, cleared (the bank shows it) or reconciled (part of a
+ * finished reconciliation). Reconciling an account means entering the statement's end date
+ * and closing balance, ticking off the transactions on it until the cleared balance equals
+ * the statement, then finishing — which records the statement and locks the cleared rows
+ * as reconciled (see migrations/022_account_reconciliation.sql). Changing a reconciled row
+ * afterwards needs the user's confirmation (reconciledEditWarning), and the write that
+ * changes it takes it back to cleared; the database refuses the change otherwise.
+ */
+
+import { balanceDelta } from './transfers';
+import { createConverter, convertTransactions } from './currency';
+import { t } from './i18n';
+
+// Message keys (lib/i18n.js)
+export const CLEARED_STATUS = {
+  uncleared: { label: 'reconcile.uncleared', hint: 'reconcile.unclearedHint' },
+  cleared: { label: 'reconcile.cleared', hint: 'reconcile.clearedHint' },
+  reconciled: { label: 'reconcile.reconciled', hint: 'reconcile.reconciledHint' },
+};
+
+// Amounts are compared in cents so the difference reads exactly 0.00 when they agree
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// Rows paid in another currency count in the account's, at their date's rate, as in its
+// ledger (migrations/023_multi_currency.sql); they keep originalAmount/originalCurrency
+const inAccountCurrency = (rows, account, rates) =>
+  convertTransactions(createConverter(account.currency, rates), rows);
+
+// Rows per page of unreconciled transactions; PostgREST caps a response at 1000
+const PAGE_SIZE = 1000;
+
+/**
+ * The account's transactions a statement can cover: not in the trash, not yet reconciled,
+ * dated up to the statement's end date. Oldest first, like a statement.
+ *
+ * @param {Array} rates - The user's exchange rates (CurrencyContext)
+ * @returns {Promise<Array>} { id, date, description, amount, currency, type, transfer_direction, cleared_status },
+ *   amounts in the account's currency
+ */
+export async function loadUnreconciled(supabase, userId, account, statementDate, rates = []) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('id, date, description, amount, currency, type, transfer_direction, cleared_status')
+      .eq('user_id', userId)
+      .eq('account_id', account.id)
+      .is('deleted_at', null)
+      .neq('cleared_status', 'reconciled')
+      .lte('date', statementDate)
+      .order('date', { ascending: true })
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return inAccountCurrency(rows, account, rates);
+}
+
+/**
+ * Where the account stood at its last reconciliation: the opening balance plus every
+ * reconciled row, and the statement it was reconciled against (null if never). The
+ * database sums the rows (reconciled_balance()) the way finish_reconciliation() does, so
+ * the dialog's difference reaches 0.00 exactly when finishing would be accepted.
+ *
+ * @returns {Promise<Object>} { reconciledBalance, last: { statement_date, statement_balance } | null }
+ */
+export async function loadReconciledState(supabase, userId, account) {
+  const [{ data: balance, error: balanceError }, { data: last, error: lastError }] = await Promise.all([
+    supabase.rpc('reconciled_balance', { p_account_id: account.id }),
+    supabase
+      .from('reconciliations')
+      .select('statement_date, statement_balance')
+      .eq('user_id', userId)
+      .eq('account_id', account.id)
+      .order('statement_date', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+  ]);
+
+  if (balanceError) throw balanceError;
+  if (lastError) throw lastError;
+  return { reconciledBalance: Number(balance ?? account.opening_balance ?? 0), last: last || null };
+}
+
+/**
+ * The statement's closing balance minus the cleared balance (the reconciled balance plus
+ * the rows ticked off). Zero means the account matches the bank.
+ */
+export function reconcileDifference(statementBalance, reconciledBalance, clearedRows) {
+  const cleared = clearedRows.reduce((sum, row) => sum + balanceDelta(row), reconciledBalance);
+  return (toCents(statementBalance) - toCents(cleared)) / 100;
+}
+
+/**
+ * Mark transactions cleared or uncleared. Reconciled rows are left alone.
+ */
+export async function setCleared(supabase, userId, ids, cleared) {
+  if (ids.length === 0) return;
+  const { error } = await supabase
+    .from('transactions')
+    .update({ cleared_status: cleared ? 'cleared' : 'uncleared' })
+    .eq('user_id', userId)
+    .in('id', ids)
+    .neq('cleared_status', 'reconciled');
+
+  if (error) throw error;
+}
+
+/**
+ * Finish: record the statement and lock the cleared rows up to its date. The database
+ * re-checks that the cleared balance equals the statement and refuses otherwise.
+ *
+ * @returns {Promise<string>} The reconciliation's id
+ */
+export async function finishReconciliation(supabase, { accountId, statementDate, statementBalance }) {
+  const { data, error } = await supabase.rpc('finish_reconciliation', {
+    p_account_id: accountId,
+    p_statement_date: statementDate,
+    p_statement_balance: Number(statementBalance),
+  });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * What to ask before changing rows that are reconciled, or '' if none are.
+ */
+export function reconciledEditWarning(rows) {
+  const locked = rows.filter(row => row.clearedStatus === 'reconciled').length;
+  if (locked === 0) return '';
+  return t('reconcile.editWarning', { count: locked });
+}
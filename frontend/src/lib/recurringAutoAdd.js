@@ -10,6 +10,7 @@
  */
 
 import { getPaymentDatesInRange, parseLocalDate } from './recurringUtils.js';
+import { getOrCreateAccountId } from './accounts.js';
 
 // How far apart the generated date and the bank's posting date may be and still be the
 // same payment. Bills usually post within a couple of days of the scheduled date.
@@ -50,26 +51,6 @@ export function matchesRecurringOccurrence(tx, recurring, occurrenceDate) {
   return daysApart <= MATCH_WINDOW_DAYS;
 }
 
-async function getOrCreateAccountId(supabase, userId) {
-  const { data: accounts, error } = await supabase
-    .from('accounts')
-    .select('id')
-    .eq('user_id', userId)
-    .limit(1);
-
-  if (error) throw error;
-  if (accounts?.length) return accounts[0].id;
-
-  const { data: newAccount, error: createError } = await supabase
-    .from('accounts')
-    .insert({ user_id: userId, name: 'Main Account', balance: 0 })
-    .select()
-    .single();
-
-  if (createError) throw createError;
-  return newAccount.id;
-}
-
 /**
  * Create transactions for every auto-add recurring payment whose date has arrived.
  * Safe to call repeatedly — already generated occurrences are skipped.
@@ -144,11 +125,18 @@ export async function generateDueRecurringTransactions(supabase, userId) {
 
   if (!pending.length) return 0;
 
-  const accountId = await getOrCreateAccountId(supabase, userId);
+  // Each payment records into its own account (or the default one). Resolve each once.
+  const accountIds = new Map();
+  for (const o of pending) {
+    const key = o.payment.account_id || null;
+    if (!accountIds.has(key)) {
+      accountIds.set(key, await getOrCreateAccountId(supabase, userId, key));
+    }
+  }
 
   const rows = pending.map(o => ({
     user_id: userId,
-    account_id: accountId,
+    account_id: accountIds.get(o.payment.account_id || null),
     category_id: o.payment.category_id,
     type: o.payment.type,
     amount: Number(o.payment.amount),
@@ -2,16 +2,19 @@
  * Utility functions for calculating recurring payment dates and projections
  */
 
+import { DEFAULT_PREFERENCES, formatDate as formatPreferredDate } from './preferences.js';
+import { t } from './i18n.js';
+
 /**
- * Frequency configuration with days/months and display labels
+ * Frequency configuration with days/months and display labels (message keys, lib/i18n.js)
  */
 export const FREQUENCY_CONFIG = {
-  daily: { days: 1, label: 'Daily' },
-  weekly: { days: 7, label: 'Weekly' },
-  biweekly: { days: 14, label: 'Biweekly' },
-  monthly: { months: 1, label: 'Monthly' },
-  quarterly: { months: 3, label: 'Quarterly' },
-  yearly: { months: 12, label: 'Yearly' },
+  daily: { days: 1, label: 'common.daily' },
+  weekly: { days: 7, label: 'common.weekly' },
+  biweekly: { days: 14, label: 'common.biweekly' },
+  monthly: { months: 1, label: 'common.monthly' },
+  quarterly: { months: 3, label: 'common.quarterly' },
+  yearly: { months: 12, label: 'common.yearly' },
 };
 
 /**
@@ -404,19 +407,16 @@ export function getMonthlyProjection(recurringPayments, month) {
  * @returns {string} - Human-readable label
  */
 export function formatFrequency(frequency) {
-  return FREQUENCY_CONFIG[frequency]?.label || frequency;
+  return FREQUENCY_CONFIG[frequency] ? t(FREQUENCY_CONFIG[frequency].label) : frequency;
 }
 
 /**
- * Format a date for display
+ * Format a date for display, leaving the year out when it's this year
  * @param {Date|string} date - Date to format
+ * @param {Object} preferences - The user's display preferences (lib/preferences.js)
  * @returns {string} - Formatted date string
  */
-export function formatDate(date) {
+export function formatDate(date, preferences = DEFAULT_PREFERENCES) {
   const d = parseLocalDate(date);
-  return d.toLocaleDateString('en-US', {
-    month: 'short',
-    day: 'numeric',
-    year: d.getFullYear() !== new Date().getFullYear() ? 'numeric' : undefined
-  });
+  return formatPreferredDate(d, preferences, { year: d.getFullYear() !== new Date().getFullYear() });
 }
@@ -0,0 +1,171 @@
+/**
+ * Refunds: money coming back for something bought — a return, a cancelled order, a price
+ * adjustment.
+ *
+ * A refund is a `type = 'refund'` row in an expense category, usually the purchase's, and
+ * may point at the purchase through refund_of. It adds to its account's balance like
+ * income, but it isn't income: it takes back spending in its category. Every total of
+ * spending — budget spent (budget_category_spent() in the database), the Dashboard,
+ * Reports, budget notifications and suggestions — selects SPENDING_TYPES and sums
+ * spendingAmount(), so a $40 return of a $100 jacket leaves $60 spent on Clothing.
+ */
+
+import { tokenize } from './categorySuggestions.js';
+
+// Rows that count towards spending: expenses, less refunds
+export const SPENDING_TYPES = ['expense', 'refund'];
+
+// How far back a refund's purchase is looked for
+export const REFUND_LOOKBACK_DAYS = 120;
+
+// Words banks add to a refund's description that say nothing about the merchant
+const REFUND_WORDS = new Set([
+  'REFUND', 'REFUNDS', 'RETURN', 'RETURNS', 'CREDIT', 'REVERSAL', 'REVERSED', 'ADJUSTMENT',
+  'PURCHASE', 'POS', 'REMBOURSEMENT', 'RETOUR', 'ACHAT',
+]);
+
+/**
+ * A row's signed share of spending: expenses add, refunds take back.
+ */
+export const spendingAmount = (tx) => (tx.type === 'refund' ? -Number(tx.amount) : Number(tx.amount));
+
+/**
+ * Which kind of category a transaction type takes. Refunds go back to an expense category.
+ */
+export const categoryTypeOf = (type) => (type === 'refund' ? 'expense' : type);
+
+const merchantWords = (description) => tokenize(description).filter(word => !REFUND_WORDS.has(word));
+
+const ymd = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`)) / 86400000);
+
+/**
+ * The purchases a refund most likely returns, best first.
+ *
+ * A candidate is an expense from the same merchant (sharing a word of its description), on
+ * or before the refund and at most REFUND_LOOKBACK_DAYS earlier, with at least the refunded
+ * amount still unrefunded. One for exactly the refunded amount ranks first, then the one
+ * sharing the most words, then the most recent.
+ *
+ * @param {Object} refund - { description, amount, date }
+ * @param {Array} purchases - { id, description, amount, date, refunded? } as from loadRefundablePurchases()
+ * @returns {Array} The matching purchases, each with `exact` (same amount) and `score`
+ */
+export function matchRefund(refund, purchases, limit = 3) {
+  const words = merchantWords(refund.description);
+  if (words.length === 0 || !(Number(refund.amount) > 0)) return [];
+
+  const amountCents = Math.round(Number(refund.amount) * 100);
+
+  return (purchases || [])
+    .map(purchase => {
+      const age = daysBetween(purchase.date, refund.date);
+      if (age < 0 || age > REFUND_LOOKBACK_DAYS) return null;
+
+      const leftCents = Math.round((Number(purchase.amount) - Number(purchase.refunded || 0)) * 100);
+      if (leftCents < amountCents) return null;
+
+      const purchaseWords = new Set(merchantWords(purchase.description));
+      const shared = words.filter(word => purchaseWords.has(word)).length;
+      if (shared === 0) return null;
+
+      const exact = leftCents === amountCents || Math.round(Number(purchase.amount) * 100) === amountCents;
+      return { ...purchase, exact, score: (exact ? 1 : 0) + shared / words.length, age };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.age - b.age)
+    .slice(0, limit);
+}
+
+/**
+ * Expenses a refund dated between fromDate and toDate could return, with how much of each
+ * is already refunded and its category's name.
+ */
+export async function loadRefundablePurchases(supabase, userId, fromDate, toDate) {
+  const start = new Date(`${fromDate}T00:00:00`);
+  start.setDate(start.getDate() - REFUND_LOOKBACK_DAYS);
+  const since = ymd(start);
+
+  const [purchasesResult, refundsResult] = await Promise.all([
+    supabase
+      .from('transactions')
+      .select('id, description, amount, currency, date, account_id, category_id, categories(name)')
+      .eq('user_id', userId)
+      .eq('type', 'expense')
+      .is('deleted_at', null)
+      .gte('date', since)
+      .lte('date', toDate),
+    supabase
+      .from('transactions')
+      .select('refund_of, amount')
+      .eq('user_id', userId)
+      .eq('type', 'refund')
+      .is('deleted_at', null)
+      .not('refund_of', 'is', null)
+      .gte('date', since),
+  ]);
+
+  if (purchasesResult.error) throw purchasesResult.error;
+  if (refundsResult.error) throw refundsResult.error;
+
+  const refunded = {};
+  (refundsResult.data || []).forEach(r => {
+    refunded[r.refund_of] = (refunded[r.refund_of] || 0) + Number(r.amount);
+  });
+
+  return (purchasesResult.data || []).map(p => ({
+    id: p.id,
+    description: p.description,
+    amount: Number(p.amount),
+    currency: p.currency,
+    date: p.date,
+    account_id: p.account_id,
+    category_id: p.category_id,
+    categoryName: p.categories?.name || null,
+    refunded: refunded[p.id] || 0,
+  }));
+}
+
+/**
+ * Turn an import row into a refund of `purchase`: it takes the purchase's category and
+ * points at it. What it was before is kept for unlinkRefund().
+ */
+export const linkRefund = (row, purchase) => ({
+  ...row,
+  type: 'refund',
+  category: purchase.categoryName || row.category,
+  categorySource: 'refund',
+  refundOf: purchase.id,
+  beforeRefund: row.beforeRefund || { type: row.type, category: row.category, categorySource: row.categorySource },
+});
+
+/**
+ * Undo linkRefund(): the row goes back to what it was read as.
+ */
+export const unlinkRefund = (row) => {
+  const { beforeRefund, ...rest } = row;
+  return { ...rest, ...beforeRefund, refundOf: null };
+};
+
+/**
+ * Look up the likely purchase for every import row that brings money in. Rows already read
+ * as refunds (a negative amount in an expense column) are linked to their best match; income
+ * rows only get `refundMatches`, for the preview to offer.
+ */
+export async function suggestRefunds(supabase, userId, rows) {
+  const moneyIn = rows.filter(row => ['income', 'refund'].includes(row.type) && !row.transferAccountId);
+  if (moneyIn.length === 0) return rows;
+
+  const dates = moneyIn.map(row => row.date).sort();
+  const purchases = await loadRefundablePurchases(supabase, userId, dates[0], dates[dates.length - 1]);
+
+  return rows.map(row => {
+    if (!moneyIn.includes(row)) return row;
+    const refundMatches = matchRefund(row, purchases);
+    if (row.type === 'refund' && refundMatches.length) {
+      return { ...linkRefund(row, refundMatches[0]), refundMatches };
+    }
+    return refundMatches.length ? { ...row, refundMatches } : row;
+  });
+}
@@ -0,0 +1,324 @@
+/**
+ * Categorization rules engine, shared by ImportTransactions, background auto-sync,
+ * CategoryManager's "Re-categorize All" and the Google Sheets webhook (which imports this
+ * file directly, so keep it and its imports free of browser APIs, and load them with their
+ * .js extension; callers pass their own Supabase client).
+ *
+ * A rule (a row of `categorization_rules`) has conditions, all of which must hold, and
+ * actions. Rules run highest priority first:
+ *   - category, payee rename and "mark as transfer" come from the first matching rule
+ *     that sets them
+ *   - tags are collected from every matching rule
+ *
+ * Merchant mappings from CategoryManager still work: they run after the rules as plain
+ * "description contains" rules, longest pattern first, and only ever set a category.
+ *
+ * conditions: {
+ *   description_contains, description_regex,  // case-insensitive
+ *   amount_min, amount_max,                   // on the positive amount
+ *   bank,                                     // substring of the bank / source
+ *   type,                                     // 'income' | 'expense' (refunds count as expense)
+ *   day_min, day_max,                         // day of month, 1-31
+ *   query,                                    // a search expression, see searchQuery.js
+ * }
+ * actions: { category_id, rename_to, tags: [], transfer_account_id }
+ */
+
+import { parseQuery, matchesQuery } from './searchQuery.js';
+import { categoryTypeOf } from './refunds.js';
+
+const normalizeText = (text) => (text || '').toUpperCase().trim().replace(/\s+/g, ' ');
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Build the regular expression for a rule, or null when it has none. Invalid patterns
+ * throw so the rule editor can report them.
+ */
+export function compileRegex(pattern) {
+  if (!isSet(pattern)) return null;
+  return new RegExp(pattern, 'i');
+}
+
+/**
+ * Check a rule before saving it.
+ *
+ * @param {Object} rule - { name, conditions, actions }
+ * @param {Array} categories - { id, type }, to check the category suits the rule's type
+ * @param {Function} t - Writes out the message (the UI's translator, see parseQuery)
+ * @returns {string} The problem to show the user, or '' when the rule is valid
+ */
+export function validateRule({ name, conditions = {}, actions = {} }, categories = [], t = (key) => key) {
+  if (!name?.trim()) return t('rules.noName');
+  if (!Object.values(conditions).some(isSet)) return t('rules.noCondition');
+
+  try {
+    compileRegex(conditions.description_regex);
+  } catch {
+    return t('rules.badRegex');
+  }
+
+  const queryErrors = parseQuery(conditions.query || '', t).errors;
+  if (queryErrors.length) return t('rules.badQuery', { problem: queryErrors[0] });
+
+  for (const field of ['amount_min', 'amount_max']) {
+    if (isSet(conditions[field]) && !(Number(conditions[field]) >= 0)) return t('rules.negativeAmount');
+  }
+  if (isSet(conditions.amount_min) && isSet(conditions.amount_max)
+    && Number(conditions.amount_min) > Number(conditions.amount_max)) {
+    return t('rules.minAboveMax');
+  }
+
+  for (const field of ['day_min', 'day_max']) {
+    const day = Number(conditions[field]);
+    if (isSet(conditions[field]) && !(Number.isInteger(day) && day >= 1 && day <= 31)) {
+      return t('rules.badDay');
+    }
+  }
+  if (isSet(conditions.day_min) && isSet(conditions.day_max)
+    && Number(conditions.day_min) > Number(conditions.day_max)) {
+    return t('rules.firstDayAfterLast');
+  }
+
+  const hasAction = isSet(actions.category_id) || isSet(actions.rename_to)
+    || (actions.tags || []).length > 0 || isSet(actions.transfer_account_id);
+  if (!hasAction) return t('rules.noAction');
+
+  if (isSet(actions.category_id) && isSet(actions.transfer_account_id)) {
+    return t('rules.transferWithCategory');
+  }
+  const category = categories.find(c => c.id === actions.category_id);
+  if (category && isSet(conditions.type) && category.type !== conditions.type) {
+    return t(category.type === 'income' ? 'rules.incomeCategory' : 'rules.expenseCategory', { name: category.name });
+  }
+
+  return '';
+}
+
+/**
+ * Check one transaction against a rule's conditions.
+ * The transaction needs { description, amount, type, date } and optionally bank/provider,
+ * tags and category (name), which a search expression may ask about.
+ */
+export function matchesConditions(
+  conditions = {},
+  transaction,
+  regex = compileRegex(conditions.description_regex),
+  query = isSet(conditions.query) ? parseQuery(conditions.query) : null
+) {
+  const description = transaction.description || '';
+
+  if (isSet(conditions.description_contains)
+    && !normalizeText(description).includes(normalizeText(conditions.description_contains))) {
+    return false;
+  }
+  if (regex && !regex.test(description)) return false;
+
+  const amount = Math.abs(Number(transaction.amount));
+  if (isSet(conditions.amount_min) && amount < Number(conditions.amount_min)) return false;
+  if (isSet(conditions.amount_max) && amount > Number(conditions.amount_max)) return false;
+
+  if (isSet(conditions.bank)) {
+    const bank = normalizeText(transaction.bank ?? transaction.provider);
+    if (!bank.includes(normalizeText(conditions.bank))) return false;
+  }
+
+  if (isSet(conditions.type) && categoryTypeOf(transaction.type) !== conditions.type) return false;
+
+  if (isSet(conditions.day_min) || isSet(conditions.day_max)) {
+    const day = Number(String(transaction.date || '').split('-')[2]);
+    if (!day) return false;
+    if (isSet(conditions.day_min) && day < Number(conditions.day_min)) return false;
+    if (isSet(conditions.day_max) && day > Number(conditions.day_max)) return false;
+  }
+
+  if (query && !matchesQuery(query, transaction)) return false;
+
+  return true;
+}
+
+/**
+ * Prepare rules and merchant mappings for repeated matching.
+ *
+ * @param {Array} rules - categorization_rules rows
+ * @param {Array} mappings - merchant_mappings rows ({ transaction_description, category_name })
+ * @param {Array} categories - { id, name, type }, to resolve and type-check category actions
+ * @returns {Array} Compiled rules in the order they are tried
+ */
+export function compileRules(rules = [], mappings = [], categories = []) {
+  const categoriesById = new Map(categories.map(c => [c.id, c]));
+
+  const compiled = rules
+    .filter(rule => rule.enabled !== false)
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0))
+    .map(rule => {
+      let regex = null;
+      try {
+        regex = compileRegex(rule.conditions?.description_regex);
+      } catch {
+        // A broken pattern can't match anything; the editor refuses to save one anyway
+        return null;
+      }
+      return {
+        id: rule.id,
+        name: rule.name,
+        conditions: rule.conditions || {},
+        regex,
+        query: isSet(rule.conditions?.query) ? parseQuery(rule.conditions.query) : null,
+        actions: rule.actions || {},
+        category: categoriesById.get(rule.actions?.category_id) || null,
+      };
+    })
+    .filter(Boolean);
+
+  // Merchant mappings: the category's own type decides which transactions it applies to
+  const categoriesByName = new Map();
+  categories.forEach(c => categoriesByName.set(`${c.type}|${c.name}`, c));
+
+  const mappingRules = mappings
+    .map(m => ({ pattern: normalizeText(m.transaction_description), categoryName: m.category_name }))
+    .filter(m => m.pattern)
+    .sort((a, b) => b.pattern.length - a.pattern.length)
+    .flatMap(m => ['expense', 'income']
+      .map(type => categoriesByName.get(`${type}|${m.categoryName}`))
+      .filter(Boolean)
+      .map(category => ({
+        id: null,
+        name: `Merchant mapping: ${m.pattern}`,
+        pattern: m.pattern,
+        conditions: { description_contains: m.pattern, type: category.type },
+        regex: null,
+        query: null,
+        actions: { category_id: category.id },
+        category,
+      })));
+
+  return [...compiled, ...mappingRules];
+}
+
+/**
+ * Load a user's rules, merchant mappings and categories and compile them.
+ */
+export async function loadCompiledRules(supabase, userId) {
+  const [rulesResult, mappingsResult, categoriesResult] = await Promise.all([
+    supabase.from('categorization_rules').select('id, name, priority, enabled, conditions, actions').eq('user_id', userId),
+    supabase.from('merchant_mappings').select('transaction_description, category_name').eq('user_id', userId),
+    supabase.from('categories').select('id, name, type').eq('user_id', userId),
+  ]);
+
+  if (rulesResult.error) throw rulesResult.error;
+  if (mappingsResult.error) throw mappingsResult.error;
+  if (categoriesResult.error) throw categoriesResult.error;
+
+  return compileRules(rulesResult.data || [], mappingsResult.data || [], categoriesResult.data || []);
+}
+
+/**
+ * Run compiled rules over one transaction.
+ *
+ * @returns {Object} { category, categoryId, description, tags, transferAccountId, matchedRuleIds }
+ *   category/categoryId are null when no rule picked a category of the transaction's type.
+ */
+export function evaluateRules(transaction, compiledRules) {
+  const result = {
+    category: null,
+    categoryId: null,
+    description: transaction.description,
+    tags: [],
+    transferAccountId: null,
+    matchedRuleIds: [],
+  };
+  let renamed = false;
+
+  for (const rule of compiledRules) {
+    if (!matchesConditions(rule.conditions, transaction, rule.regex, rule.query)) continue;
+    if (rule.id) result.matchedRuleIds.push(rule.id);
+
+    const { actions } = rule;
+    // A category of the other type (an income category on an expense) is ignored
+    if (!result.categoryId && rule.category && rule.category.type === categoryTypeOf(transaction.type)) {
+      result.category = rule.category.name;
+      result.categoryId = rule.category.id;
+    }
+    if (!renamed && isSet(actions.rename_to)) {
+      result.description = actions.rename_to;
+      renamed = true;
+    }
+    if (!result.transferAccountId && isSet(actions.transfer_account_id)) {
+      result.transferAccountId = actions.transfer_account_id;
+    }
+    (actions.tags || []).forEach(tag => {
+      if (!result.tags.includes(tag)) result.tags.push(tag);
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Categorize parsed import rows. Adds `category` (name, or the default), applies renames,
+ * and sets `tags` and `transferAccountId` for the save step.
+ *
+ * Rows without a matching category get 'Unexpected' for expenses and null for income,
+ * which the save step turns into the default income category; their categorySource is
+ * 'default' rather than 'rule' (see applySuggestions). Renamed rows keep the
+ * bank's wording in `originalDescription`, so duplicate checks can match rows imported
+ * before the rule existed.
+ */
+export function categorizeWithRules(transactions, compiledRules) {
+  return transactions.map(t => {
+    const result = evaluateRules(t, compiledRules);
+    return {
+      ...t,
+      description: result.description,
+      originalDescription: result.description !== t.description ? t.description : undefined,
+      category: result.category || (t.type === 'income' ? null : 'Unexpected'),
+      categorySource: result.category ? 'rule' : 'default',
+      tags: result.tags,
+      transferAccountId: result.transferAccountId,
+    };
+  });
+}
+
+/**
+ * Dry-run a new or changed merchant mapping over existing transactions: which rows it
+ * matches, what their category is now, and which other mappings or rules also claim them.
+ * The first claimant is what an import would pick ("winner"); when that isn't the new
+ * mapping, the row is a conflict.
+ *
+ * @param {Array} transactions - { id, description, amount, type, date, provider, category_id }
+ * @param {Object} mapping - { pattern, category } with category = { id, name, type }
+ * @param {Object} context - { rules, mappings, categories } as stored
+ * @returns {Array} [{ transaction, matches: [{ name, category }], winner, changes }]
+ */
+export function previewMapping(transactions, { pattern, category }, { rules = [], mappings = [], categories = [] }) {
+  const normalizedPattern = normalizeText(pattern);
+  const otherMappings = mappings.filter(m => normalizeText(m.transaction_description) !== normalizedPattern);
+  const compiled = compileRules(
+    rules,
+    [...otherMappings, { transaction_description: normalizedPattern, category_name: category.name }],
+    categories
+  );
+  const isNewMapping = (rule) => rule.pattern === normalizedPattern && rule.category?.id === category.id;
+
+  return transactions
+    .filter(t => categoryTypeOf(t.type) === category.type)
+    .map(transaction => {
+      const claimants = compiled.filter(rule =>
+        rule.category && rule.category.type === categoryTypeOf(transaction.type)
+        && matchesConditions(rule.conditions, transaction, rule.regex, rule.query)
+      );
+      if (!claimants.some(isNewMapping)) return null;
+
+      return {
+        transaction,
+        // Everyone else who wants this row, for a different category
+        matches: claimants
+          .filter(rule => !isNewMapping(rule) && rule.category.id !== category.id)
+          .map(rule => ({ name: rule.pattern || rule.name, category: rule.category })),
+        winner: claimants[0].category,
+        changes: transaction.category_id !== category.id,
+      };
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,437 @@
+/**
+ * Search expressions for transactions, shared by the Transactions search box, Reports
+ * drill-down links and categorization rules. Like rulesEngine.js (which the Google Sheets
+ * webhook imports), keep this file free of imports and browser APIs.
+ *
+ *   category:Groceries amount:>50 bank:RBC after:2026-01-01 -tag:reimbursed "tim hortons"
+ *
+ * Words and "quoted phrases" must each appear in the description or the category name.
+ * A field narrows one property instead, and a leading "-" excludes what it matches.
+ * Every part must hold. Fields:
+ *
+ *   category:NAME   the category is NAME, or contains NAME when no category is called that
+ *   account:NAME    the same, for the account
+ *   tag:NAME        has the tag (any case)
+ *   bank:TEXT       the bank / source contains TEXT
+ *   desc:TEXT       the description contains TEXT (the category name isn't searched)
+ *   type:TYPE       income, expense, transfer or refund
+ *   amount:50  amount:>50  amount:<=20  amount:10..50
+ *   after:DATE  before:DATE    on or after / on or before, inclusive
+ *   date:2026  date:2026-03  date:2026-03-14  date:2026-01-01..2026-03-31
+ *
+ * Dates are YYYY, YYYY-MM or YYYY-MM-DD. Values with spaces go in quotes:
+ * category:"Dining Out".
+ */
+
+// Hints are message keys (lib/i18n.js), written out by the search box
+export const SEARCH_FIELDS = [
+  { name: 'category', hint: 'search.hintCategory', values: 'categories' },
+  { name: 'tag', hint: 'search.hintTag', values: 'tags' },
+  { name: 'bank', hint: 'search.hintBank', values: 'banks' },
+  { name: 'account', hint: 'search.hintAccount', values: 'accounts' },
+  { name: 'type', hint: 'search.hintType', values: 'types' },
+  { name: 'desc', hint: 'search.hintDesc' },
+  { name: 'amount', hint: 'search.hintAmount' },
+  { name: 'after', hint: 'search.hintAfter' },
+  { name: 'before', hint: 'search.hintBefore' },
+  { name: 'date', hint: 'search.hintDate' },
+];
+
+const FIELD_NAMES = new Set(SEARCH_FIELDS.map(f => f.name));
+const TYPES = ['income', 'expense', 'transfer', 'refund'];
+
+const lower = (value) => String(value ?? '').toLowerCase();
+const contains = (haystack, needle) => lower(haystack).includes(lower(needle));
+
+/**
+ * Split an expression into tokens: { negate, field, value, start, end }, where start/end
+ * are the token's position in the text (for autocomplete). field is null for plain words
+ * and phrases; an unknown "word:" stays a plain word, so "ref:123" still searches.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i += 1;
+      continue;
+    }
+
+    const start = i;
+    let negate = false;
+    if (text[i] === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      negate = true;
+      i += 1;
+    }
+
+    let field = null;
+    const fieldMatch = /^([a-z]+):/i.exec(text.slice(i));
+    if (fieldMatch && FIELD_NAMES.has(fieldMatch[1].toLowerCase())) {
+      field = fieldMatch[1].toLowerCase();
+      i += fieldMatch[0].length;
+    }
+
+    let value = '';
+    if (text[i] === '"') {
+      const close = text.indexOf('"', i + 1);
+      value = text.slice(i + 1, close === -1 ? text.length : close);
+      i = close === -1 ? text.length : close + 1;
+    } else {
+      while (i < text.length && !/\s/.test(text[i])) value += text[i++];
+    }
+
+    tokens.push({ negate, field, value: value.trim(), start, end: i });
+  }
+  return tokens;
+}
+
+// YYYY, YYYY-MM or YYYY-MM-DD -> its first and last day, or null
+function dateSpan(spec) {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(spec);
+  if (!match) return null;
+  const year = Number(match[1]);
+  const pad = (n) => String(n).padStart(2, '0');
+
+  if (!match[2]) return { first: `${year}-01-01`, last: `${year}-12-31` };
+  const month = Number(match[2]);
+  if (month < 1 || month > 12) return null;
+  const monthDays = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (!match[3]) return { first: `${year}-${pad(month)}-01`, last: `${year}-${pad(month)}-${monthDays}` };
+
+  const day = Number(match[3]);
+  if (day < 1 || day > monthDays) return null;
+  const date = `${year}-${pad(month)}-${pad(day)}`;
+  return { first: date, last: date };
+}
+
+// YYYY-MM-DD moved by a number of days
+function shiftDate(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+const AMOUNT = /^\$?(\d+(?:\.\d+)?)$/;
+
+// "50", ">50", "<=20", "10..50" -> { min, max, minStrict, maxStrict }, or null
+function amountSpan(spec) {
+  const range = /^(.+)\.\.(.+)$/.exec(spec);
+  if (range) {
+    const [from, to] = [AMOUNT.exec(range[1]), AMOUNT.exec(range[2])];
+    if (!from || !to || Number(from[1]) > Number(to[1])) return null;
+    return { min: Number(from[1]), max: Number(to[1]) };
+  }
+
+  const match = /^(>=|<=|>|<|=)?(.+)$/.exec(spec);
+  const number = AMOUNT.exec(match?.[2] || '');
+  if (!number) return null;
+  const value = Number(number[1]);
+  switch (match[1]) {
+    case '>': return { min: value, minStrict: true };
+    case '>=': return { min: value };
+    case '<': return { max: value, maxStrict: true };
+    case '<=': return { max: value };
+    default: return { min: value, max: value };
+  }
+}
+
+/**
+ * Parse a search expression.
+ *
+ * Excluded amounts and dates are turned around here (-amount:>50 is amount:<=50,
+ * -after:2026-03-01 is before:2026-02-28), so amount and date clauses never carry negate.
+ *
+ * @param {string} text - The expression
+ * @param {Function} t - Writes out the error messages (lib/i18n.js keys). The UI passes its
+ *   translator; without one the errors are left as keys, which only the webhook sees
+ * @returns {Object} { clauses: [{ field, value, negate, ... }], errors: [string] }
+ *   field is 'text' for plain words and phrases. amount clauses have
+ *   { min, max, minStrict, maxStrict }; date clauses { min, max } as YYYY-MM-DD.
+ *   Parts with an error are left out of clauses.
+ */
+export function parseQuery(text, t = (key) => key) {
+  const clauses = [];
+  const errors = [];
+
+  tokenize(text || '').forEach(({ negate, field, value }) => {
+    if (!value || (!field && value === '-')) return; // Nothing typed yet
+    const raw = `${negate ? '-' : ''}${field ? `${field}:` : ''}${value}`;
+
+    if (!field) {
+      clauses.push({ field: 'text', value, negate });
+      return;
+    }
+
+    if (field === 'type') {
+      const type = lower(value).replace(/s$/, '');
+      if (!TYPES.includes(type)) {
+        errors.push(`${raw} - ${t('search.badType')}`);
+        return;
+      }
+      clauses.push({ field, value: type, negate });
+      return;
+    }
+
+    if (field === 'amount') {
+      const span = amountSpan(value);
+      if (!span) {
+        errors.push(`${raw} - ${t('search.badAmount')}`);
+        return;
+      }
+      if (!negate) {
+        clauses.push({ field, ...span, negate: false });
+      } else if (span.min !== undefined && span.max === undefined) {
+        clauses.push({ field, max: span.min, maxStrict: !span.minStrict, negate: false });
+      } else if (span.max !== undefined && span.min === undefined) {
+        clauses.push({ field, min: span.max, minStrict: !span.maxStrict, negate: false });
+      } else {
+        errors.push(`${raw} - ${t('search.badAmountExclude')}`);
+      }
+      return;
+    }
+
+    if (field === 'after' || field === 'before' || field === 'date') {
+      const range = field === 'date' ? /^(.+)\.\.(.+)$/.exec(value) : null;
+      const from = dateSpan(range ? range[1] : value);
+      const to = range ? dateSpan(range[2]) : from;
+      if (!from || !to || from.first > to.last) {
+        errors.push(`${raw} - ${t('search.badDate')}`);
+        return;
+      }
+      if (field === 'date' && negate) {
+        errors.push(`${raw} - ${t('search.badDateExclude')}`);
+        return;
+      }
+
+      if (field === 'after') {
+        clauses.push(negate
+          ? { field: 'date', max: shiftDate(from.first, -1), negate: false }
+          : { field: 'date', min: from.first, negate: false });
+      } else if (field === 'before') {
+        clauses.push(negate
+          ? { field: 'date', min: shiftDate(from.last, 1), negate: false }
+          : { field: 'date', max: from.last, negate: false });
+      } else {
+        clauses.push({ field: 'date', min: from.first, max: to.last, negate: false });
+      }
+      return;
+    }
+
+    clauses.push({ field, value, negate });
+  });
+
+  return { clauses, errors };
+}
+
+/**
+ * Names a category:/account: value picks out: the one named exactly that (any case), or
+ * failing that every name containing it.
+ */
+export function resolveNames(value, names) {
+  const exact = names.filter(name => lower(name) === lower(value));
+  return exact.length ? exact : names.filter(name => contains(name, value));
+}
+
+const inRange = (value, { min, max, minStrict, maxStrict }) => {
+  if (min !== undefined && (minStrict ? value <= min : value < min)) return false;
+  if (max !== undefined && (maxStrict ? value >= max : value > max)) return false;
+  return true;
+};
+
+function matchesClause(clause, transaction, { categories, accounts }) {
+  const categoryName = transaction.category ?? transaction.categories?.name ?? '';
+  const accountName = transaction.account
+    ?? accounts?.find(a => a.id === transaction.account_id)?.name ?? '';
+
+  switch (clause.field) {
+    case 'text':
+      return contains(transaction.description, clause.value) || contains(categoryName, clause.value);
+    case 'desc':
+      return contains(transaction.description, clause.value);
+    case 'category':
+      return categories
+        ? resolveNames(clause.value, categories.map(c => c.name)).some(name => lower(name) === lower(categoryName))
+        : contains(categoryName, clause.value);
+    case 'account':
+      return accounts
+        ? resolveNames(clause.value, accounts.map(a => a.name)).some(name => lower(name) === lower(accountName))
+        : contains(accountName, clause.value);
+    case 'tag':
+      return (transaction.tags || []).some(tag => lower(tag) === lower(clause.value));
+    case 'bank':
+      return contains(transaction.bank ?? transaction.provider, clause.value);
+    case 'type':
+      return transaction.type === clause.value;
+    case 'amount':
+      return inRange(Math.abs(Number(transaction.amount)), clause);
+    case 'date':
+      return Boolean(transaction.date) && inRange(transaction.date, clause);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check one transaction against a parsed expression.
+ *
+ * @param {Object} query - From parseQuery()
+ * @param {Object} transaction - { description, amount, type, date, tags } plus the category
+ *   name as `category` (or `categories.name`), the bank as `bank` or `provider`, and the
+ *   account as `account` (name) or `account_id`
+ * @param {Object} context - Optional { categories, accounts } ({ id, name }) so category: and
+ *   account: can prefer exact names, and account_id can be named
+ */
+export function matchesQuery(query, transaction, context = {}) {
+  return query.clauses.every(clause => matchesClause(clause, transaction, context) !== clause.negate);
+}
+
+const isBlank = (value) => value === '' || value === null || value === undefined;
+// The tighter of two bounds; works for YYYY-MM-DD strings and numbers alike
+const stricterMin = (a, b) => (isBlank(a) ? b : isBlank(b) ? a : (a > b ? a : b));
+const stricterMax = (a, b) => (isBlank(a) ? b : isBlank(b) ? a : (a < b ? a : b));
+const amountNumber = (value) => (isBlank(value) || isNaN(parseFloat(value)) ? '' : parseFloat(value));
+const cents = (value) => Math.round(value * 100) / 100;
+
+// Intersect the id lists of two positive clauses (null = not filtered yet)
+const narrow = (ids, next) => (ids === null ? next : ids.filter(id => next.includes(id)));
+
+/**
+ * Turn a parsed expression into list filters for the database (see transactionQuery.js),
+ * on top of `base`. Names are resolved to ids here, and tags to the spellings in use, so
+ * the query can match them exactly.
+ *
+ * Amounts are whole cents in the database, so amount:>50 becomes a minimum of 50.01.
+ *
+ * @param {Object} query - From parseQuery()
+ * @param {Object} context - { categories, accounts: [{ id, name }], tags: [string] in use }
+ * @param {Object} base - Filters to add to
+ * @returns {Object} Filters
+ */
+export function queryToFilters(query, { categories = [], accounts = [], tags = [] } = {}, base = {}) {
+  const filters = {
+    ...base,
+    search: [...(base.search || [])],
+    excludeSearch: [],
+    descriptions: [],
+    excludeDescriptions: [],
+    categoryIds: null,
+    excludeCategoryIds: [],
+    accountIds: null,
+    excludeAccountIds: [],
+    tags: [],
+    excludeTags: [],
+    banks: [],
+    excludeBanks: [],
+    types: [],
+    excludeTypes: [],
+  };
+
+  const idsNamed = (value, rows) => {
+    const names = resolveNames(value, rows.map(r => r.name));
+    return rows.filter(r => names.includes(r.name)).map(r => r.id);
+  };
+  const spellings = (value) => [...new Set([value, ...tags.filter(tag => lower(tag) === lower(value))])];
+
+  query.clauses.forEach((clause) => {
+    const { field, value, negate } = clause;
+    switch (field) {
+      case 'text':
+        (negate ? filters.excludeSearch : filters.search).push(value);
+        break;
+      case 'desc':
+        (negate ? filters.excludeDescriptions : filters.descriptions).push(value);
+        break;
+      case 'category':
+        if (negate) filters.excludeCategoryIds.push(...idsNamed(value, categories));
+        else filters.categoryIds = narrow(filters.categoryIds, idsNamed(value, categories));
+        break;
+      case 'account':
+        if (negate) filters.excludeAccountIds.push(...idsNamed(value, accounts));
+        else filters.accountIds = narrow(filters.accountIds, idsNamed(value, accounts));
+        break;
+      case 'tag':
+        if (negate) filters.excludeTags.push(...spellings(value));
+        else filters.tags.push(spellings(value));
+        break;
+      case 'bank':
+        (negate ? filters.excludeBanks : filters.banks).push(value);
+        break;
+      case 'type':
+        (negate ? filters.excludeTypes : filters.types).push(value);
+        break;
+      case 'amount':
+        if (clause.min !== undefined) {
+          filters.minAmount = stricterMin(amountNumber(filters.minAmount), clause.minStrict ? cents(clause.min + 0.01) : clause.min);
+        }
+        if (clause.max !== undefined) {
+          filters.maxAmount = stricterMax(amountNumber(filters.maxAmount), clause.maxStrict ? cents(clause.max - 0.01) : clause.max);
+        }
+        break;
+      case 'date':
+        if (clause.min) filters.startDate = stricterMin(filters.startDate, clause.min);
+        if (clause.max) filters.endDate = stricterMax(filters.endDate, clause.max);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return filters;
+}
+
+/**
+ * One part of an expression, quoted when the value needs it: formatTerm('category',
+ * 'Dining Out') is category:"Dining Out".
+ */
+export function formatTerm(field, value, negate = false) {
+  const text = String(value).replace(/"/g, '');
+  const quoted = /[\s:]/.test(text) || text === '' ? `"${text}"` : text;
+  return `${negate ? '-' : ''}${field && field !== 'text' ? `${field}:` : ''}${quoted}`;
+}
+
+/**
+ * Join parts into an expression: buildQuery([['category', 'Groceries'], ['after', '2026-01-01']]).
+ */
+export function buildQuery(terms) {
+  return terms.map(([field, value, negate]) => formatTerm(field, value, negate)).join(' ');
+}
+
+/**
+ * Autocomplete for the part of an expression under the caret: field names while one is
+ * being typed, then values for fields that have them.
+ *
+ * @param {string} text - The expression
+ * @param {number} caret - Caret position in text
+ * @param {Object} sources - { categories, tags, banks, accounts } as arrays of names
+ * @returns {Object} { from, to, items: [{ label, insert, hint }] } — an item replaces
+ *   text.slice(from, to) with its insert
+ */
+export function completeQuery(text, caret, sources = {}) {
+  const token = tokenize(text).find(t => t.start <= caret && caret <= t.end);
+  const from = token ? token.start : caret;
+  const to = token ? token.end : caret;
+  const typed = text.slice(from, caret);
+  const negate = typed.startsWith('-') ? '-' : '';
+  const body = typed.slice(negate.length);
+
+  const colon = body.indexOf(':');
+  if (colon === -1) {
+    // Every field while the box is empty, as a reminder; after that only as one is typed
+    if (!body && text.trim()) return { from, to, items: [] };
+    const items = SEARCH_FIELDS
+      .filter(f => f.name.startsWith(lower(body)) && lower(body) !== f.name)
+      .map(f => ({ label: `${f.name}:`, insert: `${negate}${f.name}:`, hint: f.hint }));
+    return { from, to, items };
+  }
+
+  const field = SEARCH_FIELDS.find(f => f.name === lower(body.slice(0, colon)));
+  if (!field?.values) return { from, to, items: [] };
+
+  const partial = body.slice(colon + 1).replace(/^"/, '');
+  const values = field.values === 'types' ? TYPES : (sources[field.values] || []);
+  const items = [...new Set(values)]
+    .filter(v => contains(v, partial) && lower(v) !== lower(partial))
+    .sort((a, b) => Number(!lower(a).startsWith(lower(partial))) - Number(!lower(b).startsWith(lower(partial))))
+    .slice(0, 8)
+    .map(v => ({ label: v, insert: `${formatTerm(field.name, v, Boolean(negate))} `, hint: field.hint }));
+  return { from, to, items };
+}
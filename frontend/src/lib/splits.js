@@ -0,0 +1,106 @@
+/**
+ * Split transactions: one transaction divided across several categories (a Costco receipt
+ * that is part groceries, part household, part pharmacy).
+ *
+ * The lines live in `transaction_splits` and always add up to the transaction's amount.
+ * Wherever spending is totalled per category, select the lines alongside the transaction
+ * (SPLITS_SELECT) and run the rows through expandSplits() so each line counts towards its
+ * own category. The transaction's own category_id points at the largest line, so plain
+ * lists still have something sensible to show.
+ */
+
+import { t } from './i18n';
+
+// Embed for .select(): `select(\`category_id, amount, ${SPLITS_SELECT}\`)`
+export const SPLITS_SELECT = 'transaction_splits(category_id, amount, categories(name))';
+
+// Amounts are compared in cents so 0.1 + 0.2 lines still add up to 0.30
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Replace each split transaction with one row per line, carrying the line's category and
+ * amount. Unsplit transactions pass through unchanged.
+ */
+export const expandSplits = (transactions) =>
+  (transactions || []).flatMap((tx) => {
+    const lines = tx.transaction_splits || [];
+    if (lines.length === 0) return [tx];
+    return lines.map((line) => ({
+      ...tx,
+      category_id: line.category_id,
+      categories: line.categories ?? tx.categories,
+      amount: Number(line.amount),
+      // Set when the rows were converted to the base currency (lib/currency.js)
+      ...(line.originalAmount !== undefined && { originalAmount: line.originalAmount }),
+    }));
+  });
+
+/**
+ * Check a set of lines against the transaction amount.
+ *
+ * @param {Function} formatAmount - Writes the leftover amount: the user's currency formatter
+ * @returns {string} The problem to show the user, or '' when the lines are valid
+ */
+export const validateSplitLines = (lines, amount, formatAmount) => {
+  if (lines.length < 2) return t('splits.needTwoLines');
+  if (lines.some((l) => !l.category_id)) return t('splits.needCategory');
+  if (new Set(lines.map((l) => l.category_id)).size < lines.length) return t('splits.categoryOnce');
+  if (lines.some((l) => !(Number(l.amount) > 0))) return t('splits.needAmount');
+
+  const remaining = toCents(amount) - lines.reduce((sum, l) => sum + toCents(l.amount), 0);
+  if (remaining !== 0) {
+    const diff = formatAmount(Math.abs(remaining) / 100);
+    return t(remaining > 0 ? 'splits.leftToAllocate' : 'splits.overTotal', { amount: diff });
+  }
+  return '';
+};
+
+/**
+ * Save the lines of a split, replacing any previous ones, and point the transaction's
+ * category_id at the largest line.
+ *
+ * @param {Object} transaction - { id, amount }
+ * @param {Array} lines - [{ category_id, amount }]
+ * @param {Function} formatAmount - As for validateSplitLines
+ */
+export async function saveSplits(supabase, userId, transaction, lines, formatAmount) {
+  const problem = validateSplitLines(lines, transaction.amount, formatAmount);
+  if (problem) throw new Error(problem);
+
+  const { error: deleteError } = await supabase
+    .from('transaction_splits')
+    .delete()
+    .eq('transaction_id', transaction.id)
+    .eq('user_id', userId);
+  if (deleteError) throw deleteError;
+
+  const { error: insertError } = await supabase
+    .from('transaction_splits')
+    .insert(lines.map((l) => ({
+      transaction_id: transaction.id,
+      user_id: userId,
+      category_id: l.category_id,
+      amount: Number(l.amount),
+    })));
+  if (insertError) throw insertError;
+
+  const largest = lines.reduce((max, l) => (Number(l.amount) > Number(max.amount) ? l : max));
+  const { error: updateError } = await supabase
+    .from('transactions')
+    .update({ category_id: largest.category_id })
+    .eq('id', transaction.id)
+    .eq('user_id', userId);
+  if (updateError) throw updateError;
+}
+
+/**
+ * Undo a split, leaving the whole transaction in one category.
+ */
+export async function clearSplits(supabase, userId, transactionId) {
+  const { error } = await supabase
+    .from('transaction_splits')
+    .delete()
+    .eq('transaction_id', transactionId)
+    .eq('user_id', userId);
+  if (error) throw error;
+}
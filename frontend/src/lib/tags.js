@@ -0,0 +1,111 @@
+/**
+ * Tags: free-form labels on transactions ("Vacation 2026", "Home renovation") that cut
+ * across categories. Stored in transactions.tags as a text array.
+ *
+ * Tags are compared case-insensitively and stored as first typed, so "vacation 2026"
+ * added to a row already tagged "Vacation 2026" is a no-op rather than a second tag.
+ */
+
+import { spendingAmount } from './refunds';
+
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Trim and collapse whitespace; '' when nothing usable is left.
+ */
+export function normalizeTag(tag) {
+  return String(tag || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH);
+}
+
+const sameTag = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Add tags to a list, skipping blanks and ones already there (in any case).
+ */
+export function mergeTags(existing, added) {
+  const result = [...(existing || [])];
+  for (const raw of added || []) {
+    const tag = normalizeTag(raw);
+    if (tag && !result.some(t => sameTag(t, tag))) result.push(tag);
+  }
+  return result;
+}
+
+/**
+ * Remove tags from a list, in any case.
+ */
+export function removeTags(existing, removed) {
+  const drop = (removed || []).map(normalizeTag).filter(Boolean);
+  return (existing || []).filter(t => !drop.some(r => sameTag(t, r)));
+}
+
+export const hasTag = (transaction, tag) =>
+  (transaction.tags || []).some(t => sameTag(t, tag));
+
+/**
+ * Every distinct tag on the given rows, alphabetically.
+ */
+export function collectTags(transactions) {
+  return mergeTags([], (transactions || []).flatMap(t => t.tags || []))
+    .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Every tag the user has used on an active transaction, for autocomplete.
+ */
+export async function loadTags(supabase, userId) {
+  const { data, error } = await supabase
+    .from('transactions')
+    .select('tags')
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .not('tags', 'eq', '{}');
+
+  if (error) throw error;
+  return collectTags(data);
+}
+
+/**
+ * Change list for tagging many rows at once, in the shape applyChangeBatch() expects.
+ * Rows the edit doesn't change are left out.
+ *
+ * @param {Array} transactions - Rows with { id, tags }
+ * @param {Object} edit - { add: [tags], remove: [tags] }
+ * @returns {Array} [{ id, before: { tags }, after: { tags } }]
+ */
+export function tagChanges(transactions, { add = [], remove = [] }) {
+  return transactions
+    .map(t => {
+      const before = t.tags || [];
+      const after = mergeTags(removeTags(before, remove), add);
+      const unchanged = after.length === before.length && after.every((tag, i) => tag === before[i]);
+      return unchanged ? null : { id: t.id, before: { tags: before }, after: { tags: after } };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Per-tag income, expense and net totals, largest spend first. A row with several tags
+ * counts in full toward each of them; refunds take back from the expenses.
+ *
+ * @param {Array} transactions - income/expense/refund rows with { amount, type, tags }
+ * @returns {Array} [{ tag, income, expenses, net, count }]
+ */
+export function summarizeByTag(transactions) {
+  const totals = new Map();
+
+  for (const t of transactions || []) {
+    for (const tag of mergeTags([], t.tags)) {
+      const key = tag.toLowerCase();
+      if (!totals.has(key)) totals.set(key, { tag, income: 0, expenses: 0, net: 0, count: 0 });
+      const entry = totals.get(key);
+      const amount = Number(t.amount) || 0;
+      if (t.type === 'income') entry.income += amount;
+      else entry.expenses += spendingAmount({ ...t, amount });
+      entry.net = entry.income - entry.expenses;
+      entry.count += 1;
+    }
+  }
+
+  return [...totals.values()].sort((a, b) => b.expenses - a.expenses || b.income - a.income);
+}
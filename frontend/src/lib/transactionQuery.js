@@ -0,0 +1,280 @@
+/**
+ * Server-side filtering and paging for the Transactions list.
+ *
+ * Filters become Supabase query conditions, so only one page of matching rows is ever
+ * fetched. Pages follow a keyset cursor on (date, created_at, id), newest first: each page
+ * starts strictly after the last row of the one before, so rows added or removed while
+ * scrolling never shift later pages the way an offset would.
+ *
+ * Totals for the whole filtered set come from the transaction_totals() database function,
+ * which applies the same filters — see migrations/017_transaction_list_paging.sql, and
+ * 018_search_expressions.sql for the filters a search expression adds.
+ */
+
+import { SPLITS_SELECT } from './splits';
+
+export const PAGE_SIZE = 100;
+
+export const TRANSACTION_LIST_SELECT = `
+  id,
+  description,
+  date,
+  amount,
+  currency,
+  original_amount,
+  original_currency,
+  type,
+  provider,
+  category_id,
+  account_id,
+  balance,
+  transfer_id,
+  transfer_direction,
+  tags,
+  cleared_status,
+  created_at,
+  categories (name),
+  ${SPLITS_SELECT}
+`;
+
+/**
+ * Filters the list understands. Empty values are ignored.
+ *
+ * @typedef {Object} TransactionFilters
+ * @property {string[]} search - Terms that must each appear in the description or category name
+ * @property {string} startDate - YYYY-MM-DD, inclusive
+ * @property {string} endDate - YYYY-MM-DD, inclusive
+ * @property {string|number} minAmount
+ * @property {string|number} maxAmount
+ * @property {string} type - 'income' | 'expense' | 'transfer' | 'refund'
+ * @property {string} accountId
+ * @property {string} bank - Exact provider
+ * @property {string} tag - Exact tag
+ *
+ * A search expression adds these (see queryToFilters() in searchQuery.js):
+ * @property {string[]} excludeSearch - Terms in neither the description nor the category name
+ * @property {string[]} descriptions - Terms the description must contain
+ * @property {string[]} excludeDescriptions - Terms it must not
+ * @property {string[]|null} categoryIds - One of these categories (null = any)
+ * @property {string[]} excludeCategoryIds
+ * @property {string[]|null} accountIds - One of these accounts (null = any)
+ * @property {string[]} excludeAccountIds
+ * @property {string[][]} tags - Each entry a tag's spellings in use; the row needs one of each
+ * @property {string[]} excludeTags - Spellings of tags the row must not have
+ * @property {string[]} banks - Terms the bank must contain
+ * @property {string[]} excludeBanks
+ * @property {string[]} types - Types the row must be (more than one can't match)
+ * @property {string[]} excludeTypes
+ */
+
+// Values inside PostgREST or()/and() strings are double-quoted so commas, dots and
+// parentheses in them aren't read as syntax
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+const amountOf = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+const cleanTerms = (terms) => (terms || []).map(s => s.trim()).filter(Boolean);
+const searchTerms = (filters) => cleanTerms(filters.search);
+
+// A PostgreSQL array literal, each element quoted
+const arrayLiteral = (values) => `{${values.map(quote).join(',')}}`;
+
+/**
+ * One condition per search term: the description contains it, or the row's category does.
+ * Category names are matched against the user's categories here, since PostgREST can't
+ * mix a joined column into an or().
+ */
+const searchGroup = (term, categories) => {
+  const needle = term.toLowerCase();
+  const categoryIds = categories.filter(c => c.name.toLowerCase().includes(needle)).map(c => c.id);
+  const conditions = [`description.ilike.${quote(`*${term}*`)}`];
+  if (categoryIds.length) conditions.push(`category_id.in.(${categoryIds.join(',')})`);
+  return `or(${conditions.join(',')})`;
+};
+
+// The opposite of searchGroup: neither the description nor the category has the term.
+// Rows without a category count as not matching it, rather than being dropped by the NULL.
+const excludeSearchGroup = (term, categories) => {
+  const needle = term.toLowerCase();
+  const categoryIds = categories.filter(c => c.name.toLowerCase().includes(needle)).map(c => c.id);
+  const description = `description.not.ilike.${quote(`*${term}*`)}`;
+  return categoryIds.length
+    ? `and(${description},or(category_id.is.null,category_id.not.in.(${categoryIds.join(',')})))`
+    : description;
+};
+
+// A search expression's conditions, each a PostgREST condition to AND with the rest
+const expressionGroups = (filters) => {
+  const groups = [];
+  cleanTerms(filters.descriptions).forEach(term => groups.push(`description.ilike.${quote(`*${term}*`)}`));
+  cleanTerms(filters.excludeDescriptions).forEach(term => groups.push(`description.not.ilike.${quote(`*${term}*`)}`));
+  cleanTerms(filters.banks).forEach(term => groups.push(`provider.ilike.${quote(`*${term}*`)}`));
+  cleanTerms(filters.excludeBanks).forEach(term => {
+    groups.push(`or(provider.is.null,provider.not.ilike.${quote(`*${term}*`)})`);
+  });
+  if (filters.excludeCategoryIds?.length) {
+    groups.push(`or(category_id.is.null,category_id.not.in.(${filters.excludeCategoryIds.join(',')}))`);
+  }
+  if (filters.excludeAccountIds?.length) {
+    groups.push(`or(account_id.is.null,account_id.not.in.(${filters.excludeAccountIds.join(',')}))`);
+  }
+  return groups;
+};
+
+// Rows strictly after the cursor in (date desc, created_at desc, id desc) order
+const cursorGroup = ({ date, created_at, id }) => {
+  const d = quote(date);
+  const c = quote(created_at);
+  return `or(date.lt.${d},and(date.eq.${d},created_at.lt.${c}),and(date.eq.${d},created_at.eq.${c},id.lt.${id}))`;
+};
+
+/**
+ * Add the filters (and optional cursor) to a transactions query.
+ */
+export function applyTransactionFilters(query, filters, { categories = [], cursor = null } = {}) {
+  let q = query;
+  if (filters.startDate) q = q.gte('date', filters.startDate);
+  if (filters.endDate) q = q.lte('date', filters.endDate);
+  if (amountOf(filters.minAmount) !== null) q = q.gte('amount', amountOf(filters.minAmount));
+  if (amountOf(filters.maxAmount) !== null) q = q.lte('amount', amountOf(filters.maxAmount));
+  if (filters.type) q = q.eq('type', filters.type);
+  if (filters.accountId) q = q.eq('account_id', filters.accountId);
+  if (filters.bank) q = q.eq('provider', filters.bank);
+  if (filters.tag) q = q.contains('tags', [filters.tag]);
+
+  // From a search expression
+  if (filters.categoryIds) q = q.in('category_id', filters.categoryIds);
+  if (filters.accountIds) q = q.in('account_id', filters.accountIds);
+  (filters.tags || []).forEach(spellings => { q = q.filter('tags', 'ov', arrayLiteral(spellings)); });
+  if (filters.excludeTags?.length) q = q.not('tags', 'ov', arrayLiteral(filters.excludeTags));
+  (filters.types || []).forEach(type => { q = q.eq('type', type); });
+  if (filters.excludeTypes?.length) q = q.not('type', 'in', `(${filters.excludeTypes.join(',')})`);
+
+  // Search terms, exclusions and the cursor need or(); a request takes only one, so they
+  // are ANDed inside a single one
+  const groups = [
+    ...searchTerms(filters).map(term => searchGroup(term, categories)),
+    ...cleanTerms(filters.excludeSearch).map(term => excludeSearchGroup(term, categories)),
+    ...expressionGroups(filters),
+  ];
+  if (cursor) groups.push(cursorGroup(cursor));
+  if (groups.length) q = q.or(`and(${groups.join(',')})`);
+
+  return q;
+}
+
+/**
+ * One page of active transactions matching the filters, newest first.
+ *
+ * @returns {Promise<Object>} { rows, nextCursor } — nextCursor is null on the last page
+ */
+export async function loadTransactionPage(supabase, userId, filters, { categories = [], cursor = null, pageSize = PAGE_SIZE, select = TRANSACTION_LIST_SELECT } = {}) {
+  const query = supabase
+    .from('transactions')
+    .select(select)
+    .eq('user_id', userId)
+    .is('deleted_at', null);
+
+  const { data, error } = await applyTransactionFilters(query, filters, { categories, cursor })
+    .order('date', { ascending: false })
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(pageSize);
+
+  if (error) throw error;
+  const rows = data || [];
+  const last = rows[rows.length - 1];
+  return {
+    rows,
+    nextCursor: rows.length === pageSize ? { date: last.date, created_at: last.created_at, id: last.id } : null,
+  };
+}
+
+/**
+ * Every matching row, page by page — for exports and edits that cover the whole filtered
+ * set rather than what has been scrolled into view.
+ */
+export async function loadAllMatching(supabase, userId, filters, options = {}) {
+  const rows = [];
+  let cursor = null;
+  do {
+    const page = await loadTransactionPage(supabase, userId, filters, { ...options, cursor, pageSize: 1000 });
+    rows.push(...page.rows);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return rows;
+}
+
+/**
+ * Count, income and expense totals for the whole filtered set, computed in the database.
+ *
+ * @returns {Promise<Object>} { count, income, expenses }
+ */
+export async function loadTransactionTotals(supabase, filters) {
+  const { data, error } = await supabase.rpc('transaction_totals', {
+    p_start: filters.startDate || null,
+    p_end: filters.endDate || null,
+    p_min: amountOf(filters.minAmount),
+    p_max: amountOf(filters.maxAmount),
+    p_type: filters.type || null,
+    p_account: filters.accountId || null,
+    p_bank: filters.bank || null,
+    p_tag: filters.tag || null,
+    p_search: searchTerms(filters),
+    p_exclude_search: cleanTerms(filters.excludeSearch),
+    p_descriptions: cleanTerms(filters.descriptions),
+    p_exclude_descriptions: cleanTerms(filters.excludeDescriptions),
+    p_categories: filters.categoryIds ?? null,
+    p_exclude_categories: filters.excludeCategoryIds || [],
+    p_accounts: filters.accountIds ?? null,
+    p_exclude_accounts: filters.excludeAccountIds || [],
+    p_tags: (filters.tags || []).map(spellings => spellings[0].toLowerCase()),
+    p_exclude_tags: (filters.excludeTags || []).map(tag => tag.toLowerCase()),
+    p_banks: cleanTerms(filters.banks),
+    p_exclude_banks: cleanTerms(filters.excludeBanks),
+    p_types: filters.types || [],
+    p_exclude_types: filters.excludeTypes || [],
+  });
+
+  if (error) throw error;
+  const row = Array.isArray(data) ? data[0] : data;
+  return {
+    count: Number(row?.transaction_count || 0),
+    income: Number(row?.income || 0),
+    expenses: Number(row?.expenses || 0),
+  };
+}
+
+/**
+ * Banks and tags in use on active transactions, for the filter dropdowns.
+ *
+ * @returns {Promise<Object>} { banks, tags } sorted alphabetically
+ */
+export async function loadFilterOptions(supabase) {
+  const { data, error } = await supabase.rpc('transaction_filter_options');
+  if (error) throw error;
+  const row = Array.isArray(data) ? data[0] : data;
+  return { banks: row?.banks || [], tags: row?.tags || [] };
+}
+
+/**
+ * Both halves of the given transfers, active or trashed — a transfer's other half may be on
+ * a page that isn't loaded.
+ *
+ * @returns {Promise<Array>} Rows with { id, transfer_id, account_id, transfer_direction, type, date, deleted_at }
+ */
+export async function loadTransferHalves(supabase, userId, transferIds) {
+  if (!transferIds.length) return [];
+  const { data, error } = await supabase
+    .from('transactions')
+    .select('id, transfer_id, account_id, transfer_direction, type, date, deleted_at')
+    .eq('user_id', userId)
+    .in('transfer_id', transferIds);
+
+  if (error) throw error;
+  return data || [];
+}
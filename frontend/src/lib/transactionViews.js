@@ -0,0 +1,177 @@
+/**
+ * Transactions filters in the URL, and saved views.
+ *
+ * Every filter on the Transactions page is mirrored in its query string, so a reload keeps
+ * it and other pages can link to "these exact transactions" (transactionsLink). A saved
+ * view is a named copy of that query string (see migrations/019_saved_views.sql), so
+ * opening one is the same as following its link.
+ *
+ * Filter state uses the page's own names:
+ * { searchQuery, selectedPeriod, startDate, endDate, minAmount, maxAmount,
+ *   filterDescription, filterBank, filterType, filterAccount, filterTag }
+ */
+
+// URL parameter -> filter state key
+const PARAMS = [
+  ['q', 'searchQuery'],
+  ['period', 'selectedPeriod'],
+  ['from', 'startDate'],
+  ['to', 'endDate'],
+  ['min', 'minAmount'],
+  ['max', 'maxAmount'],
+  ['desc', 'filterDescription'],
+  ['bank', 'filterBank'],
+  ['type', 'filterType'],
+  ['account', 'filterAccount'],
+  ['tag', 'filterTag'],
+];
+
+const PERIODS = ['current', 'last-month', 'all', 'custom'];
+
+const ymd = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+/**
+ * The dates a period fills in: this month or last month, or none for 'all' and 'custom'.
+ *
+ * @returns {Object} { startDate, endDate } as YYYY-MM-DD or ''
+ */
+export function periodRange(period, today = new Date()) {
+  if (period !== 'current' && period !== 'last-month') return { startDate: '', endDate: '' };
+  const first = new Date(today.getFullYear(), today.getMonth() - (period === 'last-month' ? 1 : 0), 1);
+  const last = new Date(first.getFullYear(), first.getMonth() + 1, 0);
+  return { startDate: ymd(first), endDate: ymd(last) };
+}
+
+/**
+ * Filter state from a URL query string. Anything missing takes the page's default; a link
+ * with a search expression but no period or dates covers all time, leaving dates to the
+ * expression (Reports drill-downs link that way).
+ *
+ * @param {URLSearchParams|string} search
+ */
+export function readFilters(search) {
+  const params = new URLSearchParams(search);
+  const get = (name) => params.get(name) || '';
+
+  let period = get('period');
+  if (!PERIODS.includes(period)) {
+    if (params.has('from') || params.has('to')) period = 'custom';
+    else period = get('q') ? 'all' : 'current';
+  }
+  const range = periodRange(period);
+
+  const filters = {};
+  PARAMS.forEach(([param, key]) => { filters[key] = get(param); });
+  return {
+    ...filters,
+    selectedPeriod: period,
+    // Present but empty means the period's dates were cleared
+    startDate: params.has('from') ? get('from') : range.startDate,
+    endDate: params.has('to') ? get('to') : range.endDate,
+  };
+}
+
+/**
+ * The query string for a filter state, leaving out defaults so links stay short.
+ *
+ * @returns {string} e.g. 'q=category%3AGroceries&period=all' ('' for the default view)
+ */
+export function writeFilters(filters) {
+  const params = new URLSearchParams();
+  const period = filters.selectedPeriod || 'current';
+  const range = periodRange(period);
+
+  PARAMS.forEach(([param, key]) => {
+    const value = String(filters[key] ?? '');
+    if (key === 'selectedPeriod') {
+      params.set(param, period);
+    } else if (key === 'startDate' || key === 'endDate') {
+      if (value !== range[key]) params.set(param, value);
+    } else if (value.trim()) {
+      params.set(param, value);
+    }
+  });
+
+  // The period reads as 'current' when left out, unless a search expression or dates say
+  // otherwise (see readFilters), so only spell it out then
+  if (period === 'current' && !params.has('q') && !params.has('from') && !params.has('to')) {
+    params.delete('period');
+  }
+  return params.toString();
+}
+
+/**
+ * A link to the Transactions page showing exactly these filters; keys left out take their
+ * defaults, e.g. transactionsLink({ searchQuery: 'category:Groceries', selectedPeriod: 'all' }).
+ */
+export function transactionsLink(filters) {
+  const search = writeFilters(filters);
+  return search ? `/transactions?${search}` : '/transactions';
+}
+
+/**
+ * Whether two query strings show the same transactions, whatever their parameter order.
+ */
+export function sameFilters(a, b) {
+  return writeFilters(readFilters(a)) === writeFilters(readFilters(b));
+}
+
+/**
+ * Saved views for a page, pinned first, then by name.
+ */
+export async function loadSavedViews(supabase, userId, page = 'transactions') {
+  const { data, error } = await supabase
+    .from('saved_views')
+    .select('id, name, query, pinned')
+    .eq('user_id', userId)
+    .eq('page', page)
+    .order('pinned', { ascending: false })
+    .order('name');
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Save a view. Saving under a name already in use replaces that view.
+ *
+ * @param {Object} view - { name, query, pinned }
+ * @returns {Promise<Object>} The stored view
+ */
+export async function saveView(supabase, userId, { name, query, pinned = false }, page = 'transactions') {
+  const { data, error } = await supabase
+    .from('saved_views')
+    .upsert({
+      user_id: userId,
+      page,
+      name: name.trim(),
+      query,
+      pinned,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'user_id,page,name' })
+    .select('id, name, query, pinned')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function setViewPinned(supabase, userId, id, pinned) {
+  const { error } = await supabase
+    .from('saved_views')
+    .update({ pinned, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+}
+
+export async function deleteView(supabase, userId, id) {
+  const { error } = await supabase
+    .from('saved_views')
+    .delete()
+    .eq('id', id)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+}
@@ -0,0 +1,78 @@
+/**
+ * Transfers: money moving between two of the user's accounts (chequing → savings, paying
+ * off a credit card).
+ *
+ * A transfer is stored as two `type = 'transfer'` rows sharing one transfer_id — an 'out'
+ * row on the source account and an 'in' row on the destination — so each account's running
+ * balance moves, while neither row is income or expense. Every query that totals spending
+ * filters on expenses and refunds (SPENDING_TYPES in refunds.js), which is what keeps
+ * transfers out of budgets and reports.
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Record a transfer as its linked pair of rows. Both rows go in one insert, so either both
+ * exist or neither does. Between accounts in different currencies, receivedAmount is what
+ * arrived in the destination account's currency; otherwise both rows carry `amount`.
+ *
+ * @param {Object} transfer - { fromAccountId, toAccountId, amount, receivedAmount?, date, description }
+ * @returns {Promise<string>} The transfer_id shared by both rows
+ */
+export async function createTransfer(supabase, userId, { fromAccountId, toAccountId, amount, receivedAmount, date, description }) {
+  if (!fromAccountId || !toAccountId) throw new Error(t('transfers.chooseBoth'));
+  if (fromAccountId === toAccountId) throw new Error(t('transfers.chooseDifferent'));
+  if (!(Number(amount) > 0)) throw new Error(t('transfers.invalidAmount'));
+  if (receivedAmount !== undefined && !(Number(receivedAmount) > 0)) throw new Error(t('transfers.enterReceived'));
+
+  const transferId = crypto.randomUUID();
+  const base = {
+    user_id: userId,
+    category_id: null,
+    type: 'transfer',
+    amount: Number(amount),
+    description: description || t('common.transfer'),
+    date,
+    transfer_id: transferId,
+  };
+
+  const { error } = await supabase
+    .from('transactions')
+    .insert([
+      { ...base, account_id: fromAccountId, transfer_direction: 'out' },
+      { ...base, account_id: toAccountId, transfer_direction: 'in', amount: Number(receivedAmount ?? amount) },
+    ]);
+
+  if (error) throw error;
+  return transferId;
+}
+
+/**
+ * Turn an imported bank row into the transfer it really is, e.g. a credit card payment a
+ * categorization rule marks as a transfer. An expense row is money leaving the imported
+ * account for the peer account; an income or refund row is money arriving from it.
+ *
+ * @param {Object} row - Insert-ready transactions row (user_id, account_id, amount, date, ...)
+ * @param {string} peerAccountId - The account on the other side
+ * @returns {Array} The 'out' and 'in' rows, ready to insert
+ */
+export function toTransferRows(row, peerAccountId) {
+  const outgoing = row.type !== 'income' && row.type !== 'refund';
+  const base = { ...row, type: 'transfer', category_id: null, refund_of: null, transfer_id: crypto.randomUUID() };
+  return [
+    { ...base, transfer_direction: outgoing ? 'out' : 'in' },
+    // The bank's id belongs to the imported account's statement only
+    { ...base, account_id: peerAccountId, transfer_direction: outgoing ? 'in' : 'out', fitid: null },
+  ];
+}
+
+/**
+ * Signed effect of a row on its account: income, refunds and incoming transfers add,
+ * everything else subtracts. Mirrors transaction_balance_delta() in the database.
+ */
+export const balanceDelta = (tx) => {
+  const amount = Number(tx.amount);
+  if (tx.type === 'income' || tx.type === 'refund') return amount;
+  if (tx.type === 'transfer' && tx.transfer_direction === 'in') return amount;
+  return -amount;
+};
@@ -0,0 +1,50 @@
+/**
+ * Trash retention: how long a trashed transaction (deleted_at, migration 004) is kept
+ * before the daily purge-trash function deletes it for good, and the log of purges.
+ *
+ * The retention is user_settings.trash_retention_days, read and saved with the other
+ * preferences (lib/preferences.js); null keeps the trash until it is emptied. Each purge,
+ * scheduled or "Empty trash", is logged in trash_purges (migration 029).
+ */
+
+// The retention choices offered in Settings, in days; null = until the trash is emptied
+export const TRASH_RETENTION_OPTIONS = [null, 7, 30, 90, 365];
+
+const DAY_MS = 86400000;
+
+/**
+ * Whole days left before a transaction trashed at `deletedAt` is purged: 0 once it is due at
+ * the next daily run, null when the trash is kept until emptied.
+ */
+export function daysUntilPurge(deletedAt, retentionDays, now = new Date()) {
+  if (!retentionDays || !deletedAt) return null;
+  const purgeAt = new Date(deletedAt).getTime() + retentionDays * DAY_MS;
+  return Math.max(0, Math.ceil((purgeAt - now.getTime()) / DAY_MS));
+}
+
+/**
+ * The user's latest purges, newest first.
+ */
+export async function loadTrashPurges(supabase, userId, limit = 10) {
+  const { data, error } = await supabase
+    .from('trash_purges')
+    .select('id, reason, purged_count, retention_days, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Log an "Empty trash". A failure is only reported: the transactions are already gone.
+ */
+export async function logEmptiedTrash(supabase, userId, purgedCount) {
+  if (!purgedCount) return;
+  const { error } = await supabase
+    .from('trash_purges')
+    .insert({ user_id: userId, reason: 'emptied', purged_count: purgedCount, cutoff: new Date().toISOString() });
+
+  if (error) console.error('Error logging emptied trash:', error);
+}
@@ -0,0 +1,89 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+/**
+ * Render only the rows of a long list that are on (or near) the screen.
+ *
+ * The list scrolls with the page, so the visible window is worked out from the window's
+ * scroll position and the list container's place on the page. Rows are measured as they
+ * render; rows not yet seen count as `estimate` pixels tall. Spacers of `padTop` and
+ * `padBottom` pixels stand in for the rows that aren't rendered, keeping the scrollbar
+ * true to the whole list.
+ *
+ * @param {Array<string>} keys - A stable key per row, in display order
+ * @param {Object} options - { estimate: row height guess in px, overscan: extra rows each side }
+ * @returns {Object} { containerRef, start, end, padTop, padBottom, measure }
+ *   Render keys.slice(start, end); attach measure(key) as each rendered row's ref.
+ */
+export function useWindowedRows(keys, { estimate = 72, overscan = 10 } = {}) {
+  const containerRef = useRef(null);
+  const heights = useRef(new Map());
+  const [window_, setWindow] = useState({ start: 0, end: Math.min(keys.length, overscan * 3) });
+  const frame = useRef(null);
+
+  const heightOf = (key) => heights.current.get(key) ?? estimate;
+
+  const recompute = useCallback(() => {
+    frame.current = null;
+    const container = containerRef.current;
+    // Hidden (display: none) lists, e.g. the desktop table on a phone, render a minimal window
+    if (!container || container.offsetParent === null) {
+      setWindow(prev => (prev.start === 0 && prev.end === Math.min(keys.length, overscan) ? prev : { start: 0, end: Math.min(keys.length, overscan) }));
+      return;
+    }
+
+    const top = -container.getBoundingClientRect().top;
+    const bottom = top + window.innerHeight;
+
+    let y = 0;
+    let start = 0;
+    while (start < keys.length && y + heightOf(keys[start]) < top) {
+      y += heightOf(keys[start]);
+      start += 1;
+    }
+    let end = start;
+    while (end < keys.length && y < bottom) {
+      y += heightOf(keys[end]);
+      end += 1;
+    }
+
+    const next = {
+      start: Math.max(0, start - overscan),
+      end: Math.min(keys.length, end + overscan),
+    };
+    setWindow(prev => (prev.start === next.start && prev.end === next.end ? prev : next));
+  }, [keys, estimate, overscan]);
+
+  const schedule = useCallback(() => {
+    if (frame.current === null) frame.current = requestAnimationFrame(recompute);
+  }, [recompute]);
+
+  useEffect(() => {
+    recompute();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame.current !== null) cancelAnimationFrame(frame.current);
+      frame.current = null;
+    };
+  }, [recompute, schedule]);
+
+  const measure = useCallback((key) => (el) => {
+    if (!el) return;
+    const height = el.getBoundingClientRect().height;
+    if (height > 0 && heights.current.get(key) !== height) {
+      heights.current.set(key, height);
+      schedule();
+    }
+  }, [schedule]);
+
+  const start = Math.min(window_.start, keys.length);
+  const end = Math.min(window_.end, keys.length);
+  let padTop = 0;
+  for (let i = 0; i < start; i++) padTop += heightOf(keys[i]);
+  let padBottom = 0;
+  for (let i = end; i < keys.length; i++) padBottom += heightOf(keys[i]);
+
+  return { containerRef, start, end, padTop, padBottom, measure };
+}
@@ -0,0 +1,116 @@
+/**
+ * Zero-based budgeting: the month's income is a "to be assigned" pool, and every dollar of it
+ * goes to a category limit or to savings until nothing is left to assign.
+ *
+ * The pool is the income received in the month plus what income recurring payments are still
+ * expected to bring in it, both in the base currency. The mode is the budgetMode preference and
+ * the savings are budgets.savings_amount (migration 031).
+ */
+
+import { getPaymentDatesInRange, parseLocalDate } from './recurringUtils.js';
+import { matchesRecurringOccurrence } from './recurringAutoAdd.js';
+
+export const BUDGET_MODES = ['limits', 'zero_based'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const dateKey = (date) => {
+  const d = parseLocalDate(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// An occurrence already received: generated for it by auto-add, or the bank's own row for it
+const isReceived = (payment, date, received) => received.some(tx =>
+  tx.recurring_payment_id
+    ? tx.recurring_payment_id === payment.id && tx.date === dateKey(date)
+    : matchesRecurringOccurrence(tx, payment, date)
+);
+
+/**
+ * Income recurring payments still to come in `month` ('YYYY-MM'): all of a future month, from
+ * today in the current one, nothing in a past one. Occurrences a received row already stands
+ * for (early, or today's once recorded) are left out so they aren't counted twice.
+ *
+ * @param {Array} recurringPayments - With accounts(currency): an occurrence is in its account's currency
+ * @param {Array} received - The month's income rows, as loaded by loadReceivedIncome
+ * @param {Function} toBase - (amount, currency, date) in the base currency (CurrencyContext)
+ * @returns {Object} { amount, payments: [{ name, occurrences, total }] }
+ */
+export function expectedIncome(recurringPayments, month, received = [], toBase = (amount) => Number(amount), today = new Date()) {
+  const [year, monthNum] = month.split('-').map(Number);
+  const monthStart = new Date(year, monthNum - 1, 1);
+  const monthEnd = new Date(year, monthNum, 0);
+  const todayStart = parseLocalDate(today);
+  const from = todayStart > monthStart ? todayStart : monthStart;
+
+  const payments = [];
+  if (from <= monthEnd) {
+    (recurringPayments || [])
+      .filter(payment => payment.type === 'income' && payment.is_active)
+      .forEach(payment => {
+        const dates = getPaymentDatesInRange(
+          payment.start_date,
+          payment.frequency,
+          from,
+          monthEnd,
+          payment.end_date,
+          payment.business_days_only || false,
+          payment.last_business_day_of_month || false
+        ).filter(date => !isReceived(payment, date, received));
+        if (dates.length > 0) {
+          payments.push({
+            name: payment.name,
+            occurrences: dates.length,
+            total: dates.reduce((sum, date) => sum + toBase(payment.amount, payment.accounts?.currency, dateKey(date)), 0),
+          });
+        }
+      });
+  }
+
+  return { amount: payments.reduce((sum, p) => sum + p.total, 0), payments };
+}
+
+/**
+ * What's left to assign once the category limits and savings are taken from the income, and
+ * whether it's all assigned ('assigned'), some is left ('unassigned') or more was assigned
+ * than there is ('over').
+ */
+export function assignmentStatus(income, assigned) {
+  const toAssign = round(income - assigned);
+  const status = toAssign === 0 ? 'assigned' : toAssign > 0 ? 'unassigned' : 'over';
+  return { toAssign, status };
+}
+
+/**
+ * The month's income pool: what was received, in the base currency, and what is still expected.
+ *
+ * @param {Object} currency - { convertTransactions, toBase } from CurrencyContext
+ * @returns {Object} { received, expected: { amount, payments } }
+ */
+export function incomePool(received, recurringPayments, month, { convertTransactions, toBase }) {
+  return {
+    received: convertTransactions(received).reduce((sum, tx) => sum + Number(tx.amount || 0), 0),
+    expected: expectedIncome(recurringPayments, month, received, toBase),
+  };
+}
+
+/**
+ * The income rows of `month` ('YYYY-MM'), in their own currencies. Trashed transactions
+ * don't count; transfers aren't income.
+ */
+export async function loadReceivedIncome(supabase, userId, month) {
+  const [year, monthNum] = month.split('-').map(Number);
+  const endDate = `${month}-${new Date(year, monthNum, 0).getDate()}`;
+
+  const { data, error } = await supabase
+    .from('transactions')
+    .select('type, amount, currency, date, description, recurring_payment_id')
+    .eq('user_id', userId)
+    .eq('type', 'income')
+    .is('deleted_at', null)
+    .gte('date', `${month}-01`)
+    .lte('date', endDate);
+
+  if (error) throw error;
+  return data || [];
+}
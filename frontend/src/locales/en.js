@@ -0,0 +1,1443 @@
+/**
+ * English messages, grouped by page or component. fr.js has the same keys.
+ * See lib/i18n.js for placeholders ({name}) and plural forms ({ one, other }).
+ */
+export default {
+  common: {
+    save: 'Save',
+    saving: 'Saving...',
+    cancel: 'Cancel',
+    delete: 'Delete',
+    edit: 'Edit',
+    close: 'Close',
+    add: 'Add',
+    loading: 'Loading...',
+    back: 'Back',
+    next: 'Next',
+    previous: 'Previous',
+    today: 'Today',
+    tomorrow: 'Tomorrow',
+    income: 'Income',
+    expense: 'Expense',
+    expenses: 'Expenses',
+    total: 'Total',
+    all: 'All',
+    none: 'None',
+    noDescription: 'No description',
+    uncategorized: 'Uncategorized',
+    unknown: 'Unknown',
+    date: 'Date',
+    description: 'Description',
+    category: 'Category',
+    amount: 'Amount',
+    account: 'Account',
+    type: 'Type',
+    name: 'Name',
+    notes: 'Notes',
+    tags: 'Tags',
+    optional: 'optional',
+    yes: 'Yes',
+    no: 'No',
+    undo: 'Undo',
+    apply: 'Apply',
+    remove: 'Remove',
+    confirm: 'Confirm',
+    tryAgain: 'Try again',
+    transactions: { one: '{count} transaction', other: '{count} transactions' },
+    payments: { one: '{count} payment', other: '{count} payments' },
+    inDays: { one: 'In {count} day', other: 'In {count} days' },
+    daily: 'Daily',
+    weekly: 'Weekly',
+    biweekly: 'Biweekly',
+    monthly: 'Monthly',
+    quarterly: 'Quarterly',
+    yearly: 'Yearly',
+    transfer: 'Transfer',
+    refund: 'Refund',
+  },
+  nav: {
+    dashboard: 'Dashboard',
+    budget: 'Budget',
+    recurring: 'Recurring',
+    reports: 'Report',
+    assets: 'Assets',
+    assetsLiabilities: 'Assets & Liabilities',
+    transactions: 'Transactions',
+    settings: 'Settings',
+    signIn: 'Sign In',
+    signOut: 'Sign Out',
+    toggleNavigation: 'Toggle navigation',
+    preferences: 'Preferences',
+    accounts: 'Accounts',
+    import: 'Import',
+    categories: 'Categories',
+    importHistory: 'Import History',
+  },
+  footer: {
+    tagline: 'A simple, effective budget tracking tool.',
+    rights: '© 2025 BudgetWise. All rights reserved.',
+  },
+  currency: {
+    missingRates: 'No exchange rate for {pairs}, so those amounts are counted one-to-one.',
+    addRatesLink: 'Add rates in Settings',
+    title: 'Currencies',
+    exchangeRates: 'Exchange rates',
+    exchangeRatesHint: 'An amount uses the latest rate on or before its date. A USD → CAD rate also converts CAD to USD.',
+    rateDate: 'Rate date',
+    fromCurrency: 'From currency',
+    toCurrency: 'To currency',
+    rate: 'Rate',
+    pair: 'Pair',
+    addRate: 'Add rate',
+    importCsv: 'Import CSV',
+    noRates: 'No exchange rates yet.',
+    deleteRate: 'Delete {from} → {to} rate of {date}',
+    invalidRate: 'Enter a date, two different 3-letter currency codes and a positive rate',
+    rateSaved: 'Rate saved',
+    ratesImported: 'Rates imported',
+    importSkipped: 'Imported {imported} rates; skipped {skipped}: {errors}',
+    csvMissingColumns: 'The header row needs date, from, to and rate columns (missing: {columns})',
+    csvRow: 'Row {row}: {problem}',
+    csvBadDate: 'date must be YYYY-MM-DD',
+    csvBadCurrency: 'currencies must be 3-letter codes',
+    csvSameCurrency: 'from and to are the same currency',
+    csvBadRate: 'rate must be a positive number',
+  },
+  auth: {
+    unexpectedError: 'An unexpected error occurred. Please try again.',
+    email: 'Email',
+    emailPlaceholder: 'you@example.com',
+    password: 'Password',
+    confirmPassword: 'Confirm Password',
+    passwordsDontMatch: 'Passwords do not match',
+    passwordTooShort: 'Password must be at least 6 characters',
+    passwordHint: 'Must be at least 6 characters',
+    signIn: 'Sign In',
+    signInLink: 'Sign in',
+    welcomeBack: 'Welcome Back',
+    signInSubtitle: 'Sign in to your BudgetWise account',
+    forgotPassword: 'Forgot password?',
+    signingIn: 'Signing in...',
+    noAccount: "Don't have an account?",
+    signUpLink: 'Sign up',
+    createAccount: 'Create Account',
+    signUpSubtitle: 'Start tracking your budget with BudgetWise',
+    accountCreated: 'Account created! Please check your email to verify your account.',
+    fullName: 'Full Name',
+    fullNamePlaceholder: 'John Doe',
+    creatingAccount: 'Creating account...',
+    signUp: 'Sign Up',
+    haveAccount: 'Already have an account?',
+    resetPassword: 'Reset Password',
+    resetSubtitle: 'Enter your email to receive a password reset link',
+    resetSent: 'Password reset email sent!',
+    resetSentHint: "Check your inbox for a link to reset your password. If it doesn't appear within a few minutes, check your spam folder.",
+    backToSignIn: 'Back to Sign In',
+    sending: 'Sending...',
+    sendResetLink: 'Send Reset Link',
+    rememberPassword: 'Remember your password?',
+    invalidLink: 'Invalid Link',
+    invalidLinkHint: 'This password reset link is invalid or has expired.',
+    requestNewLinkHint: 'Please request a new password reset link.',
+    requestNewLink: 'Request New Link',
+    setNewPassword: 'Set New Password',
+    setNewPasswordSubtitle: 'Enter your new password below',
+    passwordUpdated: 'Password updated successfully!',
+    redirecting: 'Redirecting to dashboard...',
+    newPassword: 'New Password',
+    newPasswordPlaceholder: 'Enter new password',
+    confirmNewPasswordPlaceholder: 'Confirm new password',
+    updating: 'Updating...',
+    updatePassword: 'Update Password',
+  },
+  home: {
+    heroSmart: 'Smart',
+    heroBudget: 'Budget Tracking',
+    heroAuto: 'with Auto-Categorization',
+    heroText: 'Import your bank transactions and let our smart categorization do the work. Track spending across categories, set monthly budgets, and manage your finances - all with automatic balance calculations.',
+    getStarted: 'Get Started Free',
+    learnMore: 'Learn More',
+    previewAlt: 'Budget dashboard preview',
+    whyTitle: 'Why Choose BudgetWise?',
+    whyText: 'Built for real-world budgeting with features that actually save you time.',
+    featureCategorizeTitle: 'Smart Auto-Categorization',
+    featureCategorizeText: 'Merchant patterns automatically categorize your transactions into budget categories.',
+    featureImportTitle: 'Easy Transaction Import',
+    featureImportText: 'Import from Google Sheets or CSV files with automatic merchant matching.',
+    featureBudgetTitle: 'Monthly Budget Planning',
+    featureBudgetText: 'Set spending limits per category and track your budget in real-time.',
+    featureBalanceTitle: 'Automatic Balance Tracking',
+    featureBalanceText: 'Running balance calculated automatically for every transaction.',
+    featureMonthsTitle: 'Month-by-Month View',
+    featureMonthsText: 'Navigate between months to see historical spending and budget performance.',
+    featureSecureTitle: 'Secure & Private',
+    featureSecureText: 'Row-level security ensures you only see your own data. Enterprise-grade encryption.',
+    categoriesTitle: 'Pre-Configured Categories',
+    categoriesText: 'Your account comes with expense categories ready to go. Add your own categories and merchant patterns anytime.',
+    securityTitle: '🔒 Enterprise-Grade Security',
+    securityText: 'Built on Supabase with PostgreSQL. Row-level security ensures you only see your own data.',
+    rlsTitle: 'Row-Level Security',
+    rlsText: 'Database policies ensure data isolation',
+    encryptedTitle: 'Encrypted Storage',
+    encryptedText: 'All data encrypted at rest',
+    authTitle: 'Secure Auth',
+    authText: 'Supabase Auth with JWT tokens',
+    ctaTitle: 'Ready to Take Control?',
+    ctaText: 'Create your free account and start tracking your budget today.',
+    signIn: 'Sign In',
+    scrollTop: 'Scroll to top',
+  },
+  preferences: {
+    title: 'Display Preferences',
+    language: 'Language',
+    languageHint: 'Menus, messages and budget tips are shown in this language.',
+    languageSaved: 'Language changed to English',
+    displayCurrency: 'Display currency',
+    displayCurrencyHint: 'Your base currency: totals, budgets and net worth are converted to it. Each account keeps its own.',
+    currencySaved: 'Amounts are now shown in {currency}',
+    numberFormat: 'Number format',
+    numberFormatHint: 'Amounts look like {sample}',
+    dateFormat: 'Date format',
+    weekStart: 'First day of the week',
+    weekStartHint: 'Weekly charts and calendars start on this day.',
+    importedDates: 'Imported dates',
+    importedDatesHint: 'How to read a date like 03/04/2026 when nothing else in the file settles it.',
+    saved: 'Preferences saved',
+    sunday: 'Sunday',
+    monday: 'Monday',
+    saturday: 'Saturday',
+    monthFirst: 'Month first (03/04 is March 4)',
+    dayFirst: 'Day first (03/04 is 3 April)',
+  },
+  settings: {
+    loading: 'Loading settings...',
+    subtitle: 'Manage your account settings',
+    pushTitle: 'Push Notifications',
+    status: 'Status:',
+    enabled: 'Enabled',
+    blocked: 'Blocked',
+    notSupported: 'Not Supported',
+    notEnabled: 'Not Enabled',
+    unsupportedText: 'Push notifications are not supported in this browser. For the best experience, add this app to your home screen on iOS 16.4+ or use Chrome on Android.',
+    blockedText: 'Notifications are blocked. To enable them, go to your browser settings and allow notifications for this site.',
+    requesting: 'Requesting...',
+    enable: 'Enable Notifications',
+    youWillReceive: 'You will receive notifications for:',
+    newTransactions: '• New transactions added',
+    budgetWarnings: '• Budget limit warnings (80%, 90%, 100%)',
+    sendTest: 'Send Test Notification',
+    enabledTitle: 'Notifications Enabled!',
+    enabledBody: 'You will now receive budget alerts and transaction notifications.',
+    testTitle: 'Test Notification',
+    testBody: 'This is a test notification from BudgetWise!',
+    accountInfo: 'Account Information',
+    email: 'Email:',
+    userId: 'User ID:',
+    syncTitle: 'Looking for Google Sheet sync?',
+    syncText: 'Go to the Import tab to connect your Google Sheet and configure auto-sync settings.',
+  },
+  notifications: {
+    newExpense: 'New Expense Added',
+    newIncome: 'New Income Added',
+    newRefund: 'Refund Added',
+    budgetExceeded: '🚨 Budget Exceeded!',
+    budgetAlmost: '⚠️ Budget Almost Reached!',
+    budgetAlert: '📊 Budget Alert',
+    budgetAtPercent: '{category} is at {percent}% of limit',
+  },
+  sync: {
+    webhookReceived: 'New transaction received via webhook',
+    newTransaction: 'New Transaction',
+    invalidSheetUrl: 'Invalid Google Sheet URL',
+    noneInSheet: 'No transactions found in sheet',
+    allImported: 'All transactions already imported',
+    importedTitle: 'New Transactions Imported',
+    importedBody: { one: '{count} transaction imported ({total} total)', other: '{count} transactions imported ({total} total)' },
+    imported: { one: 'Imported {count} new transaction', other: 'Imported {count} new transactions' },
+    heldForReview: { one: '{count} possible duplicate held for review on the Import page', other: '{count} possible duplicates held for review on the Import page' },
+  },
+  search: {
+    badType: 'type is income, expense, transfer or refund',
+    badAmount: 'use an amount like 50, >50, <=20 or 10..50',
+    badAmountExclude: 'only amount:>… or amount:<… can be excluded',
+    badDate: 'use a date like 2026, 2026-03 or 2026-03-14',
+    badDateExclude: 'use -after: or -before: to exclude dates',
+    placeholder: 'Search transactions...',
+    label: 'Search transactions',
+    suggestionsLabel: 'Search suggestions',
+    hintCategory: 'Category name',
+    hintTag: 'Has the tag',
+    hintBank: 'Bank or source contains',
+    hintAccount: 'Account name',
+    hintType: 'income, expense, transfer or refund',
+    hintDesc: 'Description contains',
+    hintAmount: '50, >50, <=20 or 10..50',
+    hintAfter: 'On or after a date',
+    hintBefore: 'On or before a date',
+    hintDate: '2026, 2026-03, 2026-03-14 or a range a..b',
+  },
+  rules: {
+    noName: 'Give the rule a name',
+    noCondition: 'Add at least one condition',
+    badRegex: 'The description pattern is not a valid regular expression',
+    badQuery: 'Search expression: {problem}',
+    negativeAmount: 'Amounts must be zero or more',
+    minAboveMax: 'The minimum amount is above the maximum',
+    badDay: 'Days of the month run from 1 to 31',
+    firstDayAfterLast: 'The first day is after the last day',
+    noAction: 'Add at least one action',
+    transferWithCategory: 'A transfer has no category - choose one or the other',
+    incomeCategory: '"{name}" is an income category',
+    expenseCategory: '"{name}" is an expense category',
+    loadFailed: 'Failed to load rules: {error}',
+    saveFailed: 'Failed to save rule: {error}',
+    updateFailed: 'Failed to update rule: {error}',
+    deleteFailed: 'Failed to delete rule: {error}',
+    reorderFailed: 'Failed to reorder rules: {error}',
+    confirmDelete: 'Delete the rule "{name}"?',
+    whenContains: 'description contains "{text}"',
+    whenRegex: 'description matches /{pattern}/',
+    whenAmountBetween: 'amount {min}–{max}',
+    whenAmountMin: 'amount ≥ {min}',
+    whenAmountMax: 'amount ≤ {max}',
+    whenBank: 'bank contains "{bank}"',
+    whenIncome: 'income',
+    whenExpense: 'expense',
+    whenDays: 'day {from}–{to}',
+    whenQuery: 'matches {query}',
+    thenCategory: 'category {name}',
+    thenRename: 'rename to "{name}"',
+    thenTags: 'tag {tags}',
+    thenTransfer: 'transfer with {name}',
+    deletedCategory: '(deleted)',
+    archivedAccount: '(archived account)',
+    and: ' and ',
+    summary: 'If {when} → {then}',
+    title: 'Categorization Rules',
+    newRule: '+ New Rule',
+    intro: 'Rules run from the top on every import and sync, before your merchant mappings. The first rule that sets a category, name or transfer wins; tags from every matching rule are added.',
+    loading: 'Loading rules...',
+    empty: 'No rules yet. Merchant mappings are still applied on their own.',
+    enable: 'Enable {name}',
+    off: 'Off',
+    moveUp: 'Move up',
+    moveDown: 'Move down',
+    editRule: 'Edit rule',
+    deleteRule: 'Delete rule',
+    editTitle: 'Edit Rule',
+    newTitle: 'New Rule',
+    ruleName: 'Rule name',
+    ruleNamePlaceholder: 'e.g. Rent on the 1st',
+    whenAll: 'When all of these match',
+    descriptionContains: 'Description contains',
+    descriptionRegex: 'Description matches (regex)',
+    amountFrom: 'Amount from',
+    amountTo: 'Amount up to',
+    bankContains: 'Bank / source contains',
+    incomeOrExpense: 'Income or expense',
+    dayFrom: 'From day of month',
+    dayTo: 'To day of month',
+    matchesSearch: 'Matches search',
+    searchHint: 'The same search expressions as the Transactions search box.',
+    then: 'Then',
+    setCategory: 'Set category',
+    leaveAsIs: '— Leave as is —',
+    renameTo: 'Rename payee to',
+    addTags: 'Add tags (comma separated)',
+    addTagsPlaceholder: 'subscriptions, shared',
+    transferWith: 'Mark as transfer with',
+    notTransfer: '— Not a transfer —',
+    saveRule: 'Save Rule',
+  },
+  importErrors: {
+    sheetAccess: 'Could not access Google Sheet. Make sure it is set to "Anyone with the link can view".',
+    emptyCsv: 'CSV file appears to be empty or has no data rows',
+    csvColumns: 'CSV must have columns for date, description, and amount',
+    notOfx: 'This does not look like an OFX/QFX file',
+    noOfxTransactions: 'OFX file has no transactions',
+    notQif: 'This does not look like a QIF file',
+    readFailed: 'Failed to read file',
+    unsupportedFile: 'Please upload a CSV, OFX, QFX or QIF file',
+    missingDate: 'Missing date',
+    missingDescription: 'Missing description',
+    invalidAmount: 'Invalid amount',
+  },
+  splits: {
+    needTwoLines: 'A split needs at least two lines',
+    needCategory: 'Choose a category for every line',
+    categoryOnce: 'Each category can only be used once',
+    needAmount: 'Every line needs an amount above zero',
+    leftToAllocate: '{amount} left to allocate',
+    overTotal: 'Lines are {amount} over the total',
+    title: 'Split Transaction',
+    categoryForLine: 'Category for line {line}',
+    amountForLine: 'Amount for line {line}',
+    selectCategory: 'Select a category',
+    removeLine: 'Remove line',
+    addLine: '+ Add line',
+    leftLabel: 'Left to allocate',
+    removeSplit: 'Remove split',
+    save: 'Save Split',
+  },
+  bulk: {
+    chooseCategory: 'Choose a category',
+    chooseDate: 'Choose a date',
+    chooseAccount: 'Choose an account',
+  },
+  accounts: {
+    chequing: 'Chequing',
+    savings: 'Savings',
+    creditCard: 'Credit Card',
+    loadFailed: 'Failed to load accounts: {error}',
+    updated: 'Account updated!',
+    created: 'Account created!',
+    saveFailed: 'Failed to save: {error}',
+    recomputedNone: 'Balances recomputed — every account was already correct',
+    recomputed: 'Balances recomputed — {changes}',
+    recomputeFailed: 'Failed to recompute balances: {error}',
+    keepOneActive: 'You need at least one active account. Create another one before archiving this.',
+    archivedMessage: '"{name}" archived',
+    restoredMessage: '"{name}" restored',
+    updateFailed: 'Failed to update: {error}',
+    loading: 'Loading accounts...',
+    title: 'Accounts',
+    subtitle: 'Chequing, savings and credit cards — each with its own running balance',
+    addAccount: '+ Add Account',
+    recomputing: 'Recomputing...',
+    recomputeHint: 'Recompute every balance from the opening balances and transactions',
+    recompute: 'Recompute balances',
+    hideArchived: 'Hide archived',
+    showArchived: 'Show archived ({count})',
+    empty: 'No accounts yet. One is created automatically with your first transaction, or add one now.',
+    archived: 'Archived',
+    reconcile: 'Reconcile',
+    restore: 'Restore',
+    archive: 'Archive',
+    editAccount: 'Edit Account',
+    addAccountTitle: 'Add Account',
+    updateAccount: 'Update Account',
+    nameRequired: 'Name *',
+    namePlaceholder: 'e.g., TD Chequing, Visa Infinite',
+    currency: 'Currency',
+    currencyChangeHint: "The balance will be counted in {currency}; the account's transactions keep their own currency and amounts.",
+    openingBalance: 'Opening balance',
+    openingBalanceHint: 'What the bank shows today. Use a negative amount for a credit card you owe on.',
+    selectPlaceholder: 'Select an account...',
+    noAccounts: 'No accounts yet',
+    enterName: 'Please enter an account name',
+    invalidOpeningBalance: 'Please enter a valid opening balance',
+    netBalanceSummary: { one: 'Net balance · {count} active account', other: 'Net balance · {count} active accounts' },
+  },
+  reconcile: {
+    uncleared: 'Uncleared',
+    unclearedHint: 'Not yet on a bank statement — click to mark cleared',
+    cleared: 'Cleared',
+    clearedHint: 'Seen on the bank statement — click to mark uncleared',
+    reconciled: 'Reconciled',
+    reconciledHint: 'Locked by a finished reconciliation',
+    loadLastFailed: 'Failed to load the last reconciliation: {error}',
+    loadFailed: 'Failed to load transactions: {error}',
+    updateFailed: 'Failed to update: {error}',
+    finished: '"{name}" reconciled to {balance} as of {date}',
+    finishFailed: 'Failed to finish: {error}',
+    title: 'Reconcile {name}',
+    lastReconciled: 'Last reconciled to {balance} as of {date}',
+    never: 'Never reconciled',
+    drifted: 'Reconciled transactions have changed since the last statement: they now add up to {now}, not {then}.',
+    statementDate: 'Statement end date',
+    closingBalance: 'Closing balance',
+    closingBalanceLabel: 'Statement closing balance',
+    nothingToReconcile: 'No unreconciled transactions up to {date}.',
+    markAll: 'Mark all cleared',
+    reconciledBalance: 'Reconciled balance',
+    clearedBalance: 'Cleared balance ({count} ticked)',
+    statementBalance: 'Statement balance',
+    difference: 'Difference',
+    finishing: 'Finishing...',
+    finishHint: 'Lock the cleared transactions as reconciled',
+    finishBlocked: 'The difference must be zero to finish',
+    finish: 'Finish',
+    clearedRow: 'Cleared: {description}',
+    editWarning: {
+      one: 'This transaction is reconciled against a bank statement. Changing it will make the account disagree with that statement. Continue?',
+      other: '{count} of these transactions are reconciled against a bank statement. Changing them will make the account disagree with that statement. Continue?',
+    },
+  },
+  addTransaction: {
+    loadFailed: 'Failed to load categories: {error}',
+    invalidAmount: 'Please enter a valid amount',
+    twoAccounts: 'Please choose two different accounts',
+    receivedAmount: 'Please enter the amount received in {currency}',
+    selectCategory: 'Please select a category',
+    selectDate: 'Please select a date',
+    transferRecorded: 'Transfer recorded!',
+    added: 'Transaction added successfully!',
+    addFailed: 'Failed to add transaction: {error}',
+    title: 'Add Transaction',
+    subtitle: 'Record a new income, expense or transfer',
+    transactionType: 'Transaction Type',
+    amountSent: 'Amount sent ({currency})',
+    from: 'From',
+    to: 'To',
+    selectAccount: 'Select account...',
+    amountReceivedIn: 'Amount received ({currency})',
+    amountReceived: 'Amount received',
+    selectCategoryPlaceholder: 'Select a category',
+    noIncomeCategories: 'No income categories found. Please add income categories in the Categories page first.',
+    noExpenseCategories: 'No expense categories found. Please add expense categories in the Categories page first.',
+    descriptionOptional: 'Description (optional)',
+    tagsOptional: 'Tags (optional)',
+    tagsPlaceholder: 'e.g., Vacation 2026',
+    adding: 'Adding...',
+    addIncome: 'Add Income',
+    addExpense: 'Add Expense',
+    addTransfer: 'Add Transfer',
+    expenseCategories: { one: '{count} expense category', other: '{count} expense categories' },
+    incomeCategories: { one: '{count} income category', other: '{count} income categories' },
+    addRefund: 'Add Refund',
+    refundOf: 'Original purchase',
+    refundOfHint: 'Link the purchase this refunds; it takes its category.',
+    refundNoMatch: 'No purchase from this merchant in the last 120 days. Pick the category it goes back to below.',
+    currency: 'Currency',
+    currencyHint: 'Paid in a currency other than the account\'s? Its balance converts it.',
+  },
+  tags: {
+    addPlaceholder: 'Add a tag...',
+    remove: 'Remove tag {tag}',
+    breakdownTitle: 'Tag Breakdown',
+    breakdownSubtitle: 'Totals per tag, across categories',
+    breakdownFrom: 'Tag breakdown from',
+    breakdownTo: 'Tag breakdown to',
+    to: 'to',
+    breakdownEmpty: 'No tagged transactions in this range. Add tags when recording a transaction, or tag several at once from Transactions.',
+    tag: 'Tag',
+    net: 'Net',
+    dialogTitle: 'Tag Transactions',
+    appliesToSelected: { one: 'Applies to the {count} transaction selected', other: 'Applies to the {count} transactions selected' },
+    appliesToShown: { one: 'Applies to the {count} transaction currently shown', other: 'Applies to the {count} transactions currently shown' },
+    addTags: 'Add tags',
+    removeTags: 'Remove tags',
+    addExample: 'e.g., Home renovation',
+    tagToRemove: 'Tag to remove',
+    undoHint: 'You can undo this straight after, or later from Categories → Recent changes.',
+    addTo: { one: 'Add to {count} Transaction', other: 'Add to {count} Transactions' },
+    removeFrom: { one: 'Remove from {count} Transaction', other: 'Remove from {count} Transactions' },
+  },
+  bulkBar: {
+    selected: { one: '{count} selected', other: '{count} selected' },
+    restore: 'Restore {count}',
+    delete: 'Delete {count}',
+    selectAll: 'Select all {total}',
+    clear: 'Clear',
+    newCategory: 'New category',
+    chooseCategory: 'Choose a category...',
+    newDate: 'New date',
+    moveToAccount: 'Move to account',
+    chooseAccount: 'Choose an account...',
+    applyTo: 'Apply to {count}',
+    categoryHint: "Only rows of the category's type are changed; transfers and split rows are skipped.",
+    accountHint: 'Transfers stay on their accounts.',
+    dateHint: 'Both halves of a transfer move together.',
+  },
+  suggestions: {
+    label: 'Suggested:',
+    setCategory: 'Set category to {name}',
+  },
+  views: {
+    saveFailed: 'Failed to save view: {error}',
+    views: 'Views',
+    empty: 'No saved views yet',
+    pin: 'Pin {name}',
+    unpin: 'Unpin {name}',
+    delete: 'Delete {name}',
+    saveCurrent: 'Save current view...',
+    saveTitle: 'Save View',
+    saveSubtitle: 'The current search, period and filters',
+    namePlaceholder: 'e.g. Amazon this year',
+    nameLabel: 'View name',
+    replaces: 'Replaces the saved view with this name.',
+    pinToPage: 'Pin to the Transactions page',
+    pinHint: 'Pin to the page',
+    unpinHint: 'Unpin from the page',
+    deleteConfirm: 'Delete the view "{name}"?',
+  },
+  transactions: {
+    recategorized: 'Recategorized',
+    redated: 'Re-dated',
+    moved: 'Moved',
+    movedToTrash: 'Moved to trash',
+    restored: 'Restored',
+    showOnlyTag: 'Show only "{tag}"',
+    updateCategoryFailed: 'Failed to update category',
+    splitAmountLocked: 'This transaction is split across categories. Remove the split before changing its amount.',
+    updateAmountFailed: 'Failed to update amount',
+    clearedFailed: 'Failed to update cleared status: {error}',
+    count: { one: '{count} transaction', other: '{count} transactions' },
+    tagsUnchangedHave: 'Nothing to change — the {scope} transactions already have those tags.',
+    tagsUnchangedLack: 'Nothing to change — the {scope} transactions already lack those tags.',
+    scopeSelected: 'selected',
+    scopeShown: 'shown',
+    taggedLabel: 'Tagged {transactions}: {tags}',
+    untaggedLabel: 'Untagged {transactions}: {tags}',
+    tagged: 'Tagged {transactions}.',
+    untagged: 'Removed tags from {transactions}.',
+    tagsFailed: 'Failed to update tags: {error}',
+    loadFailed: 'Failed to load transactions: {error}',
+    skipped: ' {count} skipped (transfers, split rows or a different type).',
+    nothingToChange: 'Nothing to change.{skipped}',
+    toTarget: ' to {target}',
+    bulkSummary: '{verb} {transactions}{target}',
+    bulkFailed: 'Bulk edit failed: {error}',
+    undone: 'Undone — {transactions} restored.',
+    undoFailed: 'Failed to undo: {error}',
+    splitSummary: 'Split · {count} categories',
+    transferTo: 'Transfer to {name}',
+    transferFrom: 'Transfer from {name}',
+    deleteFailed: 'Failed to delete transaction: {error}',
+    deleteAllFailed: 'Failed to delete all transactions: {error}',
+    restoreFailed: 'Failed to restore transaction: {error}',
+    permanentDeleteFailed: 'Failed to permanently delete transaction: {error}',
+    emptyTrashFailed: 'Failed to empty trash: {error}',
+    restoreAllFailed: 'Failed to restore all transactions: {error}',
+    exportFailed: 'Failed to export: {error}',
+    loading: 'Loading transactions...',
+    title: 'Transactions',
+    active: 'Active ({count})',
+    trash: 'Trash ({count})',
+    removeAll: 'Remove All',
+    tag: 'Tag ({count})',
+    downloadCsv: 'Download CSV',
+    addTransaction: '+ Add Transaction',
+    restoreAll: 'Restore All',
+    emptyTrash: 'Empty Trash',
+    dismiss: 'Dismiss',
+    searchPlaceholder: 'Search, or try category:Groceries amount:>50',
+    thisMonth: 'This month',
+    lastMonth: 'Last month',
+    allTime: 'All time',
+    allTypes: 'All types',
+    allAccounts: 'All accounts',
+    allTags: 'All tags',
+    customFilters: 'Custom filters',
+    filters: 'Filters',
+    reset: 'Reset',
+    dateRange: 'Date range',
+    startDate: 'Start date',
+    endDate: 'End date',
+    filterDescription: 'Filter by description...',
+    bank: 'Bank',
+    allBanks: 'All banks',
+    amountRange: 'Amount range',
+    minAmount: 'Minimum amount',
+    maxAmount: 'Maximum amount',
+    clearFilters: 'Clear filters',
+    applyFilters: 'Apply filters',
+    noneFound: 'No transactions found',
+    select: 'Select {description}',
+    selectCategory: 'Select',
+    splitAcross: 'Split across categories…',
+    balanceShort: 'Bal: {balance}',
+    moveToTrash: 'Move to trash',
+    selectAllShown: 'Select all shown',
+    balance: 'Balance',
+    loadMore: 'Load more ({shown} of {total})',
+    periodTotal: 'Period total:',
+    loadingTrash: 'Loading trash...',
+    trashHint: 'Items in trash can be restored or permanently deleted. Restore items you want to keep.',
+    trashEmpty: 'Trash is empty',
+    restore: 'Restore',
+    selectAllTrash: 'Select all in trash',
+    actions: 'Actions',
+    removeAllTitle: 'Remove All Transactions',
+    removeAllConfirm: 'Are you sure you want to move all {count} transactions to trash?',
+    removeAllHint: 'Transactions will be moved to trash where you can restore them or delete them permanently.',
+    moveToTrashButton: 'Move to Trash',
+    emptyTrashConfirm: 'Are you sure you want to permanently delete all {count} items in trash?',
+    emptyTrashHint: 'This action cannot be undone. All items will be permanently removed.',
+    restoreAllTitle: 'Restore All Transactions',
+    restoreAllConfirm: 'Are you sure you want to restore all {count} transactions from trash?',
+    restoreAllHint: 'All transactions will be moved back to your active transactions list.',
+    changeCategory: 'Change Category',
+    changeCategoryTo: 'Change category to {name}',
+    changeCategoryHint: 'Apply this change only to this transaction, or also update the mapping so future imports with this description are automatically categorized?',
+    onlyThis: 'Only this transaction',
+    always: 'Always (update mapping)',
+    refundLabel: '{category} (refund)',
+    expiresIn: { one: 'Deleted for good in {count} day', other: 'Deleted for good in {count} days' },
+    expiresToday: 'Deleted for good at the next daily purge',
+    trashRetentionHint: { one: 'Items are deleted for good {count} day after being trashed.', other: 'Items are deleted for good {count} days after being trashed.' },
+    originally: 'Originally {amount}',
+  },
+  pickers: {
+    categoryName: 'Category name',
+    existingMatching: 'Existing categories matching "{value}"',
+    exists: 'exists',
+    alreadyExists: 'This category already exists',
+    selectCategory: 'Select a category...',
+    noCategories: 'No categories available',
+    searchMerchants: 'Search merchants...',
+    firstResults: 'Showing first {count} results. Type more to narrow down.',
+    noMerchants: 'No existing merchants match "{value}"',
+    newMerchant: 'This will create a new merchant mapping',
+  },
+  mappingPreview: {
+    title: 'Preview: "{pattern}" → {category}',
+    movesFrom: 'Moves this merchant from {category}. ',
+    nothingYet: 'Nothing changes until you apply.',
+    matching: '{count} matching',
+    wouldChange: '{count} would change',
+    conflicts: '{count} with conflicts',
+    splitsSkipped: '{count} split, left alone',
+    none: 'No existing {type} transactions match "{pattern}". The mapping will apply to future imports.',
+    selectAll: 'Select all',
+    recategorize: 'Recategorize {description}',
+    alsoMatches: 'Also matches {name} → {category}',
+    winsOnImport: ' (wins on import)',
+    already: 'Already {category}',
+    undoHint: 'You can undo this from Recent changes.',
+    saveOnly: 'Save Mapping Only',
+    applying: 'Applying...',
+    apply: { one: 'Apply to {count} Transaction', other: 'Apply to {count} Transactions' },
+  },
+  columnMapping: {
+    negativeExpense: 'Negative amounts are expenses',
+    negativeIncome: 'Positive amounts are expenses (credit card)',
+    typeColumn: 'Use the Type column (expense if none)',
+    none: '— None —',
+    selectColumn: 'Select a column',
+    title: 'Map CSV columns',
+    intro: 'Tell us how this bank lays out its export. Save it as a profile and files with the same columns are mapped automatically next time.',
+    dateFormat: 'Date format',
+    detect: 'Detect ({order} when unclear)',
+    fallbackDescription: 'Fallback description',
+    amounts: 'Amounts',
+    singleColumn: 'One amount column',
+    splitColumns: 'Separate debit / credit columns',
+    debit: 'Debit (money out)',
+    credit: 'Credit (money in)',
+    signConvention: 'Sign convention',
+    bank: 'Bank',
+    typeField: 'Type (income / expense)',
+    preview: 'Preview (first {count} rows)',
+    noRows: 'No rows could be read with this mapping',
+    saveProfile: 'Save as bank profile',
+    profilePlaceholder: 'e.g. RBC Chequing (leave empty to use once)',
+    saveAndContinue: 'Save Profile & Continue',
+    continue: 'Continue',
+  },
+  recommendations: {
+    highPriority: 'High Priority',
+    mediumPriority: 'Medium Priority',
+    lowPriority: 'Low Priority',
+    current: 'Current',
+    none: 'None',
+    nextMonth: 'Next Month',
+    notSet: 'Not set',
+    avgSpent: 'Avg Spent',
+    suggested: 'Suggested',
+    percentLeft: '{percent}% left',
+    budget: 'Budget',
+    spent: 'Spent',
+    availableToSave: 'Available to save',
+    fetchFailed: 'Failed to fetch recommendations',
+    title: 'Suggestions',
+    analyzing: 'Analyzing...',
+    errorLoading: 'Error loading',
+    allGood: 'All good!',
+    count: { one: '{count} suggestion', other: '{count} suggestions' },
+    overBudget: 'Over budget',
+    canSave: 'Can save',
+    analyzingMonths: 'Analyzing 6 months of data...',
+    retry: 'Retry',
+    looksGreat: 'Budget looks great!',
+    analyzed: '{count} categories analyzed',
+    refresh: 'Refresh',
+    adjustBudget: 'Adjust Budget',
+    adjustHint: "Apply to next month's budget",
+    selected: '{count} selected',
+    adjustment: 'Adjustment:',
+    clear: 'Clear',
+    applyAll: 'Apply all for next month',
+    potentialSavings: 'Potential Savings',
+    savingsHint: 'Discretionary categories (no recurring) with money left to save',
+    refreshAnalysis: 'Refresh Analysis',
+    total: 'Total:',
+    // Written by netlify/functions/budget-recommendations.js
+    msgNoBudget: 'You spend an average of {average}/month on {category}, but have no budget set. Consider setting a limit of {suggested}.',
+    msgUnderfunded: 'You typically spend {average}/month on {category}, but your budget is only {budget}. Consider increasing to {suggested}.',
+    msgOverfunded: 'Your {category} budget of {budget} is more than double your average spending of {average}/month. Consider reducing to {suggested} to reallocate {savings}.',
+    msgVariance: 'Your {category} spending varies significantly ({min} - {max}). Consider a budget of {suggested} to account for fluctuations.',
+    msgTrending: 'Your {category} spending has increased {percent}% over the last 3 months (from {from} to {to}/month). Consider adjusting your budget to {suggested}.',
+    msgSavings: "You have {remaining} left in {category} this month. If you don't spend it all, you could save up to {available}.",
+  },
+  reports: {
+    others: 'Others',
+    incomeLabel: 'Income:',
+    expensesLabel: 'Expenses:',
+    balanceLabel: 'Balance:',
+    tapMonth: 'Tap a month to see details',
+    hoverMonth: 'Hover over a month',
+    toSeeDetails: 'to see details',
+    totalSpent: 'Total Spent',
+    totalEarned: 'Total Earned',
+    showCategory: 'Show {name} transactions',
+    loading: 'Loading report...',
+    title: 'Financial Report',
+    subtitle: 'Your yearly financial overview',
+    totalIncome: 'Total Income',
+    totalExpenses: 'Total Expenses',
+    perMonth: '~{amount}/month',
+    netBalance: 'Net Balance',
+    surplus: 'Surplus',
+    deficit: 'Deficit',
+    savingsRate: 'Savings Rate',
+    monthsTracked: { one: '{count} month tracked', other: '{count} months tracked' },
+    incomeVsExpenses: 'Income vs Expenses',
+    monthlyComparison: 'Monthly comparison',
+    expenseBreakdown: 'Expense Breakdown',
+    whereMoneyGoes: 'Where your money goes',
+    noExpenseData: 'No expense data',
+    incomeBreakdown: 'Income Breakdown',
+    whereMoneyComes: 'Where your money comes from',
+    noIncomeData: 'No income data',
+    balanceTrend: 'Balance Trend',
+    balanceTrendHint: 'Monthly net balance throughout the year',
+    monthlyBreakdown: 'Monthly Breakdown',
+    monthlyBreakdownHint: 'Detailed view of each month',
+    month: 'Month',
+    balance: 'Balance',
+    totalRow: 'TOTAL',
+  },
+  recurring: {
+    loadFailed: 'Failed to load data: {error}',
+    updated: 'Recurring payment updated!',
+    created: 'Recurring payment created!',
+    saveFailed: 'Failed to save: {error}',
+    confirmDelete: 'Are you sure you want to delete this recurring payment?',
+    deleted: 'Recurring payment deleted!',
+    deleteFailed: 'Failed to delete: {error}',
+    updateFailed: 'Failed to update: {error}',
+    loading: 'Loading recurring payments...',
+    title: 'Recurring Payments',
+    subtitle: 'Manage your recurring bills and income',
+    addRecurring: '+ Add Recurring',
+    previousMonth: 'Previous month',
+    nextMonth: 'Next month',
+    incomeIn: 'Income in {month}',
+    expensesIn: 'Expenses in {month}',
+    netCashFlow: 'Net Cash Flow',
+    surplus: 'Surplus',
+    deficit: 'Deficit',
+    expensesTab: 'Expenses ({count})',
+    incomeTab: 'Income ({count})',
+    showInactive: 'Show Inactive',
+    hideInactive: 'Hide Inactive',
+    filter: 'Filter:',
+    clear: 'Clear ✕',
+    inMonth: ' in {month}',
+    noneInCategoryExpense: 'No expense payments in "{category}"',
+    noneInCategoryIncome: 'No income payments in "{category}"',
+    clearFilter: 'Clear filter',
+    noneYetExpense: 'No expense recurring payments yet',
+    noneYetIncome: 'No income recurring payments yet',
+    addFirstExpense: 'Add your first expense',
+    addFirstIncome: 'Add your first income',
+    paused: 'Paused',
+    weekdays: 'Weekdays',
+    auto: 'Auto',
+    dueToday: 'Due today',
+    daysShort: '{count}d',
+    pause: 'Pause',
+    resume: 'Resume',
+    lastBizDay: 'Last biz day',
+    autoAdded: 'Auto-added',
+    until: 'until {date}',
+    dueTomorrow: 'Due tomorrow',
+    ended: 'Ended',
+    next30Days: 'Next 30 Days',
+    editExpense: 'Edit Recurring Expense',
+    editIncome: 'Edit Recurring Income',
+    addExpense: 'Add Recurring Expense',
+    addIncome: 'Add Recurring Income',
+    nameRequired: 'Name *',
+    namePlaceholder: 'e.g., Netflix, Mortgage, Salary',
+    amountRequired: 'Amount *',
+    selectCategory: 'Select category...',
+    defaultAccount: 'Default account',
+    frequencyRequired: 'Frequency *',
+    startDateRequired: 'Start Date *',
+    endDate: 'End Date',
+    businessDaysOnly: 'Business days only',
+    businessDaysHint: 'Adjust weekend dates to nearest weekday (Sat→Fri, Sun→Mon)',
+    lastBusinessDay: 'Last business day of month',
+    lastBusinessDayHint: 'Always schedule on the last weekday (Mon-Fri) of each month',
+    autoAdd: 'Add to transactions automatically',
+    autoAddSince: 'Recording automatically since {date}',
+    autoAddHint: 'Records itself when the date arrives — starting today, past dates are left alone',
+    bankDescription: 'Bank description',
+    bankDescriptionPlaceholder: 'e.g., PAYROLL DEP, HYDRO BILL PMT',
+    bankDescriptionHint: "Optional. How this payment reads on your statement — if the same amount shows up in the Google Sheets import within a few days, it won't be added twice.",
+    notesPlaceholder: 'Optional notes...',
+    updating: 'Updating...',
+    creating: 'Creating...',
+    update: 'Update Recurring Payment',
+    add: 'Add Recurring Payment',
+  },
+  categoryManager: {
+    title: 'Category Manager',
+    subtitle: 'Manage your expense and income categories',
+    loadingCategories: 'Loading categories...',
+    expensesTab: 'Expenses ({count})',
+    incomeTab: 'Income ({count})',
+    rulesTab: 'Rules',
+    quickActions: 'Quick Actions',
+    loadDefaults: 'Load Default Categories',
+    importing: 'Importing...',
+    importCsv: 'Import Mappings from CSV',
+    recategorizing: 'Re-categorizing...',
+    recategorizeAll: 'Re-categorize All Transactions',
+    csvHint: 'CSV format: Name,Type (merchant name → category mapping). "Re-categorize All" applies your rules and mappings to existing transactions.',
+    recentChanges: 'Recent changes',
+    recategorizeBatch: 'Re-categorize All',
+    defaultsIntro: 'This will add the following default categories to your account:',
+    defaultExpenses: 'Expense Categories ({count}):',
+    defaultIncome: 'Income Categories ({count}):',
+    defaultsNoDuplicates: 'Existing categories with the same name will not be duplicated.',
+    loadCategories: 'Load Categories',
+    expenseCategories: 'Expense Categories',
+    noExpenseCategories: 'No expense categories yet',
+    addExpenseCategory: 'Add New Expense Category',
+    categoryName: 'Category name',
+    merchantMappings: 'Merchant Mappings',
+    merchantMappingsHint: 'Map merchant names to categories for automatic categorization when importing',
+    merchantName: 'Merchant Name',
+    merchantPlaceholder: 'e.g., GLOBAL PET FOODS, PC-ENERGIE NB POWER, AMAZON.CA',
+    merchantNameHint: 'Enter the exact merchant name as it appears in your bank statements',
+    assignCategory: 'Assign to Category',
+    selectCategory: 'Select a category...',
+    updateExisting: 'Update existing transactions',
+    updateExistingHint: 'Preview the matching transactions, then re-categorize them (undoable)',
+    addMapping: 'Add Merchant Mapping',
+    existingMappings: 'Existing merchant mappings for "{category}":',
+    removeMapping: 'Remove mapping',
+    incomeCategories: 'Income Categories',
+    noIncomeCategories: 'No income categories yet',
+    addIncomeCategory: 'Add New Income Category',
+    incomeCategoryPlaceholder: 'e.g., Salary, Freelance, Dividends, Cashback',
+    incomeMappings: 'Income Merchant Mappings',
+    incomeMappingsHint: 'Map income sources to categories for automatic categorization when importing',
+    incomeSourceName: 'Income Source Name',
+    incomeSourcePlaceholder: 'e.g., CASHBACK / REMISES, SALARY DEPOSIT, INTEREST',
+    incomeSourceHint: 'Enter the exact income source name as it appears in your bank statements',
+    assignIncomeCategory: 'Assign to Income Category',
+    selectIncomeCategory: 'Select an income category...',
+    updateExistingIncomeHint: 'Preview the matching income, then re-categorize it (undoable)',
+    addIncomeMapping: 'Add Income Mapping',
+    readyForIncome: 'Ready to add income?',
+    readyForIncomeHint: 'Record your salary, freelance earnings, or other income',
+    addIncome: '+ Add Income',
+    mappingMoved: 'Moved "{pattern}" from {from} to {to}.',
+    mappingAdded: 'Merchant mapping added for "{pattern}".',
+    updatedExisting: { one: 'Updated {count} existing transaction.', other: 'Updated {count} existing transactions.' },
+    undid: { one: 'Undid {label}. Restored {count} transaction.', other: 'Undid {label}. Restored {count} transactions.' },
+    undoFailed: 'Failed to undo: {message}',
+    recategorized: { one: 'Re-categorized {count} transaction based on current rules and mappings!', other: 'Re-categorized {count} transactions based on current rules and mappings!' },
+    alreadyMapped: 'Merchant already mapped in this category',
+    categoryNotFound: 'Category "{name}" not found',
+    mappingRemoved: 'Merchant mapping removed',
+    categoryExists: 'Category already exists',
+    categoryCreated: 'Category created!',
+    defaultsLoaded: 'Loaded {expense} expense and {income} income categories!',
+    selectCsv: 'Please select a CSV file',
+    csvTooShort: 'CSV file must have a header row and at least one data row',
+    csvColumns: 'CSV must have "Name" and "Type" columns',
+    csvNoMappings: 'No valid mappings found in CSV',
+    csvImported: 'Imported {categories} categories and {mappings} merchant mappings from CSV!',
+  },
+  dashboard: {
+    title: 'Dashboard',
+    loading: 'Loading your dashboard...',
+    welcome: 'Welcome back, {name}',
+    addTransaction: '+ Add Transaction',
+    loadFailed: 'Failed to load dashboard: {message}',
+    daysLeft: { one: '{count} day left', other: '{count} days left' },
+    netBalance: 'Net Balance',
+    upcomingPayments: 'Upcoming Payments',
+    manage: 'Manage',
+    amountLeft: '{amount} left',
+    untilSalary: '{amount} til salary',
+    salaryTomorrow: 'Salary tomorrow',
+    salaryIn: 'Salary in {count} days',
+    moreUpcoming: { one: '+{count} more upcoming payment', other: '+{count} more upcoming payments' },
+    noUpcoming: 'No upcoming payments in the next 14 days',
+    totalForDay: 'Total for day',
+    tapDay: 'Tap a day with payments to see details',
+    spendingBreakdown: 'Spending Breakdown',
+    details: 'Details',
+    others: 'Others',
+    totalSpent: 'Total Spent',
+    noSpending: 'No spending this month',
+    cashFlow: 'Cash-flow',
+    incomeLabel: 'Income:',
+    expensesLabel: 'Expenses:',
+    noTransactions: 'No transactions',
+    clickDay: 'Click a day to see details',
+    net: 'Net: {amount}',
+    dailySpending: 'Daily Spending',
+    amountTotal: '{amount} total',
+    noSpendingData: 'No spending data',
+    clickBar: 'Click a bar to see details',
+    averagePerDay: 'Avg: {amount}/day',
+    importTransactions: 'Import Transactions',
+    manageBudget: 'Manage Budget',
+    allTransactions: 'All Transactions',
+    categories: 'Categories',
+  },
+  budget: {
+    title: 'Monthly Budget',
+    loading: 'Loading budget...',
+    noCategoriesTitle: 'No Budget Categories',
+    noCategoriesBody: 'You need to create expense categories first before setting up a budget.',
+    noCategoriesHint: 'Go to Categories and add some expense categories to get started.',
+    checking: 'Checking...',
+    checkSpent: 'Check spent totals',
+    checkSpentTitle: 'Compare each budgeted category\'s stored spent with its transactions and fix any difference',
+    trackingTab: 'Budget Tracking',
+    setupTab: 'Budget Setup',
+    current: 'Current',
+    projected: 'Projected',
+    totalSpent: 'Total Spent',
+    ofBudget: 'of {amount} budget',
+    used: 'used',
+    remaining: 'Remaining',
+    overBudget: 'Over budget',
+    underBudget: 'Under budget',
+    byCategory: 'By Category',
+    searchCategories: 'Search categories...',
+    noMatches: 'No categories found matching "{search}"',
+    projectedTotal: 'Projected Total Spending',
+    spentAmount: 'Spent: {amount}',
+    plusRecurring: '+ Recurring: {amount}',
+    plusRemaining: '+ Remaining: {amount}',
+    overBudgetBy: 'Over Budget By',
+    onBudget: 'On Budget',
+    onTrack: 'On Track',
+    categoriesOver: { one: '{count} category over', other: '{count} categories over' },
+    over: 'OVER',
+    budgetAmount: 'Budget: {amount}',
+    projectedLabel: 'projected',
+    spent: 'Spent',
+    upcoming: 'Upcoming',
+    overBy: 'Over by',
+    upcomingPayments: 'Upcoming Payments',
+    totalMonthlyBudget: 'Total Monthly Budget',
+    lastMonth: 'Last month: {amount}',
+    setLimits: 'Set Category Limits',
+    sort: 'Sort:',
+    sortAmount: 'Amount (Highest)',
+    sortName: 'Name (A-Z)',
+    saveBudget: 'Save Budget',
+    monthTransactions: '{month} Transactions',
+    noTransactions: 'No transactions found',
+    charged: '{amount} charged',
+    openInTransactions: 'Open in Transactions',
+    totalLabel: 'Total:',
+    recurringPayments: 'Recurring payments',
+    perMonth: '{amount}/mo',
+    overBudgetStatus: 'Over Budget',
+    warning: 'Warning',
+    ofLimit: 'of {amount}',
+    percentUsed: '{percent}% used',
+    amountOver: '{amount} over',
+    amountLeft: '{amount} left',
+    noLimit: 'No limit set',
+    loadCategoriesFailed: 'Failed to load categories: {message}',
+    loadFailed: 'Failed to load budget: {message}',
+    saved: 'Budget saved successfully!',
+    saveFailed: 'Failed to save budget: {message}',
+    nothingToCheck: 'No budget saved for this month yet — nothing to check',
+    spentMatches: { one: 'Spent totals match the transactions for the {count} budgeted category', other: 'Spent totals match the transactions for all {count} budgeted categories' },
+    spentCorrected: 'Corrected {count} of {checked}: {lines}',
+    checkFailed: 'Failed to check spent totals: {message}',
+    updated: 'Budget updated successfully!',
+    applyFailed: 'Failed to apply suggestion: {message}',
+    carriedSurplus: 'Includes {amount} carried over',
+    carriedDeficit: 'Less {amount} overspent before',
+    rolloverFor: 'Rollover for {category}',
+    rolloverCapFor: 'Rollover cap for {category}',
+    rolloverCap: 'Cap',
+    rolloverModes: {
+      none: "Don't roll over",
+      surplus: "Carry what's left",
+      surplus_deficit: "Carry what's left or overspent",
+      capped: "Carry what's left, up to a cap",
+    },
+  },
+  assets: {
+    title: 'Assets & Liabilities',
+    assets: 'Assets',
+    liabilities: 'Liabilities',
+    noAssets: 'No assets',
+    totalAssets: 'Total Assets',
+    totalLiabilities: 'Total Liabilities',
+    netWorth: 'Net Worth',
+    debtToAssets: 'Debt-to-Assets',
+    equityChange: 'Equity Change',
+    vsPrevious: 'vs previous',
+    trendEmpty: 'Save snapshots to see your net worth trend',
+    trendEmptyHint: 'Click "Save Snapshot" to record your first data point',
+    assetsLabel: 'Assets:',
+    liabilitiesLabel: 'Liabilities:',
+    netWorthLabel: 'Net Worth:',
+    financialHealth: 'FINANCIAL HEALTH',
+    howCalculated: 'How Your Score Is Calculated',
+    scoreScale: 'Score: 80+ Excellent | 60-79 Good | 40-59 Fair | <40 Needs Work',
+    excellent: 'Excellent',
+    good: 'Good',
+    fair: 'Fair',
+    needsWork: 'Needs Work',
+    building: 'Building',
+    critical: 'Critical',
+    metricDebt: 'Low Debt Ratio',
+    metricEmergency: 'Emergency Fund',
+    metricInvestments: 'Investments',
+    metricNetWorth: 'Positive Net Worth',
+    debtWhat: 'How much debt you have vs. what you own',
+    debtCalculation: '{liabilities} ÷ {assets} = {percent}% debt ratio',
+    debtScoring: '30 × (1 - {percent}%) = {points} pts',
+    debtTipHigh: 'Pay down debt to increase this score',
+    debtTipLow: 'Great job keeping debt low!',
+    emergencyWhat: 'How many months you can survive on savings',
+    emergencyCalculation: '{liquid} ÷ {expenses}/mo = {months} months',
+    emergencyScoring: '{months} months × 2.5 pts = {points} pts (max 30)',
+    emergencyTipGood: 'Excellent emergency fund!',
+    emergencyTipBuild: 'Build up 12 months of expenses in cash/savings',
+    investWhat: 'How much of your wealth is invested for growth',
+    investCalculation: '{investments} ÷ {netWorth} net worth = {percent}%',
+    investScoring: '{percent}% × 0.67 = {points} pts (max 20 at 30%)',
+    investTipGood: 'Strong investment allocation!',
+    investTipLow: 'Aim to invest 30%+ of your net worth',
+    netWorthWhat: 'Do your assets exceed your debts?',
+    netWorthCalculation: '{assets} - {liabilities} = {netWorth} net worth',
+    netWorthScoring: '10 + ({percent}% × 10) = {points} pts',
+    netWorthScoringNegative: '0 pts (negative net worth)',
+    netWorthTipGood: 'You have positive net worth!',
+    netWorthTipLow: 'Focus on growing assets and reducing liabilities',
+    emergencyFund: 'EMERGENCY FUND',
+    months: { one: '{months} month', other: '{months} months' },
+    available: 'Available: {amount}',
+    target: 'Target: 12 months',
+    paymentTooLow: 'Payment too low to cover interest',
+    addPaymentHint: 'Add monthly payment to see projection',
+    payment: 'Payment',
+    interestRate: 'Interest Rate',
+    payoffDate: 'Payoff Date',
+    timeToPayoff: 'Time to Payoff',
+    durationYears: '{years}y {months}m',
+    durationMonths: '{months}m',
+    totalInterest: 'Total Interest',
+    recentPayments: 'RECENT PAYMENTS',
+    paidTotal: '{amount} total',
+    morePayments: { one: '+{count} more payment', other: '+{count} more payments' },
+    editAsset: 'Edit Asset',
+    addNewAsset: 'Add New Asset',
+    selectCategory: 'Select category',
+    assetName: 'Asset Name *',
+    assetNamePlaceholder: 'e.g., Main Residence, TD Savings',
+    currentValue: 'Current Value *',
+    enterAmount: 'Enter amount',
+    currency: 'Currency',
+    noteOptional: 'Note (optional)',
+    notePlaceholder: 'Any additional details...',
+    saveChanges: 'Save Changes',
+    addAsset: 'Add Asset',
+    nameRequired: 'Name is required',
+    amountPositive: 'Amount must be positive',
+    editLiability: 'Edit Liability',
+    addNewLiability: 'Add New Liability',
+    liabilityType: 'Liability Type',
+    selectType: 'Select type',
+    creditor: 'Creditor *',
+    creditorPlaceholder: 'e.g., TD Bank, Honda Finance',
+    linkCategory: 'Link to Spending Category',
+    linkCategoryHint: '(auto-reduce balance on payments)',
+    noLink: '— No link (manual tracking) —',
+    perMonth: '{amount}/mo',
+    linkedHint: 'When you spend in this category, the balance will automatically decrease',
+    recurringEnds: 'Recurring ends: {date}',
+    noEndDate: 'No end date set on recurring payment',
+    startDate: 'Start Date',
+    startDateHint: '(only payments from this date count)',
+    outstandingBalance: 'Outstanding Balance *',
+    originalBalance: 'Original Balance',
+    monthlyPayment: 'Monthly Payment',
+    fromRecurring: 'from recurring',
+    interestRatePercent: 'Interest Rate (%)',
+    addLiability: 'Add Liability',
+    creditorRequired: 'Creditor name is required',
+    balancePositive: 'Balance must be positive',
+    paymentPositive: 'Payment must be positive',
+    rateRange: 'Rate must be 0-100%',
+    deleteAssetTitle: 'Delete Asset?',
+    deleteLiabilityTitle: 'Delete Liability?',
+    deleteConfirmBefore: 'Are you sure you want to delete',
+    deleteConfirmAfter: '? This action cannot be undone.',
+    apr: '{rate}% APR',
+    paidCount: '{amount} paid ({count})',
+    paidPayments: { one: '{amount} paid ({count} payment)', other: '{amount} paid ({count} payments)' },
+    todayMark: '(today)',
+    compareTo: 'Compare to...',
+    noComparison: 'No comparison',
+    saveSnapshot: 'Save Snapshot',
+    assetAllocation: 'ASSET ALLOCATION',
+    homeEquity: 'HOME EQUITY',
+    homeEquityHint: 'Real Estate - Mortgage',
+    investments: 'INVESTMENTS',
+    ofNetWorth: '{percent}% of net worth',
+    liquidAssets: 'LIQUID ASSETS',
+    ofTotalAssets: '{percent}% of total assets',
+    colCategory: 'CATEGORY',
+    colName: 'NAME',
+    colValue: 'VALUE',
+    colPercent: '% OF TOTAL',
+    colNote: 'NOTE',
+    colActions: 'ACTIONS',
+    noAssetsYet: 'No assets yet. Click "Add Asset" to get started.',
+    showLess: 'Show less',
+    moreAssets: { one: '+{count} more asset', other: '+{count} more assets' },
+    colType: 'TYPE',
+    colCreditor: 'CREDITOR',
+    colBalance: 'BALANCE',
+    colPayment: 'PAYMENT',
+    colInterest: 'INTEREST',
+    noDebts: "No debts! You're debt-free!",
+    moreLiabilities: { one: '+{count} more liability', other: '+{count} more liabilities' },
+    payoffProjections: 'Liability Payoff Projections',
+    scrollMore: 'Scroll for more →',
+    netWorthTrend: 'Net Worth Trend',
+    snapshots: { one: '{count} snapshot', other: '{count} snapshots' },
+    manage: 'Manage',
+    manageSnapshots: 'Manage Snapshots',
+    noSnapshots: 'No snapshots yet',
+    colDate: 'DATE',
+    colAssets: 'ASSETS',
+    colLiabilities: 'LIABILITIES',
+    colNetWorth: 'NET WORTH',
+    colAction: 'ACTION',
+    totalSnapshots: { one: '{count} snapshot in total', other: '{count} total snapshots' },
+  },
+  import: {
+    title: 'Import & Settings',
+    subtitle: 'Connect your Google Sheet for automatic syncing or import from CSV',
+    sheetTitle: 'Google Sheet Connection',
+    sheetIntro: 'Connect your Google Sheet to sync transactions. The sheet must be publicly accessible (Share → Anyone with the link can view).',
+    sheetUrl: 'Google Sheets URL',
+    sheetName: 'Sheet Name (Tab)',
+    sheetNameHint: 'The name of the tab containing your transactions (default: Expenses)',
+    updateConnection: 'Update Connection',
+    connectSheet: 'Connect Sheet',
+    enterSheetUrl: 'Please enter a Google Sheet URL',
+    invalidSheetUrl: 'Invalid Google Sheet URL. Please paste the full URL from your browser.',
+    connected: 'Sheet connected successfully!',
+    saveSettingsFailed: 'Failed to save settings: {error}',
+    saveAccountFailed: 'Failed to save import account: {error}',
+    syncSettings: 'Sync Settings',
+    pollingMode: 'Polling Mode',
+    webhookMode: 'Webhook Mode (Recommended)',
+    pollingIntro: 'Periodically check for new transactions. Simple but less efficient.',
+    enableAutoSync: 'Enable Auto-Sync',
+    enableAutoSyncHint: 'Automatically import new transactions',
+    syncInterval: 'Sync Interval',
+    everyMinutes: { one: 'Every {count} minute', other: 'Every {count} minutes' },
+    everyHour: 'Every hour',
+    syncing: 'Syncing...',
+    active: 'Active',
+    disabled: 'Disabled',
+    lastSync: 'Last sync: {time}',
+    syncNow: 'Sync Now',
+    webhookIntro: 'Instant updates when new transactions are added to your sheet. More efficient and real-time.',
+    enableWebhook: 'Enable Webhook Sync',
+    enableWebhookHint: 'Receive transactions automatically via webhook',
+    listening: 'Active - Listening for updates',
+    lastUpdate: 'Last update: {time}',
+    scriptSetup: 'Google Apps Script Setup',
+    scriptIntro: 'Copy these values into your Google Apps Script to enable real-time sync.',
+    scriptWhere: 'Go to Extensions → Apps Script in your Google Sheet.',
+    webhookUrl: 'Webhook URL',
+    userId: 'User ID',
+    webhookSecret: 'Webhook Secret',
+    copy: 'Copy',
+    copied: 'Copied!',
+    secretPlaceholder: 'Click "Generate" to create a secret',
+    generate: 'Generate',
+    regenerate: 'Regenerate',
+    secretHint: 'Keep this secret safe. Regenerating will invalidate the old one.',
+    copyScript: 'Copy Complete Script (with your credentials)',
+    scriptCopied: 'Script Copied!',
+    guideTitle: 'Step-by-Step Setup Guide',
+    step1Title: 'Step 1: Prepare Your Google Sheet',
+    step1Columns: 'Your sheet needs columns:',
+    step1OrSub: '(or Sub-Description)',
+    step1Optional: 'Optional columns:',
+    step1TypeHint: '(income/expense)',
+    step2Title: 'Step 2: Open Apps Script',
+    step2Text: 'In your Google Sheet:',
+    step3Title: 'Step 3: Add the Script',
+    step3Before: 'Click',
+    step3Button: '"Copy Complete Script"',
+    step3After: 'button above, then paste it in Apps Script',
+    step3Warning: "If you have existing scripts, paste BELOW them (don't replace!)",
+    step4Title: 'Step 4: Save & Run Setup',
+    step4Press: 'Press',
+    step4Select: 'to save, then select',
+    step4Click: 'from the dropdown and click',
+    step4Run: 'Run',
+    step5Title: 'Step 5: Grant Permissions',
+    step5Text: 'Click "Review Permissions" → Choose your account → "Advanced" → "Go to BudgetWise (unsafe)" → "Allow"',
+    step6Title: 'Step 6: Test Connection',
+    step6Select: 'Select',
+    step6After: 'and click Run. Check the logs for "✅ Connection successful!"',
+    done: 'Done! New transactions will sync automatically when added to your sheet.',
+    manualTitle: 'Manual Import',
+    manualIntro: 'Preview and import transactions manually from your connected sheet or upload a bank statement (CSV, OFX, QFX or QIF).',
+    importInto: 'Import into account',
+    importIntoHint: 'Also used by auto-sync and the real-time webhook',
+    fetching: 'Fetching...',
+    fetchFromSheet: 'Fetch from Sheet',
+    noSheet: 'No Google Sheet connected. Please add one above.',
+    invalidRows: { one: 'Found {count} invalid transaction. Showing {valid} valid ones.', other: 'Found {count} invalid transactions. Showing {valid} valid ones.' },
+    profileMappedBefore: 'Columns mapped with your',
+    profileMappedAfter: ' profile.',
+    editMapping: 'Edit mapping',
+    savedProfiles: 'Saved bank profiles:',
+    deleteProfile: 'Delete profile',
+    deleteProfileNamed: 'Delete {name} profile',
+    deleteProfileFailed: 'Failed to delete profile: {error}',
+    summaryTitle: 'Import Summary',
+    totalTransactions: 'Total Transactions:',
+    totalAmount: 'Total Amount:',
+    suggestedFromHistory: 'Suggested from your history:',
+    suggestedHint: '(no rule matched, check them below)',
+    noMatchLabel: 'No match:',
+    noMatchHint: 'will go to the default category unless you pick one',
+    byCategory: 'By Category:',
+    categoryLine: { one: '{count} transaction ({total})', other: '{count} transactions ({total})' },
+    defaultIncome: 'Default income',
+    suggestedTitle: 'Learned from your categorized transactions',
+    suggestedBadge: 'Suggested {percent}%',
+    noMatch: 'No match',
+    noMatchTitle: 'No rule or merchant mapping matched',
+    or: 'Or:',
+    suggested: 'Suggested:',
+    showingAll: 'Showing all {count} transactions',
+    showingFirst: 'Showing first 20 of {count} transactions',
+    showLess: 'Show Less',
+    showAll: 'Show All',
+    saveToDb: { one: 'Save {count} Transaction to Database', other: 'Save {count} Transactions to Database' },
+    nothingToSave: 'No transactions to save',
+    allExist: { one: 'The transaction already exists in the database.', other: 'All {count} transactions already exist in the database.' },
+    skippedDuplicates: { one: 'Skipped {count} duplicate transaction. Importing {imported} new ones.', other: 'Skipped {count} duplicate transactions. Importing {imported} new ones.' },
+    importedTitle: 'Transactions Imported',
+    savedBody: { one: '{count} transaction saved ({total} total)', other: '{count} transactions saved ({total} total)' },
+    saved: { one: 'Successfully saved {count} transaction!', other: 'Successfully saved {count} transactions!' },
+    refundOf: 'Refund of:',
+    refundMaybe: 'Refund of?',
+    refundLinkTitle: 'Record as a refund of this purchase, in its category',
+    refundUnlinkTitle: 'Unlink from this purchase',
+    refundsLabel: 'Refunds:',
+    refundsHint: { one: '{count} row, {linked} linked to its purchase', other: '{count} rows, {linked} linked to their purchase' },
+    heldForReview: { one: '{count} row looks like a transaction already recorded and is waiting for review above.', other: '{count} rows look like transactions already recorded and are waiting for review above.' },
+    settledDuplicates: { one: '{count} row was skipped, as you merged or discarded it before.', other: '{count} rows were skipped, as you merged or discarded them before.' },
+    rowError: 'Row {row}: {errors}',
+  },
+  duplicates: {
+    title: 'Possible duplicates',
+    subtitle: 'These imported rows look like transactions you already have — a day or two apart, or worded differently. They were not added yet.',
+    recorded: 'Already recorded',
+    incoming: 'Imported ({source})',
+    source: {
+      import: 'import',
+      sync: 'auto-sync',
+      webhook: 'webhook',
+    },
+    merge: 'Merge',
+    mergeTitle: 'Keep the recorded one, adding the bank details and tags of the imported row',
+    keepBoth: 'Keep both',
+    keepTitle: 'They are two transactions: add the imported row too',
+    discard: 'Discard',
+    discardTitle: 'Drop the imported row',
+    resolveFailed: 'Could not save your choice: {error}',
+  },
+  importHistory: {
+    title: 'Import History',
+    subtitle: 'Every file upload, sheet sync and webhook call, with what became of its rows. Roll back an import to delete the transactions it added.',
+    loading: 'Loading import history...',
+    loadFailed: 'Could not load import history: {error}',
+    empty: 'No imports yet.',
+    source: {
+      csv: 'CSV file',
+      ofx: 'OFX file',
+      qif: 'QIF file',
+      sheet: 'Google Sheet',
+      sync: 'Auto-sync',
+      webhook: 'Webhook',
+    },
+    status: {
+      completed: 'Completed',
+      failed: 'Failed',
+      rolled_back: 'Rolled back',
+    },
+    rows: { one: '{count} row read', other: '{count} rows read' },
+    imported: '{count} imported',
+    duplicates: '{count} skipped as duplicates',
+    held: '{count} held for review',
+    errors: { one: '{count} unreadable row', other: '{count} unreadable rows' },
+    rolledBackOn: 'Rolled back {time}',
+    view: 'View',
+    hide: 'Hide',
+    rollBack: 'Roll back',
+    confirmRollback: { one: 'Delete the transaction this import added? This cannot be undone.', other: 'Delete the {count} transactions this import added? This cannot be undone.' },
+    rolledBack: { one: 'Rolled back: {count} transaction deleted', other: 'Rolled back: {count} transactions deleted' },
+    rollbackFailed: 'Could not roll back the import: {error}',
+    transactionsFailed: 'Could not load the import\'s transactions: {error}',
+    noTransactions: 'None of its transactions remain.',
+    inTrash: 'In trash',
+    errorsHeading: 'Problems',
+  },
+  trash: {
+    title: 'Trash',
+    retention: 'Keep trashed transactions',
+    retentionHint: 'Transactions in the trash longer than this are deleted for good once a day.',
+    keep: 'Until I empty the trash',
+    days: { one: '{count} day', other: '{count} days' },
+    saved: 'Trash retention saved',
+    log: 'Recent purges',
+    noPurges: 'Nothing has been deleted from the trash yet.',
+    purgedRetention: 'Daily purge (kept {days} days)',
+    purgedEmptied: 'Trash emptied',
+  },
+  zeroBased: {
+    modes: {
+      limits: 'Set limits',
+      zero_based: 'Zero-based',
+    },
+    limitsHint: 'Limits are set on their own. Switch to zero-based to give every dollar of the month\'s income a job.',
+    zeroBasedHint: 'Zero-based: the month\'s income is assigned to categories and savings until nothing is left.',
+    modeFailed: 'Failed to change the budget mode: {message}',
+    toBeAssigned: 'To be assigned',
+    received: 'Income received',
+    expected: 'Still expected from recurring income',
+    assignedCategories: 'Assigned to categories',
+    savings: 'Savings',
+    allAssigned: 'Every dollar is assigned.',
+    leftToAssign: '{amount} left to assign.',
+    overAssigned: 'Assigned {amount} more than this month\'s income.',
+    confirmOver: 'This budget assigns {amount} more than this month\'s income. Save it anyway?',
+  },
+  transfers: {
+    chooseBoth: 'Choose both accounts',
+    chooseDifferent: 'Choose two different accounts',
+    invalidAmount: 'Please enter a valid amount',
+    enterReceived: 'Please enter the amount received',
+  },
+};
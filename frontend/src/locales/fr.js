@@ -0,0 +1,1443 @@
+/**
+ * Messages en français (Canada), groupés par page ou composant. Mêmes clés que en.js.
+ * Voir lib/i18n.js pour les variables ({name}) et les pluriels ({ one, other }).
+ */
+export default {
+  common: {
+    save: 'Enregistrer',
+    saving: 'Enregistrement...',
+    cancel: 'Annuler',
+    delete: 'Supprimer',
+    edit: 'Modifier',
+    close: 'Fermer',
+    add: 'Ajouter',
+    loading: 'Chargement...',
+    back: 'Retour',
+    next: 'Suivant',
+    previous: 'Précédent',
+    today: "Aujourd'hui",
+    tomorrow: 'Demain',
+    income: 'Revenu',
+    expense: 'Dépense',
+    expenses: 'Dépenses',
+    total: 'Total',
+    all: 'Tout',
+    none: 'Aucun',
+    noDescription: 'Sans description',
+    uncategorized: 'Non catégorisé',
+    unknown: 'Inconnu',
+    date: 'Date',
+    description: 'Description',
+    category: 'Catégorie',
+    amount: 'Montant',
+    account: 'Compte',
+    type: 'Type',
+    name: 'Nom',
+    notes: 'Notes',
+    tags: 'Étiquettes',
+    optional: 'facultatif',
+    yes: 'Oui',
+    no: 'Non',
+    undo: 'Annuler',
+    apply: 'Appliquer',
+    remove: 'Retirer',
+    confirm: 'Confirmer',
+    tryAgain: 'Réessayer',
+    transactions: { one: '{count} transaction', other: '{count} transactions' },
+    payments: { one: '{count} paiement', other: '{count} paiements' },
+    inDays: { one: 'Dans {count} jour', other: 'Dans {count} jours' },
+    daily: 'Quotidien',
+    weekly: 'Hebdomadaire',
+    biweekly: 'Aux deux semaines',
+    monthly: 'Mensuel',
+    quarterly: 'Trimestriel',
+    yearly: 'Annuel',
+    transfer: 'Virement',
+    refund: 'Remboursement',
+  },
+  nav: {
+    dashboard: 'Tableau de bord',
+    budget: 'Budget',
+    recurring: 'Récurrents',
+    reports: 'Rapport',
+    assets: 'Actifs',
+    assetsLiabilities: 'Actifs et passifs',
+    transactions: 'Transactions',
+    settings: 'Paramètres',
+    signIn: 'Se connecter',
+    signOut: 'Se déconnecter',
+    toggleNavigation: 'Afficher ou masquer la navigation',
+    preferences: 'Préférences',
+    accounts: 'Comptes',
+    import: 'Importer',
+    categories: 'Catégories',
+    importHistory: 'Historique des importations',
+  },
+  footer: {
+    tagline: 'Un outil de suivi budgétaire simple et efficace.',
+    rights: '© 2025 BudgetWise. Tous droits réservés.',
+  },
+  currency: {
+    missingRates: 'Aucun taux de change pour {pairs} : ces montants sont comptés un pour un.',
+    addRatesLink: 'Ajouter des taux dans les Paramètres',
+    title: 'Devises',
+    exchangeRates: 'Taux de change',
+    exchangeRatesHint: "Un montant utilise le dernier taux en date de son jour ou d'avant. Un taux USD → CAD convertit aussi les CAD en USD.",
+    rateDate: 'Date du taux',
+    fromCurrency: 'Devise de départ',
+    toCurrency: "Devise d'arrivée",
+    rate: 'Taux',
+    pair: 'Paire',
+    addRate: 'Ajouter un taux',
+    importCsv: 'Importer un CSV',
+    noRates: 'Aucun taux de change pour le moment.',
+    deleteRate: 'Supprimer le taux {from} → {to} du {date}',
+    invalidRate: 'Entrez une date, deux codes de devise différents de 3 lettres et un taux positif',
+    rateSaved: 'Taux enregistré',
+    ratesImported: 'Taux importés',
+    importSkipped: '{imported} taux importés; {skipped} ignorés : {errors}',
+    csvMissingColumns: "La ligne d'en-tête doit avoir les colonnes date, from, to et rate (manquantes : {columns})",
+    csvRow: 'Ligne {row} : {problem}',
+    csvBadDate: 'la date doit être au format AAAA-MM-JJ',
+    csvBadCurrency: 'les devises doivent être des codes de 3 lettres',
+    csvSameCurrency: 'les deux devises sont identiques',
+    csvBadRate: 'le taux doit être un nombre positif',
+  },
+  auth: {
+    unexpectedError: 'Une erreur inattendue est survenue. Veuillez réessayer.',
+    email: 'Courriel',
+    emailPlaceholder: 'vous@exemple.com',
+    password: 'Mot de passe',
+    confirmPassword: 'Confirmer le mot de passe',
+    passwordsDontMatch: 'Les mots de passe ne correspondent pas',
+    passwordTooShort: 'Le mot de passe doit contenir au moins 6 caractères',
+    passwordHint: 'Au moins 6 caractères',
+    signIn: 'Se connecter',
+    signInLink: 'Se connecter',
+    welcomeBack: 'Bon retour',
+    signInSubtitle: 'Connectez-vous à votre compte BudgetWise',
+    forgotPassword: 'Mot de passe oublié?',
+    signingIn: 'Connexion...',
+    noAccount: "Vous n'avez pas de compte?",
+    signUpLink: "S'inscrire",
+    createAccount: 'Créer un compte',
+    signUpSubtitle: 'Commencez à suivre votre budget avec BudgetWise',
+    accountCreated: 'Compte créé! Consultez vos courriels pour confirmer votre compte.',
+    fullName: 'Nom complet',
+    fullNamePlaceholder: 'Jean Tremblay',
+    creatingAccount: 'Création du compte...',
+    signUp: "S'inscrire",
+    haveAccount: 'Vous avez déjà un compte?',
+    resetPassword: 'Réinitialiser le mot de passe',
+    resetSubtitle: 'Entrez votre courriel pour recevoir un lien de réinitialisation',
+    resetSent: 'Courriel de réinitialisation envoyé!',
+    resetSentHint: "Vérifiez votre boîte de réception pour le lien de réinitialisation. S'il n'arrive pas d'ici quelques minutes, regardez dans vos courriels indésirables.",
+    backToSignIn: 'Retour à la connexion',
+    sending: 'Envoi...',
+    sendResetLink: 'Envoyer le lien',
+    rememberPassword: 'Vous vous souvenez de votre mot de passe?',
+    invalidLink: 'Lien invalide',
+    invalidLinkHint: 'Ce lien de réinitialisation est invalide ou a expiré.',
+    requestNewLinkHint: 'Veuillez demander un nouveau lien de réinitialisation.',
+    requestNewLink: 'Demander un nouveau lien',
+    setNewPassword: 'Nouveau mot de passe',
+    setNewPasswordSubtitle: 'Entrez votre nouveau mot de passe ci-dessous',
+    passwordUpdated: 'Mot de passe mis à jour!',
+    redirecting: 'Redirection vers le tableau de bord...',
+    newPassword: 'Nouveau mot de passe',
+    newPasswordPlaceholder: 'Entrez le nouveau mot de passe',
+    confirmNewPasswordPlaceholder: 'Confirmez le nouveau mot de passe',
+    updating: 'Mise à jour...',
+    updatePassword: 'Mettre à jour le mot de passe',
+  },
+  home: {
+    heroSmart: 'Un suivi',
+    heroBudget: 'budgétaire intelligent',
+    heroAuto: 'avec catégorisation automatique',
+    heroText: 'Importez les transactions de votre banque et laissez la catégorisation intelligente faire le travail. Suivez vos dépenses par catégorie, fixez des budgets mensuels et gérez vos finances, avec des soldes calculés automatiquement.',
+    getStarted: 'Commencer gratuitement',
+    learnMore: 'En savoir plus',
+    previewAlt: 'Aperçu du tableau de bord budgétaire',
+    whyTitle: 'Pourquoi choisir BudgetWise?',
+    whyText: 'Conçu pour un vrai budget, avec des fonctions qui vous font gagner du temps.',
+    featureCategorizeTitle: 'Catégorisation automatique',
+    featureCategorizeText: 'Les modèles de marchands classent automatiquement vos transactions dans vos catégories budgétaires.',
+    featureImportTitle: 'Importation facile',
+    featureImportText: 'Importez depuis Google Sheets ou des fichiers CSV, avec reconnaissance automatique des marchands.',
+    featureBudgetTitle: 'Budget mensuel',
+    featureBudgetText: 'Fixez des limites de dépenses par catégorie et suivez votre budget en temps réel.',
+    featureBalanceTitle: 'Soldes automatiques',
+    featureBalanceText: 'Le solde courant est calculé automatiquement pour chaque transaction.',
+    featureMonthsTitle: 'Vue mois par mois',
+    featureMonthsText: "Passez d'un mois à l'autre pour revoir vos dépenses et le respect de votre budget.",
+    featureSecureTitle: 'Sécurisé et privé',
+    featureSecureText: "La sécurité au niveau des lignes garantit que vous ne voyez que vos données. Chiffrement de niveau entreprise.",
+    categoriesTitle: 'Catégories préconfigurées',
+    categoriesText: 'Votre compte comprend des catégories de dépenses prêtes à utiliser. Ajoutez vos propres catégories et modèles de marchands en tout temps.',
+    securityTitle: '🔒 Sécurité de niveau entreprise',
+    securityText: 'Construit sur Supabase et PostgreSQL. La sécurité au niveau des lignes garantit que vous ne voyez que vos données.',
+    rlsTitle: 'Sécurité au niveau des lignes',
+    rlsText: "Des politiques de base de données isolent les données",
+    encryptedTitle: 'Stockage chiffré',
+    encryptedText: 'Toutes les données sont chiffrées au repos',
+    authTitle: 'Authentification sécurisée',
+    authText: 'Supabase Auth avec jetons JWT',
+    ctaTitle: 'Prêt à prendre le contrôle?',
+    ctaText: "Créez votre compte gratuit et commencez à suivre votre budget dès aujourd'hui.",
+    signIn: 'Se connecter',
+    scrollTop: 'Retour en haut',
+  },
+  preferences: {
+    title: "Préférences d'affichage",
+    language: 'Langue',
+    languageHint: 'Les menus, les messages et les conseils budgétaires sont affichés dans cette langue.',
+    languageSaved: 'Langue changée pour le français',
+    displayCurrency: "Devise d'affichage",
+    displayCurrencyHint: 'Votre devise de base : les totaux, les budgets et la valeur nette y sont convertis. Chaque compte garde la sienne.',
+    currencySaved: 'Les montants sont maintenant affichés en {currency}',
+    numberFormat: 'Format des nombres',
+    numberFormatHint: 'Les montants ressemblent à {sample}',
+    dateFormat: 'Format des dates',
+    weekStart: 'Premier jour de la semaine',
+    weekStartHint: 'Les graphiques et calendriers hebdomadaires commencent ce jour-là.',
+    importedDates: 'Dates importées',
+    importedDatesHint: "Comment lire une date comme 03/04/2026 quand rien d'autre dans le fichier ne permet de trancher.",
+    saved: 'Préférences enregistrées',
+    sunday: 'Dimanche',
+    monday: 'Lundi',
+    saturday: 'Samedi',
+    monthFirst: "Mois d'abord (03/04 est le 4 mars)",
+    dayFirst: "Jour d'abord (03/04 est le 3 avril)",
+  },
+  settings: {
+    loading: 'Chargement des paramètres...',
+    subtitle: 'Gérez les paramètres de votre compte',
+    pushTitle: 'Notifications poussées',
+    status: 'État :',
+    enabled: 'Activées',
+    blocked: 'Bloquées',
+    notSupported: 'Non prises en charge',
+    notEnabled: 'Non activées',
+    unsupportedText: "Les notifications poussées ne sont pas prises en charge dans ce navigateur. Pour une meilleure expérience, ajoutez l'application à votre écran d'accueil sur iOS 16.4+ ou utilisez Chrome sur Android.",
+    blockedText: 'Les notifications sont bloquées. Pour les activer, allez dans les paramètres de votre navigateur et autorisez les notifications pour ce site.',
+    requesting: 'Demande en cours...',
+    enable: 'Activer les notifications',
+    youWillReceive: 'Vous recevrez des notifications pour :',
+    newTransactions: '• Les nouvelles transactions',
+    budgetWarnings: '• Les avertissements de limite budgétaire (80 %, 90 %, 100 %)',
+    sendTest: "Envoyer une notification d'essai",
+    enabledTitle: 'Notifications activées!',
+    enabledBody: 'Vous recevrez maintenant les alertes budgétaires et les notifications de transactions.',
+    testTitle: "Notification d'essai",
+    testBody: "Ceci est une notification d'essai de BudgetWise!",
+    accountInfo: 'Renseignements du compte',
+    email: 'Courriel :',
+    userId: 'ID utilisateur :',
+    syncTitle: 'Vous cherchez la synchronisation Google Sheets?',
+    syncText: "Allez dans l'onglet Importer pour connecter votre feuille Google et configurer la synchronisation automatique.",
+  },
+  notifications: {
+    newExpense: 'Nouvelle dépense ajoutée',
+    newIncome: 'Nouveau revenu ajouté',
+    newRefund: 'Remboursement ajouté',
+    budgetExceeded: '🚨 Budget dépassé!',
+    budgetAlmost: '⚠️ Budget presque atteint!',
+    budgetAlert: '📊 Alerte budgétaire',
+    budgetAtPercent: '{category} est à {percent} % de sa limite',
+  },
+  sync: {
+    webhookReceived: 'Nouvelle transaction reçue par webhook',
+    newTransaction: 'Nouvelle transaction',
+    invalidSheetUrl: 'URL de feuille Google invalide',
+    noneInSheet: 'Aucune transaction trouvée dans la feuille',
+    allImported: 'Toutes les transactions sont déjà importées',
+    importedTitle: 'Nouvelles transactions importées',
+    importedBody: { one: '{count} transaction importée ({total} au total)', other: '{count} transactions importées ({total} au total)' },
+    imported: { one: '{count} nouvelle transaction importée', other: '{count} nouvelles transactions importées' },
+    heldForReview: { one: '{count} doublon possible en attente de vérification sur la page Importer', other: '{count} doublons possibles en attente de vérification sur la page Importer' },
+  },
+  search: {
+    badType: 'le type est income, expense, transfer ou refund',
+    badAmount: 'utilisez un montant comme 50, >50, <=20 ou 10..50',
+    badAmountExclude: 'seuls amount:>… ou amount:<… peuvent être exclus',
+    badDate: 'utilisez une date comme 2026, 2026-03 ou 2026-03-14',
+    badDateExclude: 'utilisez -after: ou -before: pour exclure des dates',
+    placeholder: 'Rechercher des transactions...',
+    label: 'Rechercher des transactions',
+    suggestionsLabel: 'Suggestions de recherche',
+    hintCategory: 'Nom de la catégorie',
+    hintTag: "A l'étiquette",
+    hintBank: 'La banque ou la source contient',
+    hintAccount: 'Nom du compte',
+    hintType: 'income, expense, transfer ou refund',
+    hintDesc: 'La description contient',
+    hintAmount: '50, >50, <=20 ou 10..50',
+    hintAfter: 'Le ou après une date',
+    hintBefore: 'Le ou avant une date',
+    hintDate: '2026, 2026-03, 2026-03-14 ou une plage a..b',
+  },
+  rules: {
+    noName: 'Donnez un nom à la règle',
+    noCondition: 'Ajoutez au moins une condition',
+    badRegex: "Le modèle de description n'est pas une expression régulière valide",
+    badQuery: 'Expression de recherche : {problem}',
+    negativeAmount: 'Les montants doivent être de zéro ou plus',
+    minAboveMax: 'Le montant minimum dépasse le maximum',
+    badDay: 'Les jours du mois vont de 1 à 31',
+    firstDayAfterLast: 'Le premier jour est après le dernier',
+    noAction: 'Ajoutez au moins une action',
+    transferWithCategory: "Un virement n'a pas de catégorie - choisissez l'un ou l'autre",
+    incomeCategory: '« {name} » est une catégorie de revenus',
+    expenseCategory: '« {name} » est une catégorie de dépenses',
+    loadFailed: 'Impossible de charger les règles : {error}',
+    saveFailed: "Impossible d'enregistrer la règle : {error}",
+    updateFailed: 'Impossible de modifier la règle : {error}',
+    deleteFailed: 'Impossible de supprimer la règle : {error}',
+    reorderFailed: 'Impossible de réordonner les règles : {error}',
+    confirmDelete: 'Supprimer la règle « {name} »?',
+    whenContains: 'la description contient « {text} »',
+    whenRegex: 'la description correspond à /{pattern}/',
+    whenAmountBetween: 'montant {min}–{max}',
+    whenAmountMin: 'montant ≥ {min}',
+    whenAmountMax: 'montant ≤ {max}',
+    whenBank: 'la banque contient « {bank} »',
+    whenIncome: 'revenu',
+    whenExpense: 'dépense',
+    whenDays: 'jour {from}–{to}',
+    whenQuery: 'correspond à {query}',
+    thenCategory: 'catégorie {name}',
+    thenRename: 'renommer en « {name} »',
+    thenTags: 'étiqueter {tags}',
+    thenTransfer: 'virement avec {name}',
+    deletedCategory: '(supprimée)',
+    archivedAccount: '(compte archivé)',
+    and: ' et ',
+    summary: 'Si {when} → {then}',
+    title: 'Règles de catégorisation',
+    newRule: '+ Nouvelle règle',
+    intro: "Les règles s'appliquent de haut en bas à chaque importation et synchronisation, avant vos correspondances de marchands. La première règle qui fixe une catégorie, un nom ou un virement l'emporte; les étiquettes de toutes les règles correspondantes sont ajoutées.",
+    loading: 'Chargement des règles...',
+    empty: "Aucune règle pour l'instant. Les correspondances de marchands s'appliquent quand même.",
+    enable: 'Activer {name}',
+    off: 'Désactivée',
+    moveUp: 'Monter',
+    moveDown: 'Descendre',
+    editRule: 'Modifier la règle',
+    deleteRule: 'Supprimer la règle',
+    editTitle: 'Modifier la règle',
+    newTitle: 'Nouvelle règle',
+    ruleName: 'Nom de la règle',
+    ruleNamePlaceholder: 'ex. Loyer le 1er',
+    whenAll: 'Quand toutes ces conditions correspondent',
+    descriptionContains: 'La description contient',
+    descriptionRegex: 'La description correspond à (regex)',
+    amountFrom: 'Montant à partir de',
+    amountTo: "Montant jusqu'à",
+    bankContains: 'La banque / source contient',
+    incomeOrExpense: 'Revenu ou dépense',
+    dayFrom: 'Du jour du mois',
+    dayTo: 'Au jour du mois',
+    matchesSearch: 'Correspond à la recherche',
+    searchHint: 'Les mêmes expressions que la recherche des transactions.',
+    then: 'Alors',
+    setCategory: 'Fixer la catégorie',
+    leaveAsIs: '— Laisser tel quel —',
+    renameTo: 'Renommer le bénéficiaire en',
+    addTags: 'Ajouter des étiquettes (séparées par des virgules)',
+    addTagsPlaceholder: 'abonnements, partagé',
+    transferWith: 'Marquer comme virement avec',
+    notTransfer: "— Pas un virement —",
+    saveRule: 'Enregistrer la règle',
+  },
+  importErrors: {
+    sheetAccess: "Impossible d'accéder à la feuille Google. Assurez-vous qu'elle est partagée avec « Tous les utilisateurs disposant du lien peuvent consulter ».",
+    emptyCsv: 'Le fichier CSV semble vide ou ne contient aucune ligne de données',
+    csvColumns: 'Le CSV doit avoir des colonnes pour la date, la description et le montant',
+    notOfx: "Ce fichier ne semble pas être un fichier OFX/QFX",
+    noOfxTransactions: "Le fichier OFX ne contient aucune transaction",
+    notQif: "Ce fichier ne semble pas être un fichier QIF",
+    readFailed: 'Impossible de lire le fichier',
+    unsupportedFile: 'Veuillez téléverser un fichier CSV, OFX, QFX ou QIF',
+    missingDate: 'Date manquante',
+    missingDescription: 'Description manquante',
+    invalidAmount: 'Montant invalide',
+  },
+  splits: {
+    needTwoLines: 'Une répartition demande au moins deux lignes',
+    needCategory: 'Choisissez une catégorie pour chaque ligne',
+    categoryOnce: "Chaque catégorie ne peut être utilisée qu'une fois",
+    needAmount: 'Chaque ligne doit avoir un montant supérieur à zéro',
+    leftToAllocate: 'Il reste {amount} à répartir',
+    overTotal: 'Les lignes dépassent le total de {amount}',
+    title: 'Répartir la transaction',
+    categoryForLine: 'Catégorie de la ligne {line}',
+    amountForLine: 'Montant de la ligne {line}',
+    selectCategory: 'Choisissez une catégorie',
+    removeLine: 'Retirer la ligne',
+    addLine: '+ Ajouter une ligne',
+    leftLabel: 'Reste à répartir',
+    removeSplit: 'Retirer la répartition',
+    save: 'Enregistrer la répartition',
+  },
+  bulk: {
+    chooseCategory: 'Choisissez une catégorie',
+    chooseDate: 'Choisissez une date',
+    chooseAccount: 'Choisissez un compte',
+  },
+  accounts: {
+    chequing: 'Chèques',
+    savings: 'Épargne',
+    creditCard: 'Carte de crédit',
+    loadFailed: 'Impossible de charger les comptes : {error}',
+    updated: 'Compte mis à jour!',
+    created: 'Compte créé!',
+    saveFailed: "Échec de l'enregistrement : {error}",
+    recomputedNone: 'Soldes recalculés — tous les comptes étaient déjà justes',
+    recomputed: 'Soldes recalculés — {changes}',
+    recomputeFailed: 'Impossible de recalculer les soldes : {error}',
+    keepOneActive: "Il vous faut au moins un compte actif. Créez-en un autre avant d'archiver celui-ci.",
+    archivedMessage: '« {name} » archivé',
+    restoredMessage: '« {name} » restauré',
+    updateFailed: 'Échec de la mise à jour : {error}',
+    loading: 'Chargement des comptes...',
+    title: 'Comptes',
+    subtitle: 'Chèques, épargne et cartes de crédit — chacun avec son propre solde courant',
+    addAccount: '+ Ajouter un compte',
+    recomputing: 'Recalcul...',
+    recomputeHint: 'Recalculer tous les soldes à partir des soldes d’ouverture et des transactions',
+    recompute: 'Recalculer les soldes',
+    hideArchived: 'Masquer les archivés',
+    showArchived: 'Afficher les archivés ({count})',
+    empty: 'Aucun compte pour le moment. Un compte est créé automatiquement avec votre première transaction, ou ajoutez-en un maintenant.',
+    archived: 'Archivé',
+    reconcile: 'Rapprocher',
+    restore: 'Restaurer',
+    archive: 'Archiver',
+    editAccount: 'Modifier le compte',
+    addAccountTitle: 'Ajouter un compte',
+    updateAccount: 'Mettre à jour le compte',
+    nameRequired: 'Nom *',
+    namePlaceholder: 'p. ex. Chèques TD, Visa Infinite',
+    currency: 'Devise',
+    currencyChangeHint: 'Le solde sera compté en {currency}; les transactions du compte gardent leur devise et leurs montants.',
+    openingBalance: "Solde d'ouverture",
+    openingBalanceHint: "Ce que la banque affiche aujourd'hui. Utilisez un montant négatif pour une carte de crédit sur laquelle vous devez.",
+    selectPlaceholder: 'Choisissez un compte...',
+    noAccounts: 'Aucun compte pour le moment',
+    enterName: 'Veuillez saisir un nom de compte',
+    invalidOpeningBalance: 'Veuillez saisir un solde d\'ouverture valide',
+    netBalanceSummary: { one: 'Solde net · {count} compte actif', other: 'Solde net · {count} comptes actifs' },
+  },
+  reconcile: {
+    uncleared: 'Non compensée',
+    unclearedHint: "Pas encore sur un relevé bancaire — cliquez pour la marquer compensée",
+    cleared: 'Compensée',
+    clearedHint: 'Vue sur le relevé bancaire — cliquez pour la marquer non compensée',
+    reconciled: 'Rapprochée',
+    reconciledHint: 'Verrouillée par un rapprochement terminé',
+    loadLastFailed: 'Impossible de charger le dernier rapprochement : {error}',
+    loadFailed: 'Impossible de charger les transactions : {error}',
+    updateFailed: 'Échec de la mise à jour : {error}',
+    finished: '« {name} » rapproché à {balance} au {date}',
+    finishFailed: 'Impossible de terminer : {error}',
+    title: 'Rapprocher {name}',
+    lastReconciled: 'Dernier rapprochement à {balance} au {date}',
+    never: 'Jamais rapproché',
+    drifted: 'Des transactions rapprochées ont changé depuis le dernier relevé : elles totalisent maintenant {now}, et non {then}.',
+    statementDate: 'Date de fin du relevé',
+    closingBalance: 'Solde de clôture',
+    closingBalanceLabel: 'Solde de clôture du relevé',
+    nothingToReconcile: "Aucune transaction à rapprocher jusqu'au {date}.",
+    markAll: 'Tout marquer compensé',
+    reconciledBalance: 'Solde rapproché',
+    clearedBalance: 'Solde compensé ({count} cochées)',
+    statementBalance: 'Solde du relevé',
+    difference: 'Écart',
+    finishing: 'Finalisation...',
+    finishHint: 'Verrouiller les transactions compensées comme rapprochées',
+    finishBlocked: "L'écart doit être nul pour terminer",
+    finish: 'Terminer',
+    clearedRow: 'Compensée : {description}',
+    editWarning: {
+      one: 'Cette transaction est rapprochée avec un relevé bancaire. La modifier mettra le compte en désaccord avec ce relevé. Continuer?',
+      other: '{count} de ces transactions sont rapprochées avec un relevé bancaire. Les modifier mettra le compte en désaccord avec ce relevé. Continuer?',
+    },
+  },
+  addTransaction: {
+    loadFailed: 'Impossible de charger les catégories : {error}',
+    invalidAmount: 'Veuillez entrer un montant valide',
+    twoAccounts: 'Veuillez choisir deux comptes différents',
+    receivedAmount: 'Veuillez entrer le montant reçu en {currency}',
+    selectCategory: 'Veuillez choisir une catégorie',
+    selectDate: 'Veuillez choisir une date',
+    transferRecorded: 'Virement enregistré!',
+    added: 'Transaction ajoutée!',
+    addFailed: "Impossible d'ajouter la transaction : {error}",
+    title: 'Ajouter une transaction',
+    subtitle: 'Enregistrez un revenu, une dépense ou un virement',
+    transactionType: 'Type de transaction',
+    amountSent: 'Montant envoyé ({currency})',
+    from: 'De',
+    to: 'À',
+    selectAccount: 'Choisissez un compte...',
+    amountReceivedIn: 'Montant reçu ({currency})',
+    amountReceived: 'Montant reçu',
+    selectCategoryPlaceholder: 'Choisissez une catégorie',
+    noIncomeCategories: "Aucune catégorie de revenus. Ajoutez d'abord des catégories de revenus dans la page Catégories.",
+    noExpenseCategories: "Aucune catégorie de dépenses. Ajoutez d'abord des catégories de dépenses dans la page Catégories.",
+    descriptionOptional: 'Description (facultatif)',
+    tagsOptional: 'Étiquettes (facultatif)',
+    tagsPlaceholder: 'p. ex. Vacances 2026',
+    adding: 'Ajout...',
+    addIncome: 'Ajouter le revenu',
+    addExpense: 'Ajouter la dépense',
+    addTransfer: 'Ajouter le virement',
+    expenseCategories: { one: '{count} catégorie de dépenses', other: '{count} catégories de dépenses' },
+    incomeCategories: { one: '{count} catégorie de revenus', other: '{count} catégories de revenus' },
+    addRefund: 'Ajouter le remboursement',
+    refundOf: 'Achat d’origine',
+    refundOfHint: 'Liez l’achat remboursé ; le remboursement prend sa catégorie.',
+    refundNoMatch: 'Aucun achat chez ce marchand dans les 120 derniers jours. Choisissez ci-dessous la catégorie à créditer.',
+    currency: 'Devise',
+    currencyHint: 'Payé dans une autre devise que celle du compte? Le solde du compte la convertit.',
+  },
+  tags: {
+    addPlaceholder: 'Ajouter une étiquette...',
+    remove: "Retirer l'étiquette {tag}",
+    breakdownTitle: 'Répartition par étiquette',
+    breakdownSubtitle: 'Totaux par étiquette, toutes catégories confondues',
+    breakdownFrom: 'Répartition par étiquette du',
+    breakdownTo: 'Répartition par étiquette au',
+    to: 'au',
+    breakdownEmpty: "Aucune transaction étiquetée pour cette période. Ajoutez des étiquettes en enregistrant une transaction, ou étiquetez-en plusieurs à la fois depuis Transactions.",
+    tag: 'Étiquette',
+    net: 'Net',
+    dialogTitle: 'Étiqueter des transactions',
+    appliesToSelected: { one: "S'applique à la {count} transaction sélectionnée", other: "S'applique aux {count} transactions sélectionnées" },
+    appliesToShown: { one: "S'applique à la {count} transaction affichée", other: "S'applique aux {count} transactions affichées" },
+    addTags: 'Ajouter des étiquettes',
+    removeTags: 'Retirer des étiquettes',
+    addExample: 'p. ex. Rénovation maison',
+    tagToRemove: 'Étiquette à retirer',
+    undoHint: 'Vous pouvez annuler tout de suite, ou plus tard depuis Catégories → Changements récents.',
+    addTo: { one: 'Ajouter à {count} transaction', other: 'Ajouter à {count} transactions' },
+    removeFrom: { one: 'Retirer de {count} transaction', other: 'Retirer de {count} transactions' },
+  },
+  bulkBar: {
+    selected: { one: '{count} sélectionnée', other: '{count} sélectionnées' },
+    restore: 'Restaurer {count}',
+    delete: 'Supprimer {count}',
+    selectAll: 'Tout sélectionner ({total})',
+    clear: 'Effacer',
+    newCategory: 'Nouvelle catégorie',
+    chooseCategory: 'Choisissez une catégorie...',
+    newDate: 'Nouvelle date',
+    moveToAccount: 'Déplacer vers le compte',
+    chooseAccount: 'Choisissez un compte...',
+    applyTo: 'Appliquer à {count}',
+    categoryHint: 'Seules les lignes du type de la catégorie changent; les virements et les lignes réparties sont ignorés.',
+    accountHint: 'Les virements restent sur leurs comptes.',
+    dateHint: "Les deux moitiés d'un virement sont déplacées ensemble.",
+  },
+  suggestions: {
+    label: 'Suggestions :',
+    setCategory: 'Choisir la catégorie {name}',
+  },
+  views: {
+    saveFailed: "Impossible d'enregistrer la vue : {error}",
+    views: 'Vues',
+    empty: 'Aucune vue enregistrée pour le moment',
+    pin: 'Épingler {name}',
+    unpin: 'Désépingler {name}',
+    delete: 'Supprimer {name}',
+    saveCurrent: 'Enregistrer la vue actuelle...',
+    saveTitle: 'Enregistrer la vue',
+    saveSubtitle: 'La recherche, la période et les filtres actuels',
+    namePlaceholder: 'p. ex. Amazon cette année',
+    nameLabel: 'Nom de la vue',
+    replaces: 'Remplace la vue enregistrée portant ce nom.',
+    pinToPage: 'Épingler à la page Transactions',
+    pinHint: 'Épingler à la page',
+    unpinHint: 'Retirer de la page',
+    deleteConfirm: 'Supprimer la vue « {name} »?',
+  },
+  transactions: {
+    recategorized: 'Recatégorisé',
+    redated: 'Redaté',
+    moved: 'Déplacé',
+    movedToTrash: 'Mis à la corbeille',
+    restored: 'Restauré',
+    showOnlyTag: 'Afficher seulement « {tag} »',
+    updateCategoryFailed: 'Impossible de changer la catégorie',
+    splitAmountLocked: 'Cette transaction est répartie entre plusieurs catégories. Retirez la répartition avant de changer son montant.',
+    updateAmountFailed: 'Impossible de changer le montant',
+    clearedFailed: "Impossible de changer l'état de compensation : {error}",
+    count: { one: '{count} transaction', other: '{count} transactions' },
+    tagsUnchangedHave: 'Rien à changer — les transactions {scope} ont déjà ces étiquettes.',
+    tagsUnchangedLack: "Rien à changer — les transactions {scope} n'ont déjà pas ces étiquettes.",
+    scopeSelected: 'sélectionnées',
+    scopeShown: 'affichées',
+    taggedLabel: 'Étiqueté {transactions} : {tags}',
+    untaggedLabel: 'Étiquettes retirées de {transactions} : {tags}',
+    tagged: 'Étiqueté {transactions}.',
+    untagged: 'Étiquettes retirées de {transactions}.',
+    tagsFailed: 'Impossible de changer les étiquettes : {error}',
+    loadFailed: 'Impossible de charger les transactions : {error}',
+    skipped: ' {count} ignorée(s) (virements, lignes réparties ou autre type).',
+    nothingToChange: 'Rien à changer.{skipped}',
+    toTarget: ' vers {target}',
+    bulkSummary: '{verb} : {transactions}{target}',
+    bulkFailed: 'Échec de la modification groupée : {error}',
+    undone: 'Annulé — {transactions} restaurée(s).',
+    undoFailed: "Impossible d'annuler : {error}",
+    splitSummary: 'Répartie · {count} catégories',
+    transferTo: 'Virement vers {name}',
+    transferFrom: 'Virement de {name}',
+    deleteFailed: 'Impossible de supprimer la transaction : {error}',
+    deleteAllFailed: 'Impossible de supprimer toutes les transactions : {error}',
+    restoreFailed: 'Impossible de restaurer la transaction : {error}',
+    permanentDeleteFailed: 'Impossible de supprimer définitivement la transaction : {error}',
+    emptyTrashFailed: 'Impossible de vider la corbeille : {error}',
+    restoreAllFailed: 'Impossible de restaurer toutes les transactions : {error}',
+    exportFailed: "Impossible d'exporter : {error}",
+    loading: 'Chargement des transactions...',
+    title: 'Transactions',
+    active: 'Actives ({count})',
+    trash: 'Corbeille ({count})',
+    removeAll: 'Tout retirer',
+    tag: 'Étiqueter ({count})',
+    downloadCsv: 'Télécharger le CSV',
+    addTransaction: '+ Ajouter une transaction',
+    restoreAll: 'Tout restaurer',
+    emptyTrash: 'Vider la corbeille',
+    dismiss: 'Fermer',
+    searchPlaceholder: 'Recherchez, ou essayez category:Épicerie amount:>50',
+    thisMonth: 'Ce mois-ci',
+    lastMonth: 'Le mois dernier',
+    allTime: 'Toute la période',
+    allTypes: 'Tous les types',
+    allAccounts: 'Tous les comptes',
+    allTags: 'Toutes les étiquettes',
+    customFilters: 'Filtres personnalisés',
+    filters: 'Filtres',
+    reset: 'Réinitialiser',
+    dateRange: 'Période',
+    startDate: 'Date de début',
+    endDate: 'Date de fin',
+    filterDescription: 'Filtrer par description...',
+    bank: 'Banque',
+    allBanks: 'Toutes les banques',
+    amountRange: 'Plage de montants',
+    minAmount: 'Montant minimum',
+    maxAmount: 'Montant maximum',
+    clearFilters: 'Effacer les filtres',
+    applyFilters: 'Appliquer les filtres',
+    noneFound: 'Aucune transaction trouvée',
+    select: 'Sélectionner {description}',
+    selectCategory: 'Choisir',
+    splitAcross: 'Répartir entre plusieurs catégories…',
+    balanceShort: 'Solde : {balance}',
+    moveToTrash: 'Mettre à la corbeille',
+    selectAllShown: 'Tout sélectionner (affichées)',
+    balance: 'Solde',
+    loadMore: 'Charger plus ({shown} sur {total})',
+    periodTotal: 'Total de la période :',
+    loadingTrash: 'Chargement de la corbeille...',
+    trashHint: 'Les éléments de la corbeille peuvent être restaurés ou supprimés définitivement. Restaurez ceux que vous voulez garder.',
+    trashEmpty: 'La corbeille est vide',
+    restore: 'Restaurer',
+    selectAllTrash: 'Tout sélectionner dans la corbeille',
+    actions: 'Actions',
+    removeAllTitle: 'Retirer toutes les transactions',
+    removeAllConfirm: 'Voulez-vous vraiment mettre les {count} transactions à la corbeille?',
+    removeAllHint: 'Les transactions iront à la corbeille, où vous pourrez les restaurer ou les supprimer définitivement.',
+    moveToTrashButton: 'Mettre à la corbeille',
+    emptyTrashConfirm: 'Voulez-vous vraiment supprimer définitivement les {count} éléments de la corbeille?',
+    emptyTrashHint: 'Cette action est irréversible. Tous les éléments seront supprimés définitivement.',
+    restoreAllTitle: 'Restaurer toutes les transactions',
+    restoreAllConfirm: 'Voulez-vous vraiment restaurer les {count} transactions de la corbeille?',
+    restoreAllHint: 'Toutes les transactions retourneront dans votre liste de transactions actives.',
+    changeCategory: 'Changer la catégorie',
+    changeCategoryTo: 'Changer la catégorie pour {name}',
+    changeCategoryHint: "Appliquer ce changement à cette transaction seulement, ou aussi mettre à jour la correspondance pour que les prochaines importations avec cette description soient catégorisées automatiquement?",
+    onlyThis: 'Cette transaction seulement',
+    always: 'Toujours (mettre à jour la correspondance)',
+    refundLabel: '{category} (remboursement)',
+    expiresIn: { one: 'Supprimé définitivement dans {count} jour', other: 'Supprimé définitivement dans {count} jours' },
+    expiresToday: 'Supprimé définitivement à la prochaine purge quotidienne',
+    trashRetentionHint: { one: 'Les éléments sont supprimés définitivement {count} jour après leur mise à la corbeille.', other: 'Les éléments sont supprimés définitivement {count} jours après leur mise à la corbeille.' },
+    originally: 'Initialement {amount}',
+  },
+  pickers: {
+    categoryName: 'Nom de la catégorie',
+    existingMatching: 'Catégories existantes correspondant à « {value} »',
+    exists: 'existe',
+    alreadyExists: 'Cette catégorie existe déjà',
+    selectCategory: 'Choisir une catégorie...',
+    noCategories: 'Aucune catégorie disponible',
+    searchMerchants: 'Rechercher des marchands...',
+    firstResults: 'Affichage des {count} premiers résultats. Précisez la recherche.',
+    noMerchants: 'Aucun marchand existant ne correspond à « {value} »',
+    newMerchant: 'Une nouvelle correspondance de marchand sera créée',
+  },
+  mappingPreview: {
+    title: 'Aperçu : « {pattern} » → {category}',
+    movesFrom: 'Déplace ce marchand depuis {category}. ',
+    nothingYet: "Rien ne change tant que vous n'appliquez pas.",
+    matching: '{count} correspondante(s)',
+    wouldChange: '{count} changerai(en)t',
+    conflicts: '{count} en conflit',
+    splitsSkipped: '{count} répartie(s), laissée(s) telle(s) quelle(s)',
+    none: 'Aucune transaction existante ({type}) ne correspond à « {pattern} ». La correspondance s\'appliquera aux prochaines importations.',
+    selectAll: 'Tout sélectionner',
+    recategorize: 'Recatégoriser {description}',
+    alsoMatches: 'Correspond aussi à {name} → {category}',
+    winsOnImport: " (l'emporte à l'importation)",
+    already: 'Déjà {category}',
+    undoHint: 'Vous pouvez annuler ceci depuis Changements récents.',
+    saveOnly: 'Enregistrer la correspondance seulement',
+    applying: 'Application...',
+    apply: { one: 'Appliquer à {count} transaction', other: 'Appliquer à {count} transactions' },
+  },
+  columnMapping: {
+    negativeExpense: 'Les montants négatifs sont des dépenses',
+    negativeIncome: 'Les montants positifs sont des dépenses (carte de crédit)',
+    typeColumn: "Utiliser la colonne Type (dépense s'il n'y en a pas)",
+    none: '— Aucune —',
+    selectColumn: 'Choisir une colonne',
+    title: 'Associer les colonnes du CSV',
+    intro: "Indiquez comment cette banque organise son export. Enregistrez-le comme profil et les fichiers aux mêmes colonnes seront associés automatiquement la prochaine fois.",
+    dateFormat: 'Format de date',
+    detect: 'Détecter ({order} en cas de doute)',
+    fallbackDescription: 'Description de rechange',
+    amounts: 'Montants',
+    singleColumn: 'Une colonne de montant',
+    splitColumns: 'Colonnes débit / crédit séparées',
+    debit: 'Débit (sorties)',
+    credit: 'Crédit (entrées)',
+    signConvention: 'Convention de signe',
+    bank: 'Banque',
+    typeField: 'Type (revenu / dépense)',
+    preview: 'Aperçu ({count} premières lignes)',
+    noRows: 'Aucune ligne ne peut être lue avec cette association',
+    saveProfile: 'Enregistrer comme profil bancaire',
+    profilePlaceholder: 'ex. RBC Chèques (laisser vide pour une seule fois)',
+    saveAndContinue: 'Enregistrer le profil et continuer',
+    continue: 'Continuer',
+  },
+  recommendations: {
+    highPriority: 'Priorité élevée',
+    mediumPriority: 'Priorité moyenne',
+    lowPriority: 'Priorité faible',
+    current: 'Actuel',
+    none: 'Aucun',
+    nextMonth: 'Mois prochain',
+    notSet: 'Non fixé',
+    avgSpent: 'Dépense moy.',
+    suggested: 'Suggéré',
+    percentLeft: '{percent} % restant',
+    budget: 'Budget',
+    spent: 'Dépensé',
+    availableToSave: 'Disponible à épargner',
+    fetchFailed: 'Impossible de charger les suggestions',
+    title: 'Suggestions',
+    analyzing: 'Analyse...',
+    errorLoading: 'Erreur de chargement',
+    allGood: 'Tout va bien!',
+    count: { one: '{count} suggestion', other: '{count} suggestions' },
+    overBudget: 'Dépassement',
+    canSave: 'Épargne possible',
+    analyzingMonths: 'Analyse de 6 mois de données...',
+    retry: 'Réessayer',
+    looksGreat: 'Votre budget est excellent!',
+    analyzed: '{count} catégories analysées',
+    refresh: 'Actualiser',
+    adjustBudget: 'Ajuster le budget',
+    adjustHint: 'Appliquer au budget du mois prochain',
+    selected: '{count} sélectionnée(s)',
+    adjustment: 'Ajustement :',
+    clear: 'Effacer',
+    applyAll: 'Tout appliquer pour le mois prochain',
+    potentialSavings: 'Épargne potentielle',
+    savingsHint: "Catégories discrétionnaires (sans paiement récurrent) où il reste de l'argent à épargner",
+    refreshAnalysis: "Actualiser l'analyse",
+    total: 'Total :',
+    // Écrits par netlify/functions/budget-recommendations.js
+    msgNoBudget: 'Vous dépensez en moyenne {average}/mois en {category}, sans budget fixé. Pensez à fixer une limite de {suggested}.',
+    msgUnderfunded: 'Vous dépensez habituellement {average}/mois en {category}, mais votre budget n\'est que de {budget}. Pensez à l\'augmenter à {suggested}.',
+    msgOverfunded: 'Votre budget {category} de {budget} dépasse le double de vos dépenses moyennes de {average}/mois. Pensez à le réduire à {suggested} pour réaffecter {savings}.',
+    msgVariance: 'Vos dépenses en {category} varient beaucoup ({min} - {max}). Pensez à un budget de {suggested} pour absorber les écarts.',
+    msgTrending: 'Vos dépenses en {category} ont augmenté de {percent} % sur les 3 derniers mois (de {from} à {to}/mois). Pensez à ajuster votre budget à {suggested}.',
+    msgSavings: 'Il vous reste {remaining} en {category} ce mois-ci. Si vous ne dépensez pas tout, vous pourriez épargner jusqu\'à {available}.',
+  },
+  reports: {
+    others: 'Autres',
+    incomeLabel: 'Revenus :',
+    expensesLabel: 'Dépenses :',
+    balanceLabel: 'Solde :',
+    tapMonth: 'Touchez un mois pour voir le détail',
+    hoverMonth: 'Survolez un mois',
+    toSeeDetails: 'pour voir le détail',
+    totalSpent: 'Total dépensé',
+    totalEarned: 'Total gagné',
+    showCategory: 'Voir les transactions {name}',
+    loading: 'Chargement du rapport...',
+    title: 'Rapport financier',
+    subtitle: 'Votre aperçu financier annuel',
+    totalIncome: 'Revenus totaux',
+    totalExpenses: 'Dépenses totales',
+    perMonth: '~{amount}/mois',
+    netBalance: 'Solde net',
+    surplus: 'Excédent',
+    deficit: 'Déficit',
+    savingsRate: "Taux d'épargne",
+    monthsTracked: { one: '{count} mois suivi', other: '{count} mois suivis' },
+    incomeVsExpenses: 'Revenus et dépenses',
+    monthlyComparison: 'Comparaison mensuelle',
+    expenseBreakdown: 'Répartition des dépenses',
+    whereMoneyGoes: 'Où va votre argent',
+    noExpenseData: 'Aucune donnée de dépenses',
+    incomeBreakdown: 'Répartition des revenus',
+    whereMoneyComes: "D'où vient votre argent",
+    noIncomeData: 'Aucune donnée de revenus',
+    balanceTrend: 'Évolution du solde',
+    balanceTrendHint: "Solde net mensuel au cours de l'année",
+    monthlyBreakdown: 'Répartition mensuelle',
+    monthlyBreakdownHint: 'Vue détaillée de chaque mois',
+    month: 'Mois',
+    balance: 'Solde',
+    totalRow: 'TOTAL',
+  },
+  recurring: {
+    loadFailed: 'Impossible de charger les données : {error}',
+    updated: 'Paiement récurrent mis à jour!',
+    created: 'Paiement récurrent créé!',
+    saveFailed: "Impossible d'enregistrer : {error}",
+    confirmDelete: 'Voulez-vous vraiment supprimer ce paiement récurrent?',
+    deleted: 'Paiement récurrent supprimé!',
+    deleteFailed: 'Impossible de supprimer : {error}',
+    updateFailed: 'Impossible de mettre à jour : {error}',
+    loading: 'Chargement des paiements récurrents...',
+    title: 'Paiements récurrents',
+    subtitle: 'Gérez vos factures et revenus récurrents',
+    addRecurring: '+ Ajouter un paiement récurrent',
+    previousMonth: 'Mois précédent',
+    nextMonth: 'Mois suivant',
+    incomeIn: 'Revenus en {month}',
+    expensesIn: 'Dépenses en {month}',
+    netCashFlow: 'Flux de trésorerie net',
+    surplus: 'Excédent',
+    deficit: 'Déficit',
+    expensesTab: 'Dépenses ({count})',
+    incomeTab: 'Revenus ({count})',
+    showInactive: 'Afficher les inactifs',
+    hideInactive: 'Masquer les inactifs',
+    filter: 'Filtre :',
+    clear: 'Effacer ✕',
+    inMonth: ' en {month}',
+    noneInCategoryExpense: 'Aucune dépense récurrente dans « {category} »',
+    noneInCategoryIncome: 'Aucun revenu récurrent dans « {category} »',
+    clearFilter: 'Effacer le filtre',
+    noneYetExpense: "Aucune dépense récurrente pour l'instant",
+    noneYetIncome: "Aucun revenu récurrent pour l'instant",
+    addFirstExpense: 'Ajouter votre première dépense',
+    addFirstIncome: 'Ajouter votre premier revenu',
+    paused: 'En pause',
+    weekdays: 'Jours ouvrables',
+    auto: 'Auto',
+    dueToday: "Dû aujourd'hui",
+    daysShort: '{count} j',
+    pause: 'Pause',
+    resume: 'Reprendre',
+    lastBizDay: 'Dernier jour ouvrable',
+    autoAdded: 'Ajout auto',
+    until: "jusqu'au {date}",
+    dueTomorrow: 'Dû demain',
+    ended: 'Terminé',
+    next30Days: '30 prochains jours',
+    editExpense: 'Modifier la dépense récurrente',
+    editIncome: 'Modifier le revenu récurrent',
+    addExpense: 'Ajouter une dépense récurrente',
+    addIncome: 'Ajouter un revenu récurrent',
+    nameRequired: 'Nom *',
+    namePlaceholder: 'ex. Netflix, Hypothèque, Salaire',
+    amountRequired: 'Montant *',
+    selectCategory: 'Choisir une catégorie...',
+    defaultAccount: 'Compte par défaut',
+    frequencyRequired: 'Fréquence *',
+    startDateRequired: 'Date de début *',
+    endDate: 'Date de fin',
+    businessDaysOnly: 'Jours ouvrables seulement',
+    businessDaysHint: 'Déplacer les dates de fin de semaine au jour ouvrable le plus proche (sam.→ven., dim.→lun.)',
+    lastBusinessDay: 'Dernier jour ouvrable du mois',
+    lastBusinessDayHint: 'Toujours prévoir le dernier jour de semaine (lun.-ven.) de chaque mois',
+    autoAdd: 'Ajouter aux transactions automatiquement',
+    autoAddSince: 'Enregistré automatiquement depuis le {date}',
+    autoAddHint: "S'enregistre à la date prévue — à partir d'aujourd'hui, les dates passées ne sont pas touchées",
+    bankDescription: 'Description bancaire',
+    bankDescriptionPlaceholder: 'ex. PAYROLL DEP, HYDRO BILL PMT',
+    bankDescriptionHint: "Facultatif. Comment ce paiement apparaît sur votre relevé — si le même montant arrive par l'importation Google Sheets dans les jours qui suivent, il ne sera pas ajouté deux fois.",
+    notesPlaceholder: 'Notes facultatives...',
+    updating: 'Mise à jour...',
+    creating: 'Création...',
+    update: 'Mettre à jour le paiement récurrent',
+    add: 'Ajouter le paiement récurrent',
+  },
+  categoryManager: {
+    title: 'Gestion des catégories',
+    subtitle: 'Gérez vos catégories de dépenses et de revenus',
+    loadingCategories: 'Chargement des catégories...',
+    expensesTab: 'Dépenses ({count})',
+    incomeTab: 'Revenus ({count})',
+    rulesTab: 'Règles',
+    quickActions: 'Actions rapides',
+    loadDefaults: 'Charger les catégories par défaut',
+    importing: 'Importation...',
+    importCsv: 'Importer des associations CSV',
+    recategorizing: 'Recatégorisation...',
+    recategorizeAll: 'Recatégoriser toutes les transactions',
+    csvHint: 'Format CSV : Name,Type (nom du marchand → catégorie). « Tout recatégoriser » applique vos règles et associations aux transactions existantes.',
+    recentChanges: 'Modifications récentes',
+    recategorizeBatch: 'Tout recatégoriser',
+    defaultsIntro: 'Les catégories par défaut suivantes seront ajoutées à votre compte :',
+    defaultExpenses: 'Catégories de dépenses ({count}) :',
+    defaultIncome: 'Catégories de revenus ({count}) :',
+    defaultsNoDuplicates: 'Les catégories existantes portant le même nom ne seront pas dupliquées.',
+    loadCategories: 'Charger les catégories',
+    expenseCategories: 'Catégories de dépenses',
+    noExpenseCategories: 'Aucune catégorie de dépenses pour l’instant',
+    addExpenseCategory: 'Nouvelle catégorie de dépenses',
+    categoryName: 'Nom de la catégorie',
+    merchantMappings: 'Associations de marchands',
+    merchantMappingsHint: 'Associez des marchands à des catégories pour catégoriser automatiquement les importations',
+    merchantName: 'Nom du marchand',
+    merchantPlaceholder: 'ex. GLOBAL PET FOODS, PC-ENERGIE NB POWER, AMAZON.CA',
+    merchantNameHint: 'Saisissez le nom exact du marchand tel qu’il figure sur vos relevés bancaires',
+    assignCategory: 'Attribuer à la catégorie',
+    selectCategory: 'Choisir une catégorie...',
+    updateExisting: 'Mettre à jour les transactions existantes',
+    updateExistingHint: 'Prévisualiser les transactions correspondantes, puis les recatégoriser (annulable)',
+    addMapping: 'Ajouter l’association',
+    existingMappings: 'Associations existantes pour « {category} » :',
+    removeMapping: 'Retirer l’association',
+    incomeCategories: 'Catégories de revenus',
+    noIncomeCategories: 'Aucune catégorie de revenus pour l’instant',
+    addIncomeCategory: 'Nouvelle catégorie de revenus',
+    incomeCategoryPlaceholder: 'ex. Salaire, Pigiste, Dividendes, Remises',
+    incomeMappings: 'Associations de sources de revenus',
+    incomeMappingsHint: 'Associez des sources de revenus à des catégories pour catégoriser automatiquement les importations',
+    incomeSourceName: 'Nom de la source de revenus',
+    incomeSourcePlaceholder: 'ex. CASHBACK / REMISES, SALARY DEPOSIT, INTEREST',
+    incomeSourceHint: 'Saisissez le nom exact de la source tel qu’il figure sur vos relevés bancaires',
+    assignIncomeCategory: 'Attribuer à la catégorie de revenus',
+    selectIncomeCategory: 'Choisir une catégorie de revenus...',
+    updateExistingIncomeHint: 'Prévisualiser les revenus correspondants, puis les recatégoriser (annulable)',
+    addIncomeMapping: 'Ajouter l’association de revenus',
+    readyForIncome: 'Prêt à ajouter un revenu?',
+    readyForIncomeHint: 'Enregistrez votre salaire, vos revenus de pigiste ou tout autre revenu',
+    addIncome: '+ Ajouter un revenu',
+    mappingMoved: '« {pattern} » déplacé de {from} vers {to}.',
+    mappingAdded: 'Association ajoutée pour « {pattern} ».',
+    updatedExisting: { one: '{count} transaction existante mise à jour.', other: '{count} transactions existantes mises à jour.' },
+    undid: { one: '{label} annulé. {count} transaction restaurée.', other: '{label} annulé. {count} transactions restaurées.' },
+    undoFailed: 'Échec de l’annulation : {message}',
+    recategorized: { one: '{count} transaction recatégorisée selon vos règles et associations!', other: '{count} transactions recatégorisées selon vos règles et associations!' },
+    alreadyMapped: 'Ce marchand est déjà associé à cette catégorie',
+    categoryNotFound: 'Catégorie « {name} » introuvable',
+    mappingRemoved: 'Association retirée',
+    categoryExists: 'Cette catégorie existe déjà',
+    categoryCreated: 'Catégorie créée!',
+    defaultsLoaded: '{expense} catégories de dépenses et {income} catégories de revenus chargées!',
+    selectCsv: 'Veuillez choisir un fichier CSV',
+    csvTooShort: 'Le fichier CSV doit contenir une ligne d’en-tête et au moins une ligne de données',
+    csvColumns: 'Le fichier CSV doit contenir les colonnes « Name » et « Type »',
+    csvNoMappings: 'Aucune association valide dans le fichier CSV',
+    csvImported: '{categories} catégories et {mappings} associations importées du fichier CSV!',
+  },
+  dashboard: {
+    title: 'Tableau de bord',
+    loading: 'Chargement de votre tableau de bord...',
+    welcome: 'Bon retour, {name}',
+    addTransaction: '+ Ajouter une transaction',
+    loadFailed: 'Impossible de charger le tableau de bord : {message}',
+    daysLeft: { one: '{count} jour restant', other: '{count} jours restants' },
+    netBalance: 'Solde net',
+    upcomingPayments: 'Paiements à venir',
+    manage: 'Gérer',
+    amountLeft: '{amount} restants',
+    untilSalary: '{amount} d’ici la paie',
+    salaryTomorrow: 'Paie demain',
+    salaryIn: 'Paie dans {count} jours',
+    moreUpcoming: { one: '+{count} autre paiement à venir', other: '+{count} autres paiements à venir' },
+    noUpcoming: 'Aucun paiement prévu dans les 14 prochains jours',
+    totalForDay: 'Total du jour',
+    tapDay: 'Touchez un jour avec des paiements pour voir le détail',
+    spendingBreakdown: 'Répartition des dépenses',
+    details: 'Détails',
+    others: 'Autres',
+    totalSpent: 'Total dépensé',
+    noSpending: 'Aucune dépense ce mois-ci',
+    cashFlow: 'Flux de trésorerie',
+    incomeLabel: 'Revenus :',
+    expensesLabel: 'Dépenses :',
+    noTransactions: 'Aucune transaction',
+    clickDay: 'Cliquez sur un jour pour voir le détail',
+    net: 'Net : {amount}',
+    dailySpending: 'Dépenses quotidiennes',
+    amountTotal: '{amount} au total',
+    noSpendingData: 'Aucune donnée de dépenses',
+    clickBar: 'Cliquez sur une barre pour voir le détail',
+    averagePerDay: 'Moy. : {amount}/jour',
+    importTransactions: 'Importer des transactions',
+    manageBudget: 'Gérer le budget',
+    allTransactions: 'Toutes les transactions',
+    categories: 'Catégories',
+  },
+  budget: {
+    title: 'Budget mensuel',
+    loading: 'Chargement du budget...',
+    noCategoriesTitle: 'Aucune catégorie budgétaire',
+    noCategoriesBody: 'Vous devez d’abord créer des catégories de dépenses pour établir un budget.',
+    noCategoriesHint: 'Allez dans Catégories et ajoutez quelques catégories de dépenses pour commencer.',
+    checking: 'Vérification...',
+    checkSpent: 'Vérifier les totaux dépensés',
+    checkSpentTitle: 'Comparer le montant dépensé enregistré de chaque catégorie avec ses transactions et corriger tout écart',
+    trackingTab: 'Suivi du budget',
+    setupTab: 'Configuration du budget',
+    current: 'Actuel',
+    projected: 'Prévu',
+    totalSpent: 'Total dépensé',
+    ofBudget: 'sur un budget de {amount}',
+    used: 'utilisé',
+    remaining: 'Restant',
+    overBudget: 'Budget dépassé',
+    underBudget: 'Sous le budget',
+    byCategory: 'Par catégorie',
+    searchCategories: 'Rechercher des catégories...',
+    noMatches: 'Aucune catégorie ne correspond à « {search} »',
+    projectedTotal: 'Dépenses totales prévues',
+    spentAmount: 'Dépensé : {amount}',
+    plusRecurring: '+ Récurrents : {amount}',
+    plusRemaining: '+ Restant : {amount}',
+    overBudgetBy: 'Dépassement de',
+    onBudget: 'Dans le budget',
+    onTrack: 'Sur la bonne voie',
+    categoriesOver: { one: '{count} catégorie en dépassement', other: '{count} catégories en dépassement' },
+    over: 'DÉPASSÉ',
+    budgetAmount: 'Budget : {amount}',
+    projectedLabel: 'prévu',
+    spent: 'Dépensé',
+    upcoming: 'À venir',
+    overBy: 'Dépassement',
+    upcomingPayments: 'Paiements à venir',
+    totalMonthlyBudget: 'Budget mensuel total',
+    lastMonth: 'Mois dernier : {amount}',
+    setLimits: 'Plafonds par catégorie',
+    sort: 'Trier :',
+    sortAmount: 'Montant (décroissant)',
+    sortName: 'Nom (A-Z)',
+    saveBudget: 'Enregistrer le budget',
+    monthTransactions: 'Transactions de {month}',
+    noTransactions: 'Aucune transaction trouvée',
+    charged: '{amount} facturés',
+    openInTransactions: 'Ouvrir dans Transactions',
+    totalLabel: 'Total :',
+    recurringPayments: 'Paiements récurrents',
+    perMonth: '{amount}/mois',
+    overBudgetStatus: 'Budget dépassé',
+    warning: 'Attention',
+    ofLimit: 'sur {amount}',
+    percentUsed: '{percent} % utilisé',
+    amountOver: '{amount} de trop',
+    amountLeft: '{amount} restants',
+    noLimit: 'Aucun plafond',
+    loadCategoriesFailed: 'Impossible de charger les catégories : {message}',
+    loadFailed: 'Impossible de charger le budget : {message}',
+    saved: 'Budget enregistré!',
+    saveFailed: 'Impossible d’enregistrer le budget : {message}',
+    nothingToCheck: 'Aucun budget enregistré pour ce mois — rien à vérifier',
+    spentMatches: { one: 'Les totaux dépensés correspondent aux transactions pour la {count} catégorie budgétée', other: 'Les totaux dépensés correspondent aux transactions pour les {count} catégories budgétées' },
+    spentCorrected: '{count} sur {checked} corrigées : {lines}',
+    checkFailed: 'Impossible de vérifier les totaux dépensés : {message}',
+    updated: 'Budget mis à jour!',
+    applyFailed: 'Impossible d’appliquer la suggestion : {message}',
+    carriedSurplus: 'Dont {amount} reportés',
+    carriedDeficit: 'Moins {amount} dépassés avant',
+    rolloverFor: 'Report pour {category}',
+    rolloverCapFor: 'Plafond du report pour {category}',
+    rolloverCap: 'Plafond',
+    rolloverModes: {
+      none: 'Pas de report',
+      surplus: 'Reporter le reste',
+      surplus_deficit: 'Reporter le reste ou le dépassement',
+      capped: 'Reporter le reste, jusqu\'à un plafond',
+    },
+  },
+  assets: {
+    title: 'Actifs et passifs',
+    assets: 'Actifs',
+    liabilities: 'Passifs',
+    noAssets: 'Aucun actif',
+    totalAssets: 'Total des actifs',
+    totalLiabilities: 'Total des passifs',
+    netWorth: 'Valeur nette',
+    debtToAssets: 'Dettes / actifs',
+    equityChange: 'Variation de la valeur nette',
+    vsPrevious: 'par rapport à avant',
+    trendEmpty: 'Enregistrez des instantanés pour suivre l\'évolution de votre valeur nette',
+    trendEmptyHint: 'Cliquez sur « Enregistrer un instantané » pour ajouter votre premier point',
+    assetsLabel: 'Actifs :',
+    liabilitiesLabel: 'Passifs :',
+    netWorthLabel: 'Valeur nette :',
+    financialHealth: 'SANTÉ FINANCIÈRE',
+    howCalculated: 'Comment votre score est calculé',
+    scoreScale: 'Score : 80+ Excellent | 60-79 Bon | 40-59 Moyen | <40 À améliorer',
+    excellent: 'Excellent',
+    good: 'Bon',
+    fair: 'Moyen',
+    needsWork: 'À améliorer',
+    building: 'En cours',
+    critical: 'Critique',
+    metricDebt: 'Faible endettement',
+    metricEmergency: 'Fonds d\'urgence',
+    metricInvestments: 'Placements',
+    metricNetWorth: 'Valeur nette positive',
+    debtWhat: 'Vos dettes par rapport à ce que vous possédez',
+    debtCalculation: '{liabilities} ÷ {assets} = {percent} % d\'endettement',
+    debtScoring: '30 × (1 - {percent} %) = {points} pts',
+    debtTipHigh: 'Remboursez vos dettes pour améliorer ce score',
+    debtTipLow: 'Bravo, votre endettement est faible!',
+    emergencyWhat: 'Combien de mois vous pouvez tenir avec votre épargne',
+    emergencyCalculation: '{liquid} ÷ {expenses}/mois = {months} mois',
+    emergencyScoring: '{months} mois × 2,5 pts = {points} pts (max. 30)',
+    emergencyTipGood: 'Excellent fonds d\'urgence!',
+    emergencyTipBuild: 'Visez 12 mois de dépenses en encaisse ou en épargne',
+    investWhat: 'La part de votre patrimoine placée pour croître',
+    investCalculation: '{investments} ÷ {netWorth} de valeur nette = {percent} %',
+    investScoring: '{percent} % × 0,67 = {points} pts (max. 20 à 30 %)',
+    investTipGood: 'Belle répartition des placements!',
+    investTipLow: 'Visez à placer au moins 30 % de votre valeur nette',
+    netWorthWhat: 'Vos actifs dépassent-ils vos dettes?',
+    netWorthCalculation: '{assets} - {liabilities} = {netWorth} de valeur nette',
+    netWorthScoring: '10 + ({percent} % × 10) = {points} pts',
+    netWorthScoringNegative: '0 pt (valeur nette négative)',
+    netWorthTipGood: 'Votre valeur nette est positive!',
+    netWorthTipLow: 'Misez sur la croissance des actifs et la réduction des dettes',
+    emergencyFund: 'FONDS D\'URGENCE',
+    months: { one: '{months} mois', other: '{months} mois' },
+    available: 'Disponible : {amount}',
+    target: 'Objectif : 12 mois',
+    paymentTooLow: 'Paiement trop faible pour couvrir les intérêts',
+    addPaymentHint: 'Ajoutez un paiement mensuel pour voir la projection',
+    payment: 'Paiement',
+    interestRate: 'Taux d\'intérêt',
+    payoffDate: 'Date de remboursement',
+    timeToPayoff: 'Délai de remboursement',
+    durationYears: '{years} a {months} m',
+    durationMonths: '{months} m',
+    totalInterest: 'Intérêts totaux',
+    recentPayments: 'PAIEMENTS RÉCENTS',
+    paidTotal: '{amount} au total',
+    morePayments: { one: '+{count} autre paiement', other: '+{count} autres paiements' },
+    editAsset: 'Modifier l\'actif',
+    addNewAsset: 'Nouvel actif',
+    selectCategory: 'Choisir une catégorie',
+    assetName: 'Nom de l\'actif *',
+    assetNamePlaceholder: 'p. ex. Résidence principale, Épargne TD',
+    currentValue: 'Valeur actuelle *',
+    enterAmount: 'Entrez un montant',
+    currency: 'Devise',
+    noteOptional: 'Note (facultatif)',
+    notePlaceholder: 'Autres détails...',
+    saveChanges: 'Enregistrer',
+    addAsset: 'Ajouter l\'actif',
+    nameRequired: 'Le nom est requis',
+    amountPositive: 'Le montant doit être positif',
+    editLiability: 'Modifier le passif',
+    addNewLiability: 'Nouveau passif',
+    liabilityType: 'Type de passif',
+    selectType: 'Choisir un type',
+    creditor: 'Créancier *',
+    creditorPlaceholder: 'p. ex. Banque TD, Honda Finance',
+    linkCategory: 'Lier à une catégorie de dépenses',
+    linkCategoryHint: '(réduit le solde à chaque paiement)',
+    noLink: '— Aucun lien (suivi manuel) —',
+    perMonth: '{amount}/mois',
+    linkedHint: 'Chaque dépense dans cette catégorie réduira automatiquement le solde',
+    recurringEnds: 'Fin du paiement récurrent : {date}',
+    noEndDate: 'Aucune date de fin pour le paiement récurrent',
+    startDate: 'Date de début',
+    startDateHint: '(seuls les paiements à partir de cette date comptent)',
+    outstandingBalance: 'Solde restant *',
+    originalBalance: 'Solde initial',
+    monthlyPayment: 'Paiement mensuel',
+    fromRecurring: 'du paiement récurrent',
+    interestRatePercent: 'Taux d\'intérêt (%)',
+    addLiability: 'Ajouter le passif',
+    creditorRequired: 'Le nom du créancier est requis',
+    balancePositive: 'Le solde doit être positif',
+    paymentPositive: 'Le paiement doit être positif',
+    rateRange: 'Le taux doit être entre 0 et 100 %',
+    deleteAssetTitle: 'Supprimer l\'actif?',
+    deleteLiabilityTitle: 'Supprimer le passif?',
+    deleteConfirmBefore: 'Voulez-vous vraiment supprimer',
+    deleteConfirmAfter: '? Cette action est irréversible.',
+    apr: '{rate} % TAP',
+    paidCount: '{amount} payés ({count})',
+    paidPayments: { one: '{amount} payés ({count} paiement)', other: '{amount} payés ({count} paiements)' },
+    todayMark: '(aujourd\'hui)',
+    compareTo: 'Comparer à...',
+    noComparison: 'Aucune comparaison',
+    saveSnapshot: 'Enregistrer un instantané',
+    assetAllocation: 'RÉPARTITION DES ACTIFS',
+    homeEquity: 'AVOIR PROPRE FONCIER',
+    homeEquityHint: 'Immobilier - Hypothèque',
+    investments: 'PLACEMENTS',
+    ofNetWorth: '{percent} % de la valeur nette',
+    liquidAssets: 'ACTIFS LIQUIDES',
+    ofTotalAssets: '{percent} % du total des actifs',
+    colCategory: 'CATÉGORIE',
+    colName: 'NOM',
+    colValue: 'VALEUR',
+    colPercent: '% DU TOTAL',
+    colNote: 'NOTE',
+    colActions: 'ACTIONS',
+    noAssetsYet: 'Aucun actif pour l\'instant. Cliquez sur « + » pour commencer.',
+    showLess: 'Afficher moins',
+    moreAssets: { one: '+{count} autre actif', other: '+{count} autres actifs' },
+    colType: 'TYPE',
+    colCreditor: 'CRÉANCIER',
+    colBalance: 'SOLDE',
+    colPayment: 'PAIEMENT',
+    colInterest: 'INTÉRÊT',
+    noDebts: 'Aucune dette! Vous êtes libre de dettes!',
+    moreLiabilities: { one: '+{count} autre passif', other: '+{count} autres passifs' },
+    payoffProjections: 'Projections de remboursement',
+    scrollMore: 'Faites défiler pour en voir plus →',
+    netWorthTrend: 'Évolution de la valeur nette',
+    snapshots: { one: '{count} instantané', other: '{count} instantanés' },
+    manage: 'Gérer',
+    manageSnapshots: 'Gérer les instantanés',
+    noSnapshots: 'Aucun instantané pour l\'instant',
+    colDate: 'DATE',
+    colAssets: 'ACTIFS',
+    colLiabilities: 'PASSIFS',
+    colNetWorth: 'VALEUR NETTE',
+    colAction: 'ACTION',
+    totalSnapshots: { one: '{count} instantané au total', other: '{count} instantanés au total' },
+  },
+  import: {
+    title: 'Importation et réglages',
+    subtitle: 'Connectez votre feuille Google pour la synchronisation automatique ou importez un fichier CSV',
+    sheetTitle: 'Connexion à la feuille Google',
+    sheetIntro: 'Connectez votre feuille Google pour synchroniser vos transactions. La feuille doit être publique (Partager → Tous les utilisateurs disposant du lien peuvent afficher).',
+    sheetUrl: 'URL de la feuille Google',
+    sheetName: 'Nom de l\'onglet',
+    sheetNameHint: 'Le nom de l\'onglet qui contient vos transactions (par défaut : Expenses)',
+    updateConnection: 'Mettre à jour la connexion',
+    connectSheet: 'Connecter la feuille',
+    enterSheetUrl: 'Entrez l\'URL d\'une feuille Google',
+    invalidSheetUrl: 'URL de feuille Google invalide. Collez l\'URL complète depuis votre navigateur.',
+    connected: 'Feuille connectée!',
+    saveSettingsFailed: 'Impossible d\'enregistrer les réglages : {error}',
+    saveAccountFailed: 'Impossible d\'enregistrer le compte d\'importation : {error}',
+    syncSettings: 'Synchronisation',
+    pollingMode: 'Mode vérification périodique',
+    webhookMode: 'Mode webhook (recommandé)',
+    pollingIntro: 'Vérifie régulièrement s\'il y a de nouvelles transactions. Simple, mais moins efficace.',
+    enableAutoSync: 'Activer la synchronisation automatique',
+    enableAutoSyncHint: 'Importer automatiquement les nouvelles transactions',
+    syncInterval: 'Fréquence de synchronisation',
+    everyMinutes: { one: 'Toutes les {count} minute', other: 'Toutes les {count} minutes' },
+    everyHour: 'Toutes les heures',
+    syncing: 'Synchronisation...',
+    active: 'Active',
+    disabled: 'Désactivée',
+    lastSync: 'Dernière synchronisation : {time}',
+    syncNow: 'Synchroniser',
+    webhookIntro: 'Mises à jour instantanées dès qu\'une transaction est ajoutée à votre feuille. Plus efficace et en temps réel.',
+    enableWebhook: 'Activer la synchronisation par webhook',
+    enableWebhookHint: 'Recevoir les transactions automatiquement par webhook',
+    listening: 'Active - À l\'écoute des mises à jour',
+    lastUpdate: 'Dernière mise à jour : {time}',
+    scriptSetup: 'Configuration de Google Apps Script',
+    scriptIntro: 'Copiez ces valeurs dans votre script Google Apps Script pour activer la synchronisation en temps réel.',
+    scriptWhere: 'Dans votre feuille Google, ouvrez Extensions → Apps Script.',
+    webhookUrl: 'URL du webhook',
+    userId: 'ID utilisateur',
+    webhookSecret: 'Secret du webhook',
+    copy: 'Copier',
+    copied: 'Copié!',
+    secretPlaceholder: 'Cliquez sur « Générer » pour créer un secret',
+    generate: 'Générer',
+    regenerate: 'Régénérer',
+    secretHint: 'Gardez ce secret en lieu sûr. Le régénérer invalide l\'ancien.',
+    copyScript: 'Copier le script complet (avec vos identifiants)',
+    scriptCopied: 'Script copié!',
+    guideTitle: 'Guide de configuration étape par étape',
+    step1Title: 'Étape 1 : Préparer votre feuille Google',
+    step1Columns: 'Votre feuille doit avoir les colonnes :',
+    step1OrSub: '(ou Sub-Description)',
+    step1Optional: 'Colonnes facultatives :',
+    step1TypeHint: '(income/expense)',
+    step2Title: 'Étape 2 : Ouvrir Apps Script',
+    step2Text: 'Dans votre feuille Google :',
+    step3Title: 'Étape 3 : Ajouter le script',
+    step3Before: 'Cliquez sur le bouton',
+    step3Button: '« Copier le script complet »',
+    step3After: 'ci-dessus, puis collez-le dans Apps Script',
+    step3Warning: 'Si vous avez déjà des scripts, collez-le EN DESSOUS (sans les remplacer!)',
+    step4Title: 'Étape 4 : Enregistrer et lancer la configuration',
+    step4Press: 'Appuyez sur',
+    step4Select: 'pour enregistrer, puis choisissez',
+    step4Click: 'dans la liste et cliquez sur',
+    step4Run: 'Exécuter',
+    step5Title: 'Étape 5 : Accorder les autorisations',
+    step5Text: 'Cliquez sur « Examiner les autorisations » → Choisissez votre compte → « Paramètres avancés » → « Accéder à BudgetWise (non sécurisé) » → « Autoriser »',
+    step6Title: 'Étape 6 : Tester la connexion',
+    step6Select: 'Choisissez',
+    step6After: 'et cliquez sur Exécuter. Le journal doit afficher « ✅ Connection successful! »',
+    done: 'Terminé! Les nouvelles transactions se synchroniseront automatiquement dès leur ajout à votre feuille.',
+    manualTitle: 'Importation manuelle',
+    manualIntro: 'Prévisualisez et importez manuellement les transactions de votre feuille connectée, ou téléversez un relevé bancaire (CSV, OFX, QFX ou QIF).',
+    importInto: 'Importer dans le compte',
+    importIntoHint: 'Aussi utilisé par la synchronisation automatique et le webhook en temps réel',
+    fetching: 'Récupération...',
+    fetchFromSheet: 'Récupérer depuis la feuille',
+    noSheet: 'Aucune feuille Google connectée. Ajoutez-en une ci-dessus.',
+    invalidRows: { one: '{count} transaction invalide trouvée. Affichage des {valid} transactions valides.', other: '{count} transactions invalides trouvées. Affichage des {valid} transactions valides.' },
+    profileMappedBefore: 'Colonnes associées avec votre profil',
+    profileMappedAfter: '.',
+    editMapping: 'Modifier l\'association',
+    savedProfiles: 'Profils bancaires enregistrés :',
+    deleteProfile: 'Supprimer le profil',
+    deleteProfileNamed: 'Supprimer le profil {name}',
+    deleteProfileFailed: 'Impossible de supprimer le profil : {error}',
+    summaryTitle: 'Résumé de l\'importation',
+    totalTransactions: 'Nombre de transactions :',
+    totalAmount: 'Montant total :',
+    suggestedFromHistory: 'Suggérées d\'après votre historique :',
+    suggestedHint: '(aucune règle ne correspond, vérifiez-les ci-dessous)',
+    noMatchLabel: 'Aucune correspondance :',
+    noMatchHint: 'iront dans la catégorie par défaut, sauf si vous en choisissez une',
+    byCategory: 'Par catégorie :',
+    categoryLine: { one: '{count} transaction ({total})', other: '{count} transactions ({total})' },
+    defaultIncome: 'Revenu par défaut',
+    suggestedTitle: 'Appris de vos transactions catégorisées',
+    suggestedBadge: 'Suggérée à {percent} %',
+    noMatch: 'Aucune correspondance',
+    noMatchTitle: 'Aucune règle ni association de marchand ne correspond',
+    or: 'Ou :',
+    suggested: 'Suggestions :',
+    showingAll: 'Affichage des {count} transactions',
+    showingFirst: 'Affichage des 20 premières transactions sur {count}',
+    showLess: 'Afficher moins',
+    showAll: 'Tout afficher',
+    saveToDb: { one: 'Enregistrer {count} transaction', other: 'Enregistrer {count} transactions' },
+    nothingToSave: 'Aucune transaction à enregistrer',
+    allExist: { one: 'La transaction existe déjà.', other: 'Les {count} transactions existent déjà.' },
+    skippedDuplicates: { one: '{count} doublon ignoré. Importation de {imported} nouvelles transactions.', other: '{count} doublons ignorés. Importation de {imported} nouvelles transactions.' },
+    importedTitle: 'Transactions importées',
+    savedBody: { one: '{count} transaction enregistrée ({total} au total)', other: '{count} transactions enregistrées ({total} au total)' },
+    saved: { one: '{count} transaction enregistrée!', other: '{count} transactions enregistrées!' },
+    refundOf: 'Remboursement de :',
+    refundMaybe: 'Remboursement de ?',
+    refundLinkTitle: 'Enregistrer comme remboursement de cet achat, dans sa catégorie',
+    refundUnlinkTitle: 'Délier de cet achat',
+    refundsLabel: 'Remboursements :',
+    refundsHint: { one: '{count} ligne, {linked} liée à son achat', other: '{count} lignes, {linked} liées à leur achat' },
+    heldForReview: { one: '{count} ligne ressemble à une transaction déjà enregistrée et attend votre vérification ci-dessus.', other: '{count} lignes ressemblent à des transactions déjà enregistrées et attendent votre vérification ci-dessus.' },
+    settledDuplicates: { one: '{count} ligne ignorée : vous l’aviez déjà fusionnée ou écartée.', other: '{count} lignes ignorées : vous les aviez déjà fusionnées ou écartées.' },
+    rowError: 'Ligne {row} : {errors}',
+  },
+  duplicates: {
+    title: 'Doublons possibles',
+    subtitle: 'Ces lignes importées ressemblent à des transactions que vous avez déjà — à un ou deux jours près, ou avec un libellé différent. Elles n’ont pas encore été ajoutées.',
+    recorded: 'Déjà enregistrée',
+    incoming: 'Importée ({source})',
+    source: {
+      import: 'importation',
+      sync: 'synchro auto',
+      webhook: 'webhook',
+    },
+    merge: 'Fusionner',
+    mergeTitle: 'Garder celle enregistrée, en y ajoutant les détails bancaires et les étiquettes de la ligne importée',
+    keepBoth: 'Garder les deux',
+    keepTitle: 'Ce sont deux transactions : ajouter aussi la ligne importée',
+    discard: 'Écarter',
+    discardTitle: 'Abandonner la ligne importée',
+    resolveFailed: 'Impossible d’enregistrer votre choix : {error}',
+  },
+  importHistory: {
+    title: 'Historique des importations',
+    subtitle: 'Chaque fichier importé, synchronisation de feuille et appel du webhook, avec le sort de ses lignes. Annulez une importation pour supprimer les transactions qu\'elle a ajoutées.',
+    loading: 'Chargement de l\'historique des importations...',
+    loadFailed: 'Impossible de charger l\'historique des importations : {error}',
+    empty: 'Aucune importation pour l\'instant.',
+    source: {
+      csv: 'Fichier CSV',
+      ofx: 'Fichier OFX',
+      qif: 'Fichier QIF',
+      sheet: 'Google Sheet',
+      sync: 'Synchronisation auto',
+      webhook: 'Webhook',
+    },
+    status: {
+      completed: 'Terminée',
+      failed: 'Échouée',
+      rolled_back: 'Annulée',
+    },
+    rows: { one: '{count} ligne lue', other: '{count} lignes lues' },
+    imported: '{count} importée(s)',
+    duplicates: '{count} ignorée(s) comme doublons',
+    held: '{count} en attente de vérification',
+    errors: { one: '{count} ligne illisible', other: '{count} lignes illisibles' },
+    rolledBackOn: 'Annulée le {time}',
+    view: 'Voir',
+    hide: 'Masquer',
+    rollBack: 'Annuler l\'importation',
+    confirmRollback: { one: 'Supprimer la transaction ajoutée par cette importation ? Cette action est irréversible.', other: 'Supprimer les {count} transactions ajoutées par cette importation ? Cette action est irréversible.' },
+    rolledBack: { one: 'Importation annulée : {count} transaction supprimée', other: 'Importation annulée : {count} transactions supprimées' },
+    rollbackFailed: 'Impossible d\'annuler l\'importation : {error}',
+    transactionsFailed: 'Impossible de charger les transactions de l\'importation : {error}',
+    noTransactions: 'Aucune de ses transactions ne subsiste.',
+    inTrash: 'Dans la corbeille',
+    errorsHeading: 'Problèmes',
+  },
+  trash: {
+    title: 'Corbeille',
+    retention: 'Conserver les transactions supprimées',
+    retentionHint: 'Les transactions restées plus longtemps dans la corbeille sont supprimées définitivement une fois par jour.',
+    keep: 'Jusqu\'à ce que je vide la corbeille',
+    days: { one: '{count} jour', other: '{count} jours' },
+    saved: 'Durée de conservation enregistrée',
+    log: 'Purges récentes',
+    noPurges: 'Rien n\'a encore été supprimé de la corbeille.',
+    purgedRetention: 'Purge quotidienne (conservées {days} jours)',
+    purgedEmptied: 'Corbeille vidée',
+  },
+  zeroBased: {
+    modes: {
+      limits: 'Plafonds',
+      zero_based: 'Base zéro',
+    },
+    limitsHint: 'Les plafonds sont fixés indépendamment. Passez en base zéro pour attribuer chaque dollar des revenus du mois.',
+    zeroBasedHint: 'Base zéro : les revenus du mois sont attribués aux catégories et à l\'épargne jusqu\'à ce qu\'il ne reste rien.',
+    modeFailed: 'Échec du changement de mode de budget : {message}',
+    toBeAssigned: 'À attribuer',
+    received: 'Revenus reçus',
+    expected: 'Encore attendus des revenus récurrents',
+    assignedCategories: 'Attribué aux catégories',
+    savings: 'Épargne',
+    allAssigned: 'Chaque dollar est attribué.',
+    leftToAssign: 'Reste {amount} à attribuer.',
+    overAssigned: '{amount} de plus que les revenus du mois ont été attribués.',
+    confirmOver: 'Ce budget attribue {amount} de plus que les revenus du mois. L\'enregistrer quand même ?',
+  },
+  transfers: {
+    chooseBoth: 'Choisissez les deux comptes',
+    chooseDifferent: 'Choisissez deux comptes différents',
+    invalidAmount: 'Veuillez saisir un montant valide',
+    enterReceived: 'Veuillez saisir le montant reçu',
+  },
+};
@@ -5,6 +5,9 @@ import { ChakraProvider, defaultSystem } from '@chakra-ui/react'
 import { ColorModeProvider } from './components/ui/color-mode'
 import { AuthProvider } from './contexts/AuthContext'
 import { AutoSyncProvider } from './contexts/AutoSyncContext'
+import { CurrencyProvider } from './contexts/CurrencyContext'
+import { PreferencesProvider } from './contexts/PreferencesContext'
+import { I18nProvider } from './contexts/I18nContext'
 import App from './App'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
@@ -13,9 +16,15 @@ ReactDOM.createRoot(document.getElementById('root')).render(
       <ColorModeProvider>
         <BrowserRouter>
           <AuthProvider>
-            <AutoSyncProvider>
-              <App />
-            </AutoSyncProvider>
+            <PreferencesProvider>
+              <I18nProvider>
+                <CurrencyProvider>
+                  <AutoSyncProvider>
+                    <App />
+                  </AutoSyncProvider>
+                </CurrencyProvider>
+              </I18nProvider>
+            </PreferencesProvider>
           </AuthProvider>
         </BrowserRouter>
       </ColorModeProvider>
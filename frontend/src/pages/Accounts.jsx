@@ -0,0 +1,485 @@
+import { useState, useEffect } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Button,
+  Flex,
+  Heading,
+  Input,
+  VStack,
+  HStack,
+  Text,
+  Spinner,
+  Badge,
+  Dialog,
+  Portal,
+  CloseButton,
+  SimpleGrid,
+} from '@chakra-ui/react';
+import { useAuth } from '../contexts/AuthContext';
+import { supabase } from '../lib/supabaseClient';
+import PageContainer from '../components/PageContainer';
+import ReconcileDialog from '../components/ReconcileDialog';
+import MissingRatesNotice from '../components/MissingRatesNotice';
+import { CurrencyPicker } from '../components/CurrencySettings';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { useI18n } from '../contexts/I18nContext';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { ACCOUNT_TYPES, formatAccountType, loadAccounts, recomputeBalances } from '../lib/accounts';
+
+const emptyForm = {
+  name: '',
+  type: 'chequing',
+  currency: '',
+  opening_balance: '',
+};
+
+export default function Accounts() {
+  const { user } = useAuth();
+  const colors = useDarkModeColors();
+  const { baseCurrency, toBase, formatCurrency } = useCurrency();
+  const { t } = useI18n();
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [recomputing, setRecomputing] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Data state
+  const [accounts, setAccounts] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
+
+  // Modal state
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [editingAccount, setEditingAccount] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [reconcilingAccount, setReconcilingAccount] = useState(null);
+
+  useEffect(() => {
+    if (user) {
+      loadData();
+    }
+  }, [user]);
+
+  const loadData = async () => {
+    setLoading(true);
+    try {
+      setAccounts(await loadAccounts(supabase, user.id, { includeArchived: true }));
+    } catch (err) {
+      setError(t('accounts.loadFailed', { error: err.message }));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const name = formData.name.trim();
+      if (!name) throw new Error(t('accounts.enterName'));
+
+      if (editingAccount) {
+        // Balance is kept by the transaction triggers, so only the label can change here.
+        // A new currency relabels the account's transactions; amounts aren't converted.
+        const { error } = await supabase
+          .from('accounts')
+          .update({ name, type: formData.type, currency: formData.currency })
+          .eq('id', editingAccount.id);
+        if (error) throw error;
+        showSuccess(t('accounts.updated'));
+      } else {
+        const openingBalance = formData.opening_balance === '' ? 0 : parseFloat(formData.opening_balance);
+        if (isNaN(openingBalance)) throw new Error(t('accounts.invalidOpeningBalance'));
+
+        const { error } = await supabase
+          .from('accounts')
+          .insert({
+            user_id: user.id,
+            name,
+            type: formData.type,
+            currency: formData.currency,
+            balance: openingBalance,
+            opening_balance: openingBalance,
+          });
+        if (error) throw error;
+        showSuccess(t('accounts.created'));
+      }
+
+      await loadData();
+      closeModal();
+    } catch (err) {
+      setError(t('accounts.saveFailed', { error: err.message }));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Repair: recompute every balance from the opening balances and report what moved
+  const handleRecompute = async () => {
+    setRecomputing(true);
+    setError('');
+    try {
+      const results = await recomputeBalances(supabase);
+      const corrected = results.filter(r => Number(r.old_balance) !== Number(r.new_balance));
+      const currencyOf = (id) => accounts.find(a => a.id === id)?.currency;
+      showSuccess(corrected.length === 0
+        ? t('accounts.recomputedNone')
+        : t('accounts.recomputed', {
+          changes: corrected
+            .map(r => `${r.account_name}: ${formatCurrency(r.old_balance, currencyOf(r.account_id))} → ${formatCurrency(r.new_balance, currencyOf(r.account_id))}`)
+            .join(', '),
+        }));
+      await loadData();
+    } catch (err) {
+      setError(t('accounts.recomputeFailed', { error: err.message }));
+    } finally {
+      setRecomputing(false);
+    }
+  };
+
+  const handleReconciled = async (message) => {
+    setReconcilingAccount(null);
+    showSuccess(message);
+    await loadData();
+  };
+
+  // Archiving keeps the account's transactions and balance; it just stops being offered
+  // in pickers. There is deliberately no delete — transactions cascade with their account.
+  const handleToggleArchived = async (account) => {
+    const archiving = !account.archived_at;
+    if (archiving && activeAccounts.length === 1) {
+      setError(t('accounts.keepOneActive'));
+      return;
+    }
+
+    try {
+      const { error } = await supabase
+        .from('accounts')
+        .update({ archived_at: archiving ? new Date().toISOString() : null })
+        .eq('id', account.id);
+      if (error) throw error;
+      showSuccess(t(archiving ? 'accounts.archivedMessage' : 'accounts.restoredMessage', { name: account.name }));
+      await loadData();
+    } catch (err) {
+      setError(t('accounts.updateFailed', { error: err.message }));
+    }
+  };
+
+  // Modal handlers
+  const openCreateModal = () => {
+    setEditingAccount(null);
+    setFormData({ ...emptyForm, currency: baseCurrency });
+    setIsModalOpen(true);
+  };
+
+  const openEditModal = (account) => {
+    setEditingAccount(account);
+    setFormData({
+      name: account.name,
+      type: account.type || 'chequing',
+      currency: account.currency || baseCurrency,
+      opening_balance: '',
+    });
+    setIsModalOpen(true);
+  };
+
+  const closeModal = () => {
+    setIsModalOpen(false);
+    setEditingAccount(null);
+  };
+
+  const activeAccounts = accounts.filter(a => !a.archived_at);
+  const visibleAccounts = showArchived ? accounts : activeAccounts;
+  const archivedCount = accounts.length - activeAccounts.length;
+
+  // Credit cards carry a negative balance, so the plain sum is the net position. Accounts
+  // in other currencies count at today's rate.
+  const netBalance = activeAccounts.reduce((sum, a) => sum + toBase(a.balance, a.currency), 0);
+
+  if (loading) {
+    return (
+      <PageContainer>
+        <Flex w="100%" minH="60vh" align="center" justify="center">
+          <VStack gap={4}>
+            <Spinner size="xl" />
+            <Text>{t('accounts.loading')}</Text>
+          </VStack>
+        </Flex>
+      </PageContainer>
+    );
+  }
+
+  return (
+    <PageContainer>
+      <VStack gap={{ base: 4, md: 6 }} align="stretch" w="100%">
+        {/* Header */}
+        <Flex
+          justify="space-between"
+          align={{ base: 'stretch', sm: 'center' }}
+          direction={{ base: 'column', sm: 'row' }}
+          gap={3}
+        >
+          <Box>
+            <Heading size={{ base: 'lg', md: 'xl' }} color={colors.textPrimary}>{t('accounts.title')}</Heading>
+            <Text color={colors.textSecondary} mt={1} fontSize={{ base: 'sm', md: 'md' }}>
+              {t('accounts.subtitle')}
+            </Text>
+          </Box>
+          <Button
+            onClick={openCreateModal}
+            bg="linear-gradient(135deg, #18181B 0%, #2563EB 100%)"
+            color="white"
+            px={{ base: 4, md: 6 }}
+            fontWeight="600"
+            borderRadius="12px"
+            size={{ base: 'md', md: 'lg' }}
+            w={{ base: '100%', sm: 'auto' }}
+            _hover={{ transform: 'translateY(-1px)', boxShadow: '0 4px 12px rgba(37, 99, 235, 0.3)' }}
+          >
+            {t('accounts.addAccount')}
+          </Button>
+        </Flex>
+
+        {/* Success/Error Messages */}
+        {success && (
+          <Box p={3} bg={colors.successBg} borderColor={colors.successBorder} borderWidth="1px" borderRadius="md">
+            <Text color={colors.success} fontWeight="medium">{success}</Text>
+          </Box>
+        )}
+        {error && (
+          <Box p={3} bg={colors.dangerBg} borderColor={colors.dangerBorder} borderWidth="1px" borderRadius="md">
+            <Text color={colors.danger} fontWeight="medium">{error}</Text>
+          </Box>
+        )}
+
+        {/* Net balance */}
+        <Box p={{ base: 4, md: 6 }} borderRadius="16px" bg={colors.cardBg} borderWidth="1px" borderColor={colors.borderColor}>
+          <Text fontSize="sm" color={colors.textMuted} fontWeight="600">
+            {t('accounts.netBalanceSummary', { count: activeAccounts.length })}
+          </Text>
+          <Text fontSize={{ base: '2xl', md: '3xl' }} fontWeight="700" color={netBalance < 0 ? colors.danger : colors.textPrimary}>
+            {formatCurrency(netBalance)}
+          </Text>
+        </Box>
+
+        <MissingRatesNotice />
+
+        {/* Archived toggle and balance repair */}
+        {accounts.length > 0 && (
+          <HStack justify="flex-end" gap={2}>
+            <Button
+              size="sm"
+              variant="ghost"
+              color={colors.textSecondary}
+              onClick={handleRecompute}
+              loading={recomputing}
+              loadingText={t('accounts.recomputing')}
+              title={t('accounts.recomputeHint')}
+            >
+              {t('accounts.recompute')}
+            </Button>
+            {archivedCount > 0 && (
+              <Button size="sm" variant="ghost" color={colors.textSecondary} onClick={() => setShowArchived(!showArchived)}>
+                {showArchived ? t('accounts.hideArchived') : t('accounts.showArchived', { count: archivedCount })}
+              </Button>
+            )}
+          </HStack>
+        )}
+
+        {/* Account cards */}
+        {visibleAccounts.length === 0 ? (
+          <Box p={8} textAlign="center" borderRadius="16px" bg={colors.cardBg} borderWidth="1px" borderColor={colors.borderColor}>
+            <Text color={colors.textMuted}>
+              {t('accounts.empty')}
+            </Text>
+          </Box>
+        ) : (
+          <SimpleGrid columns={{ base: 1, md: 2, lg: 3 }} gap={4}>
+            {visibleAccounts.map(account => (
+              <Box
+                key={account.id}
+                p={5}
+                borderRadius="16px"
+                bg={colors.cardBg}
+                borderWidth="1px"
+                borderColor={colors.borderColor}
+                opacity={account.archived_at ? 0.6 : 1}
+              >
+                <Flex justify="space-between" align="flex-start" mb={3}>
+                  <HStack gap={3} minW={0}>
+                    <Text fontSize="2xl">{ACCOUNT_TYPES[account.type]?.icon || '🏦'}</Text>
+                    <Box minW={0}>
+                      <Text fontWeight="700" color={colors.textPrimary} noOfLines={1}>{account.name}</Text>
+                      <Text fontSize="xs" color={colors.textMuted}>{formatAccountType(account.type)}</Text>
+                    </Box>
+                  </HStack>
+                  {account.archived_at && <Badge colorPalette="gray">{t('accounts.archived')}</Badge>}
+                </Flex>
+
+                <Box mb={4}>
+                  <Text fontSize="xl" fontWeight="700" color={Number(account.balance) < 0 ? colors.danger : colors.textPrimary}>
+                    {formatCurrency(account.balance, account.currency)}
+                  </Text>
+                  {account.currency !== baseCurrency && (
+                    <Text fontSize="xs" color={colors.textMuted}>
+                      {account.currency} · ≈ {formatCurrency(toBase(account.balance, account.currency))}
+                    </Text>
+                  )}
+                </Box>
+
+                <HStack gap={2} wrap="wrap">
+                  <Button as={RouterLink} to={`/transactions?account=${account.id}`} size="xs" variant="outline">
+                    {t('nav.transactions')}
+                  </Button>
+                  <Button size="xs" variant="outline" onClick={() => openEditModal(account)}>
+                    {t('common.edit')}
+                  </Button>
+                  {!account.archived_at && (
+                    <Button size="xs" variant="outline" onClick={() => setReconcilingAccount(account)}>
+                      {t('accounts.reconcile')}
+                    </Button>
+                  )}
+                  <Button size="xs" variant="ghost" color={colors.textSecondary} onClick={() => handleToggleArchived(account)}>
+                    {account.archived_at ? t('accounts.restore') : t('accounts.archive')}
+                  </Button>
+                </HStack>
+              </Box>
+            ))}
+          </SimpleGrid>
+        )}
+      </VStack>
+
+      {/* Add/Edit Modal */}
+      <Dialog.Root open={isModalOpen} onOpenChange={(e) => !e.open && closeModal()}>
+        <Portal>
+          <Dialog.Backdrop bg="blackAlpha.600" />
+          <Dialog.Positioner>
+            <Dialog.Content
+              bg={colors.cardBg}
+              borderRadius="20px"
+              p={0}
+              maxW="460px"
+              w="90vw"
+              overflow="hidden"
+            >
+              <Box bg="linear-gradient(135deg, #18181B 0%, #2563EB 100%)" p={5}>
+                <Flex justify="space-between" align="center">
+                  <Dialog.Title fontSize="lg" fontWeight="700" color="white">
+                    {editingAccount ? t('accounts.editAccount') : t('accounts.addAccountTitle')}
+                  </Dialog.Title>
+                  <Dialog.CloseTrigger asChild>
+                    <CloseButton color="white" />
+                  </Dialog.CloseTrigger>
+                </Flex>
+              </Box>
+
+              <Box p={6}>
+                <form onSubmit={handleSubmit}>
+                  <VStack gap={4} align="stretch">
+                    {/* Type */}
+                    <Box>
+                      <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>{t('common.type')}</Text>
+                      <HStack gap={2}>
+                        {Object.entries(ACCOUNT_TYPES).map(([key, config]) => (
+                          <Button
+                            key={key}
+                            flex={1}
+                            size="sm"
+                            type="button"
+                            variant={formData.type === key ? 'solid' : 'outline'}
+                            colorPalette="blue"
+                            onClick={() => setFormData({ ...formData, type: key })}
+                          >
+                            {config.icon} {t(config.label)}
+                          </Button>
+                        ))}
+                      </HStack>
+                    </Box>
+
+                    {/* Name */}
+                    <Box>
+                      <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>{t('accounts.nameRequired')}</Text>
+                      <Input
+                        placeholder={t('accounts.namePlaceholder')}
+                        value={formData.name}
+                        onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                        required
+                        bg={colors.cardBg}
+                        borderColor={colors.borderColor}
+                        color={colors.textPrimary}
+                      />
+                    </Box>
+
+                    {/* Currency */}
+                    <Box>
+                      <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>{t('accounts.currency')}</Text>
+                      <CurrencyPicker
+                        value={formData.currency}
+                        onChange={(currency) => setFormData({ ...formData, currency })}
+                      />
+                      {editingAccount && formData.currency !== editingAccount.currency && (
+                        <Text fontSize="xs" color={colors.textMuted} mt={1.5}>
+                          {t('accounts.currencyChangeHint', { currency: formData.currency })}
+                        </Text>
+                      )}
+                    </Box>
+
+                    {/* Opening balance — only on create; afterwards transactions move it */}
+                    {!editingAccount && (
+                      <Box>
+                        <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>{t('accounts.openingBalance')}</Text>
+                        <Input
+                          type="number"
+                          step="0.01"
+                          placeholder="0.00"
+                          value={formData.opening_balance}
+                          onChange={(e) => setFormData({ ...formData, opening_balance: e.target.value })}
+                          bg={colors.cardBg}
+                          borderColor={colors.borderColor}
+                          color={colors.textPrimary}
+                        />
+                        <Text fontSize="xs" color={colors.textMuted} mt={1.5}>
+                          {t('accounts.openingBalanceHint')}
+                        </Text>
+                      </Box>
+                    )}
+
+                    <Button
+                      type="submit"
+                      loading={saving}
+                      loadingText={editingAccount ? 'Updating...' : 'Creating...'}
+                      bg="linear-gradient(135deg, #18181B 0%, #2563EB 100%)"
+                      color="white"
+                      w="100%"
+                      size="lg"
+                      fontWeight="600"
+                      borderRadius="12px"
+                      _hover={{ transform: 'translateY(-1px)', boxShadow: '0 4px 12px rgba(0,0,0,0.2)' }}
+                    >
+                      {editingAccount ? t('accounts.updateAccount') : t('accounts.addAccountTitle')}
+                    </Button>
+                  </VStack>
+                </form>
+              </Box>
+            </Dialog.Content>
+          </Dialog.Positioner>
+        </Portal>
+      </Dialog.Root>
+
+      <ReconcileDialog
+        account={reconcilingAccount}
+        userId={user?.id}
+        onClose={() => setReconcilingAccount(null)}
+        onFinished={handleReconciled}
+      />
+    </PageContainer>
+  );
+}
@@ -13,12 +13,25 @@ import {
   Badge,
 } from '@chakra-ui/react';
 import { useAuth } from '../contexts/AuthContext';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
 import { supabase } from '../lib/supabaseClient';
 import { notifyNewTransaction, checkBudgetAndNotify } from '../lib/notifications';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { loadAccounts, getOrCreateAccountId } from '../lib/accounts';
+import { createTransfer } from '../lib/transfers';
+import { loadRefundablePurchases, matchRefund, categoryTypeOf } from '../lib/refunds';
+import { loadTags } from '../lib/tags';
+import AccountSelect from '../components/AccountSelect';
+import { CurrencyPicker } from '../components/CurrencySettings';
+import TagInput from '../components/TagInput';
 
 export default function AddTransaction() {
   const { user } = useAuth();
+  const { formatCurrency, baseCurrency } = useCurrency();
+  const { preferences, formatDate } = usePreferences();
+  const { t } = useI18n();
   const navigate = useNavigate();
   const colors = useDarkModeColors();
 
@@ -27,10 +40,19 @@ export default function AddTransaction() {
   const [amount, setAmount] = useState('');
   const [description, setDescription] = useState('');
   const [categoryId, setCategoryId] = useState('');
+  const [accountId, setAccountId] = useState('');
+  const [toAccountId, setToAccountId] = useState(''); // Transfers only
+  const [receivedAmount, setReceivedAmount] = useState(''); // Transfers between currencies only
+  const [currency, setCurrency] = useState(''); // Paid in; '' = the account's
+  const [refundOf, setRefundOf] = useState(null); // Refunds only: the purchase being refunded
   const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+  const [tags, setTags] = useState([]);
 
   // Data state
   const [categories, setCategories] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [knownTags, setKnownTags] = useState([]);
+  const [purchases, setPurchases] = useState([]); // Expenses a refund could be for
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState('');
@@ -43,9 +65,20 @@ export default function AddTransaction() {
   useEffect(() => {
     if (user) {
       loadCategories();
+      loadTags(supabase, user.id)
+        .then(setKnownTags)
+        .catch(err => console.error('Error loading tags:', err));
     }
   }, [user]);
 
+  // A refund's purchase is looked for before its date
+  useEffect(() => {
+    if (!user || type !== 'refund' || !date) return;
+    loadRefundablePurchases(supabase, user.id, date, date)
+      .then(setPurchases)
+      .catch(err => console.error('Error loading purchases:', err));
+  }, [user, type, date]);
+
   // Handle click outside to close dropdown
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -60,23 +93,53 @@ export default function AddTransaction() {
   const loadCategories = async () => {
     setLoading(true);
     try {
-      const { data, error: fetchError } = await supabase
-        .from('categories')
-        .select('id, name, type')
-        .eq('user_id', user.id)
-        .order('name');
-
-      if (fetchError) throw fetchError;
-      setCategories(data || []);
+      const [categoriesResult, accountList] = await Promise.all([
+        supabase
+          .from('categories')
+          .select('id, name, type')
+          .eq('user_id', user.id)
+          .order('name'),
+        loadAccounts(supabase, user.id),
+      ]);
+
+      if (categoriesResult.error) throw categoriesResult.error;
+      setCategories(categoriesResult.data || []);
+      setAccounts(accountList);
+      // Preselect the default account; users with a single account never see a choice to make
+      if (accountList.length) setAccountId(accountList[0].id);
     } catch (err) {
-      setError('Failed to load categories: ' + err.message);
+      setError(t('addTransaction.loadFailed', { error: err.message }));
     } finally {
       setLoading(false);
     }
   };
 
-  // Filter categories by current type
-  const filteredCategories = categories.filter(c => c.type === type);
+  // Filter categories by current type (a refund goes back to an expense category)
+  const filteredCategories = categories.filter(c => c.type === categoryTypeOf(type));
+
+  // Purchases matching what's typed so far, plus the one already picked
+  const selectedPurchase = purchases.find(p => p.id === refundOf);
+  const refundMatches = type === 'refund'
+    ? matchRefund({ description, amount: parseFloat(amount), date }, purchases)
+    : [];
+  const purchaseChoices = selectedPurchase && !refundMatches.some(p => p.id === refundOf)
+    ? [selectedPurchase, ...refundMatches]
+    : refundMatches;
+
+  // Picking the purchase also puts the refund back in its category
+  const handlePickPurchase = (purchase) => {
+    if (purchase.id === refundOf) {
+      setRefundOf(null);
+      return;
+    }
+    setRefundOf(purchase.id);
+    if (purchase.category_id) setCategoryId(purchase.category_id);
+  };
+
+  // Between accounts in different currencies, the amount received is entered separately
+  const fromAccount = accounts.find(a => a.id === accountId);
+  const toAccount = accounts.find(a => a.id === toAccountId);
+  const crossCurrency = !!fromAccount && !!toAccount && fromAccount.currency !== toAccount.currency;
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -84,61 +147,72 @@ export default function AddTransaction() {
     setSuccess('');
 
     if (!amount || parseFloat(amount) <= 0) {
-      setError('Please enter a valid amount');
+      setError(t('addTransaction.invalidAmount'));
       return;
     }
 
-    if (!categoryId) {
-      setError('Please select a category');
+    if (type === 'transfer' && (!toAccountId || toAccountId === accountId)) {
+      setError(t('addTransaction.twoAccounts'));
+      return;
+    }
+
+    if (type === 'transfer' && crossCurrency && !(parseFloat(receivedAmount) > 0)) {
+      setError(t('addTransaction.receivedAmount', { currency: toAccount.currency }));
+      return;
+    }
+
+    if (type !== 'transfer' && !categoryId) {
+      setError(t('addTransaction.selectCategory'));
       return;
     }
 
     if (!date) {
-      setError('Please select a date');
+      setError(t('addTransaction.selectDate'));
       return;
     }
 
     setSubmitting(true);
 
     try {
-      // Get or create default account
-      let { data: accounts, error: accountError } = await supabase
-        .from('accounts')
-        .select('id')
-        .eq('user_id', user.id)
-        .limit(1);
-
-      if (accountError) throw accountError;
-
-      let accountId;
-      if (!accounts || accounts.length === 0) {
-        const { data: newAccount, error: createError } = await supabase
-          .from('accounts')
-          .insert({
-            user_id: user.id,
-            name: 'Main Account',
-            balance: 0,
-          })
-          .select()
-          .single();
-
-        if (createError) throw createError;
-        accountId = newAccount.id;
-      } else {
-        accountId = accounts[0].id;
+      // A transfer is a linked pair of rows, not income or expense — no category, no
+      // budget check, no "new expense" notification.
+      if (type === 'transfer') {
+        await createTransfer(supabase, user.id, {
+          fromAccountId: accountId,
+          toAccountId,
+          amount: parseFloat(amount),
+          receivedAmount: crossCurrency ? parseFloat(receivedAmount) : undefined,
+          date,
+          description,
+        });
+
+        setSuccess(t('addTransaction.transferRecorded'));
+        setAmount('');
+        setReceivedAmount('');
+        setDescription('');
+        setTimeout(() => {
+          navigate('/transactions');
+        }, 1500);
+        return;
       }
 
+      // Chosen account, or the default one for users who have none yet
+      const targetAccountId = await getOrCreateAccountId(supabase, user.id, accountId || null);
+
       // Insert transaction
       const { error: insertError } = await supabase
         .from('transactions')
         .insert({
           user_id: user.id,
-          account_id: accountId,
+          account_id: targetAccountId,
           category_id: categoryId,
           type: type,
           amount: parseFloat(amount),
-          description: description || (type === 'income' ? 'Income' : 'Expense'),
+          ...(currency && { currency }),
+          description: description || (type === 'income' ? t('common.income') : type === 'refund' ? t('common.refund') : t('common.expense')),
           date: date,
+          tags,
+          refund_of: type === 'refund' ? refundOf : null,
         });
 
       if (insertError) throw insertError;
@@ -149,8 +223,9 @@ export default function AddTransaction() {
 
       // Send notification for new transaction
       notifyNewTransaction(
-        { amount: parseFloat(amount), type, description },
-        categoryName
+        { amount: parseFloat(amount), currency: currency || accounts.find(a => a.id === targetAccountId)?.currency, type, description },
+        categoryName,
+        preferences.numberLocale
       );
 
       // Check budget and notify if approaching limit (only for expenses)
@@ -158,19 +233,21 @@ export default function AddTransaction() {
         await checkBudgetAndNotify(supabase, user.id, categoryId, parseFloat(amount));
       }
 
-      setSuccess('Transaction added successfully!');
+      setSuccess(t('addTransaction.added'));
 
       // Reset form
       setAmount('');
       setDescription('');
       setCategoryId('');
+      setRefundOf(null);
+      setTags([]);
 
       // Navigate to transactions after short delay
       setTimeout(() => {
         navigate('/transactions');
       }, 1500);
     } catch (err) {
-      setError('Failed to add transaction: ' + err.message);
+      setError(t('addTransaction.addFailed', { error: err.message }));
     } finally {
       setSubmitting(false);
     }
@@ -181,7 +258,7 @@ export default function AddTransaction() {
       <Flex w="100%" minH="calc(100vh - 140px)" align="center" justify="center">
         <VStack gap={4}>
           <Spinner size="xl" />
-          <Text>Loading...</Text>
+          <Text>{t('common.loading')}</Text>
         </VStack>
       </Flex>
     );
@@ -193,9 +270,9 @@ export default function AddTransaction() {
         <VStack gap={6} align="stretch" w="100%">
           <Flex justify="space-between" align="flex-start">
             <Box>
-              <Heading size="xl" color={colors.textPrimary}>Add Transaction</Heading>
+              <Heading size="xl" color={colors.textPrimary}>{t('addTransaction.title')}</Heading>
               <Text color={colors.textSecondary} mt={1}>
-                Record a new income or expense
+                {t('addTransaction.subtitle')}
               </Text>
             </Box>
             <Button
@@ -241,7 +318,7 @@ export default function AddTransaction() {
           <VStack gap={5} align="stretch">
             {/* Type Toggle */}
             <Box>
-              <Text fontWeight="medium" mb={2} color={colors.textPrimary}>Transaction Type</Text>
+              <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('addTransaction.transactionType')}</Text>
               <HStack gap={2}>
                 <Button
                   flex={1}
@@ -253,7 +330,7 @@ export default function AddTransaction() {
                     setCategoryId('');
                   }}
                 >
-                  Expense
+                  {t('common.expense')}
                 </Button>
                 <Button
                   flex={1}
@@ -265,14 +342,43 @@ export default function AddTransaction() {
                     setCategoryId('');
                   }}
                 >
-                  Income
+                  {t('common.income')}
+                </Button>
+                <Button
+                  flex={1}
+                  size="lg"
+                  variant={type === 'refund' ? 'solid' : 'outline'}
+                  colorScheme="purple"
+                  onClick={() => {
+                    setType('refund');
+                    setCategoryId('');
+                    setRefundOf(null);
+                  }}
+                >
+                  {t('common.refund')}
                 </Button>
+                {accounts.length > 1 && (
+                  <Button
+                    flex={1}
+                    size="lg"
+                    variant={type === 'transfer' ? 'solid' : 'outline'}
+                    colorScheme="blue"
+                    onClick={() => {
+                      setType('transfer');
+                      setCategoryId('');
+                    }}
+                  >
+                    {t('common.transfer')}
+                  </Button>
+                )}
               </HStack>
             </Box>
 
             {/* Amount */}
             <Box>
-              <Text fontWeight="medium" mb={2} color={colors.textPrimary}>Amount</Text>
+              <Text fontWeight="medium" mb={2} color={colors.textPrimary}>
+                {type === 'transfer' && crossCurrency ? t('addTransaction.amountSent', { currency: fromAccount.currency }) : t('common.amount')}
+              </Text>
               <Input
                 type="number"
                 step="0.01"
@@ -288,111 +394,181 @@ export default function AddTransaction() {
               />
             </Box>
 
+            {/* From / To accounts — transfers only */}
+            {type === 'transfer' && (
+              <HStack gap={3} align="flex-start">
+                <Box flex={1}>
+                  <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('addTransaction.from')}</Text>
+                  <AccountSelect
+                    value={accountId}
+                    onChange={setAccountId}
+                    accounts={accounts}
+                  />
+                </Box>
+                <Box flex={1}>
+                  <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('addTransaction.to')}</Text>
+                  <AccountSelect
+                    value={toAccountId}
+                    onChange={setToAccountId}
+                    accounts={accounts.filter(a => a.id !== accountId)}
+                    placeholder={t('addTransaction.selectAccount')}
+                  />
+                </Box>
+              </HStack>
+            )}
+
+            {/* Amount received — transfers between accounts in different currencies */}
+            {type === 'transfer' && crossCurrency && (
+              <Box>
+                <Text fontWeight="medium" mb={2} color={colors.textPrimary}>
+                  {t('addTransaction.amountReceivedIn', { currency: toAccount.currency })}
+                </Text>
+                <Input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  placeholder="0.00"
+                  value={receivedAmount}
+                  onChange={(e) => setReceivedAmount(e.target.value)}
+                  bg={colors.cardBg}
+                  borderColor={colors.borderColor}
+                  color={colors.textPrimary}
+                  aria-label={t('addTransaction.amountReceived')}
+                />
+              </Box>
+            )}
+
             {/* Category */}
-            <Box>
-              <Text fontWeight="medium" mb={2} color={colors.textPrimary}>Category</Text>
-              {filteredCategories.length > 0 ? (
-                <Box ref={categoryDropdownRef} position="relative" w="100%">
-                  {/* Dropdown Trigger */}
-                  <Box
-                    onClick={() => setCategoryDropdownOpen(!categoryDropdownOpen)}
-                    cursor="pointer"
-                    p={3}
-                    h="48px"
-                    display="flex"
-                    alignItems="center"
-                    justifyContent="space-between"
-                    borderRadius="8px"
-                    borderWidth="1px"
-                    borderColor={categoryDropdownOpen ? 'blue.500' : colors.borderColor}
-                    bg={colors.cardBg}
-                    _hover={{ borderColor: 'blue.400' }}
-                    transition="all 0.2s"
-                  >
-                    <Text
-                      color={categoryId ? colors.textPrimary : colors.textMuted}
-                      fontSize="md"
-                      noOfLines={1}
-                    >
-                      {categoryId ? filteredCategories.find(c => c.id === categoryId)?.name : 'Select a category'}
-                    </Text>
+            {type !== 'transfer' && (
+              <Box>
+                <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('common.category')}</Text>
+                {filteredCategories.length > 0 ? (
+                  <Box ref={categoryDropdownRef} position="relative" w="100%">
+                    {/* Dropdown Trigger */}
                     <Box
-                      as="span"
-                      transform={categoryDropdownOpen ? 'rotate(180deg)' : 'rotate(0deg)'}
-                      transition="transform 0.2s"
-                      color={colors.textSecondary}
+                      onClick={() => setCategoryDropdownOpen(!categoryDropdownOpen)}
+                      cursor="pointer"
+                      p={3}
+                      h="48px"
+                      display="flex"
+                      alignItems="center"
+                      justifyContent="space-between"
+                      borderRadius="8px"
+                      borderWidth="1px"
+                      borderColor={categoryDropdownOpen ? 'blue.500' : colors.borderColor}
+                      bg={colors.cardBg}
+                      _hover={{ borderColor: 'blue.400' }}
+                      transition="all 0.2s"
                     >
-                      ▼
+                      <Text
+                        color={categoryId ? colors.textPrimary : colors.textMuted}
+                        fontSize="md"
+                        noOfLines={1}
+                      >
+                        {categoryId ? filteredCategories.find(c => c.id === categoryId)?.name : t('addTransaction.selectCategoryPlaceholder')}
+                      </Text>
+                      <Box
+                        as="span"
+                        transform={categoryDropdownOpen ? 'rotate(180deg)' : 'rotate(0deg)'}
+                        transition="transform 0.2s"
+                        color={colors.textSecondary}
+                      >
+                        ▼
+                      </Box>
                     </Box>
-                  </Box>
 
-                  {/* Dropdown List */}
-                  {categoryDropdownOpen && (
-                    <Box
-                      position="absolute"
-                      top="100%"
-                      left={0}
-                      right={0}
-                      zIndex={1000}
-                      mt={1}
-                      bg={colors.cardBg}
-                      borderWidth="1px"
-                      borderColor={colors.borderColor}
-                      borderRadius="12px"
-                      boxShadow="lg"
-                      maxH={{ base: '280px', md: '320px' }}
-                      overflowY="auto"
-                    >
-                      <VStack gap={0} align="stretch" p={1}>
-                        {filteredCategories.map((cat) => {
-                          const isSelected = cat.id === categoryId;
-                          return (
-                            <HStack
-                              key={cat.id}
-                              px={3}
-                              py={2.5}
-                              cursor="pointer"
-                              bg={isSelected ? colors.rowStripedBg : 'transparent'}
-                              _hover={{ bg: colors.rowStripedBg }}
-                              borderRadius="8px"
-                              onClick={() => {
-                                setCategoryId(cat.id);
-                                setCategoryDropdownOpen(false);
-                              }}
-                              justify="space-between"
-                              transition="background 0.1s"
-                            >
-                              <Text
-                                color={colors.textPrimary}
-                                fontSize="sm"
-                                fontWeight={isSelected ? '600' : '400'}
+                    {/* Dropdown List */}
+                    {categoryDropdownOpen && (
+                      <Box
+                        position="absolute"
+                        top="100%"
+                        left={0}
+                        right={0}
+                        zIndex={1000}
+                        mt={1}
+                        bg={colors.cardBg}
+                        borderWidth="1px"
+                        borderColor={colors.borderColor}
+                        borderRadius="12px"
+                        boxShadow="lg"
+                        maxH={{ base: '280px', md: '320px' }}
+                        overflowY="auto"
+                      >
+                        <VStack gap={0} align="stretch" p={1}>
+                          {filteredCategories.map((cat) => {
+                            const isSelected = cat.id === categoryId;
+                            return (
+                              <HStack
+                                key={cat.id}
+                                px={3}
+                                py={2.5}
+                                cursor="pointer"
+                                bg={isSelected ? colors.rowStripedBg : 'transparent'}
+                                _hover={{ bg: colors.rowStripedBg }}
+                                borderRadius="8px"
+                                onClick={() => {
+                                  setCategoryId(cat.id);
+                                  setCategoryDropdownOpen(false);
+                                }}
+                                justify="space-between"
+                                transition="background 0.1s"
                               >
-                                {cat.name}
-                              </Text>
-                              {isSelected && (
-                                <Text color="blue.500" fontSize="sm">✓</Text>
-                              )}
-                            </HStack>
-                          );
-                        })}
-                      </VStack>
-                    </Box>
-                  )}
-                </Box>
-              ) : (
-                <Box p={4} bg={colors.warningBg} borderRadius="md" borderColor={colors.warningBorder} borderWidth="1px">
-                  <Text color={colors.warning}>
-                    No {type} categories found. Please add {type} categories in the Categories page first.
-                  </Text>
-                </Box>
-              )}
-            </Box>
+                                <Text
+                                  color={colors.textPrimary}
+                                  fontSize="sm"
+                                  fontWeight={isSelected ? '600' : '400'}
+                                >
+                                  {cat.name}
+                                </Text>
+                                {isSelected && (
+                                  <Text color="blue.500" fontSize="sm">✓</Text>
+                                )}
+                              </HStack>
+                            );
+                          })}
+                        </VStack>
+                      </Box>
+                    )}
+                  </Box>
+                ) : (
+                  <Box p={4} bg={colors.warningBg} borderRadius="md" borderColor={colors.warningBorder} borderWidth="1px">
+                    <Text color={colors.warning}>
+                      {type === 'income' ? t('addTransaction.noIncomeCategories') : t('addTransaction.noExpenseCategories')}
+                    </Text>
+                  </Box>
+                )}
+              </Box>
+            )}
+
+            {/* Account */}
+            {type !== 'transfer' && accounts.length > 1 && (
+              <Box>
+                <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('common.account')}</Text>
+                <AccountSelect
+                  value={accountId}
+                  onChange={setAccountId}
+                  accounts={accounts}
+                />
+              </Box>
+            )}
+
+            {/* Currency — the account's unless paid in another */}
+            {type !== 'transfer' && (
+              <Box>
+                <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('addTransaction.currency')}</Text>
+                <CurrencyPicker
+                  value={currency || fromAccount?.currency || baseCurrency}
+                  onChange={(code) => setCurrency(code === fromAccount?.currency ? '' : code)}
+                />
+                <Text fontSize="xs" color={colors.textMuted} mt={2}>{t('addTransaction.currencyHint')}</Text>
+              </Box>
+            )}
 
             {/* Description */}
             <Box>
-              <Text fontWeight="medium" mb={2} color={colors.textPrimary}>Description (optional)</Text>
+              <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('addTransaction.descriptionOptional')}</Text>
               <Input
-                placeholder={type === 'income' ? 'e.g., Monthly salary' : 'e.g., Grocery shopping'}
+                placeholder={type === 'income' ? 'e.g., Monthly salary' : type === 'transfer' ? 'e.g., Visa payment' : type === 'refund' ? 'e.g., Amazon return' : 'e.g., Grocery shopping'}
                 value={description}
                 onChange={(e) => setDescription(e.target.value)}
                 size="lg"
@@ -402,9 +578,50 @@ export default function AddTransaction() {
               />
             </Box>
 
+            {/* Original purchase — refunds only */}
+            {type === 'refund' && (
+              <Box>
+                <Text fontWeight="medium" mb={1} color={colors.textPrimary}>{t('addTransaction.refundOf')}</Text>
+                <Text fontSize="sm" color={colors.textMuted} mb={2}>
+                  {purchaseChoices.length ? t('addTransaction.refundOfHint') : t('addTransaction.refundNoMatch')}
+                </Text>
+                <VStack align="stretch" gap={2}>
+                  {purchaseChoices.map(purchase => (
+                    <Button
+                      key={purchase.id}
+                      type="button"
+                      variant={purchase.id === refundOf ? 'solid' : 'outline'}
+                      colorPalette="purple"
+                      justifyContent="space-between"
+                      onClick={() => handlePickPurchase(purchase)}
+                    >
+                      <Text as="span" noOfLines={1}>
+                        {purchase.description} · {formatDate(purchase.date)}
+                        {purchase.categoryName && ` · ${purchase.categoryName}`}
+                      </Text>
+                      <Text as="span">{formatCurrency(purchase.amount, purchase.currency)}</Text>
+                    </Button>
+                  ))}
+                </VStack>
+              </Box>
+            )}
+
+            {/* Tags — income, expenses and refunds; transfers never reach reports */}
+            {type !== 'transfer' && (
+              <Box>
+                <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('addTransaction.tagsOptional')}</Text>
+                <TagInput
+                  value={tags}
+                  onChange={setTags}
+                  suggestions={knownTags}
+                  placeholder={t('addTransaction.tagsPlaceholder')}
+                />
+              </Box>
+            )}
+
             {/* Date */}
             <Box>
-              <Text fontWeight="medium" mb={2} color={colors.textPrimary}>Date</Text>
+              <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('common.date')}</Text>
               <Input
                 type="date"
                 value={date}
@@ -419,13 +636,13 @@ export default function AddTransaction() {
             {/* Submit Button */}
             <Button
               type="submit"
-              colorScheme={type === 'income' ? 'green' : 'red'}
+              colorScheme={type === 'income' ? 'green' : type === 'transfer' ? 'blue' : type === 'refund' ? 'purple' : 'red'}
               size="lg"
               isLoading={submitting}
-              loadingText="Adding..."
-              disabled={!amount || !categoryId || submitting}
+              loadingText={t('addTransaction.adding')}
+              disabled={!amount || (type === 'transfer' ? !toAccountId : !categoryId) || submitting}
             >
-              Add {type === 'income' ? 'Income' : 'Expense'}
+              {type === 'income' ? t('addTransaction.addIncome') : type === 'transfer' ? t('addTransaction.addTransfer') : type === 'refund' ? t('addTransaction.addRefund') : t('addTransaction.addExpense')}
             </Button>
           </VStack>
         </Box>
@@ -433,10 +650,10 @@ export default function AddTransaction() {
         {/* Quick Stats */}
         <HStack justify="center" gap={4}>
           <Badge colorScheme="red" px={3} py={1} fontSize="sm">
-            {categories.filter(c => c.type === 'expense').length} expense categories
+            {t('addTransaction.expenseCategories', { count: categories.filter(c => c.type === 'expense').length })}
           </Badge>
           <Badge colorScheme="green" px={3} py={1} fontSize="sm">
-            {categories.filter(c => c.type === 'income').length} income categories
+            {t('addTransaction.incomeCategories', { count: categories.filter(c => c.type === 'income').length })}
           </Badge>
         </HStack>
         </VStack>
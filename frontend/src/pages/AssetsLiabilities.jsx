@@ -19,6 +19,12 @@ import { useAuth } from '../contexts/AuthContext';
 import { supabase } from '../lib/supabaseClient';
 import PageContainer from '../components/PageContainer';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
+import { CurrencyPicker } from '../components/CurrencySettings';
+import MissingRatesNotice from '../components/MissingRatesNotice';
+import { formatFrequency } from '../lib/recurringUtils';
 
 /**
  * AssetsLiabilities - Comprehensive net worth tracker
@@ -74,14 +80,16 @@ const assetCategoryColors = {
 
 const getCategoryColor = (name) => assetCategoryColors[name] || assetCategoryColors.default;
 
-// Format currency
-const formatCurrency = (amount) => {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD',
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0,
-  }).format(amount || 0);
+// Format whole amounts, in the base currency unless the item's own is given
+const useFormatCurrency = () => {
+  const { formatCurrency } = useCurrency();
+  return (amount, currency) => formatCurrency(amount, currency, { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+};
+
+// Short amounts for chart axes and tooltips: $1.2M, $320K
+const useFormatCompact = () => {
+  const { formatCurrency } = useCurrency();
+  return (amount) => formatCurrency(amount, undefined, { notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 });
 };
 
 // Format number with space separators for input display (e.g., 320000 -> "320 000")
@@ -135,6 +143,9 @@ const formatPercent = (value) => {
 
 // Asset Allocation Donut Chart
 const AssetAllocationChart = ({ assets, categories, totalAssets, hoveredCategory, onHoverCategory, colors, groupedData }) => {
+  const { t } = useI18n();
+  const formatCurrency = useFormatCurrency();
+  const { toBase } = useCurrency();
   const size = 200;
   const strokeWidth = 35;
   const hoverExpand = 8;
@@ -154,7 +165,7 @@ const AssetAllocationChart = ({ assets, categories, totalAssets, hoveredCategory
     assets.forEach((asset) => {
       const cat = categories.find((c) => c.id === asset.category_id);
       const catName = cat?.name || 'Other';
-      categoryTotals[catName] = (categoryTotals[catName] || 0) + parseFloat(asset.amount || 0);
+      categoryTotals[catName] = (categoryTotals[catName] || 0) + toBase(parseFloat(asset.amount || 0), asset.currency);
     });
 
     // Convert to array and sort by amount
@@ -193,7 +204,7 @@ const AssetAllocationChart = ({ assets, categories, totalAssets, hoveredCategory
           <circle cx={center} cy={center} r={radius} fill="none" stroke="#E5E7EB" strokeWidth={strokeWidth} />
         </svg>
         <Box position="absolute" top="50%" left="50%" transform="translate(-50%, -50%)" textAlign="center">
-          <Text fontSize="sm" color={colors.textMuted}>No assets</Text>
+          <Text fontSize="sm" color={colors.textMuted}>{t('assets.noAssets')}</Text>
         </Box>
       </Box>
     );
@@ -239,7 +250,7 @@ const AssetAllocationChart = ({ assets, categories, totalAssets, hoveredCategory
           </>
         ) : (
           <>
-            <Text fontSize="xs" color={colors.textMuted} fontWeight="500" mb={0.5}>Total Assets</Text>
+            <Text fontSize="xs" color={colors.textMuted} fontWeight="500" mb={0.5}>{t('assets.totalAssets')}</Text>
             <Text fontSize="xl" fontWeight="800" color={colors.textPrimary} letterSpacing="-0.02em">
               {formatCurrency(totalAssets)}
             </Text>
@@ -252,13 +263,17 @@ const AssetAllocationChart = ({ assets, categories, totalAssets, hoveredCategory
 
 // Net Worth Trend Line Chart
 const NetWorthTrendChart = ({ snapshots, colors }) => {
+  const { t } = useI18n();
+  const formatCurrency = useFormatCurrency();
+  const { formatDate } = usePreferences();
+  const formatShort = useFormatCompact();
   if (!snapshots || snapshots.length === 0) {
     return (
       <Box h="200px" bg={colors.rowStripedBg} borderRadius="12px" display="flex" alignItems="center" justifyContent="center">
         <VStack gap={2}>
           <Text fontSize="3xl">📊</Text>
-          <Text color={colors.textMuted} fontSize="md">Save snapshots to see your net worth trend</Text>
-          <Text color={colors.textSecondary} fontSize="sm">Click "Save Snapshot" to record your first data point</Text>
+          <Text color={colors.textMuted} fontSize="md">{t('assets.trendEmpty')}</Text>
+          <Text color={colors.textSecondary} fontSize="sm">{t('assets.trendEmptyHint')}</Text>
         </VStack>
       </Box>
     );
@@ -301,11 +316,6 @@ const NetWorthTrendChart = ({ snapshots, colors }) => {
     { value: minVal, y: paddingTop + chartHeight },
   ];
 
-  const formatShort = (val) => {
-    if (Math.abs(val) >= 1000000) return `$${(val / 1000000).toFixed(1)}M`;
-    if (Math.abs(val) >= 1000) return `$${(val / 1000).toFixed(0)}k`;
-    return `$${val.toFixed(0)}`;
-  };
 
   const [hoveredPoint, setHoveredPoint] = useState(null);
 
@@ -378,19 +388,19 @@ const NetWorthTrendChart = ({ snapshots, colors }) => {
             >
               <Box bg={colors.cardBg} p={3} borderRadius="12px" boxShadow="0 4px 20px rgba(0,0,0,0.25)" border="1px solid" borderColor={colors.borderColor} minW="150px">
                 <Text fontSize="sm" fontWeight="700" color={colors.textPrimary} mb={2}>
-                  {new Date(p.date + 'T00:00:00').toLocaleDateString()}
+                  {formatDate(p.date)}
                 </Text>
                 <Flex justify="space-between" mb={1}>
-                  <Text fontSize="xs" color={colors.textSecondary}>Assets:</Text>
+                  <Text fontSize="xs" color={colors.textSecondary}>{t('assets.assetsLabel')}</Text>
                   <Text fontSize="xs" fontWeight="600" color="green.500">{formatCurrency(p.assets)}</Text>
                 </Flex>
                 <Flex justify="space-between" mb={1}>
-                  <Text fontSize="xs" color={colors.textSecondary}>Liabilities:</Text>
+                  <Text fontSize="xs" color={colors.textSecondary}>{t('assets.liabilitiesLabel')}</Text>
                   <Text fontSize="xs" fontWeight="600" color="red.500">{formatCurrency(p.liabilities)}</Text>
                 </Flex>
                 <Box h="1px" bg={colors.borderColor} my={2} />
                 <Flex justify="space-between">
-                  <Text fontSize="xs" color={colors.textSecondary}>Net Worth:</Text>
+                  <Text fontSize="xs" color={colors.textSecondary}>{t('assets.netWorthLabel')}</Text>
                   <Text fontSize="sm" fontWeight="700" color={p.equity >= 0 ? 'blue.500' : 'red.500'}>
                     {formatCurrency(p.equity)}
                   </Text>
@@ -404,17 +414,9 @@ const NetWorthTrendChart = ({ snapshots, colors }) => {
   );
 };
 
-// Helper to format currency for tooltip
-const formatTooltipCurrency = (amount) => {
-  const absAmount = Math.abs(amount);
-  if (absAmount >= 1000) {
-    return `$${(amount / 1000).toFixed(1)}K`;
-  }
-  return `$${amount.toLocaleString()}`;
-};
-
-// Generate dynamic metric descriptions based on actual values
-const getMetricDescriptions = (totalAssets, totalLiabilities, liquidAssets, investments, monthlyExpenses, breakdown) => {
+// Generate dynamic metric descriptions based on actual values (formatTooltipCurrency: from useFormatCompact),
+// keyed by the breakdown labels (message keys)
+const getMetricDescriptions = (totalAssets, totalLiabilities, liquidAssets, investments, monthlyExpenses, breakdown, formatTooltipCurrency, t) => {
   const debtRatio = totalAssets > 0 ? (totalLiabilities / totalAssets) : 0;
   const debtRatioPercent = debtRatio * 100;
   const monthsCovered = monthlyExpenses > 0 ? liquidAssets / monthlyExpenses : 0;
@@ -428,36 +430,38 @@ const getMetricDescriptions = (totalAssets, totalLiabilities, liquidAssets, inve
   const getMax = (label) => breakdown.find(b => b.label === label)?.max || 0;
 
   return {
-    'Low Debt Ratio': {
-      what: 'How much debt you have vs. what you own',
-      calculation: `${formatTooltipCurrency(totalLiabilities)} ÷ ${formatTooltipCurrency(totalAssets)} = ${debtRatioPercent.toFixed(1)}% debt ratio`,
-      scoring: `30 × (1 - ${debtRatioPercent.toFixed(1)}%) = ${getPoints('Low Debt Ratio')} pts`,
-      tip: debtRatioPercent > 50 ? 'Pay down debt to increase this score' : 'Great job keeping debt low!',
+    'assets.metricDebt': {
+      what: t('assets.debtWhat'),
+      calculation: t('assets.debtCalculation', { liabilities: formatTooltipCurrency(totalLiabilities), assets: formatTooltipCurrency(totalAssets), percent: debtRatioPercent.toFixed(1) }),
+      scoring: t('assets.debtScoring', { percent: debtRatioPercent.toFixed(1), points: getPoints('assets.metricDebt') }),
+      tip: debtRatioPercent > 50 ? t('assets.debtTipHigh') : t('assets.debtTipLow'),
     },
-    'Emergency Fund': {
-      what: 'How many months you can survive on savings',
-      calculation: `${formatTooltipCurrency(liquidAssets)} ÷ ${formatTooltipCurrency(monthlyExpenses)}/mo = ${monthsCovered.toFixed(1)} months`,
-      scoring: `${monthsCovered.toFixed(1)} months × 2.5 pts = ${getPoints('Emergency Fund')} pts (max 30)`,
-      tip: monthsCovered >= 12 ? 'Excellent emergency fund!' : 'Build up 12 months of expenses in cash/savings',
+    'assets.metricEmergency': {
+      what: t('assets.emergencyWhat'),
+      calculation: t('assets.emergencyCalculation', { liquid: formatTooltipCurrency(liquidAssets), expenses: formatTooltipCurrency(monthlyExpenses), months: monthsCovered.toFixed(1) }),
+      scoring: t('assets.emergencyScoring', { months: monthsCovered.toFixed(1), points: getPoints('assets.metricEmergency') }),
+      tip: monthsCovered >= 12 ? t('assets.emergencyTipGood') : t('assets.emergencyTipBuild'),
     },
-    'Investments': {
-      what: 'How much of your wealth is invested for growth',
-      calculation: `${formatTooltipCurrency(investments)} ÷ ${formatTooltipCurrency(netWorth)} net worth = ${investmentRatioPercent.toFixed(1)}%`,
-      scoring: `${investmentRatioPercent.toFixed(1)}% × 0.67 = ${getPoints('Investments')} pts (max 20 at 30%)`,
-      tip: investmentRatioPercent >= 30 ? 'Strong investment allocation!' : 'Aim to invest 30%+ of your net worth',
+    'assets.metricInvestments': {
+      what: t('assets.investWhat'),
+      calculation: t('assets.investCalculation', { investments: formatTooltipCurrency(investments), netWorth: formatTooltipCurrency(netWorth), percent: investmentRatioPercent.toFixed(1) }),
+      scoring: t('assets.investScoring', { percent: investmentRatioPercent.toFixed(1), points: getPoints('assets.metricInvestments') }),
+      tip: investmentRatioPercent >= 30 ? t('assets.investTipGood') : t('assets.investTipLow'),
     },
-    'Positive Net Worth': {
-      what: 'Do your assets exceed your debts?',
-      calculation: `${formatTooltipCurrency(totalAssets)} - ${formatTooltipCurrency(totalLiabilities)} = ${formatTooltipCurrency(netWorth)} net worth`,
-      scoring: netWorth > 0 ? `10 + (${(netWorthRatio * 100).toFixed(1)}% × 10) = ${getPoints('Positive Net Worth')} pts` : '0 pts (negative net worth)',
-      tip: netWorth > 0 ? 'You have positive net worth!' : 'Focus on growing assets and reducing liabilities',
+    'assets.metricNetWorth': {
+      what: t('assets.netWorthWhat'),
+      calculation: t('assets.netWorthCalculation', { assets: formatTooltipCurrency(totalAssets), liabilities: formatTooltipCurrency(totalLiabilities), netWorth: formatTooltipCurrency(netWorth) }),
+      scoring: netWorth > 0 ? t('assets.netWorthScoring', { percent: (netWorthRatio * 100).toFixed(1), points: getPoints('assets.metricNetWorth') }) : t('assets.netWorthScoringNegative'),
+      tip: netWorth > 0 ? t('assets.netWorthTipGood') : t('assets.netWorthTipLow'),
     },
   };
 };
 
 // Financial Health Score Gauge
 const FinancialHealthScore = ({ totalAssets, totalLiabilities, liquidAssets, investments, monthlyExpenses, colors }) => {
+  const { t } = useI18n();
   const [showTooltip, setShowTooltip] = useState(false);
+  const formatCompact = useFormatCompact();
 
   // Calculate health score (0-100)
   const calculateScore = () => {
@@ -468,25 +472,25 @@ const FinancialHealthScore = ({ totalAssets, totalLiabilities, liquidAssets, inv
     const debtRatio = totalAssets > 0 ? totalLiabilities / totalAssets : 1;
     const debtScore = Math.max(0, Math.round(30 * (1 - debtRatio)));
     score += debtScore;
-    breakdown.push({ label: 'Low Debt Ratio', points: debtScore, max: 30 });
+    breakdown.push({ label: 'assets.metricDebt', points: debtScore, max: 30 });
 
     // 2. Emergency Fund Coverage (30 points max) - target 12 months
     const monthsCovered = monthlyExpenses > 0 ? liquidAssets / monthlyExpenses : 0;
     const emergencyScore = Math.min(30, Math.round(monthsCovered * 2.5));
     score += emergencyScore;
-    breakdown.push({ label: 'Emergency Fund', points: emergencyScore, max: 30 });
+    breakdown.push({ label: 'assets.metricEmergency', points: emergencyScore, max: 30 });
 
     // 3. Investment Allocation (20 points max)
     const netWorth = totalAssets - totalLiabilities;
     const investmentRatio = netWorth > 0 ? investments / netWorth : 0;
     const investmentScore = Math.min(20, Math.round(investmentRatio * 66.67));
     score += investmentScore;
-    breakdown.push({ label: 'Investments', points: investmentScore, max: 20 });
+    breakdown.push({ label: 'assets.metricInvestments', points: investmentScore, max: 20 });
 
     // 4. Positive Net Worth (20 points max)
     const netWorthScore = netWorth > 0 ? Math.min(20, Math.round(10 + (netWorth / totalAssets) * 10)) : 0;
     score += netWorthScore;
-    breakdown.push({ label: 'Positive Net Worth', points: netWorthScore, max: 20 });
+    breakdown.push({ label: 'assets.metricNetWorth', points: netWorthScore, max: 20 });
 
     return { score: Math.round(score), breakdown };
   };
@@ -501,10 +505,10 @@ const FinancialHealthScore = ({ totalAssets, totalLiabilities, liquidAssets, inv
   };
 
   const getScoreLabel = () => {
-    if (score >= 80) return 'Excellent';
-    if (score >= 60) return 'Good';
-    if (score >= 40) return 'Fair';
-    return 'Needs Work';
+    if (score >= 80) return t('assets.excellent');
+    if (score >= 60) return t('assets.good');
+    if (score >= 40) return t('assets.fair');
+    return t('assets.needsWork');
   };
 
   const scoreColor = getScoreColor();
@@ -514,7 +518,7 @@ const FinancialHealthScore = ({ totalAssets, totalLiabilities, liquidAssets, inv
   return (
     <Box bg={colors.cardBg} borderRadius="20px" p={5} borderWidth="1px" borderColor={colors.borderSubtle} position="relative">
       <Flex align="center" gap={2} mb={4}>
-        <Text fontSize="sm" fontWeight="700" color={colors.textMuted}>FINANCIAL HEALTH</Text>
+        <Text fontSize="sm" fontWeight="700" color={colors.textMuted}>{t('assets.financialHealth')}</Text>
         <Box
           position="relative"
           onMouseEnter={(e) => {
@@ -573,7 +577,7 @@ const FinancialHealthScore = ({ totalAssets, totalLiabilities, liquidAssets, inv
             >
               {/* Mobile close button */}
               <Flex display={{ base: 'flex', md: 'none' }} justify="space-between" align="center" mb={3}>
-                <Text fontSize="md" fontWeight="700" color={colors.textPrimary}>How Your Score Is Calculated</Text>
+                <Text fontSize="md" fontWeight="700" color={colors.textPrimary}>{t('assets.howCalculated')}</Text>
                 <Box
                   as="button"
                   onClick={() => setShowTooltip(false)}
@@ -589,9 +593,9 @@ const FinancialHealthScore = ({ totalAssets, totalLiabilities, liquidAssets, inv
                 </Box>
               </Flex>
               {/* Desktop header */}
-              <Text display={{ base: 'none', md: 'block' }} fontSize="sm" fontWeight="700" color={colors.textPrimary} mb={4}>How Your Score Is Calculated</Text>
+              <Text display={{ base: 'none', md: 'block' }} fontSize="sm" fontWeight="700" color={colors.textPrimary} mb={4}>{t('assets.howCalculated')}</Text>
               <VStack align="stretch" gap={{ base: 2, md: 3 }}>
-                {Object.entries(getMetricDescriptions(totalAssets, totalLiabilities, liquidAssets, investments, monthlyExpenses, breakdown)).map(([label, info]) => (
+                {Object.entries(getMetricDescriptions(totalAssets, totalLiabilities, liquidAssets, investments, monthlyExpenses, breakdown, formatCompact, t)).map(([label, info]) => (
                   <Box
                     key={label}
                     p={{ base: 2.5, md: 3 }}
@@ -602,7 +606,7 @@ const FinancialHealthScore = ({ totalAssets, totalLiabilities, liquidAssets, inv
                     borderLeft="4px solid"
                     borderLeftColor={scoreColor}
                   >
-                    <Text fontSize="xs" fontWeight="700" color={colors.textPrimary} mb={1}>{label}</Text>
+                    <Text fontSize="xs" fontWeight="700" color={colors.textPrimary} mb={1}>{t(label)}</Text>
                     <VStack align="stretch" gap={0.5}>
                       <Text fontSize="xs" color={colors.textSecondary}>{info.what}</Text>
                       <Text fontSize={{ base: '10px', md: 'xs' }} color="#F59E0B" fontWeight="600" fontFamily="mono">{info.calculation}</Text>
@@ -614,7 +618,7 @@ const FinancialHealthScore = ({ totalAssets, totalLiabilities, liquidAssets, inv
               </VStack>
               <Box mt={3} pt={3} borderTop="2px solid" borderColor={colors.borderColor}>
                 <Text fontSize="xs" color={colors.textMuted} fontWeight="500" textAlign="center">
-                  Score: 80+ Excellent | 60-79 Good | 40-59 Fair | &lt;40 Needs Work
+                  {t('assets.scoreScale')}
                 </Text>
               </Box>
             </Box>
@@ -653,7 +657,7 @@ const FinancialHealthScore = ({ totalAssets, totalLiabilities, liquidAssets, inv
           </HStack>
           {breakdown.map((item, i) => (
             <Flex key={i} justify="space-between" align="center" gap={3}>
-              <Text fontSize="xs" color={colors.textSecondary}>{item.label}</Text>
+              <Text fontSize="xs" color={colors.textSecondary}>{t(item.label)}</Text>
               <HStack gap={2}>
                 <Box w="60px" h="8px" bg={colors.rowStripedBg} borderRadius="full" overflow="hidden" border="1px solid" borderColor={colors.borderColor}>
                   <Box h="100%" w={`${(item.points / item.max) * 100}%`} bg={scoreColor} borderRadius="full" />
@@ -672,15 +676,17 @@ const FinancialHealthScore = ({ totalAssets, totalLiabilities, liquidAssets, inv
 
 // Emergency Fund Indicator
 const EmergencyFundIndicator = ({ liquidAssets, monthlyExpenses, colors }) => {
+  const { t } = useI18n();
+  const formatCurrency = useFormatCurrency();
   const monthsCovered = monthlyExpenses > 0 ? liquidAssets / monthlyExpenses : 0;
   const target = 12;
   const progress = Math.min((monthsCovered / target) * 100, 100);
 
   const getStatus = () => {
-    if (monthsCovered >= 12) return { label: 'Excellent', color: '#10B981', icon: '✅' };
-    if (monthsCovered >= 6) return { label: 'Good', color: '#3B82F6', icon: '👍' };
-    if (monthsCovered >= 3) return { label: 'Building', color: '#F59E0B', icon: '🔨' };
-    return { label: 'Critical', color: '#EF4444', icon: '⚠️' };
+    if (monthsCovered >= 12) return { label: t('assets.excellent'), color: '#10B981', icon: '✅' };
+    if (monthsCovered >= 6) return { label: t('assets.good'), color: '#3B82F6', icon: '👍' };
+    if (monthsCovered >= 3) return { label: t('assets.building'), color: '#F59E0B', icon: '🔨' };
+    return { label: t('assets.critical'), color: '#EF4444', icon: '⚠️' };
   };
 
   const status = getStatus();
@@ -689,8 +695,8 @@ const EmergencyFundIndicator = ({ liquidAssets, monthlyExpenses, colors }) => {
     <Box bg={colors.cardBg} borderRadius="16px" p={5} borderWidth="1px" borderColor={colors.borderSubtle}>
       <HStack justify="space-between" mb={3}>
         <VStack align="start" gap={0}>
-          <Text fontSize="xs" color={colors.textMuted} fontWeight="600">EMERGENCY FUND</Text>
-          <Heading size="lg" color={colors.textPrimary}>{monthsCovered.toFixed(1)} months</Heading>
+          <Text fontSize="xs" color={colors.textMuted} fontWeight="600">{t('assets.emergencyFund')}</Text>
+          <Heading size="lg" color={colors.textPrimary}>{t('assets.months', { count: Number(monthsCovered.toFixed(1)), months: monthsCovered.toFixed(1) })}</Heading>
         </VStack>
         <VStack align="end" gap={0}>
           <Text fontSize="xl">{status.icon}</Text>
@@ -703,8 +709,8 @@ const EmergencyFundIndicator = ({ liquidAssets, monthlyExpenses, colors }) => {
       </Box>
 
       <Flex justify="space-between">
-        <Text fontSize="xs" color={colors.textMuted}>Available: {formatCurrency(liquidAssets)}</Text>
-        <Text fontSize="xs" color={colors.textMuted}>Target: 12 months</Text>
+        <Text fontSize="xs" color={colors.textMuted}>{t('assets.available', { amount: formatCurrency(liquidAssets) })}</Text>
+        <Text fontSize="xs" color={colors.textMuted}>{t('assets.target')}</Text>
       </Flex>
     </Box>
   );
@@ -712,6 +718,9 @@ const EmergencyFundIndicator = ({ liquidAssets, monthlyExpenses, colors }) => {
 
 // Debt Payoff Projection Card
 const DebtPayoffCard = ({ liability, liabilityType, linkedCategory, linkedRecurring, payments, colors }) => {
+  const { t } = useI18n();
+  const formatCurrency = useFormatCurrency();
+  const { formatDate } = usePreferences();
   const calculatePayoff = () => {
     const { outstanding_balance, monthly_payment, interest_rate } = liability;
 
@@ -752,7 +761,7 @@ const DebtPayoffCard = ({ liability, liabilityType, linkedCategory, linkedRecurr
       totalInterest += interestThisPeriod;
 
       if (interestThisPeriod >= paymentPerPeriod) {
-        return { months: Infinity, totalInterest: Infinity, payoffDate: null, warning: 'Payment too low to cover interest' };
+        return { months: Infinity, totalInterest: Infinity, payoffDate: null, warning: 'assets.paymentTooLow' };
       }
 
       balance = balance + interestThisPeriod - paymentPerPeriod;
@@ -793,46 +802,48 @@ const DebtPayoffCard = ({ liability, liabilityType, linkedCategory, linkedRecurr
             )}
           </VStack>
         </HStack>
-        <Text fontSize="sm" fontWeight="700" color={colors.danger}>{formatCurrency(liability.outstanding_balance)}</Text>
+        <Text fontSize="sm" fontWeight="700" color={colors.danger}>{formatCurrency(liability.outstanding_balance, liability.currency)}</Text>
       </HStack>
 
       {projection.warning ? (
         <Box bg={colors.dangerBg} p={3} borderRadius="8px">
-          <Text fontSize="xs" color={colors.danger}>⚠️ {projection.warning}</Text>
+          <Text fontSize="xs" color={colors.danger}>⚠️ {t(projection.warning)}</Text>
         </Box>
       ) : projection.months === null ? (
-        <Text fontSize="xs" color={colors.textMuted}>Add monthly payment to see projection</Text>
+        <Text fontSize="xs" color={colors.textMuted}>{t('assets.addPaymentHint')}</Text>
       ) : (
         <VStack align="stretch" gap={2}>
           {projection.frequency && projection.frequency !== 'monthly' && (
             <Flex justify="space-between">
-              <Text fontSize="xs" color={colors.textMuted}>Payment</Text>
+              <Text fontSize="xs" color={colors.textMuted}>{t('assets.payment')}</Text>
               <Text fontSize="xs" fontWeight="600" color="blue.500">
-                {formatCurrency(projection.paymentPerPeriod)} {projection.frequency}
+                {formatCurrency(projection.paymentPerPeriod, liability.currency)} {formatFrequency(projection.frequency)}
               </Text>
             </Flex>
           )}
           {projection.interestRate > 0 && (
             <Flex justify="space-between">
-              <Text fontSize="xs" color={colors.textMuted}>Interest Rate</Text>
+              <Text fontSize="xs" color={colors.textMuted}>{t('assets.interestRate')}</Text>
               <Text fontSize="xs" fontWeight="600" color={colors.textPrimary}>
                 {projection.interestRate}%
               </Text>
             </Flex>
           )}
           <Flex justify="space-between">
-            <Text fontSize="xs" color={colors.textMuted}>Payoff Date</Text>
-            <Text fontSize="xs" fontWeight="600" color={colors.textPrimary}>{projection.payoffDate?.toLocaleDateString()}</Text>
+            <Text fontSize="xs" color={colors.textMuted}>{t('assets.payoffDate')}</Text>
+            <Text fontSize="xs" fontWeight="600" color={colors.textPrimary}>{formatDate(projection.payoffDate)}</Text>
           </Flex>
           <Flex justify="space-between">
-            <Text fontSize="xs" color={colors.textMuted}>Time to Payoff</Text>
+            <Text fontSize="xs" color={colors.textMuted}>{t('assets.timeToPayoff')}</Text>
             <Text fontSize="xs" fontWeight="600" color={colors.textPrimary}>
-              {projection.years > 0 && `${projection.years}y `}{projection.remainingMonths}m
+              {projection.years > 0
+                ? t('assets.durationYears', { years: projection.years, months: projection.remainingMonths })
+                : t('assets.durationMonths', { months: projection.remainingMonths })}
             </Text>
           </Flex>
           <Flex justify="space-between">
-            <Text fontSize="xs" color={colors.textMuted}>Total Interest</Text>
-            <Text fontSize="xs" fontWeight="600" color={colors.danger}>{formatCurrency(projection.totalInterest)}</Text>
+            <Text fontSize="xs" color={colors.textMuted}>{t('assets.totalInterest')}</Text>
+            <Text fontSize="xs" fontWeight="600" color={colors.danger}>{formatCurrency(projection.totalInterest, liability.currency)}</Text>
           </Flex>
         </VStack>
       )}
@@ -841,21 +852,21 @@ const DebtPayoffCard = ({ liability, liabilityType, linkedCategory, linkedRecurr
       {linkedCategory && totalPaid > 0 && (
         <Box mt={3} pt={3} borderTop="1px" borderColor={colors.borderSubtle}>
           <HStack justify="space-between" mb={2}>
-            <Text fontSize="xs" fontWeight="600" color={colors.textMuted}>RECENT PAYMENTS</Text>
-            <Text fontSize="xs" fontWeight="700" color="green.500">{formatCurrency(totalPaid)} total</Text>
+            <Text fontSize="xs" fontWeight="600" color={colors.textMuted}>{t('assets.recentPayments')}</Text>
+            <Text fontSize="xs" fontWeight="700" color="green.500">{t('assets.paidTotal', { amount: formatCurrency(totalPaid, liability.currency) })}</Text>
           </HStack>
           <VStack align="stretch" gap={1}>
             {recentPayments.map((payment) => (
               <Flex key={payment.id} justify="space-between" align="center">
                 <Text fontSize="xs" color={colors.textSecondary}>
-                  {new Date(payment.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                  {formatDate(payment.date, { year: false })}
                 </Text>
-                <Text fontSize="xs" fontWeight="600" color="green.600">{formatCurrency(payment.amount)}</Text>
+                <Text fontSize="xs" fontWeight="600" color="green.600">{formatCurrency(payment.amount, liability.currency)}</Text>
               </Flex>
             ))}
             {payments?.length > 2 && (
               <Text fontSize="xs" color={colors.textMuted} textAlign="center">
-                +{payments.length - 2} more payments
+                {t('assets.morePayments', { count: payments.length - 2 })}
               </Text>
             )}
           </VStack>
@@ -871,10 +882,13 @@ const DebtPayoffCard = ({ liability, liabilityType, linkedCategory, linkedRecurr
 
 // Asset Modal
 const AssetModal = ({ isOpen, onClose, asset, categories, onSave, colors }) => {
+  const { t } = useI18n();
+  const { baseCurrency } = useCurrency();
   const [formData, setFormData] = useState({
     category_id: asset?.category_id || categories[0]?.id || '',
     name: asset?.name || '',
     amount: asset?.amount || 0,
+    currency: asset?.currency || baseCurrency,
     note: asset?.note || '',
   });
   const [errors, setErrors] = useState({});
@@ -890,12 +904,13 @@ const AssetModal = ({ isOpen, onClose, asset, categories, onSave, colors }) => {
         category_id: asset?.category_id || categories[0]?.id || '',
         name: asset?.name || '',
         amount: asset?.amount || 0,
+        currency: asset?.currency || baseCurrency,
         note: asset?.note || '',
       });
       setErrors({});
       setCategoryDropdownOpen(false);
     }
-  }, [isOpen, asset, categories]);
+  }, [isOpen, asset, categories, baseCurrency]);
 
   // Handle click outside to close dropdown
   useEffect(() => {
@@ -910,8 +925,8 @@ const AssetModal = ({ isOpen, onClose, asset, categories, onSave, colors }) => {
 
   const validate = () => {
     const newErrors = {};
-    if (!formData.name.trim()) newErrors.name = 'Name is required';
-    if (formData.amount < 0) newErrors.amount = 'Amount must be positive';
+    if (!formData.name.trim()) newErrors.name = t('assets.nameRequired');
+    if (formData.amount < 0) newErrors.amount = t('assets.amountPositive');
     return newErrors;
   };
 
@@ -935,7 +950,7 @@ const AssetModal = ({ isOpen, onClose, asset, categories, onSave, colors }) => {
           <Dialog.Content maxW="500px" w="90%" borderRadius="20px" bg={colors.cardBg} overflow="hidden">
             <Dialog.Header bg="linear-gradient(135deg, #10B981 0%, #059669 100%)" color="white" p={5}>
               <Flex justify="space-between" align="center">
-                <Dialog.Title fontSize="lg" fontWeight="700">{asset ? 'Edit Asset' : 'Add New Asset'}</Dialog.Title>
+                <Dialog.Title fontSize="lg" fontWeight="700">{asset ? t('assets.editAsset') : t('assets.addNewAsset')}</Dialog.Title>
                 <Dialog.CloseTrigger asChild>
                   <CloseButton color="white" _hover={{ bg: 'whiteAlpha.200' }} />
                 </Dialog.CloseTrigger>
@@ -944,7 +959,7 @@ const AssetModal = ({ isOpen, onClose, asset, categories, onSave, colors }) => {
             <Dialog.Body p={5}>
               <VStack gap={4}>
                 <Box w="100%">
-                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>Category</Text>
+                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>{t('common.category')}</Text>
                   <Box ref={categoryDropdownRef} position="relative" w="100%">
                     {/* Dropdown Trigger */}
                     <Box
@@ -967,7 +982,7 @@ const AssetModal = ({ isOpen, onClose, asset, categories, onSave, colors }) => {
                         fontSize="sm"
                         noOfLines={1}
                       >
-                        {categories.find(c => c.id === formData.category_id)?.icon} {categories.find(c => c.id === formData.category_id)?.name || 'Select category'}
+                        {categories.find(c => c.id === formData.category_id)?.icon} {categories.find(c => c.id === formData.category_id)?.name || t('assets.selectCategory')}
                       </Text>
                       <Box
                         as="span"
@@ -1036,11 +1051,11 @@ const AssetModal = ({ isOpen, onClose, asset, categories, onSave, colors }) => {
                 </Box>
 
                 <Box w="100%">
-                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>Asset Name *</Text>
+                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>{t('assets.assetName')}</Text>
                   <Input
                     value={formData.name}
                     onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-                    placeholder="e.g., Main Residence, TD Savings"
+                    placeholder={t('assets.assetNamePlaceholder')}
                     bg={colors.inputBg}
                     borderColor={errors.name ? 'red.500' : colors.borderColor}
                     color={colors.textPrimary}
@@ -1049,7 +1064,7 @@ const AssetModal = ({ isOpen, onClose, asset, categories, onSave, colors }) => {
                 </Box>
 
                 <Box w="100%">
-                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>Current Value *</Text>
+                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>{t('assets.currentValue')}</Text>
                   <Input
                     type="text"
                     inputMode="decimal"
@@ -1064,7 +1079,7 @@ const AssetModal = ({ isOpen, onClose, asset, categories, onSave, colors }) => {
                       const num = parseFloat(parseFormattedNumber(e.target.value)) || 0;
                       setFormData({ ...formData, amount: num });
                     }}
-                    placeholder="Enter amount"
+                    placeholder={t('assets.enterAmount')}
                     bg={colors.inputBg}
                     borderColor={errors.amount ? 'red.500' : colors.borderColor}
                     color={colors.textPrimary}
@@ -1073,11 +1088,16 @@ const AssetModal = ({ isOpen, onClose, asset, categories, onSave, colors }) => {
                 </Box>
 
                 <Box w="100%">
-                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>Note (optional)</Text>
+                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>{t('assets.currency')}</Text>
+                  <CurrencyPicker value={formData.currency} onChange={(currency) => setFormData({ ...formData, currency })} />
+                </Box>
+
+                <Box w="100%">
+                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>{t('assets.noteOptional')}</Text>
                   <Textarea
                     value={formData.note}
                     onChange={(e) => setFormData({ ...formData, note: e.target.value })}
-                    placeholder="Any additional details..."
+                    placeholder={t('assets.notePlaceholder')}
                     bg={colors.inputBg}
                     borderColor={colors.borderColor}
                     color={colors.textPrimary}
@@ -1088,8 +1108,8 @@ const AssetModal = ({ isOpen, onClose, asset, categories, onSave, colors }) => {
             </Dialog.Body>
             <Dialog.Footer p={5} borderTop="1px" borderColor={colors.borderSubtle}>
               <HStack justify="flex-end" gap={3}>
-                <Button variant="ghost" onClick={onClose} color={colors.textSecondary}>Cancel</Button>
-                <Button colorScheme="green" onClick={handleSave} loading={saving}>{asset ? 'Save Changes' : 'Add Asset'}</Button>
+                <Button variant="ghost" onClick={onClose} color={colors.textSecondary}>{t('common.cancel')}</Button>
+                <Button colorScheme="green" onClick={handleSave} loading={saving}>{asset ? t('assets.saveChanges') : t('assets.addAsset')}</Button>
               </HStack>
             </Dialog.Footer>
           </Dialog.Content>
@@ -1101,10 +1121,15 @@ const AssetModal = ({ isOpen, onClose, asset, categories, onSave, colors }) => {
 
 // Liability Modal
 const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories, recurringPayments, onSave, colors }) => {
+  const { t } = useI18n();
+  const formatCurrency = useFormatCurrency();
+  const { formatDate } = usePreferences();
+  const { baseCurrency } = useCurrency();
   const [formData, setFormData] = useState({
     type_id: liability?.type_id || types[0]?.id || '',
     creditor: liability?.creditor || '',
     outstanding_balance: liability?.outstanding_balance || 0,
+    currency: liability?.currency || baseCurrency,
     monthly_payment: liability?.monthly_payment || 0,
     interest_rate: liability?.interest_rate || 0,
     original_balance: liability?.original_balance || 0,
@@ -1128,6 +1153,7 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
         type_id: liability?.type_id || types[0]?.id || '',
         creditor: liability?.creditor || '',
         outstanding_balance: liability?.outstanding_balance || 0,
+        currency: liability?.currency || baseCurrency,
         monthly_payment: liability?.monthly_payment || 0,
         interest_rate: liability?.interest_rate || 0,
         original_balance: liability?.original_balance || liability?.outstanding_balance || 0,
@@ -1140,7 +1166,7 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
       setTypeDropdownOpen(false);
       setLinkedCategoryDropdownOpen(false);
     }
-  }, [isOpen, liability, types]);
+  }, [isOpen, liability, types, baseCurrency]);
 
   // Handle click outside to close dropdowns
   useEffect(() => {
@@ -1182,10 +1208,10 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
 
   const validate = () => {
     const newErrors = {};
-    if (!formData.creditor.trim()) newErrors.creditor = 'Creditor name is required';
-    if (formData.outstanding_balance < 0) newErrors.outstanding_balance = 'Balance must be positive';
-    if (formData.monthly_payment < 0) newErrors.monthly_payment = 'Payment must be positive';
-    if (formData.interest_rate < 0 || formData.interest_rate > 100) newErrors.interest_rate = 'Rate must be 0-100%';
+    if (!formData.creditor.trim()) newErrors.creditor = t('assets.creditorRequired');
+    if (formData.outstanding_balance < 0) newErrors.outstanding_balance = t('assets.balancePositive');
+    if (formData.monthly_payment < 0) newErrors.monthly_payment = t('assets.paymentPositive');
+    if (formData.interest_rate < 0 || formData.interest_rate > 100) newErrors.interest_rate = t('assets.rateRange');
     return newErrors;
   };
 
@@ -1209,7 +1235,7 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
           <Dialog.Content maxW="500px" w="90%" borderRadius="20px" bg={colors.cardBg} overflow="hidden">
             <Dialog.Header bg="linear-gradient(135deg, #EF4444 0%, #DC2626 100%)" color="white" p={5}>
               <Flex justify="space-between" align="center">
-                <Dialog.Title fontSize="lg" fontWeight="700">{liability ? 'Edit Liability' : 'Add New Liability'}</Dialog.Title>
+                <Dialog.Title fontSize="lg" fontWeight="700">{liability ? t('assets.editLiability') : t('assets.addNewLiability')}</Dialog.Title>
                 <Dialog.CloseTrigger asChild>
                   <CloseButton color="white" _hover={{ bg: 'whiteAlpha.200' }} />
                 </Dialog.CloseTrigger>
@@ -1218,7 +1244,7 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
             <Dialog.Body p={5}>
               <VStack gap={4}>
                 <Box w="100%">
-                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>Liability Type</Text>
+                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>{t('assets.liabilityType')}</Text>
                   <Box ref={typeDropdownRef} position="relative" w="100%">
                     {/* Dropdown Trigger */}
                     <Box
@@ -1241,7 +1267,7 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
                         fontSize="sm"
                         noOfLines={1}
                       >
-                        {types.find(t => t.id === formData.type_id)?.icon} {types.find(t => t.id === formData.type_id)?.name || 'Select type'}
+                        {types.find(lt => lt.id === formData.type_id)?.icon} {types.find(lt => lt.id === formData.type_id)?.name || t('assets.selectType')}
                       </Text>
                       <Box
                         as="span"
@@ -1310,11 +1336,11 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
                 </Box>
 
                 <Box w="100%">
-                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>Creditor *</Text>
+                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>{t('assets.creditor')}</Text>
                   <Input
                     value={formData.creditor}
                     onChange={(e) => setFormData({ ...formData, creditor: e.target.value })}
-                    placeholder="e.g., TD Bank, Honda Finance"
+                    placeholder={t('assets.creditorPlaceholder')}
                     bg={colors.inputBg}
                     borderColor={errors.creditor ? 'red.500' : colors.borderColor}
                     color={colors.textPrimary}
@@ -1324,9 +1350,9 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
 
                 <Box w="100%">
                   <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>
-                    Link to Spending Category
+                    {t('assets.linkCategory')}
                     <Text as="span" fontSize="xs" color={colors.textMuted} fontWeight="400" ml={2}>
-                      (auto-reduce balance on payments)
+                      {t('assets.linkCategoryHint')}
                     </Text>
                   </Text>
                   <Box ref={linkedCategoryDropdownRef} position="relative" w="100%">
@@ -1360,10 +1386,10 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
                               const monthlyAmount = recurringPayment
                                 ? convertToMonthly(recurringPayment.amount, recurringPayment.frequency)
                                 : 0;
-                              const amountHint = recurringPayment ? ` (${formatCurrency(monthlyAmount)}/mo)` : '';
+                              const amountHint = recurringPayment ? ` (${t('assets.perMonth', { amount: formatCurrency(monthlyAmount) })})` : '';
                               return `${cat?.name || ''}${amountHint}`;
                             })()
-                          : '— No link (manual tracking) —'}
+                          : t('assets.noLink')}
                       </Text>
                       <Box
                         as="span"
@@ -1414,7 +1440,7 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
                               fontSize="sm"
                               fontWeight={!formData.linked_category_id ? '600' : '400'}
                             >
-                              — No link (manual tracking) —
+                              {t('assets.noLink')}
                             </Text>
                             {!formData.linked_category_id && (
                               <Text color="blue.500" fontSize="sm">✓</Text>
@@ -1428,7 +1454,7 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
                             const monthlyAmount = recurringPayment
                               ? convertToMonthly(recurringPayment.amount, recurringPayment.frequency)
                               : 0;
-                            const amountHint = recurringPayment ? ` (${formatCurrency(monthlyAmount)}/mo)` : '';
+                            const amountHint = recurringPayment ? ` (${t('assets.perMonth', { amount: formatCurrency(monthlyAmount) })})` : '';
                             return (
                               <HStack
                                 key={cat.id}
@@ -1469,16 +1495,16 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
                     return (
                       <VStack align="start" gap={1} mt={1}>
                         <Text fontSize="xs" color="green.500">
-                          ✓ When you spend in this category, the balance will automatically decrease
+                          ✓ {t('assets.linkedHint')}
                         </Text>
                         {linkedRecurring?.end_date && (
                           <Text fontSize="xs" color="blue.500">
-                            📅 Recurring ends: {new Date(linkedRecurring.end_date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                            📅 {t('assets.recurringEnds', { date: formatDate(linkedRecurring.end_date) })}
                           </Text>
                         )}
                         {linkedRecurring && !linkedRecurring.end_date && (
                           <Text fontSize="xs" color={colors.textMuted}>
-                            ℹ️ No end date set on recurring payment
+                            ℹ️ {t('assets.noEndDate')}
                           </Text>
                         )}
                       </VStack>
@@ -1488,9 +1514,9 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
 
                 <Box w="100%">
                   <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>
-                    Start Date
+                    {t('assets.startDate')}
                     <Text as="span" fontSize="xs" color={colors.textMuted} fontWeight="400" ml={2}>
-                      (only payments from this date count)
+                      {t('assets.startDateHint')}
                     </Text>
                   </Text>
                   <Input
@@ -1505,7 +1531,7 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
 
                 <SimpleGrid columns={2} gap={4} w="100%">
                   <Box>
-                    <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>Outstanding Balance *</Text>
+                    <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>{t('assets.outstandingBalance')}</Text>
                     <Input
                       type="text"
                       inputMode="decimal"
@@ -1520,14 +1546,14 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
                         const num = parseFloat(parseFormattedNumber(e.target.value)) || 0;
                         setFormData({ ...formData, outstanding_balance: num });
                       }}
-                      placeholder="Enter amount"
+                      placeholder={t('assets.enterAmount')}
                       bg={colors.inputBg}
                       borderColor={errors.outstanding_balance ? 'red.500' : colors.borderColor}
                       color={colors.textPrimary}
                     />
                   </Box>
                   <Box>
-                    <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>Original Balance</Text>
+                    <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>{t('assets.originalBalance')}</Text>
                     <Input
                       type="text"
                       inputMode="decimal"
@@ -1542,7 +1568,7 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
                         const num = parseFloat(parseFormattedNumber(e.target.value)) || 0;
                         setFormData({ ...formData, original_balance: num });
                       }}
-                      placeholder="Enter amount"
+                      placeholder={t('assets.enterAmount')}
                       bg={colors.inputBg}
                       borderColor={colors.borderColor}
                       color={colors.textPrimary}
@@ -1550,13 +1576,18 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
                   </Box>
                 </SimpleGrid>
 
+                <Box w="100%">
+                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>{t('assets.currency')}</Text>
+                  <CurrencyPicker value={formData.currency} onChange={(currency) => setFormData({ ...formData, currency })} />
+                </Box>
+
                 <SimpleGrid columns={2} gap={4} w="100%">
                   <Box>
                     <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>
-                      Monthly Payment
+                      {t('assets.monthlyPayment')}
                       {autoFilledPayment && (
                         <Text as="span" fontSize="xs" color="green.500" fontWeight="500" ml={2}>
-                          ✓ from recurring
+                          ✓ {t('assets.fromRecurring')}
                         </Text>
                       )}
                     </Text>
@@ -1575,14 +1606,14 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
                         const num = parseFloat(parseFormattedNumber(e.target.value)) || 0;
                         setFormData({ ...formData, monthly_payment: num });
                       }}
-                      placeholder="Enter amount"
+                      placeholder={t('assets.enterAmount')}
                       bg={colors.inputBg}
                       borderColor={autoFilledPayment ? 'green.500' : (errors.monthly_payment ? 'red.500' : colors.borderColor)}
                       color={colors.textPrimary}
                     />
                   </Box>
                   <Box>
-                    <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>Interest Rate (%)</Text>
+                    <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>{t('assets.interestRatePercent')}</Text>
                     <Input
                       type="text"
                       inputMode="decimal"
@@ -1608,11 +1639,11 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
                 </SimpleGrid>
 
                 <Box w="100%">
-                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>Note (optional)</Text>
+                  <Text fontSize="sm" fontWeight="600" mb={2} color={colors.textSecondary}>{t('assets.noteOptional')}</Text>
                   <Textarea
                     value={formData.note}
                     onChange={(e) => setFormData({ ...formData, note: e.target.value })}
-                    placeholder="Any additional details..."
+                    placeholder={t('assets.notePlaceholder')}
                     bg={colors.inputBg}
                     borderColor={colors.borderColor}
                     color={colors.textPrimary}
@@ -1623,8 +1654,8 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
             </Dialog.Body>
             <Dialog.Footer p={5} borderTop="1px" borderColor={colors.borderSubtle}>
               <HStack justify="flex-end" gap={3}>
-                <Button variant="ghost" onClick={onClose} color={colors.textSecondary}>Cancel</Button>
-                <Button colorScheme="red" onClick={handleSave} loading={saving}>{liability ? 'Save Changes' : 'Add Liability'}</Button>
+                <Button variant="ghost" onClick={onClose} color={colors.textSecondary}>{t('common.cancel')}</Button>
+                <Button colorScheme="red" onClick={handleSave} loading={saving}>{liability ? t('assets.saveChanges') : t('assets.addLiability')}</Button>
               </HStack>
             </Dialog.Footer>
           </Dialog.Content>
@@ -1636,6 +1667,7 @@ const LiabilityModal = ({ isOpen, onClose, liability, types, spendingCategories,
 
 // Delete Confirmation Dialog
 const DeleteConfirmDialog = ({ isOpen, onClose, onConfirm, itemType, itemName, colors }) => {
+  const { t } = useI18n();
   const [deleting, setDeleting] = useState(false);
 
   const handleConfirm = async () => {
@@ -1656,18 +1688,18 @@ const DeleteConfirmDialog = ({ isOpen, onClose, onConfirm, itemType, itemName, c
                 <Box bg="red.100" p={2} borderRadius="full">
                   <Text fontSize="xl">⚠️</Text>
                 </Box>
-                <Dialog.Title fontSize="lg" fontWeight="700" color={colors.textPrimary}>Delete {itemType}?</Dialog.Title>
+                <Dialog.Title fontSize="lg" fontWeight="700" color={colors.textPrimary}>{itemType === 'asset' ? t('assets.deleteAssetTitle') : t('assets.deleteLiabilityTitle')}</Dialog.Title>
               </Flex>
             </Dialog.Header>
             <Dialog.Body px={5} pb={5}>
               <Text color={colors.textSecondary}>
-                Are you sure you want to delete <Text as="span" fontWeight="700">"{itemName}"</Text>? This action cannot be undone.
+                {t('assets.deleteConfirmBefore')} <Text as="span" fontWeight="700">"{itemName}"</Text>{t('assets.deleteConfirmAfter')}
               </Text>
             </Dialog.Body>
             <Dialog.Footer p={5} borderTop="1px" borderColor={colors.borderSubtle}>
               <HStack justify="flex-end" gap={3}>
-                <Button variant="ghost" onClick={onClose} color={colors.textSecondary}>Cancel</Button>
-                <Button colorScheme="red" onClick={handleConfirm} loading={deleting}>Delete</Button>
+                <Button variant="ghost" onClick={onClose} color={colors.textSecondary}>{t('common.cancel')}</Button>
+                <Button colorScheme="red" onClick={handleConfirm} loading={deleting}>{t('common.delete')}</Button>
               </HStack>
             </Dialog.Footer>
           </Dialog.Content>
@@ -1682,16 +1714,16 @@ const DeleteConfirmDialog = ({ isOpen, onClose, onConfirm, itemType, itemName, c
 // ============================================
 
 // Summary Card Component
-const SummaryCard = ({ title, value, trend, trendFormat, gradient, colors, icon, valueColor }) => {
+const SummaryCard = ({ title, value, trend, trendFormat, gradient, colors, icon, valueColor, lowerIsBetter }) => {
+  const { t } = useI18n();
+  const formatCurrency = useFormatCurrency();
   const formatTrend = (val) => {
     if (trendFormat === 'percent') return `${Math.abs(val).toFixed(1)}pp`;
     return formatCurrency(Math.abs(val));
   };
   const isPositive = trend >= 0;
   // For liabilities, an increase is bad (red), a decrease is good (green)
-  const trendIsGood = title === 'Total Liabilities' || title === 'Debt-to-Assets'
-    ? !isPositive
-    : isPositive;
+  const trendIsGood = lowerIsBetter ? !isPositive : isPositive;
   const trendColor = trendIsGood ? colors.success : colors.danger;
 
   return (
@@ -1727,7 +1759,7 @@ const SummaryCard = ({ title, value, trend, trendFormat, gradient, colors, icon,
                 {isPositive ? '▲' : '▼'} {formatTrend(trend)}
               </Text>
             </Box>
-            <Text fontSize="xs" color={colors.textMuted}>vs previous</Text>
+            <Text fontSize="xs" color={colors.textMuted}>{t('assets.vsPrevious')}</Text>
           </HStack>
         )}
       </VStack>
@@ -1737,7 +1769,10 @@ const SummaryCard = ({ title, value, trend, trendFormat, gradient, colors, icon,
 
 // Asset Row Component
 const AssetRow = ({ asset, category, totalAssets, onEdit, onDelete, colors }) => {
-  const percentOfTotal = totalAssets > 0 ? (asset.amount / totalAssets) * 100 : 0;
+  const { t } = useI18n();
+  const formatCurrency = useFormatCurrency();
+  const { toBase } = useCurrency();
+  const percentOfTotal = totalAssets > 0 ? (toBase(asset.amount, asset.currency) / totalAssets) * 100 : 0;
 
   return (
     <Box
@@ -1758,7 +1793,7 @@ const AssetRow = ({ asset, category, totalAssets, onEdit, onDelete, colors }) =>
           <Text fontSize="sm" fontWeight="600" color={colors.textSecondary} noOfLines={1}>{category?.name}</Text>
         </HStack>
         <Text flex="1" minW="0" fontSize="md" fontWeight="700" color={colors.textPrimary} noOfLines={1}>{asset.name}</Text>
-        <Text flex="1" minW="0" fontSize="md" fontWeight="800" color={colors.success}>{formatCurrency(asset.amount)}</Text>
+        <Text flex="1" minW="0" fontSize="md" fontWeight="800" color={colors.success}>{formatCurrency(asset.amount, asset.currency)}</Text>
         <Text flex="1" minW="0" fontSize="sm" color={colors.textMuted} fontWeight="600">{percentOfTotal.toFixed(1)}%</Text>
         <Text flex="1" minW="0" fontSize="sm" color={colors.textSecondary} noOfLines={1}>{asset.note || '-'}</Text>
         <Box w="80px" textAlign="center">
@@ -1768,7 +1803,7 @@ const AssetRow = ({ asset, category, totalAssets, onEdit, onDelete, colors }) =>
             colorPalette="red"
             onClick={(e) => { e.stopPropagation(); onDelete(asset); }}
           >
-            Delete
+            {t('common.delete')}
           </Button>
         </Box>
       </Flex>
@@ -1789,12 +1824,12 @@ const AssetRow = ({ asset, category, totalAssets, onEdit, onDelete, colors }) =>
             colorPalette="red"
             onClick={(e) => { e.stopPropagation(); onDelete(asset); }}
           >
-            Delete
+            {t('common.delete')}
           </Button>
         </Flex>
         <Flex justify="space-between" align="center">
           <HStack gap={3}>
-            <Text fontSize="lg" fontWeight="800" color={colors.success}>{formatCurrency(asset.amount)}</Text>
+            <Text fontSize="lg" fontWeight="800" color={colors.success}>{formatCurrency(asset.amount, asset.currency)}</Text>
             <Text fontSize="sm" color={colors.textMuted} fontWeight="600">({percentOfTotal.toFixed(1)}%)</Text>
           </HStack>
         </Flex>
@@ -1808,6 +1843,8 @@ const AssetRow = ({ asset, category, totalAssets, onEdit, onDelete, colors }) =>
 
 // Liability Row Component
 const LiabilityRow = ({ liability, type, linkedCategory, payments, onEdit, onDelete, colors }) => {
+  const { t } = useI18n();
+  const formatCurrency = useFormatCurrency();
   const progress = liability.original_balance > 0
     ? ((liability.original_balance - liability.outstanding_balance) / liability.original_balance) * 100
     : 0;
@@ -1844,7 +1881,7 @@ const LiabilityRow = ({ liability, type, linkedCategory, payments, onEdit, onDel
         </HStack>
         <Text flex="1" minW="0" fontSize="md" fontWeight="700" color={colors.textPrimary} noOfLines={1}>{liability.creditor}</Text>
         <Box flex="1" minW="0">
-          <Text fontSize="md" fontWeight="800" color={colors.danger}>{formatCurrency(liability.outstanding_balance)}</Text>
+          <Text fontSize="md" fontWeight="800" color={colors.danger}>{formatCurrency(liability.outstanding_balance, liability.currency)}</Text>
           {liability.original_balance > 0 && progress > 0 && (
             <HStack gap={2} mt={1}>
               <Box w="70px" h="6px" bg={colors.rowStripedBg} borderRadius="full" overflow="hidden" border="1px solid" borderColor={colors.borderColor}>
@@ -1855,14 +1892,14 @@ const LiabilityRow = ({ liability, type, linkedCategory, payments, onEdit, onDel
           )}
         </Box>
         <Box flex="1" minW="0">
-          <Text fontSize="sm" color={colors.textSecondary}>{formatCurrency(liability.monthly_payment)}/mo</Text>
+          <Text fontSize="sm" color={colors.textSecondary}>{t('assets.perMonth', { amount: formatCurrency(liability.monthly_payment, liability.currency) })}</Text>
           {linkedCategory && totalPaid > 0 && (
             <Text fontSize="xs" color="green.500" fontWeight="500">
-              {formatCurrency(totalPaid)} paid ({paymentCount})
+              {t('assets.paidCount', { amount: formatCurrency(totalPaid, liability.currency), count: paymentCount })}
             </Text>
           )}
         </Box>
-        <Text flex="1" minW="0" fontSize="sm" color={colors.textMuted}>{liability.interest_rate}% APR</Text>
+        <Text flex="1" minW="0" fontSize="sm" color={colors.textMuted}>{t('assets.apr', { rate: liability.interest_rate })}</Text>
         <Box w="80px" textAlign="center">
           <Button
             size="sm"
@@ -1870,7 +1907,7 @@ const LiabilityRow = ({ liability, type, linkedCategory, payments, onEdit, onDel
             colorPalette="red"
             onClick={(e) => { e.stopPropagation(); onDelete(liability); }}
           >
-            Delete
+            {t('common.delete')}
           </Button>
         </Box>
       </Flex>
@@ -1899,12 +1936,12 @@ const LiabilityRow = ({ liability, type, linkedCategory, payments, onEdit, onDel
             colorPalette="red"
             onClick={(e) => { e.stopPropagation(); onDelete(liability); }}
           >
-            Delete
+            {t('common.delete')}
           </Button>
         </Flex>
         <Flex justify="space-between" align="center" flexWrap="wrap" gap={2}>
           <Box>
-            <Text fontSize="lg" fontWeight="800" color={colors.danger}>{formatCurrency(liability.outstanding_balance)}</Text>
+            <Text fontSize="lg" fontWeight="800" color={colors.danger}>{formatCurrency(liability.outstanding_balance, liability.currency)}</Text>
             {liability.original_balance > 0 && progress > 0 && (
               <HStack gap={2} mt={1}>
                 <Box w="60px" h="6px" bg={colors.rowStripedBg} borderRadius="full" overflow="hidden" border="1px solid" borderColor={colors.borderColor}>
@@ -1915,13 +1952,13 @@ const LiabilityRow = ({ liability, type, linkedCategory, payments, onEdit, onDel
             )}
           </Box>
           <HStack gap={3} flexWrap="wrap">
-            <Text fontSize="sm" color={colors.textSecondary}>{formatCurrency(liability.monthly_payment)}/mo</Text>
-            <Text fontSize="sm" color={colors.textMuted}>{liability.interest_rate}% APR</Text>
+            <Text fontSize="sm" color={colors.textSecondary}>{t('assets.perMonth', { amount: formatCurrency(liability.monthly_payment, liability.currency) })}</Text>
+            <Text fontSize="sm" color={colors.textMuted}>{t('assets.apr', { rate: liability.interest_rate })}</Text>
           </HStack>
         </Flex>
         {linkedCategory && totalPaid > 0 && (
           <Text fontSize="xs" color="green.500" fontWeight="500" mt={2}>
-            {formatCurrency(totalPaid)} paid ({paymentCount} payments)
+            {t('assets.paidPayments', { amount: formatCurrency(totalPaid, liability.currency), count: paymentCount })}
           </Text>
         )}
       </Box>
@@ -1934,8 +1971,16 @@ const LiabilityRow = ({ liability, type, linkedCategory, payments, onEdit, onDel
 // ============================================
 
 export default function AssetsLiabilities() {
+  const { t } = useI18n();
   const { user } = useAuth();
   const colors = useDarkModeColors();
+  const { toBase, convertTransactions } = useCurrency();
+  const formatCurrency = useFormatCurrency();
+  const { formatDate } = usePreferences();
+
+  // Net worth counts every asset and liability in the base currency
+  const assetValue = (a) => toBase(parseFloat(a.amount) || 0, a.currency);
+  const liabilityValue = (l) => toBase(parseFloat(l.outstanding_balance) || 0, l.currency);
 
   // State
   const [assets, setAssets] = useState([]);
@@ -1983,10 +2028,15 @@ export default function AssetsLiabilities() {
   useEffect(() => {
     if (user) {
       loadData();
-      loadMonthlyExpenses();
     }
   }, [user]);
 
+  useEffect(() => {
+    if (user) {
+      loadMonthlyExpenses();
+    }
+  }, [user, convertTransactions]);
+
   // Handle click outside to close dropdowns
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -2027,7 +2077,7 @@ export default function AssetsLiabilities() {
 
       const { data: transactions, error } = await supabase
         .from('transactions')
-        .select('amount, type, date')
+        .select('amount, currency, type, date')
         .eq('user_id', user.id)
         .eq('type', 'expense')
         .gte('date', twelveMonthsAgo.toISOString().split('T')[0]);
@@ -2044,7 +2094,7 @@ export default function AssetsLiabilities() {
         );
         const actualMonths = Math.max(1, monthsWithData.size);
 
-        const totalExpenses = transactions.reduce((sum, t) => sum + parseFloat(t.amount || 0), 0);
+        const totalExpenses = convertTransactions(transactions).reduce((sum, t) => sum + parseFloat(t.amount || 0), 0);
         const avgMonthly = totalExpenses / actualMonths;
         setMonthlyExpenses(avgMonthly);
       }
@@ -2290,8 +2340,8 @@ export default function AssetsLiabilities() {
 
   // Auto-save snapshot helper (called after asset/liability changes)
   const autoSaveSnapshot = async (currentAssets, currentLiabilities) => {
-    const totalAssetsValue = currentAssets.reduce((sum, a) => sum + (parseFloat(a.amount) || 0), 0);
-    const totalLiabilitiesValue = currentLiabilities.reduce((sum, l) => sum + (parseFloat(l.outstanding_balance) || 0), 0);
+    const totalAssetsValue = currentAssets.reduce((sum, a) => sum + assetValue(a), 0);
+    const totalLiabilitiesValue = currentLiabilities.reduce((sum, l) => sum + liabilityValue(l), 0);
     const equityValue = totalAssetsValue - totalLiabilitiesValue;
 
     const today = new Date().toISOString().split('T')[0];
@@ -2375,8 +2425,8 @@ export default function AssetsLiabilities() {
   };
 
   // Calculate live metrics
-  const liveTotalAssets = assets.reduce((sum, a) => sum + (parseFloat(a.amount) || 0), 0);
-  const liveTotalLiabilities = liabilities.reduce((sum, l) => sum + (parseFloat(l.outstanding_balance) || 0), 0);
+  const liveTotalAssets = assets.reduce((sum, a) => sum + assetValue(a), 0);
+  const liveTotalLiabilities = liabilities.reduce((sum, l) => sum + liabilityValue(l), 0);
 
   // Use snapshot data when a past date is selected, live data otherwise
   const today = new Date().toISOString().split('T')[0];
@@ -2414,28 +2464,28 @@ export default function AssetsLiabilities() {
       const cat = assetCategories.find((c) => c.id === a.category_id);
       return cat?.name === 'Cash' || cat?.name === 'Savings Account' || cat?.name === 'TFSA' || cat?.name === 'RRSP';
     })
-    .reduce((sum, a) => sum + parseFloat(a.amount || 0), 0);
+    .reduce((sum, a) => sum + assetValue(a), 0);
 
   const investments = assets
     .filter((a) => {
       const cat = assetCategories.find((c) => c.id === a.category_id);
       return cat?.name === 'RRSP' || cat?.name === 'TFSA' || cat?.name === 'Investment';
     })
-    .reduce((sum, a) => sum + parseFloat(a.amount || 0), 0);
+    .reduce((sum, a) => sum + assetValue(a), 0);
 
   const realEstateAssets = assets
     .filter((a) => {
       const cat = assetCategories.find((c) => c.id === a.category_id);
       return cat?.name === 'Real Estate';
     })
-    .reduce((sum, a) => sum + parseFloat(a.amount || 0), 0);
+    .reduce((sum, a) => sum + assetValue(a), 0);
 
   const mortgageLiabilities = liabilities
     .filter((l) => {
       const type = liabilityTypes.find((t) => t.id === l.type_id);
       return type?.name === 'Mortgage';
     })
-    .reduce((sum, l) => sum + parseFloat(l.outstanding_balance || 0), 0);
+    .reduce((sum, l) => sum + liabilityValue(l), 0);
 
   const homeEquity = realEstateAssets - mortgageLiabilities;
 
@@ -2456,7 +2506,7 @@ export default function AssetsLiabilities() {
         <Flex direction={{ base: 'column', md: 'row' }} justify="space-between" align={{ base: 'stretch', md: 'center' }} gap={4}>
           <HStack>
             <Text fontSize="3xl">💰</Text>
-            <Heading size="2xl" color={colors.textPrimary}>Assets & Liabilities</Heading>
+            <Heading size="2xl" color={colors.textPrimary}>{t('assets.title')}</Heading>
           </HStack>
           <Flex gap={3} align="center" flexWrap="wrap" justify={{ base: 'flex-start', md: 'flex-end' }}>
             <HStack gap={3}>
@@ -2479,7 +2529,7 @@ export default function AssetsLiabilities() {
                   h="40px"
                 >
                   <Text noOfLines={1}>
-                    {new Date(recordDate + 'T00:00:00').toLocaleDateString()}
+                    {formatDate(recordDate)}
                   </Text>
                   <Box
                     as="span"
@@ -2529,10 +2579,10 @@ export default function AssetsLiabilities() {
                           >
                             <HStack gap={2}>
                               <Text fontSize="sm" color={colors.textPrimary}>
-                                {new Date(s.record_date + 'T00:00:00').toLocaleDateString()}
+                                {formatDate(s.record_date)}
                               </Text>
                               {s.record_date === today && (
-                                <Text fontSize="xs" color={colors.textMuted}>(today)</Text>
+                                <Text fontSize="xs" color={colors.textMuted}>{t('assets.todayMark')}</Text>
                               )}
                             </HStack>
                             {recordDate === s.record_date && (
@@ -2564,7 +2614,7 @@ export default function AssetsLiabilities() {
                   h="40px"
                 >
                   <Text noOfLines={1}>
-                    {compareDate ? new Date(compareDate).toLocaleDateString() : 'Compare to...'}
+                    {compareDate ? formatDate(compareDate) : t('assets.compareTo')}
                   </Text>
                   <Box
                     as="span"
@@ -2601,7 +2651,7 @@ export default function AssetsLiabilities() {
                         borderRadius="md"
                         onClick={() => { setCompareDate(''); setCompareDropdownOpen(false); }}
                       >
-                        <Text fontSize="sm" color={colors.textMuted}>No comparison</Text>
+                        <Text fontSize="sm" color={colors.textMuted}>{t('assets.noComparison')}</Text>
                       </Box>
                       {snapshots.map((s) => (
                         <Box
@@ -2618,7 +2668,7 @@ export default function AssetsLiabilities() {
                           alignItems="center"
                         >
                           <Text fontSize="sm" color={colors.textPrimary}>
-                            {new Date(s.record_date).toLocaleDateString()}
+                            {formatDate(s.record_date)}
                           </Text>
                           {compareDate === s.record_date && (
                             <Text color="blue.500" fontSize="sm">✓</Text>
@@ -2637,20 +2687,22 @@ export default function AssetsLiabilities() {
             >
               <HStack gap={2}>
                 <Text fontSize="sm">📸</Text>
-                <Text>Save Snapshot</Text>
+                <Text>{t('assets.saveSnapshot')}</Text>
               </HStack>
             </Button>
           </Flex>
         </Flex>
 
+        <MissingRatesNotice />
+
         {/* Summary Cards */}
         <SimpleGrid columns={{ base: 2, sm: 3, md: 5 }} gap={4}>
-          <SummaryCard title="Total Assets" value={formatCurrency(totalAssets)} gradient="linear(to-br, green.500, green.700)" colors={colors} icon="📊" trend={assetsChange} />
-          <SummaryCard title="Total Liabilities" value={formatCurrency(totalLiabilities)} gradient="linear(to-br, red.500, red.700)" colors={colors} icon="💳" trend={liabilitiesChange} />
-          <SummaryCard title="Net Worth" value={formatCurrency(equity)} gradient="linear(to-br, blue.500, blue.700)" colors={colors} icon="💎" trend={equityChange} />
-          <SummaryCard title="Debt-to-Assets" value={formatPercent(debtToAssetsRatio)} gradient="linear(to-br, purple.500, purple.700)" colors={colors} icon="📈" trend={debtToAssetsChange} trendFormat="percent" />
+          <SummaryCard title={t('assets.totalAssets')} value={formatCurrency(totalAssets)} gradient="linear(to-br, green.500, green.700)" colors={colors} icon="📊" trend={assetsChange} />
+          <SummaryCard title={t('assets.totalLiabilities')} value={formatCurrency(totalLiabilities)} gradient="linear(to-br, red.500, red.700)" colors={colors} icon="💳" trend={liabilitiesChange} lowerIsBetter />
+          <SummaryCard title={t('assets.netWorth')} value={formatCurrency(equity)} gradient="linear(to-br, blue.500, blue.700)" colors={colors} icon="💎" trend={equityChange} />
+          <SummaryCard title={t('assets.debtToAssets')} value={formatPercent(debtToAssetsRatio)} gradient="linear(to-br, purple.500, purple.700)" colors={colors} icon="📈" trend={debtToAssetsChange} trendFormat="percent" lowerIsBetter />
           <SummaryCard
-            title="Equity Change"
+            title={t('assets.equityChange')}
             value={equityChange !== null ? `${equityChange >= 0 ? '+' : ''}${formatCurrency(equityChange)}` : '-'}
             gradient={equityChange === null || equityChange >= 0 ? 'linear(to-br, green.500, green.700)' : 'linear(to-br, red.500, red.700)'}
             colors={colors}
@@ -2663,7 +2715,7 @@ export default function AssetsLiabilities() {
         <SimpleGrid columns={{ base: 1, lg: 2 }} gap={6}>
           {/* Asset Allocation */}
           <Box bg={colors.cardBg} borderRadius="20px" p={5} borderWidth="1px" borderColor={colors.borderSubtle}>
-            <Text fontSize="sm" fontWeight="700" color={colors.textMuted} mb={4}>ASSET ALLOCATION</Text>
+            <Text fontSize="sm" fontWeight="700" color={colors.textMuted} mb={4}>{t('assets.assetAllocation')}</Text>
             <Flex direction={{ base: 'column', md: 'row' }} align="center" gap={6}>
               {(() => {
                 // Calculate category totals and group small ones into "Other Assets"
@@ -2672,7 +2724,7 @@ export default function AssetsLiabilities() {
                 assets.forEach((asset) => {
                   const cat = assetCategories.find((c) => c.id === asset.category_id);
                   const catName = cat?.name || 'Other';
-                  categoryTotals[catName] = (categoryTotals[catName] || 0) + parseFloat(asset.amount || 0);
+                  categoryTotals[catName] = (categoryTotals[catName] || 0) + assetValue(asset);
                 });
 
                 // Separate into main categories and small ones
@@ -2809,19 +2861,19 @@ export default function AssetsLiabilities() {
         <SimpleGrid columns={{ base: 1, md: 2, lg: 4 }} gap={4}>
           <EmergencyFundIndicator liquidAssets={liquidAssets} monthlyExpenses={monthlyExpenses} colors={colors} />
           <Box bg={colors.cardBg} borderRadius="16px" p={5} borderWidth="1px" borderColor={colors.borderSubtle}>
-            <Text fontSize="xs" color={colors.textMuted} fontWeight="600" mb={1}>HOME EQUITY</Text>
+            <Text fontSize="xs" color={colors.textMuted} fontWeight="600" mb={1}>{t('assets.homeEquity')}</Text>
             <Text fontSize="2xl" fontWeight="800" color={colors.textPrimary}>{formatCurrency(homeEquity)}</Text>
-            <Text fontSize="xs" color={colors.textSecondary} mt={1}>Real Estate - Mortgage</Text>
+            <Text fontSize="xs" color={colors.textSecondary} mt={1}>{t('assets.homeEquityHint')}</Text>
           </Box>
           <Box bg={colors.cardBg} borderRadius="16px" p={5} borderWidth="1px" borderColor={colors.borderSubtle}>
-            <Text fontSize="xs" color={colors.textMuted} fontWeight="600" mb={1}>INVESTMENTS</Text>
+            <Text fontSize="xs" color={colors.textMuted} fontWeight="600" mb={1}>{t('assets.investments')}</Text>
             <Text fontSize="2xl" fontWeight="800" color={colors.textPrimary}>{formatCurrency(investments)}</Text>
-            <Text fontSize="xs" color={colors.textSecondary} mt={1}>{equity > 0 ? `${((investments / equity) * 100).toFixed(0)}% of net worth` : '-'}</Text>
+            <Text fontSize="xs" color={colors.textSecondary} mt={1}>{equity > 0 ? t('assets.ofNetWorth', { percent: ((investments / equity) * 100).toFixed(0) }) : '-'}</Text>
           </Box>
           <Box bg={colors.cardBg} borderRadius="16px" p={5} borderWidth="1px" borderColor={colors.borderSubtle}>
-            <Text fontSize="xs" color={colors.textMuted} fontWeight="600" mb={1}>LIQUID ASSETS</Text>
+            <Text fontSize="xs" color={colors.textMuted} fontWeight="600" mb={1}>{t('assets.liquidAssets')}</Text>
             <Text fontSize="2xl" fontWeight="800" color={colors.textPrimary}>{formatCurrency(liquidAssets)}</Text>
-            <Text fontSize="xs" color={colors.textSecondary} mt={1}>{totalAssets > 0 ? `${((liquidAssets / totalAssets) * 100).toFixed(0)}% of total assets` : '-'}</Text>
+            <Text fontSize="xs" color={colors.textSecondary} mt={1}>{totalAssets > 0 ? t('assets.ofTotalAssets', { percent: ((liquidAssets / totalAssets) * 100).toFixed(0) }) : '-'}</Text>
           </Box>
         </SimpleGrid>
 
@@ -2846,7 +2898,7 @@ export default function AssetsLiabilities() {
                     ▶
                   </Text>
                   <Text fontSize="xl">📊</Text>
-                  <Heading size={{ base: 'md', md: 'lg' }} color="white">Assets</Heading>
+                  <Heading size={{ base: 'md', md: 'lg' }} color="white">{t('assets.assets')}</Heading>
                 </HStack>
                 <Button
                   bg="white"
@@ -2884,14 +2936,14 @@ export default function AssetsLiabilities() {
               <Box p={4} pb={3} mb={3} borderBottom="1px" borderColor={colors.borderColor} display={{ base: 'none', md: 'block' }}>
                 <Flex gap={3}>
                   <HStack flex="1" minW="0">
-                    <Text fontSize="xs" fontWeight="700" color={colors.textMuted}>CATEGORY</Text>
+                    <Text fontSize="xs" fontWeight="700" color={colors.textMuted}>{t('assets.colCategory')}</Text>
                   </HStack>
-                  <Text flex="1" minW="0" fontSize="xs" fontWeight="700" color={colors.textMuted}>NAME</Text>
-                  <Text flex="1" minW="0" fontSize="xs" fontWeight="700" color={colors.textMuted}>VALUE</Text>
-                  <Text flex="1" minW="0" fontSize="xs" fontWeight="700" color={colors.textMuted}>% OF TOTAL</Text>
-                  <Text flex="1" minW="0" fontSize="xs" fontWeight="700" color={colors.textMuted}>NOTE</Text>
+                  <Text flex="1" minW="0" fontSize="xs" fontWeight="700" color={colors.textMuted}>{t('assets.colName')}</Text>
+                  <Text flex="1" minW="0" fontSize="xs" fontWeight="700" color={colors.textMuted}>{t('assets.colValue')}</Text>
+                  <Text flex="1" minW="0" fontSize="xs" fontWeight="700" color={colors.textMuted}>{t('assets.colPercent')}</Text>
+                  <Text flex="1" minW="0" fontSize="xs" fontWeight="700" color={colors.textMuted}>{t('assets.colNote')}</Text>
                   <Box w="80px" textAlign="center">
-                    <Text fontSize="xs" fontWeight="700" color={colors.textMuted}>ACTIONS</Text>
+                    <Text fontSize="xs" fontWeight="700" color={colors.textMuted}>{t('assets.colActions')}</Text>
                   </Box>
                 </Flex>
               </Box>
@@ -2899,12 +2951,12 @@ export default function AssetsLiabilities() {
                 {assets.length === 0 ? (
                   <Box textAlign="center" py={8}>
                     <Text fontSize="3xl" mb={2}>🏦</Text>
-                    <Text color={colors.textMuted} fontSize="md">No assets yet. Click "Add Asset" to get started.</Text>
+                    <Text color={colors.textMuted} fontSize="md">{t('assets.noAssetsYet')}</Text>
                   </Box>
                 ) : (
                   <>
                     {(() => {
-                      const sortedAssets = [...assets].sort((a, b) => parseFloat(b.amount || 0) - parseFloat(a.amount || 0));
+                      const sortedAssets = [...assets].sort((a, b) => assetValue(b) - assetValue(a));
                       const displayedAssets = showAllAssets ? sortedAssets : sortedAssets.slice(0, INITIAL_ASSETS_DISPLAY);
                       const hiddenCount = sortedAssets.length - INITIAL_ASSETS_DISPLAY;
                       return (
@@ -2929,7 +2981,7 @@ export default function AssetsLiabilities() {
                                 _hover={{ color: 'green.500', textDecoration: 'underline' }}
                                 onClick={() => setShowAllAssets(!showAllAssets)}
                               >
-                                {showAllAssets ? 'Show less' : `+${hiddenCount} more assets`}
+                                {showAllAssets ? t('assets.showLess') : t('assets.moreAssets', { count: hiddenCount })}
                               </Text>
                             </Box>
                           )}
@@ -2964,7 +3016,7 @@ export default function AssetsLiabilities() {
                     ▶
                   </Text>
                   <Text fontSize="xl">💳</Text>
-                  <Heading size={{ base: 'md', md: 'lg' }} color="white">Liabilities</Heading>
+                  <Heading size={{ base: 'md', md: 'lg' }} color="white">{t('assets.liabilities')}</Heading>
                 </HStack>
                 <Button
                   bg="white"
@@ -3002,18 +3054,18 @@ export default function AssetsLiabilities() {
               <Box p={4} pb={3} mb={3} borderBottom="1px" borderColor={colors.borderColor} display={{ base: 'none', md: 'block' }}>
                 <Flex gap={3}>
                   <HStack flex="1" minW="0">
-                    <Text fontSize="xs" fontWeight="700" color={colors.textMuted}>TYPE</Text>
+                    <Text fontSize="xs" fontWeight="700" color={colors.textMuted}>{t('assets.colType')}</Text>
                   </HStack>
-                  <Text flex="1" minW="0" fontSize="xs" fontWeight="700" color={colors.textMuted}>CREDITOR</Text>
+                  <Text flex="1" minW="0" fontSize="xs" fontWeight="700" color={colors.textMuted}>{t('assets.colCreditor')}</Text>
                   <Box flex="1" minW="0">
-                    <Text fontSize="xs" fontWeight="700" color={colors.textMuted}>BALANCE</Text>
+                    <Text fontSize="xs" fontWeight="700" color={colors.textMuted}>{t('assets.colBalance')}</Text>
                   </Box>
                   <Box flex="1" minW="0">
-                    <Text fontSize="xs" fontWeight="700" color={colors.textMuted}>PAYMENT</Text>
+                    <Text fontSize="xs" fontWeight="700" color={colors.textMuted}>{t('assets.colPayment')}</Text>
                   </Box>
-                  <Text flex="1" minW="0" fontSize="xs" fontWeight="700" color={colors.textMuted}>INTEREST</Text>
+                  <Text flex="1" minW="0" fontSize="xs" fontWeight="700" color={colors.textMuted}>{t('assets.colInterest')}</Text>
                   <Box w="80px" textAlign="center">
-                    <Text fontSize="xs" fontWeight="700" color={colors.textMuted}>ACTIONS</Text>
+                    <Text fontSize="xs" fontWeight="700" color={colors.textMuted}>{t('assets.colActions')}</Text>
                   </Box>
                 </Flex>
               </Box>
@@ -3021,11 +3073,11 @@ export default function AssetsLiabilities() {
                 {liabilities.length === 0 ? (
                   <Box textAlign="center" py={8}>
                     <Text fontSize="3xl" mb={2}>🎉</Text>
-                    <Text color={colors.textMuted} fontSize="md">No debts! You're debt-free!</Text>
+                    <Text color={colors.textMuted} fontSize="md">{t('assets.noDebts')}</Text>
                   </Box>
                 ) : (
                   <>
-                    {[...liabilities].sort((a, b) => parseFloat(b.outstanding_balance || 0) - parseFloat(a.outstanding_balance || 0)).slice(0, 2).map((liability) => (
+                    {[...liabilities].sort((a, b) => liabilityValue(b) - liabilityValue(a)).slice(0, 2).map((liability) => (
                       <LiabilityRow
                         key={liability.id}
                         liability={liability}
@@ -3039,7 +3091,7 @@ export default function AssetsLiabilities() {
                     ))}
                     {liabilities.length > 2 && (
                       <Text fontSize="sm" color={colors.textMuted} textAlign="center" py={2}>
-                        +{liabilities.length - 2} more liabilities
+                        {t('assets.moreLiabilities', { count: liabilities.length - 2 })}
                       </Text>
                     )}
                   </>
@@ -3053,10 +3105,10 @@ export default function AssetsLiabilities() {
         {liabilities.length > 0 && (
           <Box bg={colors.cardBg} borderRadius="20px" p={6} borderWidth="1px" borderColor={colors.borderSubtle}>
             <HStack justify="space-between" mb={4}>
-              <Heading size="md" color={colors.textPrimary}>📅 Liability Payoff Projections</Heading>
+              <Heading size="md" color={colors.textPrimary}>📅 {t('assets.payoffProjections')}</Heading>
               {liabilities.length > 3 && (
                 <Text fontSize="sm" color={colors.textMuted}>
-                  Scroll for more →
+                  {t('assets.scrollMore')}
                 </Text>
               )}
             </HStack>
@@ -3071,7 +3123,7 @@ export default function AssetsLiabilities() {
               }}
             >
               <Flex gap={4} pb={2} minW="min-content">
-                {[...liabilities].sort((a, b) => parseFloat(b.outstanding_balance || 0) - parseFloat(a.outstanding_balance || 0)).map((liability) => {
+                {[...liabilities].sort((a, b) => liabilityValue(b) - liabilityValue(a)).map((liability) => {
                   const linkedRecurring = liability.linked_category_id
                     ? recurringPayments?.find((rp) => rp.category_id === liability.linked_category_id && rp.is_active && rp.type === 'expense')
                     : null;
@@ -3096,9 +3148,9 @@ export default function AssetsLiabilities() {
         {/* Net Worth Trend */}
         <Box bg={colors.cardBg} borderRadius="20px" p={6} borderWidth="1px" borderColor={colors.borderSubtle}>
           <HStack justify="space-between" mb={4}>
-            <Heading size="md" color={colors.textPrimary}>📈 Net Worth Trend</Heading>
+            <Heading size="md" color={colors.textPrimary}>📈 {t('assets.netWorthTrend')}</Heading>
             <HStack gap={3}>
-              <Text fontSize="sm" color={colors.textMuted} display={{ base: 'none', md: 'block' }}>{snapshots.length} snapshots</Text>
+              <Text fontSize="sm" color={colors.textMuted} display={{ base: 'none', md: 'block' }}>{t('assets.snapshots', { count: snapshots.length })}</Text>
               {snapshots.length > 0 && (
                 <Button
                   size="sm"
@@ -3106,7 +3158,7 @@ export default function AssetsLiabilities() {
                   colorPalette="blue"
                   onClick={() => setSnapshotsModalOpen(true)}
                 >
-                  Manage
+                  {t('assets.manage')}
                 </Button>
               )}
             </HStack>
@@ -3140,7 +3192,7 @@ export default function AssetsLiabilities() {
         isOpen={deleteConfirmOpen}
         onClose={() => { setDeleteConfirmOpen(false); setItemToDelete(null); }}
         onConfirm={itemToDelete?.type === 'asset' ? handleDeleteAsset : handleDeleteLiability}
-        itemType={itemToDelete?.type === 'Asset' ? 'Asset' : 'Liability'}
+        itemType={itemToDelete?.type}
         itemName={itemToDelete?.name || ''}
         colors={colors}
       />
@@ -3153,7 +3205,7 @@ export default function AssetsLiabilities() {
             <Dialog.Content maxW="700px" w="95%" borderRadius="20px" bg={colors.cardBg} overflow="hidden" maxH="80vh">
               <Dialog.Header bg="linear-gradient(135deg, #3B82F6 0%, #2563EB 100%)" color="white" p={5}>
                 <Flex justify="space-between" align="center">
-                  <Dialog.Title fontSize="lg" fontWeight="700">📊 Manage Snapshots</Dialog.Title>
+                  <Dialog.Title fontSize="lg" fontWeight="700">📊 {t('assets.manageSnapshots')}</Dialog.Title>
                   <Dialog.CloseTrigger asChild>
                     <CloseButton color="white" _hover={{ bg: 'whiteAlpha.200' }} />
                   </Dialog.CloseTrigger>
@@ -3163,7 +3215,7 @@ export default function AssetsLiabilities() {
                 {snapshots.length === 0 ? (
                   <Box textAlign="center" py={8}>
                     <Text fontSize="3xl" mb={2}>📭</Text>
-                    <Text color={colors.textMuted}>No snapshots yet</Text>
+                    <Text color={colors.textMuted}>{t('assets.noSnapshots')}</Text>
                   </Box>
                 ) : (
                   <Box>
@@ -3179,11 +3231,11 @@ export default function AssetsLiabilities() {
                       top={0}
                       zIndex={1}
                     >
-                      <Text flex="1.2">DATE</Text>
-                      <Text flex="1" textAlign="right">ASSETS</Text>
-                      <Text flex="1" textAlign="right">LIABILITIES</Text>
-                      <Text flex="1" textAlign="right">NET WORTH</Text>
-                      <Box w="70px" textAlign="center">ACTION</Box>
+                      <Text flex="1.2">{t('assets.colDate')}</Text>
+                      <Text flex="1" textAlign="right">{t('assets.colAssets')}</Text>
+                      <Text flex="1" textAlign="right">{t('assets.colLiabilities')}</Text>
+                      <Text flex="1" textAlign="right">{t('assets.colNetWorth')}</Text>
+                      <Box w="70px" textAlign="center">{t('assets.colAction')}</Box>
                     </Flex>
                     {/* Rows */}
                     {snapshots.map((snapshot, index) => (
@@ -3199,11 +3251,7 @@ export default function AssetsLiabilities() {
                         transition="background 0.15s"
                       >
                         <Text flex="1.2" fontSize="sm" color={colors.textSecondary}>
-                          {new Date(snapshot.record_date).toLocaleDateString('en-US', {
-                            year: 'numeric',
-                            month: 'short',
-                            day: 'numeric'
-                          })}
+                          {formatDate(snapshot.record_date)}
                         </Text>
                         <Text flex="1" fontSize="sm" fontWeight="500" color={colors.success} textAlign="right">
                           {formatCurrency(snapshot.total_assets)}
@@ -3221,7 +3269,7 @@ export default function AssetsLiabilities() {
                             colorPalette="red"
                             onClick={() => deleteSnapshot(snapshot.id)}
                           >
-                            Delete
+                            {t('common.delete')}
                           </Button>
                         </Box>
                       </Flex>
@@ -3231,8 +3279,8 @@ export default function AssetsLiabilities() {
               </Dialog.Body>
               <Dialog.Footer p={4} borderTop="1px" borderColor={colors.borderSubtle}>
                 <HStack justify="space-between" w="100%">
-                  <Text fontSize="sm" color={colors.textMuted}>{snapshots.length} total snapshots</Text>
-                  <Button variant="ghost" onClick={() => setSnapshotsModalOpen(false)}>Close</Button>
+                  <Text fontSize="sm" color={colors.textMuted}>{t('assets.totalSnapshots', { count: snapshots.length })}</Text>
+                  <Button variant="ghost" onClick={() => setSnapshotsModalOpen(false)}>{t('common.close')}</Button>
                 </HStack>
               </Dialog.Footer>
             </Dialog.Content>
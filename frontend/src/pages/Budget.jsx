@@ -1,4 +1,5 @@
 import { useState, useEffect, useRef } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
 import {
   Box,
   Flex,
@@ -18,8 +19,22 @@ import { useAuth } from '../contexts/AuthContext';
 import { supabase } from '../lib/supabaseClient';
 import PageContainer from '../components/PageContainer';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
-import { getPaymentDatesInRange } from '../lib/recurringUtils';
+import { getPaymentDatesInRange, formatFrequency } from '../lib/recurringUtils';
 import BudgetRecommendations from '../components/BudgetRecommendations';
+import { SPLITS_SELECT, expandSplits } from '../lib/splits';
+import { SPENDING_TYPES, spendingAmount } from '../lib/refunds';
+import { buildQuery } from '../lib/searchQuery';
+import { transactionsLink } from '../lib/transactionViews';
+import { reconcileBudgetSpent } from '../lib/budgetSpent';
+import { ROLLOVER_MODES, loadCarriedBalances, percentUsed } from '../lib/budgetRollover';
+import { BUDGET_MODES, incomePool, assignmentStatus, loadReceivedIncome } from '../lib/zeroBased';
+import { savePreferences } from '../lib/preferences';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { currencySymbol } from '../lib/currency';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
+import MissingRatesNotice from '../components/MissingRatesNotice';
+import ToBeAssigned from '../components/ToBeAssigned';
 
 // Circular Progress Ring Component
 const ProgressRing = ({ percent, size = 120, strokeWidth = 8, color = '#3B82F6' }) => {
@@ -105,13 +120,12 @@ const FREQ_TO_MONTHLY = {
   yearly: 1 / 12,
 };
 
-const money = (amount) =>
-  `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-
 // Marks a category that is driven by recurring payments. Hovering (or tapping,
 // on touch devices) breaks down which recurrings feed it and what they cost.
 const RecurringBadge = ({ info, colors }) => {
   const [open, setOpen] = useState(false);
+  const { formatCurrency } = useCurrency();
+  const { t } = useI18n();
 
   if (!info) return null;
 
@@ -162,7 +176,7 @@ const RecurringBadge = ({ info, colors }) => {
           w="240px"
         >
             <Text fontSize="xs" fontWeight="700" color={colors.textMuted} mb={2} textTransform="uppercase" letterSpacing="0.05em">
-              Recurring payments
+              {t('budget.recurringPayments')}
             </Text>
 
             <VStack align="stretch" gap={1.5}>
@@ -171,20 +185,20 @@ const RecurringBadge = ({ info, colors }) => {
                   <Box minW="0">
                     <Text fontSize="sm" color={colors.textPrimary} truncate>{item.name}</Text>
                     <Text fontSize="10px" color={colors.textMuted} textTransform="capitalize">
-                      {item.frequency}
+                      {formatFrequency(item.frequency)}
                     </Text>
                   </Box>
                   <Text fontSize="sm" fontWeight="600" color={colors.textPrimary} whiteSpace="nowrap">
-                    {money(item.amount)}
+                    {formatCurrency(item.amount)}
                   </Text>
                 </Flex>
               ))}
             </VStack>
 
             <Flex justify="space-between" align="baseline" mt={2} pt={2} borderTop="1px solid" borderColor={colors.borderSubtle}>
-              <Text fontSize="xs" fontWeight="600" color={colors.textMuted}>Total</Text>
+              <Text fontSize="xs" fontWeight="600" color={colors.textMuted}>{t('common.total')}</Text>
               <Text fontSize="sm" fontWeight="700" color="purple.400" whiteSpace="nowrap">
-                {money(info.monthly)}/mo
+                {t('budget.perMonth', { amount: formatCurrency(info.monthly) })}
               </Text>
             </Flex>
         </Box>
@@ -195,9 +209,11 @@ const RecurringBadge = ({ info, colors }) => {
 
 // Category Budget Card Component
 const BudgetCard = ({ item, formatCurrency, index, onClick, colors, percentOfTotal, recurringInfo }) => {
+  const { t } = useI18n();
   const isOver = item.percentOfLimit > 100;
   const isWarning = item.percentOfLimit > 80 && item.percentOfLimit <= 100;
-  const hasLimit = item.limit > 0;
+  // item.limit is what's available: the month's limit plus what rolled over into it
+  const hasLimit = item.budgeted > 0 || item.carried !== 0;
 
   return (
     <Box
@@ -261,11 +277,18 @@ const BudgetCard = ({ item, formatCurrency, index, onClick, colors, percentOfTot
               color={isOver ? 'red.500' : isWarning ? 'yellow.600' : 'green.500'}
               mb={1}
             >
-              {isOver ? 'Over Budget' : isWarning ? 'Warning' : 'On Track'}
+              {isOver ? t('budget.overBudgetStatus') : isWarning ? t('budget.warning') : t('budget.onTrack')}
             </Text>
             <Text fontSize="sm" color={colors.textMuted}>
-              of {formatCurrency(item.limit)}
+              {t('budget.ofLimit', { amount: formatCurrency(item.limit) })}
             </Text>
+            {item.carried !== 0 && (
+              <Text fontSize="xs" color={item.carried < 0 ? 'red.500' : 'green.500'}>
+                {item.carried < 0
+                  ? t('budget.carriedDeficit', { amount: formatCurrency(-item.carried) })
+                  : t('budget.carriedSurplus', { amount: formatCurrency(item.carried) })}
+              </Text>
+            )}
           </Box>
         )}
       </Flex>
@@ -275,20 +298,22 @@ const BudgetCard = ({ item, formatCurrency, index, onClick, colors, percentOfTot
           <ProgressBar percent={item.percentOfLimit} />
           <Flex justify="space-between" mt={3}>
             <Text fontSize="sm" color={colors.textMuted}>
-              {item.percentOfLimit.toFixed(0)}% used
+              {t('budget.percentUsed', { percent: item.percentOfLimit.toFixed(0) })}
             </Text>
             <Text
               fontSize="sm"
               fontWeight="600"
               color={item.remaining < 0 ? 'red.500' : 'green.500'}
             >
-              {item.remaining < 0 ? '-' : '+'}{formatCurrency(Math.abs(item.remaining))} {item.remaining < 0 ? 'over' : 'left'}
+              {item.remaining < 0
+                ? t('budget.amountOver', { amount: '-' + formatCurrency(Math.abs(item.remaining)) })
+                : t('budget.amountLeft', { amount: '+' + formatCurrency(Math.abs(item.remaining)) })}
             </Text>
           </Flex>
         </>
       ) : (
         <Text fontSize="sm" color={colors.textMuted} mt={2}>
-          No limit set
+          {t('budget.noLimit')}
         </Text>
       )}
     </Box>
@@ -298,11 +323,18 @@ const BudgetCard = ({ item, formatCurrency, index, onClick, colors, percentOfTot
 export default function Budget() {
   const { user } = useAuth();
   const colors = useDarkModeColors();
+  const { baseCurrency, formatCurrency, convertTransactions, toBase } = useCurrency();
+  const { preferences, reload: reloadPreferences, formatDate, formatMonth } = usePreferences();
+  const { t } = useI18n();
+  const zeroBased = preferences.budgetMode === 'zero_based';
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
+  const [savingMode, setSavingMode] = useState(false);
+  const [checkingSpent, setCheckingSpent] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [categories, setCategories] = useState([]);
+  const [rollovers, setRollovers] = useState({}); // Each category's { rollover, rollover_cap }, as edited in Setup
   const [budgetLimits, setBudgetLimits] = useState({});
   const [budgetData, setBudgetData] = useState([]);
   const [selectedMonth, setSelectedMonth] = useState(() => {
@@ -314,6 +346,9 @@ export default function Budget() {
   const [categoryTransactions, setCategoryTransactions] = useState([]);
   const [loadingTransactions, setLoadingTransactions] = useState(false);
   const [recurringPayments, setRecurringPayments] = useState([]);
+  const [incomeRecurring, setIncomeRecurring] = useState([]); // Income recurring payments, for the zero-based pool
+  const [receivedIncome, setReceivedIncome] = useState([]); // This month's income rows so far (zero-based)
+  const [savingsAmount, setSavingsAmount] = useState(''); // This month's savings assignment (zero-based)
   const [forecastData, setForecastData] = useState([]);
   const [viewMode, setViewMode] = useState('current'); // 'current' or 'projected'
   const [previousMonthLimits, setPreviousMonthLimits] = useState({}); // Previous month's budget limits for comparison
@@ -335,7 +370,13 @@ export default function Budget() {
     if (user && categories.length > 0) {
       loadBudget();
     }
-  }, [user, selectedMonth, categories]);
+  }, [user, selectedMonth, categories, convertTransactions]);
+
+  useEffect(() => {
+    if (user && zeroBased) {
+      loadIncome();
+    }
+  }, [user, selectedMonth, zeroBased]);
 
   // Calculate forecast when budget data or recurring payments change
   useEffect(() => {
@@ -465,7 +506,7 @@ export default function Budget() {
     try {
       const { data, error: catError } = await supabase
         .from('categories')
-        .select('id, name')
+        .select('id, name, rollover, rollover_cap')
         .eq('user_id', user.id)
         .eq('type', 'expense')
         .order('name');
@@ -473,13 +514,17 @@ export default function Budget() {
       if (catError) throw catError;
       const categoryData = data || [];
       setCategories(categoryData);
+      setRollovers(Object.fromEntries(categoryData.map(cat => [
+        cat.id,
+        { rollover: cat.rollover || 'none', rollover_cap: cat.rollover_cap ?? '' },
+      ])));
 
       // If no categories exist, stop loading immediately
       if (categoryData.length === 0) {
         setLoading(false);
       }
     } catch (err) {
-      setError('Failed to load categories: ' + err.message);
+      setError(t('budget.loadCategoriesFailed', { message: err.message }));
       setLoading(false);
     }
   };
@@ -488,18 +533,27 @@ export default function Budget() {
     try {
       const { data, error: recError } = await supabase
         .from('recurring_payments')
-        .select('*, categories(name)')
+        .select('*, categories(name), accounts(currency)')
         .eq('user_id', user.id)
-        .eq('type', 'expense')
+        .in('type', ['expense', 'income'])
         .eq('is_active', true);
 
       if (recError) throw recError;
-      setRecurringPayments(data || []);
+      setRecurringPayments((data || []).filter(payment => payment.type === 'expense'));
+      setIncomeRecurring((data || []).filter(payment => payment.type === 'income'));
     } catch (err) {
       console.error('Failed to load recurring payments:', err);
     }
   };
 
+  const loadIncome = async () => {
+    try {
+      setReceivedIncome(await loadReceivedIncome(supabase, user.id, selectedMonth));
+    } catch (err) {
+      console.error('Failed to load income:', err);
+    }
+  };
+
   const loadBudget = async () => {
     setLoading(true);
     setError('');
@@ -520,6 +574,7 @@ export default function Budget() {
         .select(`
           id,
           total,
+          savings_amount,
           budget_categories (
             category_id,
             limit_amount
@@ -534,6 +589,7 @@ export default function Budget() {
 
       // Create limits map from existing budget
       let limitsMap = {};
+      let savings = Number(budgetRow?.savings_amount || 0);
       if (budgetRow?.budget_categories) {
         budgetRow.budget_categories.forEach(bc => {
           limitsMap[bc.category_id] = bc.limit_amount;
@@ -549,6 +605,7 @@ export default function Budget() {
           .from('budgets')
           .select(`
             id,
+            savings_amount,
             budget_categories (
               category_id,
               limit_amount
@@ -564,42 +621,55 @@ export default function Budget() {
             limitsMap[bc.category_id] = bc.limit_amount;
           });
         }
+        savings = Number(prevBudgetRow?.savings_amount || 0);
       }
       setBudgetLimits(limitsMap);
+      setSavingsAmount(savings > 0 ? savings : '');
       setCommittedLimits(limitsMap); // Sync committed limits for sorting
 
-      // Load transactions for this month to calculate spent
+      // Load transactions for this month to calculate spent (trashed ones don't count)
       const { data: transactions, error: txError } = await supabase
         .from('transactions')
-        .select('category_id, amount')
+        .select(`type, category_id, amount, currency, date, ${SPLITS_SELECT}`)
         .eq('user_id', user.id)
-        .eq('type', 'expense')
+        .in('type', SPENDING_TYPES)
+        .is('deleted_at', null)
         .gte('date', startDate)
         .lte('date', endDate);
 
       if (txError) throw txError;
 
-      // Calculate spent per category
+      // Calculate spent per category in the base currency (split transactions count towards
+      // each line's category, refunds take back from theirs)
       const spentMap = {};
-      (transactions || []).forEach(tx => {
+      expandSplits(convertTransactions(transactions)).forEach(tx => {
         if (tx.category_id) {
-          spentMap[tx.category_id] = (spentMap[tx.category_id] || 0) + Number(tx.amount);
+          spentMap[tx.category_id] = (spentMap[tx.category_id] || 0) + spendingAmount(tx);
         }
       });
 
-      // Build budget data for display
-      const totalBudget = Object.values(limitsMap).reduce((sum, val) => sum + Number(val || 0), 0);
+      // What categories set to roll over bring in from the months before
+      const carriedMap = await loadCarriedBalances(supabase, user.id, selectedMonth);
+
+      // Build budget data for display. A category's limit here is what's available this
+      // month: its own limit plus the balance carried in.
+      const totalBudget = Object.values(limitsMap).reduce((sum, val) => sum + Number(val || 0), 0)
+        + Object.values(carriedMap).reduce((sum, val) => sum + val, 0);
 
       const data = categories.map(cat => {
-        const limit = Number(limitsMap[cat.id] || 0);
+        const budgeted = Number(limitsMap[cat.id] || 0);
+        const carried = carriedMap[cat.id] || 0;
+        const limit = budgeted + carried;
         const spent = Number(spentMap[cat.id] || 0);
         const remaining = limit - spent;
-        const percentOfLimit = limit > 0 ? (spent / limit) * 100 : 0;
+        const percentOfLimit = budgeted > 0 || carried !== 0 ? percentUsed(spent, limit, budgeted) : 0;
         const percentOfBudget = totalBudget > 0 ? (spent / totalBudget) * 100 : 0;
 
         return {
           id: cat.id,
           name: cat.name,
+          budgeted,
+          carried,
           limit,
           spent,
           remaining,
@@ -610,8 +680,8 @@ export default function Budget() {
 
       // Sort: Over budget first, then by percent used (descending)
       data.sort((a, b) => {
-        const aOverBudget = a.limit > 0 && a.spent > a.limit;
-        const bOverBudget = b.limit > 0 && b.spent > b.limit;
+        const aOverBudget = a.percentOfLimit > 100;
+        const bOverBudget = b.percentOfLimit > 100;
 
         // Over budget items come first
         if (aOverBudget && !bOverBudget) return -1;
@@ -622,7 +692,7 @@ export default function Budget() {
       });
       setBudgetData(data);
     } catch (err) {
-      setError('Failed to load budget: ' + err.message);
+      setError(t('budget.loadFailed', { message: err.message }));
     } finally {
       setLoading(false);
     }
@@ -677,6 +747,28 @@ export default function Budget() {
     }));
   };
 
+  // The budget mode is a preference: saved as soon as it's picked
+  const handleBudgetMode = async (mode) => {
+    if (preferences.budgetMode === mode) return;
+    setSavingMode(true);
+    setError('');
+    try {
+      await savePreferences(supabase, user.id, { budgetMode: mode });
+      await reloadPreferences();
+    } catch (err) {
+      setError(t('zeroBased.modeFailed', { message: err.message }));
+    } finally {
+      setSavingMode(false);
+    }
+  };
+
+  const handleRolloverChange = (categoryId, changes) => {
+    setRollovers(prev => ({
+      ...prev,
+      [categoryId]: { ...prev[categoryId], ...changes },
+    }));
+  };
+
   // Commit limit on blur - this triggers re-sorting only when user finishes editing
   const handleLimitBlur = (categoryId) => {
     setCommittedLimits(prev => ({
@@ -685,7 +777,24 @@ export default function Budget() {
     }));
   };
 
+  // Zero-based: the month's income, received and still expected, in the base currency
+  const pool = zeroBased
+    ? incomePool(receivedIncome, incomeRecurring, selectedMonth, { convertTransactions, toBase })
+    : null;
+
   const saveBudget = async () => {
+    const total = Object.values(budgetLimits).reduce((sum, val) => sum + Number(val || 0), 0);
+    const savings = Number(savingsAmount || 0);
+
+    // Zero-based: warn before saving more than the month's income
+    if (zeroBased) {
+      const { toAssign, status } = assignmentStatus(
+        pool.received + pool.expected.amount,
+        total + savings
+      );
+      if (status === 'over' && !window.confirm(t('zeroBased.confirmOver', { amount: formatCurrency(-toAssign) }))) return;
+    }
+
     setSaving(true);
     setError('');
     setSuccess('');
@@ -697,8 +806,6 @@ export default function Budget() {
         ? `${year + 1}-01-01`
         : `${year}-${String(month + 1).padStart(2, '0')}-01`;
 
-      const total = Object.values(budgetLimits).reduce((sum, val) => sum + Number(val || 0), 0);
-
       // Check if budget exists for this month
       const { data: existingBudget } = await supabase
         .from('budgets')
@@ -714,7 +821,7 @@ export default function Budget() {
         // Update existing budget
         const { error: updateError } = await supabase
           .from('budgets')
-          .update({ total })
+          .update({ total, savings_amount: savings })
           .eq('id', existingBudget.id);
         if (updateError) throw updateError;
         budgetId = existingBudget.id;
@@ -732,6 +839,7 @@ export default function Budget() {
             user_id: user.id,
             month: startDate,
             total,
+            savings_amount: savings,
           })
           .select('id')
           .single();
@@ -755,15 +863,62 @@ export default function Budget() {
         if (catError) throw catError;
       }
 
-      setSuccess('Budget saved successfully!');
-      loadBudget(); // Reload to refresh data
+      // Rollover settings belong to the category, not the month: save the ones changed
+      const changedRollovers = categories.filter(cat => {
+        const edited = rollovers[cat.id];
+        return edited && (edited.rollover !== (cat.rollover || 'none')
+          || (edited.rollover === 'capped' && Number(edited.rollover_cap || 0) !== Number(cat.rollover_cap || 0)));
+      });
+      for (const cat of changedRollovers) {
+        const { rollover, rollover_cap } = rollovers[cat.id];
+        const { error: rolloverError } = await supabase
+          .from('categories')
+          .update({ rollover, rollover_cap: rollover === 'capped' ? Number(rollover_cap || 0) : null })
+          .eq('id', cat.id);
+        if (rolloverError) throw rolloverError;
+      }
+
+      setSuccess(t('budget.saved'));
+      if (changedRollovers.length > 0) {
+        loadCategories(); // Reloads the budget with the new carried balances
+      } else {
+        loadBudget(); // Reload to refresh data
+      }
     } catch (err) {
-      setError('Failed to save budget: ' + err.message);
+      setError(t('budget.saveFailed', { message: err.message }));
     } finally {
       setSaving(false);
     }
   };
 
+  // Reconciliation: compare the stored spent of this month's budget lines with their
+  // transactions, and correct any that drifted
+  const checkSpentTotals = async () => {
+    setCheckingSpent(true);
+    setError('');
+    setSuccess('');
+    try {
+      const { checked, mismatched } = await reconcileBudgetSpent(supabase, selectedMonth, { fix: true });
+      if (checked === 0) {
+        setSuccess(t('budget.nothingToCheck'));
+      } else if (mismatched.length === 0) {
+        setSuccess(t('budget.spentMatches', { count: checked }));
+      } else {
+        setSuccess(t('budget.spentCorrected', {
+          count: mismatched.length,
+          checked,
+          lines: mismatched
+            .map(line => `${line.category_name} ${formatCurrency(line.stored_spent)} → ${formatCurrency(line.actual_spent)}`)
+            .join(', '),
+        }));
+      }
+    } catch (err) {
+      setError(t('budget.checkFailed', { message: err.message }));
+    } finally {
+      setCheckingSpent(false);
+    }
+  };
+
   const loadCategoryTransactions = async (categoryId, categoryName) => {
     setLoadingTransactions(true);
     setSelectedCategory({ id: categoryId, name: categoryName });
@@ -775,16 +930,17 @@ export default function Budget() {
 
       const { data, error } = await supabase
         .from('transactions')
-        .select('id, description, amount, date')
+        .select(`id, type, description, amount, currency, date, category_id, ${SPLITS_SELECT}`)
         .eq('user_id', user.id)
-        .eq('category_id', categoryId)
-        .eq('type', 'expense')
+        .in('type', SPENDING_TYPES)
+        .is('deleted_at', null)
         .gte('date', startDate)
         .lte('date', endDate)
         .order('date', { ascending: false });
 
       if (error) throw error;
-      setCategoryTransactions(data || []);
+      // Filtered after expanding, so a split transaction shows with this category's share
+      setCategoryTransactions(expandSplits(convertTransactions(data)).filter(tx => tx.category_id === categoryId));
     } catch (err) {
       console.error('Failed to load transactions:', err);
       setCategoryTransactions([]);
@@ -893,11 +1049,11 @@ export default function Budget() {
       // Reload budget data
       await loadBudget();
 
-      setSuccess('Budget updated successfully!');
+      setSuccess(t('budget.updated'));
       setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
       console.error('Failed to apply budget suggestion:', err);
-      setError('Failed to apply suggestion: ' + err.message);
+      setError(t('budget.applyFailed', { message: err.message }));
     }
   };
 
@@ -906,14 +1062,6 @@ export default function Budget() {
     setRecommendationsKey(prev => prev + 1);
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 2,
-    }).format(amount);
-  };
-
   const formatPercent = (percent) => {
     return percent.toFixed(2) + '%';
   };
@@ -921,8 +1069,7 @@ export default function Budget() {
   const getMonthName = (monthStr) => {
     // Parse year and month from 'YYYY-MM' format to avoid timezone issues
     const [year, month] = monthStr.split('-').map(Number);
-    const date = new Date(year, month - 1, 1); // month is 0-indexed
-    return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    return formatMonth(new Date(year, month - 1, 1)); // month is 0-indexed
   };
 
   // Calculate totals
@@ -971,7 +1118,7 @@ export default function Budget() {
         <Flex w="100%" minH="60vh" align="center" justify="center">
           <VStack gap={4}>
             <Spinner size="xl" />
-            <Text>Loading budget...</Text>
+            <Text>{t('budget.loading')}</Text>
           </VStack>
         </Flex>
       </PageContainer>
@@ -983,12 +1130,12 @@ export default function Budget() {
       <PageContainer>
         <Flex w="100%" minH="60vh" align="center" justify="center">
           <VStack gap={4} textAlign="center" p={6}>
-            <Heading size="lg" color={colors.textPrimary}>No Budget Categories</Heading>
+            <Heading size="lg" color={colors.textPrimary}>{t('budget.noCategoriesTitle')}</Heading>
             <Text color={colors.textSecondary}>
-              You need to create expense categories first before setting up a budget.
+              {t('budget.noCategoriesBody')}
             </Text>
             <Text color={colors.textMuted} fontSize="sm">
-              Go to Categories and add some expense categories to get started.
+              {t('budget.noCategoriesHint')}
             </Text>
           </VStack>
         </Flex>
@@ -1001,7 +1148,7 @@ export default function Budget() {
       <VStack gap={{ base: 4, md: 6 }} align="stretch" w="100%">
         {/* Header */}
         <Flex justify="space-between" align={{ base: 'stretch', sm: 'center' }} direction={{ base: 'column', sm: 'row' }} wrap="wrap" gap={{ base: 3, md: 4 }}>
-          <Heading size={{ base: 'lg', md: 'xl' }} color={colors.textPrimary}>Monthly Budget</Heading>
+          <Heading size={{ base: 'lg', md: 'xl' }} color={colors.textPrimary}>{t('budget.title')}</Heading>
           <Input
             type="month"
             value={selectedMonth}
@@ -1015,11 +1162,25 @@ export default function Budget() {
         </Flex>
 
         {/* Month Display */}
-        <Text fontSize={{ base: 'md', md: 'lg' }} color={colors.textSecondary}>
-          {getMonthName(selectedMonth)}
-        </Text>
+        <Flex justify="space-between" align="center" gap={3} wrap="wrap">
+          <Text fontSize={{ base: 'md', md: 'lg' }} color={colors.textSecondary}>
+            {getMonthName(selectedMonth)}
+          </Text>
+          <Button
+            size="sm"
+            variant="ghost"
+            color={colors.textSecondary}
+            onClick={checkSpentTotals}
+            loading={checkingSpent}
+            loadingText={t('budget.checking')}
+            title={t('budget.checkSpentTitle')}
+          >
+            {t('budget.checkSpent')}
+          </Button>
+        </Flex>
 
         {/* Messages */}
+        <MissingRatesNotice />
         {error && (
           <Box p={4} bg={colors.dangerBg} borderRadius="md" borderColor={colors.dangerBorder} borderWidth="1px">
             <Text color={colors.danger}>{error}</Text>
@@ -1040,10 +1201,10 @@ export default function Budget() {
           <Flex justify="center">
             <Tabs.List>
               <Tabs.Trigger value="tracking" px={6} py={3}>
-                Budget Tracking
+                {t('budget.trackingTab')}
               </Tabs.Trigger>
               <Tabs.Trigger value="setup" px={6} py={3}>
-                Budget Setup
+                {t('budget.setupTab')}
               </Tabs.Trigger>
             </Tabs.List>
           </Flex>
@@ -1053,7 +1214,7 @@ export default function Budget() {
             {loading ? (
               <VStack py={8}>
                 <Spinner />
-                <Text>Loading...</Text>
+                <Text>{t('common.loading')}</Text>
               </VStack>
             ) : (
               <VStack gap={6} align="stretch">
@@ -1080,7 +1241,7 @@ export default function Budget() {
                       _hover={{ bg: viewMode === 'current' ? undefined : colors.rowStripedBg }}
                       onClick={() => setViewMode('current')}
                     >
-                      Current
+                      {t('budget.current')}
                     </Button>
                     <Button
                       size="sm"
@@ -1093,7 +1254,7 @@ export default function Budget() {
                       _hover={{ bg: viewMode === 'projected' ? undefined : colors.rowStripedBg }}
                       onClick={() => setViewMode('projected')}
                     >
-                      Projected
+                      {t('budget.projected')}
                     </Button>
                   </Flex>
                 )}
@@ -1158,7 +1319,7 @@ export default function Budget() {
                         letterSpacing="0.1em"
                         color="rgba(255,255,255,0.6)"
                       >
-                        Total Spent
+                        {t('budget.totalSpent')}
                       </Text>
                       <Text
                         fontSize={{ base: '3xl', md: '4xl' }}
@@ -1168,7 +1329,7 @@ export default function Budget() {
                         {formatCurrency(totalSpent)}
                       </Text>
                       <Text fontSize="sm" color="rgba(255,255,255,0.7)">
-                        of {formatCurrency(totalLimit)} budget
+                        {t('budget.ofBudget', { amount: formatCurrency(totalLimit) })}
                       </Text>
                     </VStack>
 
@@ -1191,7 +1352,7 @@ export default function Budget() {
                           {totalPercentSpent.toFixed(0)}%
                         </Text>
                         <Text fontSize="xs" color="rgba(255,255,255,0.6)">
-                          used
+                          {t('budget.used')}
                         </Text>
                       </Box>
                     </Box>
@@ -1205,7 +1366,7 @@ export default function Budget() {
                         letterSpacing="0.1em"
                         color="rgba(255,255,255,0.6)"
                       >
-                        Remaining
+                        {t('budget.remaining')}
                       </Text>
                       <Text
                         fontSize={{ base: '2xl', md: '3xl' }}
@@ -1222,7 +1383,7 @@ export default function Budget() {
                         bg={totalRemaining < 0 ? 'rgba(239,68,68,0.2)' : 'rgba(16,185,129,0.2)'}
                         color={totalRemaining < 0 ? '#FCA5A5' : '#6EE7B7'}
                       >
-                        {totalRemaining < 0 ? 'Over budget' : 'Under budget'}
+                        {totalRemaining < 0 ? t('budget.overBudget') : t('budget.underBudget')}
                       </Text>
                     </VStack>
                   </Flex>
@@ -1244,10 +1405,10 @@ export default function Budget() {
                       letterSpacing="0.05em"
                       color={colors.textMuted}
                     >
-                      By Category
+                      {t('budget.byCategory')}
                     </Text>
                     <Input
-                      placeholder="Search categories..."
+                      placeholder={t('budget.searchCategories')}
                       value={categorySearch}
                       onChange={(e) => setCategorySearch(e.target.value)}
                       size="sm"
@@ -1280,7 +1441,7 @@ export default function Budget() {
                     ))}
                     {categorySearch && budgetData.filter(item => item.name.toLowerCase().includes(categorySearch.toLowerCase())).length === 0 && (
                       <Box gridColumn="1 / -1" textAlign="center" py={8}>
-                        <Text color={colors.textMuted}>No categories found matching "{categorySearch}"</Text>
+                        <Text color={colors.textMuted}>{t('budget.noMatches', { search: categorySearch })}</Text>
                       </Box>
                     )}
                   </Box>
@@ -1339,23 +1500,23 @@ export default function Budget() {
                                 letterSpacing="0.1em"
                                 color="rgba(255,255,255,0.7)"
                               >
-                                Projected Total Spending
+                                {t('budget.projectedTotal')}
                               </Text>
                               <Text fontSize={{ base: '2xl', md: '3xl' }} fontWeight="800">
                                 {formatCurrency(totalProjected)}
                               </Text>
                               <HStack gap={2} flexWrap="wrap" justify={{ base: 'center', md: 'flex-start' }}>
                                 <Text fontSize="xs" color="rgba(255,255,255,0.8)">
-                                  Spent: {formatCurrency(totalSpent)}
+                                  {t('budget.spentAmount', { amount: formatCurrency(totalSpent) })}
                                 </Text>
                                 {totalUpcoming > 0 && (
                                   <Text fontSize="xs" color="rgba(255,255,255,0.8)">
-                                    + Recurring: {formatCurrency(totalUpcoming)}
+                                    {t('budget.plusRecurring', { amount: formatCurrency(totalUpcoming) })}
                                   </Text>
                                 )}
                                 {totalNonRecurringRemaining > 0 && (
                                   <Text fontSize="xs" color="rgba(255,255,255,0.8)">
-                                    + Remaining: {formatCurrency(totalNonRecurringRemaining)}
+                                    {t('budget.plusRemaining', { amount: formatCurrency(totalNonRecurringRemaining) })}
                                   </Text>
                                 )}
                               </HStack>
@@ -1369,14 +1530,14 @@ export default function Budget() {
                                 letterSpacing="0.1em"
                                 color="rgba(255,255,255,0.7)"
                               >
-                                {willExceedTotal ? 'Over Budget By' : 'On Budget'}
+                                {willExceedTotal ? t('budget.overBudgetBy') : t('budget.onBudget')}
                               </Text>
                               <Text
                                 fontSize={{ base: 'xl', md: '2xl' }}
                                 fontWeight="700"
                                 color={willExceedTotal ? '#FCA5A5' : '#A7F3D0'}
                               >
-                                {willExceedTotal ? formatCurrency(totalOverBudget) : 'On Track'}
+                                {willExceedTotal ? formatCurrency(totalOverBudget) : t('budget.onTrack')}
                               </Text>
                               {categoriesWillExceed > 0 && (
                                 <Text
@@ -1387,7 +1548,7 @@ export default function Budget() {
                                   bg="rgba(255,255,255,0.2)"
                                   fontWeight="600"
                                 >
-                                  {categoriesWillExceed} categor{categoriesWillExceed === 1 ? 'y' : 'ies'} over
+                                  {t('budget.categoriesOver', { count: categoriesWillExceed })}
                                 </Text>
                               )}
                             </VStack>
@@ -1411,10 +1572,10 @@ export default function Budget() {
                         letterSpacing="0.05em"
                         color={colors.textMuted}
                       >
-                        By Category
+                        {t('budget.byCategory')}
                       </Text>
                       <Input
-                        placeholder="Search categories..."
+                        placeholder={t('budget.searchCategories')}
                         value={categorySearch}
                         onChange={(e) => setCategorySearch(e.target.value)}
                         size="sm"
@@ -1473,12 +1634,12 @@ export default function Budget() {
                                     py={0.5}
                                     borderRadius="full"
                                   >
-                                    OVER
+                                    {t('budget.over')}
                                   </Text>
                                 )}
                               </HStack>
                               <Text fontSize="xs" color={colors.textMuted}>
-                                Budget: {formatCurrency(item.limit)}
+                                {t('budget.budgetAmount', { amount: formatCurrency(item.limit) })}
                               </Text>
                             </Box>
                             <Box textAlign="right">
@@ -1486,7 +1647,7 @@ export default function Budget() {
                                 {formatCurrency(item.projectedSpent)}
                               </Text>
                               <Text fontSize="xs" color={colors.textMuted}>
-                                projected
+                                {t('budget.projectedLabel')}
                               </Text>
                             </Box>
                           </Flex>
@@ -1529,7 +1690,7 @@ export default function Budget() {
                             <Flex justify="space-between" fontSize="xs">
                               <HStack gap={2}>
                                 <Box w="8px" h="8px" borderRadius="sm" bg={item.willExceed ? '#EF4444' : '#10B981'} />
-                                <Text color={colors.textMuted}>Spent</Text>
+                                <Text color={colors.textMuted}>{t('budget.spent')}</Text>
                               </HStack>
                               <Text color={colors.textSecondary} fontWeight="500">{formatCurrency(item.spent)}</Text>
                             </Flex>
@@ -1537,7 +1698,7 @@ export default function Budget() {
                               <Flex justify="space-between" fontSize="xs">
                                 <HStack gap={2}>
                                   <Box w="8px" h="8px" borderRadius="sm" bg={item.willExceed ? '#EF4444' : '#8B5CF6'} backgroundImage="repeating-linear-gradient(45deg, transparent, transparent 1px, rgba(255,255,255,0.5) 1px, rgba(255,255,255,0.5) 2px)" />
-                                  <Text color="purple.500" fontWeight="500">Upcoming</Text>
+                                  <Text color="purple.500" fontWeight="500">{t('budget.upcoming')}</Text>
                                 </HStack>
                                 <Text color="purple.500" fontWeight="500">{formatCurrency(item.upcomingAmount)}</Text>
                               </Flex>
@@ -1546,14 +1707,14 @@ export default function Budget() {
                               <Flex justify="space-between" fontSize="xs">
                                 <HStack gap={2}>
                                   <Box w="8px" h="8px" borderRadius="sm" bg="#93C5FD" />
-                                  <Text color="blue.400" fontWeight="500">Remaining</Text>
+                                  <Text color="blue.400" fontWeight="500">{t('budget.remaining')}</Text>
                                 </HStack>
                                 <Text color="blue.400" fontWeight="500">{formatCurrency(item.nonRecurringRemaining)}</Text>
                               </Flex>
                             )}
                             {item.willExceed && (
                               <Flex justify="space-between" fontSize="xs" pt={1} borderTop="1px dashed" borderColor={colors.borderSubtle}>
-                                <Text color="red.500" fontWeight="600">Over by</Text>
+                                <Text color="red.500" fontWeight="600">{t('budget.overBy')}</Text>
                                 <Text color="red.500" fontWeight="600">{formatCurrency(item.overAmount)}</Text>
                               </Flex>
                             )}
@@ -1563,7 +1724,7 @@ export default function Budget() {
                           {item.upcomingPayments.length > 0 && (
                             <Box mt={3} pt={3} borderTop="1px solid" borderColor={colors.borderSubtle}>
                               <Text fontSize="xs" fontWeight="600" color={colors.textMuted} mb={2}>
-                                Upcoming Payments
+                                {t('budget.upcomingPayments')}
                               </Text>
                               <VStack gap={1} align="stretch">
                                 {item.upcomingPayments.map((p, idx) => (
@@ -1583,7 +1744,7 @@ export default function Budget() {
                       ))}
                       {categorySearch && forecastData.filter(f => f.limit > 0 && f.name.toLowerCase().includes(categorySearch.toLowerCase())).length === 0 && (
                         <Box gridColumn="1 / -1" textAlign="center" py={8}>
-                          <Text color={colors.textMuted}>No categories found matching "{categorySearch}"</Text>
+                          <Text color={colors.textMuted}>{t('budget.noMatches', { search: categorySearch })}</Text>
                         </Box>
                       )}
                     </Box>
@@ -1596,6 +1757,28 @@ export default function Budget() {
           {/* Setup Tab */}
           <Tabs.Content value="setup" pt={4}>
             <VStack gap={6} align="stretch" w="100%">
+              {/* Budget mode: limits on their own, or zero-based on the month's income */}
+              <Flex justify="space-between" align={{ base: 'stretch', sm: 'center' }} direction={{ base: 'column', sm: 'row' }} gap={2}>
+                <Text fontSize="xs" color={colors.textMuted}>
+                  {zeroBased ? t('zeroBased.zeroBasedHint') : t('zeroBased.limitsHint')}
+                </Text>
+                <HStack gap={2} flexShrink={0}>
+                  {BUDGET_MODES.map(mode => (
+                    <Button
+                      key={mode}
+                      size="xs"
+                      type="button"
+                      variant={preferences.budgetMode === mode ? 'solid' : 'outline'}
+                      colorPalette="blue"
+                      onClick={() => handleBudgetMode(mode)}
+                      disabled={savingMode}
+                    >
+                      {t(`zeroBased.modes.${mode}`)}
+                    </Button>
+                  ))}
+                </HStack>
+              </Flex>
+
               {/* Total Budget Summary Card */}
               {(() => {
                 const currentTotal = Object.values(budgetLimits).reduce((sum, val) => sum + Number(val || 0), 0);
@@ -1633,7 +1816,7 @@ export default function Budget() {
                           color="rgba(255,255,255,0.7)"
                           mb={1}
                         >
-                          Total Monthly Budget
+                          {t('budget.totalMonthlyBudget')}
                         </Text>
                         <Flex align="baseline" gap={3}>
                           <Text fontSize="3xl" fontWeight="800">
@@ -1649,13 +1832,13 @@ export default function Budget() {
                               py={0.5}
                               borderRadius="full"
                             >
-                              {totalDiff > 0 ? '▲' : '▼'} ${Math.abs(totalDiff).toLocaleString()}
+                              {totalDiff > 0 ? '▲' : '▼'} {formatCurrency(Math.abs(totalDiff))}
                             </Text>
                           )}
                         </Flex>
                         {hasPrevMonth && (
                           <Text fontSize="xs" color="rgba(255,255,255,0.6)" mt={1}>
-                            Last month: {formatCurrency(prevTotal)}
+                            {t('budget.lastMonth', { amount: formatCurrency(prevTotal) })}
                           </Text>
                         )}
                       </Box>
@@ -1673,6 +1856,17 @@ export default function Budget() {
                 );
               })()}
 
+              {zeroBased && (
+                <ToBeAssigned
+                  received={pool.received}
+                  expected={pool.expected}
+                  assigned={Object.values(budgetLimits).reduce((sum, val) => sum + Number(val || 0), 0)}
+                  savings={savingsAmount}
+                  onSavingsChange={setSavingsAmount}
+                  formatCurrency={formatCurrency}
+                />
+              )}
+
               {/* Category Limit Cards */}
               <Box>
                 <Flex justify="space-between" align="center" mb={4}>
@@ -1683,11 +1877,11 @@ export default function Budget() {
                     letterSpacing="0.05em"
                     color={colors.textMuted}
                   >
-                    Set Category Limits
+                    {t('budget.setLimits')}
                   </Text>
                   <HStack gap={3} flexWrap="wrap">
                     <Input
-                      placeholder="Search categories..."
+                      placeholder={t('budget.searchCategories')}
                       value={categorySearch}
                       onChange={(e) => setCategorySearch(e.target.value)}
                       size="sm"
@@ -1699,7 +1893,7 @@ export default function Budget() {
                       _placeholder={{ color: colors.textMuted }}
                     />
                     <HStack gap={2}>
-                      <Text fontSize="xs" color={colors.textMuted}>Sort:</Text>
+                      <Text fontSize="xs" color={colors.textMuted}>{t('budget.sort')}</Text>
                       <Box ref={sortDropdownRef} position="relative">
                         <Box
                           onClick={() => setSortDropdownOpen(!sortDropdownOpen)}
@@ -1719,7 +1913,7 @@ export default function Budget() {
                           _hover={{ borderColor: 'blue.400' }}
                           minW="140px"
                         >
-                          <Text flex="1">{setupSortBy === 'amount' ? 'Amount (Highest)' : 'Name (A-Z)'}</Text>
+                          <Text flex="1">{setupSortBy === 'amount' ? t('budget.sortAmount') : t('budget.sortName')}</Text>
                           <Box
                             as="span"
                             transform={sortDropdownOpen ? 'rotate(180deg)' : 'rotate(0deg)'}
@@ -1746,8 +1940,8 @@ export default function Budget() {
                           >
                             <VStack gap={0} align="stretch">
                               {[
-                                { value: 'amount', label: 'Amount (Highest)' },
-                                { value: 'name', label: 'Name (A-Z)' },
+                                { value: 'amount', label: t('budget.sortAmount') },
+                                { value: 'name', label: t('budget.sortName') },
                               ].map((option) => (
                                 <Box
                                   key={option.value}
@@ -1844,13 +2038,13 @@ export default function Budget() {
                                   fontWeight="600"
                                   color={diff > 0 ? 'green.500' : 'red.500'}
                                 >
-                                  {diff > 0 ? '▲' : '▼'} ${Math.abs(diff).toLocaleString()}
+                                  {diff > 0 ? '▲' : '▼'} {formatCurrency(Math.abs(diff))}
                                 </Text>
                               </HStack>
                             )}
                           </Flex>
                           <HStack>
-                            <Text color={colors.textMuted} fontSize="lg" fontWeight="500">$</Text>
+                            <Text color={colors.textMuted} fontSize="lg" fontWeight="500">{currencySymbol(baseCurrency, preferences.numberLocale)}</Text>
                             <Input
                               type="number"
                               min="0"
@@ -1873,16 +2067,54 @@ export default function Budget() {
                           {/* Show last month's value */}
                           {hasPrevData && (
                             <Text fontSize="xs" color={colors.textMuted} mt={2}>
-                              Last month: ${prevLimit.toLocaleString()}
+                              {t('budget.lastMonth', { amount: formatCurrency(prevLimit) })}
                             </Text>
                           )}
+                          {/* What's left at the end of the month */}
+                          <HStack gap={2} mt={2}>
+                            <Box
+                              as="select"
+                              value={rollovers[cat.id]?.rollover || 'none'}
+                              onChange={(e) => handleRolloverChange(cat.id, { rollover: e.target.value })}
+                              aria-label={t('budget.rolloverFor', { category: cat.name })}
+                              flex={1}
+                              minW={0}
+                              bg={colors.cardBg}
+                              borderWidth="1px"
+                              borderColor={colors.borderColor}
+                              color={colors.textSecondary}
+                              borderRadius="6px"
+                              px={2}
+                              py={1}
+                              fontSize="xs"
+                              cursor="pointer"
+                            >
+                              {ROLLOVER_MODES.map(mode => (
+                                <option key={mode} value={mode}>{t(`budget.rolloverModes.${mode}`)}</option>
+                              ))}
+                            </Box>
+                            {rollovers[cat.id]?.rollover === 'capped' && (
+                              <Input
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                value={rollovers[cat.id].rollover_cap}
+                                onChange={(e) => handleRolloverChange(cat.id, { rollover_cap: e.target.value })}
+                                aria-label={t('budget.rolloverCapFor', { category: cat.name })}
+                                placeholder={t('budget.rolloverCap')}
+                                size="xs"
+                                w="90px"
+                                borderRadius="6px"
+                              />
+                            )}
+                          </HStack>
                         </Box>
                       );
                     });
                   })()}
                     {categorySearch && categories.filter(cat => cat.name.toLowerCase().includes(categorySearch.toLowerCase())).length === 0 && (
                       <Box gridColumn="1 / -1" textAlign="center" py={8}>
-                        <Text color={colors.textMuted}>No categories found matching "{categorySearch}"</Text>
+                        <Text color={colors.textMuted}>{t('budget.noMatches', { search: categorySearch })}</Text>
                       </Box>
                     )}
                 </Box>
@@ -1899,12 +2131,12 @@ export default function Budget() {
                   fontWeight="600"
                   onClick={saveBudget}
                   loading={saving}
-                  loadingText="Saving..."
+                  loadingText={t('common.saving')}
                   _hover={{ transform: 'translateY(-1px)', boxShadow: '0 4px 12px rgba(59,130,246,0.3)' }}
                   transition="all 0.2s ease"
                   w={{ base: '100%', md: 'auto' }}
                 >
-                  Save Budget
+                  {t('budget.saveBudget')}
                 </Button>
               </Box>
             </VStack>
@@ -1936,7 +2168,7 @@ export default function Budget() {
                       {selectedCategory?.name}
                     </Dialog.Title>
                     <Text fontSize="sm" color="rgba(255,255,255,0.7)" mt={1}>
-                      {getMonthName(selectedMonth)} Transactions
+                      {t('budget.monthTransactions', { month: getMonthName(selectedMonth) })}
                     </Text>
                   </Box>
                   <Dialog.CloseTrigger asChild>
@@ -1956,7 +2188,7 @@ export default function Budget() {
                   </Flex>
                 ) : categoryTransactions.length === 0 ? (
                   <Flex justify="center" align="center" py={10}>
-                    <Text color={colors.textMuted}>No transactions found</Text>
+                    <Text color={colors.textMuted}>{t('budget.noTransactions')}</Text>
                   </Flex>
                 ) : (
                   <VStack gap={0} align="stretch">
@@ -1973,20 +2205,22 @@ export default function Budget() {
                         <Flex justify="space-between" align="flex-start">
                           <Box flex="1" pr={3}>
                             <Text fontWeight="600" color={colors.textPrimary} fontSize="sm">
-                              {tx.description || 'No description'}
+                              {tx.description || t('common.noDescription')}
                             </Text>
                             <Text fontSize="xs" color={colors.textMuted} mt={0.5}>
-                              {new Date(tx.date + 'T00:00:00').toLocaleDateString('en-US', {
-                                weekday: 'short',
-                                month: 'short',
-                                day: 'numeric',
-                              })}
+                              {formatDate(tx.date, { weekday: 'short', year: false })}
+                              {tx.type === 'refund' && ` · ${t('common.refund')}`}
                             </Text>
                           </Box>
-                          <Text fontWeight="700" color="red.500" fontSize="sm">
-                            {formatCurrency(tx.amount)}
+                          <Text fontWeight="700" color={tx.type === 'refund' ? 'green.600' : 'red.500'} fontSize="sm">
+                            {tx.type === 'refund' ? `+${formatCurrency(tx.amount)}` : formatCurrency(tx.amount)}
                           </Text>
                         </Flex>
+                        {tx.originalCurrency && (
+                          <Text fontSize="xs" color={colors.textMuted} textAlign="right">
+                            {t('budget.charged', { amount: formatCurrency(tx.originalAmount, tx.originalCurrency) })}
+                          </Text>
+                        )}
                       </Box>
                     ))}
                   </VStack>
@@ -2000,13 +2234,28 @@ export default function Budget() {
                 borderColor={colors.borderSubtle}
               >
                 <Flex justify="space-between" align="center" w="100%">
-                  <Text fontSize="sm" color={colors.textSecondary}>
-                    {categoryTransactions.length} transaction{categoryTransactions.length !== 1 ? 's' : ''}
-                  </Text>
+                  <HStack gap={3}>
+                    <Text fontSize="sm" color={colors.textSecondary}>
+                      {t('common.transactions', { count: categoryTransactions.length })}
+                    </Text>
+                    {selectedCategory && (
+                      <Button
+                        as={RouterLink}
+                        to={transactionsLink({
+                          searchQuery: buildQuery([['category', selectedCategory.name], ['type', 'income', true], ['date', selectedMonth]]),
+                          selectedPeriod: 'all',
+                        })}
+                        size="xs"
+                        variant="outline"
+                      >
+                        {t('budget.openInTransactions')}
+                      </Button>
+                    )}
+                  </HStack>
                   <HStack gap={2}>
-                    <Text fontSize="sm" color={colors.textSecondary}>Total:</Text>
+                    <Text fontSize="sm" color={colors.textSecondary}>{t('budget.totalLabel')}</Text>
                     <Text fontSize="lg" fontWeight="700" color="red.500">
-                      {formatCurrency(categoryTransactions.reduce((sum, tx) => sum + Number(tx.amount), 0))}
+                      {formatCurrency(categoryTransactions.reduce((sum, tx) => sum + spendingAmount(tx), 0))}
                     </Text>
                   </HStack>
                 </Flex>
@@ -17,12 +17,18 @@ import {
   CloseButton,
 } from '@chakra-ui/react';
 import { useAuth } from '../contexts/AuthContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
 import { supabase } from '../lib/supabaseClient';
 import PageContainer from '../components/PageContainer';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
 import MerchantAutocomplete from '../components/MerchantAutocomplete';
 import CategoryAutocomplete from '../components/CategoryAutocomplete';
 import CategorySelect from '../components/CategorySelect';
+import RulesManager from '../components/RulesManager';
+import MappingPreviewDialog from '../components/MappingPreviewDialog';
+import { loadCompiledRules, evaluateRules, previewMapping } from '../lib/rulesEngine';
+import { applyChangeBatch, loadRecentBatches, revertChangeBatch } from '../lib/changeBatches';
 
 // Default categories to seed for new users
 const DEFAULT_EXPENSE_CATEGORIES = [
@@ -38,6 +44,8 @@ const DEFAULT_INCOME_CATEGORIES = [
 
 export default function CategoryManager() {
   const { user } = useAuth();
+  const { formatDateTime } = usePreferences();
+  const { t } = useI18n();
   const colors = useDarkModeColors();
   const [patterns, setPatterns] = useState({});
   const [categories, setCategories] = useState([]);
@@ -55,6 +63,10 @@ export default function CategoryManager() {
   const [updateExistingTransactions, setUpdateExistingTransactions] = useState(true);
   const [updateExistingIncomeTransactions, setUpdateExistingIncomeTransactions] = useState(true);
   const [recategorizeLoading, setRecategorizeLoading] = useState(false);
+  const [mappingPreview, setMappingPreview] = useState(null);
+  const [applyingMapping, setApplyingMapping] = useState(false);
+  const [recentBatches, setRecentBatches] = useState([]);
+  const [undoingBatchId, setUndoingBatchId] = useState(null);
   const fileInputRef = useRef(null);
 
   // Custom dropdown state
@@ -65,6 +77,7 @@ export default function CategoryManager() {
   useEffect(() => {
     if (user) {
       loadPatternsFromDB();
+      loadRecentChanges();
     }
   }, [user]);
 
@@ -119,150 +132,187 @@ export default function CategoryManager() {
     }
   };
 
-  // Update existing transactions that match merchant name to new category
-  const updateTransactionsByMerchant = async (merchantName, categoryName, transactionType = 'expense') => {
+  const loadRecentChanges = async () => {
     try {
-      // Get the category ID for the new category
-      const targetCategory = categories.find(c => c.name === categoryName && c.type === transactionType);
-      if (!targetCategory) {
-        console.error('Category not found:', categoryName, 'Available:', categories.map(c => c.name));
-        return { updated: 0, error: `Category "${categoryName}" not found` };
-      }
+      setRecentBatches(await loadRecentBatches(supabase, user.id));
+    } catch (err) {
+      console.error('Error loading recent changes:', err);
+    }
+  };
 
-      // Fetch transactions that match the merchant name (case-insensitive substring match)
-      // Also filter out soft-deleted transactions
-      const { data: transactions, error: fetchError } = await supabase
+  // Dry run: which existing transactions a mapping would recategorize, and what else claims them
+  const previewMerchantMapping = async (merchantName, category, previousCategory) => {
+    const [rulesResult, mappingsResult, transactionsResult] = await Promise.all([
+      supabase
+        .from('categorization_rules')
+        .select('id, name, priority, enabled, conditions, actions')
+        .eq('user_id', user.id),
+      supabase
+        .from('merchant_mappings')
+        .select('transaction_description, category_name')
+        .eq('user_id', user.id),
+      supabase
         .from('transactions')
-        .select('id, description, category_id')
+        .select('id, description, amount, currency, type, date, provider, category_id, transaction_splits(id)')
         .eq('user_id', user.id)
-        .eq('type', transactionType)
+        .eq('type', category.type)
         .is('deleted_at', null)
-        .ilike('description', `%${merchantName}%`);
+        .order('date', { ascending: false }),
+    ]);
+
+    if (rulesResult.error) throw rulesResult.error;
+    if (mappingsResult.error) throw mappingsResult.error;
+    if (transactionsResult.error) throw transactionsResult.error;
+
+    const context = { rules: rulesResult.data || [], mappings: mappingsResult.data || [], categories };
+    const mapping = { pattern: merchantName, category };
+    // Split rows keep their lines; their category_id follows the largest line
+    const transactions = transactionsResult.data || [];
+    const unsplit = transactions.filter(t => !t.transaction_splits?.length);
+    const split = transactions.filter(t => t.transaction_splits?.length);
+
+    setMappingPreview({
+      pattern: merchantName,
+      category,
+      previousCategory,
+      rows: previewMapping(unsplit, mapping, context),
+      skippedSplits: previewMapping(split, mapping, context).length,
+    });
+  };
 
-      if (fetchError) {
-        console.error('Error fetching transactions:', fetchError);
-        throw fetchError;
-      }
+  // Save the previewed mapping and recategorize the chosen rows, as one undoable batch
+  const handleApplyMappingPreview = async (selectedIds) => {
+    const { pattern, category, previousCategory, rows } = mappingPreview;
+    setApplyingMapping(true);
+    setError('');
+    try {
+      const chosen = new Set(selectedIds);
+      const changes = rows
+        .filter(r => r.changes && chosen.has(r.transaction.id))
+        .map(r => ({
+          id: r.transaction.id,
+          before: { category_id: r.transaction.category_id },
+          after: { category_id: category.id },
+        }));
+
+      await applyChangeBatch(supabase, user.id, {
+        source: 'mapping',
+        label: `"${pattern}" → ${category.name}`,
+        changes,
+        mappingBefore: { transaction_description: pattern, category_name: previousCategory },
+      });
 
-      const foundCount = transactions?.length || 0;
-
-      // Filter out transactions that already have the correct category
-      const transactionsToUpdate = (transactions || []).filter(
-        t => t.category_id !== targetCategory.id
-      );
-      const alreadyCorrect = foundCount - transactionsToUpdate.length;
-
-      if (transactionsToUpdate.length === 0) {
-        // Return more detailed info about why no updates
-        return {
-          updated: 0,
-          found: foundCount,
-          alreadyCorrect: alreadyCorrect,
-          info: foundCount === 0
-            ? `No transactions found matching "${merchantName}"`
-            : `${foundCount} transaction(s) already in "${categoryName}" (ID: ${targetCategory.id})`
-        };
-      }
+      const { error: mappingError } = await supabase
+        .from('merchant_mappings')
+        .upsert({
+          user_id: user.id,
+          transaction_description: pattern,
+          category_name: category.name,
+        }, {
+          onConflict: 'user_id,transaction_description'
+        });
 
-      // Update transactions in batches
-      const batchSize = 100;
-      let updatedCount = 0;
-      for (let i = 0; i < transactionsToUpdate.length; i += batchSize) {
-        const batchIds = transactionsToUpdate.slice(i, i + batchSize).map(t => t.id);
+      if (mappingError) throw mappingError;
 
-        const { data: updatedData, error: updateError } = await supabase
-          .from('transactions')
-          .update({ category_id: targetCategory.id })
-          .in('id', batchIds)
-          .select('id');
+      await Promise.all([loadPatternsFromDB(), loadRecentChanges()]);
 
-        if (updateError) throw updateError;
+      if (category.type === 'income') {
+        setNewIncomePattern('');
+      } else {
+        setNewPattern('');
+      }
+      setMappingPreview(null);
 
-        updatedCount += updatedData?.length || 0;
+      let message = previousCategory
+        ? t('categoryManager.mappingMoved', { pattern, from: previousCategory, to: category.name })
+        : t('categoryManager.mappingAdded', { pattern });
+      if (changes.length > 0) {
+        message += ' ' + t('categoryManager.updatedExisting', { count: changes.length });
       }
+      setSaveMessage(message);
+      setTimeout(() => setSaveMessage(''), 6000);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error applying mapping:', err);
+    } finally {
+      setApplyingMapping(false);
+    }
+  };
 
-      return { updated: updatedCount };
+  const handleUndoBatch = async (batch) => {
+    setUndoingBatchId(batch.id);
+    setError('');
+    try {
+      const restored = await revertChangeBatch(supabase, user.id, batch);
+      await Promise.all([loadPatternsFromDB(), loadRecentChanges()]);
+      setSaveMessage(t('categoryManager.undid', { label: batch.label, count: restored }));
+      setTimeout(() => setSaveMessage(''), 5000);
     } catch (err) {
-      console.error('Error updating transactions:', err);
-      return { updated: 0, error: err.message };
+      setError(t('categoryManager.undoFailed', { message: err.message }));
+      console.error('Error undoing change batch:', err);
+    } finally {
+      setUndoingBatchId(null);
     }
   };
 
-  // Re-categorize all transactions based on current merchant mappings
+  // Re-run the categorization rules (merchant mappings last) over every income and expense
+  // transaction. Category, rename and tag actions apply; "mark as transfer" only applies
+  // on import, since turning a recorded row into a transfer pair is not a recategorization.
   const handleRecategorizeAll = async () => {
     setRecategorizeLoading(true);
     setError('');
     try {
-      // Fetch all merchant mappings
-      const { data: mappings, error: mappingsError } = await supabase
-        .from('merchant_mappings')
-        .select('transaction_description, category_name')
-        .eq('user_id', user.id);
-
-      if (mappingsError) throw mappingsError;
-
-      // Build category lookup maps
-      const expenseCategoryMap = {};
-      const incomeCategoryMap = {};
-      categories.forEach(cat => {
-        if (cat.type === 'income') {
-          incomeCategoryMap[cat.name] = cat.id;
-        } else {
-          expenseCategoryMap[cat.name] = cat.id;
-        }
-      });
+      const compiledRules = await loadCompiledRules(supabase, user.id);
 
       // Fetch all transactions
       const { data: transactions, error: transError } = await supabase
         .from('transactions')
-        .select('id, description, type, category_id')
-        .eq('user_id', user.id);
+        .select('id, description, type, amount, currency, date, provider, category_id, tags, transaction_splits(id)')
+        .eq('user_id', user.id)
+        .in('type', ['income', 'expense']);
 
       if (transError) throw transError;
 
-      // Categorize each transaction
-      let updateCount = 0;
-      const updates = [];
+      const changes = [];
 
       for (const transaction of transactions || []) {
-        const normalizedDesc = transaction.description.toUpperCase().trim().replace(/\s+/g, ' ');
-        const isIncome = transaction.type === 'income';
-        const categoryMap = isIncome ? incomeCategoryMap : expenseCategoryMap;
-
-        // Find matching mapping (first match wins)
-        let newCategoryId = null;
-        for (const mapping of mappings || []) {
-          if (normalizedDesc.includes(mapping.transaction_description)) {
-            const catId = categoryMap[mapping.category_name];
-            if (catId) {
-              newCategoryId = catId;
-              break;
-            }
-          }
+        const result = evaluateRules(transaction, compiledRules);
+        const before = {};
+        const after = {};
+
+        // Split rows keep their lines; their category_id follows the largest line
+        if (result.categoryId && result.categoryId !== transaction.category_id
+          && !transaction.transaction_splits?.length) {
+          before.category_id = transaction.category_id;
+          after.category_id = result.categoryId;
+        }
+        if (result.description !== transaction.description) {
+          before.description = transaction.description;
+          after.description = result.description;
+        }
+        const currentTags = transaction.tags || [];
+        const newTags = result.tags.filter(tag => !currentTags.includes(tag));
+        if (newTags.length > 0) {
+          before.tags = currentTags;
+          after.tags = [...currentTags, ...newTags];
         }
 
-        // If found a new category and it's different from current
-        if (newCategoryId && newCategoryId !== transaction.category_id) {
-          updates.push({ id: transaction.id, category_id: newCategoryId });
+        if (Object.keys(after).length > 0) {
+          changes.push({ id: transaction.id, before, after });
         }
       }
 
-      // Update transactions in batches
-      const batchSize = 100;
-      for (let i = 0; i < updates.length; i += batchSize) {
-        const batch = updates.slice(i, i + batchSize);
-        for (const update of batch) {
-          const { error: updateError } = await supabase
-            .from('transactions')
-            .update({ category_id: update.category_id })
-            .eq('id', update.id);
-
-          if (updateError) throw updateError;
-        }
-        updateCount += batch.length;
+      const updateCount = changes.length;
+      if (updateCount > 0) {
+        await applyChangeBatch(supabase, user.id, {
+          source: 'recategorize',
+          label: t('categoryManager.recategorizeBatch'),
+          changes,
+        });
+        await loadRecentChanges();
       }
 
-      setSaveMessage(`Re-categorized ${updateCount} transaction${updateCount !== 1 ? 's' : ''} based on current mappings!`);
+      setSaveMessage(t('categoryManager.recategorized', { count: updateCount }));
       setTimeout(() => setSaveMessage(''), 5000);
     } catch (err) {
       setError(err.message);
@@ -272,17 +322,37 @@ export default function CategoryManager() {
     }
   };
 
-  // Add new merchant mapping to selected category (expense)
-  const handleAddPattern = async () => {
-    if (!selectedCategory || !newPattern.trim()) {
-      return;
-    }
+  // Save a merchant mapping straight away, without touching existing transactions
+  const saveMappingOnly = async (merchantName, category, previousCategory) => {
+    const { error } = await supabase
+      .from('merchant_mappings')
+      .upsert({
+        user_id: user.id,
+        transaction_description: merchantName,
+        category_name: category.name,
+      }, {
+        onConflict: 'user_id,transaction_description'
+      });
+
+    if (error) throw error;
 
-    const merchantName = newPattern.trim().toUpperCase();
+    // Reload mappings from database
+    await loadPatternsFromDB();
+
+    setSaveMessage(previousCategory
+      ? t('categoryManager.mappingMoved', { pattern: merchantName, from: previousCategory, to: category.name })
+      : t('categoryManager.mappingAdded', { pattern: merchantName }));
+    setTimeout(() => setSaveMessage(''), 5000);
+  };
+
+  // Add a merchant mapping to a category. With "Update existing transactions" ticked this
+  // opens the dry-run preview; nothing is saved until it is applied.
+  const addMapping = async (pattern, categoryName, type, updateExisting) => {
+    const merchantName = pattern.trim().toUpperCase();
 
     // Check if mapping already exists in the SAME category
-    if (patterns[selectedCategory]?.includes(merchantName)) {
-      setSaveMessage('Merchant already mapped in this category');
+    if (patterns[categoryName]?.includes(merchantName)) {
+      setSaveMessage(t('categoryManager.alreadyMapped'));
       setTimeout(() => setSaveMessage(''), 3000);
       return;
     }
@@ -290,135 +360,48 @@ export default function CategoryManager() {
     // Check if merchant exists in a DIFFERENT category (will be moved)
     let previousCategory = null;
     for (const [catName, merchants] of Object.entries(patterns)) {
-      if (merchants.includes(merchantName) && catName !== selectedCategory) {
+      if (merchants.includes(merchantName) && catName !== categoryName) {
         previousCategory = catName;
         break;
       }
     }
 
+    setError('');
     try {
-      // Use upsert to handle both new mappings and moving between categories
-      const { error } = await supabase
-        .from('merchant_mappings')
-        .upsert({
-          user_id: user.id,
-          transaction_description: merchantName,
-          category_name: selectedCategory,
-        }, {
-          onConflict: 'user_id,transaction_description'
-        });
+      const category = categories.find(c => c.name === categoryName && c.type === type);
+      if (!category) throw new Error(t('categoryManager.categoryNotFound', { name: categoryName }));
 
-      if (error) throw error;
-
-      // Update existing transactions if checkbox is checked
-      let updatedTransactions = 0;
-      let updateError = null;
-      let updateInfo = null;
-      if (updateExistingTransactions) {
-        const result = await updateTransactionsByMerchant(merchantName, selectedCategory, 'expense');
-        updatedTransactions = result.updated;
-        updateError = result.error;
-        updateInfo = result.info;
+      if (updateExisting) {
+        await previewMerchantMapping(merchantName, category, previousCategory);
+        return;
       }
 
-      // Reload mappings from database
-      await loadPatternsFromDB();
-
-      setNewPattern('');
-      let message;
-      if (previousCategory) {
-        message = `Moved "${merchantName}" from ${previousCategory} to ${selectedCategory}.`;
-        if (updatedTransactions > 0) {
-          message += ` Updated ${updatedTransactions} transaction${updatedTransactions !== 1 ? 's' : ''}.`;
-        } else if (updateError) {
-          message += ` (Error: ${updateError})`;
-        } else if (updateInfo) {
-          message += ` (${updateInfo})`;
-        }
+      await saveMappingOnly(merchantName, category, previousCategory);
+      if (type === 'income') {
+        setNewIncomePattern('');
       } else {
-        message = updatedTransactions > 0
-          ? `Merchant mapping added! Updated ${updatedTransactions} existing transaction${updatedTransactions !== 1 ? 's' : ''}.`
-          : 'Merchant mapping added successfully!';
-        if (updateError) {
-          message += ` (Error: ${updateError})`;
-        } else if (updateInfo) {
-          message += ` (${updateInfo})`;
-        }
+        setNewPattern('');
       }
-      setSaveMessage(message);
-      setTimeout(() => setSaveMessage(''), 6000);
     } catch (err) {
       setError(err.message);
       console.error('Error adding mapping:', err);
     }
   };
 
-  // Add new merchant mapping to selected income category
-  const handleAddIncomePattern = async () => {
-    if (!selectedIncomeCategory || !newIncomePattern.trim()) {
+  // Add new merchant mapping to selected category (expense)
+  const handleAddPattern = async () => {
+    if (!selectedCategory || !newPattern.trim()) {
       return;
     }
+    await addMapping(newPattern, selectedCategory, 'expense', updateExistingTransactions);
+  };
 
-    const merchantName = newIncomePattern.trim().toUpperCase();
-
-    // Check if mapping already exists in the SAME category
-    if (patterns[selectedIncomeCategory]?.includes(merchantName)) {
-      setSaveMessage('Merchant already mapped in this category');
-      setTimeout(() => setSaveMessage(''), 3000);
+  // Add new merchant mapping to selected income category
+  const handleAddIncomePattern = async () => {
+    if (!selectedIncomeCategory || !newIncomePattern.trim()) {
       return;
     }
-
-    // Check if merchant exists in a DIFFERENT category (will be moved)
-    let previousCategory = null;
-    for (const [catName, merchants] of Object.entries(patterns)) {
-      if (merchants.includes(merchantName) && catName !== selectedIncomeCategory) {
-        previousCategory = catName;
-        break;
-      }
-    }
-
-    try {
-      // Use upsert to handle both new mappings and moving between categories
-      const { error } = await supabase
-        .from('merchant_mappings')
-        .upsert({
-          user_id: user.id,
-          transaction_description: merchantName,
-          category_name: selectedIncomeCategory,
-        }, {
-          onConflict: 'user_id,transaction_description'
-        });
-
-      if (error) throw error;
-
-      // Update existing transactions if checkbox is checked
-      let updatedTransactions = 0;
-      if (updateExistingIncomeTransactions) {
-        const result = await updateTransactionsByMerchant(merchantName, selectedIncomeCategory, 'income');
-        updatedTransactions = result.updated;
-      }
-
-      // Reload mappings from database
-      await loadPatternsFromDB();
-
-      setNewIncomePattern('');
-      let message;
-      if (previousCategory) {
-        message = `Moved "${merchantName}" from ${previousCategory} to ${selectedIncomeCategory}.`;
-        if (updatedTransactions > 0) {
-          message += ` Updated ${updatedTransactions} transaction${updatedTransactions !== 1 ? 's' : ''}.`;
-        }
-      } else {
-        message = updatedTransactions > 0
-          ? `Income mapping added! Updated ${updatedTransactions} existing transaction${updatedTransactions !== 1 ? 's' : ''}.`
-          : 'Income merchant mapping added successfully!';
-      }
-      setSaveMessage(message);
-      setTimeout(() => setSaveMessage(''), 5000);
-    } catch (err) {
-      setError(err.message);
-      console.error('Error adding income mapping:', err);
-    }
+    await addMapping(newIncomePattern, selectedIncomeCategory, 'income', updateExistingIncomeTransactions);
   };
 
   // Remove merchant mapping from category
@@ -437,7 +420,7 @@ export default function CategoryManager() {
       // Reload mappings from database
       await loadPatternsFromDB();
 
-      setSaveMessage('Merchant mapping removed');
+      setSaveMessage(t('categoryManager.mappingRemoved'));
       setTimeout(() => setSaveMessage(''), 3000);
     } catch (err) {
       setError(err.message);
@@ -454,7 +437,7 @@ export default function CategoryManager() {
     const categoryName = newCategoryName.trim();
 
     if (categories.some(c => c.name === categoryName)) {
-      setSaveMessage('Category already exists');
+      setSaveMessage(t('categoryManager.categoryExists'));
       setTimeout(() => setSaveMessage(''), 3000);
       return;
     }
@@ -480,7 +463,7 @@ export default function CategoryManager() {
         setSelectedCategory(categoryName);
       }
       setNewCategoryName('');
-      setSaveMessage('Category created!');
+      setSaveMessage(t('categoryManager.categoryCreated'));
       setTimeout(() => setSaveMessage(''), 3000);
     } catch (err) {
       setError(err.message);
@@ -516,7 +499,7 @@ export default function CategoryManager() {
 
       await loadPatternsFromDB();
       setIsDefaultModalOpen(false);
-      setSaveMessage(`Loaded ${DEFAULT_EXPENSE_CATEGORIES.length} expense and ${DEFAULT_INCOME_CATEGORIES.length} income categories!`);
+      setSaveMessage(t('categoryManager.defaultsLoaded', { expense: DEFAULT_EXPENSE_CATEGORIES.length, income: DEFAULT_INCOME_CATEGORIES.length }));
       setTimeout(() => setSaveMessage(''), 5000);
     } catch (err) {
       setError(err.message);
@@ -531,7 +514,7 @@ export default function CategoryManager() {
     const file = event.target.files?.[0];
     if (file) {
       if (!file.name.endsWith('.csv')) {
-        setError('Please select a CSV file');
+        setError(t('categoryManager.selectCsv'));
         return;
       }
       importMerchantMappingsFromCSV(file);
@@ -547,7 +530,7 @@ export default function CategoryManager() {
       const lines = text.split('\n').filter(line => line.trim());
 
       if (lines.length < 2) {
-        throw new Error('CSV file must have a header row and at least one data row');
+        throw new Error(t('categoryManager.csvTooShort'));
       }
 
       const headers = lines[0].toLowerCase().split(',').map(h => h.trim().replace(/"/g, ''));
@@ -555,7 +538,7 @@ export default function CategoryManager() {
       const typeIndex = headers.indexOf('type');
 
       if (nameIndex === -1 || typeIndex === -1) {
-        throw new Error('CSV must have "Name" and "Type" columns');
+        throw new Error(t('categoryManager.csvColumns'));
       }
 
       // Parse CSV rows
@@ -570,7 +553,7 @@ export default function CategoryManager() {
         .filter(m => m.merchantName && m.categoryName);
 
       if (mappings.length === 0) {
-        throw new Error('No valid mappings found in CSV');
+        throw new Error(t('categoryManager.csvNoMappings'));
       }
 
       // Get unique categories from the Type column
@@ -617,7 +600,7 @@ export default function CategoryManager() {
 
       await loadPatternsFromDB();
 
-      setSaveMessage(`Imported ${uniqueCategories.length} categories and ${insertedCount} merchant mappings from CSV!`);
+      setSaveMessage(t('categoryManager.csvImported', { categories: uniqueCategories.length, mappings: insertedCount }));
       setTimeout(() => setSaveMessage(''), 5000);
 
       // Reset file input
@@ -668,7 +651,7 @@ export default function CategoryManager() {
         <Flex w="100%" minH="60vh" align="center" justify="center">
           <VStack gap={4}>
             <Spinner size="xl" />
-            <Text>Loading categories...</Text>
+            <Text>{t('categoryManager.loadingCategories')}</Text>
           </VStack>
         </Flex>
       </PageContainer>
@@ -679,9 +662,9 @@ export default function CategoryManager() {
     <PageContainer>
       <VStack gap={8} align="stretch" w="100%">
           <Box>
-            <Heading size="2xl" color={colors.textPrimary}>Category Manager</Heading>
+            <Heading size="2xl" color={colors.textPrimary}>{t('categoryManager.title')}</Heading>
             <Text color={colors.textSecondary} mt={2}>
-              Manage your expense and income categories
+              {t('categoryManager.subtitle')}
             </Text>
           </Box>
 
@@ -723,7 +706,7 @@ export default function CategoryManager() {
             colorScheme="red"
             onClick={() => setActiveTab('expense')}
           >
-            Expenses ({expenseCategories.length})
+            {t('categoryManager.expensesTab', { count: expenseCategories.length })}
           </Button>
           <Button
             size="lg"
@@ -731,7 +714,15 @@ export default function CategoryManager() {
             colorScheme="green"
             onClick={() => setActiveTab('income')}
           >
-            Income ({incomeCategories.length})
+            {t('categoryManager.incomeTab', { count: incomeCategories.length })}
+          </Button>
+          <Button
+            size="lg"
+            variant={activeTab === 'rules' ? 'solid' : 'outline'}
+            colorScheme="blue"
+            onClick={() => setActiveTab('rules')}
+          >
+            {t('categoryManager.rulesTab')}
           </Button>
         </HStack>
 
@@ -743,33 +734,33 @@ export default function CategoryManager() {
           borderColor={colors.borderColor}
           bg={colors.cardBg}
         >
-          <Text fontWeight="medium" mb={3} color={colors.textPrimary}>Quick Actions</Text>
+          <Text fontWeight="medium" mb={3} color={colors.textPrimary}>{t('categoryManager.quickActions')}</Text>
           <HStack gap={3} wrap="wrap">
             <Button
               colorScheme="purple"
               onClick={() => setIsDefaultModalOpen(true)}
               loading={importLoading}
-              loadingText="Loading..."
+              loadingText={t('common.loading')}
             >
-              Load Default Categories
+              {t('categoryManager.loadDefaults')}
             </Button>
             <Button
               colorScheme="blue"
               variant="outline"
               onClick={() => fileInputRef.current?.click()}
               loading={importLoading}
-              loadingText="Importing..."
+              loadingText={t('categoryManager.importing')}
             >
-              Import Mappings from CSV
+              {t('categoryManager.importCsv')}
             </Button>
             <Button
               colorScheme="orange"
               variant="solid"
               onClick={handleRecategorizeAll}
               loading={recategorizeLoading}
-              loadingText="Re-categorizing..."
+              loadingText={t('categoryManager.recategorizing')}
             >
-              Re-categorize All Transactions
+              {t('categoryManager.recategorizeAll')}
             </Button>
             <input
               type="file"
@@ -780,10 +771,52 @@ export default function CategoryManager() {
             />
           </HStack>
           <Text fontSize="xs" color={colors.textMuted} mt={2}>
-            CSV format: Name,Type (merchant name → category mapping). "Re-categorize All" applies all current mappings to existing transactions.
+            {t('categoryManager.csvHint')}
           </Text>
         </Box>
 
+        {/* Recent changes: mapping and re-categorize batches that can be undone */}
+        {recentBatches.length > 0 && (
+          <Box
+            p={4}
+            borderRadius="lg"
+            borderWidth="1px"
+            borderColor={colors.borderColor}
+            bg={colors.cardBg}
+          >
+            <Text fontWeight="medium" mb={3} color={colors.textPrimary}>{t('categoryManager.recentChanges')}</Text>
+            <VStack align="stretch" gap={2}>
+              {recentBatches.map(batch => (
+                <HStack key={batch.id} justify="space-between" gap={3}>
+                  <Box minW={0}>
+                    <Text fontSize="sm" color={colors.textPrimary}>{batch.label}</Text>
+                    <Text fontSize="xs" color={colors.textMuted}>
+                      {t('common.transactions', { count: batch.changes.length })} · {formatDateTime(batch.created_at)}
+                    </Text>
+                  </Box>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => handleUndoBatch(batch)}
+                    loading={undoingBatchId === batch.id}
+                    disabled={!!undoingBatchId}
+                  >
+                    {t('common.undo')}
+                  </Button>
+                </HStack>
+              ))}
+            </VStack>
+          </Box>
+        )}
+
+        <MappingPreviewDialog
+          preview={mappingPreview}
+          categories={categories}
+          applying={applyingMapping}
+          onApply={handleApplyMappingPreview}
+          onClose={() => setMappingPreview(null)}
+        />
+
         {/* Confirmation Dialog for Loading Defaults */}
         <Dialog.Root open={isDefaultModalOpen} onOpenChange={(e) => setIsDefaultModalOpen(e.open)}>
           <Portal>
@@ -792,7 +825,7 @@ export default function CategoryManager() {
               <Dialog.Content bg={colors.cardBg} maxW="500px" w="90%" borderRadius="lg" p={0}>
                 <Dialog.Header p={4} borderBottomWidth="1px" borderColor={colors.borderColor}>
                   <Flex justify="space-between" align="center" w="100%">
-                    <Dialog.Title color={colors.textPrimary} fontWeight="bold">Load Default Categories</Dialog.Title>
+                    <Dialog.Title color={colors.textPrimary} fontWeight="bold">{t('categoryManager.loadDefaults')}</Dialog.Title>
                     <Dialog.CloseTrigger asChild>
                       <CloseButton size="sm" />
                     </Dialog.CloseTrigger>
@@ -800,11 +833,11 @@ export default function CategoryManager() {
                 </Dialog.Header>
                 <Dialog.Body p={4}>
                   <Text color={colors.textSecondary} mb={4}>
-                    This will add the following default categories to your account:
+                    {t('categoryManager.defaultsIntro')}
                   </Text>
                   <Box mb={4}>
                     <Text fontWeight="bold" color={colors.textPrimary} mb={1}>
-                      Expense Categories ({DEFAULT_EXPENSE_CATEGORIES.length}):
+                      {t('categoryManager.defaultExpenses', { count: DEFAULT_EXPENSE_CATEGORIES.length })}
                     </Text>
                     <Text fontSize="sm" color={colors.textMuted}>
                       {DEFAULT_EXPENSE_CATEGORIES.join(', ')}
@@ -812,26 +845,26 @@ export default function CategoryManager() {
                   </Box>
                   <Box>
                     <Text fontWeight="bold" color={colors.textPrimary} mb={1}>
-                      Income Categories ({DEFAULT_INCOME_CATEGORIES.length}):
+                      {t('categoryManager.defaultIncome', { count: DEFAULT_INCOME_CATEGORIES.length })}
                     </Text>
                     <Text fontSize="sm" color={colors.textMuted}>
                       {DEFAULT_INCOME_CATEGORIES.join(', ')}
                     </Text>
                   </Box>
                   <Text fontSize="sm" color={colors.textSecondary} mt={4}>
-                    Existing categories with the same name will not be duplicated.
+                    {t('categoryManager.defaultsNoDuplicates')}
                   </Text>
                 </Dialog.Body>
                 <Dialog.Footer p={4} borderTopWidth="1px" borderColor={colors.borderColor} gap={2}>
                   <Button variant="ghost" onClick={() => setIsDefaultModalOpen(false)}>
-                    Cancel
+                    {t('common.cancel')}
                   </Button>
                   <Button
                     colorScheme="purple"
                     onClick={loadDefaultCategories}
                     loading={importLoading}
                   >
-                    Load Categories
+                    {t('categoryManager.loadCategories')}
                   </Button>
                 </Dialog.Footer>
               </Dialog.Content>
@@ -839,6 +872,9 @@ export default function CategoryManager() {
           </Portal>
         </Dialog.Root>
 
+        {/* RULES TAB */}
+        {activeTab === 'rules' && <RulesManager categories={categories} />}
+
         {/* EXPENSE TAB */}
         {activeTab === 'expense' && (
           <>
@@ -850,7 +886,7 @@ export default function CategoryManager() {
               borderColor={colors.borderColor}
               bg={colors.cardBg}
             >
-              <Heading size="md" mb={4} color={colors.textPrimary}>Expense Categories</Heading>
+              <Heading size="md" mb={4} color={colors.textPrimary}>{t('categoryManager.expenseCategories')}</Heading>
 
               {/* Category List */}
               <Box mb={6}>
@@ -868,17 +904,17 @@ export default function CategoryManager() {
                     </Badge>
                   ))}
                   {expenseCategories.length === 0 && (
-                    <Text color={colors.textMuted}>No expense categories yet</Text>
+                    <Text color={colors.textMuted}>{t('categoryManager.noExpenseCategories')}</Text>
                   )}
                 </HStack>
               </Box>
 
               {/* Add New Category */}
               <Box p={4} bg={colors.rowStripedBg} borderRadius="md">
-                <Text fontWeight="medium" mb={2} color={colors.textPrimary}>Add New Expense Category</Text>
+                <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('categoryManager.addExpenseCategory')}</Text>
                 <HStack gap={2}>
                   <CategoryAutocomplete
-                    placeholder="Category name"
+                    placeholder={t('categoryManager.categoryName')}
                     value={newCategoryName}
                     onChange={(e) => setNewCategoryName(e.target.value)}
                     onKeyPress={(e) => e.key === 'Enter' && handleAddCategory()}
@@ -888,7 +924,7 @@ export default function CategoryManager() {
                     color={colors.textPrimary}
                   />
                   <Button colorScheme="red" onClick={handleAddCategory}>
-                    Add
+                    {t('common.add')}
                   </Button>
                 </HStack>
               </Box>
@@ -904,19 +940,19 @@ export default function CategoryManager() {
               boxShadow="0 2px 8px rgba(0,0,0,0.05)"
             >
               <Heading size="lg" mb={2} color={colors.textPrimary}>
-                Merchant Mappings
+                {t('categoryManager.merchantMappings')}
               </Heading>
               <Text color={colors.textSecondary} mb={6} fontSize="md">
-                Map merchant names to categories for automatic categorization when importing
+                {t('categoryManager.merchantMappingsHint')}
               </Text>
               <VStack gap={5} align="stretch">
                 {/* Merchant Name Input */}
                 <Box>
                   <Text fontWeight="600" mb={2} color={colors.textSecondary} fontSize="sm">
-                    Merchant Name
+                    {t('categoryManager.merchantName')}
                   </Text>
                   <MerchantAutocomplete
-                    placeholder="e.g., GLOBAL PET FOODS, PC-ENERGIE NB POWER, AMAZON.CA"
+                    placeholder={t('categoryManager.merchantPlaceholder')}
                     value={newPattern}
                     onChange={(e) => {
                       const value = e.target.value;
@@ -952,20 +988,20 @@ export default function CategoryManager() {
                     borderRadius="12px"
                   />
                   <Text fontSize="xs" color={colors.textMuted} mt={1}>
-                    Enter the exact merchant name as it appears in your bank statements
+                    {t('categoryManager.merchantNameHint')}
                   </Text>
                 </Box>
 
                 {/* Category Select */}
                 <Box>
                   <Text fontWeight="600" mb={2} color={colors.textSecondary} fontSize="sm">
-                    Assign to Category
+                    {t('categoryManager.assignCategory')}
                   </Text>
                   <CategorySelect
                     value={selectedCategory}
                     onChange={setSelectedCategory}
                     categories={expenseCategoryNames}
-                    placeholder="Select a category..."
+                    placeholder={t('categoryManager.selectCategory')}
                   />
                 </Box>
 
@@ -994,10 +1030,10 @@ export default function CategoryManager() {
                   />
                   <Box>
                     <Text fontWeight="500" color={colors.textPrimary} fontSize="sm">
-                      Update existing transactions
+                      {t('categoryManager.updateExisting')}
                     </Text>
                     <Text fontSize="xs" color={colors.textMuted}>
-                      Automatically re-categorize transactions matching this merchant
+                      {t('categoryManager.updateExistingHint')}
                     </Text>
                   </Box>
                 </HStack>
@@ -1016,7 +1052,7 @@ export default function CategoryManager() {
                   _hover={{ transform: 'translateY(-1px)', boxShadow: '0 4px 12px rgba(59,130,246,0.3)' }}
                   transition="all 0.2s"
                 >
-                  Add Merchant Mapping
+                  {t('categoryManager.addMapping')}
                 </Button>
 
                 {/* Show existing mappings for selected category */}
@@ -1030,7 +1066,7 @@ export default function CategoryManager() {
                   >
                     <HStack justify="space-between" mb={2}>
                       <Text fontWeight="bold" fontSize="sm" color={colors.textSecondary}>
-                        Existing merchant mappings for "{selectedCategory}":
+                        {t('categoryManager.existingMappings', { category: selectedCategory })}
                       </Text>
                       <Badge colorScheme="blue">{patterns[selectedCategory].length}</Badge>
                     </HStack>
@@ -1051,7 +1087,7 @@ export default function CategoryManager() {
                               colorScheme="red"
                               variant="ghost"
                               onClick={() => handleRemovePattern(selectedCategory, merchantName)}
-                              aria-label="Remove mapping"
+                              aria-label={t('categoryManager.removeMapping')}
                             >
                               ✕
                             </IconButton>
@@ -1077,7 +1113,7 @@ export default function CategoryManager() {
               borderColor="green.200"
               bg={colors.cardBg}
             >
-              <Heading size="md" mb={4} color={colors.textPrimary}>Income Categories</Heading>
+              <Heading size="md" mb={4} color={colors.textPrimary}>{t('categoryManager.incomeCategories')}</Heading>
 
               {/* Category List */}
               <Box mb={6}>
@@ -1095,17 +1131,17 @@ export default function CategoryManager() {
                     </Badge>
                   ))}
                   {incomeCategories.length === 0 && (
-                    <Text color={colors.textMuted}>No income categories yet</Text>
+                    <Text color={colors.textMuted}>{t('categoryManager.noIncomeCategories')}</Text>
                   )}
                 </HStack>
               </Box>
 
               {/* Add New Category */}
               <Box p={4} bg={colors.rowStripedBg} borderRadius="md">
-                <Text fontWeight="medium" mb={2} color={colors.textPrimary}>Add New Income Category</Text>
+                <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('categoryManager.addIncomeCategory')}</Text>
                 <HStack gap={2}>
                   <CategoryAutocomplete
-                    placeholder="e.g., Salary, Freelance, Dividends, Cashback"
+                    placeholder={t('categoryManager.incomeCategoryPlaceholder')}
                     value={newCategoryName}
                     onChange={(e) => setNewCategoryName(e.target.value)}
                     onKeyPress={(e) => e.key === 'Enter' && handleAddCategory()}
@@ -1115,7 +1151,7 @@ export default function CategoryManager() {
                     color={colors.textPrimary}
                   />
                   <Button colorScheme="green" onClick={handleAddCategory}>
-                    Add
+                    {t('common.add')}
                   </Button>
                 </HStack>
               </Box>
@@ -1131,19 +1167,19 @@ export default function CategoryManager() {
               boxShadow="0 2px 8px rgba(0,0,0,0.05)"
             >
               <Heading size="lg" mb={2} color={colors.textPrimary}>
-                Income Merchant Mappings
+                {t('categoryManager.incomeMappings')}
               </Heading>
               <Text color={colors.textSecondary} mb={6} fontSize="md">
-                Map income sources to categories for automatic categorization when importing
+                {t('categoryManager.incomeMappingsHint')}
               </Text>
               <VStack gap={5} align="stretch">
                 {/* Merchant Name Input */}
                 <Box>
                   <Text fontWeight="600" mb={2} color={colors.textSecondary} fontSize="sm">
-                    Income Source Name
+                    {t('categoryManager.incomeSourceName')}
                   </Text>
                   <MerchantAutocomplete
-                    placeholder="e.g., CASHBACK / REMISES, SALARY DEPOSIT, INTEREST"
+                    placeholder={t('categoryManager.incomeSourcePlaceholder')}
                     value={newIncomePattern}
                     onChange={(e) => {
                       const value = e.target.value;
@@ -1179,14 +1215,14 @@ export default function CategoryManager() {
                     borderRadius="12px"
                   />
                   <Text fontSize="xs" color={colors.textMuted} mt={1}>
-                    Enter the exact income source name as it appears in your bank statements
+                    {t('categoryManager.incomeSourceHint')}
                   </Text>
                 </Box>
 
                 {/* Category Select */}
                 <Box>
                   <Text fontWeight="600" mb={2} color={colors.textSecondary} fontSize="sm">
-                    Assign to Income Category
+                    {t('categoryManager.assignIncomeCategory')}
                   </Text>
                   <Box ref={incomeCategoryDropdownRef} position="relative" w="100%">
                     {/* Dropdown Trigger */}
@@ -1210,7 +1246,7 @@ export default function CategoryManager() {
                         fontSize="md"
                         noOfLines={1}
                       >
-                        {selectedIncomeCategory || 'Select an income category...'}
+                        {selectedIncomeCategory || t('categoryManager.selectIncomeCategory')}
                       </Text>
                       <Box
                         as="span"
@@ -1302,10 +1338,10 @@ export default function CategoryManager() {
                   />
                   <Box>
                     <Text fontWeight="500" color={colors.textPrimary} fontSize="sm">
-                      Update existing transactions
+                      {t('categoryManager.updateExisting')}
                     </Text>
                     <Text fontSize="xs" color={colors.textMuted}>
-                      Automatically re-categorize income transactions matching this source
+                      {t('categoryManager.updateExistingIncomeHint')}
                     </Text>
                   </Box>
                 </HStack>
@@ -1324,7 +1360,7 @@ export default function CategoryManager() {
                   _hover={{ transform: 'translateY(-1px)', boxShadow: '0 4px 12px rgba(34,197,94,0.3)' }}
                   transition="all 0.2s"
                 >
-                  Add Income Mapping
+                  {t('categoryManager.addIncomeMapping')}
                 </Button>
 
                 {/* Show existing mappings for selected income category */}
@@ -1338,7 +1374,7 @@ export default function CategoryManager() {
                   >
                     <HStack justify="space-between" mb={2}>
                       <Text fontWeight="bold" fontSize="sm" color={colors.textSecondary}>
-                        Existing merchant mappings for "{selectedIncomeCategory}":
+                        {t('categoryManager.existingMappings', { category: selectedIncomeCategory })}
                       </Text>
                       <Badge colorScheme="green">{patterns[selectedIncomeCategory].length}</Badge>
                     </HStack>
@@ -1359,7 +1395,7 @@ export default function CategoryManager() {
                               colorScheme="red"
                               variant="ghost"
                               onClick={() => handleRemovePattern(selectedIncomeCategory, merchantName)}
-                              aria-label="Remove mapping"
+                              aria-label={t('categoryManager.removeMapping')}
                             >
                               ✕
                             </IconButton>
@@ -1376,9 +1412,9 @@ export default function CategoryManager() {
             <Box p={4} bg={colors.cardBg} borderRadius="md" borderWidth="1px" borderColor="green.300">
               <HStack justify="space-between" align="center">
                 <Box>
-                  <Text fontWeight="bold" color={colors.textPrimary}>Ready to add income?</Text>
+                  <Text fontWeight="bold" color={colors.textPrimary}>{t('categoryManager.readyForIncome')}</Text>
                   <Text fontSize="sm" color={colors.textSecondary}>
-                    Record your salary, freelance earnings, or other income
+                    {t('categoryManager.readyForIncomeHint')}
                   </Text>
                 </Box>
                 <Button
@@ -1387,7 +1423,7 @@ export default function CategoryManager() {
                   colorScheme="green"
                   size="lg"
                 >
-                  + Add Income
+                  {t('categoryManager.addIncome')}
                 </Button>
               </HStack>
             </Box>
@@ -13,10 +13,17 @@ import {
   SimpleGrid,
 } from '@chakra-ui/react';
 import { useAuth } from '../contexts/AuthContext';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
 import { supabase } from '../lib/supabaseClient';
 import PageContainer from '../components/PageContainer';
+import MissingRatesNotice from '../components/MissingRatesNotice';
 import { getUpcomingPayments, formatFrequency, getPaymentDatesInRange } from '../lib/recurringUtils';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { SPLITS_SELECT, expandSplits } from '../lib/splits';
+import { SPENDING_TYPES, spendingAmount } from '../lib/refunds';
+import { loadCarriedBalances, percentUsed } from '../lib/budgetRollover';
 
 // Category color mapping for visual distinction
 const categoryColors = {
@@ -47,6 +54,7 @@ const getCategoryColor = (name) => categoryColors[name] || categoryColors.defaul
 
 // Donut Chart Component with hover effects
 const DonutChart = ({ data, total, size = 200, formatCurrency, hoveredCategory, onHoverCategory }) => {
+  const { t } = useI18n();
   const colors = useDarkModeColors();
   const strokeWidth = 35;
   const hoverExpand = 8; // Extra space for hover effect
@@ -124,10 +132,10 @@ const DonutChart = ({ data, total, size = 200, formatCurrency, hoveredCategory,
         {hoveredSegment ? (
           <>
             <Text fontSize="10px" color={hoveredSegment.color} fontWeight="600" mb={0.5} noOfLines={1} maxW="90px">
-              {hoveredSegment.name}
+              {hoveredSegment.id === 'others' ? t('dashboard.others') : hoveredSegment.name}
             </Text>
             <Text fontSize="lg" fontWeight="800" color={colors.textPrimary} letterSpacing="-0.02em">
-              {formatCurrency ? formatCurrency(hoveredSegment.spent) : `$${hoveredSegment.spent.toFixed(0)}`}
+              {formatCurrency(hoveredSegment.spent)}
             </Text>
             <Text fontSize="10px" color={colors.textMuted} fontWeight="600">
               {hoveredSegment.percent.toFixed(0)}%
@@ -136,10 +144,10 @@ const DonutChart = ({ data, total, size = 200, formatCurrency, hoveredCategory,
         ) : (
           <>
             <Text fontSize="xs" color={colors.textMuted} fontWeight="500" mb={0.5}>
-              Total Spent
+              {t('dashboard.totalSpent')}
             </Text>
             <Text fontSize="xl" fontWeight="800" color={colors.textPrimary} letterSpacing="-0.02em">
-              {formatCurrency ? formatCurrency(total) : `$${total.toFixed(0)}`}
+              {formatCurrency(total)}
             </Text>
           </>
         )}
@@ -151,12 +159,14 @@ const DonutChart = ({ data, total, size = 200, formatCurrency, hoveredCategory,
 // Weekly Spending Bar Chart Component
 const WeeklyBarChart = ({ dailyExpenses, dailyIncome, maxAmount, weekOffset = 0, weekDates, selectedDayIndex, onDayClick }) => {
   const colors = useDarkModeColors();
-  const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  const { formatCurrency } = useCurrency();
+  const { weekdayNames, dayOfWeekIndex } = usePreferences();
+  const wholeAmount = (amount) => formatCurrency(amount, undefined, { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+  const days = weekdayNames();
   const barHeight = 80;
 
-  // Get current day (0 = Sunday, so we need to adjust for Mon-Sun array)
-  const today = new Date().getDay();
-  const todayIndex = today === 0 ? 6 : today - 1; // Convert to Mon=0, Sun=6
+  // Where today falls in the week, which starts on the user's chosen day
+  const todayIndex = dayOfWeekIndex(new Date().getDay());
 
   return (
     <VStack gap={3} align="stretch">
@@ -196,7 +206,7 @@ const WeeklyBarChart = ({ dailyExpenses, dailyIncome, maxAmount, weekOffset = 0,
                   color={income > 0 ? '#059669' : 'transparent'}
                   whiteSpace="nowrap"
                 >
-                  {income > 0 ? `+$${income.toFixed(0)}` : ''}
+                  {income > 0 ? `+${wholeAmount(income)}` : ''}
                 </Text>
                 <Box
                   position="absolute"
@@ -264,7 +274,7 @@ const WeeklyBarChart = ({ dailyExpenses, dailyIncome, maxAmount, weekOffset = 0,
                   color={expense > 0 ? '#7C3AED' : 'transparent'}
                   whiteSpace="nowrap"
                 >
-                  {expense > 0 ? `-$${expense.toFixed(0)}` : ''}
+                  {expense > 0 ? `-${wholeAmount(expense)}` : ''}
                 </Text>
               </Box>
             </VStack>
@@ -284,7 +294,8 @@ const MonthlyBarChart = ({ dailyData, selectedDay, onDayClick, selectedMonth, fo
   const today = new Date();
   const isCurrentMonth = today.getFullYear() === year && (today.getMonth() + 1) === month;
   const todayDate = isCurrentMonth ? today.getDate() : -1;
-  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const { weekdayNames, dayOfWeekIndex } = usePreferences();
+  const dayNames = weekdayNames();
 
   return (
     <Box>
@@ -306,7 +317,7 @@ const MonthlyBarChart = ({ dailyData, selectedDay, onDayClick, selectedMonth, fo
             const hasSpending = amount > 0;
             // Get day of week for this date
             const dayOfWeek = new Date(year, month - 1, dayNum).getDay();
-            const dayName = dayNames[dayOfWeek];
+            const dayName = dayNames[dayOfWeekIndex(dayOfWeek)];
 
             return (
               <VStack
@@ -373,11 +384,13 @@ const MonthlyBarChart = ({ dailyData, selectedDay, onDayClick, selectedMonth, fo
 
 // Mini Calendar Component for Upcoming Payments
 const MiniCalendar = ({ recurringPayments, onDayClick, selectedDate, formatCurrency, viewMonth, viewYear, onMonthChange }) => {
+  const { t } = useI18n();
   const colors = useDarkModeColors();
+  const { formatMonth, weekdayNames, dayOfWeekIndex } = usePreferences();
   const today = new Date();
 
-  // Get first day of month and total days
-  const firstDayOfMonth = new Date(viewYear, viewMonth, 1).getDay();
+  // Get first day of month (as a column, from the user's first day of the week) and total days
+  const firstDayOfMonth = dayOfWeekIndex(new Date(viewYear, viewMonth, 1).getDay());
   const daysInMonth = new Date(viewYear, viewMonth + 1, 0).getDate();
   const daysInPrevMonth = new Date(viewYear, viewMonth, 0).getDate();
 
@@ -406,9 +419,7 @@ const MiniCalendar = ({ recurringPayments, onDayClick, selectedDate, formatCurre
     });
   });
 
-  const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-    'July', 'August', 'September', 'October', 'November', 'December'];
-  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const dayNames = weekdayNames();
 
   const goToPrevMonth = () => {
     if (viewMonth === 0) {
@@ -471,7 +482,7 @@ const MiniCalendar = ({ recurringPayments, onDayClick, selectedDate, formatCurre
   }
 
   // Short day names for mobile
-  const shortDayNames = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+  const shortDayNames = weekdayNames('narrow');
 
   return (
     <Box>
@@ -490,7 +501,7 @@ const MiniCalendar = ({ recurringPayments, onDayClick, selectedDate, formatCurre
           ←
         </Button>
         <Text fontSize={{ base: 'sm', md: 'md' }} fontWeight="600" color={colors.textPrimary}>
-          {monthNames[viewMonth]} {viewYear}
+          {formatMonth(new Date(viewYear, viewMonth, 1))}
         </Text>
         <Button
           size="xs"
@@ -509,7 +520,7 @@ const MiniCalendar = ({ recurringPayments, onDayClick, selectedDate, formatCurre
       {/* Day headers */}
       <SimpleGrid columns={7} gap={{ base: 0, md: 1 }} mb={1}>
         {dayNames.map((day, idx) => (
-          <Box key={day} textAlign="center" py={{ base: 1, md: 2 }}>
+          <Box key={idx} textAlign="center" py={{ base: 1, md: 2 }}>
             <Text fontSize={{ base: '10px', md: 'xs' }} fontWeight="600" color={colors.textMuted}>
               <Box as="span" display={{ base: 'inline', md: 'none' }}>{shortDayNames[idx]}</Box>
               <Box as="span" display={{ base: 'none', md: 'inline' }}>{day}</Box>
@@ -603,11 +614,11 @@ const MiniCalendar = ({ recurringPayments, onDayClick, selectedDate, formatCurre
       <Flex justify="center" gap={{ base: 3, md: 4 }} mt={{ base: 2, md: 3 }} pt={2} borderTop="1px solid #F4F4F5">
         <HStack gap={1}>
           <Box w={{ base: '5px', md: '6px' }} h={{ base: '5px', md: '6px' }} borderRadius="full" bg="#E11D48" />
-          <Text fontSize={{ base: '9px', md: '10px' }} color={colors.textMuted}>Expense</Text>
+          <Text fontSize={{ base: '9px', md: '10px' }} color={colors.textMuted}>{t('common.expense')}</Text>
         </HStack>
         <HStack gap={1}>
           <Box w={{ base: '5px', md: '6px' }} h={{ base: '5px', md: '6px' }} borderRadius="full" bg="#059669" />
-          <Text fontSize={{ base: '9px', md: '10px' }} color={colors.textMuted}>Income</Text>
+          <Text fontSize={{ base: '9px', md: '10px' }} color={colors.textMuted}>{t('common.income')}</Text>
         </HStack>
       </Flex>
     </Box>
@@ -617,6 +628,9 @@ const MiniCalendar = ({ recurringPayments, onDayClick, selectedDate, formatCurre
 export default function Dashboard() {
   const { user } = useAuth();
   const colors = useDarkModeColors();
+  const { formatCurrency, convertTransactions } = useCurrency();
+  const { preferences, formatDate, formatMonth, weekdayNames, startOfWeek } = usePreferences();
+  const { t } = useI18n();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
@@ -699,42 +713,39 @@ export default function Dashboard() {
     if (user) {
       loadDashboardData();
     }
-  }, [user, selectedMonth]);
+  }, [user, selectedMonth, convertTransactions]);
 
   // Recalculate weekly spending when week offset changes
   useEffect(() => {
     if (allTransactions.length > 0) {
       calculateWeeklySpending(allTransactions, weekOffset);
     }
-  }, [weekOffset, allTransactions]);
+  }, [weekOffset, allTransactions, preferences]);
 
   // Calculate weekly spending for a given week offset
   const calculateWeeklySpending = (transactions, offset) => {
-    const today = new Date();
-    const currentDay = today.getDay(); // 0 = Sunday, 1 = Monday, etc.
-    const mondayOffset = currentDay === 0 ? -6 : 1 - currentDay;
-    const monday = new Date(today);
-    monday.setDate(today.getDate() + mondayOffset + (offset * 7));
-    monday.setHours(0, 0, 0, 0);
-
-    const dailySpending = [0, 0, 0, 0, 0, 0, 0]; // Mon to Sun (expenses)
-    const dailyIncome = [0, 0, 0, 0, 0, 0, 0]; // Mon to Sun (income)
+    // The week starts on the user's chosen day (Monday unless changed in Settings)
+    const weekStart = startOfWeek(new Date());
+    weekStart.setDate(weekStart.getDate() + (offset * 7));
+
+    const dailySpending = [0, 0, 0, 0, 0, 0, 0]; // First to last day of the week (expenses)
+    const dailyIncome = [0, 0, 0, 0, 0, 0, 0]; // First to last day of the week (income)
     const dailyTxs = [[], [], [], [], [], [], []]; // Transactions by day (all types)
     const dates = []; // Date strings for each day
 
     // Calculate date numbers for the week
     for (let i = 0; i < 7; i++) {
-      const date = new Date(monday);
-      date.setDate(monday.getDate() + i);
-      dates.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+      const date = new Date(weekStart);
+      date.setDate(weekStart.getDate() + i);
+      dates.push(formatDate(date, { year: false }));
     }
 
     transactions.forEach(tx => {
       const txDate = new Date(tx.date + 'T00:00:00');
-      const dayDiff = Math.floor((txDate - monday) / (1000 * 60 * 60 * 24));
+      const dayDiff = Math.floor((txDate - weekStart) / (1000 * 60 * 60 * 24));
       if (dayDiff >= 0 && dayDiff < 7) {
-        if (tx.type === 'expense') {
-          dailySpending[dayDiff] += Number(tx.amount);
+        if (SPENDING_TYPES.includes(tx.type)) {
+          dailySpending[dayDiff] += spendingAmount(tx);
         } else if (tx.type === 'income') {
           dailyIncome[dayDiff] += Number(tx.amount);
         }
@@ -761,11 +772,11 @@ export default function Dashboard() {
     const dailyTxs = Array(daysInMonth).fill(null).map(() => []);
 
     transactions.forEach(tx => {
-      if (tx.type === 'expense') {
+      if (SPENDING_TYPES.includes(tx.type)) {
         const txDate = new Date(tx.date + 'T00:00:00');
         const dayOfMonth = txDate.getDate() - 1; // 0-indexed
         if (dayOfMonth >= 0 && dayOfMonth < daysInMonth) {
-          dailySpending[dayOfMonth] += Number(tx.amount);
+          dailySpending[dayOfMonth] += spendingAmount(tx);
           dailyTxs[dayOfMonth].push(tx);
         }
       }
@@ -778,20 +789,13 @@ export default function Dashboard() {
 
   // Get the date range label for the current week view
   const getWeekLabel = () => {
-    const today = new Date();
-    const currentDay = today.getDay();
-    const mondayOffset = currentDay === 0 ? -6 : 1 - currentDay;
-    const monday = new Date(today);
-    monday.setDate(today.getDate() + mondayOffset + (weekOffset * 7));
-
-    const sunday = new Date(monday);
-    sunday.setDate(monday.getDate() + 6);
+    const weekStart = startOfWeek(new Date());
+    weekStart.setDate(weekStart.getDate() + (weekOffset * 7));
 
-    const formatDate = (date) => {
-      return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-    };
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekStart.getDate() + 6);
 
-    return `${formatDate(monday)} - ${formatDate(sunday)}`;
+    return `${formatDate(weekStart, { year: false })} - ${formatDate(weekEnd, { year: false })}`;
   };
 
   const loadDashboardData = async () => {
@@ -815,11 +819,12 @@ export default function Dashboard() {
         ? `${year + 1}-01-01`
         : `${year}-${String(month + 1).padStart(2, '0')}-01`;
 
-      const [transactionsResult, budgetResult, categoriesResult] = await Promise.all([
+      const [transactionsResult, budgetResult, categoriesResult, carried] = await Promise.all([
         supabase
           .from('transactions')
-          .select('id, description, date, amount, type, category_id, categories(name)')
+          .select(`id, description, date, amount, currency, type, category_id, categories(name), ${SPLITS_SELECT}`)
           .eq('user_id', user.id)
+          .in('type', ['income', ...SPENDING_TYPES]) // Transfers only move money between accounts
           .gte('date', startDate)
           .lte('date', endDate)
           .order('date', { ascending: false })
@@ -835,13 +840,16 @@ export default function Dashboard() {
           .from('categories')
           .select('id, name')
           .eq('user_id', user.id)
-          .eq('type', 'expense')
+          .eq('type', 'expense'),
+        // What categories set to roll over bring in from the months before
+        loadCarriedBalances(supabase, user.id, selectedMonth),
       ]);
 
       if (transactionsResult.error) throw transactionsResult.error;
       if (categoriesResult.error) throw categoriesResult.error;
 
-      const transactions = transactionsResult.data || [];
+      // Amounts in the base currency from here on
+      const transactions = convertTransactions(transactionsResult.data);
       const budget = budgetResult.data;
       const categories = categoriesResult.data || [];
 
@@ -851,12 +859,14 @@ export default function Dashboard() {
         if (tx.type === 'income') {
           income += Number(tx.amount);
         } else {
-          expenses += Number(tx.amount);
+          expenses += spendingAmount(tx); // Refunds take back spending; they aren't income
         }
       });
       setMonthlySummary({ income, expenses, net: income - expenses });
 
-      const budgetTotal = budget?.total || 0;
+      // Available this month: the budget plus what rolled over into it
+      const carriedTotal = Object.values(carried).reduce((sum, amount) => sum + amount, 0);
+      const budgetTotal = Number(budget?.total || 0) + carriedTotal;
       const budgetUsedPercent = budgetTotal > 0 ? (expenses / budgetTotal) * 100 : 0;
       setBudgetProgress({
         used: expenses,
@@ -866,16 +876,21 @@ export default function Dashboard() {
 
       const categorySpending = {};
       const categoryLimits = {};
+      const monthlyLimits = {};
 
       if (budget?.budget_categories) {
         budget.budget_categories.forEach(bc => {
-          categoryLimits[bc.category_id] = Number(bc.limit_amount);
+          monthlyLimits[bc.category_id] = Number(bc.limit_amount);
         });
       }
+      new Set([...Object.keys(monthlyLimits), ...Object.keys(carried)]).forEach(catId => {
+        categoryLimits[catId] = (monthlyLimits[catId] || 0) + (carried[catId] || 0);
+      });
 
-      transactions.forEach(tx => {
-        if (tx.type === 'expense' && tx.category_id) {
-          categorySpending[tx.category_id] = (categorySpending[tx.category_id] || 0) + Number(tx.amount);
+      // Split transactions count towards each line's category
+      expandSplits(transactions).forEach(tx => {
+        if (SPENDING_TYPES.includes(tx.type) && tx.category_id) {
+          categorySpending[tx.category_id] = (categorySpending[tx.category_id] || 0) + spendingAmount(tx);
         }
       });
 
@@ -893,17 +908,17 @@ export default function Dashboard() {
         .map(catId => {
           const spent = categorySpending[catId] || 0;
           const limit = categoryLimits[catId] || 0;
-          const percent = limit > 0 ? (spent / limit) * 100 : (spent > 0 ? 100 : 0);
+          const percent = percentUsed(spent, limit, monthlyLimits[catId] || 0);
           return {
             id: catId,
-            name: categoryNameMap[catId] || 'Unknown',
+            name: categoryNameMap[catId] || t('common.unknown'),
             spent,
             limit,
             percent,
             remaining: limit - spent
           };
         })
-        .filter(cat => cat.spent > 0 || cat.limit > 0)
+        .filter(cat => cat.spent > 0 || cat.limit !== 0)
         .sort((a, b) => b.spent - a.spent);
 
       setCategoryBudgets(catBudgets);
@@ -937,25 +952,16 @@ export default function Dashboard() {
       }
 
     } catch (err) {
-      setError('Failed to load dashboard: ' + err.message);
+      setError(t('dashboard.loadFailed', { message: err.message }));
       console.error('Dashboard error:', err);
     } finally {
       setLoading(false);
     }
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 2,
-    }).format(amount);
-  };
-
   const getMonthName = (monthStr) => {
     const [year, month] = monthStr.split('-').map(Number);
-    const date = new Date(year, month - 1, 1);
-    return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    return formatMonth(new Date(year, month - 1, 1));
   };
 
   const isCurrentMonth = () => {
@@ -976,7 +982,7 @@ export default function Dashboard() {
         <Flex w="100%" minH="60vh" align="center" justify="center">
           <VStack gap={4}>
             <Spinner size="xl" color="blue.500" thickness="3px" />
-            <Text color={colors.textMuted} fontWeight="500">Loading your dashboard...</Text>
+            <Text color={colors.textMuted} fontWeight="500">{t('dashboard.loading')}</Text>
           </VStack>
         </Flex>
       </PageContainer>
@@ -1000,10 +1006,10 @@ export default function Dashboard() {
                 color={colors.textPrimary}
                 letterSpacing="-0.02em"
               >
-                Dashboard
+                {t('dashboard.title')}
               </Heading>
               <Text color={colors.textMuted} fontSize="sm" mt={1}>
-                Welcome back, {user?.user_metadata?.full_name || user?.email?.split('@')[0]}
+                {t('dashboard.welcome', { name: user?.user_metadata?.full_name || user?.email?.split('@')[0] })}
               </Text>
             </Box>
             <Flex gap={3} align="center" flexWrap="wrap">
@@ -1036,11 +1042,13 @@ export default function Dashboard() {
                 }}
                 transition="all 0.2s"
               >
-                + Add Transaction
+                {t('dashboard.addTransaction')}
               </Button>
             </Flex>
           </Flex>
 
+          <MissingRatesNotice />
+
           {error && (
             <Box
               p={4}
@@ -1073,7 +1081,7 @@ export default function Dashboard() {
                   borderRadius="full"
                 >
                   <Text fontSize="xs" fontWeight="600" color={colors.textMuted}>
-                    {daysLeft} days left
+                    {t('dashboard.daysLeft', { count: daysLeft })}
                   </Text>
                 </Box>
               )}
@@ -1099,7 +1107,7 @@ export default function Dashboard() {
                   bg="rgba(16, 185, 129, 0.1)"
                 />
                 <Text fontSize="xs" fontWeight="600" color="#059669" textTransform="uppercase" letterSpacing="0.05em" mb={1}>
-                  Income
+                  {t('common.income')}
                 </Text>
                 <Text
                   fontSize={{ base: 'xl', md: '2xl' }}
@@ -1131,7 +1139,7 @@ export default function Dashboard() {
                   bg="rgba(225, 29, 72, 0.1)"
                 />
                 <Text fontSize="xs" fontWeight="600" color="#E11D48" textTransform="uppercase" letterSpacing="0.05em" mb={1}>
-                  Expenses
+                  {t('common.expenses')}
                 </Text>
                 <Text
                   fontSize={{ base: 'xl', md: '2xl' }}
@@ -1173,7 +1181,7 @@ export default function Dashboard() {
                   letterSpacing="0.05em"
                   mb={1}
                 >
-                  Net Balance
+                  {t('dashboard.netBalance')}
                 </Text>
                 <Text
                   fontSize={{ base: 'xl', md: '2xl' }}
@@ -1208,7 +1216,7 @@ export default function Dashboard() {
                       bg="#F59E0B"
                     />
                     <Heading size={{ base: 'sm', md: 'md' }} color={colors.textPrimary} letterSpacing="-0.01em">
-                      Upcoming Payments
+                      {t('dashboard.upcomingPayments')}
                     </Heading>
                   </HStack>
                   <HStack gap={2}>
@@ -1265,7 +1273,7 @@ export default function Dashboard() {
                       fontWeight="600"
                       _hover={{ bg: colors.primaryBg }}
                     >
-                      Manage
+                      {t('dashboard.manage')}
                     </Button>
                   </HStack>
                 </Flex>
@@ -1383,7 +1391,7 @@ export default function Dashboard() {
                             borderRadius="full"
                           >
                             <Text fontSize="xs" fontWeight="600" color={colors.textMuted}>
-                              {formatCurrency(total)} left
+                              {t('dashboard.amountLeft', { amount: formatCurrency(total) })}
                             </Text>
                           </Box>
                         )}
@@ -1396,10 +1404,10 @@ export default function Dashboard() {
                           >
                             <Text fontSize="xs" fontWeight="600" color="#92400E">
                               {untilSalary > 0
-                                ? `${formatCurrency(untilSalary)} til salary`
+                                ? t('dashboard.untilSalary', { amount: formatCurrency(untilSalary) })
                                 : daysUntilSalary === 1
-                                  ? 'Salary tomorrow'
-                                  : `Salary in ${daysUntilSalary} days`
+                                  ? t('dashboard.salaryTomorrow')
+                                  : t('dashboard.salaryIn', { count: daysUntilSalary })
                               }
                             </Text>
                           </Box>
@@ -1445,7 +1453,7 @@ export default function Dashboard() {
                               {payment.name}
                             </Text>
                             <Text fontSize="xs" color={colors.textMuted}>
-                              {payment.categories?.name || 'Uncategorized'} • {formatFrequency(payment.frequency)}
+                              {payment.categories?.name || t('common.uncategorized')} • {formatFrequency(payment.frequency)}
                             </Text>
                           </Box>
                         </HStack>
@@ -1462,7 +1470,7 @@ export default function Dashboard() {
                             color={payment.daysUntil === 0 ? colors.danger : colors.textMuted}
                             fontWeight={payment.daysUntil <= 1 ? '600' : '400'}
                           >
-                            {payment.nextDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} • {payment.daysUntil === 0 ? 'Today' : payment.daysUntil === 1 ? 'Tomorrow' : `In ${payment.daysUntil} days`}
+                            {formatDate(payment.nextDate, { year: false })} • {payment.daysUntil === 0 ? t('common.today') : payment.daysUntil === 1 ? t('common.tomorrow') : t('common.inDays', { count: payment.daysUntil })}
                           </Text>
                         </Box>
                       </Flex>
@@ -1471,12 +1479,12 @@ export default function Dashboard() {
 
                   {upcomingPayments.length > 5 && (
                     <Text fontSize="xs" color={colors.textMuted} textAlign="center" mt={3}>
-                      +{upcomingPayments.length - 5} more upcoming payments
+                      {t('dashboard.moreUpcoming', { count: upcomingPayments.length - 5 })}
                     </Text>
                   )}
                   {upcomingPayments.length === 0 && (
                     <Text fontSize="sm" color={colors.textMuted} textAlign="center" py={4}>
-                      No upcoming payments in the next 14 days
+                      {t('dashboard.noUpcoming')}
                     </Text>
                   )}
                 </>
@@ -1513,7 +1521,7 @@ export default function Dashboard() {
                     {selectedCalendarDate && selectedCalendarPayments.length > 0 ? (
                       <VStack align="stretch" gap={2}>
                         <Text fontSize={{ base: 'xs', md: 'sm' }} fontWeight="600" color={colors.textPrimary} mb={1}>
-                          {selectedCalendarDate.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}
+                          {formatDate(selectedCalendarDate, { year: false, weekday: 'long' })}
                         </Text>
                         {selectedCalendarPayments.map((payment, index) => (
                           <Flex
@@ -1553,7 +1561,7 @@ export default function Dashboard() {
                         ))}
                         <Box pt={2} borderTop={`1px solid ${colors.borderSubtle}`} mt={1}>
                           <Flex justify="space-between">
-                            <Text fontSize={{ base: '11px', md: 'xs' }} color={colors.textMuted}>Total for day</Text>
+                            <Text fontSize={{ base: '11px', md: 'xs' }} color={colors.textMuted}>{t('dashboard.totalForDay')}</Text>
                             <Text fontSize={{ base: 'xs', md: 'sm' }} fontWeight="700" color={colors.textPrimary}>
                               {formatCurrency(selectedCalendarPayments.reduce((sum, p) => {
                                 const amount = Number(p.amount);
@@ -1575,7 +1583,7 @@ export default function Dashboard() {
                       >
                         <Text fontSize={{ base: 'xl', md: '2xl' }} mb={2}>📅</Text>
                         <Text fontSize={{ base: 'xs', md: 'sm' }} textAlign="center">
-                          Tap a day with payments to see details
+                          {t('dashboard.tapDay')}
                         </Text>
                       </Flex>
                     )}
@@ -1598,7 +1606,7 @@ export default function Dashboard() {
             >
               <Flex justify="space-between" align="center" mb={5}>
                 <Heading size={{ base: 'sm', md: 'md' }} color={colors.textPrimary} letterSpacing="-0.01em">
-                  Spending Breakdown
+                  {t('dashboard.spendingBreakdown')}
                 </Heading>
                 <Button
                   as={RouterLink}
@@ -1609,7 +1617,7 @@ export default function Dashboard() {
                   fontWeight="600"
                   _hover={{ bg: '#EFF6FF' }}
                 >
-                  Details
+                  {t('dashboard.details')}
                 </Button>
               </Flex>
 
@@ -1683,7 +1691,7 @@ export default function Dashboard() {
                                   flexShrink={0}
                                 />
                                 <Text fontSize="sm" fontWeight={isHovered ? '600' : '500'} color={colors.textPrimary} noOfLines={1}>
-                                  {cat.name}
+                                  {isOthersCategory ? t('dashboard.others') : cat.name}
                                 </Text>
                                 {isOthersCategory && (
                                   <Text fontSize="xs" color={colors.textMuted} ml={-1}>
@@ -1760,7 +1768,7 @@ export default function Dashboard() {
                 </Flex>
               ) : (
                 <Flex justify="center" align="center" py={12}>
-                  <Text color={colors.textMuted}>No spending this month</Text>
+                  <Text color={colors.textMuted}>{t('dashboard.noSpending')}</Text>
                 </Flex>
               )}
             </Box>
@@ -1778,7 +1786,7 @@ export default function Dashboard() {
               <Flex justify="space-between" align="center" mb={3}>
                 <HStack gap={1}>
                   <Heading size={{ base: 'sm', md: 'md' }} color={colors.textPrimary} letterSpacing="-0.01em">
-                    Cash-flow
+                    {t('dashboard.cashFlow')}
                   </Heading>
                 </HStack>
                 <HStack gap={2}>
@@ -1823,14 +1831,14 @@ export default function Dashboard() {
               <Flex gap={4} mb={4} justify="center">
                 <HStack gap={1}>
                   <Box w="8px" h="8px" borderRadius="full" bg="#10B981" />
-                  <Text fontSize="xs" color={colors.textMuted}>Income:</Text>
+                  <Text fontSize="xs" color={colors.textMuted}>{t('dashboard.incomeLabel')}</Text>
                   <Text fontSize="xs" fontWeight="600" color="#059669">
                     +{formatCurrency(weeklyIncome.reduce((a, b) => a + b, 0))}
                   </Text>
                 </HStack>
                 <HStack gap={1}>
                   <Box w="8px" h="8px" borderRadius="full" bg="#7C3AED" />
-                  <Text fontSize="xs" color={colors.textMuted}>Expenses:</Text>
+                  <Text fontSize="xs" color={colors.textMuted}>{t('dashboard.expensesLabel')}</Text>
                   <Text fontSize="xs" fontWeight="600" color="#7C3AED">
                     -{formatCurrency(weeklySpending.reduce((a, b) => a + b, 0))}
                   </Text>
@@ -1853,7 +1861,7 @@ export default function Dashboard() {
                   <VStack align="stretch" gap={2}>
                     <Flex justify="space-between" align="center" mb={1}>
                       <Text fontSize="sm" fontWeight="600" color={colors.textPrimary}>
-                        {['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'][selectedDayIndex]}, {weekDates[selectedDayIndex]}
+                        {weekdayNames('long')[selectedDayIndex]}, {weekDates[selectedDayIndex]}
                       </Text>
                       <Text fontSize="sm" fontWeight="700" color={weeklyIncome[selectedDayIndex] - weeklySpending[selectedDayIndex] >= 0 ? '#059669' : '#7C3AED'}>
                         {weeklyIncome[selectedDayIndex] - weeklySpending[selectedDayIndex] >= 0 ? '+' : ''}{formatCurrency(weeklyIncome[selectedDayIndex] - weeklySpending[selectedDayIndex])}
@@ -1879,15 +1887,16 @@ export default function Dashboard() {
                             />
                             <VStack align="start" gap={0} flex="1" minW="0">
                               <Text fontSize="xs" color={colors.textPrimary} fontWeight="600" noOfLines={1}>
-                                {tx.categories?.name || 'Uncategorized'}
+                                {tx.categories?.name || t('common.uncategorized')}
                               </Text>
                               <Text fontSize="10px" color={colors.textMuted} noOfLines={1}>
-                                {tx.description || 'No description'}
+                                {tx.description || t('common.noDescription')}
+                                {tx.originalCurrency && ` · ${formatCurrency(tx.originalAmount, tx.originalCurrency)}`}
                               </Text>
                             </VStack>
                           </HStack>
-                          <Text fontSize="xs" fontWeight="600" color={tx.type === 'income' ? '#059669' : '#E11D48'} flexShrink={0} ml={2}>
-                            {tx.type === 'income' ? '+' : '-'}{formatCurrency(tx.amount)}
+                          <Text fontSize="xs" fontWeight="600" color={tx.type === 'expense' ? '#E11D48' : '#059669'} flexShrink={0} ml={2}>
+                            {tx.type === 'expense' ? '-' : '+'}{formatCurrency(tx.amount)}
                           </Text>
                         </Flex>
                       ))}
@@ -1896,10 +1905,10 @@ export default function Dashboard() {
                 ) : (
                   <Flex justify="space-between" align="center">
                     <Text fontSize="sm" color={colors.textMuted}>
-                      {selectedDayIndex !== null ? 'No transactions' : 'Click a day to see details'}
+                      {selectedDayIndex !== null ? t('dashboard.noTransactions') : t('dashboard.clickDay')}
                     </Text>
                     <Text fontSize="sm" fontWeight="700" color={weeklyIncome.reduce((a, b) => a + b, 0) - weeklySpending.reduce((a, b) => a + b, 0) >= 0 ? '#059669' : '#7C3AED'}>
-                      Net: {weeklyIncome.reduce((a, b) => a + b, 0) - weeklySpending.reduce((a, b) => a + b, 0) >= 0 ? '+' : ''}{formatCurrency(weeklyIncome.reduce((a, b) => a + b, 0) - weeklySpending.reduce((a, b) => a + b, 0))}
+                      {t('dashboard.net', { amount: (weeklyIncome.reduce((a, b) => a + b, 0) - weeklySpending.reduce((a, b) => a + b, 0) >= 0 ? '+' : '') + formatCurrency(weeklyIncome.reduce((a, b) => a + b, 0) - weeklySpending.reduce((a, b) => a + b, 0)) })}
                     </Text>
                   </Flex>
                 )}
@@ -1918,11 +1927,11 @@ export default function Dashboard() {
           >
             <Flex justify="space-between" align="center" mb={4}>
               <Heading size={{ base: 'sm', md: 'md' }} color={colors.textPrimary} letterSpacing="-0.01em">
-                Daily Spending
+                {t('dashboard.dailySpending')}
               </Heading>
               <Box bg={colors.rowStripedBg} px={3} py={1} borderRadius="full">
                 <Text fontSize="xs" fontWeight="600" color={colors.textMuted}>
-                  {formatCurrency(monthlyDailySpending.reduce((a, b) => a + b, 0))} total
+                  {t('dashboard.amountTotal', { amount: formatCurrency(monthlyDailySpending.reduce((a, b) => a + b, 0)) })}
                 </Text>
               </Box>
             </Flex>
@@ -1937,7 +1946,7 @@ export default function Dashboard() {
               />
             ) : (
               <Flex justify="center" align="center" h="100px">
-                <Text color={colors.textMuted}>No spending data</Text>
+                <Text color={colors.textMuted}>{t('dashboard.noSpendingData')}</Text>
               </Flex>
             )}
 
@@ -1947,8 +1956,10 @@ export default function Dashboard() {
                 <VStack align="stretch" gap={2}>
                   <Flex justify="space-between" align="center" mb={1}>
                     <Text fontSize="sm" fontWeight="600" color={colors.textPrimary}>
-                      {new Date(selectedMonth.split('-')[0], selectedMonth.split('-')[1] - 1, selectedMonthDay + 1)
-                        .toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}
+                      {formatDate(
+                        new Date(selectedMonth.split('-')[0], selectedMonth.split('-')[1] - 1, selectedMonthDay + 1),
+                        { year: false, weekday: 'long' }
+                      )}
                     </Text>
                     <Text fontSize="sm" fontWeight="700" color="#059669">
                       {formatCurrency(monthlyDailySpending[selectedMonthDay])}
@@ -1975,15 +1986,16 @@ export default function Dashboard() {
                           />
                           <VStack align="start" gap={0} flex="1" minW="0">
                             <Text fontSize="xs" color={colors.textPrimary} fontWeight="600" noOfLines={1}>
-                              {tx.categories?.name || 'Uncategorized'}
+                              {tx.categories?.name || t('common.uncategorized')}
                             </Text>
                             <Text fontSize="10px" color={colors.textMuted} noOfLines={1}>
-                              {tx.description || 'No description'}
+                              {tx.description || t('common.noDescription')}
+                              {tx.originalCurrency && ` · ${formatCurrency(tx.originalAmount, tx.originalCurrency)}`}
                             </Text>
                           </VStack>
                         </HStack>
-                        <Text fontSize="xs" fontWeight="600" color="#E11D48" flexShrink={0} ml={3}>
-                          {formatCurrency(tx.amount)}
+                        <Text fontSize="xs" fontWeight="600" color={tx.type === 'refund' ? '#059669' : '#E11D48'} flexShrink={0} ml={3}>
+                          {tx.type === 'refund' ? `+${formatCurrency(tx.amount)}` : formatCurrency(tx.amount)}
                         </Text>
                       </Flex>
                     ))}
@@ -1992,17 +2004,17 @@ export default function Dashboard() {
               ) : (
                 <Flex justify="space-between" align="center">
                   <Text fontSize="sm" color={colors.textMuted}>
-                    {selectedMonthDay !== null ? 'No transactions' : 'Click a bar to see details'}
+                    {selectedMonthDay !== null ? t('dashboard.noTransactions') : t('dashboard.clickBar')}
                   </Text>
                   <Text fontSize="sm" fontWeight="600" color={colors.textPrimary}>
-                    Avg: {(() => {
+                    {(() => {
                       const [year, month] = selectedMonth.split('-').map(Number);
                       const today = new Date();
                       const isCurrentMonth = today.getFullYear() === year && (today.getMonth() + 1) === month;
                       const daysElapsed = isCurrentMonth ? today.getDate() : monthlyDailySpending.length;
                       const total = monthlyDailySpending.reduce((a, b) => a + b, 0);
-                      return formatCurrency(daysElapsed > 0 ? total / daysElapsed : 0);
-                    })()}/day
+                      return t('dashboard.averagePerDay', { amount: formatCurrency(daysElapsed > 0 ? total / daysElapsed : 0) });
+                    })()}
                   </Text>
                 </Flex>
               )}
@@ -2023,7 +2035,7 @@ export default function Dashboard() {
               _hover={{ borderColor: '#2563EB', bg: '#EFF6FF' }}
               transition="all 0.2s"
             >
-              Import Transactions
+              {t('dashboard.importTransactions')}
             </Button>
             <Button
               as={RouterLink}
@@ -2037,7 +2049,7 @@ export default function Dashboard() {
               _hover={{ borderColor: '#2563EB', bg: '#EFF6FF' }}
               transition="all 0.2s"
             >
-              Manage Budget
+              {t('dashboard.manageBudget')}
             </Button>
             <Button
               as={RouterLink}
@@ -2051,7 +2063,7 @@ export default function Dashboard() {
               _hover={{ borderColor: '#2563EB', bg: '#EFF6FF' }}
               transition="all 0.2s"
             >
-              All Transactions
+              {t('dashboard.allTransactions')}
             </Button>
             <Button
               as={RouterLink}
@@ -2065,7 +2077,7 @@ export default function Dashboard() {
               _hover={{ borderColor: '#2563EB', bg: '#EFF6FF' }}
               transition="all 0.2s"
             >
-              Categories
+              {t('dashboard.categories')}
             </Button>
           </Flex>
       </VStack>
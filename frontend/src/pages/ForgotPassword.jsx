@@ -13,10 +13,12 @@ import {
 } from '@chakra-ui/react';
 import { useAuth } from '../contexts/AuthContext';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useI18n } from '../contexts/I18nContext';
 
 export default function ForgotPassword() {
   const { resetPassword } = useAuth();
   const colors = useDarkModeColors();
+  const { t } = useI18n();
 
   const [email, setEmail] = useState('');
   const [error, setError] = useState('');
@@ -37,7 +39,7 @@ export default function ForgotPassword() {
         setSuccess(true);
       }
     } catch (err) {
-      setError('An unexpected error occurred. Please try again.');
+      setError(t('auth.unexpectedError'));
     } finally {
       setLoading(false);
     }
@@ -48,9 +50,9 @@ export default function ForgotPassword() {
       <Container maxW="md" py={12}>
         <VStack gap={8}>
           <Box textAlign="center">
-            <Heading size="2xl" color={colors.textPrimary}>Reset Password</Heading>
+            <Heading size="2xl" color={colors.textPrimary}>{t('auth.resetPassword')}</Heading>
             <Text color={colors.textSecondary} mt={2}>
-              Enter your email to receive a password reset link
+              {t('auth.resetSubtitle')}
             </Text>
           </Box>
 
@@ -91,23 +93,23 @@ export default function ForgotPassword() {
                 >
                   <VStack gap={3}>
                     <Text color={colors.success} fontWeight="medium" textAlign="center">
-                      Password reset email sent!
+                      {t('auth.resetSent')}
                     </Text>
                     <Text color={colors.textSecondary} fontSize="sm" textAlign="center">
-                      Check your inbox for a link to reset your password. If it doesn't appear within a few minutes, check your spam folder.
+                      {t('auth.resetSentHint')}
                     </Text>
                     <Link as={RouterLink} to="/login" color="blue.600" fontWeight="medium">
-                      Back to Sign In
+                      {t('auth.backToSignIn')}
                     </Link>
                   </VStack>
                 </Box>
               ) : (
                 <>
                   <Stack gap={2} w="100%">
-                    <Text fontWeight="medium" color={colors.textPrimary}>Email</Text>
+                    <Text fontWeight="medium" color={colors.textPrimary}>{t('auth.email')}</Text>
                     <Input
                       type="email"
-                      placeholder="you@example.com"
+                      placeholder={t('auth.emailPlaceholder')}
                       value={email}
                       onChange={(e) => setEmail(e.target.value)}
                       required
@@ -126,13 +128,13 @@ export default function ForgotPassword() {
                     mt={2}
                     loading={loading}
                   >
-                    {loading ? 'Sending...' : 'Send Reset Link'}
+                    {loading ? t('auth.sending') : t('auth.sendResetLink')}
                   </Button>
 
                   <Text textAlign="center" color={colors.textSecondary}>
-                    Remember your password?{' '}
+                    {t('auth.rememberPassword')}{' '}
                     <Link as={RouterLink} to="/login" color="blue.600" fontWeight="medium">
-                      Sign in
+                      {t('auth.signInLink')}
                     </Link>
                   </Text>
                 </>
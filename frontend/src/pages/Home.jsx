@@ -16,9 +16,11 @@ import {
 } from '@chakra-ui/react'
 import { useDarkModeColors } from '../lib/useDarkModeColors'
 import { useColorMode } from '../components/ui/color-mode'
+import { useI18n } from '../contexts/I18nContext'
 
 function Home() {
   const colors = useDarkModeColors()
+  const { t } = useI18n()
   const { colorMode } = useColorMode()
   const isDark = colorMode === 'dark'
   const [showScrollTop, setShowScrollTop] = useState(false)
@@ -67,16 +69,14 @@ function Home() {
               lineHeight="1.2"
               color={colors.textPrimary}
             >
-              <Text as="span" color={colors.textSecondary}>Smart</Text>{' '}
+              <Text as="span" color={colors.textSecondary}>{t('home.heroSmart')}</Text>{' '}
               <Text as="span" color="blue.500" fontWeight="bold">
-                Budget Tracking
+                {t('home.heroBudget')}
               </Text>{' '}
-              <Text as="span" color={colors.textSecondary}>with Auto-Categorization</Text>
+              <Text as="span" color={colors.textSecondary}>{t('home.heroAuto')}</Text>
             </Heading>
             <Text fontSize={{ base: 'md', md: 'lg' }} color={colors.textSecondary} mb={8} lineHeight="1.8">
-              Import your bank transactions and let our smart categorization do the work.
-              Track spending across categories, set monthly budgets, and manage your finances
-              - all with automatic balance calculations.
+              {t('home.heroText')}
             </Text>
             <Stack direction={{ base: 'column', sm: 'row' }} gap={4} justify={{ base: 'center', lg: isDark ? 'center' : 'flex-start' }}>
               <Button
@@ -92,7 +92,7 @@ function Home() {
                   bg: 'blue.700',
                 }}
               >
-                Get Started Free
+                {t('home.getStarted')}
               </Button>
               <Button
                 as="a"
@@ -103,7 +103,7 @@ function Home() {
                 py={6}
                 fontSize="md"
               >
-                Learn More
+                {t('home.learnMore')}
               </Button>
             </Stack>
           </Box>
@@ -114,7 +114,7 @@ function Home() {
               <Box
                 as="img"
                 src="/images/hero-dashboard.png"
-                alt="Budget dashboard preview"
+                alt={t('home.previewAlt')}
                 w="100%"
                 h="auto"
                 borderRadius="lg"
@@ -134,7 +134,7 @@ function Home() {
             mb={4}
             color={colors.textPrimary}
           >
-            Why Choose BudgetWise?
+            {t('home.whyTitle')}
           </Heading>
           <Text
             fontSize="lg"
@@ -144,7 +144,7 @@ function Home() {
             maxW="600px"
             mx="auto"
           >
-            Built for real-world budgeting with features that actually save you time.
+            {t('home.whyText')}
           </Text>
 
           <SimpleGrid columns={{ base: 1, md: 2, lg: 3 }} gap={6}>
@@ -160,10 +160,10 @@ function Home() {
             >
               <Box fontSize="2xl">🏷️</Box>
               <Heading as="h3" fontSize="lg" fontWeight="semibold" color={colors.textPrimary}>
-                Smart Auto-Categorization
+                {t('home.featureCategorizeTitle')}
               </Heading>
               <Text color={colors.textSecondary} fontSize="sm">
-                Merchant patterns automatically categorize your transactions into budget categories.
+                {t('home.featureCategorizeText')}
               </Text>
             </VStack>
 
@@ -179,10 +179,10 @@ function Home() {
             >
               <Box fontSize="2xl">📥</Box>
               <Heading as="h3" fontSize="lg" fontWeight="semibold" color={colors.textPrimary}>
-                Easy Transaction Import
+                {t('home.featureImportTitle')}
               </Heading>
               <Text color={colors.textSecondary} fontSize="sm">
-                Import from Google Sheets or CSV files with automatic merchant matching.
+                {t('home.featureImportText')}
               </Text>
             </VStack>
 
@@ -198,10 +198,10 @@ function Home() {
             >
               <Box fontSize="2xl">📊</Box>
               <Heading as="h3" fontSize="lg" fontWeight="semibold" color={colors.textPrimary}>
-                Monthly Budget Planning
+                {t('home.featureBudgetTitle')}
               </Heading>
               <Text color={colors.textSecondary} fontSize="sm">
-                Set spending limits per category and track your budget in real-time.
+                {t('home.featureBudgetText')}
               </Text>
             </VStack>
 
@@ -217,10 +217,10 @@ function Home() {
             >
               <Box fontSize="2xl">🧮</Box>
               <Heading as="h3" fontSize="lg" fontWeight="semibold" color={colors.textPrimary}>
-                Automatic Balance Tracking
+                {t('home.featureBalanceTitle')}
               </Heading>
               <Text color={colors.textSecondary} fontSize="sm">
-                Running balance calculated automatically for every transaction.
+                {t('home.featureBalanceText')}
               </Text>
             </VStack>
 
@@ -236,10 +236,10 @@ function Home() {
             >
               <Box fontSize="2xl">📅</Box>
               <Heading as="h3" fontSize="lg" fontWeight="semibold" color={colors.textPrimary}>
-                Month-by-Month View
+                {t('home.featureMonthsTitle')}
               </Heading>
               <Text color={colors.textSecondary} fontSize="sm">
-                Navigate between months to see historical spending and budget performance.
+                {t('home.featureMonthsText')}
               </Text>
             </VStack>
 
@@ -255,10 +255,10 @@ function Home() {
             >
               <Box fontSize="2xl">🔒</Box>
               <Heading as="h3" fontSize="lg" fontWeight="semibold" color={colors.textPrimary}>
-                Secure & Private
+                {t('home.featureSecureTitle')}
               </Heading>
               <Text color={colors.textSecondary} fontSize="sm">
-                Row-level security ensures you only see your own data. Enterprise-grade encryption.
+                {t('home.featureSecureText')}
               </Text>
             </VStack>
           </SimpleGrid>
@@ -269,10 +269,10 @@ function Home() {
       <Box bg={colors.cardBg} py={12}>
         <Container maxW="1200px" px={8}>
           <Heading as="h2" size="lg" textAlign="center" mb={4} color={colors.textPrimary}>
-            Pre-Configured Categories
+            {t('home.categoriesTitle')}
           </Heading>
           <Text color={colors.textSecondary} textAlign="center" mb={6} maxW="600px" mx="auto">
-            Your account comes with expense categories ready to go. Add your own categories and merchant patterns anytime.
+            {t('home.categoriesText')}
           </Text>
           <SimpleGrid columns={{ base: 2, sm: 3, md: 4, lg: 5 }} gap={3} maxW="900px" mx="auto">
             {categories.map((category) => (
@@ -301,31 +301,31 @@ function Home() {
       <Box py={12} bg={colors.pageBg}>
         <Container maxW="800px" px={8} textAlign="center">
           <Heading as="h2" size="lg" mb={4} color={colors.textPrimary}>
-            🔒 Enterprise-Grade Security
+            {t('home.securityTitle')}
           </Heading>
           <Text color={colors.textSecondary} mb={6}>
-            Built on Supabase with PostgreSQL. Row-level security ensures you only see your own data.
+            {t('home.securityText')}
           </Text>
           <SimpleGrid columns={{ base: 1, md: 3 }} gap={6}>
             <VStack>
               <Text fontSize="xl">🛡️</Text>
-              <Text fontWeight="semibold" fontSize="sm" color={colors.textPrimary}>Row-Level Security</Text>
+              <Text fontWeight="semibold" fontSize="sm" color={colors.textPrimary}>{t('home.rlsTitle')}</Text>
               <Text color={colors.textSecondary} fontSize="xs">
-                Database policies ensure data isolation
+                {t('home.rlsText')}
               </Text>
             </VStack>
             <VStack>
               <Text fontSize="xl">🔐</Text>
-              <Text fontWeight="semibold" fontSize="sm" color={colors.textPrimary}>Encrypted Storage</Text>
+              <Text fontWeight="semibold" fontSize="sm" color={colors.textPrimary}>{t('home.encryptedTitle')}</Text>
               <Text color={colors.textSecondary} fontSize="xs">
-                All data encrypted at rest
+                {t('home.encryptedText')}
               </Text>
             </VStack>
             <VStack>
               <Text fontSize="xl">✅</Text>
-              <Text fontWeight="semibold" fontSize="sm" color={colors.textPrimary}>Secure Auth</Text>
+              <Text fontWeight="semibold" fontSize="sm" color={colors.textPrimary}>{t('home.authTitle')}</Text>
               <Text color={colors.textSecondary} fontSize="xs">
-                Supabase Auth with JWT tokens
+                {t('home.authText')}
               </Text>
             </VStack>
           </SimpleGrid>
@@ -336,10 +336,10 @@ function Home() {
       <Box bg="blue.600" color="white" py={12} textAlign="center">
         <Container maxW="1200px" px={8}>
           <Heading as="h2" size="lg" mb={2}>
-            Ready to Take Control?
+            {t('home.ctaTitle')}
           </Heading>
           <Text opacity={0.9} mb={6}>
-            Create your free account and start tracking your budget today.
+            {t('home.ctaText')}
           </Text>
           <Flex justify="center" gap={4} direction={{ base: 'column', sm: 'row' }}>
             <Button
@@ -350,7 +350,7 @@ function Home() {
               size="lg"
               _hover={{ bg: 'gray.100' }}
             >
-              Get Started Free
+              {t('home.getStarted')}
             </Button>
             <Button
               as={RouterLink}
@@ -361,7 +361,7 @@ function Home() {
               size="lg"
               _hover={{ bg: 'blue.700' }}
             >
-              Sign In
+              {t('home.signIn')}
             </Button>
           </Flex>
         </Container>
@@ -378,7 +378,7 @@ function Home() {
           borderRadius="full"
           size="lg"
           onClick={scrollToTop}
-          aria-label="Scroll to top"
+          aria-label={t('home.scrollTop')}
           _hover={{
             bg: 'blue.700',
           }}
@@ -0,0 +1,247 @@
+import { useState, useEffect } from 'react';
+import {
+  Badge,
+  Box,
+  Button,
+  Flex,
+  Heading,
+  HStack,
+  Spinner,
+  Text,
+  VStack,
+} from '@chakra-ui/react';
+import { useAuth } from '../contexts/AuthContext';
+import { supabase } from '../lib/supabaseClient';
+import PageContainer from '../components/PageContainer';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
+import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { loadImportBatches, loadBatchTransactions, rollbackImportBatch } from '../lib/importBatches';
+
+const STATUS_PALETTES = {
+  completed: 'green',
+  failed: 'red',
+  rolled_back: 'gray',
+};
+
+/**
+ * Import History - Every import batch (statement files, sheet fetches, auto-syncs, webhook
+ * calls) with its counts and problems. A batch's transactions can be inspected, and a
+ * completed batch rolled back, which deletes everything it inserted.
+ */
+export default function ImportHistory() {
+  const { user } = useAuth();
+  const colors = useDarkModeColors();
+  const { formatCurrency } = useCurrency();
+  const { formatDate, formatDateTime } = usePreferences();
+  const { t } = useI18n();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [batches, setBatches] = useState([]);
+
+  // The batch opened with View and its transactions
+  const [openBatchId, setOpenBatchId] = useState(null);
+  const [batchTransactions, setBatchTransactions] = useState([]);
+  const [loadingTransactions, setLoadingTransactions] = useState(false);
+  const [rollingBackId, setRollingBackId] = useState(null);
+
+  useEffect(() => {
+    if (user) {
+      loadData();
+    }
+  }, [user]);
+
+  const loadData = async () => {
+    setLoading(true);
+    try {
+      setBatches(await loadImportBatches(supabase, user.id));
+    } catch (err) {
+      setError(t('importHistory.loadFailed', { error: err.message }));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  const handleToggle = async (batch) => {
+    if (openBatchId === batch.id) {
+      setOpenBatchId(null);
+      return;
+    }
+
+    setOpenBatchId(batch.id);
+    setBatchTransactions([]);
+    setLoadingTransactions(true);
+    try {
+      setBatchTransactions(await loadBatchTransactions(supabase, batch.id));
+    } catch (err) {
+      setError(t('importHistory.transactionsFailed', { error: err.message }));
+    } finally {
+      setLoadingTransactions(false);
+    }
+  };
+
+  const handleRollback = async (batch) => {
+    if (!window.confirm(t('importHistory.confirmRollback', { count: batch.imported_count }))) return;
+
+    setRollingBackId(batch.id);
+    setError('');
+    try {
+      const deleted = await rollbackImportBatch(supabase, batch.id);
+      showSuccess(t('importHistory.rolledBack', { count: deleted }));
+      setOpenBatchId(null);
+      await loadData();
+    } catch (err) {
+      setError(t('importHistory.rollbackFailed', { error: err.message }));
+    } finally {
+      setRollingBackId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <PageContainer>
+        <Flex w="100%" minH="60vh" align="center" justify="center">
+          <VStack gap={4}>
+            <Spinner size="xl" />
+            <Text>{t('importHistory.loading')}</Text>
+          </VStack>
+        </Flex>
+      </PageContainer>
+    );
+  }
+
+  return (
+    <PageContainer>
+      <VStack gap={{ base: 4, md: 6 }} align="stretch" w="100%">
+        {/* Header */}
+        <Box>
+          <Heading size={{ base: 'lg', md: 'xl' }} color={colors.textPrimary}>{t('importHistory.title')}</Heading>
+          <Text color={colors.textSecondary} mt={1} fontSize={{ base: 'sm', md: 'md' }}>
+            {t('importHistory.subtitle')}
+          </Text>
+        </Box>
+
+        {/* Success/Error Messages */}
+        {success && (
+          <Box p={3} bg={colors.successBg} borderColor={colors.successBorder} borderWidth="1px" borderRadius="md">
+            <Text color={colors.success} fontWeight="medium">{success}</Text>
+          </Box>
+        )}
+        {error && (
+          <Box p={3} bg={colors.dangerBg} borderColor={colors.dangerBorder} borderWidth="1px" borderRadius="md">
+            <Text color={colors.danger} fontWeight="medium">{error}</Text>
+          </Box>
+        )}
+
+        {batches.length === 0 ? (
+          <Box p={8} textAlign="center" borderRadius="16px" bg={colors.cardBg} borderWidth="1px" borderColor={colors.borderColor}>
+            <Text color={colors.textMuted}>{t('importHistory.empty')}</Text>
+          </Box>
+        ) : (
+          <VStack align="stretch" gap={3}>
+            {batches.map(batch => {
+              const isOpen = openBatchId === batch.id;
+              const counts = [
+                t('importHistory.rows', { count: batch.row_count }),
+                t('importHistory.imported', { count: batch.imported_count }),
+                batch.duplicate_count > 0 && t('importHistory.duplicates', { count: batch.duplicate_count }),
+                batch.held_count > 0 && t('importHistory.held', { count: batch.held_count }),
+                batch.error_count > 0 && t('importHistory.errors', { count: batch.error_count }),
+              ].filter(Boolean);
+
+              return (
+                <Box
+                  key={batch.id}
+                  data-testid="import-batch"
+                  p={{ base: 4, md: 5 }}
+                  borderRadius="16px"
+                  bg={colors.cardBg}
+                  borderWidth="1px"
+                  borderColor={colors.borderColor}
+                >
+                  <Flex justify="space-between" align={{ base: 'stretch', md: 'center' }} direction={{ base: 'column', md: 'row' }} gap={3}>
+                    <Box minW={0}>
+                      <HStack gap={2} wrap="wrap">
+                        <Badge colorPalette="blue">{t(`importHistory.source.${batch.source}`)}</Badge>
+                        <Badge colorPalette={STATUS_PALETTES[batch.status]}>{t(`importHistory.status.${batch.status}`)}</Badge>
+                        <Text fontWeight="600" color={colors.textPrimary} truncate>
+                          {[batch.source_name, batch.accounts?.name].filter(Boolean).join(' · ')}
+                        </Text>
+                      </HStack>
+                      <Text fontSize="sm" color={colors.textSecondary} mt={1}>
+                        {formatDateTime(batch.created_at)}
+                        {batch.rolled_back_at && ` · ${t('importHistory.rolledBackOn', { time: formatDateTime(batch.rolled_back_at) })}`}
+                      </Text>
+                      <Text fontSize="sm" color={colors.textMuted} mt={1}>{counts.join(' · ')}</Text>
+                    </Box>
+                    <HStack gap={2} flexShrink={0}>
+                      <Button size="sm" variant="outline" onClick={() => handleToggle(batch)}>
+                        {isOpen ? t('importHistory.hide') : t('importHistory.view')}
+                      </Button>
+                      {batch.status === 'completed' && batch.imported_count > 0 && (
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          colorPalette="red"
+                          onClick={() => handleRollback(batch)}
+                          loading={rollingBackId === batch.id}
+                        >
+                          {t('importHistory.rollBack')}
+                        </Button>
+                      )}
+                    </HStack>
+                  </Flex>
+
+                  {isOpen && (
+                    <Box mt={4} pt={4} borderTopWidth="1px" borderColor={colors.borderColor}>
+                      {batch.errors?.length > 0 && (
+                        <Box mb={4}>
+                          <Text fontSize="sm" fontWeight="600" color={colors.textPrimary} mb={1}>{t('importHistory.errorsHeading')}</Text>
+                          {batch.errors.map((message, index) => (
+                            <Text key={index} fontSize="sm" color={colors.danger}>{message}</Text>
+                          ))}
+                        </Box>
+                      )}
+                      {loadingTransactions ? (
+                        <Spinner size="sm" />
+                      ) : batchTransactions.length === 0 ? (
+                        <Text fontSize="sm" color={colors.textMuted}>{t('importHistory.noTransactions')}</Text>
+                      ) : (
+                        <VStack align="stretch" gap={1}>
+                          {batchTransactions.map(tx => (
+                            <HStack key={tx.id} justify="space-between" fontSize="sm" gap={3}>
+                              <HStack gap={2} minW={0}>
+                                <Text color={colors.textMuted} flexShrink={0}>{formatDate(tx.date)}</Text>
+                                <Text color={colors.textPrimary} truncate>{tx.description}</Text>
+                                {tx.categories?.name && <Text color={colors.textMuted} flexShrink={0}>{tx.categories.name}</Text>}
+                                {tx.deleted_at && <Badge size="sm">{t('importHistory.inTrash')}</Badge>}
+                              </HStack>
+                              <Text
+                                flexShrink={0}
+                                fontWeight="600"
+                                color={tx.type === 'expense' || tx.transfer_direction === 'out' ? colors.danger : colors.success}
+                              >
+                                {formatCurrency(tx.amount, tx.currency)}
+                              </Text>
+                            </HStack>
+                          ))}
+                        </VStack>
+                      )}
+                    </Box>
+                  )}
+                </Box>
+              );
+            })}
+          </VStack>
+        )}
+      </VStack>
+    </PageContainer>
+  );
+}
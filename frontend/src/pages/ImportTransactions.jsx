@@ -18,8 +18,26 @@ import {
 import { useAuth } from '../contexts/AuthContext';
 import { useAutoSync } from '../contexts/AutoSyncContext';
 import PageContainer from '../components/PageContainer';
-import { fetchTransactionsFromGoogleSheets, parseCSVFile, validateTransactions, extractSheetId } from '../lib/importUtils';
+import {
+  fetchTransactionsFromGoogleSheets,
+  parseStatementFile,
+  readFileText,
+  readCSVTable,
+  headerFingerprint,
+  guessColumnMapping,
+  applyColumnMapping,
+  STATEMENT_FILE_ACCEPT,
+  validateTransactions,
+  extractSheetId,
+} from '../lib/importUtils';
 import { filterOutRecurringDuplicates } from '../lib/recurringAutoAdd';
+import { loadCompiledRules, categorizeWithRules } from '../lib/rulesEngine';
+import { loadSuggestionModel, applySuggestions } from '../lib/categorySuggestions';
+import SuggestionChips from '../components/SuggestionChips';
+import { toTransferRows } from '../lib/transfers';
+import { suggestRefunds, linkRefund, unlinkRefund } from '../lib/refunds';
+import { holdSuspectedDuplicates } from '../lib/duplicates';
+import { sourceOfFile, createImportBatch, failImportBatch, withImportBatch } from '../lib/importBatches';
 import { supabase } from '../lib/supabaseClient';
 import {
   showNotification,
@@ -28,11 +46,22 @@ import {
   isNotificationSupported,
   requestNotificationPermission,
 } from '../lib/notifications';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { loadAccounts, getOrCreateAccountId } from '../lib/accounts';
+import AccountSelect from '../components/AccountSelect';
+import ColumnMappingPanel from '../components/ColumnMappingPanel';
+import DuplicateReview from '../components/DuplicateReview';
 
 export default function ImportTransactions() {
   const { user } = useAuth();
   const colors = useDarkModeColors();
+  const { formatCurrency } = useCurrency();
+  const { preferences, formatDate, formatDateTime } = usePreferences();
+  const { t } = useI18n();
+  const dateOrder = preferences.importDateOrder;
   const {
     isEnabled: autoSyncEnabled,
     isSyncing,
@@ -66,6 +95,10 @@ export default function ImportTransactions() {
   const [settingsLoading, setSettingsLoading] = useState(true);
   const [hasConnectedSheet, setHasConnectedSheet] = useState(false);
 
+  // Account that manual import, auto-sync and the webhook all write to
+  const [accounts, setAccounts] = useState([]);
+  const [importAccountId, setImportAccountId] = useState('');
+
   // Import state
   const [csvFile, setCsvFile] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -74,6 +107,18 @@ export default function ImportTransactions() {
   const [transactions, setTransactions] = useState([]);
   const [importStats, setImportStats] = useState(null);
   const [showAll, setShowAll] = useState(false);
+  const [importOrigin, setImportOrigin] = useState(null); // { source, name, rowCount, errors } of the preview
+
+  // CSV column mapping, and the saved per-bank profiles that skip it
+  const [importProfiles, setImportProfiles] = useState([]);
+  const [csvTable, setCsvTable] = useState(null); // { headers, rows } of the uploaded CSV
+  const [columnMapping, setColumnMapping] = useState(null);
+  const [mappingOpen, setMappingOpen] = useState(false);
+  const [profileName, setProfileName] = useState('');
+  const [activeProfile, setActiveProfile] = useState(null); // Profile the current CSV was mapped with
+
+  // Bumped after a save, so the duplicate review queue reloads
+  const [reviewsVersion, setReviewsVersion] = useState(0);
 
   // Custom dropdown state for sync interval
   const [syncIntervalDropdownOpen, setSyncIntervalDropdownOpen] = useState(false);
@@ -83,6 +128,7 @@ export default function ImportTransactions() {
   useEffect(() => {
     if (user) {
       loadSavedSettings();
+      loadImportProfiles();
     }
   }, [user]);
 
@@ -117,8 +163,8 @@ export default function ImportTransactions() {
       setNotificationStatus(permission);
 
       if (permission === 'granted') {
-        showNotification('Notifications Enabled!', {
-          body: 'You will now receive budget alerts and transaction notifications.',
+        showNotification(t('settings.enabledTitle'), {
+          body: t('settings.enabledBody'),
         });
       }
     } catch (err) {
@@ -129,35 +175,47 @@ export default function ImportTransactions() {
   };
 
   const handleTestNotification = () => {
-    showNotification('Test Notification', {
-      body: 'This is a test notification from BudgetWise!',
+    showNotification(t('settings.testTitle'), {
+      body: t('settings.testBody'),
     });
   };
 
+  const intervalLabel = (minutes) => (
+    minutes === 60 ? t('import.everyHour') : t('import.everyMinutes', { count: minutes })
+  );
+
   const getStatusBadge = () => {
     switch (notificationStatus) {
       case 'granted':
-        return <Badge colorPalette="green">Enabled</Badge>;
+        return <Badge colorPalette="green">{t('settings.enabled')}</Badge>;
       case 'denied':
-        return <Badge colorPalette="red">Blocked</Badge>;
+        return <Badge colorPalette="red">{t('settings.blocked')}</Badge>;
       case 'unsupported':
-        return <Badge colorPalette="gray">Not Supported</Badge>;
+        return <Badge colorPalette="gray">{t('settings.notSupported')}</Badge>;
       default:
-        return <Badge colorPalette="yellow">Not Enabled</Badge>;
+        return <Badge colorPalette="yellow">{t('settings.notEnabled')}</Badge>;
     }
   };
 
   const loadSavedSettings = async () => {
     setSettingsLoading(true);
     try {
-      const { data, error: fetchError } = await supabase
-        .from('user_settings')
-        .select('google_sheet_url, google_sheet_name')
-        .eq('user_id', user.id)
-        .maybeSingle();
+      const [{ data, error: fetchError }, accountList] = await Promise.all([
+        supabase
+          .from('user_settings')
+          .select('google_sheet_url, google_sheet_name, import_account_id')
+          .eq('user_id', user.id)
+          .maybeSingle(),
+        loadAccounts(supabase, user.id),
+      ]);
 
       if (fetchError) throw fetchError;
 
+      setAccounts(accountList);
+      // A saved account that has since been archived falls back to the default one
+      const savedAccount = accountList.find(a => a.id === data?.import_account_id);
+      setImportAccountId(savedAccount?.id || accountList[0]?.id || '');
+
       if (data?.google_sheet_url) {
         setSheetUrl(data.google_sheet_url);
         setSheetName(data.google_sheet_name || 'Expenses');
@@ -170,10 +228,25 @@ export default function ImportTransactions() {
     }
   };
 
+  const loadImportProfiles = async () => {
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('import_profiles')
+        .select('id, name, header_fingerprint, mapping')
+        .eq('user_id', user.id)
+        .order('name');
+
+      if (fetchError) throw fetchError;
+      setImportProfiles(data || []);
+    } catch (err) {
+      console.error('Error loading import profiles:', err);
+    }
+  };
+
   // Save sheet configuration
   const saveSheetSettings = async () => {
     if (!sheetUrl.trim()) {
-      setError('Please enter a Google Sheet URL');
+      setError(t('import.enterSheetUrl'));
       return;
     }
 
@@ -185,7 +258,7 @@ export default function ImportTransactions() {
       // Validate URL by extracting sheet ID
       const extractedId = extractSheetId(sheetUrl);
       if (!extractedId) {
-        throw new Error('Invalid Google Sheet URL. Please paste the full URL from your browser.');
+        throw new Error(t('import.invalidSheetUrl'));
       }
 
       // Check if settings exist
@@ -221,93 +294,51 @@ export default function ImportTransactions() {
       }
 
       setHasConnectedSheet(true);
-      setSuccess('Sheet connected successfully!');
+      setSuccess(t('import.connected'));
       setTimeout(() => setSuccess(''), 3000);
 
       // Refresh auto-sync settings
       refreshAutoSync();
     } catch (err) {
-      setError('Failed to save settings: ' + err.message);
+      setError(t('import.saveSettingsFailed', { error: err.message }));
     } finally {
       setSavingSettings(false);
     }
   };
 
-  // Fetch merchant mappings from Supabase and categorize transactions
-  const categorizeTransactionsFromDB = async (transactions) => {
-    // Fetch all merchant mappings
-    const { data: mappings, error: mappingsError } = await supabase
-      .from('merchant_mappings')
-      .select('transaction_description, category_name')
-      .eq('user_id', user.id);
-
-    if (mappingsError) {
-      console.error('Error fetching merchant mappings:', mappingsError);
-      throw mappingsError;
-    }
+  // Remember the import account so background sync and the webhook use it too
+  const handleImportAccountChange = async (accountId) => {
+    setImportAccountId(accountId);
+    try {
+      const { data: existing } = await supabase
+        .from('user_settings')
+        .select('id')
+        .eq('user_id', user.id)
+        .maybeSingle();
 
-    // Fetch all categories to know which are income vs expense
-    const { data: categories, error: catError } = await supabase
-      .from('categories')
-      .select('name, type')
-      .eq('user_id', user.id);
+      const { error: saveError } = existing
+        ? await supabase
+            .from('user_settings')
+            .update({ import_account_id: accountId, updated_at: new Date().toISOString() })
+            .eq('user_id', user.id)
+        : await supabase
+            .from('user_settings')
+            .insert({ user_id: user.id, import_account_id: accountId });
 
-    if (catError) {
-      console.error('Error fetching categories:', catError);
-      throw catError;
+      if (saveError) throw saveError;
+    } catch (err) {
+      setError(t('import.saveAccountFailed', { error: err.message }));
     }
-
-    // Build separate maps for expense and income category names
-    const incomeCategoryNames = new Set(
-      categories.filter(c => c.type === 'income').map(c => c.name)
-    );
-    const expenseCategoryNames = new Set(
-      categories.filter(c => c.type === 'expense').map(c => c.name)
-    );
-
-    // Build separate lookup maps for expense and income mappings
-    const expenseMappingLookup = {};
-    const incomeMappingLookup = {};
-
-    (mappings || []).forEach(mapping => {
-      const key = mapping.transaction_description.toUpperCase();
-      const categoryName = mapping.category_name;
-
-      if (incomeCategoryNames.has(categoryName)) {
-        incomeMappingLookup[key] = categoryName;
-      } else if (expenseCategoryNames.has(categoryName)) {
-        expenseMappingLookup[key] = categoryName;
-      }
-    });
-
-    // Categorize each transaction using substring matching
-    return transactions.map(transaction => {
-      const isIncome = transaction.type === 'income';
-      const lookupMap = isIncome ? incomeMappingLookup : expenseMappingLookup;
-      const defaultCategory = isIncome ? null : 'Unexpected'; // null for income = use default income category
-      const category = categorizeTransaction(transaction.description, lookupMap, defaultCategory);
-      return {
-        ...transaction,
-        category,
-      };
-    });
   };
 
-  // Categorize a single transaction using substring matching
-  const categorizeTransaction = (description, mappingLookup, defaultCategory = 'Unexpected') => {
-    if (!description || typeof description !== 'string') {
-      return defaultCategory;
-    }
-
-    const normalizedDesc = description.toUpperCase().trim().replace(/\s+/g, ' ');
-
-    for (const [merchantName, categoryName] of Object.entries(mappingLookup)) {
-      if (normalizedDesc.includes(merchantName)) {
-        return categoryName;
-      }
-    }
-
-    return defaultCategory;
+  // Run the user's categorization rules (merchant mappings last) over the parsed rows
+  // Rows nothing matched get learned suggestions instead of silently becoming 'Unexpected'
+  const categorizeTransactionsFromDB = async (transactions) => {
+    const [compiledRules, suggestionModel] = await Promise.all([
+      loadCompiledRules(supabase, user.id),
+      loadSuggestionModel(supabase, user.id),
+    ]);
+    return applySuggestions(categorizeWithRules(transactions, compiledRules), suggestionModel);
   };
 
   // Calculate category statistics
@@ -315,7 +346,7 @@ export default function ImportTransactions() {
     const stats = {};
 
     transactions.forEach(transaction => {
-      const category = transaction.category || 'Unexpected';
+      const category = transaction.transferAccountId ? t('common.transfer') : (transaction.category || 'Unexpected');
       if (!stats[category]) {
         stats[category] = {
           count: 0,
@@ -329,10 +360,51 @@ export default function ImportTransactions() {
     return stats;
   };
 
+  // Validate and categorize parsed rows, and show them for review before saving
+  const previewTransactions = async (rawTransactions, origin) => {
+    const validation = validateTransactions(rawTransactions);
+    setImportOrigin({
+      ...origin,
+      rowCount: rawTransactions.length,
+      errors: validation.invalid.map(tx => t('import.rowError', { row: tx.index + 1, errors: tx.errors.join(', ') })),
+    });
+
+    if (validation.invalidCount > 0) {
+      setError(t('import.invalidRows', { count: validation.invalidCount, valid: validation.validCount }));
+    }
+
+    // Money coming back is checked against past purchases: it may be a refund, not income
+    showPreview(await suggestRefunds(supabase, user.id, await categorizeTransactionsFromDB(validation.valid)));
+  };
+
+  const showPreview = (rows) => {
+    setTransactions(rows);
+    setImportStats({
+      total: rows.length,
+      totalAmount: rows.reduce((sum, t) => sum + t.amount, 0),
+      categories: getCategoryStats(rows),
+    });
+  };
+
+  // Take one of a row's suggested categories in the preview
+  const handlePickSuggestion = (index, suggestion) => {
+    showPreview(transactions.map((t, i) => (
+      i === index ? { ...t, category: suggestion.name, categorySource: 'manual' } : t
+    )));
+  };
+
+  // Link a row to the purchase it refunds, or unlink it if it already is
+  const handlePickRefund = (index, purchase) => {
+    showPreview(transactions.map((t, i) => {
+      if (i !== index) return t;
+      return t.refundOf === purchase.id ? unlinkRefund(t) : linkRefund(t, purchase);
+    }));
+  };
+
   // Handle manual sync from connected sheet
   const handleManualSync = async () => {
     if (!sheetUrl) {
-      setError('No Google Sheet connected. Please add one above.');
+      setError(t('import.noSheet'));
       return;
     }
 
@@ -343,25 +415,11 @@ export default function ImportTransactions() {
     try {
       const extractedId = extractSheetId(sheetUrl);
       if (!extractedId) {
-        throw new Error('Invalid Google Sheet URL');
-      }
-
-      const rawTransactions = await fetchTransactionsFromGoogleSheets(extractedId, sheetName);
-      const validation = validateTransactions(rawTransactions);
-
-      if (validation.invalidCount > 0) {
-        setError(`Found ${validation.invalidCount} invalid transactions. Showing ${validation.validCount} valid ones.`);
+        throw new Error(t('sync.invalidSheetUrl'));
       }
 
-      const categorized = await categorizeTransactionsFromDB(validation.valid);
-      setTransactions(categorized);
-
-      const stats = getCategoryStats(categorized);
-      setImportStats({
-        total: categorized.length,
-        totalAmount: categorized.reduce((sum, t) => sum + t.amount, 0),
-        categories: stats,
-      });
+      const rawTransactions = await fetchTransactionsFromGoogleSheets(extractedId, sheetName, { dateOrder });
+      await previewTransactions(rawTransactions, { source: 'sheet', name: sheetName });
     } catch (err) {
       setError(err.message);
       console.error('Import error:', err);
@@ -370,49 +428,122 @@ export default function ImportTransactions() {
     }
   };
 
-  // Handle CSV file upload
-  const handleCSVUpload = async (event) => {
+  // Handle statement file upload (CSV, OFX/QFX or QIF)
+  const handleFileUpload = async (event) => {
     const file = event.target.files[0];
     if (!file) return;
 
-    if (!file.name.endsWith('.csv')) {
-      setError('Please upload a CSV file');
-      return;
+    setLoading(true);
+    setError('');
+    setTransactions([]);
+    setCsvTable(null);
+    setMappingOpen(false);
+    setActiveProfile(null);
+
+    const origin = { source: sourceOfFile(file.name), name: file.name };
+    setImportOrigin(origin);
+
+    try {
+      if (origin.source === 'csv') {
+        const table = readCSVTable(await readFileText(file));
+        setCsvTable(table);
+
+        // A bank layout seen before is mapped the way the user set it up; anything
+        // else goes through the mapping step, starting from a guess
+        const profile = importProfiles.find(p => p.header_fingerprint === headerFingerprint(table.headers));
+        if (profile) {
+          setActiveProfile(profile);
+          setColumnMapping(profile.mapping);
+          setProfileName(profile.name);
+          await previewTransactions(applyColumnMapping(table, profile.mapping, { dateOrder }), origin);
+        } else {
+          setColumnMapping(guessColumnMapping(table.headers, table.rows));
+          setProfileName('');
+          setMappingOpen(true);
+        }
+        return;
+      }
+
+      await previewTransactions(await parseStatementFile(file, { dateOrder }), origin);
+    } catch (err) {
+      setError(err.message);
+      console.error('Statement parse error:', err);
+    } finally {
+      setLoading(false);
     }
+  };
 
+  // Read the CSV with the chosen mapping, saving it as a bank profile when named
+  const handleApplyMapping = async () => {
     setLoading(true);
     setError('');
-    setTransactions([]);
 
     try {
-      const rawTransactions = await parseCSVFile(file);
-      const validation = validateTransactions(rawTransactions);
+      const name = profileName.trim();
+      if (name) {
+        const { data: saved, error: saveError } = await supabase
+          .from('import_profiles')
+          .upsert({
+            user_id: user.id,
+            name,
+            header_fingerprint: headerFingerprint(csvTable.headers),
+            mapping: columnMapping,
+            updated_at: new Date().toISOString(),
+          }, { onConflict: 'user_id,header_fingerprint' })
+          .select('id, name, header_fingerprint, mapping')
+          .single();
 
-      if (validation.invalidCount > 0) {
-        setError(`Found ${validation.invalidCount} invalid transactions. Showing ${validation.validCount} valid ones.`);
-      }
+        if (saveError) throw saveError;
 
-      const categorized = await categorizeTransactionsFromDB(validation.valid);
-      setTransactions(categorized);
+        setImportProfiles(prev =>
+          [...prev.filter(p => p.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name))
+        );
+        setActiveProfile(saved);
+      } else {
+        setActiveProfile(null);
+      }
 
-      const stats = getCategoryStats(categorized);
-      setImportStats({
-        total: categorized.length,
-        totalAmount: categorized.reduce((sum, t) => sum + t.amount, 0),
-        categories: stats,
-      });
+      setMappingOpen(false);
+      await previewTransactions(applyColumnMapping(csvTable, columnMapping, { dateOrder }), importOrigin);
     } catch (err) {
       setError(err.message);
-      console.error('CSV parse error:', err);
+      console.error('Column mapping error:', err);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleEditMapping = () => {
+    setTransactions([]);
+    setImportStats(null);
+    setMappingOpen(true);
+  };
+
+  const handleCancelMapping = () => {
+    setCsvTable(null);
+    setMappingOpen(false);
+  };
+
+  const handleDeleteProfile = async (profileId) => {
+    try {
+      const { error: deleteError } = await supabase
+        .from('import_profiles')
+        .delete()
+        .eq('id', profileId)
+        .eq('user_id', user.id);
+
+      if (deleteError) throw deleteError;
+      setImportProfiles(prev => prev.filter(p => p.id !== profileId));
+      if (activeProfile?.id === profileId) setActiveProfile(null);
+    } catch (err) {
+      setError(t('import.deleteProfileFailed', { error: err.message }));
+    }
+  };
+
   // Handle save to database
   const handleSaveTransactions = async () => {
     if (transactions.length === 0) {
-      setError('No transactions to save');
+      setError(t('import.nothingToSave'));
       return;
     }
 
@@ -420,32 +551,8 @@ export default function ImportTransactions() {
     setError('');
 
     try {
-      // Get or create default account
-      let { data: accounts, error: accountError } = await supabase
-        .from('accounts')
-        .select('id')
-        .eq('user_id', user.id)
-        .limit(1);
-
-      if (accountError) throw accountError;
-
-      let accountId;
-      if (!accounts || accounts.length === 0) {
-        const { data: newAccount, error: createError } = await supabase
-          .from('accounts')
-          .insert({
-            user_id: user.id,
-            name: 'Main Account',
-            balance: 0,
-          })
-          .select()
-          .single();
-
-        if (createError) throw createError;
-        accountId = newAccount.id;
-      } else {
-        accountId = accounts[0].id;
-      }
+      // Selected import account, or the default one for users who have none yet
+      const accountId = await getOrCreateAccountId(supabase, user.id, importAccountId || null);
 
       // Get category IDs - fetch both expense and income categories
       const { data: categories, error: catError } = await supabase
@@ -499,7 +606,7 @@ export default function ImportTransactions() {
       // Check for duplicates - get existing transactions
       const { data: existingTransactions, error: fetchError } = await supabase
         .from('transactions')
-        .select('date, description, amount')
+        .select('date, description, amount, account_id, fitid')
         .eq('user_id', user.id);
 
       if (fetchError) throw fetchError;
@@ -515,10 +622,25 @@ export default function ImportTransactions() {
         )
       );
 
+      // OFX/QFX rows carry the bank's own id (FITID), unique within the account, so for them
+      // an exact id match replaces the signature - two real $4.50 coffees on one day both import
+      const existingFitids = new Set(
+        (existingTransactions || [])
+          .filter(t => t.fitid && t.account_id === accountId)
+          .map(t => t.fitid)
+      );
+
       // Filter out duplicates
       const notAlreadyImported = transactions.filter(t => {
-        const signature = `${t.date}|${normalizeDesc(t.description)}|${normalizeAmount(t.amount)}`;
-        return !existingSet.has(signature);
+        if (t.fitid) {
+          if (existingFitids.has(t.fitid)) return false;
+          existingFitids.add(t.fitid); // Same id twice in one file
+          return true;
+        }
+        // A rule may have renamed the row since it was first imported under the bank's wording
+        return ![t.description, t.originalDescription].some(desc =>
+          desc && existingSet.has(`${t.date}|${normalizeDesc(desc)}|${normalizeAmount(t.amount)}`)
+        );
       });
 
       // Also drop rows the bank is reporting for a recurring payment that already
@@ -527,18 +649,29 @@ export default function ImportTransactions() {
 
       const duplicateCount = transactions.length - uniqueTransactions.length;
 
+      // What this import was and what came of it, for Settings → Import History
+      const recordBatch = (counts) => createImportBatch(supabase, user.id, {
+        source: importOrigin?.source || 'csv',
+        sourceName: importOrigin?.name,
+        accountId,
+        rowCount: importOrigin?.rowCount ?? transactions.length,
+        errors: importOrigin?.errors,
+        ...counts,
+      });
+
       if (uniqueTransactions.length === 0) {
-        setError(`All ${transactions.length} transactions already exist in the database.`);
+        await recordBatch({ duplicateCount });
+        setError(t('import.allExist', { count: transactions.length }));
         setLoading(false);
         return;
       }
 
       if (duplicateCount > 0) {
-        setError(`Skipped ${duplicateCount} duplicate transaction(s). Importing ${uniqueTransactions.length} new ones.`);
+        setError(t('import.skippedDuplicates', { count: duplicateCount, imported: uniqueTransactions.length }));
       }
 
       // Prepare and insert transactions
-      const transactionsToInsert = uniqueTransactions.map(t => {
+      const transactionsToInsert = uniqueTransactions.flatMap(t => {
         const isIncome = t.type === 'income';
         let categoryId;
 
@@ -550,54 +683,93 @@ export default function ImportTransactions() {
             categoryId = defaultIncomeCategoryId;
           }
         } else {
-          // For expense transactions, use expense category map with merchant matching
+          // For expense transactions and refunds, use expense category map with merchant matching
           categoryId = expenseCategoryMap[t.category] || expenseCategoryMap['Unexpected'];
         }
 
-        return {
+        const row = {
           user_id: user.id,
           account_id: accountId,
           category_id: categoryId,
-          type: isIncome ? 'income' : 'expense',
+          type: isIncome ? 'income' : t.type === 'refund' ? 'refund' : 'expense',
+          refund_of: t.refundOf || null,
           amount: t.amount,
           provider: t.bank || null, // Store bank name in provider field
           description: t.description,
           date: t.date,
+          fitid: t.fitid || null,
+          tags: t.tags || [],
         };
+
+        // Rows a rule marked as a transfer become an out/in pair with the rule's account
+        return t.transferAccountId && t.transferAccountId !== accountId
+          ? toTransferRows(row, t.transferAccountId)
+          : [row];
       });
 
+      // Rows that look like a transaction already recorded wait in the review queue instead
+      const { rows: rowsToInsert, held, settled, queued } = await holdSuspectedDuplicates(
+        supabase, user.id, transactionsToInsert, 'import'
+      );
+      setReviewsVersion(v => v + 1);
+
+      const batch = await recordBatch({
+        importedCount: rowsToInsert.length,
+        duplicateCount: duplicateCount + settled,
+        heldCount: held,
+        queued,
+      });
+
+      if (held > 0 || settled > 0) {
+        setError([
+          held > 0 && t('import.heldForReview', { count: held }),
+          settled > 0 && t('import.settledDuplicates', { count: settled }),
+        ].filter(Boolean).join(' '));
+      }
+
+      if (rowsToInsert.length === 0) {
+        setTransactions([]);
+        setImportStats(null);
+        return;
+      }
+
       const { data: insertedTransactions, error: insertError } = await supabase
         .from('transactions')
-        .insert(transactionsToInsert)
+        .insert(withImportBatch(rowsToInsert, batch.id))
         .select();
 
-      if (insertError) throw insertError;
+      if (insertError) {
+        await failImportBatch(supabase, batch, insertError.message);
+        throw insertError;
+      }
 
       // Send notification for imported transactions
       if (insertedTransactions.length > 0 && getNotificationPermission() === 'granted') {
+        // Everything goes to the chosen account, so the rows share its currency
         const totalAmount = insertedTransactions.reduce((sum, t) => sum + Number(t.amount), 0);
-        const formattedTotal = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(totalAmount);
+        const formattedTotal = formatCurrency(totalAmount, insertedTransactions[0].currency);
 
-        showNotification('Transactions Imported', {
-          body: `${insertedTransactions.length} transaction${insertedTransactions.length !== 1 ? 's' : ''} saved (${formattedTotal} total)`,
+        showNotification(t('import.importedTitle'), {
+          body: t('import.savedBody', { count: insertedTransactions.length, total: formattedTotal }),
           tag: 'import-' + Date.now()
         });
 
         // Check budget limits for each imported transaction
         for (const transaction of insertedTransactions) {
-          if (transaction.category_id) {
+          // A refund only brings spending down
+          if (transaction.category_id && transaction.type !== 'refund') {
             await checkBudgetAndNotify(supabase, user.id, transaction.category_id, transaction.amount);
           }
         }
       }
 
-      setSuccess(`Successfully saved ${insertedTransactions.length} transactions!`);
+      setSuccess(t('import.saved', { count: insertedTransactions.length }));
       setTimeout(() => setSuccess(''), 3000);
       setTransactions([]);
       setImportStats(null);
+      setCsvTable(null);
+      setActiveProfile(null);
+      setImportOrigin(null);
     } catch (err) {
       setError(err.message);
       console.error('Save error:', err);
@@ -606,27 +778,30 @@ export default function ImportTransactions() {
     }
   };
 
+  // Imported amounts are in the import account's currency
+  const importCurrency = accounts.find(a => a.id === importAccountId)?.currency;
+
   return (
     <PageContainer>
       <VStack gap={8} align="stretch" w="100%">
           <Box>
-            <Heading size="2xl" color={colors.textPrimary}>Import & Settings</Heading>
+            <Heading size="2xl" color={colors.textPrimary}>{t('import.title')}</Heading>
             <Text color={colors.textSecondary} mt={2}>
-              Connect your Google Sheet for automatic syncing or import from CSV
+              {t('import.subtitle')}
             </Text>
           </Box>
 
         {/* Account Info */}
         <Box p={6} borderWidth="1px" borderColor={colors.borderColor} borderRadius="lg" bg={colors.cardBg}>
           <Heading size="lg" mb={4} color={colors.textPrimary}>
-            Account Information
+            {t('settings.accountInfo')}
           </Heading>
           <VStack align="start" gap={2}>
             <Text color={colors.textPrimary}>
-              <strong>Email:</strong> {user?.email}
+              <strong>{t('settings.email')}</strong> {user?.email}
             </Text>
             <Text color={colors.textPrimary}>
-              <strong>User ID:</strong> {user?.id}
+              <strong>{t('settings.userId')}</strong> {user?.id}
             </Text>
           </VStack>
         </Box>
@@ -643,18 +818,21 @@ export default function ImportTransactions() {
           </Box>
         )}
 
+        {/* Suspected duplicates held back by earlier imports */}
+        <DuplicateReview refreshKey={reviewsVersion} />
+
         {/* Google Sheet Configuration */}
         <Box p={6} borderWidth="1px" borderColor={colors.borderColor} borderRadius="lg" bg={colors.cardBg}>
           <Heading size="lg" mb={4} color={colors.textPrimary}>
-            Google Sheet Connection
+            {t('import.sheetTitle')}
           </Heading>
           <Text color={colors.textSecondary} mb={6}>
-            Connect your Google Sheet to sync transactions. The sheet must be publicly accessible (Share → Anyone with the link can view).
+            {t('import.sheetIntro')}
           </Text>
 
           <VStack gap={4} align="stretch">
             <Box>
-              <Text fontWeight="medium" mb={2} color={colors.textPrimary}>Google Sheets URL</Text>
+              <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('import.sheetUrl')}</Text>
               <Input
                 placeholder="https://docs.google.com/spreadsheets/d/..."
                 value={sheetUrl}
@@ -670,7 +848,7 @@ export default function ImportTransactions() {
             </Box>
 
             <Box>
-              <Text fontWeight="medium" mb={2} color={colors.textPrimary}>Sheet Name (Tab)</Text>
+              <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('import.sheetName')}</Text>
               <Input
                 placeholder="Expenses"
                 value={sheetName}
@@ -681,7 +859,7 @@ export default function ImportTransactions() {
                 color={colors.textPrimary}
               />
               <Text fontSize="sm" color={colors.textMuted} mt={1}>
-                The name of the tab containing your transactions (default: Expenses)
+                {t('import.sheetNameHint')}
               </Text>
             </Box>
 
@@ -691,9 +869,9 @@ export default function ImportTransactions() {
                 size="lg"
                 onClick={saveSheetSettings}
                 isLoading={savingSettings}
-                loadingText="Saving..."
+                loadingText={t('common.saving')}
               >
-                {hasConnectedSheet ? 'Update Connection' : 'Connect Sheet'}
+                {hasConnectedSheet ? t('import.updateConnection') : t('import.connectSheet')}
               </Button>
             </HStack>
           </VStack>
@@ -703,7 +881,7 @@ export default function ImportTransactions() {
         {hasConnectedSheet && (
           <Box p={6} borderWidth="1px" borderColor={colors.borderColor} borderRadius="lg" bg={colors.cardBg}>
             <Heading size="lg" mb={4} color={colors.textPrimary}>
-              Sync Settings
+              {t('import.syncSettings')}
             </Heading>
 
             {/* Sync Mode Tabs */}
@@ -721,7 +899,7 @@ export default function ImportTransactions() {
                     cursor: 'pointer',
                   }}
                 >
-                  Polling Mode
+                  {t('import.pollingMode')}
                 </Tabs.Trigger>
                 <Tabs.Trigger
                   value="webhook"
@@ -736,7 +914,7 @@ export default function ImportTransactions() {
                     cursor: 'pointer',
                   }}
                 >
-                  Webhook Mode (Recommended)
+                  {t('import.webhookMode')}
                 </Tabs.Trigger>
               </Tabs.List>
 
@@ -744,16 +922,16 @@ export default function ImportTransactions() {
               <Tabs.Content value="polling">
                 <Box mt={4}>
                   <Text color={colors.textSecondary} mb={4}>
-                    Periodically check for new transactions. Simple but less efficient.
+                    {t('import.pollingIntro')}
                   </Text>
 
                   <VStack gap={4} align="stretch">
                     {/* Enable/Disable Toggle */}
                     <HStack justify="space-between">
                       <Box>
-                        <Text fontWeight="medium" color={colors.textPrimary}>Enable Auto-Sync</Text>
+                        <Text fontWeight="medium" color={colors.textPrimary}>{t('import.enableAutoSync')}</Text>
                         <Text fontSize="sm" color={colors.textMuted}>
-                          Automatically import new transactions
+                          {t('import.enableAutoSyncHint')}
                         </Text>
                       </Box>
                       <Switch.Root
@@ -769,7 +947,7 @@ export default function ImportTransactions() {
 
                     {/* Sync Interval */}
                     <Box>
-                      <Text fontWeight="medium" mb={2} color={colors.textPrimary}>Sync Interval</Text>
+                      <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('import.syncInterval')}</Text>
                       <Box ref={syncIntervalDropdownRef} position="relative" w="200px">
                         {/* Dropdown Trigger */}
                         <Box
@@ -793,11 +971,7 @@ export default function ImportTransactions() {
                             fontSize="md"
                             noOfLines={1}
                           >
-                            {syncInterval === 1 ? 'Every 1 minute' :
-                             syncInterval === 5 ? 'Every 5 minutes' :
-                             syncInterval === 15 ? 'Every 15 minutes' :
-                             syncInterval === 30 ? 'Every 30 minutes' :
-                             syncInterval === 60 ? 'Every hour' : `Every ${syncInterval} minutes`}
+                            {intervalLabel(syncInterval)}
                           </Text>
                           <Box
                             as="span"
@@ -827,17 +1001,11 @@ export default function ImportTransactions() {
                             overflowY="auto"
                           >
                             <VStack gap={0} align="stretch" p={1}>
-                              {[
-                                { value: 1, label: 'Every 1 minute' },
-                                { value: 5, label: 'Every 5 minutes' },
-                                { value: 15, label: 'Every 15 minutes' },
-                                { value: 30, label: 'Every 30 minutes' },
-                                { value: 60, label: 'Every hour' },
-                              ].map((option) => {
-                                const isSelected = option.value === syncInterval;
+                              {[1, 5, 15, 30, 60].map((minutes) => {
+                                const isSelected = minutes === syncInterval;
                                 return (
                                   <HStack
-                                    key={option.value}
+                                    key={minutes}
                                     px={3}
                                     py={2.5}
                                     cursor="pointer"
@@ -845,7 +1013,7 @@ export default function ImportTransactions() {
                                     _hover={{ bg: colors.rowStripedBg }}
                                     borderRadius="8px"
                                     onClick={() => {
-                                      updateSyncInterval(option.value);
+                                      updateSyncInterval(minutes);
                                       setSyncIntervalDropdownOpen(false);
                                     }}
                                     justify="space-between"
@@ -856,7 +1024,7 @@ export default function ImportTransactions() {
                                       fontSize="sm"
                                       fontWeight={isSelected ? '600' : '400'}
                                     >
-                                      {option.label}
+                                      {intervalLabel(minutes)}
                                     </Text>
                                     {isSelected && (
                                       <Text color="blue.500" fontSize="sm">✓</Text>
@@ -875,18 +1043,18 @@ export default function ImportTransactions() {
                       <HStack justify="space-between" align="center">
                         <VStack align="start" gap={1}>
                           <HStack>
-                            <Text fontWeight="medium" color={colors.textPrimary}>Status:</Text>
+                            <Text fontWeight="medium" color={colors.textPrimary}>{t('settings.status')}</Text>
                             {isSyncing ? (
-                              <Badge colorScheme="blue">Syncing...</Badge>
+                              <Badge colorScheme="blue">{t('import.syncing')}</Badge>
                             ) : autoSyncEnabled ? (
-                              <Badge colorScheme="green">Active</Badge>
+                              <Badge colorScheme="green">{t('import.active')}</Badge>
                             ) : (
-                              <Badge colorScheme="gray">Disabled</Badge>
+                              <Badge colorScheme="gray">{t('import.disabled')}</Badge>
                             )}
                           </HStack>
                           {lastSyncTime && (
                             <Text fontSize="sm" color={colors.textSecondary}>
-                              Last sync: {lastSyncTime.toLocaleDateString()} {lastSyncTime.toLocaleTimeString()}
+                              {t('import.lastSync', { time: formatDateTime(lastSyncTime) })}
                             </Text>
                           )}
                           {lastSyncResult && (
@@ -903,9 +1071,9 @@ export default function ImportTransactions() {
                           variant="outline"
                           onClick={performSync}
                           isLoading={isSyncing}
-                          loadingText="Syncing..."
+                          loadingText={t('import.syncing')}
                         >
-                          Sync Now
+                          {t('import.syncNow')}
                         </Button>
                       </HStack>
                     </Box>
@@ -917,16 +1085,16 @@ export default function ImportTransactions() {
               <Tabs.Content value="webhook">
                 <Box mt={4}>
                   <Text color={colors.textSecondary} mb={4}>
-                    Instant updates when new transactions are added to your sheet. More efficient and real-time.
+                    {t('import.webhookIntro')}
                   </Text>
 
                   <VStack gap={4} align="stretch">
                     {/* Enable/Disable Toggle */}
                     <HStack justify="space-between" p={4} bg={colors.rowStripedBg} borderRadius="md">
                       <Box>
-                        <Text fontWeight="medium" color={colors.textPrimary}>Enable Webhook Sync</Text>
+                        <Text fontWeight="medium" color={colors.textPrimary}>{t('import.enableWebhook')}</Text>
                         <Text fontSize="sm" color={colors.textMuted}>
-                          Receive transactions automatically via webhook
+                          {t('import.enableWebhookHint')}
                         </Text>
                       </Box>
                       <Switch.Root
@@ -943,16 +1111,16 @@ export default function ImportTransactions() {
                     {/* Status */}
                     <Box p={4} bg={realtimeEnabled ? colors.successBg : colors.rowStripedBg} borderRadius="md">
                       <HStack>
-                        <Text fontWeight="medium" color={colors.textPrimary}>Status:</Text>
+                        <Text fontWeight="medium" color={colors.textPrimary}>{t('settings.status')}</Text>
                         {realtimeEnabled ? (
-                          <Badge colorScheme="green">Active - Listening for updates</Badge>
+                          <Badge colorScheme="green">{t('import.listening')}</Badge>
                         ) : (
-                          <Badge colorScheme="gray">Disabled</Badge>
+                          <Badge colorScheme="gray">{t('import.disabled')}</Badge>
                         )}
                       </HStack>
                       {realtimeEnabled && lastSyncTime && (
                         <Text fontSize="sm" color={colors.textSecondary} mt={2}>
-                          Last update: {lastSyncTime.toLocaleDateString()} {lastSyncTime.toLocaleTimeString()}
+                          {t('import.lastUpdate', { time: formatDateTime(lastSyncTime) })}
                         </Text>
                       )}
                     </Box>
@@ -960,16 +1128,16 @@ export default function ImportTransactions() {
                     {/* Webhook Configuration */}
                     <Box p={4} borderWidth="1px" borderColor={colors.borderColor} borderRadius="md">
                       <Heading size="md" mb={4} color={colors.textPrimary}>
-                        Google Apps Script Setup
+                        {t('import.scriptSetup')}
                       </Heading>
                       <Text fontSize="sm" color={colors.textSecondary} mb={4}>
-                        Copy these values into your Google Apps Script to enable real-time sync.
-                        Go to Extensions → Apps Script in your Google Sheet.
+                        {t('import.scriptIntro')}
+                        {t('import.scriptWhere')}
                       </Text>
 
                       {/* Webhook URL */}
                       <Box mb={4}>
-                        <Text fontWeight="medium" mb={2} color={colors.textPrimary}>Webhook URL</Text>
+                        <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('import.webhookUrl')}</Text>
                         <HStack>
                           <Input
                             value={getWebhookUrl()}
@@ -987,14 +1155,14 @@ export default function ImportTransactions() {
                               setTimeout(() => setCopiedField(null), 2000);
                             }}
                           >
-                            {copiedField === 'url' ? 'Copied!' : 'Copy'}
+                            {copiedField === 'url' ? t('import.copied') : t('import.copy')}
                           </Button>
                         </HStack>
                       </Box>
 
                       {/* User ID */}
                       <Box mb={4}>
-                        <Text fontWeight="medium" mb={2} color={colors.textPrimary}>User ID</Text>
+                        <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('import.userId')}</Text>
                         <HStack>
                           <Input
                             value={userId || ''}
@@ -1012,17 +1180,17 @@ export default function ImportTransactions() {
                               setTimeout(() => setCopiedField(null), 2000);
                             }}
                           >
-                            {copiedField === 'userId' ? 'Copied!' : 'Copy'}
+                            {copiedField === 'userId' ? t('import.copied') : t('import.copy')}
                           </Button>
                         </HStack>
                       </Box>
 
                       {/* Webhook Secret */}
                       <Box mb={4}>
-                        <Text fontWeight="medium" mb={2} color={colors.textPrimary}>Webhook Secret</Text>
+                        <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('import.webhookSecret')}</Text>
                         <HStack>
                           <Input
-                            value={webhookSecret || 'Click "Generate" to create a secret'}
+                            value={webhookSecret || t('import.secretPlaceholder')}
                             readOnly
                             size="sm"
                             bg={colors.rowStripedBg}
@@ -1039,7 +1207,7 @@ export default function ImportTransactions() {
                                 setTimeout(() => setCopiedField(null), 2000);
                               }}
                             >
-                              {copiedField === 'secret' ? 'Copied!' : 'Copy'}
+                              {copiedField === 'secret' ? t('import.copied') : t('import.copy')}
                             </Button>
                           ) : null}
                           <Button
@@ -1047,11 +1215,11 @@ export default function ImportTransactions() {
                             colorScheme="purple"
                             onClick={generateWebhookSecret}
                           >
-                            {webhookSecret ? 'Regenerate' : 'Generate'}
+                            {webhookSecret ? t('import.regenerate') : t('import.generate')}
                           </Button>
                         </HStack>
                         <Text fontSize="xs" color={colors.textMuted} mt={1}>
-                          Keep this secret safe. Regenerating will invalidate the old one.
+                          {t('import.secretHint')}
                         </Text>
                       </Box>
 
@@ -1137,7 +1305,7 @@ function getTransactionFromRow(sheet, row) {
     date: formatDate(date),
     description: description,
     amount: parseAmount(amount),
-    type: typeIdx !== -1 && String(values[typeIdx]).toLowerCase() === 'income' ? 'income' : 'expense',
+    type: typeIdx !== -1 && ['income', 'refund'].includes(String(values[typeIdx]).toLowerCase()) ? String(values[typeIdx]).toLowerCase() : 'expense',
     bank: bankIdx !== -1 ? String(values[bankIdx]).trim() : '',
   };
 }
@@ -1147,9 +1315,10 @@ function formatDate(date) {
   return String(date);
 }
 
+// Keeps the sign: the webhook reads a negative expense as a refund
 function parseAmount(amount) {
-  if (typeof amount === 'number') return Math.abs(amount);
-  return Math.abs(parseFloat(String(amount).replace(/[$,]/g, '').replace(/[()]/g, '-').trim()));
+  if (typeof amount === 'number') return amount;
+  return parseFloat(String(amount).replace(/[$,]/g, '').replace(/[()]/g, '-').trim());
 }
 
 function sendToWebhook(transactions) {
@@ -1186,68 +1355,68 @@ function testConnection() {
                             setTimeout(() => setCopiedField(null), 3000);
                           }}
                         >
-                          {copiedField === 'fullScript' ? '✓ Script Copied!' : '📋 Copy Complete Script (with your credentials)'}
+                          {copiedField === 'fullScript' ? `✓ ${t('import.scriptCopied')}` : `📋 ${t('import.copyScript')}`}
                         </Button>
                       </Box>
 
                       {/* Step-by-Step Instructions */}
                       <Box p={4} bg={colors.infoBg} borderRadius="md">
                         <Text fontWeight="bold" mb={3} color={colors.textPrimary} fontSize="md">
-                          📖 Step-by-Step Setup Guide
+                          📖 {t('import.guideTitle')}
                         </Text>
 
                         <VStack align="start" gap={3} fontSize="sm">
                           <Box>
-                            <Text fontWeight="semibold" color={colors.textPrimary}>Step 1: Prepare Your Google Sheet</Text>
+                            <Text fontWeight="semibold" color={colors.textPrimary}>{t('import.step1Title')}</Text>
                             <Text color={colors.textSecondary} ml={4}>
-                              Your sheet needs columns: <strong>Date</strong>, <strong>Description</strong> (or Sub-Description), <strong>Amount</strong>
+                              {t('import.step1Columns')} <strong>Date</strong>, <strong>Description</strong> {t('import.step1OrSub')}, <strong>Amount</strong>
                             </Text>
                             <Text color={colors.textSecondary} ml={4}>
-                              Optional columns: <strong>Type</strong> (income/expense), <strong>Bank</strong>
+                              {t('import.step1Optional')} <strong>Type</strong> {t('import.step1TypeHint')}, <strong>Bank</strong>
                             </Text>
                           </Box>
 
                           <Box>
-                            <Text fontWeight="semibold" color={colors.textPrimary}>Step 2: Open Apps Script</Text>
+                            <Text fontWeight="semibold" color={colors.textPrimary}>{t('import.step2Title')}</Text>
                             <Text color={colors.textSecondary} ml={4}>
-                              In your Google Sheet: <strong>Extensions → Apps Script</strong>
+                              {t('import.step2Text')} <strong>Extensions → Apps Script</strong>
                             </Text>
                           </Box>
 
                           <Box>
-                            <Text fontWeight="semibold" color={colors.textPrimary}>Step 3: Add the Script</Text>
+                            <Text fontWeight="semibold" color={colors.textPrimary}>{t('import.step3Title')}</Text>
                             <Text color={colors.textSecondary} ml={4}>
-                              Click <strong>"Copy Complete Script"</strong> button above, then paste it in Apps Script
+                              {t('import.step3Before')} <strong>{t('import.step3Button')}</strong> {t('import.step3After')}
                             </Text>
                             <Text color={colors.warning} ml={4} fontWeight="medium">
-                              ⚠️ If you have existing scripts, paste BELOW them (don't replace!)
+                              ⚠️ {t('import.step3Warning')}
                             </Text>
                           </Box>
 
                           <Box>
-                            <Text fontWeight="semibold" color={colors.textPrimary}>Step 4: Save & Run Setup</Text>
+                            <Text fontWeight="semibold" color={colors.textPrimary}>{t('import.step4Title')}</Text>
                             <Text color={colors.textSecondary} ml={4}>
-                              Press <strong>Ctrl+S</strong> to save, then select <strong>"setupTriggers"</strong> from the dropdown and click <strong>Run</strong>
+                              {t('import.step4Press')} <strong>Ctrl+S</strong> {t('import.step4Select')} <strong>"setupTriggers"</strong> {t('import.step4Click')} <strong>{t('import.step4Run')}</strong>
                             </Text>
                           </Box>
 
                           <Box>
-                            <Text fontWeight="semibold" color={colors.textPrimary}>Step 5: Grant Permissions</Text>
+                            <Text fontWeight="semibold" color={colors.textPrimary}>{t('import.step5Title')}</Text>
                             <Text color={colors.textSecondary} ml={4}>
-                              Click "Review Permissions" → Choose your account → "Advanced" → "Go to BudgetWise (unsafe)" → "Allow"
+                              {t('import.step5Text')}
                             </Text>
                           </Box>
 
                           <Box>
-                            <Text fontWeight="semibold" color={colors.textPrimary}>Step 6: Test Connection</Text>
+                            <Text fontWeight="semibold" color={colors.textPrimary}>{t('import.step6Title')}</Text>
                             <Text color={colors.textSecondary} ml={4}>
-                              Select <strong>"testConnection"</strong> and click Run. Check the logs for "✅ Connection successful!"
+                              {t('import.step6Select')} <strong>"testConnection"</strong> {t('import.step6After')}
                             </Text>
                           </Box>
 
                           <Box p={2} bg={colors.successBg} borderRadius="md" width="100%">
                             <Text fontWeight="medium" color={colors.success}>
-                              ✅ Done! New transactions will sync automatically when added to your sheet.
+                              ✅ {t('import.done')}
                             </Text>
                           </Box>
                         </VStack>
@@ -1263,12 +1432,26 @@ function testConnection() {
         {/* Manual Import Section */}
         <Box p={6} borderWidth="1px" borderColor={colors.borderColor} borderRadius="lg" bg={colors.cardBg}>
           <Heading size="lg" mb={4} color={colors.textPrimary}>
-            Manual Import
+            {t('import.manualTitle')}
           </Heading>
           <Text color={colors.textSecondary} mb={6}>
-            Preview and import transactions manually from your connected sheet or upload a CSV file.
+            {t('import.manualIntro')}
           </Text>
 
+          {accounts.length > 1 && (
+            <Box mb={6} maxW="360px">
+              <Text fontWeight="medium" mb={2} color={colors.textPrimary}>{t('import.importInto')}</Text>
+              <AccountSelect
+                value={importAccountId}
+                onChange={handleImportAccountChange}
+                accounts={accounts}
+              />
+              <Text fontSize="sm" color={colors.textMuted} mt={1}>
+                {t('import.importIntoHint')}
+              </Text>
+            </Box>
+          )}
+
           <HStack gap={4} wrap="wrap">
             {hasConnectedSheet && (
               <Button
@@ -1276,43 +1459,108 @@ function testConnection() {
                 size="lg"
                 onClick={handleManualSync}
                 isLoading={loading}
-                loadingText="Fetching..."
+                loadingText={t('import.fetching')}
               >
-                Fetch from Sheet
+                {t('import.fetchFromSheet')}
               </Button>
             )}
             <Box>
               <Input
                 type="file"
-                accept=".csv"
-                onChange={handleCSVUpload}
+                accept={STATEMENT_FILE_ACCEPT}
+                onChange={handleFileUpload}
                 size="lg"
               />
             </Box>
           </HStack>
+
+          {activeProfile && csvTable && !mappingOpen && (
+            <HStack mt={4} gap={2} wrap="wrap">
+              <Text fontSize="sm" color={colors.textSecondary}>
+                {t('import.profileMappedBefore')} <strong>{activeProfile.name}</strong>{t('import.profileMappedAfter')}
+              </Text>
+              <Button size="xs" variant="ghost" colorPalette="blue" onClick={handleEditMapping}>
+                {t('import.editMapping')}
+              </Button>
+            </HStack>
+          )}
+
+          {importProfiles.length > 0 && (
+            <HStack mt={4} gap={2} wrap="wrap">
+              <Text fontSize="sm" color={colors.textMuted}>{t('import.savedProfiles')}</Text>
+              {importProfiles.map(profile => (
+                <Badge key={profile.id} colorPalette="blue" variant="subtle" px={2} py={1}>
+                  {profile.name}
+                  <Box
+                    as="button"
+                    ml={1}
+                    onClick={() => handleDeleteProfile(profile.id)}
+                    aria-label={t('import.deleteProfileNamed', { name: profile.name })}
+                    title={t('import.deleteProfile')}
+                    opacity={0.7}
+                    _hover={{ opacity: 1 }}
+                  >
+                    ✕
+                  </Box>
+                </Badge>
+              ))}
+            </HStack>
+          )}
         </Box>
 
+        {/* CSV Column Mapping */}
+        {csvTable && mappingOpen && (
+          <ColumnMappingPanel
+            table={csvTable}
+            mapping={columnMapping}
+            onChange={setColumnMapping}
+            profileName={profileName}
+            onProfileNameChange={setProfileName}
+            onApply={handleApplyMapping}
+            onCancel={handleCancelMapping}
+            currency={importCurrency}
+          />
+        )}
+
         {/* Import Results */}
         {transactions.length > 0 && (
           <>
             {/* Statistics */}
             <Box p={6} bg={colors.infoBg} borderRadius="lg">
               <Heading size="md" mb={4} color={colors.textPrimary}>
-                Import Summary
+                {t('import.summaryTitle')}
               </Heading>
               <VStack align="start" gap={2}>
                 <Text>
-                  <strong>Total Transactions:</strong> {importStats?.total || 0}
+                  <strong>{t('import.totalTransactions')}</strong> {importStats?.total || 0}
                 </Text>
                 <Text>
-                  <strong>Total Amount:</strong> ${importStats?.totalAmount?.toFixed(2) || '0.00'}
+                  <strong>{t('import.totalAmount')}</strong> {formatCurrency(importStats?.totalAmount || 0, importCurrency)}
                 </Text>
+                {transactions.some(row => row.categorySource === 'suggestion') && (
+                  <Text fontSize="sm">
+                    <strong>{t('import.suggestedFromHistory')}</strong> {transactions.filter(row => row.categorySource === 'suggestion').length} {t('import.suggestedHint')}
+                  </Text>
+                )}
+                {transactions.some(row => row.type === 'refund') && (
+                  <Text fontSize="sm">
+                    <strong>{t('import.refundsLabel')}</strong> {t('import.refundsHint', {
+                      count: transactions.filter(row => row.type === 'refund').length,
+                      linked: transactions.filter(row => row.refundOf).length,
+                    })}
+                  </Text>
+                )}
+                {transactions.some(row => row.categorySource === 'default' && !row.transferAccountId) && (
+                  <Text fontSize="sm" color="orange.600">
+                    <strong>{t('import.noMatchLabel')}</strong> {transactions.filter(row => row.categorySource === 'default' && !row.transferAccountId).length} {t('import.noMatchHint')}
+                  </Text>
+                )}
                 <Text fontWeight="medium" mt={2}>
-                  By Category:
+                  {t('import.byCategory')}
                 </Text>
                 {importStats?.categories && Object.entries(importStats.categories).map(([category, data]) => (
                   <Text key={category} fontSize="sm">
-                    • {category}: {data.count} transactions (${data.total.toFixed(2)})
+                    • {category}: {t('import.categoryLine', { count: data.count, total: formatCurrency(data.total, importCurrency) })}
                   </Text>
                 ))}
               </VStack>
@@ -1323,17 +1571,24 @@ function testConnection() {
               <Table.Root size="sm" variant="outline">
                 <Table.Header>
                   <Table.Row>
-                    <Table.ColumnHeader>Date</Table.ColumnHeader>
-                    <Table.ColumnHeader>Description</Table.ColumnHeader>
-                    <Table.ColumnHeader>Category</Table.ColumnHeader>
-                    <Table.ColumnHeader isNumeric>Amount</Table.ColumnHeader>
+                    <Table.ColumnHeader>{t('common.date')}</Table.ColumnHeader>
+                    <Table.ColumnHeader>{t('common.description')}</Table.ColumnHeader>
+                    <Table.ColumnHeader>{t('common.category')}</Table.ColumnHeader>
+                    <Table.ColumnHeader isNumeric>{t('common.amount')}</Table.ColumnHeader>
                   </Table.Row>
                 </Table.Header>
                 <Table.Body>
                   {(showAll ? transactions : transactions.slice(0, 20)).map((transaction, index) => (
                     <Table.Row key={index}>
-                      <Table.Cell>{transaction.date}</Table.Cell>
-                      <Table.Cell>{transaction.description}</Table.Cell>
+                      <Table.Cell>{formatDate(transaction.date)}</Table.Cell>
+                      <Table.Cell>
+                        {transaction.description}
+                        {transaction.tags?.map(tag => (
+                          <Badge key={tag} ml={2} size="sm" variant="subtle" colorPalette="purple">
+                            {tag}
+                          </Badge>
+                        ))}
+                      </Table.Cell>
                       <Table.Cell>
                         <Box
                           as="span"
@@ -1343,10 +1598,52 @@ function testConnection() {
                           bg={colors.primaryBg}
                           fontSize="sm"
                         >
-                          {transaction.category}
+                          {transaction.transferAccountId
+                            ? t('common.transfer')
+                            : transaction.type === 'refund'
+                              ? t('transactions.refundLabel', { category: transaction.category || 'Unexpected' })
+                              : (transaction.category || t('import.defaultIncome'))}
                         </Box>
+                        {transaction.categorySource === 'suggestion' && (
+                          <Badge ml={2} size="sm" colorPalette="purple" title={t('import.suggestedTitle')}>
+                            {t('import.suggestedBadge', { percent: Math.round(transaction.confidence * 100) })}
+                          </Badge>
+                        )}
+                        {transaction.categorySource === 'default' && !transaction.transferAccountId && (
+                          <Badge ml={2} size="sm" colorPalette="orange" title={t('import.noMatchTitle')}>
+                            {t('import.noMatch')}
+                          </Badge>
+                        )}
+                        {['default', 'suggestion'].includes(transaction.categorySource) && (
+                          <SuggestionChips
+                            suggestions={transaction.suggestions?.filter(s => s.name !== transaction.category)}
+                            onPick={(suggestion) => handlePickSuggestion(index, suggestion)}
+                            label={transaction.categorySource === 'suggestion' ? t('import.or') : t('import.suggested')}
+                          />
+                        )}
+                        {transaction.refundMatches?.length > 0 && (
+                          <HStack gap={1} wrap="wrap" mt={1}>
+                            <Text fontSize="xs" color={colors.textMuted}>
+                              {transaction.refundOf ? t('import.refundOf') : t('import.refundMaybe')}
+                            </Text>
+                            {transaction.refundMatches.map(purchase => (
+                              <Button
+                                key={purchase.id}
+                                size="2xs"
+                                variant={transaction.refundOf === purchase.id ? 'solid' : 'outline'}
+                                colorPalette="purple"
+                                borderRadius="full"
+                                px={2}
+                                onClick={() => handlePickRefund(index, purchase)}
+                                title={transaction.refundOf === purchase.id ? t('import.refundUnlinkTitle') : t('import.refundLinkTitle')}
+                              >
+                                {purchase.description} · {formatDate(purchase.date)} · {formatCurrency(purchase.amount, purchase.currency)}
+                              </Button>
+                            ))}
+                          </HStack>
+                        )}
                       </Table.Cell>
-                      <Table.Cell isNumeric>${transaction.amount.toFixed(2)}</Table.Cell>
+                      <Table.Cell isNumeric>{formatCurrency(transaction.amount, importCurrency)}</Table.Cell>
                     </Table.Row>
                   ))}
                 </Table.Body>
@@ -1355,8 +1652,8 @@ function testConnection() {
                 <HStack justify="center" mt={2} gap={4}>
                   <Text fontSize="sm" color={colors.textSecondary}>
                     {showAll
-                      ? `Showing all ${transactions.length} transactions`
-                      : `Showing first 20 of ${transactions.length} transactions`}
+                      ? t('import.showingAll', { count: transactions.length })
+                      : t('import.showingFirst', { count: transactions.length })}
                   </Text>
                   <Button
                     size="sm"
@@ -1364,7 +1661,7 @@ function testConnection() {
                     colorScheme="blue"
                     onClick={() => setShowAll(!showAll)}
                   >
-                    {showAll ? 'Show Less' : 'Show All'}
+                    {showAll ? t('import.showLess') : t('import.showAll')}
                   </Button>
                 </HStack>
               )}
@@ -1376,9 +1673,9 @@ function testConnection() {
               size="lg"
               onClick={handleSaveTransactions}
               isLoading={loading}
-              loadingText="Saving..."
+              loadingText={t('common.saving')}
             >
-              Save {transactions.length} Transactions to Database
+              {t('import.saveToDb', { count: transactions.length })}
             </Button>
           </>
         )}
@@ -1386,18 +1683,18 @@ function testConnection() {
         {/* Push Notifications Section */}
         <Box p={6} borderWidth="1px" borderColor={colors.borderColor} borderRadius="lg" bg={colors.cardBg}>
           <Heading size="lg" mb={4} color={colors.textPrimary}>
-            Push Notifications
+            {t('settings.pushTitle')}
           </Heading>
           <VStack align="stretch" gap={4}>
             <HStack justify="space-between">
-              <Text color={colors.textPrimary}>Status:</Text>
+              <Text color={colors.textPrimary}>{t('settings.status')}</Text>
               {getStatusBadge()}
             </HStack>
 
             {notificationStatus === 'unsupported' && (
               <Box p={4} bg={colors.warningBg} borderRadius="md" borderColor={colors.warningBorder} borderWidth="1px">
                 <Text color={colors.warning} fontSize="sm">
-                  Push notifications are not supported in this browser. For the best experience, add this app to your home screen on iOS 16.4+ or use Chrome on Android.
+                  {t('settings.unsupportedText')}
                 </Text>
               </Box>
             )}
@@ -1405,7 +1702,7 @@ function testConnection() {
             {notificationStatus === 'denied' && (
               <Box p={4} bg={colors.dangerBg} borderRadius="md" borderColor={colors.dangerBorder} borderWidth="1px">
                 <Text color={colors.danger} fontSize="sm">
-                  Notifications are blocked. To enable them, go to your browser settings and allow notifications for this site.
+                  {t('settings.blockedText')}
                 </Text>
               </Box>
             )}
@@ -1415,20 +1712,20 @@ function testConnection() {
                 colorPalette="blue"
                 onClick={handleEnableNotifications}
                 loading={requestingPermission}
-                loadingText="Requesting..."
+                loadingText={t('settings.requesting')}
               >
-                Enable Notifications
+                {t('settings.enable')}
               </Button>
             )}
 
             {notificationStatus === 'granted' && (
               <VStack align="stretch" gap={3}>
                 <Text color={colors.textSecondary} fontSize="sm">
-                  You will receive notifications for:
+                  {t('settings.youWillReceive')}
                 </Text>
                 <VStack align="start" gap={1} pl={4}>
-                  <Text fontSize="sm" color={colors.textPrimary}>• New transactions added</Text>
-                  <Text fontSize="sm" color={colors.textPrimary}>• Budget limit warnings (80%, 90%, 100%)</Text>
+                  <Text fontSize="sm" color={colors.textPrimary}>{t('settings.newTransactions')}</Text>
+                  <Text fontSize="sm" color={colors.textPrimary}>{t('settings.budgetWarnings')}</Text>
                 </VStack>
                 <Button
                   variant="outline"
@@ -1436,7 +1733,7 @@ function testConnection() {
                   onClick={handleTestNotification}
                   mt={2}
                 >
-                  Send Test Notification
+                  {t('settings.sendTest')}
                 </Button>
               </VStack>
             )}
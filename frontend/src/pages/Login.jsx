@@ -13,11 +13,13 @@ import {
 } from '@chakra-ui/react';
 import { useAuth } from '../contexts/AuthContext';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useI18n } from '../contexts/I18nContext';
 
 export default function Login() {
   const navigate = useNavigate();
   const { signIn } = useAuth();
   const colors = useDarkModeColors();
+  const { t } = useI18n();
 
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -39,7 +41,7 @@ export default function Login() {
         navigate('/dashboard');
       }
     } catch (err) {
-      setError('An unexpected error occurred. Please try again.');
+      setError(t('auth.unexpectedError'));
     } finally {
       setLoading(false);
     }
@@ -50,9 +52,9 @@ export default function Login() {
       <Container maxW="md" py={12}>
         <VStack gap={8}>
           <Box textAlign="center">
-            <Heading size="2xl" color={colors.textPrimary}>Welcome Back</Heading>
+            <Heading size="2xl" color={colors.textPrimary}>{t('auth.welcomeBack')}</Heading>
           <Text color={colors.textSecondary} mt={2}>
-            Sign in to your BudgetWise account
+            {t('auth.signInSubtitle')}
           </Text>
         </Box>
 
@@ -83,10 +85,10 @@ export default function Login() {
             )}
 
             <Stack gap={2} w="100%">
-              <Text fontWeight="medium" color={colors.textPrimary}>Email</Text>
+              <Text fontWeight="medium" color={colors.textPrimary}>{t('auth.email')}</Text>
               <Input
                 type="email"
-                placeholder="you@example.com"
+                placeholder={t('auth.emailPlaceholder')}
                 value={email}
                 onChange={(e) => setEmail(e.target.value)}
                 required
@@ -98,7 +100,7 @@ export default function Login() {
             </Stack>
 
             <Stack gap={2} w="100%">
-              <Text fontWeight="medium" color={colors.textPrimary}>Password</Text>
+              <Text fontWeight="medium" color={colors.textPrimary}>{t('auth.password')}</Text>
               <Input
                 type="password"
                 placeholder="••••••••"
@@ -119,7 +121,7 @@ export default function Login() {
               fontSize="sm"
               alignSelf="flex-end"
             >
-              Forgot password?
+              {t('auth.forgotPassword')}
             </Link>
 
             <Button
@@ -130,13 +132,13 @@ export default function Login() {
               mt={2}
               loading={loading}
             >
-              {loading ? 'Signing in...' : 'Sign In'}
+              {loading ? t('auth.signingIn') : t('auth.signIn')}
             </Button>
 
             <Text textAlign="center" color={colors.textSecondary}>
-              Don't have an account?{' '}
+              {t('auth.noAccount')}{' '}
               <Link as={RouterLink} to="/signup" color="blue.600" fontWeight="medium">
-                Sign up
+                {t('auth.signUpLink')}
               </Link>
             </Text>
           </VStack>
@@ -22,6 +22,11 @@ import { useAuth } from '../contexts/AuthContext';
 import { supabase } from '../lib/supabaseClient';
 import PageContainer from '../components/PageContainer';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { loadAccounts } from '../lib/accounts';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
+import AccountSelect from '../components/AccountSelect';
 import {
   getNextPaymentDate,
   getUpcomingPayments,
@@ -66,7 +71,10 @@ const getCategoryColor = (categoryName) => {
 
 export default function RecurringPayments() {
   const { user } = useAuth();
+  const { preferences, formatMonth } = usePreferences();
+  const { t } = useI18n();
   const colors = useDarkModeColors();
+  const { formatCurrency } = useCurrency();
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState('');
@@ -75,6 +83,7 @@ export default function RecurringPayments() {
   // Data state
   const [recurringPayments, setRecurringPayments] = useState([]);
   const [categories, setCategories] = useState([]);
+  const [accounts, setAccounts] = useState([]);
   const [activeTab, setActiveTab] = useState('expense');
   const [showInactive, setShowInactive] = useState(false);
   const [selectedCategory, setSelectedCategory] = useState(null); // Category filter
@@ -90,6 +99,7 @@ export default function RecurringPayments() {
     amount: '',
     type: 'expense',
     category_id: '',
+    account_id: '',
     frequency: 'monthly',
     start_date: new Date().toISOString().split('T')[0],
     end_date: '',
@@ -130,7 +140,7 @@ export default function RecurringPayments() {
   const loadData = async () => {
     setLoading(true);
     try {
-      const [paymentsResult, categoriesResult] = await Promise.all([
+      const [paymentsResult, categoriesResult, accountList] = await Promise.all([
         supabase
           .from('recurring_payments')
           .select('*, categories(name)')
@@ -141,6 +151,7 @@ export default function RecurringPayments() {
           .select('id, name, type')
           .eq('user_id', user.id)
           .order('name'),
+        loadAccounts(supabase, user.id),
       ]);
 
       if (paymentsResult.error) throw paymentsResult.error;
@@ -148,8 +159,9 @@ export default function RecurringPayments() {
 
       setRecurringPayments(paymentsResult.data || []);
       setCategories(categoriesResult.data || []);
+      setAccounts(accountList);
     } catch (err) {
-      setError('Failed to load data: ' + err.message);
+      setError(t('recurring.loadFailed', { error: err.message }));
     } finally {
       setLoading(false);
     }
@@ -176,6 +188,7 @@ export default function RecurringPayments() {
         amount: parseFloat(formData.amount),
         type: formData.type,
         category_id: formData.category_id || null,
+        account_id: formData.account_id || null,
         frequency: formData.frequency,
         start_date: formData.start_date,
         end_date: formData.end_date || null,
@@ -194,26 +207,26 @@ export default function RecurringPayments() {
           .update(payload)
           .eq('id', editingPayment.id);
         if (error) throw error;
-        setSuccess('Recurring payment updated!');
+        setSuccess(t('recurring.updated'));
       } else {
         const { error } = await supabase
           .from('recurring_payments')
           .insert(payload);
         if (error) throw error;
-        setSuccess('Recurring payment created!');
+        setSuccess(t('recurring.created'));
       }
 
       await loadData();
       closeModal();
     } catch (err) {
-      setError('Failed to save: ' + err.message);
+      setError(t('recurring.saveFailed', { error: err.message }));
     } finally {
       setSaving(false);
     }
   };
 
   const handleDelete = async (id) => {
-    if (!confirm('Are you sure you want to delete this recurring payment?')) return;
+    if (!confirm(t('recurring.confirmDelete'))) return;
 
     try {
       const { error } = await supabase
@@ -221,10 +234,10 @@ export default function RecurringPayments() {
         .delete()
         .eq('id', id);
       if (error) throw error;
-      setSuccess('Recurring payment deleted!');
+      setSuccess(t('recurring.deleted'));
       await loadData();
     } catch (err) {
-      setError('Failed to delete: ' + err.message);
+      setError(t('recurring.deleteFailed', { error: err.message }));
     }
   };
 
@@ -237,7 +250,7 @@ export default function RecurringPayments() {
       if (error) throw error;
       await loadData();
     } catch (err) {
-      setError('Failed to update: ' + err.message);
+      setError(t('recurring.updateFailed', { error: err.message }));
     }
   };
 
@@ -249,6 +262,7 @@ export default function RecurringPayments() {
       amount: '',
       type: activeTab,
       category_id: '',
+      account_id: '',
       frequency: 'monthly',
       start_date: new Date().toISOString().split('T')[0],
       end_date: '',
@@ -268,6 +282,7 @@ export default function RecurringPayments() {
       amount: payment.amount.toString(),
       type: payment.type,
       category_id: payment.category_id || '',
+      account_id: payment.account_id || '',
       frequency: payment.frequency,
       start_date: payment.start_date,
       end_date: payment.end_date || '',
@@ -322,8 +337,9 @@ export default function RecurringPayments() {
   };
 
   const [summaryYear, summaryMonthNum] = summaryMonth.split('-').map(Number);
-  const summaryMonthLabel = new Date(summaryYear, summaryMonthNum - 1, 1)
-    .toLocaleDateString('en-US', { month: 'long', year: summaryYear !== new Date().getFullYear() ? 'numeric' : undefined });
+  const summaryMonthLabel = formatMonth(new Date(summaryYear, summaryMonthNum - 1, 1), {
+    year: summaryYear !== new Date().getFullYear(),
+  });
 
   const shiftSummaryMonth = (delta) => {
     const d = new Date(summaryYear, summaryMonthNum - 1 + delta, 1);
@@ -332,22 +348,13 @@ export default function RecurringPayments() {
 
   const upcomingPayments = getUpcomingPayments(recurringPayments.filter(p => p.is_active), 30);
 
-  // Format currency
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 2,
-    }).format(amount);
-  };
-
   if (loading) {
     return (
       <PageContainer>
         <Flex w="100%" minH="60vh" align="center" justify="center">
           <VStack gap={4}>
             <Spinner size="xl" />
-            <Text>Loading recurring payments...</Text>
+            <Text>{t('recurring.loading')}</Text>
           </VStack>
         </Flex>
       </PageContainer>
@@ -365,8 +372,8 @@ export default function RecurringPayments() {
           gap={3}
         >
           <Box>
-            <Heading size={{ base: 'lg', md: 'xl' }} color={colors.textPrimary}>Recurring Payments</Heading>
-            <Text color={colors.textSecondary} mt={1} fontSize={{ base: 'sm', md: 'md' }}>Manage your recurring bills and income</Text>
+            <Heading size={{ base: 'lg', md: 'xl' }} color={colors.textPrimary}>{t('recurring.title')}</Heading>
+            <Text color={colors.textSecondary} mt={1} fontSize={{ base: 'sm', md: 'md' }}>{t('recurring.subtitle')}</Text>
           </Box>
           <Button
             onClick={openCreateModal}
@@ -379,7 +386,7 @@ export default function RecurringPayments() {
             w={{ base: '100%', sm: 'auto' }}
             _hover={{ transform: 'translateY(-1px)', boxShadow: '0 4px 12px rgba(37, 99, 235, 0.3)' }}
           >
-            + Add Recurring
+            {t('recurring.addRecurring')}
           </Button>
         </Flex>
 
@@ -402,7 +409,7 @@ export default function RecurringPayments() {
             variant="ghost"
             onClick={() => shiftSummaryMonth(-1)}
             color={colors.textSecondary}
-            aria-label="Previous month"
+            aria-label={t('recurring.previousMonth')}
           >
             ←
           </Button>
@@ -417,7 +424,7 @@ export default function RecurringPayments() {
                 borderRadius="full"
                 onClick={() => setSummaryMonth(currentMonthKey())}
               >
-                Today
+                {t('common.today')}
               </Button>
             )}
           </HStack>
@@ -426,7 +433,7 @@ export default function RecurringPayments() {
             variant="ghost"
             onClick={() => shiftSummaryMonth(1)}
             color={colors.textSecondary}
-            aria-label="Next month"
+            aria-label={t('recurring.nextMonth')}
           >
             →
           </Button>
@@ -441,14 +448,14 @@ export default function RecurringPayments() {
             color="white"
           >
             <Flex justify="space-between" align="center" display={{ base: 'flex', sm: 'none' }}>
-              <Text fontSize="sm" opacity={0.9}>Income in {summaryMonthLabel}</Text>
+              <Text fontSize="sm" opacity={0.9}>{t('recurring.incomeIn', { month: summaryMonthLabel })}</Text>
               <Text fontSize="lg" fontWeight="700">{formatCurrency(summary.income)}</Text>
             </Flex>
             <Box display={{ base: 'none', sm: 'block' }}>
-              <Text fontSize={{ sm: 'xs', md: 'sm' }} opacity={0.9}>Income in {summaryMonthLabel}</Text>
+              <Text fontSize={{ sm: 'xs', md: 'sm' }} opacity={0.9}>{t('recurring.incomeIn', { month: summaryMonthLabel })}</Text>
               <Text fontSize={{ sm: 'lg', md: '2xl' }} fontWeight="700">{formatCurrency(summary.income)}</Text>
               <Text fontSize={{ sm: '10px', md: 'xs' }} opacity={0.8}>
-                {summary.incomeCount} {summary.incomeCount === 1 ? 'payment' : 'payments'}
+                {t('common.payments', { count: summary.incomeCount })}
               </Text>
             </Box>
           </Box>
@@ -459,14 +466,14 @@ export default function RecurringPayments() {
             color="white"
           >
             <Flex justify="space-between" align="center" display={{ base: 'flex', sm: 'none' }}>
-              <Text fontSize="sm" opacity={0.9}>Expenses in {summaryMonthLabel}</Text>
+              <Text fontSize="sm" opacity={0.9}>{t('recurring.expensesIn', { month: summaryMonthLabel })}</Text>
               <Text fontSize="lg" fontWeight="700">{formatCurrency(summary.expenses)}</Text>
             </Flex>
             <Box display={{ base: 'none', sm: 'block' }}>
-              <Text fontSize={{ sm: 'xs', md: 'sm' }} opacity={0.9}>Expenses in {summaryMonthLabel}</Text>
+              <Text fontSize={{ sm: 'xs', md: 'sm' }} opacity={0.9}>{t('recurring.expensesIn', { month: summaryMonthLabel })}</Text>
               <Text fontSize={{ sm: 'lg', md: '2xl' }} fontWeight="700">{formatCurrency(summary.expenses)}</Text>
               <Text fontSize={{ sm: '10px', md: 'xs' }} opacity={0.8}>
-                {summary.expenseCount} {summary.expenseCount === 1 ? 'payment' : 'payments'}
+                {t('common.payments', { count: summary.expenseCount })}
               </Text>
             </Box>
           </Box>
@@ -477,13 +484,13 @@ export default function RecurringPayments() {
             color="white"
           >
             <Flex justify="space-between" align="center" display={{ base: 'flex', sm: 'none' }}>
-              <Text fontSize="sm" opacity={0.9}>Net Cash Flow</Text>
+              <Text fontSize="sm" opacity={0.9}>{t('recurring.netCashFlow')}</Text>
               <Text fontSize="lg" fontWeight="700">{summary.net >= 0 ? '+' : ''}{formatCurrency(summary.net)}</Text>
             </Flex>
             <Box display={{ base: 'none', sm: 'block' }}>
-              <Text fontSize={{ sm: 'xs', md: 'sm' }} opacity={0.9}>Net Cash Flow</Text>
+              <Text fontSize={{ sm: 'xs', md: 'sm' }} opacity={0.9}>{t('recurring.netCashFlow')}</Text>
               <Text fontSize={{ sm: 'lg', md: '2xl' }} fontWeight="700">{summary.net >= 0 ? '+' : ''}{formatCurrency(summary.net)}</Text>
-              <Text fontSize={{ sm: '10px', md: 'xs' }} opacity={0.8}>{summary.net >= 0 ? 'Surplus' : 'Deficit'}</Text>
+              <Text fontSize={{ sm: '10px', md: 'xs' }} opacity={0.8}>{summary.net >= 0 ? t('recurring.surplus') : t('recurring.deficit')}</Text>
             </Box>
           </Box>
         </SimpleGrid>
@@ -499,7 +506,7 @@ export default function RecurringPayments() {
             px={{ base: 3, md: 4 }}
             flexShrink={0}
           >
-            Expenses ({recurringPayments.filter(p => p.type === 'expense' && (showInactive || p.is_active)).length})
+            {t('recurring.expensesTab', { count: recurringPayments.filter(p => p.type === 'expense' && (showInactive || p.is_active)).length })}
           </Button>
           <Button
             size={{ base: 'sm', md: 'lg' }}
@@ -510,7 +517,7 @@ export default function RecurringPayments() {
             px={{ base: 3, md: 4 }}
             flexShrink={0}
           >
-            Income ({recurringPayments.filter(p => p.type === 'income' && (showInactive || p.is_active)).length})
+            {t('recurring.incomeTab', { count: recurringPayments.filter(p => p.type === 'income' && (showInactive || p.is_active)).length })}
           </Button>
           <Button
             size="sm"
@@ -520,7 +527,7 @@ export default function RecurringPayments() {
             fontSize={{ base: 'xs', md: 'sm' }}
             flexShrink={0}
           >
-            {showInactive ? 'Hide' : 'Show'} Inactive
+            {showInactive ? t('recurring.hideInactive') : t('recurring.showInactive')}
           </Button>
         </Flex>
 
@@ -535,7 +542,7 @@ export default function RecurringPayments() {
           >
             <Flex gap={2} align="center" pb={1} flexWrap={{ base: 'nowrap', md: 'wrap' }}>
               <Text fontSize="sm" color={colors.textMuted} fontWeight="500" flexShrink={0}>
-                Filter:
+                {t('recurring.filter')}
               </Text>
               {selectedCategory && (
                 <Badge
@@ -551,7 +558,7 @@ export default function RecurringPayments() {
                   _hover={{ opacity: 0.8 }}
                   flexShrink={0}
                 >
-                  Clear ✕
+                  {t('recurring.clear')}
                 </Badge>
               )}
               {availableCategories.map((catName) => (
@@ -613,7 +620,7 @@ export default function RecurringPayments() {
                   {selectedCategory}
                 </Text>
                 <Text fontSize="sm" color={colors.textMuted}>
-                  ({occurrences.length} {occurrences.length === 1 ? 'payment' : 'payments'})
+                  ({t('common.payments', { count: occurrences.length })})
                 </Text>
               </HStack>
               <Text
@@ -622,7 +629,7 @@ export default function RecurringPayments() {
                 color={activeTab === 'expense' ? '#E11D48' : '#059669'}
               >
                 {activeTab === 'expense' ? '-' : '+'}{formatCurrency(monthlyTotal)}
-                <Text as="span" fontSize="xs" fontWeight="500" color={colors.textMuted}> in {summaryMonthLabel}</Text>
+                <Text as="span" fontSize="xs" fontWeight="500" color={colors.textMuted}>{t('recurring.inMonth', { month: summaryMonthLabel })}</Text>
               </Text>
             </Flex>
           );
@@ -641,19 +648,19 @@ export default function RecurringPayments() {
             {selectedCategory ? (
               <VStack gap={3}>
                 <Text fontSize="lg" color={colors.textMuted}>
-                  No {activeTab} payments in "{selectedCategory}"
+                  {t(activeTab === 'expense' ? 'recurring.noneInCategoryExpense' : 'recurring.noneInCategoryIncome', { category: selectedCategory })}
                 </Text>
                 <Button size="sm" variant="outline" onClick={() => setSelectedCategory(null)}>
-                  Clear filter
+                  {t('recurring.clearFilter')}
                 </Button>
               </VStack>
             ) : (
               <>
                 <Text fontSize="lg" color={colors.textMuted} mb={4}>
-                  No {activeTab} recurring payments yet
+                  {t(activeTab === 'expense' ? 'recurring.noneYetExpense' : 'recurring.noneYetIncome')}
                 </Text>
                 <Button onClick={openCreateModal} colorPalette="blue">
-                  Add your first {activeTab}
+                  {t(activeTab === 'expense' ? 'recurring.addFirstExpense' : 'recurring.addFirstIncome')}
                 </Button>
               </>
             )}
@@ -711,24 +718,24 @@ export default function RecurringPayments() {
                               {payment.name}
                             </Text>
                             {!payment.is_active && (
-                              <Badge colorPalette="gray" size="sm" fontSize="10px" flexShrink={0}>Paused</Badge>
+                              <Badge colorPalette="gray" size="sm" fontSize="10px" flexShrink={0}>{t('recurring.paused')}</Badge>
                             )}
                           </HStack>
                           <Flex gap={1} flexWrap="wrap" align="center">
                             <Badge colorPalette={payment.type === 'expense' ? 'red' : 'green'} variant="subtle" fontSize="10px">
-                              {payment.categories?.name || 'Uncategorized'}
+                              {payment.categories?.name || t('common.uncategorized')}
                             </Badge>
                             <Text fontSize="10px" color={colors.textMuted}>
                               {formatFrequency(payment.frequency)}
                             </Text>
                             {payment.business_days_only && (
                               <Badge colorPalette="blue" variant="subtle" fontSize="10px">
-                                Weekdays
+                                {t('recurring.weekdays')}
                               </Badge>
                             )}
                             {payment.auto_add && (
                               <Badge colorPalette="green" variant="subtle" fontSize="10px">
-                                Auto
+                                {t('recurring.auto')}
                               </Badge>
                             )}
                           </Flex>
@@ -748,7 +755,7 @@ export default function RecurringPayments() {
                             color={daysUntil <= 3 ? '#DC2626' : '#71717A'}
                             fontWeight={daysUntil <= 3 ? '600' : '400'}
                           >
-                            {daysUntil === 0 ? 'Due today' : daysUntil === 1 ? 'Tomorrow' : `${daysUntil}d`}
+                            {daysUntil === 0 ? t('recurring.dueToday') : daysUntil === 1 ? t('common.tomorrow') : t('recurring.daysShort', { count: daysUntil })}
                           </Text>
                         )}
                       </VStack>
@@ -763,7 +770,7 @@ export default function RecurringPayments() {
                         px={3}
                         borderRadius="full"
                       >
-                        {payment.is_active ? 'Pause' : 'Resume'}
+                        {payment.is_active ? t('recurring.pause') : t('recurring.resume')}
                       </Button>
                       <Button
                         size="xs"
@@ -773,7 +780,7 @@ export default function RecurringPayments() {
                         px={3}
                         borderRadius="full"
                       >
-                        Edit
+                        {t('common.edit')}
                       </Button>
                       <Button
                         size="xs"
@@ -784,7 +791,7 @@ export default function RecurringPayments() {
                         px={3}
                         borderRadius="full"
                       >
-                        Delete
+                        {t('common.delete')}
                       </Button>
                     </Flex>
                   </Box>
@@ -814,34 +821,34 @@ export default function RecurringPayments() {
                             {payment.name}
                           </Text>
                           {!payment.is_active && (
-                            <Badge colorPalette="gray" size="sm">Paused</Badge>
+                            <Badge colorPalette="gray" size="sm">{t('recurring.paused')}</Badge>
                           )}
                         </HStack>
                         <HStack gap={2} flexWrap="wrap">
                           <Badge colorPalette={payment.type === 'expense' ? 'red' : 'green'} variant="subtle">
-                            {payment.categories?.name || 'Uncategorized'}
+                            {payment.categories?.name || t('common.uncategorized')}
                           </Badge>
                           <Text fontSize="xs" color={colors.textMuted}>
                             {formatFrequency(payment.frequency)}
                           </Text>
                           {payment.business_days_only && (
                             <Badge colorPalette="blue" variant="subtle" size="sm">
-                              Weekdays
+                              {t('recurring.weekdays')}
                             </Badge>
                           )}
                           {payment.last_business_day_of_month && (
                             <Badge colorPalette="purple" variant="subtle" size="sm">
-                              Last biz day
+                              {t('recurring.lastBizDay')}
                             </Badge>
                           )}
                           {payment.auto_add && (
                             <Badge colorPalette="green" variant="subtle" size="sm">
-                              Auto-added
+                              {t('recurring.autoAdded')}
                             </Badge>
                           )}
                           {payment.end_date && (
                             <Text fontSize="xs" color={colors.textMuted}>
-                              until {formatDate(payment.end_date)}
+                              {t('recurring.until', { date: formatDate(payment.end_date, preferences) })}
                             </Text>
                           )}
                         </HStack>
@@ -863,11 +870,11 @@ export default function RecurringPayments() {
                             color={daysUntil <= 3 ? '#DC2626' : '#71717A'}
                             fontWeight={daysUntil <= 3 ? '600' : '400'}
                           >
-                            {daysUntil === 0 ? 'Due today' : daysUntil === 1 ? 'Due tomorrow' : `In ${daysUntil} days`}
+                            {daysUntil === 0 ? t('recurring.dueToday') : daysUntil === 1 ? t('recurring.dueTomorrow') : t('common.inDays', { count: daysUntil })}
                           </Text>
                         )}
                         {!nextDate && payment.is_active && (
-                          <Text fontSize="xs" color={colors.textMuted}>Ended</Text>
+                          <Text fontSize="xs" color={colors.textMuted}>{t('recurring.ended')}</Text>
                         )}
                       </Box>
 
@@ -878,14 +885,14 @@ export default function RecurringPayments() {
                           onClick={() => handleToggleActive(payment)}
                           color={payment.is_active ? 'orange.500' : 'green.500'}
                         >
-                          {payment.is_active ? 'Pause' : 'Resume'}
+                          {payment.is_active ? t('recurring.pause') : t('recurring.resume')}
                         </Button>
                         <Button
                           size="sm"
                           variant="ghost"
                           onClick={() => openEditModal(payment)}
                         >
-                          Edit
+                          {t('common.edit')}
                         </Button>
                         <Button
                           size="sm"
@@ -893,7 +900,7 @@ export default function RecurringPayments() {
                           colorPalette="red"
                           onClick={() => handleDelete(payment.id)}
                         >
-                          Delete
+                          {t('common.delete')}
                         </Button>
                       </HStack>
                     </HStack>
@@ -913,7 +920,7 @@ export default function RecurringPayments() {
             boxShadow="0 1px 3px rgba(0,0,0,0.05)"
             border="1px solid" borderColor={colors.borderSubtle}
           >
-            <Heading size={{ base: 'sm', md: 'md' }} mb={{ base: 3, md: 4 }} color={colors.textPrimary}>Next 30 Days</Heading>
+            <Heading size={{ base: 'sm', md: 'md' }} mb={{ base: 3, md: 4 }} color={colors.textPrimary}>{t('recurring.next30Days')}</Heading>
             <VStack gap={{ base: 1, md: 2 }} align="stretch" maxH="300px" overflowY="auto">
               {upcomingPayments.slice(0, 10).map((payment, index) => (
                 <Flex
@@ -935,7 +942,7 @@ export default function RecurringPayments() {
                     <Box>
                       <Text fontWeight="500" fontSize={{ base: 'xs', md: 'sm' }} color={colors.textPrimary}>{payment.name}</Text>
                       <Text fontSize={{ base: '10px', md: 'xs' }} color={colors.textMuted}>
-                        {formatDate(payment.nextDate)}
+                        {formatDate(payment.nextDate, preferences)}
                       </Text>
                     </Box>
                   </HStack>
@@ -973,7 +980,9 @@ export default function RecurringPayments() {
               >
                 <Flex justify="space-between" align="center">
                   <Dialog.Title fontSize="lg" fontWeight="700" color="white">
-                    {editingPayment ? 'Edit' : 'Add'} Recurring {formData.type === 'expense' ? 'Expense' : 'Income'}
+                    {t(editingPayment
+                      ? (formData.type === 'expense' ? 'recurring.editExpense' : 'recurring.editIncome')
+                      : (formData.type === 'expense' ? 'recurring.addExpense' : 'recurring.addIncome'))}
                   </Dialog.Title>
                   <Dialog.CloseTrigger asChild>
                     <CloseButton color="white" />
@@ -986,7 +995,7 @@ export default function RecurringPayments() {
                   <VStack gap={4} align="stretch">
                     {/* Type Toggle */}
                     <Box>
-                      <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>Type</Text>
+                      <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>{t('common.type')}</Text>
                       <HStack gap={2}>
                         <Button
                           flex={1}
@@ -995,7 +1004,7 @@ export default function RecurringPayments() {
                           onClick={() => setFormData({ ...formData, type: 'expense', category_id: '' })}
                           type="button"
                         >
-                          Expense
+                          {t('common.expense')}
                         </Button>
                         <Button
                           flex={1}
@@ -1004,16 +1013,16 @@ export default function RecurringPayments() {
                           onClick={() => setFormData({ ...formData, type: 'income', category_id: '' })}
                           type="button"
                         >
-                          Income
+                          {t('common.income')}
                         </Button>
                       </HStack>
                     </Box>
 
                     {/* Name */}
                     <Box>
-                      <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>Name *</Text>
+                      <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>{t('recurring.nameRequired')}</Text>
                       <Input
-                        placeholder="e.g., Netflix, Mortgage, Salary"
+                        placeholder={t('recurring.namePlaceholder')}
                         value={formData.name}
                         onChange={(e) => setFormData({ ...formData, name: e.target.value })}
                         required
@@ -1025,7 +1034,7 @@ export default function RecurringPayments() {
 
                     {/* Amount */}
                     <Box>
-                      <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>Amount *</Text>
+                      <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>{t('recurring.amountRequired')}</Text>
                       <Input
                         type="number"
                         step="0.01"
@@ -1042,7 +1051,7 @@ export default function RecurringPayments() {
 
                     {/* Category */}
                     <Box>
-                      <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>Category</Text>
+                      <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>{t('common.category')}</Text>
                       <Box ref={categoryDropdownRef} position="relative" w="100%">
                         {/* Dropdown Trigger */}
                         <Box
@@ -1066,7 +1075,7 @@ export default function RecurringPayments() {
                             fontSize="sm"
                             noOfLines={1}
                           >
-                            {formData.category_id ? filteredCategories.find(c => c.id === formData.category_id)?.name : 'Select category...'}
+                            {formData.category_id ? filteredCategories.find(c => c.id === formData.category_id)?.name : t('recurring.selectCategory')}
                           </Text>
                           <Box
                             as="span"
@@ -1134,9 +1143,23 @@ export default function RecurringPayments() {
                       </Box>
                     </Box>
 
+                    {/* Account — where auto-added transactions are recorded */}
+                    {accounts.length > 1 && (
+                      <Box>
+                        <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>{t('common.account')}</Text>
+                        <AccountSelect
+                          value={formData.account_id}
+                          onChange={(id) => setFormData({ ...formData, account_id: id })}
+                          accounts={accounts}
+                          allLabel={t('recurring.defaultAccount')}
+                          h="42px"
+                        />
+                      </Box>
+                    )}
+
                     {/* Frequency */}
                     <Box>
-                      <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>Frequency *</Text>
+                      <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>{t('recurring.frequencyRequired')}</Text>
                       <Box ref={frequencyDropdownRef} position="relative" w="100%">
                         {/* Dropdown Trigger */}
                         <Box
@@ -1160,7 +1183,7 @@ export default function RecurringPayments() {
                             fontSize="sm"
                             noOfLines={1}
                           >
-                            {FREQUENCY_CONFIG[formData.frequency]?.label || formData.frequency}
+                            {formatFrequency(formData.frequency)}
                           </Text>
                           <Box
                             as="span"
@@ -1214,7 +1237,7 @@ export default function RecurringPayments() {
                                       fontSize="sm"
                                       fontWeight={isSelected ? '600' : '400'}
                                     >
-                                      {config.label}
+                                      {t(config.label)}
                                     </Text>
                                     {isSelected && (
                                       <Text color="blue.500" fontSize="sm">✓</Text>
@@ -1231,7 +1254,7 @@ export default function RecurringPayments() {
                     {/* Dates */}
                     <SimpleGrid columns={2} gap={4}>
                       <Box>
-                        <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>Start Date *</Text>
+                        <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>{t('recurring.startDateRequired')}</Text>
                         <Input
                           type="date"
                           value={formData.start_date}
@@ -1243,12 +1266,12 @@ export default function RecurringPayments() {
                         />
                       </Box>
                       <Box>
-                        <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>End Date</Text>
+                        <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>{t('recurring.endDate')}</Text>
                         <Input
                           type="date"
                           value={formData.end_date}
                           onChange={(e) => setFormData({ ...formData, end_date: e.target.value })}
-                          placeholder="Optional"
+                          placeholder={t('common.optional')}
                           bg={colors.cardBg}
                           borderColor={colors.borderColor}
                           color={colors.textPrimary}
@@ -1291,10 +1314,10 @@ export default function RecurringPayments() {
                         </Box>
                         <Box flex="1">
                           <Text fontWeight="600" fontSize="sm" color={colors.textPrimary}>
-                            Business days only
+                            {t('recurring.businessDaysOnly')}
                           </Text>
                           <Text fontSize="xs" color={colors.textMuted}>
-                            Adjust weekend dates to nearest weekday (Sat→Fri, Sun→Mon)
+                            {t('recurring.businessDaysHint')}
                           </Text>
                         </Box>
                       </Flex>
@@ -1336,10 +1359,10 @@ export default function RecurringPayments() {
                           </Box>
                           <Box flex="1">
                             <Text fontWeight="600" fontSize="sm" color={formData.last_business_day_of_month ? 'purple.800' : colors.textPrimary}>
-                              Last business day of month
+                              {t('recurring.lastBusinessDay')}
                             </Text>
                             <Text fontSize="xs" color={formData.last_business_day_of_month ? 'purple.600' : colors.textMuted}>
-                              Always schedule on the last weekday (Mon-Fri) of each month
+                              {t('recurring.lastBusinessDayHint')}
                             </Text>
                           </Box>
                         </Flex>
@@ -1381,12 +1404,12 @@ export default function RecurringPayments() {
                         </Box>
                         <Box flex="1">
                           <Text fontWeight="600" fontSize="sm" color={colors.textPrimary}>
-                            Add to transactions automatically
+                            {t('recurring.autoAdd')}
                           </Text>
                           <Text fontSize="xs" color={colors.textMuted}>
                             {editingPayment?.auto_add && editingPayment.auto_add_from
-                              ? `Recording automatically since ${formatDate(editingPayment.auto_add_from)}`
-                              : 'Records itself when the date arrives — starting today, past dates are left alone'}
+                              ? t('recurring.autoAddSince', { date: formatDate(editingPayment.auto_add_from, preferences) })
+                              : t('recurring.autoAddHint')}
                           </Text>
                         </Box>
                       </Flex>
@@ -1396,10 +1419,10 @@ export default function RecurringPayments() {
                     {formData.auto_add && (
                       <Box>
                         <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>
-                          Bank description
+                          {t('recurring.bankDescription')}
                         </Text>
                         <Input
-                          placeholder="e.g., PAYROLL DEP, HYDRO BILL PMT"
+                          placeholder={t('recurring.bankDescriptionPlaceholder')}
                           value={formData.match_description}
                           onChange={(e) => setFormData({ ...formData, match_description: e.target.value })}
                           bg={colors.cardBg}
@@ -1407,17 +1430,16 @@ export default function RecurringPayments() {
                           color={colors.textPrimary}
                         />
                         <Text fontSize="xs" color={colors.textMuted} mt={1.5}>
-                          Optional. How this payment reads on your statement — if the same amount shows
-                          up in the Google Sheets import within a few days, it won't be added twice.
+                          {t('recurring.bankDescriptionHint')}
                         </Text>
                       </Box>
                     )}
 
                     {/* Notes */}
                     <Box>
-                      <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>Notes</Text>
+                      <Text fontWeight="600" mb={2} fontSize="sm" color={colors.textSecondary}>{t('common.notes')}</Text>
                       <Input
-                        placeholder="Optional notes..."
+                        placeholder={t('recurring.notesPlaceholder')}
                         value={formData.notes}
                         onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
                         bg={colors.cardBg}
@@ -1430,7 +1452,7 @@ export default function RecurringPayments() {
                     <Button
                       type="submit"
                       loading={saving}
-                      loadingText={editingPayment ? 'Updating...' : 'Creating...'}
+                      loadingText={editingPayment ? t('recurring.updating') : t('recurring.creating')}
                       bg={formData.type === 'expense' ? 'linear-gradient(135deg, #EF4444 0%, #DC2626 100%)' : 'linear-gradient(135deg, #10B981 0%, #059669 100%)'}
                       color="white"
                       w="100%"
@@ -1439,7 +1461,7 @@ export default function RecurringPayments() {
                       borderRadius="12px"
                       _hover={{ transform: 'translateY(-1px)', boxShadow: '0 4px 12px rgba(0,0,0,0.2)' }}
                     >
-                      {editingPayment ? 'Update' : 'Add'} Recurring Payment
+                      {editingPayment ? t('recurring.update') : t('recurring.add')}
                     </Button>
                   </VStack>
                 </form>
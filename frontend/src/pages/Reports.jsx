@@ -1,4 +1,5 @@
 import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
 import {
   Box,
   Heading,
@@ -14,16 +15,20 @@ import { useAuth } from '../contexts/AuthContext';
 import { supabase } from '../lib/supabaseClient';
 import PageContainer from '../components/PageContainer';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
-
-const MONTHS = [
-  'January', 'February', 'March', 'April', 'May', 'June',
-  'July', 'August', 'September', 'October', 'November', 'December'
-];
-
-const MONTH_ABBR = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+import { SPLITS_SELECT, expandSplits } from '../lib/splits';
+import { SPENDING_TYPES, spendingAmount } from '../lib/refunds';
+import TagBreakdown from '../components/TagBreakdown';
+import { buildQuery } from '../lib/searchQuery';
+import { transactionsLink } from '../lib/transactionViews';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useI18n } from '../contexts/I18nContext';
+import MissingRatesNotice from '../components/MissingRatesNotice';
 
 // Bar Chart Component for Income vs Expenses
 const MonthlyBarChart = ({ data, formatCurrency, colors, hoveredBarMonth, onHoverBarMonth, onClickBarMonth }) => {
+  const { monthNames } = usePreferences();
+  const { t } = useI18n();
   const maxValue = Math.max(
     ...data.map(d => Math.max(d.income, d.expenses)),
     1
@@ -108,7 +113,7 @@ const MonthlyBarChart = ({ data, formatCurrency, colors, hoveredBarMonth, onHove
                   mt={1}
                   flexShrink={0}
                 >
-                  {MONTH_ABBR[index]}
+                  {monthNames('short')[index]}
                 </Text>
               </Flex>
             );
@@ -131,7 +136,7 @@ const MonthlyBarChart = ({ data, formatCurrency, colors, hoveredBarMonth, onHove
         {hoveredData ? (
           <>
             <Text fontSize="sm" fontWeight="700" color={colors.textPrimary} mb={2}>
-              {MONTHS[hoveredBarMonth]}
+              {monthNames()[hoveredBarMonth]}
             </Text>
 
             {/* Mobile: horizontal layout for income/expense */}
@@ -141,7 +146,7 @@ const MonthlyBarChart = ({ data, formatCurrency, colors, hoveredBarMonth, onHove
                 <Flex justify="space-between" align="center" mb={1}>
                   <HStack gap={1}>
                     <Box w="8px" h="8px" borderRadius="2px" bg="#10B981" />
-                    <Text fontSize="xs" fontWeight="600" color="green.500">Income</Text>
+                    <Text fontSize="xs" fontWeight="600" color="green.500">{t('common.income')}</Text>
                   </HStack>
                   <Text fontSize="xs" fontWeight="700" color="green.500">
                     {formatCurrency(hoveredData.income)}
@@ -151,7 +156,7 @@ const MonthlyBarChart = ({ data, formatCurrency, colors, hoveredBarMonth, onHove
                   <VStack gap={0} align="stretch" pl={3} display={{ base: 'none', md: 'flex' }}>
                     {incomeCategories.map((cat) => (
                       <Flex key={cat.name} justify="space-between" fontSize="11px" color={colors.textSecondary} py={0.5}>
-                        <Text noOfLines={1} maxW={{ base: '70px', md: '90px' }} fontStyle={cat.isOthers ? 'italic' : 'normal'}>{cat.name}</Text>
+                        <Text noOfLines={1} maxW={{ base: '70px', md: '90px' }} fontStyle={cat.isOthers ? 'italic' : 'normal'}>{cat.isOthers ? t('reports.others') : cat.name}</Text>
                         <Text fontWeight="500" fontStyle={cat.isOthers ? 'italic' : 'normal'}>{formatCurrency(cat.amount)}</Text>
                       </Flex>
                     ))}
@@ -164,7 +169,7 @@ const MonthlyBarChart = ({ data, formatCurrency, colors, hoveredBarMonth, onHove
                 <Flex justify="space-between" align="center" mb={1}>
                   <HStack gap={1}>
                     <Box w="8px" h="8px" borderRadius="2px" bg="#EF4444" />
-                    <Text fontSize="xs" fontWeight="600" color="red.500">Expenses</Text>
+                    <Text fontSize="xs" fontWeight="600" color="red.500">{t('common.expenses')}</Text>
                   </HStack>
                   <Text fontSize="xs" fontWeight="700" color="red.500">
                     {formatCurrency(hoveredData.expenses)}
@@ -174,7 +179,7 @@ const MonthlyBarChart = ({ data, formatCurrency, colors, hoveredBarMonth, onHove
                   <VStack gap={0} align="stretch" pl={3} display={{ base: 'none', md: 'flex' }}>
                     {expenseCategories.map((cat) => (
                       <Flex key={cat.name} justify="space-between" fontSize="11px" color={colors.textSecondary} py={0.5}>
-                        <Text noOfLines={1} maxW={{ base: '70px', md: '90px' }} fontStyle={cat.isOthers ? 'italic' : 'normal'}>{cat.name}</Text>
+                        <Text noOfLines={1} maxW={{ base: '70px', md: '90px' }} fontStyle={cat.isOthers ? 'italic' : 'normal'}>{cat.isOthers ? t('reports.others') : cat.name}</Text>
                         <Text fontWeight="500" fontStyle={cat.isOthers ? 'italic' : 'normal'}>{formatCurrency(cat.amount)}</Text>
                       </Flex>
                     ))}
@@ -186,7 +191,7 @@ const MonthlyBarChart = ({ data, formatCurrency, colors, hoveredBarMonth, onHove
             {/* Balance */}
             <Box h="1px" bg={colors.borderColor} mb={2} mt={{ base: 2, md: 'auto' }} />
             <Flex justify="space-between">
-              <Text fontSize="sm" fontWeight="500" color={colors.textSecondary}>Balance:</Text>
+              <Text fontSize="sm" fontWeight="500" color={colors.textSecondary}>{t('reports.balanceLabel')}</Text>
               <Text
                 fontSize="sm"
                 fontWeight="700"
@@ -199,8 +204,8 @@ const MonthlyBarChart = ({ data, formatCurrency, colors, hoveredBarMonth, onHove
         ) : (
           <Flex h={{ base: 'auto', md: '100%' }} py={{ base: 2, md: 0 }} align="center" justify="center" flex="1">
             <Text fontSize="xs" color={colors.textMuted} textAlign="center">
-              <Box as="span" display={{ base: 'inline', md: 'none' }}>Tap a month to see details</Box>
-              <Box as="span" display={{ base: 'none', md: 'inline' }}>Hover over a month<br />to see details</Box>
+              <Box as="span" display={{ base: 'inline', md: 'none' }}>{t('reports.tapMonth')}</Box>
+              <Box as="span" display={{ base: 'none', md: 'inline' }}>{t('reports.hoverMonth')}<br />{t('reports.toSeeDetails')}</Box>
             </Text>
           </Flex>
         )}
@@ -211,6 +216,8 @@ const MonthlyBarChart = ({ data, formatCurrency, colors, hoveredBarMonth, onHove
 
 // Trend Line Chart Component with hover effects
 const TrendLineChart = ({ data, formatCurrency, hoveredMonth, onHoverMonth, colors }) => {
+  const { monthNames } = usePreferences();
+  const { t } = useI18n();
   const values = data.map(d => d.balance);
   const maxVal = Math.max(...values.map(Math.abs), 1);
   const width = 800;
@@ -230,7 +237,7 @@ const TrendLineChart = ({ data, formatCurrency, hoveredMonth, onHoverMonth, colo
   const points = data.map((d, i) => {
     const x = paddingLeft + (i / (data.length - 1)) * chartWidth;
     const y = zeroY - (d.balance / maxVal) * (chartHeight / 2);
-    return { x, y, balance: d.balance, month: MONTH_ABBR[i], income: d.income, expenses: d.expenses, hasData: d.income > 0 || d.expenses > 0 };
+    return { x, y, balance: d.balance, month: monthNames('short')[i], income: d.income, expenses: d.expenses, hasData: d.income > 0 || d.expenses > 0 };
   });
 
   // Only draw line up to last month with data
@@ -256,9 +263,9 @@ const TrendLineChart = ({ data, formatCurrency, hoveredMonth, onHoverMonth, colo
 
   const formatShort = (val) => {
     if (Math.abs(val) >= 1000) {
-      return `$${(val / 1000).toFixed(0)}k`;
+      return `${formatCurrency(val / 1000)}k`;
     }
-    return `$${val.toFixed(0)}`;
+    return formatCurrency(val);
   };
 
   const hoveredPoint = hoveredMonth !== null ? points[hoveredMonth] : null;
@@ -406,20 +413,20 @@ const TrendLineChart = ({ data, formatCurrency, hoveredMonth, onHoverMonth, colo
             {data[hoveredMonth]?.month}
           </Text>
           <Flex justify="space-between" mb={2} gap={4}>
-            <Text fontSize={{ base: 'sm', md: 'md' }} color={colors.textSecondary}>Income:</Text>
+            <Text fontSize={{ base: 'sm', md: 'md' }} color={colors.textSecondary}>{t('reports.incomeLabel')}</Text>
             <Text fontSize={{ base: 'sm', md: 'md' }} fontWeight="600" color="green.600">
               {formatCurrency(hoveredPoint.income)}
             </Text>
           </Flex>
           <Flex justify="space-between" mb={2} gap={4}>
-            <Text fontSize={{ base: 'sm', md: 'md' }} color={colors.textSecondary}>Expenses:</Text>
+            <Text fontSize={{ base: 'sm', md: 'md' }} color={colors.textSecondary}>{t('reports.expensesLabel')}</Text>
             <Text fontSize={{ base: 'sm', md: 'md' }} fontWeight="600" color="red.500">
               {formatCurrency(hoveredPoint.expenses)}
             </Text>
           </Flex>
           <Box h="1px" bg={colors.borderColor} my={2} />
           <Flex justify="space-between" gap={4}>
-            <Text fontSize={{ base: 'sm', md: 'md' }} color={colors.textSecondary}>Balance:</Text>
+            <Text fontSize={{ base: 'sm', md: 'md' }} color={colors.textSecondary}>{t('reports.balanceLabel')}</Text>
             <Text fontSize={{ base: 'md', md: 'lg' }} fontWeight="700" color={hoveredPoint.balance >= 0 ? 'green.600' : 'red.500'}>
               {hoveredPoint.balance >= 0 ? '+' : ''}{formatCurrency(hoveredPoint.balance)}
             </Text>
@@ -431,7 +438,9 @@ const TrendLineChart = ({ data, formatCurrency, hoveredMonth, onHoverMonth, colo
 };
 
 // Category Donut Chart with hover effects (matching Dashboard style)
-const CategoryDonutChart = ({ categories, total, formatCurrency, hoveredCategory, onHoverCategory, themeColors, othersExpanded, onToggleOthers, centerLabel = 'Total Spent' }) => {
+// onSelectCategory: called with a category's name when its legend entry is clicked
+const CategoryDonutChart = ({ categories, total, formatCurrency, hoveredCategory, onHoverCategory, themeColors, othersExpanded, onToggleOthers, onSelectCategory, centerLabel }) => {
+  const { t } = useI18n();
   const size = 180;
   const strokeWidth = 35;
   const radius = (size - strokeWidth) / 2;
@@ -519,7 +528,7 @@ const CategoryDonutChart = ({ categories, total, formatCurrency, hoveredCategory
           {hoveredCat ? (
             <>
               <Text fontSize="xs" color={themeColors.textSecondary} fontWeight="600" noOfLines={1} maxW="80px">
-                {hoveredCat.name}
+                {hoveredCat.name === 'Others' ? t('reports.others') : hoveredCat.name}
               </Text>
               <Text fontSize="lg" fontWeight="800" color={themeColors.textPrimary}>
                 {formatCurrency(hoveredCat.amount)}
@@ -557,7 +566,8 @@ const CategoryDonutChart = ({ categories, total, formatCurrency, hoveredCategory
                 opacity={isOtherHovered ? 0.4 : 1}
                 transition="all 0.15s"
                 cursor="pointer"
-                onClick={isOthersCategory ? onToggleOthers : undefined}
+                onClick={isOthersCategory ? onToggleOthers : () => onSelectCategory?.(cat.name)}
+                title={isOthersCategory ? undefined : t('reports.showCategory', { name: cat.name })}
                 onMouseEnter={() => onHoverCategory(cat.name)}
                 onMouseLeave={() => onHoverCategory(null)}
               >
@@ -568,7 +578,7 @@ const CategoryDonutChart = ({ categories, total, formatCurrency, hoveredCategory
                     </Text>
                   )}
                   <Box w="10px" h="10px" borderRadius="full" bg={getCategoryColor(cat.name, index)} flexShrink={0} />
-                  <Text color={themeColors.textSecondary} noOfLines={1} fontWeight={isHovered ? '600' : '500'}>{cat.name}</Text>
+                  <Text color={themeColors.textSecondary} noOfLines={1} fontWeight={isHovered ? '600' : '500'}>{isOthersCategory ? t('reports.others') : cat.name}</Text>
                 </HStack>
                 <HStack gap={2}>
                   <Text fontWeight="600" color={themeColors.textPrimary}>{formatCurrency(cat.amount)}</Text>
@@ -606,6 +616,11 @@ const CategoryDonutChart = ({ categories, total, formatCurrency, hoveredCategory
                       px={{ base: 1, md: 2 }}
                       py={0.5}
                       fontSize={{ base: '11px', md: 'xs' }}
+                      cursor="pointer"
+                      borderRadius="4px"
+                      _hover={{ bg: themeColors.rowStripedBg }}
+                      onClick={() => onSelectCategory?.(otherCat.name)}
+                      title={t('reports.showCategory', { name: otherCat.name })}
                     >
                       <HStack gap={1.5} flex="1" minW="0">
                         <Box
@@ -674,6 +689,10 @@ const SummaryCard = ({ title, value, subtitle, color, bgGradient, icon }) => (
 export default function Reports() {
   const { user } = useAuth();
   const colors = useDarkModeColors();
+  const navigate = useNavigate();
+  const { formatCurrency: formatMoney, convertTransactions } = useCurrency();
+  const { preferences, monthNames } = usePreferences();
+  const { t } = useI18n();
   const [loading, setLoading] = useState(true);
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
   const [monthlyData, setMonthlyData] = useState([]);
@@ -699,7 +718,7 @@ export default function Reports() {
     if (user) {
       loadYearlyData();
     }
-  }, [user, selectedYear]);
+  }, [user, selectedYear, convertTransactions, preferences]);
 
   // Handle click outside to close dropdown
   useEffect(() => {
@@ -721,15 +740,16 @@ export default function Reports() {
       // Load transactions with categories
       const { data, error } = await supabase
         .from('transactions')
-        .select('date, amount, type, category_id, categories(name)')
+        .select(`date, amount, currency, type, category_id, categories(name), ${SPLITS_SELECT}`)
         .eq('user_id', user.id)
+        .in('type', ['income', ...SPENDING_TYPES]) // Transfers only move money between accounts
         .gte('date', startDate)
         .lte('date', endDate);
 
       if (error) throw error;
 
       // Initialize monthly data with category breakdowns
-      const monthly = MONTHS.map((month, index) => ({
+      const monthly = monthNames().map((month, index) => ({
         month,
         monthIndex: index,
         income: 0,
@@ -743,11 +763,11 @@ export default function Reports() {
       const categoryMap = {};
       const incomeCategoryMap = {};
 
-      // Aggregate transactions by month and category
-      (data || []).forEach(tx => {
+      // Aggregate transactions by month and category in the base currency (split transactions by their lines)
+      expandSplits(convertTransactions(data)).forEach(tx => {
         const txDate = new Date(tx.date + 'T00:00:00');
         const monthIndex = txDate.getMonth();
-        const catName = tx.categories?.name || 'Uncategorized';
+        const catName = tx.categories?.name || t('common.uncategorized');
 
         if (tx.type === 'income') {
           monthly[monthIndex].income += Number(tx.amount);
@@ -755,10 +775,12 @@ export default function Reports() {
             (monthly[monthIndex].incomeCategories[catName] || 0) + Number(tx.amount);
           incomeCategoryMap[catName] = (incomeCategoryMap[catName] || 0) + Number(tx.amount);
         } else {
-          monthly[monthIndex].expenses += Number(tx.amount);
+          // Refunds take back spending in their category
+          const spent = spendingAmount(tx);
+          monthly[monthIndex].expenses += spent;
           monthly[monthIndex].expenseCategories[catName] =
-            (monthly[monthIndex].expenseCategories[catName] || 0) + Number(tx.amount);
-          categoryMap[catName] = (categoryMap[catName] || 0) + Number(tx.amount);
+            (monthly[monthIndex].expenseCategories[catName] || 0) + spent;
+          categoryMap[catName] = (categoryMap[catName] || 0) + spent;
         }
       });
 
@@ -826,18 +848,21 @@ export default function Reports() {
     }
   };
 
+  // Drill down: open Transactions with a search expression for what was clicked
+  const showTransactions = (terms) => {
+    navigate(transactionsLink({ searchQuery: buildQuery(terms), selectedPeriod: 'all' }));
+  };
+  const showCategory = (type) => (name) => {
+    showTransactions([['category', name], ['type', type], ['date', String(selectedYear)]]);
+  };
+
   const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    }).format(amount);
+    return formatMoney(amount, undefined, { minimumFractionDigits: 0, maximumFractionDigits: 0 });
   };
 
   const formatCurrencyShort = (amount) => {
     if (Math.abs(amount) >= 1000) {
-      return `$${(amount / 1000).toFixed(1)}k`;
+      return `${formatMoney(amount / 1000, undefined, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}k`;
     }
     return formatCurrency(amount);
   };
@@ -854,7 +879,7 @@ export default function Reports() {
         <Flex w="100%" minH="60vh" align="center" justify="center">
           <VStack gap={4}>
             <Spinner size="xl" />
-            <Text>Loading report...</Text>
+            <Text>{t('reports.loading')}</Text>
           </VStack>
         </Flex>
       </PageContainer>
@@ -867,8 +892,8 @@ export default function Reports() {
         {/* Header */}
         <Flex justify="space-between" align="center" flexWrap="wrap" gap={3}>
           <Box>
-            <Heading size="xl" color={colors.textPrimary}>Financial Report</Heading>
-            <Text color={colors.textSecondary} mt={1}>Your yearly financial overview</Text>
+            <Heading size="xl" color={colors.textPrimary}>{t('reports.title')}</Heading>
+            <Text color={colors.textSecondary} mt={1}>{t('reports.subtitle')}</Text>
           </Box>
           <HStack gap={2}>
             <Box ref={yearDropdownRef} position="relative">
@@ -961,33 +986,35 @@ export default function Reports() {
           </HStack>
         </Flex>
 
+        <MissingRatesNotice />
+
         {/* Summary Cards */}
         <SimpleGrid columns={{ base: 2, md: 4 }} gap={4}>
           <SummaryCard
-            title="Total Income"
+            title={t('reports.totalIncome')}
             value={formatCurrency(totals.income)}
-            subtitle={`~${formatCurrencyShort(avgMonthlyIncome)}/month`}
+            subtitle={t('reports.perMonth', { amount: formatCurrencyShort(avgMonthlyIncome) })}
             bgGradient="linear-gradient(135deg, #10B981 0%, #059669 100%)"
           />
           <SummaryCard
-            title="Total Expenses"
+            title={t('reports.totalExpenses')}
             value={formatCurrency(totals.expenses)}
-            subtitle={`~${formatCurrencyShort(avgMonthlyExpense)}/month`}
+            subtitle={t('reports.perMonth', { amount: formatCurrencyShort(avgMonthlyExpense) })}
             bgGradient="linear-gradient(135deg, #EF4444 0%, #DC2626 100%)"
           />
           <SummaryCard
-            title="Net Balance"
+            title={t('reports.netBalance')}
             value={formatCurrency(totals.balance)}
-            subtitle={totals.balance >= 0 ? 'Surplus' : 'Deficit'}
+            subtitle={totals.balance >= 0 ? t('reports.surplus') : t('reports.deficit')}
             bgGradient={totals.balance >= 0
               ? "linear-gradient(135deg, #3B82F6 0%, #1D4ED8 100%)"
               : "linear-gradient(135deg, #F59E0B 0%, #D97706 100%)"
             }
           />
           <SummaryCard
-            title="Savings Rate"
+            title={t('reports.savingsRate')}
             value={`${savingsRate}%`}
-            subtitle={`${monthsWithData} months tracked`}
+            subtitle={t('reports.monthsTracked', { count: monthsWithData })}
             bgGradient="linear-gradient(135deg, #8B5CF6 0%, #6D28D9 100%)"
           />
         </SimpleGrid>
@@ -1006,17 +1033,17 @@ export default function Reports() {
         >
           <Flex justify="space-between" align="center" mb={2} flexShrink={0}>
             <Box>
-              <Heading size="md" color={colors.textPrimary}>Income vs Expenses</Heading>
-              <Text fontSize="sm" color={colors.textSecondary}>Monthly comparison</Text>
+              <Heading size="md" color={colors.textPrimary}>{t('reports.incomeVsExpenses')}</Heading>
+              <Text fontSize="sm" color={colors.textSecondary}>{t('reports.monthlyComparison')}</Text>
             </Box>
             <HStack gap={4}>
               <HStack gap={1}>
                 <Box w="12px" h="12px" borderRadius="3px" bg="linear-gradient(180deg, #34D399 0%, #059669 100%)" />
-                <Text fontSize="sm" fontWeight="500" color={colors.textSecondary}>Income</Text>
+                <Text fontSize="sm" fontWeight="500" color={colors.textSecondary}>{t('common.income')}</Text>
               </HStack>
               <HStack gap={1}>
                 <Box w="12px" h="12px" borderRadius="3px" bg="linear-gradient(180deg, #F87171 0%, #DC2626 100%)" />
-                <Text fontSize="sm" fontWeight="500" color={colors.textSecondary}>Expenses</Text>
+                <Text fontSize="sm" fontWeight="500" color={colors.textSecondary}>{t('common.expenses')}</Text>
               </HStack>
             </HStack>
           </Flex>
@@ -1044,8 +1071,8 @@ export default function Reports() {
             boxShadow="0 1px 3px rgba(0,0,0,0.05)"
             border="1px solid" borderColor={colors.borderSubtle}
           >
-            <Heading size="md" color={colors.textPrimary} mb={1}>Expense Breakdown</Heading>
-            <Text fontSize="sm" color={colors.textSecondary} mb={4}>Where your money goes</Text>
+            <Heading size="md" color={colors.textPrimary} mb={1}>{t('reports.expenseBreakdown')}</Heading>
+            <Text fontSize="sm" color={colors.textSecondary} mb={4}>{t('reports.whereMoneyGoes')}</Text>
             {categoryData.length > 0 ? (
               <CategoryDonutChart
                 categories={categoryData}
@@ -1056,11 +1083,12 @@ export default function Reports() {
                 themeColors={colors}
                 othersExpanded={othersExpanded}
                 onToggleOthers={() => setOthersExpanded(!othersExpanded)}
-                centerLabel="Total Spent"
+                onSelectCategory={showCategory('expense')}
+                centerLabel={t('reports.totalSpent')}
               />
             ) : (
               <Flex justify="center" align="center" h="200px">
-                <Text color={colors.textMuted}>No expense data</Text>
+                <Text color={colors.textMuted}>{t('reports.noExpenseData')}</Text>
               </Flex>
             )}
           </Box>
@@ -1073,8 +1101,8 @@ export default function Reports() {
             boxShadow="0 1px 3px rgba(0,0,0,0.05)"
             border="1px solid" borderColor={colors.borderSubtle}
           >
-            <Heading size="md" color={colors.textPrimary} mb={1}>Income Breakdown</Heading>
-            <Text fontSize="sm" color={colors.textSecondary} mb={4}>Where your money comes from</Text>
+            <Heading size="md" color={colors.textPrimary} mb={1}>{t('reports.incomeBreakdown')}</Heading>
+            <Text fontSize="sm" color={colors.textSecondary} mb={4}>{t('reports.whereMoneyComes')}</Text>
             {incomeCategoryData.length > 0 ? (
               <CategoryDonutChart
                 categories={incomeCategoryData}
@@ -1085,11 +1113,12 @@ export default function Reports() {
                 themeColors={colors}
                 othersExpanded={incomeOthersExpanded}
                 onToggleOthers={() => setIncomeOthersExpanded(!incomeOthersExpanded)}
-                centerLabel="Total Earned"
+                onSelectCategory={showCategory('income')}
+                centerLabel={t('reports.totalEarned')}
               />
             ) : (
               <Flex justify="center" align="center" h="200px">
-                <Text color={colors.textMuted}>No income data</Text>
+                <Text color={colors.textMuted}>{t('reports.noIncomeData')}</Text>
               </Flex>
             )}
           </Box>
@@ -1103,8 +1132,8 @@ export default function Reports() {
           boxShadow="0 1px 3px rgba(0,0,0,0.05)"
           border="1px solid" borderColor={colors.borderSubtle}
         >
-          <Heading size="md" color={colors.textPrimary} mb={1}>Balance Trend</Heading>
-          <Text fontSize="sm" color={colors.textSecondary} mb={4}>Monthly net balance throughout the year</Text>
+          <Heading size="md" color={colors.textPrimary} mb={1}>{t('reports.balanceTrend')}</Heading>
+          <Text fontSize="sm" color={colors.textSecondary} mb={4}>{t('reports.balanceTrendHint')}</Text>
           <TrendLineChart
               data={monthlyData}
               formatCurrency={formatCurrency}
@@ -1114,6 +1143,13 @@ export default function Reports() {
             />
         </Box>
 
+        {/* Tag Breakdown */}
+        <TagBreakdown
+          userId={user.id}
+          defaultStart={`${selectedYear}-01-01`}
+          defaultEnd={`${selectedYear}-12-31`}
+        />
+
         {/* Detailed Table */}
         <Box
           borderRadius={{ base: '12px', md: '20px' }}
@@ -1123,26 +1159,32 @@ export default function Reports() {
           border="1px solid" borderColor={colors.borderSubtle}
         >
           <Box p={{ base: 3, md: 5 }} borderBottomWidth="1px" borderColor={colors.borderSubtle}>
-            <Heading size={{ base: 'sm', md: 'md' }} color={colors.textPrimary}>Monthly Breakdown</Heading>
-            <Text fontSize={{ base: 'xs', md: 'sm' }} color={colors.textSecondary}>Detailed view of each month</Text>
+            <Heading size={{ base: 'sm', md: 'md' }} color={colors.textPrimary}>{t('reports.monthlyBreakdown')}</Heading>
+            <Text fontSize={{ base: 'xs', md: 'sm' }} color={colors.textSecondary}>{t('reports.monthlyBreakdownHint')}</Text>
           </Box>
           <Box>
             <Table.Root size="sm" w="100%">
               <Table.Header>
                 <Table.Row bg={colors.rowStripedBg}>
-                  <Table.ColumnHeader py={2} px={{ base: 2, md: 5 }} fontWeight="600" color={colors.textSecondary} fontSize={{ base: '11px', md: 'sm' }} w={{ base: '70px', md: 'auto' }}>Month</Table.ColumnHeader>
-                  <Table.ColumnHeader py={2} px={{ base: 1, md: 5 }} textAlign="right" fontWeight="600" color={colors.textSecondary} fontSize={{ base: '11px', md: 'sm' }}>Income</Table.ColumnHeader>
-                  <Table.ColumnHeader py={2} px={{ base: 1, md: 5 }} textAlign="right" fontWeight="600" color={colors.textSecondary} fontSize={{ base: '11px', md: 'sm' }}>Expenses</Table.ColumnHeader>
-                  <Table.ColumnHeader py={2} px={{ base: 1, md: 5 }} textAlign="right" fontWeight="600" color={colors.textSecondary} fontSize={{ base: '11px', md: 'sm' }}>Balance</Table.ColumnHeader>
+                  <Table.ColumnHeader py={2} px={{ base: 2, md: 5 }} fontWeight="600" color={colors.textSecondary} fontSize={{ base: '11px', md: 'sm' }} w={{ base: '70px', md: 'auto' }}>{t('reports.month')}</Table.ColumnHeader>
+                  <Table.ColumnHeader py={2} px={{ base: 1, md: 5 }} textAlign="right" fontWeight="600" color={colors.textSecondary} fontSize={{ base: '11px', md: 'sm' }}>{t('common.income')}</Table.ColumnHeader>
+                  <Table.ColumnHeader py={2} px={{ base: 1, md: 5 }} textAlign="right" fontWeight="600" color={colors.textSecondary} fontSize={{ base: '11px', md: 'sm' }}>{t('common.expenses')}</Table.ColumnHeader>
+                  <Table.ColumnHeader py={2} px={{ base: 1, md: 5 }} textAlign="right" fontWeight="600" color={colors.textSecondary} fontSize={{ base: '11px', md: 'sm' }}>{t('reports.balance')}</Table.ColumnHeader>
                 </Table.Row>
               </Table.Header>
               <Table.Body>
                 {monthlyData.map((row, index) => (
                   <Table.Row key={row.month} _hover={{ bg: colors.rowStripedBg }}>
-                    <Table.Cell py={2} px={{ base: 2, md: 5 }}>
-                      <Text fontWeight="500" color={colors.textSecondary} fontSize={{ base: '11px', md: 'sm' }}>
+                    <Table.Cell
+                      py={2}
+                      px={{ base: 2, md: 5 }}
+                      cursor="pointer"
+                      title={t('reports.showCategory', { name: row.month })}
+                      onClick={() => showTransactions([['date', `${selectedYear}-${String(index + 1).padStart(2, '0')}`]])}
+                    >
+                      <Text fontWeight="500" color={colors.textSecondary} fontSize={{ base: '11px', md: 'sm' }} _hover={{ color: 'blue.500', textDecoration: 'underline' }}>
                         <Box as="span" display={{ base: 'none', md: 'inline' }}>{row.month}</Box>
-                        <Box as="span" display={{ base: 'inline', md: 'none' }}>{MONTH_ABBR[index]}</Box>
+                        <Box as="span" display={{ base: 'inline', md: 'none' }}>{monthNames('short')[index]}</Box>
                       </Text>
                     </Table.Cell>
                     <Table.Cell py={2} px={{ base: 1, md: 5 }} textAlign="right">
@@ -1174,7 +1216,7 @@ export default function Reports() {
                 {/* Total Row */}
                 <Table.Row bg="linear-gradient(135deg, #1E293B 0%, #334155 100%)">
                   <Table.Cell py={{ base: 2, md: 4 }} px={{ base: 2, md: 5 }}>
-                    <Text fontWeight="700" color="white" fontSize={{ base: '11px', md: 'sm' }}>TOTAL</Text>
+                    <Text fontWeight="700" color="white" fontSize={{ base: '11px', md: 'sm' }}>{t('reports.totalRow')}</Text>
                   </Table.Cell>
                   <Table.Cell py={{ base: 2, md: 4 }} px={{ base: 1, md: 5 }} textAlign="right">
                     <Text fontWeight="700" color="green.300" fontSize={{ base: '11px', md: 'sm' }}>
@@ -13,10 +13,12 @@ import {
 } from '@chakra-ui/react';
 import { supabase } from '../lib/supabaseClient';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useI18n } from '../contexts/I18nContext';
 
 export default function ResetPassword() {
   const navigate = useNavigate();
   const colors = useDarkModeColors();
+  const { t } = useI18n();
 
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
@@ -43,12 +45,12 @@ export default function ResetPassword() {
     setError('');
 
     if (password !== confirmPassword) {
-      setError('Passwords do not match');
+      setError(t('auth.passwordsDontMatch'));
       return;
     }
 
     if (password.length < 6) {
-      setError('Password must be at least 6 characters');
+      setError(t('auth.passwordTooShort'));
       return;
     }
 
@@ -66,7 +68,7 @@ export default function ResetPassword() {
         }, 2000);
       }
     } catch (err) {
-      setError('An unexpected error occurred. Please try again.');
+      setError(t('auth.unexpectedError'));
     } finally {
       setLoading(false);
     }
@@ -77,7 +79,7 @@ export default function ResetPassword() {
       <Box bg={colors.pageBg} minH="calc(100vh - 140px)">
         <Container maxW="md" py={12}>
           <VStack gap={8}>
-            <Text color={colors.textSecondary}>Loading...</Text>
+            <Text color={colors.textSecondary}>{t('common.loading')}</Text>
           </VStack>
         </Container>
       </Box>
@@ -90,9 +92,9 @@ export default function ResetPassword() {
         <Container maxW="md" py={12}>
           <VStack gap={8}>
             <Box textAlign="center">
-              <Heading size="2xl" color={colors.textPrimary}>Invalid Link</Heading>
+              <Heading size="2xl" color={colors.textPrimary}>{t('auth.invalidLink')}</Heading>
               <Text color={colors.textSecondary} mt={2}>
-                This password reset link is invalid or has expired.
+                {t('auth.invalidLinkHint')}
               </Text>
             </Box>
             <Box
@@ -106,10 +108,10 @@ export default function ResetPassword() {
             >
               <VStack gap={4}>
                 <Text color={colors.textSecondary}>
-                  Please request a new password reset link.
+                  {t('auth.requestNewLinkHint')}
                 </Text>
                 <Link as={RouterLink} to="/forgot-password" color="blue.600" fontWeight="medium">
-                  Request New Link
+                  {t('auth.requestNewLink')}
                 </Link>
               </VStack>
             </Box>
@@ -124,9 +126,9 @@ export default function ResetPassword() {
       <Container maxW="md" py={12}>
         <VStack gap={8}>
           <Box textAlign="center">
-            <Heading size="2xl" color={colors.textPrimary}>Set New Password</Heading>
+            <Heading size="2xl" color={colors.textPrimary}>{t('auth.setNewPassword')}</Heading>
             <Text color={colors.textSecondary} mt={2}>
-              Enter your new password below
+              {t('auth.setNewPasswordSubtitle')}
             </Text>
           </Box>
 
@@ -167,20 +169,20 @@ export default function ResetPassword() {
                 >
                   <VStack gap={3}>
                     <Text color={colors.success} fontWeight="medium" textAlign="center">
-                      Password updated successfully!
+                      {t('auth.passwordUpdated')}
                     </Text>
                     <Text color={colors.textSecondary} fontSize="sm" textAlign="center">
-                      Redirecting to dashboard...
+                      {t('auth.redirecting')}
                     </Text>
                   </VStack>
                 </Box>
               ) : (
                 <>
                   <Stack gap={2} w="100%">
-                    <Text fontWeight="medium" color={colors.textPrimary}>New Password</Text>
+                    <Text fontWeight="medium" color={colors.textPrimary}>{t('auth.newPassword')}</Text>
                     <Input
                       type="password"
-                      placeholder="Enter new password"
+                      placeholder={t('auth.newPasswordPlaceholder')}
                       value={password}
                       onChange={(e) => setPassword(e.target.value)}
                       required
@@ -190,15 +192,15 @@ export default function ResetPassword() {
                       color={colors.textPrimary}
                     />
                     <Text fontSize="xs" color={colors.textMuted}>
-                      Must be at least 6 characters
+                      {t('auth.passwordHint')}
                     </Text>
                   </Stack>
 
                   <Stack gap={2} w="100%">
-                    <Text fontWeight="medium" color={colors.textPrimary}>Confirm Password</Text>
+                    <Text fontWeight="medium" color={colors.textPrimary}>{t('auth.confirmPassword')}</Text>
                     <Input
                       type="password"
-                      placeholder="Confirm new password"
+                      placeholder={t('auth.confirmNewPasswordPlaceholder')}
                       value={confirmPassword}
                       onChange={(e) => setConfirmPassword(e.target.value)}
                       required
@@ -217,7 +219,7 @@ export default function ResetPassword() {
                     mt={2}
                     loading={loading}
                   >
-                    {loading ? 'Updating...' : 'Update Password'}
+                    {loading ? t('auth.updating') : t('auth.updatePassword')}
                   </Button>
                 </>
               )}
@@ -11,7 +11,11 @@ import {
   Badge,
 } from '@chakra-ui/react';
 import { useAuth } from '../contexts/AuthContext';
+import { useI18n } from '../contexts/I18nContext';
 import PageContainer from '../components/PageContainer';
+import PreferencesSettings from '../components/PreferencesSettings';
+import CurrencySettings from '../components/CurrencySettings';
+import TrashSettings from '../components/TrashSettings';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
 import {
   isNotificationSupported,
@@ -23,6 +27,7 @@ import {
 export default function Settings() {
   const { user } = useAuth();
   const colors = useDarkModeColors();
+  const { t } = useI18n();
   const [loading, setLoading] = useState(false);
   const [notificationStatus, setNotificationStatus] = useState('checking');
   const [requestingPermission, setRequestingPermission] = useState(false);
@@ -47,8 +52,8 @@ export default function Settings() {
 
       if (permission === 'granted') {
         // Send a test notification
-        showNotification('Notifications Enabled!', {
-          body: 'You will now receive budget alerts and transaction notifications.',
+        showNotification(t('settings.enabledTitle'), {
+          body: t('settings.enabledBody'),
         });
       }
     } catch (error) {
@@ -59,21 +64,21 @@ export default function Settings() {
   };
 
   const handleTestNotification = () => {
-    showNotification('Test Notification', {
-      body: 'This is a test notification from BudgetWise!',
+    showNotification(t('settings.testTitle'), {
+      body: t('settings.testBody'),
     });
   };
 
   const getStatusBadge = () => {
     switch (notificationStatus) {
       case 'granted':
-        return <Badge colorPalette="green">Enabled</Badge>;
+        return <Badge colorPalette="green">{t('settings.enabled')}</Badge>;
       case 'denied':
-        return <Badge colorPalette="red">Blocked</Badge>;
+        return <Badge colorPalette="red">{t('settings.blocked')}</Badge>;
       case 'unsupported':
-        return <Badge colorPalette="gray">Not Supported</Badge>;
+        return <Badge colorPalette="gray">{t('settings.notSupported')}</Badge>;
       default:
-        return <Badge colorPalette="yellow">Not Enabled</Badge>;
+        return <Badge colorPalette="yellow">{t('settings.notEnabled')}</Badge>;
     }
   };
 
@@ -83,7 +88,7 @@ export default function Settings() {
         <Flex w="100%" minH="60vh" align="center" justify="center">
           <VStack gap={4}>
             <Spinner size="xl" />
-            <Text>Loading settings...</Text>
+            <Text>{t('settings.loading')}</Text>
           </VStack>
         </Flex>
       </PageContainer>
@@ -94,27 +99,27 @@ export default function Settings() {
     <PageContainer>
       <VStack gap={8} align="stretch" w="100%">
         <Box>
-          <Heading size="2xl" color={colors.textPrimary}>Settings</Heading>
+          <Heading size="2xl" color={colors.textPrimary}>{t('nav.settings')}</Heading>
           <Text color={colors.textSecondary} mt={2}>
-            Manage your account settings
+            {t('settings.subtitle')}
           </Text>
         </Box>
 
         {/* Notifications Section */}
         <Box p={6} borderWidth="1px" borderColor={colors.borderColor} borderRadius="lg" bg={colors.cardBg}>
           <Heading size="lg" mb={4} color={colors.textPrimary}>
-            Push Notifications
+            {t('settings.pushTitle')}
           </Heading>
           <VStack align="stretch" gap={4}>
             <HStack justify="space-between">
-              <Text>Status:</Text>
+              <Text>{t('settings.status')}</Text>
               {getStatusBadge()}
             </HStack>
 
             {notificationStatus === 'unsupported' && (
               <Box p={4} bg={colors.warningBg} borderRadius="md" borderColor={colors.warningBorder} borderWidth="1px">
                 <Text color={colors.warning} fontSize="sm">
-                  Push notifications are not supported in this browser. For the best experience, add this app to your home screen on iOS 16.4+ or use Chrome on Android.
+                  {t('settings.unsupportedText')}
                 </Text>
               </Box>
             )}
@@ -122,7 +127,7 @@ export default function Settings() {
             {notificationStatus === 'denied' && (
               <Box p={4} bg={colors.dangerBg} borderRadius="md" borderColor={colors.dangerBorder} borderWidth="1px">
                 <Text color={colors.danger} fontSize="sm">
-                  Notifications are blocked. To enable them, go to your browser settings and allow notifications for this site.
+                  {t('settings.blockedText')}
                 </Text>
               </Box>
             )}
@@ -132,20 +137,20 @@ export default function Settings() {
                 colorPalette="blue"
                 onClick={handleEnableNotifications}
                 loading={requestingPermission}
-                loadingText="Requesting..."
+                loadingText={t('settings.requesting')}
               >
-                Enable Notifications
+                {t('settings.enable')}
               </Button>
             )}
 
             {notificationStatus === 'granted' && (
               <VStack align="stretch" gap={3}>
                 <Text color={colors.textSecondary} fontSize="sm">
-                  You will receive notifications for:
+                  {t('settings.youWillReceive')}
                 </Text>
                 <VStack align="start" gap={1} pl={4}>
-                  <Text fontSize="sm">• New transactions added</Text>
-                  <Text fontSize="sm">• Budget limit warnings (80%, 90%, 100%)</Text>
+                  <Text fontSize="sm">{t('settings.newTransactions')}</Text>
+                  <Text fontSize="sm">{t('settings.budgetWarnings')}</Text>
                 </VStack>
                 <Button
                   variant="outline"
@@ -153,24 +158,31 @@ export default function Settings() {
                   onClick={handleTestNotification}
                   mt={2}
                 >
-                  Send Test Notification
+                  {t('settings.sendTest')}
                 </Button>
               </VStack>
             )}
           </VStack>
         </Box>
 
+        {/* Display preferences, base currency and exchange rates */}
+        <PreferencesSettings userId={user?.id} />
+
+        <CurrencySettings userId={user?.id} />
+
+        <TrashSettings userId={user?.id} />
+
         {/* Account Info */}
         <Box p={6} borderWidth="1px" borderColor={colors.borderColor} borderRadius="lg" bg={colors.cardBg}>
           <Heading size="lg" mb={4} color={colors.textPrimary}>
-            Account Information
+            {t('settings.accountInfo')}
           </Heading>
           <VStack align="start" gap={2}>
             <Text color={colors.textPrimary}>
-              <strong>Email:</strong> {user?.email}
+              <strong>{t('settings.email')}</strong> {user?.email}
             </Text>
             <Text color={colors.textPrimary}>
-              <strong>User ID:</strong> {user?.id}
+              <strong>{t('settings.userId')}</strong> {user?.id}
             </Text>
           </VStack>
         </Box>
@@ -178,7 +190,7 @@ export default function Settings() {
         {/* Info box pointing to Import */}
         <Box p={4} bg={colors.infoBg} borderRadius="md" borderColor={colors.infoBorder} borderWidth="1px">
           <Text color={colors.info}>
-            <strong>Looking for Google Sheet sync?</strong> Go to the <strong>Import</strong> tab to connect your Google Sheet and configure auto-sync settings.
+            <strong>{t('settings.syncTitle')}</strong> {t('settings.syncText')}
           </Text>
         </Box>
       </VStack>
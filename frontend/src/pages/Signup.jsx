@@ -13,11 +13,13 @@ import {
 } from '@chakra-ui/react';
 import { useAuth } from '../contexts/AuthContext';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { useI18n } from '../contexts/I18nContext';
 
 export default function Signup() {
   const navigate = useNavigate();
   const { signUp } = useAuth();
   const colors = useDarkModeColors();
+  const { t } = useI18n();
 
   const [fullName, setFullName] = useState('');
   const [email, setEmail] = useState('');
@@ -34,13 +36,13 @@ export default function Signup() {
 
     // Validation
     if (password !== confirmPassword) {
-      setError('Passwords do not match');
+      setError(t('auth.passwordsDontMatch'));
       setLoading(false);
       return;
     }
 
     if (password.length < 6) {
-      setError('Password must be at least 6 characters');
+      setError(t('auth.passwordTooShort'));
       setLoading(false);
       return;
     }
@@ -60,7 +62,7 @@ export default function Signup() {
         }, 3000);
       }
     } catch (err) {
-      setError('An unexpected error occurred. Please try again.');
+      setError(t('auth.unexpectedError'));
     } finally {
       setLoading(false);
     }
@@ -71,9 +73,9 @@ export default function Signup() {
       <Container maxW="md" py={12}>
         <VStack gap={8}>
           <Box textAlign="center">
-            <Heading size="2xl" color={colors.textPrimary}>Create Account</Heading>
+            <Heading size="2xl" color={colors.textPrimary}>{t('auth.createAccount')}</Heading>
           <Text color={colors.textSecondary} mt={2}>
-            Start tracking your budget with BudgetWise
+            {t('auth.signUpSubtitle')}
           </Text>
         </Box>
 
@@ -113,16 +115,16 @@ export default function Signup() {
                 w="100%"
               >
                 <Text color={colors.success} fontWeight="medium">
-                  Account created! Please check your email to verify your account.
+                  {t('auth.accountCreated')}
                 </Text>
               </Box>
             )}
 
             <Stack gap={2} w="100%">
-              <Text fontWeight="medium" color={colors.textPrimary}>Full Name</Text>
+              <Text fontWeight="medium" color={colors.textPrimary}>{t('auth.fullName')}</Text>
               <Input
                 type="text"
-                placeholder="John Doe"
+                placeholder={t('auth.fullNamePlaceholder')}
                 value={fullName}
                 onChange={(e) => setFullName(e.target.value)}
                 required
@@ -134,10 +136,10 @@ export default function Signup() {
             </Stack>
 
             <Stack gap={2} w="100%">
-              <Text fontWeight="medium" color={colors.textPrimary}>Email</Text>
+              <Text fontWeight="medium" color={colors.textPrimary}>{t('auth.email')}</Text>
               <Input
                 type="email"
-                placeholder="you@example.com"
+                placeholder={t('auth.emailPlaceholder')}
                 value={email}
                 onChange={(e) => setEmail(e.target.value)}
                 required
@@ -149,7 +151,7 @@ export default function Signup() {
             </Stack>
 
             <Stack gap={2} w="100%">
-              <Text fontWeight="medium" color={colors.textPrimary}>Password</Text>
+              <Text fontWeight="medium" color={colors.textPrimary}>{t('auth.password')}</Text>
               <Input
                 type="password"
                 placeholder="••••••••"
@@ -162,12 +164,12 @@ export default function Signup() {
                 color={colors.textPrimary}
               />
               <Text fontSize="xs" color={colors.textMuted}>
-                Must be at least 6 characters
+                {t('auth.passwordHint')}
               </Text>
             </Stack>
 
             <Stack gap={2} w="100%">
-              <Text fontWeight="medium" color={colors.textPrimary}>Confirm Password</Text>
+              <Text fontWeight="medium" color={colors.textPrimary}>{t('auth.confirmPassword')}</Text>
               <Input
                 type="password"
                 placeholder="••••••••"
@@ -190,13 +192,13 @@ export default function Signup() {
               loading={loading}
               disabled={success}
             >
-              {loading ? 'Creating account...' : 'Sign Up'}
+              {loading ? t('auth.creatingAccount') : t('auth.signUp')}
             </Button>
 
             <Text textAlign="center" color={colors.textSecondary}>
-              Already have an account?{' '}
+              {t('auth.haveAccount')}{' '}
               <Link as={RouterLink} to="/login" color="blue.600" fontWeight="medium">
-                Sign in
+                {t('auth.signInLink')}
               </Link>
             </Text>
           </VStack>
@@ -1,5 +1,5 @@
-import { useState, useEffect, useRef } from 'react';
-import { Link as RouterLink } from 'react-router-dom';
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
 import {
   Box,
   Button,
@@ -16,40 +16,151 @@ import {
   Dialog,
   Portal,
   CloseButton,
+  Badge,
 } from '@chakra-ui/react';
-import { LuFilter, LuX, LuTrash2 } from 'react-icons/lu';
+import { LuFilter, LuX, LuTrash2, LuCircle, LuCircleCheck, LuLock } from 'react-icons/lu';
 import { useAuth } from '../contexts/AuthContext';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { useI18n } from '../contexts/I18nContext';
+import { usePreferences } from '../contexts/PreferencesContext';
 import { supabase } from '../lib/supabaseClient';
 import PageContainer from '../components/PageContainer';
 import { useDarkModeColors } from '../lib/useDarkModeColors';
+import { loadAccounts } from '../lib/accounts';
+import { balanceDelta } from '../lib/transfers';
+import { SPENDING_TYPES, spendingAmount, categoryTypeOf } from '../lib/refunds';
+import { SPLITS_SELECT, saveSplits, clearSplits } from '../lib/splits';
+import {
+  loadTransactionPage,
+  loadAllMatching,
+  loadTransactionTotals,
+  loadFilterOptions,
+  loadTransferHalves,
+} from '../lib/transactionQuery';
+import { useWindowedRows } from '../lib/useWindowedRows';
+import { parseQuery, queryToFilters } from '../lib/searchQuery';
+import { loadSuggestionModel, suggestCategories, FALLBACK_CATEGORY } from '../lib/categorySuggestions';
+import { tagChanges } from '../lib/tags';
+import { applyChangeBatch, revertChangeBatch } from '../lib/changeBatches';
+import { bulkChanges } from '../lib/bulkEdit';
+import SplitTransactionDialog from '../components/SplitTransactionDialog';
+import SuggestionChips from '../components/SuggestionChips';
+import BulkTagDialog from '../components/BulkTagDialog';
+import BulkActionBar from '../components/BulkActionBar';
+import SearchQueryInput from '../components/SearchQueryInput';
+import SavedViews from '../components/SavedViews';
+import { periodRange, readFilters, writeFilters } from '../lib/transactionViews';
+import { CLEARED_STATUS, setCleared, reconciledEditWarning } from '../lib/reconciliation';
+import { daysUntilPurge, logEmptiedTrash } from '../lib/trash';
+
+// How each bulk action reads in the notice and in Recent changes (message keys)
+const BULK_VERBS = {
+  category: 'transactions.recategorized',
+  date: 'transactions.redated',
+  account: 'transactions.moved',
+  delete: 'transactions.movedToTrash',
+  restore: 'transactions.restored',
+};
+
+// Multi-select tick box; shift-click ticks the range since the last one
+const RowCheckbox = ({ checked, onToggle, label }) => (
+  <input
+    type="checkbox"
+    checked={checked}
+    onChange={(e) => onToggle(e.nativeEvent.shiftKey)}
+    onClick={(e) => e.stopPropagation()}
+    aria-label={label}
+    style={{ width: '16px', height: '16px', accentColor: '#3B82F6', cursor: 'pointer', flexShrink: 0 }}
+  />
+);
+
+// Cleared status beside the balance; clicking flips cleared/uncleared. Reconciled rows are
+// locked and only change through the account's reconciliation.
+const ClearedFlag = ({ status, onToggle }) => {
+  const { t } = useI18n();
+  const Icon = status === 'reconciled' ? LuLock : status === 'cleared' ? LuCircleCheck : LuCircle;
+  const locked = status === 'reconciled';
+  return (
+    <Flex
+      as="button"
+      type="button"
+      aria-label={t(CLEARED_STATUS[status].label)}
+      title={t(CLEARED_STATUS[status].hint)}
+      onClick={locked ? undefined : onToggle}
+      cursor={locked ? 'default' : 'pointer'}
+      color={status === 'uncleared' ? 'gray.400' : 'green.500'}
+      align="center"
+      flexShrink={0}
+      data-cleared-status={status}
+    >
+      <Icon size={14} />
+    </Flex>
+  );
+};
+
+// Tags under a row's description; clicking one filters the list to it
+const TagBadges = ({ tags, onPick }) => {
+  const { t } = useI18n();
+  if (!tags?.length) return null;
+  return (
+    <HStack gap={1} wrap="wrap" mt={1}>
+      {tags.map(tag => (
+        <Badge
+          key={tag}
+          colorPalette="purple"
+          variant="subtle"
+          fontSize="2xs"
+          cursor="pointer"
+          onClick={(e) => {
+            e.stopPropagation();
+            onPick(tag);
+          }}
+          title={t('transactions.showOnlyTag', { tag })}
+        >
+          {tag}
+        </Badge>
+      ))}
+    </HStack>
+  );
+};
 
 export default function Transactions() {
   const { user } = useAuth();
   const colors = useDarkModeColors();
+  const { baseCurrency, toBase, formatCurrency } = useCurrency();
+  const { preferences, formatDate } = usePreferences();
+  const { t } = useI18n();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Filters start from the URL, so reloads and links (Reports, Budget, saved views) keep them
+  const [initialFilters] = useState(() => readFilters(searchParams));
+  // Loaded pages of the filtered list, newest first; more load as you scroll
   const [transactions, setTransactions] = useState([]);
-  const [filteredTransactions, setFilteredTransactions] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true); // First load only; later reloads keep the page up
+  const [listLoading, setListLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [totals, setTotals] = useState({ count: 0, income: 0, expenses: 0 }); // Whole filtered set
+  const [activeCount, setActiveCount] = useState(0);
+  const [filterOptions, setFilterOptions] = useState({ banks: [], tags: [] });
+  const listRequestRef = useRef(0);
   const [error, setError] = useState('');
-  const [searchQuery, setSearchQuery] = useState('');
-  const [selectedPeriod, setSelectedPeriod] = useState('current');
+  // A search expression (see lib/searchQuery.js)
+  const [searchQuery, setSearchQuery] = useState(initialFilters.searchQuery);
+  const [selectedPeriod, setSelectedPeriod] = useState(initialFilters.selectedPeriod);
 
   // Custom filter states
   const [showCustomFilters, setShowCustomFilters] = useState(false);
-  const [startDate, setStartDate] = useState(() => {
-    const now = new Date();
-    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-01`;
-  });
-  const [endDate, setEndDate] = useState(() => {
-    const now = new Date();
-    const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
-    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(lastDay).padStart(2, '0')}`;
-  });
-  const [minAmount, setMinAmount] = useState('');
-  const [maxAmount, setMaxAmount] = useState('');
-  const [filterDescription, setFilterDescription] = useState('');
-  const [filterBank, setFilterBank] = useState('');
-  const [filterType, setFilterType] = useState(''); // '' | 'income' | 'expense'
-  const [customFiltersApplied, setCustomFiltersApplied] = useState(false);
+  const [startDate, setStartDate] = useState(initialFilters.startDate);
+  const [endDate, setEndDate] = useState(initialFilters.endDate);
+  const [minAmount, setMinAmount] = useState(initialFilters.minAmount);
+  const [maxAmount, setMaxAmount] = useState(initialFilters.maxAmount);
+  const [filterDescription, setFilterDescription] = useState(initialFilters.filterDescription);
+  const [filterBank, setFilterBank] = useState(initialFilters.filterBank);
+  const [filterType, setFilterType] = useState(initialFilters.filterType); // '' | 'income' | 'expense'
+  const [filterAccount, setFilterAccount] = useState(initialFilters.filterAccount); // '' = all accounts
+  const [filterTag, setFilterTag] = useState(initialFilters.filterTag); // '' = any or no tags
+  const [accounts, setAccounts] = useState([]);
+  const [customFiltersApplied, setCustomFiltersApplied] = useState(initialFilters.selectedPeriod === 'custom');
 
   // Delete all dialog state
   const [showDeleteAllDialog, setShowDeleteAllDialog] = useState(false);
@@ -76,6 +187,9 @@ export default function Transactions() {
   const [editingTransactionId, setEditingTransactionId] = useState(null);
   const [updatingCategory, setUpdatingCategory] = useState(false);
 
+  // Model behind the suggestion chips on uncategorized rows
+  const [suggestionModel, setSuggestionModel] = useState(null);
+
   // Category change confirmation dialog state
   const [pendingCategoryChange, setPendingCategoryChange] = useState(null);
 
@@ -83,6 +197,23 @@ export default function Transactions() {
   const [editingAmountId, setEditingAmountId] = useState(null);
   const [editingAmountValue, setEditingAmountValue] = useState('');
 
+  // Split editor
+  const [splittingTransaction, setSplittingTransaction] = useState(null);
+
+  // Multi-select: ticked row ids, and the last ticked row as the anchor for shift-click ranges
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const selectionAnchorRef = useRef(null);
+  const [bulkBusy, setBulkBusy] = useState(false);
+
+  // Bulk tagging: { rows, scope } while the tag dialog is open
+  const [tagTargets, setTagTargets] = useState(null);
+  const [applyingTags, setApplyingTags] = useState(false);
+
+  // Result of the last bulk edit, with the batch that undoes it
+  const [notice, setNotice] = useState('');
+  const [lastBatch, setLastBatch] = useState(null);
+  const [undoing, setUndoing] = useState(false);
+
   // Custom dropdown state
   const [periodDropdownOpen, setPeriodDropdownOpen] = useState(false);
   const [categoryEditDropdownOpen, setCategoryEditDropdownOpen] = useState(false);
@@ -92,9 +223,14 @@ export default function Transactions() {
 
   useEffect(() => {
     if (user) {
-      loadTransactions();
       loadTrashTransactions(); // Load trash count on mount
       loadCategories();
+      loadAccounts(supabase, user.id, { includeArchived: true })
+        .then(setAccounts)
+        .catch(err => console.error('Error loading accounts:', err));
+      loadSuggestionModel(supabase, user.id)
+        .then(setSuggestionModel)
+        .catch(err => console.error('Error training category suggestions:', err));
     }
   }, [user]);
 
@@ -139,7 +275,7 @@ export default function Transactions() {
       transactionDescription: transaction.description,
       transactionType: transaction.type,
       newCategoryId,
-      newCategoryName: newCategory?.name || 'Unknown',
+      newCategoryName: newCategory?.name || t('common.unknown'),
     });
     setCategoryEditDropdownOpen(false);
   };
@@ -150,6 +286,11 @@ export default function Transactions() {
     setUpdatingCategory(true);
     setPendingCategoryChange(null);
     try {
+      // Picking a single category puts the whole amount back into it
+      if (transactions.find(t => t.id === transactionId)?.splits?.length) {
+        await clearSplits(supabase, user.id, transactionId);
+      }
+
       const { error } = await supabase
         .from('transactions')
         .update({ category_id: newCategoryId })
@@ -173,46 +314,224 @@ export default function Transactions() {
 
       // Update local state
       setTransactions(prev => prev.map(t =>
-        t.id === transactionId ? { ...t, category: newCategoryName, category_id: newCategoryId } : t
+        t.id === transactionId ? { ...t, category: newCategoryName, category_id: newCategoryId, splits: [] } : t
       ));
       setEditingTransactionId(null);
     } catch (err) {
       console.error('Error updating category:', err);
-      setError('Failed to update category');
+      setError(t('transactions.updateCategoryFailed'));
     } finally {
       setUpdatingCategory(false);
     }
   };
 
+  // The two halves of a transfer are always edited, deleted and restored together,
+  // so a query or state update aimed at one row also covers its pair.
+  const scopeToRow = (query, transaction) => (
+    transaction.transfer_id
+      ? query.eq('transfer_id', transaction.transfer_id)
+      : query.eq('id', transaction.id)
+  );
+  const isSameRow = (t, transaction) => (
+    t.id === transaction.id || (!!transaction.transfer_id && t.transfer_id === transaction.transfer_id)
+  );
+  // A reconciled row changed after confirming is back to cleared (updateRow)
+  const unlocked = (t) => (t.clearedStatus === 'reconciled' ? { clearedStatus: 'cleared' } : {});
+  // Write a change to a row and its transfer pair. Once the user has confirmed changing
+  // reconciled rows (unlock), those take the change and go back to cleared in one write, so
+  // a failed request never leaves a row off its statement without the change.
+  const updateRow = async (values, transaction, unlock) => {
+    if (unlock) {
+      const { error } = await scopeToRow(
+        supabase.from('transactions').update({ ...values, cleared_status: 'cleared' }),
+        transaction
+      ).eq('user_id', user.id).eq('cleared_status', 'reconciled');
+      if (error) throw error;
+    }
+    const { error } = await scopeToRow(
+      supabase.from('transactions').update(values),
+      transaction
+    ).eq('user_id', user.id);
+    if (error) throw error;
+  };
+
   const updateTransactionAmount = async (transactionId, newAmount) => {
     const parsed = parseFloat(newAmount);
     if (isNaN(parsed) || parsed <= 0) {
       setEditingAmountId(null);
       return;
     }
+    const transaction = transactions.find(t => t.id === transactionId);
+    if (transaction?.splits?.length && parsed !== Number(transaction.amount)) {
+      setError(t('transactions.splitAmountLocked'));
+      setEditingAmountId(null);
+      return;
+    }
+    const warning = parsed !== Number(transaction?.amount) && reconciledEditWarning([transaction]);
+    if (warning && !window.confirm(warning)) {
+      setEditingAmountId(null);
+      return;
+    }
+    // A transfer between currencies has its own amount on each side, so only this half changes
+    const peer = transaction?.transfer_id && accounts.find(a => a.id === transaction.transfer_account_id);
+    const target = !transaction || (peer && peer.currency !== transaction.currency)
+      ? { id: transactionId }
+      : transaction;
     try {
-      const { error } = await supabase
-        .from('transactions')
-        .update({ amount: parsed })
-        .eq('id', transactionId)
-        .eq('user_id', user.id);
-
-      if (error) throw error;
+      await updateRow({ amount: parsed }, target, !!warning);
 
       setTransactions(prev => prev.map(t =>
-        t.id === transactionId ? { ...t, amount: parsed } : t
+        isSameRow(t, target) ? { ...t, amount: parsed, ...(warning && unlocked(t)) } : t
       ));
       setEditingAmountId(null);
+      refreshTotals();
     } catch (err) {
       console.error('Error updating amount:', err);
-      setError('Failed to update amount');
+      setError(t('transactions.updateAmountFailed'));
       setEditingAmountId(null);
     }
   };
 
+  // Cleared is per row: each half of a transfer shows on its own account's statement
+  const toggleCleared = async (transaction) => {
+    const cleared = transaction.clearedStatus !== 'cleared';
+    const status = cleared ? 'cleared' : 'uncleared';
+    setTransactions(prev => prev.map(t => (t.id === transaction.id ? { ...t, clearedStatus: status } : t)));
+    try {
+      await setCleared(supabase, user.id, [transaction.id], cleared);
+    } catch (err) {
+      setTransactions(prev => prev.map(t => (t.id === transaction.id ? { ...t, clearedStatus: transaction.clearedStatus } : t)));
+      setError(t('transactions.clearedFailed', { error: err.message }));
+    }
+  };
+
+  // Split transactions open the split editor; everything else gets the inline category picker
+  const startCategoryEdit = (transaction) => {
+    if (transaction.type === 'transfer') return;
+    if (transaction.splits?.length) {
+      setSplittingTransaction(transaction);
+    } else {
+      setEditingTransactionId(transaction.id);
+    }
+  };
+
+  const openSplitEditor = (transaction) => {
+    setEditingTransactionId(null);
+    setCategoryEditDropdownOpen(false);
+    setSplittingTransaction(transaction);
+  };
+
+  const handleSaveSplit = async (lines) => {
+    const transaction = splittingTransaction;
+    await saveSplits(supabase, user.id, transaction, lines, (n) => formatCurrency(n, transaction.currency));
+
+    const categoryName = (id) => categories.find(c => c.id === id)?.name || t('common.unknown');
+    const splits = lines.map(l => ({
+      category_id: l.category_id,
+      amount: Number(l.amount),
+      categories: { name: categoryName(l.category_id) },
+    }));
+    const largest = splits.reduce((max, l) => (l.amount > max.amount ? l : max));
+
+    setTransactions(prev => prev.map(t =>
+      t.id === transaction.id
+        ? { ...t, splits, category_id: largest.category_id, category: largest.categories.name }
+        : t
+    ));
+    setSplittingTransaction(null);
+  };
+
+  const handleUnsplit = async () => {
+    const transaction = splittingTransaction;
+    await clearSplits(supabase, user.id, transaction.id);
+    setTransactions(prev => prev.map(t => (t.id === transaction.id ? { ...t, splits: [] } : t)));
+    setSplittingTransaction(null);
+  };
+
+  const parsedQuery = useMemo(() => parseQuery(searchQuery), [searchQuery]);
+
+  // The filters as a query string (see lib/transactionViews.js), kept in the URL
+  const filterSearch = writeFilters({
+    searchQuery, selectedPeriod, startDate, endDate, minAmount, maxAmount,
+    filterDescription, filterBank, filterType, filterAccount, filterTag,
+  });
+  const writtenSearchRef = useRef(filterSearch);
+
+  // Following a link or a saved view, or going back, changes the URL: show its filters.
+  // Declared before the write below so the URL just written is not read back as a new one.
+  useEffect(() => {
+    const urlSearch = writeFilters(readFilters(searchParams));
+    if (urlSearch === filterSearch || urlSearch === writtenSearchRef.current) return;
+    const next = readFilters(searchParams);
+    writtenSearchRef.current = urlSearch;
+    setSearchQuery(next.searchQuery);
+    setSelectedPeriod(next.selectedPeriod);
+    setStartDate(next.startDate);
+    setEndDate(next.endDate);
+    setMinAmount(next.minAmount);
+    setMaxAmount(next.maxAmount);
+    setFilterDescription(next.filterDescription);
+    setFilterBank(next.filterBank);
+    setFilterType(next.filterType);
+    setFilterAccount(next.filterAccount);
+    setFilterTag(next.filterTag);
+    setCustomFiltersApplied(next.selectedPeriod === 'custom');
+  }, [searchParams]);
+
+  // Changing a filter rewrites the URL in place, without adding history entries
+  useEffect(() => {
+    if (filterSearch === writtenSearchRef.current) return;
+    writtenSearchRef.current = filterSearch;
+    setSearchParams(filterSearch, { replace: true });
+  }, [filterSearch]);
+
+  // Filters go to the database; a short pause lets typing finish before the list reloads
+  const filters = useMemo(() => {
+    const base = {
+      search: [],
+      type: filterType,
+      accountId: filterAccount,
+      tag: filterTag,
+    };
+
+    // Income/expense, account and tag live on the main toolbar, not in the custom-filter
+    // panel, so they apply on top of whatever period is selected instead of switching
+    // the view into custom-filter mode.
+    const hasCustomFilterValues = filterDescription.trim() || startDate || endDate || minAmount !== '' || maxAmount !== '' || filterBank !== '';
+    let panel = base;
+    if (customFiltersApplied || hasCustomFilterValues) {
+      panel = {
+        ...base,
+        search: [filterDescription],
+        startDate,
+        endDate,
+        minAmount,
+        maxAmount,
+        bank: filterBank,
+      };
+    } else if (selectedPeriod === 'current' || selectedPeriod === 'last-month') {
+      panel = { ...base, ...periodRange(selectedPeriod) };
+    }
+
+    // The search expression narrows whatever the period and panel already select
+    return queryToFilters(parsedQuery, { categories, accounts, tags: filterOptions.tags }, panel);
+  }, [parsedQuery, selectedPeriod, customFiltersApplied, startDate, endDate, minAmount, maxAmount, filterDescription, filterBank, filterType, filterAccount, filterTag, categories, accounts, filterOptions.tags]);
+
+  // Category names only matter to a search
+  const searching = filters.search.some(term => term.trim());
+  const filtersKey = JSON.stringify(filters) + (searching ? `:${categories.length}` : '');
+
+  useEffect(() => {
+    if (!user) return;
+    const timer = setTimeout(() => loadTransactions(), 300);
+    return () => clearTimeout(timer);
+  }, [user, filtersKey]);
+
+  // A selection belongs to one list
   useEffect(() => {
-    filterTransactions();
-  }, [transactions, searchQuery, selectedPeriod, customFiltersApplied, startDate, endDate, minAmount, maxAmount, filterDescription, filterBank, filterType]);
+    setSelectedIds(new Set());
+    selectionAnchorRef.current = null;
+  }, [viewMode]);
 
   // Refresh trash when switching to trash view (in case items were restored/deleted elsewhere)
   useEffect(() => {
@@ -221,66 +540,123 @@ export default function Transactions() {
     }
   }, [viewMode, user]);
 
+  // Shape database rows for the list. A transfer's other half may sit on another page, so
+  // the account on the other side comes from a lookup by transfer_id.
+  const toListRows = async (data) => {
+    const transferIds = [...new Set(data.filter(t => t.transfer_id).map(t => t.transfer_id))];
+    const halves = await loadTransferHalves(supabase, user.id, transferIds);
+
+    return data.map((row) => ({
+      id: row.id,
+      description: row.description,
+      date: row.date,
+      amount: row.amount,
+      currency: row.currency,
+      originalAmount: row.original_amount,
+      originalCurrency: row.original_currency,
+      type: row.type,
+      category: row.type === 'transfer' ? t('common.transfer') : (row.categories?.name || null),
+      category_id: row.category_id,
+      bank: row.provider || null,
+      account_id: row.account_id,
+      transfer_id: row.transfer_id,
+      transfer_direction: row.transfer_direction,
+      transfer_account_id: row.transfer_id
+        ? halves.find(h => h.transfer_id === row.transfer_id && h.id !== row.id)?.account_id
+        : null,
+      accountBalance: row.balance, // Account's running balance, kept by the ledger triggers
+      clearedStatus: row.cleared_status || 'uncleared',
+      splits: row.transaction_splits || [],
+      tags: row.tags || [],
+      created_at: row.created_at,
+    }));
+  };
+
+  // All active transactions, whatever the filters — for the Active tab and Remove All
+  const countActiveTransactions = async () => {
+    const { count, error: countError } = await supabase
+      .from('transactions')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', user.id)
+      .is('deleted_at', null);
+    if (countError) throw countError;
+    return count || 0;
+  };
+
+  // Reload the list from its first page, with totals, the active count and filter options.
+  // Responses to superseded requests (filters changed meanwhile) are dropped.
   const loadTransactions = async () => {
-    setLoading(true);
+    const request = ++listRequestRef.current;
+    setListLoading(true);
     setError('');
     try {
-      const { data, error: txError } = await supabase
-        .from('transactions')
-        .select(`
-          id,
-          description,
-          date,
-          amount,
-          type,
-          provider,
-          category_id,
-          created_at,
-          categories (name)
-        `)
-        .eq('user_id', user.id)
-        .is('deleted_at', null)  // Only load active (non-deleted) transactions
-        .order('date', { ascending: false })
-        .order('created_at', { ascending: false });
-
-      if (txError) throw txError;
+      const [page, filteredTotals, active, options] = await Promise.all([
+        loadTransactionPage(supabase, user.id, filters, { categories }),
+        loadTransactionTotals(supabase, filters),
+        countActiveTransactions(),
+        loadFilterOptions(supabase),
+      ]);
+
+      const rows = await toListRows(page.rows);
+      if (request !== listRequestRef.current) return;
+
+      setTransactions(rows);
+      setNextCursor(page.nextCursor);
+      setTotals(filteredTotals);
+      setActiveCount(active);
+      setFilterOptions(options);
+    } catch (err) {
+      if (request !== listRequestRef.current) return;
+      setError(err.message);
+      console.error('Error loading transactions:', err);
+    } finally {
+      if (request === listRequestRef.current) {
+        setListLoading(false);
+        setLoading(false);
+      }
+    }
+  };
 
-      // Sort chronologically (oldest first) for balance calculation
-      const sortedData = [...(data || [])].sort((a, b) => {
-        const dateCompare = new Date(a.date) - new Date(b.date);
-        if (dateCompare !== 0) return dateCompare;
-        // Secondary sort by created_at for same-day transactions
-        return new Date(a.created_at) - new Date(b.created_at);
-      });
+  const loadMoreTransactions = async () => {
+    if (!nextCursor || loadingMore || listLoading) return;
+    const request = listRequestRef.current;
+    setLoadingMore(true);
+    try {
+      const page = await loadTransactionPage(supabase, user.id, filters, { categories, cursor: nextCursor });
+      const rows = await toListRows(page.rows);
+      if (request !== listRequestRef.current) return;
 
-      // Calculate cumulative spending (expenses only, not affected by income)
-      let runningSpend = 0;
-      const balanceMap = new Map();
-      sortedData.forEach((t) => {
-        if (t.type === 'expense') {
-          runningSpend += t.amount;
-        }
-        balanceMap.set(t.id, -runningSpend); // Show as negative for expenses
+      setTransactions(prev => {
+        const seen = new Set(prev.map(t => t.id));
+        return [...prev, ...rows.filter(t => !seen.has(t.id))];
       });
-
-      const transformedTransactions = (data || []).map((t) => ({
-        id: t.id,
-        description: t.description,
-        date: t.date,
-        amount: t.amount,
-        type: t.type,
-        category: t.categories?.name || 'Unknown',
-        category_id: t.category_id,
-        bank: t.provider || null,
-        balance: balanceMap.get(t.id),
-      }));
-
-      setTransactions(transformedTransactions);
+      setNextCursor(page.nextCursor);
     } catch (err) {
       setError(err.message);
-      console.error('Error loading transactions:', err);
+      console.error('Error loading more transactions:', err);
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+
+  // Totals drift once rows are edited in place; refresh them without reloading the list
+  const refreshTotals = async () => {
+    // Any change moves the account's running balance on every later row, so reload them
+    if (filterAccount) {
+      loadTransactions();
+      return;
+    }
+    try {
+      const [filteredTotals, active, options] = await Promise.all([
+        loadTransactionTotals(supabase, filters),
+        countActiveTransactions(),
+        loadFilterOptions(supabase),
+      ]);
+      setTotals(filteredTotals);
+      setActiveCount(active);
+      setFilterOptions(options);
+    } catch (err) {
+      console.error('Error refreshing totals:', err);
     }
   };
 
@@ -300,7 +676,12 @@ export default function Transactions() {
           category_id,
           created_at,
           deleted_at,
-          categories (name)
+          account_id,
+          transfer_id,
+          transfer_direction,
+          tags,
+          categories (name),
+          ${SPLITS_SELECT}
         `)
         .eq('user_id', user.id)
         .not('deleted_at', 'is', null)  // Only deleted items
@@ -308,15 +689,21 @@ export default function Transactions() {
 
       if (txError) throw txError;
 
-      const transformedTransactions = (data || []).map((t) => ({
-        id: t.id,
-        description: t.description,
-        date: t.date,
-        amount: t.amount,
-        type: t.type,
-        category: t.categories?.name || 'Unknown',
-        bank: t.provider || null,
-        deletedAt: t.deleted_at,
+      const transformedTransactions = (data || []).map((row) => ({
+        id: row.id,
+        description: row.description,
+        date: row.date,
+        amount: row.amount,
+        type: row.type,
+        category: row.type === 'transfer' ? t('common.transfer') : (row.categories?.name || null),
+        category_id: row.category_id,
+        bank: row.provider || null,
+        account_id: row.account_id,
+        transfer_id: row.transfer_id,
+        transfer_direction: row.transfer_direction,
+        splits: row.transaction_splits || [],
+        tags: row.tags || [],
+        deletedAt: row.deleted_at,
       }));
 
       setTrashedTransactions(transformedTransactions);
@@ -328,145 +715,291 @@ export default function Transactions() {
     }
   };
 
-  const filterTransactions = () => {
-    let filtered = [...transactions];
+  const accountCurrency = accounts.find(a => a.id === filterAccount)?.currency || baseCurrency;
+
+  // Balance column: with one account selected, that account's real running balance (in its
+  // currency, whatever the rows' own); otherwise the cumulative spend of the filtered set up to each row, in the
+  // base currency. The set's total spend comes from the server, so rows only need the
+  // spending (expenses less refunds) loaded above them.
+  const filteredTransactions = useMemo(() => {
+    let spendAbove = 0;
+    return transactions.map((t) => {
+      const balance = filterAccount ? Number(t.accountBalance ?? 0) : -(totals.expenses - spendAbove);
+      if (SPENDING_TYPES.includes(t.type)) spendAbove += toBase(spendingAmount(t), t.currency, t.date);
+      return { ...t, balance, balanceCurrency: filterAccount ? accountCurrency : baseCurrency };
+    });
+  }, [transactions, totals.expenses, filterAccount, accountCurrency, toBase, baseCurrency]);
+
+  const plural = (n) => t('transactions.count', { count: n });
+
+  // Put a batch's new (or, on undo, old) values into the page's lists without reloading.
+  // Rows whose deleted_at changes move between the active list and the trash.
+  const applyBatchLocally = (changes, side) => {
+    const patches = new Map(changes.map(c => [c.id, c[side]]));
+    const patchRow = (t) => {
+      const patch = patches.get(t.id);
+      if (!patch) return t;
+      const { deleted_at, cleared_status, ...fields } = patch;
+      const next = { ...t, ...fields };
+      if (cleared_status !== undefined) next.clearedStatus = cleared_status;
+      if ('category_id' in fields) {
+        next.category = categories.find(c => c.id === fields.category_id)?.name || null;
+      }
+      if (deleted_at !== undefined) next.deletedAt = deleted_at || undefined;
+      return next;
+    };
 
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase();
-      filtered = filtered.filter(t =>
-        t.description.toLowerCase().includes(query) ||
-        t.category.toLowerCase().includes(query)
-      );
+    const rows = [...transactions, ...trashedTransactions].map(patchRow);
+    const listOrder = (a, b) => b.date.localeCompare(a.date) || (b.created_at || '').localeCompare(a.created_at || '');
+    setTransactions(rows.filter(t => !t.deletedAt).sort(listOrder));
+    setTrashedTransactions(rows.filter(t => t.deletedAt).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)));
+  };
+
+  const recordBatch = async (batch, message) => {
+    const stored = await applyChangeBatch(supabase, user.id, batch);
+    applyBatchLocally(batch.changes, 'after');
+    setLastBatch({ ...stored, changes: batch.changes });
+    setNotice(message);
+    refreshTotals();
+  };
+
+  // Add or remove tags on the rows the dialog was opened for, as one undoable batch
+  const handleBulkTag = async (edit) => {
+    const changes = tagChanges(tagTargets.rows, edit);
+    if (changes.length === 0) {
+      setTagTargets(null);
+      setLastBatch(null);
+      setNotice(t(edit.add ? 'transactions.tagsUnchangedHave' : 'transactions.tagsUnchangedLack', {
+        scope: t(tagTargets.scope === 'selected' ? 'transactions.scopeSelected' : 'transactions.scopeShown'),
+      }));
+      return;
     }
 
-    // Check if any custom filter field has a value
-    // Income/expense lives on the main toolbar, not in the custom-filter panel,
-    // so it applies on top of whatever period is selected instead of switching
-    // the view into custom-filter mode.
-    if (filterType) {
-      filtered = filtered.filter(t => t.type === filterType);
+    setApplyingTags(true);
+    setError('');
+    try {
+      const tagList = (edit.add || edit.remove).join(', ');
+      await recordBatch(
+        {
+          source: 'tags',
+          label: t(edit.add ? 'transactions.taggedLabel' : 'transactions.untaggedLabel', { transactions: plural(changes.length), tags: tagList }),
+          changes,
+        },
+        t(edit.add ? 'transactions.tagged' : 'transactions.untagged', { transactions: plural(changes.length) })
+      );
+      setTagTargets(null);
+    } catch (err) {
+      setError(t('transactions.tagsFailed', { error: err.message }));
+    } finally {
+      setApplyingTags(false);
     }
+  };
 
-    const hasCustomFilterValues = filterDescription.trim() || startDate || endDate || minAmount !== '' || maxAmount !== '' || filterBank !== '';
+  // Tag everything matching the filters, loaded or not
+  const openTagAllMatching = async () => {
+    setBulkBusy(true);
+    setError('');
+    try {
+      const rows = await loadAllMatching(supabase, user.id, filters, { categories, select: 'id, tags, date, created_at' });
+      setTagTargets({ rows, scope: 'shown' });
+    } catch (err) {
+      setError(t('transactions.loadFailed', { error: err.message }));
+    } finally {
+      setBulkBusy(false);
+    }
+  };
 
-    // Apply custom filters if explicitly applied OR if any filter field has a value
-    if (customFiltersApplied || hasCustomFilterValues) {
-      // Description filter (searches description and category)
-      if (filterDescription.trim()) {
-        const descQuery = filterDescription.toLowerCase();
-        filtered = filtered.filter(t =>
-          t.description.toLowerCase().includes(descQuery) ||
-          t.category.toLowerCase().includes(descQuery)
-        );
-      }
-      // Date range filter
-      if (startDate) {
-        filtered = filtered.filter(t => t.date >= startDate);
-      }
-      if (endDate) {
-        filtered = filtered.filter(t => t.date <= endDate);
-      }
-      // Amount range filter
-      if (minAmount !== '') {
-        const min = parseFloat(minAmount);
-        if (!isNaN(min)) {
-          filtered = filtered.filter(t => t.amount >= min);
-        }
-      }
-      if (maxAmount !== '') {
-        const max = parseFloat(maxAmount);
-        if (!isNaN(max)) {
-          filtered = filtered.filter(t => t.amount <= max);
-        }
-      }
-      // Bank filter
-      if (filterBank) {
-        filtered = filtered.filter(t => t.bank === filterBank);
-      }
-    } else if (selectedPeriod === 'current') {
-      const now = new Date();
-      const currentMonth = now.getMonth() + 1; // 1-indexed
-      const currentYear = now.getFullYear();
-      filtered = filtered.filter(t => {
-        // Parse YYYY-MM-DD directly to avoid timezone issues
-        const [year, month] = t.date.split('-').map(Number);
-        return month === currentMonth && year === currentYear;
-      });
-    } else if (selectedPeriod === 'last-month') {
-      const now = new Date();
-      let lastMonth = now.getMonth(); // Current month is 0-indexed, so this gives us last month 1-indexed
-      let lastYear = now.getFullYear();
-      if (lastMonth === 0) {
-        lastMonth = 12;
-        lastYear -= 1;
-      }
-      filtered = filtered.filter(t => {
-        // Parse YYYY-MM-DD directly to avoid timezone issues
-        const [year, month] = t.date.split('-').map(Number);
-        return month === lastMonth && year === lastYear;
-      });
+  // "Select all" in the active view covers every matching row, so load the pages not yet shown
+  const selectAllMatching = async () => {
+    if (!nextCursor) {
+      setSelectedIds(new Set(filteredTransactions.map(t => t.id)));
+      return;
     }
+    const request = listRequestRef.current;
+    setBulkBusy(true);
+    setError('');
+    try {
+      const rows = await toListRows(await loadAllMatching(supabase, user.id, filters, { categories }));
+      if (request !== listRequestRef.current) return;
+      setTransactions(rows);
+      setNextCursor(null);
+      setSelectedIds(new Set(rows.map(t => t.id)));
+    } catch (err) {
+      setError(t('transactions.loadFailed', { error: err.message }));
+    } finally {
+      setBulkBusy(false);
+    }
+  };
 
-    // Calculate cumulative spending (expenses only, not affected by income)
-    const oldestFirst = [...filtered].reverse();
-    let runningSpend = 0;
-    const balanceMap = new Map();
-    oldestFirst.forEach((t) => {
-      if (t.type === 'expense') {
-        runningSpend += t.amount;
+  // Tick a row; with shift held, tick (or untick) everything between it and the last one ticked
+  const toggleSelected = (transaction, rows, shiftKey) => {
+    const index = rows.findIndex(t => t.id === transaction.id);
+    const anchor = rows.findIndex(t => t.id === selectionAnchorRef.current);
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (shiftKey && anchor !== -1) {
+        const select = !prev.has(transaction.id);
+        rows.slice(Math.min(anchor, index), Math.max(anchor, index) + 1)
+          .forEach(t => (select ? next.add(t.id) : next.delete(t.id)));
+      } else if (next.has(transaction.id)) {
+        next.delete(transaction.id);
+      } else {
+        next.add(transaction.id);
       }
-      balanceMap.set(t.id, -runningSpend); // Show as negative for expenses
+      return next;
     });
+    selectionAnchorRef.current = transaction.id;
+  };
 
-    const filteredWithBalance = filtered.map(t => ({
-      ...t,
-      balance: balanceMap.get(t.id),
-    }));
+  const toggleSelectAll = (rows) => {
+    const allSelected = rows.length > 0 && rows.every(t => selectedIds.has(t.id));
+    setSelectedIds(allSelected ? new Set() : new Set(rows.map(t => t.id)));
+  };
+
+  const handleBulkAction = async (action, value) => {
+    const rows = (action === 'restore' ? trashedTransactions : filteredTransactions).filter(t => selectedIds.has(t.id));
+    setError('');
+
+    let plan;
+    try {
+      // A selected transfer's other half may be on a page that isn't loaded, so look the
+      // pairs up rather than relying on the list
+      const transferIds = [...new Set(rows.filter(t => t.transfer_id).map(t => t.transfer_id))];
+      const halves = (await loadTransferHalves(supabase, user.id, transferIds))
+        .filter(h => (action === 'restore' ? h.deleted_at : !h.deleted_at))
+        .map(h => ({ ...h, deletedAt: h.deleted_at }));
+      plan = bulkChanges(rows, action, value, { allRows: halves, categories });
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    const skipped = plan.skipped ? t('transactions.skipped', { count: plan.skipped }) : '';
+    if (plan.changes.length === 0) {
+      setLastBatch(null);
+      setNotice(t('transactions.nothingToChange', { skipped }));
+      return;
+    }
+
+    // Re-dating, moving or trashing reconciled rows takes the account off its statement
+    if (['date', 'account', 'delete'].includes(action)) {
+      const warning = reconciledEditWarning(rows);
+      if (warning && !window.confirm(warning)) return;
+    }
+
+    const targetName = action === 'category'
+      ? categories.find(c => c.id === value)?.name
+      : action === 'date'
+        ? formatDate(value)
+        : action === 'account'
+          ? accounts.find(a => a.id === value)?.name
+          : null;
+    const target = targetName ? t('transactions.toTarget', { target: targetName }) : '';
+    const summary = t('transactions.bulkSummary', { verb: t(BULK_VERBS[action]), transactions: plural(plan.changes.length), target });
+
+    setBulkBusy(true);
+    try {
+      await recordBatch({ source: `bulk-${action}`, label: summary, changes: plan.changes }, `${summary}.${skipped}`);
+      setSelectedIds(new Set());
+    } catch (err) {
+      setError(t('transactions.bulkFailed', { error: err.message }));
+      console.error('Bulk edit error:', err);
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const handleUndoLastBatch = async () => {
+    if (!lastBatch) return;
+    setUndoing(true);
+    setError('');
+    try {
+      const restored = await revertChangeBatch(supabase, user.id, lastBatch);
+      applyBatchLocally(lastBatch.changes, 'before');
+      refreshTotals();
+      setNotice(t('transactions.undone', { transactions: plural(restored) }));
+      setLastBatch(null);
+    } catch (err) {
+      setError(t('transactions.undoFailed', { error: err.message }));
+    } finally {
+      setUndoing(false);
+    }
+  };
 
-    setFilteredTransactions(filteredWithBalance);
+  // Each row shows its own currency; only totals are converted
+  const formatAmount = (transaction) => {
+    const formatted = formatCurrency(Math.abs(transaction.amount), transaction.currency || baseCurrency);
+    return balanceDelta(transaction) < 0 ? `-${formatted}` : `+${formatted}`;
   };
 
-  const formatDate = (dateString) => {
-    // Parse YYYY-MM-DD without timezone conversion issues
-    const [year, month, day] = dateString.split('-').map(Number);
-    const date = new Date(year, month - 1, day); // month is 0-indexed
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  // What the row was first recorded as, when it has been edited or converted since
+  const originalLabel = (transaction) => {
+    const { originalAmount, originalCurrency } = transaction;
+    if (originalAmount == null) return null;
+    if (originalCurrency === transaction.currency && Number(originalAmount) === Number(transaction.amount)) return null;
+    return t('transactions.originally', { amount: formatCurrency(originalAmount, originalCurrency) });
   };
 
-  const formatAmount = (amount, type) => {
-    const formatted = Math.abs(amount).toFixed(2);
-    return type === 'expense' ? `-$${formatted}` : `+$${formatted}`;
+  // Transfers are neither income nor expense, so they get a neutral colour; refunds are money back
+  const amountColor = (transaction) => {
+    if (transaction.type === 'transfer') return 'blue.500';
+    return transaction.type === 'expense' ? 'red.600' : 'green.600';
   };
 
-  const formatBalance = (balance) => {
-    const formatted = Math.abs(balance).toFixed(2);
-    return balance < 0 ? `-$${formatted}` : `$${formatted}`;
+  // "Transfer to Savings" / "Transfer from Chequing" in place of a category, and a summary for splits
+  // When the daily purge deletes a trashed row for good, if a retention is set (Settings)
+  const purgeLabel = (transaction) => {
+    const days = daysUntilPurge(transaction.deletedAt, preferences.trashRetentionDays);
+    if (days === null) return null;
+    return days === 0 ? t('transactions.expiresToday') : t('transactions.expiresIn', { count: days });
+  };
+
+  const categoryLabel = (transaction) => {
+    if (transaction.splits?.length) return t('transactions.splitSummary', { count: transaction.splits.length });
+    if (transaction.type === 'refund') return t('transactions.refundLabel', { category: transaction.category || t('common.unknown') });
+    if (transaction.type !== 'transfer') return transaction.category || t('common.unknown');
+    const peer = accounts.find(a => a.id === transaction.transfer_account_id);
+    if (!peer) return t('common.transfer');
+    return t(transaction.transfer_direction === 'out' ? 'transactions.transferTo' : 'transactions.transferFrom', { name: peer.name });
+  };
+
+  // Suggestions only for rows still waiting on a real category
+  const suggestionsFor = (transaction) => {
+    if (!suggestionModel || transaction.type === 'transfer' || transaction.splits?.length) return [];
+    const uncategorized = !transaction.category_id
+      || (transaction.type === 'expense' && transaction.category === FALLBACK_CATEGORY);
+    return uncategorized ? suggestCategories(suggestionModel, transaction) : [];
+  };
+
+  const formatBalance = (balance, currency) => {
+    const formatted = formatCurrency(Math.abs(balance), currency);
+    return balance < 0 ? `-${formatted}` : formatted;
   };
 
   // Soft delete - moves to trash instead of permanent deletion
   const handleDeleteTransaction = async (transactionId) => {
-    try {
-      const { error: deleteError } = await supabase
-        .from('transactions')
-        .update({ deleted_at: new Date().toISOString() })
-        .eq('id', transactionId)
-        .eq('user_id', user.id);
+    // Find the deleted transaction (and its transfer pair) before removing it from active list
+    const target = transactions.find(t => t.id === transactionId) || { id: transactionId };
+    const warning = reconciledEditWarning(transactions.filter(t => isSameRow(t, target)));
+    if (warning && !window.confirm(warning)) return;
 
-      if (deleteError) throw deleteError;
+    try {
+      await updateRow({ deleted_at: new Date().toISOString() }, target, !!warning);
 
-      // Find the deleted transaction before removing it from active list
-      const deletedTransaction = transactions.find(t => t.id === transactionId);
-      setTransactions(prev => prev.filter(t => t.id !== transactionId));
+      const deletedTransactions = transactions.filter(t => isSameRow(t, target));
+      setTransactions(prev => prev.filter(t => !isSameRow(t, target)));
 
-      // Add the full transaction object to trash (not just the id)
-      if (deletedTransaction) {
-        setTrashedTransactions(prev => [...prev, {
-          ...deletedTransaction,
+      // Add the full transaction objects to trash (not just the ids)
+      if (deletedTransactions.length) {
+        setTrashedTransactions(prev => [...prev, ...deletedTransactions.map(t => ({
+          ...t,
+          ...unlocked(t),
           deletedAt: new Date().toISOString(),
-        }]);
+        }))]);
       }
+      refreshTotals();
     } catch (err) {
-      setError('Failed to delete transaction: ' + err.message);
+      setError(t('transactions.deleteFailed', { error: err.message }));
       console.error('Delete error:', err);
     }
   };
@@ -475,20 +1008,29 @@ export default function Transactions() {
   const handleDeleteAllTransactions = async () => {
     setDeletingAll(true);
     try {
+      // Reconciled rows come off their statements as they go to the trash
+      const deletedAt = new Date().toISOString();
+      const { error: unlockError } = await supabase
+        .from('transactions')
+        .update({ deleted_at: deletedAt, cleared_status: 'cleared' })
+        .eq('user_id', user.id)
+        .is('deleted_at', null)
+        .eq('cleared_status', 'reconciled');
+      if (unlockError) throw unlockError;
+
       const { error: deleteError } = await supabase
         .from('transactions')
-        .update({ deleted_at: new Date().toISOString() })
+        .update({ deleted_at: deletedAt })
         .eq('user_id', user.id)
         .is('deleted_at', null);  // Only soft delete active transactions
 
       if (deleteError) throw deleteError;
-      const movedCount = transactions.length;
-      setTransactions([]);
       setShowDeleteAllDialog(false);
+      loadTransactions();
       // Update trash count
       loadTrashTransactions();
     } catch (err) {
-      setError('Failed to delete all transactions: ' + err.message);
+      setError(t('transactions.deleteAllFailed', { error: err.message }));
       console.error('Delete all error:', err);
     } finally {
       setDeletingAll(false);
@@ -499,20 +1041,20 @@ export default function Transactions() {
   const handleRestoreTransaction = async (transactionId) => {
     setRestoringId(transactionId);
     try {
-      const { error: restoreError } = await supabase
-        .from('transactions')
-        .update({ deleted_at: null })
-        .eq('id', transactionId)
-        .eq('user_id', user.id);
+      const target = trashedTransactions.find(t => t.id === transactionId) || { id: transactionId };
+      const { error: restoreError } = await scopeToRow(
+        supabase.from('transactions').update({ deleted_at: null }),
+        target
+      ).eq('user_id', user.id);
 
       if (restoreError) throw restoreError;
 
       // Remove from trash list
-      setTrashedTransactions(prev => prev.filter(t => t.id !== transactionId));
+      setTrashedTransactions(prev => prev.filter(t => !isSameRow(t, target)));
       // Refresh active transactions
       loadTransactions();
     } catch (err) {
-      setError('Failed to restore transaction: ' + err.message);
+      setError(t('transactions.restoreFailed', { error: err.message }));
       console.error('Restore error:', err);
     } finally {
       setRestoringId(null);
@@ -522,16 +1064,16 @@ export default function Transactions() {
   // Permanently delete a single transaction from trash
   const handlePermanentDelete = async (transactionId) => {
     try {
-      const { error: deleteError } = await supabase
-        .from('transactions')
-        .delete()
-        .eq('id', transactionId)
-        .eq('user_id', user.id);
+      const target = trashedTransactions.find(t => t.id === transactionId) || { id: transactionId };
+      const { error: deleteError } = await scopeToRow(
+        supabase.from('transactions').delete(),
+        target
+      ).eq('user_id', user.id);
 
       if (deleteError) throw deleteError;
-      setTrashedTransactions(prev => prev.filter(t => t.id !== transactionId));
+      setTrashedTransactions(prev => prev.filter(t => !isSameRow(t, target)));
     } catch (err) {
-      setError('Failed to permanently delete transaction: ' + err.message);
+      setError(t('transactions.permanentDeleteFailed', { error: err.message }));
       console.error('Permanent delete error:', err);
     }
   };
@@ -540,17 +1082,18 @@ export default function Transactions() {
   const handleEmptyTrash = async () => {
     setEmptyingTrash(true);
     try {
-      const { error: deleteError } = await supabase
+      const { error: deleteError, count } = await supabase
         .from('transactions')
-        .delete()
+        .delete({ count: 'exact' })
         .eq('user_id', user.id)
         .not('deleted_at', 'is', null);  // Only delete trashed items
 
       if (deleteError) throw deleteError;
+      await logEmptiedTrash(supabase, user.id, count);
       setTrashedTransactions([]);
       setShowEmptyTrashDialog(false);
     } catch (err) {
-      setError('Failed to empty trash: ' + err.message);
+      setError(t('transactions.emptyTrashFailed', { error: err.message }));
       console.error('Empty trash error:', err);
     } finally {
       setEmptyingTrash(false);
@@ -573,7 +1116,7 @@ export default function Transactions() {
       // Refresh active transactions
       loadTransactions();
     } catch (err) {
-      setError('Failed to restore all transactions: ' + err.message);
+      setError(t('transactions.restoreAllFailed', { error: err.message }));
       console.error('Restore all error:', err);
     } finally {
       setRestoringAll(false);
@@ -602,48 +1145,41 @@ export default function Transactions() {
     setShowCustomFilters(!showCustomFilters);
   };
 
-  // Auto-fill date range based on selected period
+  // Auto-fill date range based on selected period; all time clears the dates
   const updateDateRangeForPeriod = (period) => {
-    if (period === 'current') {
-      const now = new Date();
-      const year = now.getFullYear();
-      const month = now.getMonth(); // 0-indexed
-      const firstDay = `${year}-${String(month + 1).padStart(2, '0')}-01`;
-      const lastDay = new Date(year, month + 1, 0).getDate();
-      const endDay = `${year}-${String(month + 1).padStart(2, '0')}-${String(lastDay).padStart(2, '0')}`;
-      setStartDate(firstDay);
-      setEndDate(endDay);
-    } else if (period === 'last-month') {
-      const now = new Date();
-      let month = now.getMonth() - 1; // 0-indexed
-      let year = now.getFullYear();
-      if (month < 0) { month = 11; year -= 1; }
-      const firstDay = `${year}-${String(month + 1).padStart(2, '0')}-01`;
-      const lastDay = new Date(year, month + 1, 0).getDate();
-      const endDay = `${year}-${String(month + 1).padStart(2, '0')}-${String(lastDay).padStart(2, '0')}`;
-      setStartDate(firstDay);
-      setEndDate(endDay);
-    } else {
-      // All time - clear dates
-      setStartDate('');
-      setEndDate('');
-    }
+    const range = periodRange(period);
+    setStartDate(range.startDate);
+    setEndDate(range.endDate);
   };
 
-  const downloadCSV = () => {
-    if (filteredTransactions.length === 0) return;
+  const downloadCSV = async () => {
+    if (totals.count === 0) return;
+
+    // Export every matching row, not just the pages scrolled into view
+    let matching;
+    try {
+      matching = await loadAllMatching(supabase, user.id, filters, {
+        categories,
+        select: 'id, date, created_at, description, amount, currency, type, provider, tags, categories (name)',
+      });
+    } catch (err) {
+      setError(t('transactions.exportFailed', { error: err.message }));
+      return;
+    }
 
     // CSV header
-    const headers = ['Date', 'Category', 'Description', 'Amount', 'Type', 'Bank'];
+    const headers = ['Date', 'Category', 'Description', 'Amount', 'Currency', 'Type', 'Bank', 'Tags'];
 
     // CSV rows
-    const rows = filteredTransactions.map(t => [
-      t.date,
-      t.category,
-      `"${(t.description || '').replace(/"/g, '""')}"`, // Escape quotes in description
-      t.amount.toFixed(2),
-      t.type,
-      t.bank || '',
+    const rows = matching.map(row => [
+      row.date,
+      row.type === 'transfer' ? t('common.transfer') : (row.categories?.name || t('common.unknown')),
+      `"${(row.description || '').replace(/"/g, '""')}"`, // Escape quotes in description
+      Number(row.amount).toFixed(2),
+      row.currency,
+      row.type,
+      row.provider || '',
+      `"${(row.tags || []).join('; ').replace(/"/g, '""')}"`,
     ]);
 
     // Combine headers and rows
@@ -689,13 +1225,37 @@ export default function Transactions() {
     }, 100);
   };
 
+  const allTags = filterOptions.tags;
+  const searchSources = {
+    categories: [...new Set(categories.map(c => c.name))],
+    tags: allTags,
+    banks: filterOptions.banks,
+    accounts: accounts.map(a => a.name),
+  };
+  // The list multi-select works on
+  const visibleRows = viewMode === 'trash' ? trashedTransactions : filteredTransactions;
+
+  // Only rows near the screen are rendered; switching back from the trash remounts the
+  // lists, so the view is part of the keys to re-measure them
+  const rowKeys = useMemo(() => filteredTransactions.map(t => t.id), [filteredTransactions, viewMode]);
+  const mobileWindow = useWindowedRows(rowKeys, { estimate: 140 });
+  const desktopWindow = useWindowedRows(rowKeys, { estimate: 64 });
+
+  // Fetch the next page once the rendered window nears the end of what's loaded
+  const windowEnd = Math.max(mobileWindow.end, desktopWindow.end);
+  useEffect(() => {
+    if (viewMode === 'active' && nextCursor && windowEnd >= filteredTransactions.length - 5) {
+      loadMoreTransactions();
+    }
+  }, [windowEnd, nextCursor, viewMode]);
+
   if (loading) {
     return (
       <PageContainer>
         <Flex w="100%" minH="60vh" align="center" justify="center">
           <VStack gap={4}>
             <Spinner size="xl" />
-            <Text>Loading transactions...</Text>
+            <Text>{t('transactions.loading')}</Text>
           </VStack>
         </Flex>
       </PageContainer>
@@ -708,7 +1268,7 @@ export default function Transactions() {
           {/* Header */}
           <Flex justify="space-between" align="center" w="100%" flexWrap="wrap" gap={2}>
             <HStack gap={4} flexWrap="wrap">
-              <Heading size={{ base: 'lg', md: 'xl' }} color={colors.textPrimary}>Transactions</Heading>
+              <Heading size={{ base: 'lg', md: 'xl' }} color={colors.textPrimary}>{t('transactions.title')}</Heading>
 
               {/* Active/Trash Toggle */}
               <HStack gap={1}>
@@ -718,7 +1278,7 @@ export default function Transactions() {
                   colorScheme="blue"
                   onClick={() => setViewMode('active')}
                 >
-                  Active ({transactions.length})
+                  {t('transactions.active', { count: activeCount })}
                 </Button>
                 <Button
                   size={{ base: 'xs', md: 'sm' }}
@@ -726,7 +1286,7 @@ export default function Transactions() {
                   colorScheme={viewMode === 'trash' ? 'red' : 'gray'}
                   onClick={() => setViewMode('trash')}
                 >
-                  Trash ({trashedTransactions.length})
+                  {t('transactions.trash', { count: trashedTransactions.length })}
                 </Button>
               </HStack>
             </HStack>
@@ -740,18 +1300,27 @@ export default function Transactions() {
                     variant="outline"
                     colorScheme="red"
                     size={{ base: 'xs', md: 'md' }}
-                    disabled={transactions.length === 0}
+                    disabled={activeCount === 0}
                   >
-                    Remove All
+                    {t('transactions.removeAll')}
+                  </Button>
+                  <Button
+                    onClick={openTagAllMatching}
+                    variant="outline"
+                    size={{ base: 'xs', md: 'md' }}
+                    disabled={totals.count === 0 || bulkBusy}
+                    _hover={{ bg: colors.rowStripedBg }}
+                  >
+                    {t('transactions.tag', { count: totals.count })}
                   </Button>
                   <Button
                     onClick={downloadCSV}
                     variant="outline"
                     size={{ base: 'xs', md: 'md' }}
-                    disabled={filteredTransactions.length === 0}
+                    disabled={totals.count === 0}
                     _hover={{ bg: colors.rowStripedBg }}
                   >
-                    Download CSV
+                    {t('transactions.downloadCsv')}
                   </Button>
                   <Button
                     as={RouterLink}
@@ -759,7 +1328,7 @@ export default function Transactions() {
                     colorScheme="green"
                     size={{ base: 'xs', md: 'md' }}
                   >
-                    + Add Transaction
+                    {t('transactions.addTransaction')}
                   </Button>
                 </>
               ) : (
@@ -771,7 +1340,7 @@ export default function Transactions() {
                     size={{ base: 'xs', md: 'md' }}
                     disabled={trashedTransactions.length === 0}
                   >
-                    Restore All
+                    {t('transactions.restoreAll')}
                   </Button>
                   <Button
                     onClick={() => setShowEmptyTrashDialog(true)}
@@ -779,7 +1348,7 @@ export default function Transactions() {
                     size={{ base: 'xs', md: 'md' }}
                     disabled={trashedTransactions.length === 0}
                   >
-                    Empty Trash
+                    {t('transactions.emptyTrash')}
                   </Button>
                 </HStack>
               )}
@@ -793,23 +1362,56 @@ export default function Transactions() {
             </Box>
           )}
 
+          {notice && (
+            <Flex p={3} bg={colors.successBg} borderRadius="md" borderColor={colors.successBorder} borderWidth="1px" w="100%" justify="space-between" align="center" gap={2}>
+              <Text color={colors.success} fontSize="sm">{notice}</Text>
+              <HStack gap={1}>
+                {lastBatch && (
+                  <Button size="xs" variant="outline" onClick={handleUndoLastBatch} loading={undoing}>
+                    {t('common.undo')}
+                  </Button>
+                )}
+                <Button size="xs" variant="ghost" onClick={() => { setNotice(''); setLastBatch(null); }} aria-label={t('transactions.dismiss')}>✕</Button>
+              </HStack>
+            </Flex>
+          )}
+
+          <BulkActionBar
+            count={visibleRows.filter(t => selectedIds.has(t.id)).length}
+            total={viewMode === 'active' ? totals.count : visibleRows.length}
+            mode={viewMode}
+            categories={categories}
+            accounts={accounts}
+            busy={bulkBusy}
+            onApply={handleBulkAction}
+            onTag={() => setTagTargets({ rows: filteredTransactions.filter(t => selectedIds.has(t.id)), scope: 'selected' })}
+            onSelectAll={() => (viewMode === 'active' ? selectAllMatching() : setSelectedIds(new Set(visibleRows.map(t => t.id))))}
+            onClear={() => setSelectedIds(new Set())}
+          />
+
           {/* Active View - Filters and Transaction List */}
           {viewMode === 'active' && (
             <>
+              {/* Saved views: pinned ones, and the menu to open, pin or save them */}
+              <SavedViews userId={user.id} currentQuery={filterSearch} onOpen={(query) => setSearchParams(query)} />
+
               {/* Filters Row */}
               <Flex gap={{ base: 2, md: 4 }} align="center" flexWrap="wrap" w="100%">
-                <Input
-                  placeholder="Search transactions..."
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                  size={{ base: 'sm', md: 'md' }}
-                  bg={colors.cardBg}
-                  borderColor={colors.borderColor}
-                  color={colors.textPrimary}
-                  maxW={{ base: '100%', md: '400px' }}
-                  flex="1"
-                  minW={{ base: '100%', sm: '200px' }}
-                />
+                <Box maxW={{ base: '100%', md: '400px' }} flex="1" minW={{ base: '100%', sm: '200px' }}>
+                  <SearchQueryInput
+                    placeholder={t('transactions.searchPlaceholder')}
+                    value={searchQuery}
+                    onChange={setSearchQuery}
+                    sources={searchSources}
+                    size={{ base: 'sm', md: 'md' }}
+                    bg={colors.cardBg}
+                    borderColor={colors.borderColor}
+                    color={colors.textPrimary}
+                  />
+                  {parsedQuery.errors.map(problem => (
+                    <Text key={problem} fontSize="xs" color="red.500" mt={1}>{problem}</Text>
+                  ))}
+                </Box>
                   <Box ref={periodDropdownRef} position="relative" minW="130px">
                     {/* Dropdown Trigger */}
                     <Box
@@ -832,8 +1434,8 @@ export default function Transactions() {
                         fontSize="sm"
                         noOfLines={1}
                       >
-                        {selectedPeriod === 'current' ? 'This month' :
-                         selectedPeriod === 'last-month' ? 'Last month' : 'All time'}
+                        {t(selectedPeriod === 'current' ? 'transactions.thisMonth' :
+                         selectedPeriod === 'last-month' ? 'transactions.lastMonth' : 'transactions.allTime')}
                       </Text>
                       <Box
                         as="span"
@@ -865,9 +1467,9 @@ export default function Transactions() {
                       >
                         <VStack gap={0} align="stretch" p={1}>
                           {[
-                            { value: 'current', label: 'This month' },
-                            { value: 'last-month', label: 'Last month' },
-                            { value: 'all', label: 'All time' },
+                            { value: 'current', label: t('transactions.thisMonth') },
+                            { value: 'last-month', label: t('transactions.lastMonth') },
+                            { value: 'all', label: t('transactions.allTime') },
                           ].map((option) => {
                             const isSelected = option.value === selectedPeriod;
                             return (
@@ -922,10 +1524,68 @@ export default function Transactions() {
                   _hover={{ borderColor: 'blue.400' }}
                   _focus={{ borderColor: 'blue.500', boxShadow: '0 0 0 1px var(--chakra-colors-blue-500)' }}
                 >
-                  <option value="" style={{ background: 'var(--chakra-colors-gray-800)' }}>All types</option>
-                  <option value="income" style={{ background: 'var(--chakra-colors-gray-800)' }}>Income</option>
-                  <option value="expense" style={{ background: 'var(--chakra-colors-gray-800)' }}>Expense</option>
+                  <option value="" style={{ background: 'var(--chakra-colors-gray-800)' }}>{t('transactions.allTypes')}</option>
+                  <option value="income" style={{ background: 'var(--chakra-colors-gray-800)' }}>{t('common.income')}</option>
+                  <option value="expense" style={{ background: 'var(--chakra-colors-gray-800)' }}>{t('common.expense')}</option>
+                  <option value="transfer" style={{ background: 'var(--chakra-colors-gray-800)' }}>{t('common.transfer')}</option>
+                  <option value="refund" style={{ background: 'var(--chakra-colors-gray-800)' }}>{t('common.refund')}</option>
                 </Box>
+                {accounts.length > 1 && (
+                  <Box
+                    as="select"
+                    value={filterAccount}
+                    onChange={(e) => setFilterAccount(e.target.value)}
+                    aria-label={t('common.account')}
+                    bg={colors.cardBg}
+                    borderWidth="1px"
+                    borderColor={filterAccount ? 'blue.500' : colors.borderColor}
+                    color={colors.textPrimary}
+                    borderRadius="6px"
+                    px={3}
+                    py={2}
+                    minW="150px"
+                    fontSize="sm"
+                    outline="none"
+                    cursor="pointer"
+                    _hover={{ borderColor: 'blue.400' }}
+                    _focus={{ borderColor: 'blue.500', boxShadow: '0 0 0 1px var(--chakra-colors-blue-500)' }}
+                  >
+                    <option value="" style={{ background: 'var(--chakra-colors-gray-800)' }}>{t('transactions.allAccounts')}</option>
+                    {accounts.map(account => (
+                      <option key={account.id} value={account.id} style={{ background: 'var(--chakra-colors-gray-800)' }}>
+                        {account.name}{account.archived_at ? ' (archived)' : ''}
+                      </option>
+                    ))}
+                  </Box>
+                )}
+                {allTags.length > 0 && (
+                  <Box
+                    as="select"
+                    value={filterTag}
+                    onChange={(e) => setFilterTag(e.target.value)}
+                    aria-label={t('common.tags')}
+                    bg={colors.cardBg}
+                    borderWidth="1px"
+                    borderColor={filterTag ? 'blue.500' : colors.borderColor}
+                    color={colors.textPrimary}
+                    borderRadius="6px"
+                    px={3}
+                    py={2}
+                    minW="130px"
+                    fontSize="sm"
+                    outline="none"
+                    cursor="pointer"
+                    _hover={{ borderColor: 'blue.400' }}
+                    _focus={{ borderColor: 'blue.500', boxShadow: '0 0 0 1px var(--chakra-colors-blue-500)' }}
+                  >
+                    <option value="" style={{ background: 'var(--chakra-colors-gray-800)' }}>{t('transactions.allTags')}</option>
+                    {allTags.map(tag => (
+                      <option key={tag} value={tag} style={{ background: 'var(--chakra-colors-gray-800)' }}>
+                        {tag}
+                      </option>
+                    ))}
+                  </Box>
+                )}
                 <Button
                   variant={showCustomFilters || customFiltersApplied ? 'solid' : 'outline'}
                   colorScheme={customFiltersApplied ? 'blue' : 'gray'}
@@ -933,7 +1593,7 @@ export default function Transactions() {
                   onClick={toggleCustomFilters}
                 >
                   <Icon as={LuFilter} mr={2} />
-                  {customFiltersApplied ? 'Custom filters' : 'Filters'}
+                  {customFiltersApplied ? t('transactions.customFilters') : t('transactions.filters')}
                 </Button>
                 {customFiltersApplied && (
                   <Button
@@ -943,12 +1603,14 @@ export default function Transactions() {
                     color="red.500"
                   >
                     <Icon as={LuX} mr={1} />
-                    Reset
+                    {t('transactions.reset')}
                   </Button>
                 )}
                 <Text fontSize="sm" color={colors.textMuted}>
-                  {filteredTransactions.length} transaction{filteredTransactions.length !== 1 ? 's' : ''}
+                  {totals.count} transaction{totals.count !== 1 ? 's' : ''}
+                  {filteredTransactions.length < totals.count ? ` · ${filteredTransactions.length} loaded` : ''}
                 </Text>
+                {listLoading && <Spinner size="sm" />}
               </Flex>
 
           {/* Custom Filters Panel */}
@@ -965,10 +1627,10 @@ export default function Transactions() {
                 <VStack gap={5} align="stretch">
                   {/* Date Range */}
                   <Box>
-                    <Text fontWeight="600" color={colors.textPrimary} mb={3}>Date range</Text>
+                    <Text fontWeight="600" color={colors.textPrimary} mb={3}>{t('transactions.dateRange')}</Text>
                     <Flex gap={4} flexWrap={{ base: 'wrap', md: 'nowrap' }}>
                       <Box flex="1" minW={{ base: '100%', md: '200px' }}>
-                        <Text fontSize="sm" color={colors.textSecondary} mb={1}>Start date</Text>
+                        <Text fontSize="sm" color={colors.textSecondary} mb={1}>{t('transactions.startDate')}</Text>
                         <Input
                           type="date"
                           value={startDate}
@@ -980,7 +1642,7 @@ export default function Transactions() {
                         />
                       </Box>
                       <Box flex="1" minW={{ base: '100%', md: '200px' }}>
-                        <Text fontSize="sm" color={colors.textSecondary} mb={1}>End date</Text>
+                        <Text fontSize="sm" color={colors.textSecondary} mb={1}>{t('transactions.endDate')}</Text>
                         <Input
                           type="date"
                           value={endDate}
@@ -996,10 +1658,10 @@ export default function Transactions() {
 
                   {/* Description */}
                   <Box>
-                    <Text fontWeight="600" color={colors.textPrimary} mb={3}>Description</Text>
+                    <Text fontWeight="600" color={colors.textPrimary} mb={3}>{t('common.description')}</Text>
                     <Input
                       type="text"
-                      placeholder="Filter by description..."
+                      placeholder={t('transactions.filterDescription')}
                       value={filterDescription}
                       onChange={(e) => setFilterDescription(e.target.value)}
                       bg={colors.cardBg}
@@ -1011,11 +1673,11 @@ export default function Transactions() {
 
                   {/* Bank Filter */}
                   {(() => {
-                    const bankOptions = [...new Set(transactions.filter(t => t.bank).map(t => t.bank))].sort();
+                    const bankOptions = filterOptions.banks;
                     if (bankOptions.length === 0) return null;
                     return (
                       <Box>
-                        <Text fontWeight="600" color={colors.textPrimary} mb={3}>Bank</Text>
+                        <Text fontWeight="600" color={colors.textPrimary} mb={3}>{t('transactions.bank')}</Text>
                         <Box
                           as="select"
                           value={filterBank}
@@ -1033,7 +1695,7 @@ export default function Transactions() {
                           _hover={{ borderColor: 'blue.400' }}
                           _focus={{ borderColor: 'blue.500', boxShadow: '0 0 0 1px var(--chakra-colors-blue-500)' }}
                         >
-                          <option value="" style={{ background: 'var(--chakra-colors-gray-800)' }}>All banks</option>
+                          <option value="" style={{ background: 'var(--chakra-colors-gray-800)' }}>{t('transactions.allBanks')}</option>
                           {bankOptions.map(bank => (
                             <option key={bank} value={bank} style={{ background: 'var(--chakra-colors-gray-800)' }}>{bank}</option>
                           ))}
@@ -1044,10 +1706,10 @@ export default function Transactions() {
 
                   {/* Amount Range */}
                   <Box>
-                    <Text fontWeight="600" color={colors.textPrimary} mb={3}>Amount range</Text>
+                    <Text fontWeight="600" color={colors.textPrimary} mb={3}>{t('transactions.amountRange')}</Text>
                     <Flex gap={4} flexWrap={{ base: 'wrap', md: 'nowrap' }}>
                       <Box flex="1" minW={{ base: '100%', md: '200px' }}>
-                        <Text fontSize="sm" color={colors.textSecondary} mb={1}>Minimum amount</Text>
+                        <Text fontSize="sm" color={colors.textSecondary} mb={1}>{t('transactions.minAmount')}</Text>
                         <Input
                           type="number"
                           placeholder="$0.00"
@@ -1062,7 +1724,7 @@ export default function Transactions() {
                         />
                       </Box>
                       <Box flex="1" minW={{ base: '100%', md: '200px' }}>
-                        <Text fontSize="sm" color={colors.textSecondary} mb={1}>Maximum amount</Text>
+                        <Text fontSize="sm" color={colors.textSecondary} mb={1}>{t('transactions.maxAmount')}</Text>
                         <Input
                           type="number"
                           placeholder="$999,999.00"
@@ -1085,13 +1747,13 @@ export default function Transactions() {
                       variant="outline"
                       onClick={clearCustomFilters}
                     >
-                      Clear filters
+                      {t('transactions.clearFilters')}
                     </Button>
                     <Button
                       colorScheme="red"
                       onClick={applyCustomFilters}
                     >
-                      Apply filters
+                      {t('transactions.applyFilters')}
                     </Button>
                   </Flex>
                 </VStack>
@@ -1100,24 +1762,34 @@ export default function Transactions() {
           </Collapsible.Root>
 
           {/* Mobile Card View */}
-          <VStack display={{ base: 'flex', md: 'none' }} gap={3} align="stretch" w="100%">
+          <VStack ref={mobileWindow.containerRef} display={{ base: 'flex', md: 'none' }} gap={3} align="stretch" w="100%">
             {filteredTransactions.length === 0 ? (
               <Box p={6} bg={colors.cardBg} borderRadius="lg" borderWidth="1px" borderColor={colors.borderColor} textAlign="center">
-                <Text color={colors.textMuted}>No transactions found</Text>
+                <Text color={colors.textMuted}>{t('transactions.noneFound')}</Text>
               </Box>
             ) : (
-              filteredTransactions.map((transaction) => (
+              <>
+              {mobileWindow.padTop > 0 && <Box h={`${mobileWindow.padTop}px`} flexShrink={0} />}
+              {filteredTransactions.slice(mobileWindow.start, mobileWindow.end).map((transaction) => (
                 <Box
                   key={transaction.id}
+                  ref={mobileWindow.measure(transaction.id)}
                   p={4}
-                  bg={colors.cardBg}
+                  bg={selectedIds.has(transaction.id) ? colors.rowHoverBg : colors.cardBg}
                   borderRadius="lg"
                   borderWidth="1px"
-                  borderColor={colors.borderColor}
+                  borderColor={selectedIds.has(transaction.id) ? 'blue.500' : colors.borderColor}
                   position="relative"
                   zIndex={editingTransactionId === transaction.id ? 10 : 'auto'}
                 >
-                  <Flex justify="space-between" align="flex-start" mb={2}>
+                  <Flex justify="space-between" align="flex-start" mb={2} gap={3}>
+                    <Box pt={1}>
+                      <RowCheckbox
+                        checked={selectedIds.has(transaction.id)}
+                        onToggle={(shiftKey) => toggleSelected(transaction, filteredTransactions, shiftKey)}
+                        label={t('transactions.select', { description: transaction.description })}
+                      />
+                    </Box>
                     <Box flex="1">
                       {editingTransactionId === transaction.id ? (
                         <HStack gap={2} mb={1}>
@@ -1144,7 +1816,7 @@ export default function Transactions() {
                                 fontSize="xs"
                                 noOfLines={1}
                               >
-                                {categories.find(c => c.id === transaction.category_id)?.name || 'Select'}
+                                {categories.find(c => c.id === transaction.category_id)?.name || t('transactions.selectCategory')}
                               </Text>
                               <Box
                                 as="span"
@@ -1176,7 +1848,7 @@ export default function Transactions() {
                                 overflowY="auto"
                               >
                                 <VStack gap={0} align="stretch" p={1}>
-                                  {categories.filter(c => c.type === transaction.type).map((cat) => {
+                                  {categories.filter(c => c.type === categoryTypeOf(transaction.type)).map((cat) => {
                                     const isSelected = cat.id === transaction.category_id;
                                     return (
                                       <HStack
@@ -1207,6 +1879,20 @@ export default function Transactions() {
                                       </HStack>
                                     );
                                   })}
+                                  <HStack
+                                    px={2}
+                                    py={2}
+                                    cursor="pointer"
+                                    borderTopWidth="1px"
+                                    borderColor={colors.borderColor}
+                                    _hover={{ bg: colors.rowStripedBg }}
+                                    borderRadius="6px"
+                                    onClick={() => openSplitEditor(transaction)}
+                                  >
+                                    <Text color="blue.500" fontSize="xs" fontWeight="500">
+                                      {t('transactions.splitAcross')}
+                                    </Text>
+                                  </HStack>
                                 </VStack>
                               </Box>
                             )}
@@ -1217,16 +1903,23 @@ export default function Transactions() {
                         <Text
                           fontWeight="semibold"
                           fontSize="sm"
-                          color="blue.500"
-                          cursor="pointer"
-                          onClick={() => setEditingTransactionId(transaction.id)}
+                          color={transaction.type === 'transfer' ? colors.textSecondary : 'blue.500'}
+                          cursor={transaction.type === 'transfer' ? 'default' : 'pointer'}
+                          onClick={() => startCategoryEdit(transaction)}
                         >
-                          {transaction.category}
+                          {categoryLabel(transaction)}
                         </Text>
                       )}
+                      {editingTransactionId !== transaction.id && (
+                        <SuggestionChips
+                          suggestions={suggestionsFor(transaction)}
+                          onPick={(suggestion) => handleCategorySelect(transaction, suggestion.categoryId)}
+                        />
+                      )}
                       <Text fontSize="xs" color={colors.textSecondary} noOfLines={2}>
                         {transaction.description}
                       </Text>
+                      <TagBadges tags={transaction.tags} onPick={setFilterTag} />
                     </Box>
                     {editingAmountId === transaction.id ? (
                       <Input
@@ -1254,26 +1947,28 @@ export default function Transactions() {
                       <Text
                         fontWeight="bold"
                         fontSize="md"
-                        color={transaction.type === 'income' ? 'green.600' : 'red.600'}
+                        color={amountColor(transaction)}
                         ml={2}
                         cursor="pointer"
                         _hover={{ textDecoration: 'underline' }}
                         onClick={() => { setEditingAmountId(transaction.id); setEditingAmountValue(transaction.amount.toString()); }}
+                        title={originalLabel(transaction) || undefined}
                       >
-                        {formatAmount(transaction.amount, transaction.type)}
+                        {formatAmount(transaction)}
                       </Text>
                     )}
                   </Flex>
                   <Flex justify="space-between" align="center">
                     <Text fontSize="xs" color={colors.textMuted}>{formatDate(transaction.date)}</Text>
                     <HStack gap={2}>
+                      <ClearedFlag status={transaction.clearedStatus} onToggle={() => toggleCleared(transaction)} />
                       <Text fontSize="xs" color={transaction.balance < 0 ? 'red.500' : colors.textMuted}>
-                        Bal: {formatBalance(transaction.balance)}
+                        {t('transactions.balanceShort', { balance: formatBalance(transaction.balance, transaction.balanceCurrency) })}
                       </Text>
                       <Flex
                         as="button"
                         type="button"
-                        aria-label="Move to trash"
+                        aria-label={t('transactions.moveToTrash')}
                         onClick={() => handleDeleteTransaction(transaction.id)}
                         align="center"
                         justify="center"
@@ -1290,7 +1985,9 @@ export default function Transactions() {
                     </HStack>
                   </Flex>
                 </Box>
-              ))
+              ))}
+              {mobileWindow.padBottom > 0 && <Box h={`${mobileWindow.padBottom}px`} flexShrink={0} />}
+              </>
             )}
           </VStack>
 
@@ -1307,23 +2004,43 @@ export default function Transactions() {
             <Table.Root size="md" w="100%" style={{ tableLayout: 'fixed' }}>
               <Table.Header>
                 <Table.Row bg={colors.rowStripedBg}>
-                  <Table.ColumnHeader py={4} px={6} w="12%" color={colors.textSecondary}>Date</Table.ColumnHeader>
-                  <Table.ColumnHeader py={4} px={6} w="auto" color={colors.textSecondary}>Description</Table.ColumnHeader>
-                  <Table.ColumnHeader py={4} px={6} textAlign="right" w="12%" color={colors.textSecondary}>Amount</Table.ColumnHeader>
-                  <Table.ColumnHeader py={4} px={6} textAlign="right" w="12%" color={colors.textSecondary}>Balance</Table.ColumnHeader>
+                  <Table.ColumnHeader py={4} pl={6} pr={0} w="48px">
+                    <RowCheckbox
+                      checked={filteredTransactions.length > 0 && filteredTransactions.every(t => selectedIds.has(t.id))}
+                      onToggle={() => toggleSelectAll(filteredTransactions)}
+                      label={t('transactions.selectAllShown')}
+                    />
+                  </Table.ColumnHeader>
+                  <Table.ColumnHeader py={4} px={6} w="12%" color={colors.textSecondary}>{t('common.date')}</Table.ColumnHeader>
+                  <Table.ColumnHeader py={4} px={6} w="auto" color={colors.textSecondary}>{t('common.description')}</Table.ColumnHeader>
+                  <Table.ColumnHeader py={4} px={6} textAlign="right" w="12%" color={colors.textSecondary}>{t('common.amount')}</Table.ColumnHeader>
+                  <Table.ColumnHeader py={4} px={6} textAlign="right" w="12%" color={colors.textSecondary}>{t('transactions.balance')}</Table.ColumnHeader>
                   <Table.ColumnHeader py={4} px={3} w="5%"></Table.ColumnHeader>
                 </Table.Row>
               </Table.Header>
-              <Table.Body>
+              <Table.Body ref={desktopWindow.containerRef}>
                 {filteredTransactions.length === 0 ? (
                   <Table.Row>
-                    <Table.Cell colSpan={5} textAlign="center" py={12}>
-                      <Text color={colors.textMuted}>No transactions found</Text>
+                    <Table.Cell colSpan={6} textAlign="center" py={12}>
+                      <Text color={colors.textMuted}>{t('transactions.noneFound')}</Text>
                     </Table.Cell>
                   </Table.Row>
                 ) : (
-                  filteredTransactions.map((transaction) => (
-                    <Table.Row key={transaction.id} role="group" className="group" bg={colors.cardBg} _hover={{ bg: colors.rowHoverBg }}>
+                  <>
+                  {desktopWindow.padTop > 0 && (
+                    <Table.Row aria-hidden="true">
+                      <Table.Cell colSpan={6} p={0} h={`${desktopWindow.padTop}px`} borderBottomWidth={0} />
+                    </Table.Row>
+                  )}
+                  {filteredTransactions.slice(desktopWindow.start, desktopWindow.end).map((transaction) => (
+                    <Table.Row key={transaction.id} ref={desktopWindow.measure(transaction.id)} role="group" className="group" bg={selectedIds.has(transaction.id) ? colors.rowHoverBg : colors.cardBg} _hover={{ bg: colors.rowHoverBg }}>
+                      <Table.Cell py={4} pl={6} pr={0}>
+                        <RowCheckbox
+                          checked={selectedIds.has(transaction.id)}
+                          onToggle={(shiftKey) => toggleSelected(transaction, filteredTransactions, shiftKey)}
+                          label={t('transactions.select', { description: transaction.description })}
+                        />
+                      </Table.Cell>
                       <Table.Cell py={4} px={6}>
                         <Text color={colors.textSecondary}>{formatDate(transaction.date)}</Text>
                       </Table.Cell>
@@ -1353,7 +2070,7 @@ export default function Transactions() {
                                   fontSize="sm"
                                   noOfLines={1}
                                 >
-                                  {categories.find(c => c.id === transaction.category_id)?.name || 'Select'}
+                                  {categories.find(c => c.id === transaction.category_id)?.name || t('transactions.selectCategory')}
                                 </Text>
                                 <Box
                                   as="span"
@@ -1385,7 +2102,7 @@ export default function Transactions() {
                                   overflowY="auto"
                                 >
                                   <VStack gap={0} align="stretch" p={1}>
-                                    {categories.filter(c => c.type === transaction.type).map((cat) => {
+                                    {categories.filter(c => c.type === categoryTypeOf(transaction.type)).map((cat) => {
                                       const isSelected = cat.id === transaction.category_id;
                                       return (
                                         <HStack
@@ -1416,6 +2133,20 @@ export default function Transactions() {
                                         </HStack>
                                       );
                                     })}
+                                    <HStack
+                                      px={3}
+                                      py={2}
+                                      cursor="pointer"
+                                      borderTopWidth="1px"
+                                      borderColor={colors.borderColor}
+                                      _hover={{ bg: colors.rowStripedBg }}
+                                      borderRadius="6px"
+                                      onClick={() => openSplitEditor(transaction)}
+                                    >
+                                      <Text color="blue.500" fontSize="sm" fontWeight="500">
+                                        {t('transactions.splitAcross')}
+                                      </Text>
+                                    </HStack>
                                   </VStack>
                                 </Box>
                               )}
@@ -1425,21 +2156,28 @@ export default function Transactions() {
                         ) : (
                           <Text
                             fontWeight="medium"
-                            color="blue.500"
-                            cursor="pointer"
-                            _hover={{ textDecoration: 'underline' }}
-                            onClick={() => setEditingTransactionId(transaction.id)}
-                            title="Click to change category"
+                            color={transaction.type === 'transfer' ? colors.textSecondary : 'blue.500'}
+                            cursor={transaction.type === 'transfer' ? 'default' : 'pointer'}
+                            _hover={transaction.type === 'transfer' ? undefined : { textDecoration: 'underline' }}
+                            onClick={() => startCategoryEdit(transaction)}
+                            title={transaction.type === 'transfer' ? undefined : transaction.splits?.length ? 'Click to edit split' : 'Click to change category'}
                           >
-                            {transaction.category}
+                            {categoryLabel(transaction)}
                           </Text>
                         )}
+                        {editingTransactionId !== transaction.id && (
+                          <SuggestionChips
+                            suggestions={suggestionsFor(transaction)}
+                            onPick={(suggestion) => handleCategorySelect(transaction, suggestion.categoryId)}
+                          />
+                        )}
                         <Text fontSize="sm" color={colors.textSecondary} noOfLines={1}>
                           {transaction.description}
                           {transaction.bank && transaction.bank !== transaction.description && (
                             <Text as="span" color="blue.500" ml={2}>• {transaction.bank}</Text>
                           )}
                         </Text>
+                        <TagBadges tags={transaction.tags} onPick={setFilterTag} />
                       </Table.Cell>
                       <Table.Cell textAlign="right" py={4} px={6}>
                         {editingAmountId === transaction.id ? (
@@ -1467,26 +2205,32 @@ export default function Transactions() {
                         ) : (
                           <Text
                             fontWeight="bold"
-                            color={transaction.type === 'income' ? 'green.600' : 'red.600'}
+                            color={amountColor(transaction)}
                             cursor="pointer"
                             _hover={{ textDecoration: 'underline' }}
                             onClick={() => { setEditingAmountId(transaction.id); setEditingAmountValue(transaction.amount.toString()); }}
                           >
-                            {formatAmount(transaction.amount, transaction.type)}
+                            {formatAmount(transaction)}
                           </Text>
                         )}
+                        {originalLabel(transaction) && (
+                          <Text fontSize="xs" color={colors.textMuted}>{originalLabel(transaction)}</Text>
+                        )}
                       </Table.Cell>
                       <Table.Cell textAlign="right" py={4} px={6}>
-                        <Text color={transaction.balance < 0 ? 'red.600' : colors.textSecondary}>
-                          {formatBalance(transaction.balance)}
-                        </Text>
+                        <HStack gap={2} justify="flex-end">
+                          <ClearedFlag status={transaction.clearedStatus} onToggle={() => toggleCleared(transaction)} />
+                          <Text color={transaction.balance < 0 ? 'red.600' : colors.textSecondary}>
+                            {formatBalance(transaction.balance, transaction.balanceCurrency)}
+                          </Text>
+                        </HStack>
                       </Table.Cell>
                       <Table.Cell py={4} px={3}>
                         <Flex
                           as="button"
                           type="button"
-                          aria-label="Move to trash"
-                          title="Move to trash"
+                          aria-label={t('transactions.moveToTrash')}
+                          title={t('transactions.moveToTrash')}
                           onClick={() => handleDeleteTransaction(transaction.id)}
                           align="center"
                           justify="center"
@@ -1508,32 +2252,44 @@ export default function Transactions() {
                         </Flex>
                       </Table.Cell>
                     </Table.Row>
-                  ))
+                  ))}
+                  {desktopWindow.padBottom > 0 && (
+                    <Table.Row aria-hidden="true">
+                      <Table.Cell colSpan={6} p={0} h={`${desktopWindow.padBottom}px`} borderBottomWidth={0} />
+                    </Table.Row>
+                  )}
+                  </>
                 )}
               </Table.Body>
             </Table.Root>
           </Box>
 
+          {/* More pages load as the end of the list scrolls into view; the button is a fallback */}
+          {nextCursor && (
+            <Flex justify="center" w="100%">
+              <Button size="sm" variant="outline" onClick={loadMoreTransactions} loading={loadingMore} loadingText={t('common.loading')}>
+                {t('transactions.loadMore', { shown: filteredTransactions.length, total: totals.count })}
+              </Button>
+            </Flex>
+          )}
+
               {/* Summary Footer - totals whatever is currently in view */}
-              {filteredTransactions.length > 0 && (() => {
-                const sumOf = (type) => filteredTransactions
-                  .filter(t => t.type === type)
-                  .reduce((sum, t) => sum + t.amount, 0);
-                const income = sumOf('income');
-                const expenses = sumOf('expense');
+              {totals.count > 0 && (() => {
+                // Whole filtered set, not just the loaded pages
+                const { income, expenses } = totals;
                 // Net of what is actually on screen — the type dropdown is only
                 // one of several filters, so it can't decide which side to total.
                 const periodTotal = income - expenses;
                 return (
                   <Flex justify="flex-end" px={4} w="100%">
                     <HStack gap={2}>
-                      <Text color={colors.textSecondary}>Period total:</Text>
+                      <Text color={colors.textSecondary}>{t('transactions.periodTotal')}</Text>
                       <Text
                         fontWeight="bold"
                         fontSize="lg"
                         color={periodTotal === 0 ? colors.textSecondary : (periodTotal > 0 ? 'green.600' : 'red.600')}
                       >
-                        {periodTotal === 0 ? '' : (periodTotal > 0 ? '+' : '-')}${Math.abs(periodTotal).toFixed(2)}
+                        {periodTotal === 0 ? '' : (periodTotal > 0 ? '+' : '-')}{formatCurrency(Math.abs(periodTotal))}
                       </Text>
                     </HStack>
                   </Flex>
@@ -1549,7 +2305,7 @@ export default function Transactions() {
                 <Flex w="100%" minH="200px" align="center" justify="center">
                   <VStack gap={4}>
                     <Spinner size="xl" />
-                    <Text color={colors.textSecondary}>Loading trash...</Text>
+                    <Text color={colors.textSecondary}>{t('transactions.loadingTrash')}</Text>
                   </VStack>
                 </Flex>
               ) : (
@@ -1557,7 +2313,8 @@ export default function Transactions() {
                   {/* Trash info banner */}
                   <Box p={4} bg={colors.warningBg} borderRadius="md" borderWidth="1px" borderColor={colors.warningBorder}>
                     <Text color={colors.warning} fontSize="sm">
-                      Items in trash can be restored or permanently deleted. Restore items you want to keep.
+                      {t('transactions.trashHint')}
+                      {preferences.trashRetentionDays && ` ${t('transactions.trashRetentionHint', { count: preferences.trashRetentionDays })}`}
                     </Text>
                   </Box>
 
@@ -1565,7 +2322,7 @@ export default function Transactions() {
                   <VStack display={{ base: 'flex', md: 'none' }} gap={3} align="stretch" w="100%">
                     {trashedTransactions.length === 0 ? (
                       <Box p={6} bg={colors.cardBg} borderRadius="lg" borderWidth="1px" borderColor={colors.borderColor} textAlign="center">
-                        <Text color={colors.textMuted}>Trash is empty</Text>
+                        <Text color={colors.textMuted}>{t('transactions.trashEmpty')}</Text>
                       </Box>
                     ) : (
                       trashedTransactions.map((transaction) => (
@@ -1575,12 +2332,19 @@ export default function Transactions() {
                           bg={colors.cardBg}
                           borderRadius="lg"
                           borderWidth="1px"
-                          borderColor={colors.borderColor}
+                          borderColor={selectedIds.has(transaction.id) ? 'blue.500' : colors.borderColor}
                           opacity={0.85}
                         >
-                          <Flex justify="space-between" align="flex-start" mb={2}>
+                          <Flex justify="space-between" align="flex-start" mb={2} gap={3}>
+                            <Box pt={1}>
+                              <RowCheckbox
+                                checked={selectedIds.has(transaction.id)}
+                                onToggle={(shiftKey) => toggleSelected(transaction, trashedTransactions, shiftKey)}
+                                label={t('transactions.select', { description: transaction.description })}
+                              />
+                            </Box>
                             <Box flex="1">
-                              <Text fontWeight="semibold" fontSize="sm" color={colors.textPrimary}>{transaction.category}</Text>
+                              <Text fontWeight="semibold" fontSize="sm" color={colors.textPrimary}>{categoryLabel(transaction)}</Text>
                               <Text fontSize="xs" color={colors.textSecondary} noOfLines={2}>
                                 {transaction.description}
                               </Text>
@@ -1588,14 +2352,17 @@ export default function Transactions() {
                             <Text
                               fontWeight="bold"
                               fontSize="md"
-                              color={transaction.type === 'income' ? 'green.600' : 'red.600'}
+                              color={amountColor(transaction)}
                               ml={2}
                             >
-                              {formatAmount(transaction.amount, transaction.type)}
+                              {formatAmount(transaction)}
                             </Text>
                           </Flex>
                           <Flex justify="space-between" align="center">
-                            <Text fontSize="xs" color={colors.textMuted}>{formatDate(transaction.date)}</Text>
+                            <Text fontSize="xs" color={colors.textMuted}>
+                              {formatDate(transaction.date)}
+                              {purgeLabel(transaction) && ` · ${purgeLabel(transaction)}`}
+                            </Text>
                             <HStack gap={1}>
                               <Button
                                 size="xs"
@@ -1604,7 +2371,7 @@ export default function Transactions() {
                                 onClick={() => handleRestoreTransaction(transaction.id)}
                                 loading={restoringId === transaction.id}
                               >
-                                Restore
+                                {t('transactions.restore')}
                               </Button>
                               <Button
                                 size="xs"
@@ -1612,7 +2379,7 @@ export default function Transactions() {
                                 colorScheme="red"
                                 onClick={() => handlePermanentDelete(transaction.id)}
                               >
-                                Delete
+                                {t('common.delete')}
                               </Button>
                             </HStack>
                           </Flex>
@@ -1634,40 +2401,57 @@ export default function Transactions() {
                     <Table.Root size="md" w="100%" style={{ tableLayout: 'fixed' }}>
                       <Table.Header>
                         <Table.Row bg={colors.rowStripedBg}>
-                          <Table.ColumnHeader py={4} px={6} w="12%" color={colors.textSecondary}>Date</Table.ColumnHeader>
-                          <Table.ColumnHeader py={4} px={6} w="auto" color={colors.textSecondary}>Description</Table.ColumnHeader>
-                          <Table.ColumnHeader py={4} px={6} textAlign="right" w="12%" color={colors.textSecondary}>Amount</Table.ColumnHeader>
-                          <Table.ColumnHeader py={4} px={6} w="18%" textAlign="center" color={colors.textSecondary}>Actions</Table.ColumnHeader>
+                          <Table.ColumnHeader py={4} pl={6} pr={0} w="48px">
+                            <RowCheckbox
+                              checked={trashedTransactions.length > 0 && trashedTransactions.every(t => selectedIds.has(t.id))}
+                              onToggle={() => toggleSelectAll(trashedTransactions)}
+                              label={t('transactions.selectAllTrash')}
+                            />
+                          </Table.ColumnHeader>
+                          <Table.ColumnHeader py={4} px={6} w="12%" color={colors.textSecondary}>{t('common.date')}</Table.ColumnHeader>
+                          <Table.ColumnHeader py={4} px={6} w="auto" color={colors.textSecondary}>{t('common.description')}</Table.ColumnHeader>
+                          <Table.ColumnHeader py={4} px={6} textAlign="right" w="12%" color={colors.textSecondary}>{t('common.amount')}</Table.ColumnHeader>
+                          <Table.ColumnHeader py={4} px={6} w="18%" textAlign="center" color={colors.textSecondary}>{t('transactions.actions')}</Table.ColumnHeader>
                         </Table.Row>
                       </Table.Header>
                       <Table.Body>
                         {trashedTransactions.length === 0 ? (
                           <Table.Row>
-                            <Table.Cell colSpan={4} textAlign="center" py={12}>
-                              <Text color={colors.textMuted}>Trash is empty</Text>
+                            <Table.Cell colSpan={5} textAlign="center" py={12}>
+                              <Text color={colors.textMuted}>{t('transactions.trashEmpty')}</Text>
                             </Table.Cell>
                           </Table.Row>
                         ) : (
                           trashedTransactions.map((transaction) => (
                             <Table.Row key={transaction.id} bg={colors.cardBg} _hover={{ bg: colors.rowHoverBg }} opacity={0.85}>
+                              <Table.Cell py={4} pl={6} pr={0}>
+                                <RowCheckbox
+                                  checked={selectedIds.has(transaction.id)}
+                                  onToggle={(shiftKey) => toggleSelected(transaction, trashedTransactions, shiftKey)}
+                                  label={t('transactions.select', { description: transaction.description })}
+                                />
+                              </Table.Cell>
                               <Table.Cell py={4} px={6}>
                                 <Text color={colors.textSecondary}>{formatDate(transaction.date)}</Text>
                               </Table.Cell>
                               <Table.Cell py={4} px={6}>
-                                <Text fontWeight="medium" color={colors.textPrimary}>{transaction.category}</Text>
+                                <Text fontWeight="medium" color={colors.textPrimary}>{categoryLabel(transaction)}</Text>
                                 <Text fontSize="sm" color={colors.textSecondary} noOfLines={1}>
                                   {transaction.description}
                                   {transaction.bank && transaction.bank !== transaction.description && (
                                     <Text as="span" color="blue.500" ml={2}>• {transaction.bank}</Text>
                                   )}
                                 </Text>
+                                {purgeLabel(transaction) && (
+                                  <Text fontSize="xs" color={colors.warning} mt={1}>{purgeLabel(transaction)}</Text>
+                                )}
                               </Table.Cell>
                               <Table.Cell textAlign="right" py={4} px={6}>
                                 <Text
                                   fontWeight="bold"
-                                  color={transaction.type === 'income' ? 'green.600' : 'red.600'}
+                                  color={amountColor(transaction)}
                                 >
-                                  {formatAmount(transaction.amount, transaction.type)}
+                                  {formatAmount(transaction)}
                                 </Text>
                               </Table.Cell>
                               <Table.Cell py={4} px={6}>
@@ -1679,7 +2463,7 @@ export default function Transactions() {
                                     onClick={() => handleRestoreTransaction(transaction.id)}
                                     loading={restoringId === transaction.id}
                                   >
-                                    Restore
+                                    {t('transactions.restore')}
                                   </Button>
                                   <Button
                                     size="sm"
@@ -1687,7 +2471,7 @@ export default function Transactions() {
                                     colorScheme="red"
                                     onClick={() => handlePermanentDelete(transaction.id)}
                                   >
-                                    Delete
+                                    {t('common.delete')}
                                   </Button>
                                 </HStack>
                               </Table.Cell>
@@ -1703,6 +2487,25 @@ export default function Transactions() {
           )}
       </VStack>
 
+      {/* Split Transaction Dialog */}
+      <SplitTransactionDialog
+        transaction={splittingTransaction}
+        categories={categories}
+        onSave={handleSaveSplit}
+        onUnsplit={handleUnsplit}
+        onClose={() => setSplittingTransaction(null)}
+      />
+
+      <BulkTagDialog
+        open={!!tagTargets}
+        count={tagTargets?.rows.length || 0}
+        scope={tagTargets?.scope}
+        knownTags={allTags}
+        applying={applyingTags}
+        onApply={handleBulkTag}
+        onClose={() => setTagTargets(null)}
+      />
+
       {/* Delete All Confirmation Dialog */}
       <Dialog.Root open={showDeleteAllDialog} onOpenChange={(e) => !e.open && setShowDeleteAllDialog(false)}>
         <Portal>
@@ -1722,7 +2525,7 @@ export default function Transactions() {
               >
                 <Flex justify="space-between" align="center">
                   <Dialog.Title fontSize="lg" fontWeight="700" color="white">
-                    Remove All Transactions
+                    {t('transactions.removeAllTitle')}
                   </Dialog.Title>
                   <Dialog.CloseTrigger asChild>
                     <CloseButton
@@ -1737,10 +2540,10 @@ export default function Transactions() {
               <Dialog.Body p={6}>
                 <VStack gap={4} align="stretch">
                   <Text color={colors.textPrimary} fontSize="md">
-                    Are you sure you want to move <strong>all {transactions.length} transactions</strong> to trash?
+                    {t('transactions.removeAllConfirm', { count: activeCount })}
                   </Text>
                   <Text color={colors.textSecondary} fontSize="sm">
-                    Transactions will be moved to trash where you can restore them or delete them permanently.
+                    {t('transactions.removeAllHint')}
                   </Text>
                 </VStack>
               </Dialog.Body>
@@ -1752,7 +2555,7 @@ export default function Transactions() {
                     onClick={() => setShowDeleteAllDialog(false)}
                     disabled={deletingAll}
                   >
-                    Cancel
+                    {t('common.cancel')}
                   </Button>
                   <Button
                     colorScheme="red"
@@ -1760,7 +2563,7 @@ export default function Transactions() {
                     loading={deletingAll}
                     loadingText="Moving..."
                   >
-                    Move to Trash
+                    {t('transactions.moveToTrashButton')}
                   </Button>
                 </HStack>
               </Dialog.Footer>
@@ -1788,7 +2591,7 @@ export default function Transactions() {
               >
                 <Flex justify="space-between" align="center">
                   <Dialog.Title fontSize="lg" fontWeight="700" color="white">
-                    Empty Trash
+                    {t('transactions.emptyTrash')}
                   </Dialog.Title>
                   <Dialog.CloseTrigger asChild>
                     <CloseButton
@@ -1803,10 +2606,10 @@ export default function Transactions() {
               <Dialog.Body p={6}>
                 <VStack gap={4} align="stretch">
                   <Text color={colors.textPrimary} fontSize="md">
-                    Are you sure you want to permanently delete <strong>all {trashedTransactions.length} items</strong> in trash?
+                    {t('transactions.emptyTrashConfirm', { count: trashedTransactions.length })}
                   </Text>
                   <Text color={colors.textSecondary} fontSize="sm">
-                    This action cannot be undone. All items will be permanently removed.
+                    {t('transactions.emptyTrashHint')}
                   </Text>
                 </VStack>
               </Dialog.Body>
@@ -1818,7 +2621,7 @@ export default function Transactions() {
                     onClick={() => setShowEmptyTrashDialog(false)}
                     disabled={emptyingTrash}
                   >
-                    Cancel
+                    {t('common.cancel')}
                   </Button>
                   <Button
                     colorScheme="red"
@@ -1826,7 +2629,7 @@ export default function Transactions() {
                     loading={emptyingTrash}
                     loadingText="Deleting..."
                   >
-                    Empty Trash
+                    {t('transactions.emptyTrash')}
                   </Button>
                 </HStack>
               </Dialog.Footer>
@@ -1854,7 +2657,7 @@ export default function Transactions() {
               >
                 <Flex justify="space-between" align="center">
                   <Dialog.Title fontSize="lg" fontWeight="700" color="white">
-                    Restore All Transactions
+                    {t('transactions.restoreAllTitle')}
                   </Dialog.Title>
                   <Dialog.CloseTrigger asChild>
                     <CloseButton
@@ -1869,10 +2672,10 @@ export default function Transactions() {
               <Dialog.Body p={6}>
                 <VStack gap={4} align="stretch">
                   <Text color={colors.textPrimary} fontSize="md">
-                    Are you sure you want to restore <strong>all {trashedTransactions.length} transactions</strong> from trash?
+                    {t('transactions.restoreAllConfirm', { count: trashedTransactions.length })}
                   </Text>
                   <Text color={colors.textSecondary} fontSize="sm">
-                    All transactions will be moved back to your active transactions list.
+                    {t('transactions.restoreAllHint')}
                   </Text>
                 </VStack>
               </Dialog.Body>
@@ -1884,7 +2687,7 @@ export default function Transactions() {
                     onClick={() => setShowRestoreAllDialog(false)}
                     disabled={restoringAll}
                   >
-                    Cancel
+                    {t('common.cancel')}
                   </Button>
                   <Button
                     colorScheme="green"
@@ -1892,7 +2695,7 @@ export default function Transactions() {
                     loading={restoringAll}
                     loadingText="Restoring..."
                   >
-                    Restore All
+                    {t('transactions.restoreAll')}
                   </Button>
                 </HStack>
               </Dialog.Footer>
@@ -1920,7 +2723,7 @@ export default function Transactions() {
               >
                 <Flex justify="space-between" align="center">
                   <Dialog.Title fontSize="lg" fontWeight="700" color="white">
-                    Change Category
+                    {t('transactions.changeCategory')}
                   </Dialog.Title>
                   <Dialog.CloseTrigger asChild>
                     <CloseButton
@@ -1935,10 +2738,10 @@ export default function Transactions() {
               <Dialog.Body p={6}>
                 <VStack gap={4} align="stretch">
                   <Text color={colors.textPrimary} fontSize="md">
-                    Change category to <strong>{pendingCategoryChange?.newCategoryName}</strong>
+                    {t('transactions.changeCategoryTo', { name: pendingCategoryChange?.newCategoryName })}
                   </Text>
                   <Text color={colors.textSecondary} fontSize="sm">
-                    Apply this change only to this transaction, or also update the mapping so future imports with this description are automatically categorized?
+                    {t('transactions.changeCategoryHint')}
                   </Text>
                 </VStack>
               </Dialog.Body>
@@ -1954,7 +2757,7 @@ export default function Transactions() {
                     onClick={() => updateTransactionCategory(false)}
                     disabled={updatingCategory}
                   >
-                    Only this transaction
+                    {t('transactions.onlyThis')}
                   </Button>
                   <Button
                     w="100%"
@@ -1965,7 +2768,7 @@ export default function Transactions() {
                     loading={updatingCategory}
                     loadingText="Updating..."
                   >
-                    Always (update mapping)
+                    {t('transactions.always')}
                   </Button>
                 </VStack>
               </Dialog.Footer>
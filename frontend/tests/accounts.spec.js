@@ -0,0 +1,87 @@
+import { test, expect } from '@playwright/test';
+import { loginUser } from './test-utils.js';
+
+/**
+ * Accounts Tests
+ * Tests for the accounts tab: balances, create/edit dialog and archiving
+ */
+
+test.describe('Accounts', () => {
+  // Login before each test
+  test.beforeEach(async ({ page }) => {
+    await loginUser(page);
+    await page.goto('/accounts');
+  });
+
+  test.describe('Page Layout', () => {
+    test('should display accounts header', async ({ page }) => {
+      await expect(page.locator('h2:has-text("Accounts")')).toBeVisible();
+    });
+
+    test('should display net balance card', async ({ page }) => {
+      await expect(page.locator('text=Net balance')).toBeVisible();
+    });
+
+    test('should display add account button', async ({ page }) => {
+      await expect(page.locator('button:has-text("+ Add Account")')).toBeVisible();
+    });
+
+    test('should highlight the Accounts settings tab', async ({ page }) => {
+      await expect(page.locator('a[href="/accounts"]')).toBeVisible();
+      await expect(page.locator('a[href="/settings"]').first()).toBeVisible();
+    });
+  });
+
+  test.describe('Add Account Dialog', () => {
+    test('should open dialog with account types', async ({ page }) => {
+      await page.click('button:has-text("+ Add Account")');
+
+      await expect(page.locator('text=Add Account').last()).toBeVisible();
+      await expect(page.locator('button:has-text("Chequing")')).toBeVisible();
+      await expect(page.locator('button:has-text("Savings")')).toBeVisible();
+      await expect(page.locator('button:has-text("Credit Card")')).toBeVisible();
+    });
+
+    test('should ask for an opening balance only when creating', async ({ page }) => {
+      await page.click('button:has-text("+ Add Account")');
+      await expect(page.locator('text=Opening balance')).toBeVisible();
+    });
+
+    test('should close dialog', async ({ page }) => {
+      await page.click('button:has-text("+ Add Account")');
+      await page.keyboard.press('Escape');
+      await expect(page.locator('text=Opening balance')).not.toBeVisible();
+    });
+  });
+
+  test.describe('Account Cards', () => {
+    test('should link each account to its transactions', async ({ page }) => {
+      const link = page.locator('a:has-text("Transactions")').first();
+
+      if (await link.isVisible()) {
+        await link.click();
+        await expect(page).toHaveURL(/\/transactions\?account=/);
+      }
+    });
+
+    test('should recompute balances on request', async ({ page }) => {
+      const recompute = page.locator('button:has-text("Recompute balances")');
+
+      if (await recompute.isVisible()) {
+        await recompute.click();
+        await expect(page.locator('text=/Balances recomputed/')).toBeVisible();
+      }
+    });
+
+    test('should open the reconcile dialog with a difference', async ({ page }) => {
+      const reconcile = page.locator('button:has-text("Reconcile")').first();
+
+      if (await reconcile.isVisible()) {
+        await reconcile.click();
+        await expect(page.locator('text=Statement end date')).toBeVisible();
+        await page.fill('input[aria-label="Statement closing balance"]', '0');
+        await expect(page.locator('[data-testid="reconcile-difference"]')).toHaveText(/\$/);
+      }
+    });
+  });
+});
@@ -35,6 +35,15 @@ test.describe('Budget', () => {
       await expect(page.locator('button:has-text("Current")')).toBeVisible();
       await expect(page.locator('button:has-text("Projected")')).toBeVisible();
     });
+
+    test('should check spent totals against transactions', async ({ page }) => {
+      const check = page.locator('button:has-text("Check spent totals")');
+
+      if (await check.isVisible()) {
+        await check.click();
+        await expect(page.locator('text=/Spent totals match|Corrected \\d+ of|nothing to check/')).toBeVisible();
+      }
+    });
   });
 
   test.describe('Budget Summary', () => {
@@ -135,6 +144,32 @@ test.describe('Budget', () => {
       const count = await inputs.count();
       // Setup tab should have input fields
     });
+
+    test('should show a cap input for capped rollover', async ({ page }) => {
+      await page.click('text=Budget Setup');
+      await page.waitForTimeout(500);
+
+      const rollover = page.locator('select[aria-label^="Rollover for"]').first();
+
+      if (await rollover.isVisible()) {
+        await rollover.selectOption('capped');
+        await expect(page.locator('input[aria-label^="Rollover cap for"]').first()).toBeVisible();
+      }
+    });
+
+    test('should show what is left to assign in zero-based mode', async ({ page }) => {
+      await page.click('text=Budget Setup');
+      await page.waitForTimeout(500);
+
+      const zeroBased = page.locator('button:has-text("Zero-based")');
+
+      if (await zeroBased.isVisible()) {
+        await zeroBased.click();
+        const pool = page.locator('[data-testid="to-be-assigned"]');
+        await expect(pool).toBeVisible();
+        await expect(pool.locator('text=/Every dollar is assigned|left to assign|more than this month/')).toBeVisible();
+      }
+    });
   });
 
   test.describe('Month Navigation', () => {
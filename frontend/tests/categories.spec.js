@@ -139,6 +139,25 @@ test.describe('Categories', () => {
       const options = page.locator('[role="option"], [role="listbox"] div');
       // Dropdown should open
     });
+
+    test('should preview matching transactions before applying a mapping', async ({ page }) => {
+      await page.locator('input[placeholder*="GLOBAL PET FOODS"]').fill('PLAYWRIGHT PREVIEW TEST');
+      await page.click('text=Select a category');
+      await page.waitForTimeout(500);
+
+      const option = page.locator('text=Subscriptions').last();
+      if (await option.isVisible()) {
+        await option.click();
+        await page.click('button:has-text("Add Merchant Mapping")');
+
+        // Dry run first: nothing is saved until the preview is applied
+        await expect(page.locator('text=Nothing changes until you apply')).toBeVisible();
+        await expect(page.locator('text=/\\d+ matching/')).toBeVisible();
+        await expect(page.locator('button:has-text("Save Mapping Only")')).toBeVisible();
+        await page.keyboard.press('Escape');
+        await expect(page.locator('text=Nothing changes until you apply')).not.toBeVisible();
+      }
+    });
   });
 
   test.describe('Category Deletion', () => {
@@ -181,4 +200,30 @@ test.describe('Categories', () => {
       await expect(incomeTab).toBeVisible();
     });
   });
+
+  test.describe('Categorization Rules', () => {
+    test('should show the rules tab', async ({ page }) => {
+      await page.getByRole('button', { name: 'Rules', exact: true }).click();
+      await expect(page.locator('text=Categorization Rules')).toBeVisible();
+      await expect(page.getByRole('button', { name: '+ New Rule' })).toBeVisible();
+    });
+
+    test('should not save a rule without conditions or actions', async ({ page }) => {
+      await page.getByRole('button', { name: 'Rules', exact: true }).click();
+      await page.getByRole('button', { name: '+ New Rule' }).click();
+
+      await page.getByLabel('Rule name').fill('Streaming');
+      await expect(page.locator('text=Add at least one condition')).toBeVisible();
+      await expect(page.getByRole('button', { name: 'Save Rule' })).toBeDisabled();
+
+      await page.getByLabel('Description matches (regex)').fill('^(NETFLIX');
+      await expect(page.locator('text=not a valid regular expression')).toBeVisible();
+
+      await page.getByLabel('Description matches (regex)').fill('^NETFLIX');
+      await expect(page.locator('text=Add at least one action')).toBeVisible();
+
+      await page.getByLabel('Rename payee to').fill('Netflix');
+      await expect(page.getByRole('button', { name: 'Save Rule' })).toBeEnabled();
+    });
+  });
 });
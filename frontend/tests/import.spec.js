@@ -116,6 +116,139 @@ test.describe('Import Transactions', () => {
     test('should display choose file button', async ({ page }) => {
       await expect(page.locator('text=Choose File')).toBeVisible();
     });
+
+    test('should accept OFX, QFX and QIF statements', async ({ page }) => {
+      await expect(page.locator('input[type="file"]')).toHaveAttribute('accept', '.csv,.ofx,.qfx,.qif');
+    });
+
+    test('should preview an OFX statement', async ({ page }) => {
+      const ofx = [
+        'OFXHEADER:100',
+        '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+        '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20261015<TRNAMT>-45.67<FITID>TEST-1<NAME>COSTCO WHOLESALE</STMTTRN>',
+        '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>',
+      ].join('\n');
+
+      await page.locator('input[type="file"]').setInputFiles({
+        name: 'statement.ofx',
+        mimeType: 'application/x-ofx',
+        buffer: Buffer.from(ofx),
+      });
+
+      await expect(page.locator('text=Import Summary')).toBeVisible();
+      await expect(page.locator('text=COSTCO WHOLESALE').first()).toBeVisible();
+    });
+
+    test('should read a comma-decimal OFX amount', async ({ page }) => {
+      const ofx = [
+        'OFXHEADER:100',
+        '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+        '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20261015<TRNAMT>-45,67<FITID>TEST-2<NAME>BOULANGERIE</STMTTRN>',
+        '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>',
+      ].join('\n');
+
+      await page.locator('input[type="file"]').setInputFiles({
+        name: 'statement.ofx',
+        mimeType: 'application/x-ofx',
+        buffer: Buffer.from(ofx),
+      });
+
+      await expect(page.locator('text=BOULANGERIE').first()).toBeVisible();
+      await expect(page.locator('text=/45\\.67/').first()).toBeVisible();
+      await expect(page.locator('text=/4,?567/')).toHaveCount(0);
+    });
+
+    test('should read an OFX amount with dot thousands and a comma decimal', async ({ page }) => {
+      const ofx = [
+        'OFXHEADER:100',
+        '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+        '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20261015<TRNAMT>-1.234,56<FITID>TEST-3<NAME>MEUBLES DUPONT</STMTTRN>',
+        '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>',
+      ].join('\n');
+
+      await page.locator('input[type="file"]').setInputFiles({
+        name: 'statement.ofx',
+        mimeType: 'application/x-ofx',
+        buffer: Buffer.from(ofx),
+      });
+
+      await expect(page.locator('text=MEUBLES DUPONT').first()).toBeVisible();
+      await expect(page.locator('text=/1,?234\\.56/').first()).toBeVisible();
+    });
+
+    test('should read apostrophe QIF dates and skip unreadable ones', async ({ page }) => {
+      const qif = [
+        '!Type:Bank',
+        "D12/31' 4", 'T-12.00', 'PQIF SHOP', '^',
+        'D45/99/2024', 'T-8.00', 'PBAD DATE ROW', '^',
+      ].join('\n');
+
+      await page.locator('input[type="file"]').setInputFiles({
+        name: 'statement.qif',
+        mimeType: 'application/qif',
+        buffer: Buffer.from(qif),
+      });
+
+      await expect(page.locator('text=QIF SHOP').first()).toBeVisible();
+      await expect(page.locator('text=/2004/').first()).toBeVisible();
+      await expect(page.locator('text=BAD DATE ROW')).toHaveCount(0);
+    });
+
+    test('should ask for a column mapping for a new CSV layout', async ({ page }) => {
+      const csv = 'Posted,Payee,Withdrawals,Deposits\n15/10/2026,COSTCO WHOLESALE,45.67,\n16/10/2026,PAYROLL,,1000.00\n';
+
+      await page.locator('input[type="file"]').setInputFiles({
+        name: 'statement.csv',
+        mimeType: 'text/csv',
+        buffer: Buffer.from(csv),
+      });
+
+      if (await page.locator('text=Map CSV columns').isVisible()) {
+        await expect(page.locator('select[aria-label="Date format"]')).toHaveValue('DMY');
+        await expect(page.locator('button:has-text("Separate debit / credit columns")')).toBeVisible();
+        await expect(page.locator('text=Preview (first 2 rows)')).toBeVisible();
+      }
+    });
+
+    test('should categorize a refund by its merchant mapping', async ({ page }) => {
+      await page.goto('/categories');
+      await page.locator('input[placeholder*="GLOBAL PET FOODS"]').fill('PLAYWRIGHT REFUND SHOP');
+      await page.click('text=Select a category');
+      await page.waitForTimeout(500);
+
+      const option = page.locator('text=Subscriptions').last();
+      if (await option.isVisible()) {
+        await option.click();
+        await page.click('button:has-text("Add Merchant Mapping")');
+        await page.click('button:has-text("Save Mapping Only")');
+
+        await page.goto('/import');
+        const csv = 'Date,Description,Amount,Type\n2026-10-15,PLAYWRIGHT REFUND SHOP,12.00,refund\n';
+        await page.locator('input[type="file"]').setInputFiles({
+          name: 'refund.csv',
+          mimeType: 'text/csv',
+          buffer: Buffer.from(csv),
+        });
+        if (await page.locator('text=Map CSV columns').isVisible()) {
+          await page.click('button:has-text("Continue")');
+        }
+
+        // The mapping is for an expense category; the refund goes back to it
+        await expect(page.locator('text=PLAYWRIGHT REFUND SHOP').first()).toBeVisible();
+        await expect(page.locator('text=Subscriptions (refund)').first()).toBeVisible();
+      }
+    });
+
+    test('should offer merge, keep both and discard for a possible duplicate', async ({ page }) => {
+      const queue = page.locator('text=Possible duplicates');
+
+      if (await queue.isVisible()) {
+        await expect(page.locator('text=Already recorded').first()).toBeVisible();
+        await expect(page.locator('button:has-text("Merge")').first()).toBeVisible();
+        await expect(page.locator('button:has-text("Keep both")').first()).toBeVisible();
+        await expect(page.locator('button:has-text("Discard")').first()).toBeVisible();
+      }
+    });
   });
 
   test.describe('Form Interactions', () => {
@@ -180,6 +313,23 @@ test.describe('Import Transactions', () => {
     });
   });
 
+  test.describe('Import History', () => {
+    test('should open import history from the settings tabs', async ({ page }) => {
+      await page.click('a:has-text("Import History")');
+      await expect(page).toHaveURL('/import-history');
+      await expect(page.locator('h2:has-text("Import History")')).toBeVisible();
+    });
+
+    test('should show a batch\'s transactions', async ({ page }) => {
+      await page.goto('/import-history');
+      const batch = page.locator('[data-testid="import-batch"]').first();
+      if (await batch.isVisible()) {
+        await batch.locator('button:has-text("View")').click();
+        await expect(batch.locator('button:has-text("Hide")')).toBeVisible();
+      }
+    });
+  });
+
   test.describe('Navigation', () => {
     test('should navigate to import from dashboard', async ({ page }) => {
       await page.goto('/dashboard');
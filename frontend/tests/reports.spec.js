@@ -135,6 +135,14 @@ test.describe('Reports', () => {
     });
   });
 
+  test.describe('Tag Breakdown', () => {
+    test('should display tag breakdown with a date range', async ({ page }) => {
+      await expect(page.locator('text=Tag Breakdown')).toBeVisible();
+      await expect(page.locator('input[aria-label="Tag breakdown from"]')).toBeVisible();
+      await expect(page.locator('input[aria-label="Tag breakdown to"]')).toBeVisible();
+    });
+  });
+
   test.describe('Monthly Breakdown Table', () => {
     test('should display monthly breakdown section', async ({ page }) => {
       await expect(page.locator('text=Monthly Breakdown')).toBeVisible();
@@ -80,6 +80,72 @@ test.describe('Settings', () => {
     });
   });
 
+  test.describe('Currencies Section', () => {
+    test('should display base currency choices', async ({ page }) => {
+      await expect(page.locator('text=Base currency')).toBeVisible();
+      await expect(page.locator('button:has-text("CAD")')).toBeVisible();
+      await expect(page.locator('button:has-text("USD")')).toBeVisible();
+    });
+
+    test('should reject an exchange rate without a date', async ({ page }) => {
+      const addButton = page.locator('button:has-text("Add rate")');
+
+      if (await addButton.isVisible()) {
+        await page.fill('input[aria-label="From currency"]', 'USD');
+        await page.fill('input[aria-label="To currency"]', 'CAD');
+        await page.fill('input[aria-label="Rate"]', '1.37');
+        await addButton.click();
+        await expect(page.locator('text=Enter a date, two different 3-letter currency codes')).toBeVisible();
+      }
+    });
+  });
+
+  test.describe('Display Preferences Section', () => {
+    test('should display format and week choices', async ({ page }) => {
+      await expect(page.locator('text=Display Preferences')).toBeVisible();
+      await expect(page.locator('text=Number format')).toBeVisible();
+      await expect(page.locator('text=First day of the week')).toBeVisible();
+      await expect(page.locator('button:has-text("Monday")')).toBeVisible();
+    });
+
+    test('should save a date format', async ({ page }) => {
+      const isoButton = page.locator('button:has-text("2026-10-19")');
+
+      if (await isoButton.isVisible()) {
+        await isoButton.click();
+        await expect(page.locator('text=Preferences saved')).toBeVisible();
+        // Put the default back
+        await page.locator('button:has-text("Oct 19, 2026")').click();
+      }
+    });
+
+    test('should switch the interface to French and back', async ({ page }) => {
+      const frenchButton = page.locator('button:has-text("Français")');
+
+      if (await frenchButton.isVisible()) {
+        await frenchButton.click();
+        await expect(page.locator("text=Préférences d'affichage")).toBeVisible();
+        await expect(page.locator('text=Langue changée pour le français')).toBeVisible();
+        // Put English back
+        await page.locator('button:has-text("English")').click();
+        await expect(page.locator('text=Display Preferences')).toBeVisible();
+      }
+    });
+  });
+
+  test.describe('Trash Section', () => {
+    test('should save a trash retention and put it back', async ({ page }) => {
+      const thirtyDays = page.locator('button:has-text("30 days")');
+
+      if (await thirtyDays.isVisible()) {
+        await thirtyDays.click();
+        await expect(page.locator('text=Trash retention saved')).toBeVisible();
+        // Put the default back
+        await page.locator('button:has-text("Until I empty the trash")').click();
+      }
+    });
+  });
+
   test.describe('Notification Enable Flow', () => {
     test('should click enable notifications button', async ({ page }) => {
       const enableButton = page.locator('button:has-text("Enable Notifications")');
@@ -58,6 +58,27 @@ test.describe('Transactions', () => {
     test('should display period total', async ({ page }) => {
       await expect(page.locator('text=/Period total|Total/')).toBeVisible();
     });
+
+    test('should suggest search fields and explain mistakes', async ({ page }) => {
+      const search = page.locator('input[aria-label="Search transactions"]');
+      await search.fill('cat');
+      await expect(page.locator('[role="option"]:has-text("category:")')).toBeVisible();
+
+      await search.fill('amount:abc');
+      await expect(page.locator('text=/amount:abc - use an amount/')).toBeVisible();
+    });
+
+    test('should load the next page of a long list', async ({ page }) => {
+      await page.waitForTimeout(2000);
+
+      // Only shown when the filtered set is longer than one page
+      const loadMore = page.locator('button:has-text("Load more")');
+      if (await loadMore.isVisible()) {
+        const before = await loadMore.textContent();
+        await loadMore.click();
+        await expect(loadMore).not.toHaveText(before);
+      }
+    });
   });
 
   test.describe('Transaction Filtering', () => {
@@ -91,6 +112,16 @@ test.describe('Transactions', () => {
       // Check for month options
       await page.waitForTimeout(500);
     });
+
+    test('should keep filters in the URL across a reload', async ({ page }) => {
+      const search = page.locator('input[aria-label="Search transactions"]');
+      await search.fill('Mortgage');
+      await expect(page).toHaveURL(/q=Mortgage/);
+
+      await page.reload();
+      await expect(search).toHaveValue('Mortgage');
+      await expect(page.locator('button:has-text("Views")')).toBeVisible();
+    });
   });
 
   test.describe('Add Transaction Page', () => {
@@ -121,6 +152,21 @@ test.describe('Transactions', () => {
       await expect(page.locator('text=Description')).toBeVisible();
     });
 
+    test('should add tags as chips', async ({ page }) => {
+      const tagInput = page.locator('input[aria-label="Tags"]');
+      await tagInput.fill('Vacation 2026');
+      await tagInput.press('Enter');
+
+      await expect(page.locator('button[aria-label="Remove tag Vacation 2026"]')).toBeVisible();
+      await expect(tagInput).toHaveValue('');
+    });
+
+    test('should offer a currency other than the account\'s', async ({ page }) => {
+      await expect(page.locator('text=Currency')).toBeVisible();
+      await expect(page.locator('button[title="Euro"]')).toBeVisible();
+      await expect(page.locator('text=Paid in a currency other than the account')).toBeVisible();
+    });
+
     test('should display date picker', async ({ page }) => {
       await expect(page.locator('text=Date')).toBeVisible();
       await expect(page.locator('input[type="date"]')).toBeVisible();
@@ -149,6 +195,28 @@ test.describe('Transactions', () => {
       await expect(page.locator('button:has-text("Add Expense")')).toBeVisible();
     });
 
+    test('should offer transfers only with more than one account', async ({ page }) => {
+      const transfer = page.locator('button:has-text("Transfer")').first();
+
+      if (await transfer.isVisible()) {
+        await transfer.click();
+
+        await expect(page.locator('button:has-text("Add Transfer")')).toBeVisible();
+        await expect(page.locator('text=Select a category')).not.toBeVisible();
+      }
+    });
+
+    test('should offer the original purchase for a refund', async ({ page }) => {
+      const refund = page.locator('button:has-text("Refund")').first();
+
+      if (await refund.isVisible()) {
+        await refund.click();
+
+        await expect(page.locator('button:has-text("Add Refund")')).toBeVisible();
+        await expect(page.locator('text=Original purchase')).toBeVisible();
+      }
+    });
+
     test('should open category dropdown', async ({ page }) => {
       await page.click('text=Select a category');
 
@@ -232,5 +300,47 @@ test.describe('Transactions', () => {
         await page.waitForTimeout(500);
       }
     });
+
+    test('should open split dialog from category picker', async ({ page }) => {
+      await page.goto('/transactions');
+      await page.waitForTimeout(2000);
+
+      const category = page.locator('[title="Click to change category"]').first();
+      if (await category.isVisible()) {
+        await category.click();
+        await page.locator('text=▼').first().click();
+        await page.click('text=Split across categories…');
+
+        await expect(page.locator('text=Split Transaction')).toBeVisible();
+        await expect(page.locator('text=Left to allocate')).toBeVisible();
+      }
+    });
+
+    test('should show bulk actions for selected rows', async ({ page }) => {
+      await page.goto('/transactions');
+      await page.waitForTimeout(2000);
+
+      const rowCheckbox = page.locator('input[aria-label^="Select "]:not([aria-label^="Select all"])').first();
+      if (await rowCheckbox.isVisible()) {
+        await rowCheckbox.check();
+        await expect(page.locator('text=1 selected')).toBeVisible();
+        await expect(page.locator('button:has-text("Delete 1")')).toBeVisible();
+
+        await page.click('button:has-text("Clear")');
+        await expect(page.locator('text=1 selected')).not.toBeVisible();
+      }
+    });
+
+    test('should confirm a suggested category before applying it', async ({ page }) => {
+      await page.goto('/transactions');
+      await page.waitForTimeout(2000);
+
+      // Chips only appear on uncategorized rows the model recognises
+      const chip = page.locator('button[title^="Set category to"]').first();
+      if (await chip.isVisible()) {
+        await chip.click();
+        await expect(page.locator('text=Change Category')).toBeVisible();
+      }
+    });
   });
 });
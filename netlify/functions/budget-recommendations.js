@@ -2,6 +2,12 @@
 // Analyzes historical spending data and provides actionable budget suggestions
 
 import { createClient } from '@supabase/supabase-js';
+// Shared with the app; esbuild bundles the message catalogs into the function
+import { translate } from '../../frontend/src/lib/i18n.js';
+import { SPENDING_TYPES, spendingAmount } from '../../frontend/src/lib/refunds.js';
+import { loadCarriedBalances } from '../../frontend/src/lib/budgetRollover.js';
+import { expandSplits } from '../../frontend/src/lib/splits.js';
+import { DEFAULT_CURRENCY, createConverter, convertTransactions } from '../../frontend/src/lib/currency.js';
 
 // Create Supabase client with service role key for bypassing RLS
 const supabase = createClient(
@@ -71,6 +77,26 @@ export async function handler(event) {
 
     const userId = user.id;
 
+    // Base currency and exchange rates, for converting spending in other currencies, and the
+    // language and number locale the messages are written in
+    const [{ data: settings }, { data: rates, error: ratesError }] = await Promise.all([
+      supabase.from('user_settings').select('base_currency, number_locale, language').eq('user_id', userId).maybeSingle(),
+      supabase.from('exchange_rates').select('rate_date, from_currency, to_currency, rate').eq('user_id', userId),
+    ]);
+    if (ratesError) throw ratesError;
+    const baseCurrency = settings?.base_currency || DEFAULT_CURRENCY;
+    // Amounts in another currency count in the base currency, at their date's rate
+    const converter = createConverter(baseCurrency, rates || []);
+    const numberLocale = settings?.number_locale || 'en-US';
+    const language = settings?.language || 'en';
+    const t = (key, values) => translate(language, key, values);
+    const formatMoney = (amount, digits = 2) => new Intl.NumberFormat(numberLocale, {
+      style: 'currency',
+      currency: baseCurrency,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    }).format(amount);
+
     // Parse optional month parameter (format: YYYY-MM)
     // If not provided, defaults to current month
     const queryParams = event.queryStringParameters || {};
@@ -87,9 +113,9 @@ export async function handler(event) {
 
       const { data: transactions, error: txError } = await supabase
         .from('transactions')
-        .select('category_id, amount, date, categories(id, name)')
+        .select('category_id, type, amount, currency, date, categories(id, name), transaction_splits(category_id, amount, categories(id, name))')
         .eq('user_id', userId)
-        .eq('type', 'expense')
+        .in('type', SPENDING_TYPES) // Also keeps transfers between accounts out of spending
         .gte('date', sixMonthsAgoStr)
         .is('deleted_at', null);
 
@@ -98,13 +124,13 @@ export async function handler(event) {
       // Group transactions by category and month
       const categoryMonthlyData = {};
 
-      (transactions || []).forEach(tx => {
+      expandSplits(convertTransactions(converter, transactions)).forEach(tx => {
         if (!tx.category_id || !tx.categories) return;
 
         const categoryId = tx.category_id;
         const categoryName = tx.categories.name;
         const month = tx.date.substring(0, 7); // YYYY-MM
-        const amount = Math.abs(Number(tx.amount));
+        const amount = spendingAmount(tx); // Refunds take back spending
 
         if (!categoryMonthlyData[categoryId]) {
           categoryMonthlyData[categoryId] = {
@@ -122,7 +148,8 @@ export async function handler(event) {
 
       // Calculate statistics for each category
       categorySpending = Object.values(categoryMonthlyData).map(cat => {
-        const monthlyAmounts = Object.values(cat.months);
+        // A month with only a refund (of last month's purchase) spent nothing, not less
+        const monthlyAmounts = Object.values(cat.months).map(amount => Math.max(0, amount));
         const monthsWithData = monthlyAmounts.length;
 
         if (monthsWithData === 0) {
@@ -276,13 +303,20 @@ export async function handler(event) {
       });
     }
 
+    // What rolling categories carry in from earlier months (budget rollover)
+    const carried = await loadCarriedBalances(supabase, userId, targetMonthStart.slice(0, 7));
+    Object.entries(budgetLimits).forEach(([categoryId, budget]) => {
+      budget.carried = carried[categoryId] || 0;
+      budget.available = budget.limit + budget.carried;
+    });
+
     // Calculate actual spent amounts from the target month's transactions
     const endOfTargetMonth = `${targetYear}-${String(targetMonth).padStart(2, '0')}-${new Date(targetYear, targetMonth, 0).getDate()}`;
     const { data: targetMonthTx, error: targetTxError } = await supabase
       .from('transactions')
-      .select('category_id, amount')
+      .select('category_id, type, amount, currency, date, transaction_splits(category_id, amount)')
       .eq('user_id', userId)
-      .eq('type', 'expense')
+      .in('type', SPENDING_TYPES)
       .gte('date', targetMonthStart)
       .lte('date', endOfTargetMonth)
       .is('deleted_at', null);
@@ -290,9 +324,9 @@ export async function handler(event) {
     if (targetTxError) throw targetTxError;
 
     // Sum up spent by category
-    (targetMonthTx || []).forEach(tx => {
+    expandSplits(convertTransactions(converter, targetMonthTx)).forEach(tx => {
       if (tx.category_id && budgetLimits[tx.category_id]) {
-        budgetLimits[tx.category_id].spent += Math.abs(Number(tx.amount || 0));
+        budgetLimits[tx.category_id].spent += spendingAmount({ ...tx, amount: tx.amount || 0 });
       }
     });
 
@@ -447,7 +481,11 @@ export async function handler(event) {
             currentBudget: 0,
             avgSpending: avgSpending,
             suggestedBudget: suggestedBudget,
-            message: `You spend an average of $${avgSpending.toFixed(2)}/month on ${spending.category_name}, but have no budget set. Consider setting a limit of $${suggestedBudget}.`,
+            message: t('recommendations.msgNoBudget', {
+              category: spending.category_name,
+              average: formatMoney(avgSpending),
+              suggested: formatMoney(suggestedBudget, 0),
+            }),
             stats: {
               min: spending.min_monthly,
               max: spending.max_monthly,
@@ -472,7 +510,12 @@ export async function handler(event) {
           currentBudget: budgetLimit,
           avgSpending: avgSpending,
           suggestedBudget: suggestedBudget,
-          message: `You typically spend $${avgSpending.toFixed(2)}/month on ${spending.category_name}, but your budget is only $${budgetLimit.toFixed(2)}. Consider increasing to $${suggestedBudget}.`,
+          message: t('recommendations.msgUnderfunded', {
+            category: spending.category_name,
+            average: formatMoney(avgSpending),
+            budget: formatMoney(budgetLimit),
+            suggested: formatMoney(suggestedBudget, 0),
+          }),
           stats: {
             min: spending.min_monthly,
             max: spending.max_monthly,
@@ -496,7 +539,13 @@ export async function handler(event) {
           currentBudget: budgetLimit,
           avgSpending: avgSpending,
           suggestedBudget: suggestedBudget,
-          message: `Your ${spending.category_name} budget of $${budgetLimit.toFixed(2)} is more than double your average spending of $${avgSpending.toFixed(2)}/month. Consider reducing to $${suggestedBudget} to reallocate $${savings.toFixed(2)}.`,
+          message: t('recommendations.msgOverfunded', {
+            category: spending.category_name,
+            budget: formatMoney(budgetLimit),
+            average: formatMoney(avgSpending),
+            suggested: formatMoney(suggestedBudget, 0),
+            savings: formatMoney(savings),
+          }),
           stats: {
             min: spending.min_monthly,
             max: spending.max_monthly,
@@ -519,7 +568,12 @@ export async function handler(event) {
             currentBudget: budgetLimit,
             avgSpending: avgSpending,
             suggestedBudget: suggestedBudget,
-            message: `Your ${spending.category_name} spending varies significantly ($${spending.min_monthly.toFixed(2)} - $${spending.max_monthly.toFixed(2)}). Consider a budget of $${suggestedBudget} to account for fluctuations.`,
+            message: t('recommendations.msgVariance', {
+              category: spending.category_name,
+              min: formatMoney(spending.min_monthly),
+              max: formatMoney(spending.max_monthly),
+              suggested: formatMoney(suggestedBudget, 0),
+            }),
             stats: {
               min: spending.min_monthly,
               max: spending.max_monthly,
@@ -545,7 +599,13 @@ export async function handler(event) {
               avgSpending: avgSpending,
               suggestedBudget: suggestedBudget,
               trendPercent: Math.round(trendPercent),
-              message: `Your ${spending.category_name} spending has increased ${Math.round(trendPercent)}% over the last 3 months (from $${spending.prior_3_avg.toFixed(2)} to $${spending.recent_3_avg.toFixed(2)}/month). Consider adjusting your budget to $${suggestedBudget}.`,
+              message: t('recommendations.msgTrending', {
+                category: spending.category_name,
+                percent: Math.round(trendPercent),
+                from: formatMoney(spending.prior_3_avg),
+                to: formatMoney(spending.recent_3_avg),
+                suggested: formatMoney(suggestedBudget, 0),
+              }),
               stats: {
                 min: spending.min_monthly,
                 max: spending.max_monthly,
@@ -562,17 +622,18 @@ export async function handler(event) {
     }
 
     // Helper function for formatting currency in messages
-    const formatCurrency = (amount) => '$' + Math.round(amount).toLocaleString();
+    const formatCurrency = (amount) => formatMoney(Math.round(amount), 0);
 
     // Rule 6: Potential Savings - Show remaining budget for categories WITHOUT recurring payments
     // Only show discretionary categories where user can choose to save
+    // Measured against what's available, including anything rolled over
     for (const [categoryId, budget] of Object.entries(budgetLimits)) {
-      if (budget.limit <= 0) continue;
+      if (budget.available <= 0) continue;
 
       // Skip categories that have recurring payments - those are committed expenses
       if (categoriesWithRecurring.has(categoryId)) continue;
 
-      const remaining = budget.limit - budget.spent;
+      const remaining = budget.available - budget.spent;
       const availableToSave = remaining; // No recurring to subtract since we filtered them out
 
       // Only show if there's savings potential (at least $1)
@@ -584,13 +645,18 @@ export async function handler(event) {
           categoryName: budget.name,
           type: RECOMMENDATION_TYPES.POTENTIAL_SAVINGS,
           priority: availableToSave > 100 ? PRIORITY.MEDIUM : PRIORITY.LOW,
-          currentBudget: budget.limit,
+          currentBudget: budget.available,
+          carried: budget.carried,
           spent: budget.spent,
           remaining,
           upcomingRecurring: 0,
           availableToSave,
           hasRecurring: false,
-          message: `You have ${formatCurrency(remaining)} left in ${budget.name} this month. If you don't spend it all, you could save up to ${formatCurrency(availableToSave)}.`,
+          message: t('recommendations.msgSavings', {
+            category: budget.name,
+            remaining: formatCurrency(remaining),
+            available: formatCurrency(availableToSave),
+          }),
           stats: spending ? {
             avgSpending: spending.avg_monthly,
             monthsAnalyzed: spending.months_with_data,
@@ -2,6 +2,12 @@
 // Receives transaction data from Google Apps Script when new rows are added
 
 import { createClient } from '@supabase/supabase-js';
+// Shared with the app; esbuild bundles these into the function
+import { loadCompiledRules, categorizeWithRules } from '../../frontend/src/lib/rulesEngine.js';
+import { toTransferRows } from '../../frontend/src/lib/transfers.js';
+import { suggestRefunds } from '../../frontend/src/lib/refunds.js';
+import { holdSuspectedDuplicates } from '../../frontend/src/lib/duplicates.js';
+import { createImportBatch, failImportBatch, withImportBatch } from '../../frontend/src/lib/importBatches.js';
 
 // Create Supabase client with service role key for bypassing RLS
 const supabase = createClient(
@@ -80,8 +86,10 @@ async function filterOutRecurringDuplicates(transactions, userId) {
   )));
 }
 
-// Helper: Parse date string into YYYY-MM-DD format
-function parseDate(dateStr) {
+// Helper: Parse date string into YYYY-MM-DD format. An ambiguous slash date (03/04/2026)
+// follows the user's import date order: 'MDY' (March 4) or 'DMY' (3 April).
+// Keep in sync with parseDate in frontend/src/lib/importUtils.js
+function parseDate(dateStr, dateOrder = 'MDY') {
   if (!dateStr) return null;
 
   // Remove quotes
@@ -109,6 +117,8 @@ function parseDate(dateStr) {
       return `${fullYear}-${second.padStart(2, '0')}-${first.padStart(2, '0')}`;
     } else if (secondNum > 12) {
       return `${fullYear}-${first.padStart(2, '0')}-${second.padStart(2, '0')}`;
+    } else if (dateOrder === 'DMY') {
+      return `${fullYear}-${second.padStart(2, '0')}-${first.padStart(2, '0')}`;
     } else {
       return `${fullYear}-${first.padStart(2, '0')}-${second.padStart(2, '0')}`;
     }
@@ -128,7 +138,7 @@ function parseDate(dateStr) {
   return null;
 }
 
-// Helper: Parse amount string into number
+// Helper: Parse amount string into a signed number; a negative expense is a refund
 function parseAmount(amountStr) {
   if (!amountStr) return NaN;
 
@@ -138,87 +148,46 @@ function parseAmount(amountStr) {
     .replace(/[()]/g, '-')
     .trim();
 
-  const amount = parseFloat(cleaned);
-  return Math.abs(amount);
+  return parseFloat(cleaned);
 }
 
-// Helper: Categorize transactions using merchant mappings
-async function categorizeTransactions(transactions, userId) {
-  // Fetch merchant mappings
-  const { data: mappings, error: mappingsError } = await supabase
-    .from('merchant_mappings')
-    .select('transaction_description, category_name')
-    .eq('user_id', userId);
-
-  if (mappingsError) {
-    console.error('Error fetching mappings:', mappingsError);
-    return transactions.map(t => ({ ...t, category: t.type === 'income' ? null : 'Unexpected' }));
-  }
-
-  // Fetch categories
-  const { data: categories, error: catError } = await supabase
-    .from('categories')
-    .select('name, type')
-    .eq('user_id', userId);
+// Helper: Read a row's type. Money back on an expense row (a negative amount) is a refund.
+function parseType(type, amount) {
+  const value = String(type || 'expense').toLowerCase();
+  if (value === 'income' || value === 'refund') return value;
+  return amount < 0 ? 'refund' : 'expense';
+}
 
-  if (catError) {
-    console.error('Error fetching categories:', catError);
-    return transactions.map(t => ({ ...t, category: t.type === 'income' ? null : 'Unexpected' }));
+// Helper: Categorize transactions with the user's categorization rules (merchant mappings last)
+async function categorizeTransactions(transactions, userId) {
+  try {
+    const compiledRules = await loadCompiledRules(supabase, userId);
+    return categorizeWithRules(transactions, compiledRules);
+  } catch (error) {
+    console.error('Error loading categorization rules:', error);
+    return categorizeWithRules(transactions, []);
   }
-
-  // Build category sets
-  const incomeCategoryNames = new Set(categories.filter(c => c.type === 'income').map(c => c.name));
-  const expenseCategoryNames = new Set(categories.filter(c => c.type === 'expense').map(c => c.name));
-
-  // Build mapping arrays
-  const expenseMappings = [];
-  const incomeMappings = [];
-
-  (mappings || []).forEach(m => {
-    const mapping = { pattern: m.transaction_description.toUpperCase(), category: m.category_name };
-    if (incomeCategoryNames.has(m.category_name)) {
-      incomeMappings.push(mapping);
-    } else if (expenseCategoryNames.has(m.category_name)) {
-      expenseMappings.push(mapping);
-    }
-  });
-
-  // Sort by pattern length (longest first)
-  expenseMappings.sort((a, b) => b.pattern.length - a.pattern.length);
-  incomeMappings.sort((a, b) => b.pattern.length - a.pattern.length);
-
-  // Categorize each transaction
-  return transactions.map(t => {
-    const normalizedDesc = t.description.toUpperCase().trim().replace(/\s+/g, ' ');
-    const isIncome = t.type === 'income';
-    const mappingsToUse = isIncome ? incomeMappings : expenseMappings;
-    let category = isIncome ? null : 'Unexpected';
-
-    for (const mapping of mappingsToUse) {
-      if (normalizedDesc.includes(mapping.pattern)) {
-        category = mapping.category;
-        break;
-      }
-    }
-
-    return { ...t, category };
-  });
 }
 
-// Helper: Get or create default account
-async function getOrCreateAccount(userId) {
+// Helper: Resolve the account imports write to — the one picked on the Import page if it is
+// still active, otherwise the first active account, created if the user has none.
+// Keep in sync with getOrCreateAccountId in frontend/src/lib/accounts.js.
+async function getOrCreateAccount(userId, preferredId) {
   const { data: accounts, error: accountError } = await supabase
     .from('accounts')
     .select('id')
     .eq('user_id', userId)
-    .limit(1);
+    .is('archived_at', null)
+    .order('created_at', { ascending: true });
 
   if (accountError) throw accountError;
 
+  if (preferredId && accounts?.some(a => a.id === preferredId)) return preferredId;
+
   if (!accounts || accounts.length === 0) {
     const { data: newAccount, error: createError } = await supabase
       .from('accounts')
-      .insert({ user_id: userId, name: 'Main Account', balance: 0 })
+      .insert({ user_id: userId, name: 'Main Account', type: 'chequing', balance: 0 })
       .select()
       .single();
 
@@ -269,7 +238,7 @@ export async function handler(event) {
     // Verify webhook secret
     const { data: settings, error: settingsError } = await supabase
       .from('user_settings')
-      .select('webhook_secret')
+      .select('webhook_secret, import_account_id, import_date_order')
       .eq('user_id', userId)
       .single();
 
@@ -290,15 +259,21 @@ export async function handler(event) {
     }
 
     // Parse and validate transactions
-    const validTransactions = transactions
-      .map(tx => ({
-        date: parseDate(tx.date),
+    const parsedTransactions = transactions.map(tx => {
+      const amount = parseAmount(tx.amount);
+      return {
+        date: parseDate(tx.date, settings.import_date_order),
         description: String(tx.description || '').trim(),
-        amount: parseAmount(tx.amount),
+        amount: Math.abs(amount),
         bank: String(tx.bank || '').trim(),
-        type: String(tx.type || 'expense').toLowerCase() === 'income' ? 'income' : 'expense',
-      }))
-      .filter(tx => tx.date && tx.description && !isNaN(tx.amount) && tx.amount > 0);
+        type: parseType(tx.type, amount),
+      };
+    });
+    const isValid = (tx) => tx.date && tx.description && !isNaN(tx.amount) && tx.amount > 0;
+    const validTransactions = parsedTransactions.filter(isValid);
+    const rowErrors = parsedTransactions
+      .map((tx, index) => (isValid(tx) ? null : `Row ${index + 1}: missing date, description or amount`))
+      .filter(Boolean);
 
     if (validTransactions.length === 0) {
       return {
@@ -321,8 +296,19 @@ export async function handler(event) {
       (existingTransactions || []).map(t => createSignature(t))
     );
 
-    // Filter out duplicates
-    const notAlreadyImported = validTransactions.filter(t => !existingSet.has(createSignature(t)));
+    // Categorize first: rules may rename rows, and duplicates are matched on the stored name.
+    // Refunds then take the category of the purchase they most likely return.
+    const categorizedTransactions = await suggestRefunds(
+      supabase,
+      userId,
+      await categorizeTransactions(validTransactions, userId)
+    );
+
+    // Filter out duplicates, under the rule's name or the bank's original wording
+    const notAlreadyImported = categorizedTransactions.filter(t =>
+      !existingSet.has(createSignature(t)) &&
+      !(t.originalDescription && existingSet.has(createSignature({ ...t, description: t.originalDescription })))
+    );
 
     // Also drop rows the bank is reporting for a recurring payment that already recorded
     // itself via auto-add (matched on its "bank description").
@@ -336,11 +322,8 @@ export async function handler(event) {
       };
     }
 
-    // Categorize transactions
-    const categorizedTransactions = await categorizeTransactions(uniqueTransactions, userId);
-
     // Get or create account
-    const accountId = await getOrCreateAccount(userId);
+    const accountId = await getOrCreateAccount(userId, settings.import_account_id);
 
     // Fetch categories
     const { data: categories, error: catError } = await supabase
@@ -367,7 +350,7 @@ export async function handler(event) {
     if (defaultIncomeCategory) {
       defaultIncomeCategoryId = defaultIncomeCategory.id;
     } else {
-      const hasIncome = categorizedTransactions.some(t => t.type === 'income');
+      const hasIncome = uniqueTransactions.some(t => t.type === 'income');
       if (hasIncome) {
         const { data: newCategory, error: createCatError } = await supabase
           .from('categories')
@@ -382,7 +365,7 @@ export async function handler(event) {
     }
 
     // Prepare transactions for insert
-    const transactionsToInsert = categorizedTransactions.map(t => {
+    const transactionsToInsert = uniqueTransactions.flatMap(t => {
       const isIncome = t.type === 'income';
       let categoryId;
 
@@ -393,25 +376,65 @@ export async function handler(event) {
         categoryId = expenseCategoryMap[t.category] || expenseCategoryMap['Unexpected'];
       }
 
-      return {
+      const row = {
         user_id: userId,
         account_id: accountId,
         category_id: categoryId,
-        type: isIncome ? 'income' : 'expense',
+        type: isIncome ? 'income' : t.type === 'refund' ? 'refund' : 'expense',
+        refund_of: t.refundOf || null,
         amount: t.amount,
         provider: t.bank || null,
         description: t.description,
         date: t.date,
+        tags: t.tags || [],
       };
+
+      // Rows a rule marked as a transfer become an out/in pair with the rule's account
+      return t.transferAccountId && t.transferAccountId !== accountId
+        ? toTransferRows(row, t.transferAccountId)
+        : [row];
     });
 
+    // Rows that look like a transaction already recorded wait for review on the Import page
+    const { rows: rowsToInsert, held, settled, queued } = await holdSuspectedDuplicates(supabase, userId, transactionsToInsert, 'webhook');
+
+    // Recorded for Import History when it brought something new
+    const batch = rowsToInsert.length > 0 || held > 0
+      ? await createImportBatch(supabase, userId, {
+          source: 'webhook',
+          accountId,
+          rowCount: transactions.length,
+          importedCount: rowsToInsert.length,
+          duplicateCount: categorizedTransactions.length - uniqueTransactions.length + settled,
+          heldCount: held,
+          queued,
+          errors: rowErrors,
+        })
+      : null;
+
+    if (rowsToInsert.length === 0) {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          imported: 0,
+          held,
+          message: held > 0 ? `${held} possible duplicate(s) held for review` : 'All transactions already exist',
+        }),
+      };
+    }
+
     // Insert transactions
     const { data: insertedTransactions, error: insertError } = await supabase
       .from('transactions')
-      .insert(transactionsToInsert)
+      .insert(withImportBatch(rowsToInsert, batch.id))
       .select();
 
-    if (insertError) throw insertError;
+    if (insertError) {
+      await failImportBatch(supabase, batch, insertError.message);
+      throw insertError;
+    }
 
     return {
       statusCode: 200,
@@ -419,6 +442,8 @@ export async function handler(event) {
       body: JSON.stringify({
         success: true,
         imported: insertedTransactions.length,
+        held,
+        batchId: batch.id,
         message: `Imported ${insertedTransactions.length} transaction(s)`,
       }),
     };
@@ -0,0 +1,33 @@
+// Netlify Function: Purge Trash
+// Runs daily (see netlify.toml) and permanently deletes trashed transactions older than
+// each user's trash retention setting, logging every purge in trash_purges
+
+import { createClient } from '@supabase/supabase-js';
+
+// Create Supabase client with service role key for bypassing RLS
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Scheduled handler: purge_expired_trash() (migration 029) does the work for every user
+ * with a retention set, in the database.
+ */
+export async function handler() {
+  try {
+    const { data: purged, error } = await supabase.rpc('purge_expired_trash');
+    if (error) throw error;
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, purged: purged || 0 }),
+    };
+  } catch (error) {
+    console.error('Trash purge error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+}